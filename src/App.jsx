@@ -1,14 +1,15 @@
 import React, { useState, useMemo, useEffect, useCallback, useRef } from 'react';
 
 // --- Local Imports ---
-import { formatPhoneNumber, calculateAccumulation, calculateBasePlan, runSimulation, calculateSSAnalysis, calculateSSPartnerAnalysis, calculateWealthBreakeven, calculateBreakevenMatrix, getAdjustedSS, calculateAlternativeAllocations, runOptimizedSimulation, getLegacyEntry } from './utils';
+import { formatPhoneNumber, calculateAccumulation, calculateBasePlan, runSimulation, calculateSSAnalysis, calculateSSPartnerAnalysis, calculateWealthBreakeven, calculateBreakevenMatrix, getAdjustedSS, pickAllocation, getLegacyEntry, DEFAULT_RETURN_CORRELATIONS, DEFAULT_BOOTSTRAP_BLOCK_LENGTH, generateSeed, seedFromString, resolveTaxLawVersion, STATE_TAX_DATA } from './utils';
 import { GateScreen, LoginScreen, ClientLoginScreen, AccumulationPage, ArchitectPage, ClientWizard, PlanManagement, InputsPage } from './components';
 import { MfaVerifyModal, MfaEnrollModal } from './components/auth/MfaModals';
 import { grantUserRole } from './utils/accountSecurity';
 import { PasswordExpiryModal } from './components/auth/PasswordExpiryModal';
 import { AdvisorNavBar, TeamPickerModal } from './components/ui';
-import { useAuth, useScenarios, useAdvisors, useCommandCenter } from './hooks';
+import { useAuth, useScenarios, useAdvisors, useCommandCenter, useSimulationTask } from './hooks';
 import { useSessionTimeout } from './hooks/useSessionTimeout';
+import { CURRENT_TAX_LAW_VERSION } from './constants/taxLaw';
 
 // --- Main Application ---
 
@@ -212,10 +213,16 @@ export default function BucketPortfolioBuilder() {
     ssCurrentlyReceiving: false,
     partnerSSStartAge: 65,
     partnerSSCurrentlyReceiving: false,
+    ssEarningsRecord: [], // [{ year, earnings }] imported from the client's SSA statement; sets ssPIA
+    partnerSSEarningsRecord: [], // Same for the partner
     monthlyPension: 0,
     pensionStartAge: 65,
     pensionCOLA: false,
     pensionSurvivorBenefitPct: 0,
+    // Pension from work not covered by Social Security (many police/fire plans). WEP / GPO
+    // were repealed by the Social Security Fairness Act but apply under a reinstatement what-if.
+    pensionNonCovered: false,
+    ssCoveredYears: 0, // Years of substantial SS-covered earnings (WEP factor)
     // DROP (Deferred Retirement Option Plan) — police/firefighter benefit:
     // pension payments accrue in a fixed-rate pre-tax account during the DROP period,
     // then roll into the portfolio (pre-tax/Traditional) when DROP ends.
@@ -227,6 +234,25 @@ export default function BucketPortfolioBuilder() {
     partnerPensionStartAge: 65,
     partnerPensionCOLA: false,
     partnerPensionSurvivorBenefitPct: 0,
+    partnerPensionNonCovered: false,
+    partnerSSCoveredYears: 0,
+    // Trust fund depletion what-if: every SS benefit is cut by ssHaircutPercent from
+    // ssHaircutYear, with ssHaircutRestorePercent of the cut restored from ssHaircutRestoreYear
+    ssHaircutEnabled: false,
+    ssHaircutYear: 2034,
+    ssHaircutPercent: 19,
+    ssHaircutRestoreYear: 0, // 0 = never restored
+    ssHaircutRestorePercent: 50,
+    // Divorced client: an ex-spouse's record pays spousal benefits after a 10-year marriage,
+    // and survivor benefits once the ex dies (kept on remarriage at 60 or later)
+    exSpouseEnabled: false,
+    exSpousePIA: 0, // Ex-spouse's benefit at FRA (monthly)
+    exSpouseAge: 65,
+    exSpouseMarriageYears: 10,
+    exSpouseDeceased: false,
+    exSpouseExpectedDeathAge: 95,
+    clientRemarriedAfter60: false,
+    ssChildren: [], // [{ id, name, age, disabled }] children drawing on the client's record
     expectedDeathAge: 95,
     partnerExpectedDeathAge: 95,
     spendingReductionAtFirstDeath: 25,
@@ -238,28 +264,104 @@ export default function BucketPortfolioBuilder() {
     // Tax Settings
     taxEnabled: true,
     filingStatus: 'married', // 'single' or 'married'
-    stateCode: '', // State abbreviation (e.g. 'FL', 'CA') — drives rate and SS taxability
+    stateCode: '', // State abbreviation (e.g. 'FL', 'CA') — drives state brackets, SS rules and retirement exclusions
     stateRate: 4.5, // State tax rate % (legacy fallback when stateCode is empty)
+    localTaxCode: '', // Local income tax within the state (e.g. 'nyc', MD/IN 'county'); '' = none
+    residencyPeriods: [], // [{ id, stateCode, startAge, localTaxCode }] moves by client age; stateCode applies before the first
     traditionalPercent: 60, // % of portfolio in traditional (pre-tax) accounts
     rothPercent: 25, // % of portfolio in Roth accounts
     nqPercent: 15, // % of portfolio in non-qualified (brokerage) accounts
     nqDividendYield: 2.0, // Annual dividend yield on NQ holdings %
     nqQualifiedDividendPercent: 80, // % of NQ dividends that are qualified
-    nqCapitalGainRate: 4, // Annual % of NQ balance realized as capital gains (fund distributions, rebalancing)
+    nqCostBasisPercent: 100, // Simple Mode: NQ cost basis as % of today's value (accounts carry their own costBasis / lots)
+    nqLotMethod: 'proportional', // NQ sale lot relief: 'proportional' (average cost) or 'hifo' (specific lots, highest cost first)
+    nqHarvestPolicy: 'none', // NQ tax-lot harvesting: 'none', 'losses', 'gains' (0% LTCG years) or 'both'
+    charitableGifts: [], // [{ id, amount, startAge, endAge }] annual giving in today's dollars by client age
+    charitableBunchYears: 1, // >1 = front-load that many years of pre-QCD giving into a donor-advised fund
+    itemizedDeductions: 0, // Other itemized deductions (SALT, mortgage interest) in today's dollars
+    // AMT preference items (AMT-only income; regular tax ignores them)
+    amtIsoBargainElement: 0, // Incentive stock option spread (market value less strike) at exercise
+    amtIsoExerciseAge: 0, // Client age in the year the ISOs are exercised
+    amtPrivateBondInterest: 0, // Annual tax-exempt interest from private-activity municipal bonds
+    // Estate (federal/state estate tax at the last death)
+    estateRealEstate: 0, // Real estate outside the portfolio (home, rentals), today's value
+    estateRealEstateGrowth: 3, // Annual appreciation of that real estate, %
+    estateOtherAssets: 0, // Other estate assets (life insurance, business), today's dollars
+    estatePortability: true, // Elect portability so the survivor keeps the first spouse's unused exemption
+    beneficiaries: [], // [{ id, name, share %, age, annualIncome, filingStatus, stateCode }] heirs of the pre-tax accounts
     withdrawalOverrides: {}, // Per-age overrides: { [age]: { traditionalPercent, rothPercent, nqPercent } }
     // Integrated Tax Strategy
     rothConversions: {}, // { [age]: amount } per-year Roth conversion dollars
     nqCapGainOverrides: [], // [{ startYear, endYear, rate }] per-year-range cap gain rate overrides
     irmaaEnabled: true, // Track Medicare IRMAA surcharges
+    irmaaPartD: true, // Enrolled in Part D (its IRMAA surcharge is billed separately from Part B's)
+    irmaaAppealWorkStoppage: false, // File SSA-44 after retiring so premiums use current-year MAGI
+    irmaaMagiTwoYearsAgo: 0, // MAGI on the return filed two years ago (0 = not entered)
+    irmaaMagiLastYear: 0, // MAGI on last year's return (0 = not entered)
+    irmaaWagesTwoYearsAgo: 0, // Wages on the return filed two years ago (an SSA-44 appeal needs them to have stopped)
+    irmaaWagesLastYear: 0, // Wages on last year's return
+    acaEnabled: false, // Price pre-Medicare marketplace coverage net of the MAGI-based ACA premium tax credit
+    acaMonthlyPremium: 1100, // Benchmark silver premium per covered person per month, today's dollars
     liquidationMode: 'proportionate', // 'proportionate' | 'priority'
     liquidationStrategies: [], // [{ id, startYear, endYear, priority: ['nq','traditional','roth'] }]
-    accounts: [], // Array of { id, label, owner: 'client'|'partner', type: 'traditional'|'roth'|'nq'|'inherited', subtype: 'ira'|'401k'|'brokerage', balance, annualContribution, inheritedYear }
+    accounts: [], // Array of { id, label, owner: 'client'|'partner'|'joint' (NQ only), type: 'traditional'|'roth'|'nq'|'inherited', subtype: 'ira'|'401k'|'brokerage', balance, annualContribution, inheritedYear, costBasis, lots: [{ id, acquired, basis, value }] (NQ only) }
     // SS Breakeven Analysis Settings
     ssBridgeNqPercent: 50, // % of bridge-year withdrawals from NQ (non-qualified) accounts
     ssMarginalTaxRate: 22, // Marginal tax bracket for bridge-year gross-up calculation
     // Advisory Fee & Benchmark
     advisoryFee: 1.0, // Annual advisory fee as % of portfolio value
     showBenchmark: false, // Show passive 60/40 benchmark line on charts (advisor-only)
+    // Monte Carlo return correlations: 6×6 matrix over b1–b5 + the 60/40 benchmark
+    // (order of RETURN_CORRELATION_KEYS). Drives the joint multivariate-normal draw.
+    returnCorrelations: DEFAULT_RETURN_CORRELATIONS.map(row => [...row]),
+    // Monte Carlo PRNG seed, stored with the plan so the report, Executive Summary and
+    // a later reload all replay the exact same iterations.
+    monteCarloSeed: generateSeed(),
+    // Monte Carlo / bootstrap iterations per run (100–10,000). Runs on the simulation
+    // worker pool, so larger counts cost time, not UI responsiveness.
+    monteCarloIterations: 1000,
+    // Bootstrap Monte Carlo: resample historical years in blocks of this many consecutive
+    // years (1 = independent years). Mean-adjust re-centers resampled returns on the
+    // bucket return assumptions so only the distribution shape comes from history.
+    bootstrapBlockLength: DEFAULT_BOOTSTRAP_BLOCK_LENGTH,
+    bootstrapMeanAdjust: true,
+    // Stochastic inflation: Monte Carlo iterations draw their own inflation path (AR(1)
+    // around inflationRate with this long-run volatility, correlated with B2 bond returns)
+    // that drives spending, COLAs, bracket and IRMAA indexing. Off by default so saved and
+    // new plans keep the flat assumed rate until the advisor opts in.
+    stochasticInflation: false,
+    inflationVolatility: 1.5,
+    inflationBondCorrelation: -0.3,
+    // Withdrawal policy: a SPENDING_RULES key. 'fixed' spends monthlySpending whatever
+    // markets do; 'guardrails' (Guyton-Klinger) cuts spending when the withdrawal rate
+    // rises above the upper band and raises it below the lower band (bands are % of the
+    // initial rate), and skips the inflation raise after a year with a negative portfolio
+    // return; 'vpw', 'rmd', 'constantPercent' and 'floorCeiling' size the withdrawal from
+    // the balance each year.
+    withdrawalPolicy: 'fixed',
+    guardrailUpperBand: 20,
+    guardrailLowerBand: 20,
+    guardrailCutPercent: 10,
+    guardrailRaisePercent: 10,
+    guardrailInflationFreeze: true,
+    spendingRulePercent: 4,       // Constant percentage / floor-and-ceiling withdrawal %
+    spendingFloorPercent: 90,     // Floor-and-ceiling bounds, % of first-year real withdrawal
+    spendingCeilingPercent: 120,
+    vpwRealReturn: 3.5,           // VPW amortization real return %
+    // Stochastic mortality: Monte Carlo draws each spouse's death age from the SSA life
+    // table (by sex, scaled by a MORTALITY_HEALTH_MULTIPLIERS key) instead of using
+    // expectedDeathAge / partnerExpectedDeathAge.
+    stochasticMortality: false,
+    mortalityClientSex: 'male',
+    mortalityPartnerSex: 'female',
+    mortalityClientHealth: 'average',
+    mortalityPartnerHealth: 'average',
+    // Federal tax law (constants/taxLaw.js): '' = current registry version, 'saved' = the
+    // version stamped when the plan was last saved (taxLawSavedVersion), or a version id.
+    // taxLawOverrides are the advisor's "what if" changes by year range.
+    taxLawVersion: '',
+    taxLawSavedVersion: CURRENT_TAX_LAW_VERSION,
+    taxLawOverrides: [],
     // Unified timeline: when true, runs a single projection from currentAge through
     // last death so the cash-flow page reconciles with the accumulation page.
     // When false, the legacy two-engine flow is used.
@@ -327,12 +429,16 @@ export default function BucketPortfolioBuilder() {
     setTeamPicker({ isOpen: false, resolve: null, defaultTeamId: null });
   };
 
+  // Record which tax-law version the saved numbers were computed under, so the plan can
+  // later be recomputed under that law (taxLawVersion 'saved')
+  const stampTaxLaw = (planInputs) => ({ ...planInputs, taxLawSavedVersion: resolveTaxLawVersion(planInputs) });
+
   const handleSaveScenario = async () => {
     const legacyEntry = getLegacyEntry(projectionData, clientInfo.retirementAge);
     const legacyBalance = legacyEntry?.total || 0;
     const team = await resolveTeamForSave();
     if (team.cancelled) return;
-    saveScenario({ clientInfo, inputs, assumptions, targetMaxPortfolioAge, rebalanceFreq, vaEnabled, vaInputs, legacyBalance, teamId: team.teamId, teamName: team.teamName });
+    saveScenario({ clientInfo, inputs: stampTaxLaw(inputs), assumptions, targetMaxPortfolioAge, rebalanceFreq, vaEnabled, vaInputs, legacyBalance, teamId: team.teamId, teamName: team.teamName });
   };
 
   const handleSaveToCommandCenter = async (selectedClientId, ownerAdvisorId = null, clientTeam = null) => {
@@ -351,7 +457,7 @@ export default function BucketPortfolioBuilder() {
 
     const result = await saveToCommandCenter({
       clientInfo,
-      inputs,
+      inputs: stampTaxLaw(inputs),
       assumptions,
       targetMaxPortfolioAge,
       rebalanceFreq,
@@ -367,14 +473,14 @@ export default function BucketPortfolioBuilder() {
   const handleClientSubmit = () => {
     const legacyEntry = getLegacyEntry(projectionData, clientInfo.retirementAge);
     const legacyBalance = legacyEntry?.total || 0;
-    submitClientScenario({ clientInfo, inputs, assumptions, targetMaxPortfolioAge, rebalanceFreq, vaEnabled, vaInputs, legacyBalance });
+    submitClientScenario({ clientInfo, inputs: stampTaxLaw(inputs), assumptions, targetMaxPortfolioAge, rebalanceFreq, vaEnabled, vaInputs, legacyBalance });
   };
 
   const handleClientFinish = async () => {
     const legacyEntry = getLegacyEntry(projectionData, clientInfo.retirementAge);
     const legacyBalance = legacyEntry?.total || 0;
     await submitClientScenario(
-      { clientInfo, inputs, assumptions, targetMaxPortfolioAge, rebalanceFreq, vaEnabled, vaInputs, legacyBalance },
+      { clientInfo, inputs: stampTaxLaw(inputs), assumptions, targetMaxPortfolioAge, rebalanceFreq, vaEnabled, vaInputs, legacyBalance },
       { openScheduling: false }
     );
     window.location.reload();
@@ -397,14 +503,22 @@ export default function BucketPortfolioBuilder() {
       ssPIA: 2500, partnerSSPIA: 2500,
       ssStartAge: 65, ssCurrentlyReceiving: false,
       partnerSSStartAge: 65, partnerSSCurrentlyReceiving: false,
+      ssEarningsRecord: [], partnerSSEarningsRecord: [],
       monthlyPension: 0, pensionStartAge: 65, pensionCOLA: false, pensionSurvivorBenefitPct: 0,
       dropEnabled: false, dropStartAge: 50, dropYears: 5, dropInterestRate: 7.3,
       partnerMonthlyPension: 0, partnerPensionStartAge: 65, partnerPensionCOLA: false, partnerPensionSurvivorBenefitPct: 0,
+      pensionNonCovered: false, ssCoveredYears: 0, partnerPensionNonCovered: false, partnerSSCoveredYears: 0,
+      ssHaircutEnabled: false, ssHaircutYear: 2034, ssHaircutPercent: 19, ssHaircutRestoreYear: 0, ssHaircutRestorePercent: 50,
+      exSpouseEnabled: false, exSpousePIA: 0, exSpouseAge: 65, exSpouseMarriageYears: 10,
+      exSpouseDeceased: false, exSpouseExpectedDeathAge: 95, clientRemarriedAfter60: false, ssChildren: [],
       expectedDeathAge: 95, partnerExpectedDeathAge: 95, spendingReductionAtFirstDeath: 25,
       additionalIncomes: [], cashFlowAdjustments: [],
       taxEnabled: true, withdrawalOverrides: {},
+      amtIsoBargainElement: 0, amtIsoExerciseAge: 0, amtPrivateBondInterest: 0,
       rothConversions: {}, nqCapGainOverrides: [],
       liquidationStrategies: [], accounts: [],
+      returnCorrelations: DEFAULT_RETURN_CORRELATIONS.map(row => [...row]),
+      monteCarloSeed: generateSeed(),
     }));
     setUseManualAllocation(false);
     setStep(1);
@@ -422,15 +536,41 @@ export default function BucketPortfolioBuilder() {
         nqPercent: s.inputs.nqPercent ?? 0,
         nqDividendYield: s.inputs.nqDividendYield ?? 2.0,
         nqQualifiedDividendPercent: s.inputs.nqQualifiedDividendPercent ?? 80,
-        nqCapitalGainRate: s.inputs.nqCapitalGainRate > 10 ? 4 : (s.inputs.nqCapitalGainRate ?? 4),
+        nqCostBasisPercent: s.inputs.nqCostBasisPercent ?? 100,
+        nqLotMethod: s.inputs.nqLotMethod ?? 'proportional',
+        nqHarvestPolicy: s.inputs.nqHarvestPolicy ?? 'none',
+        charitableGifts: s.inputs.charitableGifts ?? [],
+        charitableBunchYears: s.inputs.charitableBunchYears ?? 1,
+        itemizedDeductions: s.inputs.itemizedDeductions ?? 0,
+        amtIsoBargainElement: s.inputs.amtIsoBargainElement ?? 0,
+        amtIsoExerciseAge: s.inputs.amtIsoExerciseAge ?? 0,
+        amtPrivateBondInterest: s.inputs.amtPrivateBondInterest ?? 0,
+        estateRealEstate: s.inputs.estateRealEstate ?? 0,
+        estateRealEstateGrowth: s.inputs.estateRealEstateGrowth ?? 3,
+        estateOtherAssets: s.inputs.estateOtherAssets ?? 0,
+        estatePortability: s.inputs.estatePortability ?? true,
+        beneficiaries: s.inputs.beneficiaries ?? [],
+        ssEarningsRecord: s.inputs.ssEarningsRecord ?? [],
+        partnerSSEarningsRecord: s.inputs.partnerSSEarningsRecord ?? [],
         withdrawalOverrides: s.inputs.withdrawalOverrides || {},
         rothConversions: s.inputs.rothConversions || {},
         nqCapGainOverrides: s.inputs.nqCapGainOverrides || [],
         irmaaEnabled: s.inputs.irmaaEnabled ?? true,
+        irmaaPartD: s.inputs.irmaaPartD ?? true,
+        irmaaAppealWorkStoppage: s.inputs.irmaaAppealWorkStoppage ?? false,
+        irmaaMagiTwoYearsAgo: s.inputs.irmaaMagiTwoYearsAgo ?? 0,
+        irmaaMagiLastYear: s.inputs.irmaaMagiLastYear ?? 0,
+        irmaaWagesTwoYearsAgo: s.inputs.irmaaWagesTwoYearsAgo ?? 0,
+        irmaaWagesLastYear: s.inputs.irmaaWagesLastYear ?? 0,
+        acaEnabled: s.inputs.acaEnabled ?? false,
+        acaMonthlyPremium: s.inputs.acaMonthlyPremium ?? 1100,
         liquidationMode: s.inputs.liquidationMode || 'proportionate',
         liquidationStrategies: s.inputs.liquidationStrategies || [],
         accounts: (s.inputs.accounts || []).map(a => ({ ...a, annualContribution: a.annualContribution || 0 })),
         stateCode: s.inputs.stateCode || '',
+        // Plans saved before local taxes pay the county tax every resident of the state owes
+        localTaxCode: s.inputs.localTaxCode ?? (STATE_TAX_DATA[s.inputs.stateCode]?.defaultLocalTax || ''),
+        residencyPeriods: s.inputs.residencyPeriods ?? [],
         // Migration defaults for life expectancy & survivor benefits
         expectedDeathAge: s.inputs.expectedDeathAge ?? 95,
         partnerExpectedDeathAge: s.inputs.partnerExpectedDeathAge ?? 95,
@@ -441,10 +581,58 @@ export default function BucketPortfolioBuilder() {
         dropStartAge: s.inputs.dropStartAge ?? 50,
         dropYears: s.inputs.dropYears ?? 5,
         dropInterestRate: s.inputs.dropInterestRate ?? 7.3,
+        pensionNonCovered: s.inputs.pensionNonCovered ?? false,
+        ssCoveredYears: s.inputs.ssCoveredYears ?? 0,
+        partnerPensionNonCovered: s.inputs.partnerPensionNonCovered ?? false,
+        partnerSSCoveredYears: s.inputs.partnerSSCoveredYears ?? 0,
+        ssHaircutEnabled: s.inputs.ssHaircutEnabled ?? false,
+        ssHaircutYear: s.inputs.ssHaircutYear ?? 2034,
+        ssHaircutPercent: s.inputs.ssHaircutPercent ?? 19,
+        ssHaircutRestoreYear: s.inputs.ssHaircutRestoreYear ?? 0,
+        ssHaircutRestorePercent: s.inputs.ssHaircutRestorePercent ?? 50,
+        exSpouseEnabled: s.inputs.exSpouseEnabled ?? false,
+        exSpousePIA: s.inputs.exSpousePIA ?? 0,
+        exSpouseAge: s.inputs.exSpouseAge ?? 65,
+        exSpouseMarriageYears: s.inputs.exSpouseMarriageYears ?? 10,
+        exSpouseDeceased: s.inputs.exSpouseDeceased ?? false,
+        exSpouseExpectedDeathAge: s.inputs.exSpouseExpectedDeathAge ?? 95,
+        clientRemarriedAfter60: s.inputs.clientRemarriedAfter60 ?? false,
+        ssChildren: s.inputs.ssChildren ?? [],
         spendingReductionAtFirstDeath: s.inputs.spendingReductionAtFirstDeath ?? 25,
         // Migration defaults for advisory fee & benchmark
         advisoryFee: s.inputs.advisoryFee ?? 1.0,
         showBenchmark: s.inputs.showBenchmark ?? false,
+        // Plans saved before correlated Monte Carlo get the default matrix
+        returnCorrelations: s.inputs.returnCorrelations || DEFAULT_RETURN_CORRELATIONS.map(row => [...row]),
+        // Plans saved before seeding get a seed derived from the plan's id and creation
+        // time, so reopening an old plan is stable even before it is re-saved, and plans
+        // without a client name or email don't share one.
+        monteCarloSeed: s.inputs.monteCarloSeed ?? seedFromString([s.id, s.createdAt ?? s.updatedAt, s.clientInfo?.email, s.clientInfo?.name].map(part => part ?? '').join('|')),
+        monteCarloIterations: s.inputs.monteCarloIterations ?? 1000,
+        bootstrapBlockLength: s.inputs.bootstrapBlockLength ?? DEFAULT_BOOTSTRAP_BLOCK_LENGTH,
+        bootstrapMeanAdjust: s.inputs.bootstrapMeanAdjust ?? true,
+        stochasticInflation: s.inputs.stochasticInflation ?? false,
+        inflationVolatility: s.inputs.inflationVolatility ?? 1.5,
+        inflationBondCorrelation: s.inputs.inflationBondCorrelation ?? -0.3,
+        withdrawalPolicy: s.inputs.withdrawalPolicy ?? 'fixed',
+        guardrailUpperBand: s.inputs.guardrailUpperBand ?? 20,
+        guardrailLowerBand: s.inputs.guardrailLowerBand ?? 20,
+        guardrailCutPercent: s.inputs.guardrailCutPercent ?? 10,
+        guardrailRaisePercent: s.inputs.guardrailRaisePercent ?? 10,
+        guardrailInflationFreeze: s.inputs.guardrailInflationFreeze ?? true,
+        spendingRulePercent: s.inputs.spendingRulePercent ?? 4,
+        spendingFloorPercent: s.inputs.spendingFloorPercent ?? 90,
+        spendingCeilingPercent: s.inputs.spendingCeilingPercent ?? 120,
+        vpwRealReturn: s.inputs.vpwRealReturn ?? 3.5,
+        stochasticMortality: s.inputs.stochasticMortality ?? false,
+        mortalityClientSex: s.inputs.mortalityClientSex ?? 'male',
+        mortalityPartnerSex: s.inputs.mortalityPartnerSex ?? 'female',
+        mortalityClientHealth: s.inputs.mortalityClientHealth ?? 'average',
+        mortalityPartnerHealth: s.inputs.mortalityPartnerHealth ?? 'average',
+        // Plans saved before the tax-law registry were prepared under the 2026.1 tables
+        taxLawVersion: s.inputs.taxLawVersion ?? '',
+        taxLawSavedVersion: s.inputs.taxLawSavedVersion ?? '2026.1',
+        taxLawOverrides: s.inputs.taxLawOverrides ?? [],
         // Unified timeline: default-on for plans saved before the field existed.
         unifiedTimeline: s.inputs.unifiedTimeline ?? true,
         retirementIllustrationStartAge: s.inputs.retirementIllustrationStartAge ?? null,
@@ -597,13 +785,17 @@ export default function BucketPortfolioBuilder() {
   const isAdvisorAccumulationPage =
     advisorView !== 'management' && advisorView !== 'inputs' && step === 1;
   const deferHeavyCalcs = !isClientView && isAdvisorAccumulationPage;
+  const taxLawVersion = resolveTaxLawVersion(inputs);
   const accumulationData = useMemo(() => calculateAccumulation(
     clientInfo,
     inputs.inflationRate,
     inputs.additionalIncomes,
     inputs.accounts,
     inputs.cashFlowAdjustments,
-    { filingStatus: inputs.filingStatus, stateRate: inputs.stateRate },
+    {
+      filingStatus: inputs.filingStatus, stateRate: inputs.stateRate,
+      taxLawVersion, taxLawOverrides: inputs.taxLawOverrides
+    },
     {
       dropEnabled: inputs.dropEnabled,
       dropStartAge: inputs.dropStartAge,
@@ -612,7 +804,7 @@ export default function BucketPortfolioBuilder() {
       monthlyPension: inputs.monthlyPension,
       pensionCOLA: inputs.pensionCOLA,
     }
-  ), [clientInfo, inputs.inflationRate, inputs.additionalIncomes, inputs.accounts, inputs.cashFlowAdjustments, inputs.filingStatus, inputs.stateRate, inputs.dropEnabled, inputs.dropStartAge, inputs.dropYears, inputs.dropInterestRate, inputs.monthlyPension, inputs.pensionCOLA]);
+  ), [clientInfo, inputs.inflationRate, inputs.additionalIncomes, inputs.accounts, inputs.cashFlowAdjustments, inputs.filingStatus, inputs.stateRate, taxLawVersion, inputs.taxLawOverrides, inputs.dropEnabled, inputs.dropStartAge, inputs.dropYears, inputs.dropInterestRate, inputs.monthlyPension, inputs.pensionCOLA]);
 
   // Standard bucket calculations (no VA)
   const formulaBasePlan = useMemo(() => calculateBasePlan(inputs, assumptions, clientInfo), [inputs, assumptions, clientInfo]);
@@ -750,21 +942,54 @@ export default function BucketPortfolioBuilder() {
       }));
   }, [inputs.unifiedTimeline, accumulationData, projectionDataFull]);
 
-  // Monte Carlo uses debounced values — expensive (1000 iterations).
+  // The Monte Carlo runs and the six-strategy optimizer run on the simulation worker
+  // pool (utils/simulationPool) from the debounced values, so the Architect page stays
+  // responsive while they compute. Each has its own pool channel: a newer payload
+  // cancels the channel's in-flight run, and the previous result stays on screen with
+  // a progress indicator until the new one lands.
+  //
+  // basePlan can't cross to a worker (it carries functions), so payloads describe the
+  // plan and the worker rebuilds it, applying any manual bucket allocation.
+  const calcPlan = useMemo(() => ({
+    inputs: di.inputs,
+    assumptions: di.assumptions,
+    clientInfo: di.clientInfo,
+    allocation: pickAllocation(di.basePlan)
+  }), [di]);
+
   // In unified mode, runSimulation emits both accumulation and retirement years in
   // `data`; the time-series charts plot retirement only (matching projectionData), so
-  // slice off the accumulation prefix and re-index `year` to 1..N.
-  const monteCarloData = useMemo(() => {
-    if (deferHeavyCalcs) return null;
-    const raw = runSimulation(di.basePlan, di.assumptions, di.inputs, rebalanceFreq, true, null, di.rebalanceTargets);
-    if (!di.inputs.unifiedTimeline || !raw?.data) return raw;
-    const accumYears = di.basePlan?.retirementYearIndex || 0;
-    if (accumYears === 0) return raw;
-    return {
-      ...raw,
-      data: raw.data.slice(accumYears).map((row, idx) => ({ ...row, year: idx + 1 })),
-    };
-  }, [deferHeavyCalcs, di, rebalanceFreq]);
+  // retirementOnly slices off the accumulation prefix and re-indexes `year` to 1..N.
+  const monteCarloPayload = useMemo(() => deferHeavyCalcs ? null : {
+    plan: calcPlan, rebalanceFreq, mode: true, rebalanceTargets: di.rebalanceTargets, retirementOnly: true
+  }, [deferHeavyCalcs, calcPlan, rebalanceFreq, di.rebalanceTargets]);
+  const monteCarloTask = useSimulationTask('monteCarlo', 'simulation', monteCarloPayload);
+  const monteCarloData = monteCarloTask.result;
+
+  // Bootstrap Monte Carlo (resampled historical years) — another full set of iterations,
+  // so it only runs while the Monte Carlo tab is open, where it sits beside the normal run.
+  const bootstrapPayload = useMemo(() => (deferHeavyCalcs || activeTab !== 'montecarlo') ? null : {
+    plan: calcPlan, rebalanceFreq, mode: 'bootstrap', rebalanceTargets: di.rebalanceTargets, retirementOnly: true
+  }, [deferHeavyCalcs, activeTab, calcPlan, rebalanceFreq, di.rebalanceTargets]);
+  const bootstrapTask = useSimulationTask('bootstrap', 'simulation', bootstrapPayload);
+  const bootstrapMonteCarloData = bootstrapTask.result;
+
+  // With a trust fund depletion cut on, the Monte Carlo tab also runs the plan on full
+  // benefits so it can show what the cut costs in success rate
+  const ssHaircutComparisonPayload = useMemo(() => (deferHeavyCalcs || activeTab !== 'montecarlo' || !di.inputs.ssHaircutEnabled) ? null : {
+    plan: { ...calcPlan, inputs: { ...calcPlan.inputs, ssHaircutEnabled: false } },
+    rebalanceFreq, mode: true, rebalanceTargets: di.rebalanceTargets, retirementOnly: true
+  }, [deferHeavyCalcs, activeTab, calcPlan, rebalanceFreq, di.inputs.ssHaircutEnabled, di.rebalanceTargets]);
+  const fullSSMonteCarloData = useSimulationTask('ssHaircutComparison', 'simulation', ssHaircutComparisonPayload).result;
+
+  // Historical rolling-period backtest — one run per start year since 1926 (~60–70
+  // windows), cheap next to Monte Carlo. Percentile rows get the same retirement-only
+  // slice as monteCarloData so the two can share chart code.
+  const historicalPayload = useMemo(() => deferHeavyCalcs ? null : {
+    plan: calcPlan, rebalanceFreq, mode: 'historical', rebalanceTargets: di.rebalanceTargets, retirementOnly: true
+  }, [deferHeavyCalcs, calcPlan, rebalanceFreq, di.rebalanceTargets]);
+  const historicalTask = useSimulationTask('historical', 'simulation', historicalPayload);
+  const historicalBacktestData = historicalTask.result;
 
   // Tax-forced inputs for client view: assume 100% traditional IRA/401k, 5% state tax
   const clientTaxInputs = useMemo(() => ({
@@ -782,62 +1007,48 @@ export default function BucketPortfolioBuilder() {
     deferHeavyCalcs ? [] : runSimulation(di.basePlan, di.assumptions, clientTaxInputs, rebalanceFreq, false, null, di.rebalanceTargets),
     [deferHeavyCalcs, di, clientTaxInputs, rebalanceFreq]
   );
-  const clientMonteCarloData = useMemo(() =>
-    deferHeavyCalcs ? null : runSimulation(di.basePlan, di.assumptions, clientTaxInputs, rebalanceFreq, true, null, di.rebalanceTargets),
-    [deferHeavyCalcs, di, clientTaxInputs, rebalanceFreq]
-  );
-
-  // VA GIB Monte Carlo - uses VA-adjusted bucket allocations
-  const vaMonteCarloData = useMemo(() => {
-    if (deferHeavyCalcs || !vaEnabled || !vaAdjustedBasePlan) return null;
-    return runSimulation(vaAdjustedBasePlan, di.assumptions, di.inputs, rebalanceFreq, true, vaInputs, di.rebalanceTargets);
-  }, [deferHeavyCalcs, vaAdjustedBasePlan, di, rebalanceFreq, vaEnabled, vaInputs]);
-
-  // The six-strategy optimizer is by far the most expensive calculation in the app (~1.7s),
+  const clientMonteCarloPayload = useMemo(() => deferHeavyCalcs ? null : {
+    plan: { ...calcPlan, inputs: clientTaxInputs }, rebalanceFreq, mode: true, rebalanceTargets: di.rebalanceTargets
+  }, [deferHeavyCalcs, calcPlan, clientTaxInputs, rebalanceFreq, di.rebalanceTargets]);
+  const clientMonteCarloData = useSimulationTask('clientMonteCarlo', 'simulation', clientMonteCarloPayload).result;
+
+  // VA GIB Monte Carlo - uses VA-adjusted (formula) bucket allocations
+  const vaMonteCarloPayload = useMemo(() => (deferHeavyCalcs || !vaEnabled) ? null : {
+    plan: { ...calcPlan, vaInputs, allocation: null }, rebalanceFreq, mode: true, rebalanceTargets: di.rebalanceTargets
+  }, [deferHeavyCalcs, vaEnabled, calcPlan, vaInputs, rebalanceFreq, di.rebalanceTargets]);
+  const vaMonteCarloTask = useSimulationTask('vaMonteCarlo', 'simulation', vaMonteCarloPayload);
+  const vaMonteCarloData = vaMonteCarloTask.result;
+
+  // The six-strategy optimizer is by far the most expensive calculation in the app,
   // and only two places read it: the Optimizer tab and the printout's Strategy Comparison
   // page. Run it on demand for those. Opening the report dialog is the trigger for the
   // print path rather than the print itself, so the work happens while the advisor is
-  // choosing options instead of racing the 500ms timer before window.print().
+  // choosing options instead of delaying the print.
   const needsOptimizer = activeTab === 'optimizer' || showPrintOptions || isGeneratingReport;
 
   // Optimizer data - compare six allocation strategies with consistent rebalancing
-  const optimizerData = useMemo(() => {
-    if (deferHeavyCalcs || !needsOptimizer) return null;
-    try {
-      const allocations = calculateAlternativeAllocations(di.inputs, di.basePlan);
-      return {
-        strategy1: runOptimizedSimulation(allocations.strategy1, di.assumptions, di.inputs, di.clientInfo, optimizerRebalanceFreq),
-        strategy2: runOptimizedSimulation(allocations.strategy2, di.assumptions, di.inputs, di.clientInfo, optimizerRebalanceFreq),
-        strategy3: runOptimizedSimulation(allocations.strategy3, di.assumptions, di.inputs, di.clientInfo, optimizerRebalanceFreq),
-        strategy4: runOptimizedSimulation(allocations.strategy4, di.assumptions, di.inputs, di.clientInfo, optimizerRebalanceFreq),
-        strategy5: runOptimizedSimulation(allocations.strategy5, di.assumptions, di.inputs, di.clientInfo, optimizerRebalanceFreq),
-        strategy6: runOptimizedSimulation(allocations.strategy6, di.assumptions, di.inputs, di.clientInfo, optimizerRebalanceFreq)
-      };
-    } catch (error) {
-      console.error('Optimizer calculation error:', error);
-      return null;
-    }
-  }, [deferHeavyCalcs, needsOptimizer, di, optimizerRebalanceFreq]);
+  const optimizerPayload = useMemo(() => (deferHeavyCalcs || !needsOptimizer) ? null : {
+    plan: calcPlan, rebalanceFreq: optimizerRebalanceFreq
+  }, [deferHeavyCalcs, needsOptimizer, calcPlan, optimizerRebalanceFreq]);
+  const optimizerTask = useSimulationTask('optimizer', 'optimizer', optimizerPayload);
+  const optimizerData = optimizerTask.result;
 
   // VA-enabled optimizer data
-  const vaOptimizerData = useMemo(() => {
-    if (deferHeavyCalcs || !needsOptimizer || !vaEnabled) return null;
-    try {
-      const allocations = calculateAlternativeAllocations(di.inputs, di.basePlan);
-      return {
-        strategy1: runOptimizedSimulation(allocations.strategy1, di.assumptions, di.inputs, di.clientInfo, optimizerRebalanceFreq, vaInputs),
-        strategy2: runOptimizedSimulation(allocations.strategy2, di.assumptions, di.inputs, di.clientInfo, optimizerRebalanceFreq, vaInputs),
-        strategy3: runOptimizedSimulation(allocations.strategy3, di.assumptions, di.inputs, di.clientInfo, optimizerRebalanceFreq, vaInputs),
-        strategy4: runOptimizedSimulation(allocations.strategy4, di.assumptions, di.inputs, di.clientInfo, optimizerRebalanceFreq, vaInputs),
-        strategy5: runOptimizedSimulation(allocations.strategy5, di.assumptions, di.inputs, di.clientInfo, optimizerRebalanceFreq, vaInputs),
-        strategy6: runOptimizedSimulation(allocations.strategy6, di.assumptions, di.inputs, di.clientInfo, optimizerRebalanceFreq, vaInputs)
-      };
-    } catch (error) {
-      console.error('VA Optimizer calculation error:', error);
-      return null;
-    }
-  }, [deferHeavyCalcs, needsOptimizer, di, optimizerRebalanceFreq, vaEnabled, vaInputs]);
-
+  const vaOptimizerPayload = useMemo(() => (deferHeavyCalcs || !needsOptimizer || !vaEnabled) ? null : {
+    plan: { ...calcPlan, vaInputs }, rebalanceFreq: optimizerRebalanceFreq
+  }, [deferHeavyCalcs, needsOptimizer, vaEnabled, calcPlan, vaInputs, optimizerRebalanceFreq]);
+  const vaOptimizerTask = useSimulationTask('vaOptimizer', 'optimizer', vaOptimizerPayload);
+  const vaOptimizerData = vaOptimizerTask.result;
+
+  // Progress of the pooled calculations, for the tabs' loading indicators
+  const simulationStatus = {
+    monteCarlo: monteCarloTask,
+    bootstrap: bootstrapTask,
+    historical: historicalTask,
+    vaMonteCarlo: vaMonteCarloTask,
+    optimizer: optimizerTask,
+    vaOptimizer: vaOptimizerTask
+  };
 
   // Keep totalPortfolio in sync with accumulation data
   const finalAccumulationEntry = accumulationData.length > 0 ? accumulationData[accumulationData.length - 1] : null;
@@ -980,7 +1191,11 @@ export default function BucketPortfolioBuilder() {
       if (inputs.accounts && inputs.accounts.length > 0) return;
     }
     // Handle string fields that shouldn't be converted to numbers
-    const stringFields = ['filingStatus', 'stateCode'];
+    const stringFields = [
+      'filingStatus', 'stateCode', 'localTaxCode', 'withdrawalPolicy',
+      'mortalityClientSex', 'mortalityPartnerSex', 'mortalityClientHealth', 'mortalityPartnerHealth',
+      'taxLawVersion', 'nqLotMethod', 'nqHarvestPolicy'
+    ];
     let val;
     if (type === 'checkbox') {
       val = checked;
@@ -1052,6 +1267,8 @@ export default function BucketPortfolioBuilder() {
         const updated = { ...a, [field]: value };
         if (field === 'type') {
           updated.subtype = value === 'nq' ? 'brokerage' : 'ira';
+          // Only brokerage accounts can be held jointly
+          if (value !== 'nq' && updated.owner === 'joint') updated.owner = 'client';
           if (value === 'inherited' && !updated.inheritedYear) {
             updated.inheritedYear = new Date().getFullYear();
           }
@@ -1195,6 +1412,171 @@ export default function BucketPortfolioBuilder() {
     }));
   };
 
+  const addTaxLawOverride = () => {
+    setInputs(prev => ({
+      ...prev,
+      taxLawOverrides: [
+        ...(prev.taxLawOverrides || []),
+        {
+          id: Date.now(),
+          label: '',
+          startYear: new Date().getFullYear() + 4,
+          endYear: null,
+          ratePreset: '',
+          ordinaryRateDelta: 0,
+          qdivRateDelta: 0,
+          deductionChangePercent: 0,
+          extendSeniorDeduction: false
+        }
+      ]
+    }));
+  };
+
+  const updateTaxLawOverride = (id, field, value) => {
+    setInputs(prev => ({
+      ...prev,
+      taxLawOverrides: (prev.taxLawOverrides || []).map(o =>
+        o.id === id ? { ...o, [field]: value } : o
+      )
+    }));
+  };
+
+  const removeTaxLawOverride = (id) => {
+    setInputs(prev => ({
+      ...prev,
+      taxLawOverrides: (prev.taxLawOverrides || []).filter(o => o.id !== id)
+    }));
+  };
+
+  const addResidencyPeriod = () => {
+    setInputs(prev => {
+      const periods = prev.residencyPeriods || [];
+      const lastStart = periods.reduce((max, p) => Math.max(max, Number(p.startAge) || 0), 0);
+      return {
+        ...prev,
+        residencyPeriods: [
+          ...periods,
+          {
+            id: Date.now(),
+            stateCode: 'FL',
+            startAge: Math.max(lastStart + 1, clientInfo.retirementAge || 65),
+            localTaxCode: ''
+          }
+        ]
+      };
+    });
+  };
+
+  const updateResidencyPeriod = (id, field, value) => {
+    setInputs(prev => ({
+      ...prev,
+      residencyPeriods: (prev.residencyPeriods || []).map(p => {
+        if (p.id !== id) return p;
+        // A new state brings its own default local jurisdiction
+        if (field === 'stateCode') return { ...p, stateCode: value, localTaxCode: STATE_TAX_DATA[value]?.defaultLocalTax || '' };
+        return { ...p, [field]: value };
+      })
+    }));
+  };
+
+  const removeResidencyPeriod = (id) => {
+    setInputs(prev => ({
+      ...prev,
+      residencyPeriods: (prev.residencyPeriods || []).filter(p => p.id !== id)
+    }));
+  };
+
+  const addCharitableGift = () => {
+    setInputs(prev => ({
+      ...prev,
+      charitableGifts: [
+        ...(prev.charitableGifts || []),
+        {
+          id: Date.now(),
+          amount: 10000,
+          startAge: clientInfo.retirementAge || 65,
+          endAge: prev.expectedDeathAge || 95
+        }
+      ]
+    }));
+  };
+
+  const updateCharitableGift = (id, field, value) => {
+    setInputs(prev => ({
+      ...prev,
+      charitableGifts: (prev.charitableGifts || []).map(g =>
+        g.id === id ? { ...g, [field]: value } : g
+      )
+    }));
+  };
+
+  const removeCharitableGift = (id) => {
+    setInputs(prev => ({
+      ...prev,
+      charitableGifts: (prev.charitableGifts || []).filter(g => g.id !== id)
+    }));
+  };
+
+  const addBeneficiary = () => {
+    setInputs(prev => ({
+      ...prev,
+      beneficiaries: [
+        ...(prev.beneficiaries || []),
+        {
+          id: Date.now(),
+          name: '',
+          share: 100,
+          age: 50,
+          annualIncome: 100000,
+          filingStatus: 'married',
+          stateCode: prev.stateCode || ''
+        }
+      ]
+    }));
+  };
+
+  const updateBeneficiary = (id, field, value) => {
+    setInputs(prev => ({
+      ...prev,
+      beneficiaries: (prev.beneficiaries || []).map(b =>
+        b.id === id ? { ...b, [field]: value } : b
+      )
+    }));
+  };
+
+  const removeBeneficiary = (id) => {
+    setInputs(prev => ({
+      ...prev,
+      beneficiaries: (prev.beneficiaries || []).filter(b => b.id !== id)
+    }));
+  };
+
+  const addSSChild = () => {
+    setInputs(prev => ({
+      ...prev,
+      ssChildren: [...(prev.ssChildren || []), { id: Date.now(), name: '', age: 10, disabled: false }]
+    }));
+  };
+
+  const updateSSChild = (id, field, value) => {
+    setInputs(prev => ({
+      ...prev,
+      ssChildren: (prev.ssChildren || []).map(c => c.id === id ? { ...c, [field]: value } : c)
+    }));
+  };
+
+  const removeSSChild = (id) => {
+    setInputs(prev => ({
+      ...prev,
+      ssChildren: (prev.ssChildren || []).filter(c => c.id !== id)
+    }));
+  };
+
+  // Earnings record imported from an SSA statement: { ssEarningsRecord | partnerSSEarningsRecord }
+  const updateEarningsRecord = (name, record) => {
+    setInputs(prev => ({ ...prev, [name]: record }));
+  };
+
   const handleAssumptionChange = (key, field, value) => {
     // Support nested taxProfile updates: field = 'taxProfile.ordinaryIncomeRate'
     if (field.startsWith('taxProfile.')) {
@@ -1211,6 +1593,22 @@ export default function BucketPortfolioBuilder() {
     }
   };
 
+  // Correlation matrix edits stay symmetric: editing (i, j) also writes (j, i)
+  const handleCorrelationChange = (i, j, value) => {
+    if (i === j) return;
+    const val = Math.max(-1, Math.min(1, parseFloat(value) || 0));
+    setInputs(prev => {
+      const next = (prev.returnCorrelations || DEFAULT_RETURN_CORRELATIONS).map(row => [...row]);
+      next[i][j] = val;
+      next[j][i] = val;
+      return { ...prev, returnCorrelations: next };
+    });
+  };
+
+  const resetCorrelations = () => {
+    setInputs(prev => ({ ...prev, returnCorrelations: DEFAULT_RETURN_CORRELATIONS.map(row => [...row]) }));
+  };
+
   const applyHistoricalAverages = () => {
     setAssumptions(prev => {
       const next = { ...prev };
@@ -1390,11 +1788,19 @@ export default function BucketPortfolioBuilder() {
   const executePrint = () => {
     setShowPrintOptions(false);
     setIsGeneratingReport(true);
-    setTimeout(() => {
+  };
+
+  // Print once the pooled results the report reads (Monte Carlo, Strategy Comparison)
+  // have landed, then give the print pages a moment to render.
+  const reportCalcsRunning = monteCarloTask.isRunning || optimizerTask.isRunning;
+  useEffect(() => {
+    if (!isGeneratingReport || reportCalcsRunning) return;
+    const timer = setTimeout(() => {
       window.print();
       setIsGeneratingReport(false);
     }, 500);
-  };
+    return () => clearTimeout(timer);
+  }, [isGeneratingReport, reportCalcsRunning]);
 
   // --- Print Options Modal ---
   const PrintOptionsModal = () => (
@@ -1680,6 +2086,8 @@ export default function BucketPortfolioBuilder() {
         basePlan={basePlan}
         assumptions={assumptions}
         onAssumptionChange={handleAssumptionChange}
+        onCorrelationChange={handleCorrelationChange}
+        onResetCorrelations={resetCorrelations}
         onApplyHistoricalAverages={applyHistoricalAverages}
         onApplyForwardLooking={applyForwardLookingEstimates}
         onApplyConservative={applyConservativeEstimates}
@@ -1698,6 +2106,22 @@ export default function BucketPortfolioBuilder() {
         onAddCashFlowAdjustment={addCashFlowAdjustment}
         onUpdateCashFlowAdjustment={updateCashFlowAdjustment}
         onRemoveCashFlowAdjustment={removeCashFlowAdjustment}
+        onAddTaxLawOverride={addTaxLawOverride}
+        onUpdateTaxLawOverride={updateTaxLawOverride}
+        onRemoveTaxLawOverride={removeTaxLawOverride}
+        onAddResidencyPeriod={addResidencyPeriod}
+        onUpdateResidencyPeriod={updateResidencyPeriod}
+        onRemoveResidencyPeriod={removeResidencyPeriod}
+        onAddCharitableGift={addCharitableGift}
+        onUpdateCharitableGift={updateCharitableGift}
+        onRemoveCharitableGift={removeCharitableGift}
+        onAddBeneficiary={addBeneficiary}
+        onUpdateBeneficiary={updateBeneficiary}
+        onRemoveBeneficiary={removeBeneficiary}
+        onUpdateEarningsRecord={updateEarningsRecord}
+        onAddSSChild={addSSChild}
+        onUpdateSSChild={updateSSChild}
+        onRemoveSSChild={removeSSChild}
         onAccountSplitChange={handleAccountSplitChange}
         onWithdrawalOverrideChange={handleWithdrawalOverrideChange}
         onSetActiveTab={(tab) => {
@@ -1776,6 +2200,9 @@ export default function BucketPortfolioBuilder() {
       projectionData={projectionData}
       projectionDataFull={projectionDataFull}
       monteCarloData={monteCarloData}
+      historicalBacktestData={historicalBacktestData}
+      bootstrapMonteCarloData={bootstrapMonteCarloData}
+      fullSSMonteCarloData={fullSSMonteCarloData}
       optimizerData={optimizerData}
       optimizerRebalanceFreq={optimizerRebalanceFreq}
       onSetOptimizerRebalanceFreq={setOptimizerRebalanceFreq}
@@ -1818,6 +2245,7 @@ export default function BucketPortfolioBuilder() {
       vaMonteCarloData={vaMonteCarloData}
       vaAdjustedBasePlan={vaAdjustedBasePlan}
       vaOptimizerData={vaOptimizerData}
+      simulationStatus={simulationStatus}
       // 3-Way Account Split
       onAccountSplitChange={handleAccountSplitChange}
       onWithdrawalOverrideChange={handleWithdrawalOverrideChange}
@@ -51,7 +51,7 @@ const SAMPLE_INPUTS_BASE = {
   filingStatus: 'married',
   stateRate: 4.5,
   traditionalPercent: 60, rothPercent: 25, nqPercent: 15,
-  nqDividendYield: 2.0, nqQualifiedDividendPercent: 80, nqCapitalGainRate: 50,
+  nqDividendYield: 2.0, nqQualifiedDividendPercent: 80,
   withdrawalOverrides: {},
   ssBridgeNqPercent: 50,
   ssMarginalTaxRate: 22,
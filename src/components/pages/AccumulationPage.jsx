@@ -4,6 +4,7 @@ import { User, DollarSign, ArrowRight, Info, AlertTriangle, ChevronDown, Chevron
 
 import { COLORS } from '../../constants';
 import { formatPhoneNumber, calculateImpliedSpending, STATE_TAX_DATA } from '../../utils';
+import { getStateRepresentativeRate } from '../../constants/stateTaxes';
 import { FormattedNumberInput, Disclaimer } from '../ui';
 
 /**
@@ -257,8 +258,9 @@ export const AccumulationPage = ({
                         const code = e.target.value;
                         const data = STATE_TAX_DATA[code];
                         onInputChange({ target: { name: 'stateCode', value: code, type: 'text' } });
+                        onInputChange({ target: { name: 'localTaxCode', value: data?.defaultLocalTax || '', type: 'text' } });
                         if (data) {
-                          onInputChange({ target: { name: 'stateRate', value: data.rate, type: 'number' } });
+                          onInputChange({ target: { name: 'stateRate', value: getStateRepresentativeRate(code, inputs?.filingStatus), type: 'number' } });
                         }
                       }}
                       className="p-2.5 border rounded-lg w-full text-sm"
@@ -268,7 +270,7 @@ export const AccumulationPage = ({
                         .sort((a, b) => a[1].name.localeCompare(b[1].name))
                         .map(([code, data]) => (
                           <option key={code} value={code}>
-                            {data.name} ({data.rate === 0 ? 'No tax' : data.brackets ? `up to ${data.rate}%` : `${data.rate}% flat`})
+                            {data.name} ({data.rate === 0 ? (data.capitalGainsTax ? 'Gains tax only' : 'No tax') : data.brackets ? `up to ${data.rate}%` : `${data.rate}% flat`})
                           </option>
                         ))}
                     </select>
@@ -340,6 +342,7 @@ export const AccumulationPage = ({
                         >
                           <option value="client">{clientInfo.name || 'Client'}</option>
                           {clientInfo.isMarried && <option value="partner">{clientInfo.partnerName || 'Partner'}</option>}
+                          {clientInfo.isMarried && acct.type === 'nq' && <option value="joint">Joint</option>}
                         </select>
                       </div>
                       <div className="col-span-2">
@@ -397,6 +400,63 @@ export const AccumulationPage = ({
                           <Trash2 className="w-3.5 h-3.5" />
                         </button>
                       </div>
+                      {acct.type === 'nq' && (
+                        /* Cost basis: one figure, or optional tax lots for specific-lot sales */
+                        <div className="col-span-12 flex flex-wrap items-end gap-2 pt-1 border-t border-slate-200">
+                          {(acct.lots || []).length === 0 ? (
+                            <div>
+                              <label className="text-[10px] text-slate-500 uppercase">Cost Basis</label>
+                              <FormattedNumberInput
+                                value={acct.costBasis ?? acct.balance}
+                                onChange={(e) => onUpdateAccount(acct.id, 'costBasis', parseFloat(e.target.value) || 0)}
+                                className="w-28 px-2 py-1.5 border rounded text-xs"
+                              />
+                            </div>
+                          ) : (
+                            <div className="w-full space-y-1">
+                              <div className="grid grid-cols-12 gap-2 text-[10px] text-slate-500 uppercase">
+                                <span className="col-span-3">Lot Acquired</span>
+                                <span className="col-span-4">Basis</span>
+                                <span className="col-span-4">Value</span>
+                              </div>
+                              {acct.lots.map(lot => {
+                                const updateLot = (field, value) => onUpdateAccount(acct.id, 'lots',
+                                  acct.lots.map(l => (l.id === lot.id ? { ...l, [field]: value } : l)));
+                                return (
+                                  <div key={lot.id} className="grid grid-cols-12 gap-2 items-center">
+                                    <input type="number" value={lot.acquired ?? ''} placeholder="Year"
+                                      onChange={(e) => updateLot('acquired', parseInt(e.target.value) || null)}
+                                      className="col-span-3 px-2 py-1 border rounded text-xs" />
+                                    <FormattedNumberInput value={lot.basis}
+                                      onChange={(e) => updateLot('basis', parseFloat(e.target.value) || 0)}
+                                      className="col-span-4 px-2 py-1 border rounded text-xs" />
+                                    <FormattedNumberInput value={lot.value}
+                                      onChange={(e) => updateLot('value', parseFloat(e.target.value) || 0)}
+                                      className="col-span-4 px-2 py-1 border rounded text-xs" />
+                                    <button type="button" onClick={() => onUpdateAccount(acct.id, 'lots', acct.lots.filter(l => l.id !== lot.id))}
+                                      className="col-span-1 text-red-400 hover:text-red-600 justify-self-center">
+                                      <Trash2 className="w-3 h-3" />
+                                    </button>
+                                  </div>
+                                );
+                              })}
+                              {Math.abs(acct.lots.reduce((sum, l) => sum + (l.value || 0), 0) - (acct.balance || 0)) > 1 && (
+                                <p className="text-[10px] text-amber-700">Lot values are scaled to the account balance.</p>
+                              )}
+                            </div>
+                          )}
+                          <button
+                            type="button"
+                            onClick={() => onUpdateAccount(acct.id, 'lots', [
+                              ...(acct.lots || []),
+                              { id: Date.now(), acquired: null, basis: (acct.lots || []).length === 0 ? (acct.costBasis ?? acct.balance ?? 0) : 0, value: (acct.lots || []).length === 0 ? (acct.balance || 0) : 0 }
+                            ])}
+                            className="flex items-center gap-1 text-[11px] text-mwm-green hover:text-mwm-green/80 font-medium pb-1"
+                          >
+                            <Plus className="w-3 h-3" /> {(acct.lots || []).length === 0 ? 'Track tax lots' : 'Add lot'}
+                          </button>
+                        </div>
+                      )}
                     </div>
                   ))}
                   {/* Summary */}
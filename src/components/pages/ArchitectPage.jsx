@@ -13,7 +13,8 @@ import {
 } from 'lucide-react';
 
 import { COLORS, LOGO_URL } from '../../constants';
-import { getAdjustedSS, getImpliedPIA, applyDeemedFiling, generateAndDownloadIPS, calculateAnnualTax, calculateTaxableSS, calculateFederalTax, getInflationAdjustedBrackets, getInflationAdjustedDeduction, STATE_TAX_DATA, calculateBasePlan, runSimulation, getLegacyEntry } from '../../utils';
+import { getAdjustedSS, getImpliedPIA, applyDeemedFiling, generateAndDownloadIPS, calculateAnnualTax, calculateTaxableSS, calculateFederalTax, getInflationAdjustedBrackets, getInflationAdjustedDeduction, STATE_TAX_DATA, calculateBasePlan, runSimulation, getLegacyEntry, getMonteCarloIterations, pickAllocation, projectEstate, calculateWeightedReturn } from '../../utils';
+import { useSimulationTask } from '../../hooks/useSimulationTask';
 import { Card, StatBox, AllocationRow, FormattedNumberInput, Disclaimer } from '../ui';
 import {
   AllocationTab, WithdrawalOverrideModal, MonteCarloTab, SSOptimizationTab,
@@ -58,6 +59,9 @@ export const ArchitectPage = ({
   projectionData,
   projectionDataFull,
   monteCarloData,
+  historicalBacktestData,
+  bootstrapMonteCarloData,
+  fullSSMonteCarloData,
   optimizerData,
   optimizerRebalanceFreq,
   onSetOptimizerRebalanceFreq,
@@ -98,6 +102,8 @@ export const ArchitectPage = ({
   vaMonteCarloData,
   vaAdjustedBasePlan,
   vaOptimizerData,
+  // Worker-pool progress ({ monteCarlo, bootstrap, historical, vaMonteCarlo, optimizer, vaOptimizer })
+  simulationStatus,
   // 3-Way Account Split
   onAccountSplitChange,
   onWithdrawalOverrideChange,
@@ -111,6 +117,8 @@ export const ArchitectPage = ({
   bucketAllocationOverrides,
   onBucketAllocationOverridesChange
 }) => {
+  // Monte Carlo iteration count for report and disclosure copy
+  const mcIterationsLabel = getMonteCarloIterations(inputs).toLocaleString();
   // Print data source: use Monte Carlo median when print mode is montecarlo
   const printData = useMemo(() => {
     if (printOptions?.mode === 'montecarlo' && monteCarloData?.scenarios?.median) {
@@ -382,6 +390,10 @@ export const ArchitectPage = ({
     const hasRMD = inputs.taxEnabled && printData.some(r => r.rmdAmount > 0);
     const hasRMDExcess = hasRMD && printData.some(r => r.rmdExcess > 0);
     const hasIRMAA = inputs.irmaaEnabled && printData.some(r => r.irmaaCost > 0);
+    const hasACA = inputs.acaEnabled && printData.some(r => (r.acaPremium || 0) > 0);
+    const hasNIIT = inputs.taxEnabled && printData.some(r => (r.niit || 0) > 0);
+    const hasAMT = inputs.taxEnabled && printData.some(r => (r.amt || 0) > 0);
+    const hasChildSS = printData.some(r => (r.childSSIncomeDetail || 0) > 0);
     const hasRothConversions = inputs.taxEnabled && printData.some(r => r.rothConversion > 0);
     const hasAccountBalances = inputs.taxEnabled && printData.some(r => r.traditionalBalanceDetail > 0);
     const hasInheritedIRA = printData.some(r => (r.inheritedIRADistribution || 0) > 0 || (r.inheritedIRABalance || 0) > 0);
@@ -390,7 +402,8 @@ export const ArchitectPage = ({
     // Trad/Roth/NQ children sum to Net Flow = Total Income - Total Expenses).
     const flowParts = (r) => {
       const isAccum = r.phase === 'accumulation';
-      const irmaa = r.irmaaCost || 0;
+      // IRMAA and the ACA premium after credit both come out of NQ, outside the split
+      const irmaa = (r.irmaaCost || 0) + (r.acaNetPremium || 0);
       const rothConvTax = r.rothConversionTax || 0;
       const totalDist = r.distribution || 0;
       const tradIn = r.tradContribution || 0;
@@ -441,6 +454,7 @@ export const ArchitectPage = ({
       { label: 'Social Security', cls: 'text-blue-700', getValue: (r) => fmt(r.ssIncomeDetail || 0) },
       { label: 'Pension', cls: 'text-blue-700', getValue: (r) => fmt(r.pensionIncomeDetail || 0) },
     );
+    if (hasChildSS) rows.push({ label: "Children's Social Security", cls: 'text-blue-700', getValue: (r) => r.childSSIncomeDetail > 0 ? fmt(r.childSSIncomeDetail) : '-' });
     if (hasEmployment) rows.push({ label: 'Employment Income', cls: 'text-teal-700', getValue: (r) => r.employmentIncomeDetail > 0 ? fmt(r.employmentIncomeDetail) : '-' });
     if (hasOther) rows.push({ label: 'Other Income', cls: 'text-cyan-700', getValue: (r) => r.otherIncomeDetail > 0 ? fmt(r.otherIncomeDetail) : '-' });
     if (hasContributions) rows.push({ label: 'One-Time Contributions', cls: 'text-purple-700', getValue: (r) => r.contribution > 0 ? `+${fmt(r.contribution)}` : '-' });
@@ -463,6 +477,15 @@ export const ArchitectPage = ({
     if (inputs.taxEnabled) {
       rows.push(
         { label: 'Federal Tax', cls: 'text-red-600', getValue: (r) => fmt(r.federalTax || 0) },
+      );
+      // NIIT and AMT are already inside Federal Tax — shown only when some year owes them
+      if (hasNIIT) {
+        rows.push({ label: '  incl. NIIT (3.8%)', cls: 'text-red-500 pl-4', getValue: (r) => (r.niit || 0) > 0 ? fmt(r.niit) : '-' });
+      }
+      if (hasAMT) {
+        rows.push({ label: '  incl. AMT', cls: 'text-red-500 pl-4', getValue: (r) => (r.amt || 0) > 0 ? fmt(r.amt) : '-' });
+      }
+      rows.push(
         { label: 'State Tax', cls: 'text-red-600', getValue: (r) => fmt(r.stateTax || 0) },
       );
     }
@@ -471,6 +494,12 @@ export const ArchitectPage = ({
         { label: 'IRMAA Surcharge', cls: 'text-red-500', getValue: (r) => (r.irmaaCost || 0) > 0 ? fmt(r.irmaaCost) : '-' },
       );
     }
+    if (hasACA) {
+      rows.push({
+        label: 'ACA Premium (after credit)', cls: 'text-red-500',
+        getValue: (r) => (r.acaPremium || 0) > 0 ? `${fmt(r.acaNetPremium || 0)}${r.acaOverCliff ? ' (cliff)' : ''}` : '-'
+      });
+    }
     rows.push(
       { label: 'Total Expenses', cls: 'font-bold text-slate-800 bg-slate-50', getValue: (r) => fmt(r.expenses) },
     );
@@ -560,6 +589,21 @@ export const ArchitectPage = ({
   const totalPrintPages = (hasTaxStrategyPage ? 11 : 10) + cashFlowPageCount + (hasExecSummaryPage ? 1 : 0);
 
   // --- Executive Summary print data ---
+  // Monte Carlo baseline for the printed Executive Summary (Monte Carlo print mode only),
+  // run on the simulation worker pool
+  const printBaselineMCPayload = useMemo(() => (printOptions?.mode !== 'montecarlo' || !basePlan || !assumptions || !inputs.taxEnabled) ? null : {
+    plan: {
+      inputs: { ...inputs, rothConversions: {}, nqCapGainOverrides: [], liquidationMode: 'proportionate', liquidationStrategies: [] },
+      assumptions,
+      clientInfo,
+      allocation: pickAllocation(basePlan)
+    },
+    rebalanceFreq: rebalanceFreq || 0,
+    mode: true,
+    rebalanceTargets
+  }, [printOptions?.mode, basePlan, assumptions, inputs, clientInfo, rebalanceFreq, rebalanceTargets]);
+  const printBaselineMC = useSimulationTask('printBaseline', 'simulation', printBaselineMCPayload).result;
+
   const execSummaryPrint = useMemo(() => {
     if (!inputs.taxEnabled || !printData || printData.length === 0) return null;
     const fmtP = (val) => val === 0 ? '-' : `$${Math.round(val).toLocaleString()}`;
@@ -578,30 +622,34 @@ export const ArchitectPage = ({
     const currentLifetimeIrmaa = printData.reduce((s, r) => s + (r.irmaaCost || 0), 0);
     const heirFederalRate = 0.24;
     const heirStateRate = (inputs.stateRate || 0) / 100;
-    const currentHeirTax = currentTradLegacy * (heirFederalRate + heirStateRate);
-    const currentAfterTax = currentLegacy - currentHeirTax;
-    const currentTotalBurden = currentLifetimeTax + currentHeirTax + currentLifetimeIrmaa;
+    const heirGrowthRate = assumptions ? calculateWeightedReturn(assumptions) : undefined;
+    const currentEstate = projectEstate(printData, inputs, clientInfo, { heirRate: heirFederalRate + heirStateRate, heirGrowthRate });
+    const currentHeirTax = currentEstate.heirIncomeTax;
+    const currentAfterTax = currentEstate.netToHeirs;
+    const currentTotalBurden = currentLifetimeTax + currentHeirTax + currentEstate.estateTax + currentLifetimeIrmaa;
 
     // Baseline simulation
     let baseline = null;
     if (basePlan && assumptions) {
       const baselineInputs = { ...inputs, rothConversions: {}, nqCapGainOverrides: [], liquidationMode: 'proportionate', liquidationStrategies: [] };
       const useMC = printOptions?.mode === 'montecarlo';
-      const baseResult = runSimulation(basePlan, assumptions, baselineInputs, rebalanceFreq || 0, useMC, null, rebalanceTargets);
+      const baseResult = useMC
+        ? printBaselineMC
+        : runSimulation(basePlan, assumptions, baselineInputs, rebalanceFreq || 0, false, null, rebalanceTargets);
       let baseProj = Array.isArray(baseResult) ? baseResult : null;
       if (useMC && baseResult?.scenarios?.median) baseProj = baseResult.scenarios.median;
       if (baseProj && baseProj.length > 0) {
         const baseLast = baseProj[baseProj.length - 1];
-        const baseTradLegacy = baseLast.traditionalBalanceDetail || 0;
+        const baseEstate = projectEstate(baseProj, baselineInputs, clientInfo, { heirRate: heirFederalRate + heirStateRate, heirGrowthRate });
         const baseLifetimeTax = baseProj.reduce((s, r) => s + (r.totalTax || 0), 0);
         const baseLifetimeIrmaa = baseProj.reduce((s, r) => s + (r.irmaaCost || 0), 0);
-        const baseHeirTax = baseTradLegacy * (heirFederalRate + heirStateRate);
         baseline = {
           legacy: baseLast.total || 0,
-          afterTaxLegacy: (baseLast.total || 0) - baseHeirTax,
+          afterTaxLegacy: baseEstate.netToHeirs,
           lifetimeTax: baseLifetimeTax,
-          heirTax: baseHeirTax,
-          totalBurden: baseLifetimeTax + baseHeirTax + baseLifetimeIrmaa,
+          heirTax: baseEstate.heirIncomeTax,
+          estateTax: baseEstate.estateTax,
+          totalBurden: baseLifetimeTax + baseEstate.heirIncomeTax + baseEstate.estateTax + baseLifetimeIrmaa,
           irmaa: baseLifetimeIrmaa
         };
       }
@@ -763,7 +811,7 @@ export const ArchitectPage = ({
       fmt: fmtP, fmtShort: fmtShortP,
       current: {
         legacy: currentLegacy, afterTaxLegacy: currentAfterTax, lifetimeTax: currentLifetimeTax,
-        heirTax: currentHeirTax, totalBurden: currentTotalBurden, irmaa: currentLifetimeIrmaa,
+        heirTax: currentHeirTax, estateTax: currentEstate.estateTax, totalBurden: currentTotalBurden, irmaa: currentLifetimeIrmaa,
         tradLegacy: currentTradLegacy, rothLegacy: currentRothLegacy, nqLegacy: currentNqLegacy,
       },
       baseline,
@@ -771,7 +819,7 @@ export const ArchitectPage = ({
       ssSummary, rothAges, rothTotal, conversions, liqDesc,
       heirFederalRate, heirStateRate,
     };
-  }, [printData, projectionDataFull, projectionData, inputs, basePlan, assumptions, rebalanceFreq, rebalanceTargets, printOptions, bucketAllocationOverrides]);
+  }, [printData, projectionDataFull, projectionData, inputs, clientInfo, basePlan, assumptions, rebalanceFreq, rebalanceTargets, printOptions, bucketAllocationOverrides, printBaselineMC]);
 
   const renderCashFlowPrintTable = (cols, allRows) => (
     <div className="overflow-x-auto border border-slate-200 rounded-lg">
@@ -815,7 +863,7 @@ export const ArchitectPage = ({
           <p><strong>Email:</strong> {clientInfo.email || 'Not provided'}</p>
           <p><strong>Phone:</strong> {clientInfo.phone || 'Not provided'}</p>
           <p><strong>Prepared:</strong> {new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}</p>
-          <p><strong>Projection:</strong> {printOptions?.mode === 'montecarlo' ? 'Monte Carlo (Median of 1,000 Simulations)' : 'Deterministic (Fixed Return Assumptions)'}</p>
+          <p><strong>Projection:</strong> {printOptions?.mode === 'montecarlo' ? `Monte Carlo (Median of ${mcIterationsLabel} Simulations)` : 'Deterministic (Fixed Return Assumptions)'}</p>
         </div>
         <div className="mt-auto pt-12 text-base text-slate-400">
           <p>Miller Wealth Management</p>
@@ -834,7 +882,7 @@ export const ArchitectPage = ({
           { title: 'Social Security Optimization', desc: 'Optimal claiming strategy analysis' },
           { title: 'Portfolio Sustainability', desc: printOptions?.mode === 'montecarlo' ? 'Monte Carlo simulation with probability analysis' : 'Projected portfolio balance and cash flow' },
           { title: 'Detailed Cash Flows', desc: 'Year-by-year income, expenses, and portfolio detail' },
-          printOptions?.mode !== 'montecarlo' && { title: 'Monte Carlo Simulation', desc: 'Probability analysis based on 1,000 market scenarios' },
+          printOptions?.mode !== 'montecarlo' && { title: 'Monte Carlo Simulation', desc: `Probability analysis based on ${mcIterationsLabel} market scenarios` },
           !printOptions?.excludeStrategyComparison && { title: 'Strategy Comparison', desc: 'Alternative allocation strategies analyzed' },
           hasTaxStrategyPage && { title: 'Tax Strategy Analysis', desc: 'Roth conversion schedule and liquidation strategy' },
           hasExecSummaryPage && { title: 'Executive Summary', desc: 'Plan overview, SS optimization value, and net legacy comparison' },
@@ -887,7 +935,7 @@ export const ArchitectPage = ({
             <h3 className="font-bold text-[12px] text-slate-800 mb-1">Monte Carlo Simulation Methodology</h3>
             <div className="grid grid-cols-2 gap-2">
               <div>
-                <p className="mb-0.5">Success rates calculated using Monte Carlo simulation: 1,000 independent iterations with random returns using normal distribution, correlated based on historical relationships, with annual rebalancing over a 30-year projection horizon.</p>
+                <p className="mb-0.5">Success rates calculated using Monte Carlo simulation: {mcIterationsLabel} independent iterations with random returns using normal distribution, correlated based on historical relationships, with annual rebalancing over a 30-year projection horizon.</p>
               </div>
               <div>
                 <p className="mb-0.5"><strong>Success Definition:</strong> Portfolio maintains positive balance throughout the projection period.</p>
@@ -1518,6 +1566,10 @@ export const ArchitectPage = ({
           {activeTab === 'montecarlo' && (
             <MonteCarloTab
               monteCarloData={monteCarloData}
+              historicalBacktestData={historicalBacktestData}
+              bootstrapMonteCarloData={bootstrapMonteCarloData}
+              fullSSMonteCarloData={fullSSMonteCarloData}
+              onInputChange={onInputChange}
               rebalanceFreq={rebalanceFreq}
               onSetRebalanceFreq={onSetRebalanceFreq}
               assumptions={assumptions}
@@ -1530,6 +1582,7 @@ export const ArchitectPage = ({
               basePlan={basePlan}
               vaAdjustedBasePlan={vaAdjustedBasePlan}
               clientInfo={clientInfo}
+              simulationStatus={simulationStatus}
             />
           )}
 
@@ -1544,6 +1597,7 @@ export const ArchitectPage = ({
               useManualAllocation={useManualAllocation}
               manualAllocations={manualAllocations}
               ssAnalysis={ssAnalysis}
+              ssPartnerAnalysis={ssPartnerAnalysis}
               ssBreakevenResults={ssBreakevenResults}
               clientOutcomes={ssOutcomesForDisplay}
               clientWinner={ssWinnerForDisplay}
@@ -1592,9 +1646,11 @@ export const ArchitectPage = ({
               onSetOptimizerRebalanceFreq={onSetOptimizerRebalanceFreq}
               clientInfo={clientInfo}
               assumptions={assumptions}
+              rebalanceTargets={rebalanceTargets}
               vaEnabled={vaEnabled}
               vaInputs={vaInputs}
               vaOptimizerData={vaOptimizerData}
+              simulationStatus={simulationStatus}
             />
           )}
 
@@ -2038,7 +2094,7 @@ export const ArchitectPage = ({
       {/* PRINT PAGE 5: Portfolio Sustainability */}
       <PrintPageWrapper pageNumber={5} totalPages={totalPrintPages} title="Portfolio Sustainability" subtitle={
         (printOptions?.mode === 'montecarlo'
-          ? `Monte Carlo simulation — ${(monteCarloData?.successRate || 0).toFixed(0)}% success rate (1,000 scenarios)`
+          ? `Monte Carlo simulation — ${(monteCarloData?.successRate || 0).toFixed(0)}% success rate (${mcIterationsLabel} scenarios)`
           : 'Deterministic projection') +
         (inputs.taxEnabled ? ' with estimated taxes' : '')
       }>
@@ -2149,7 +2205,7 @@ export const ArchitectPage = ({
       {/* SS Optimization moved before Distribution Strategy */}
 
       {/* PRINT PAGE: Monte Carlo Simulation (hidden when Monte Carlo is already the print mode) */}
-      {printOptions?.mode !== 'montecarlo' && <PrintPageWrapper pageNumber={7 + cashFlowPageCount} totalPages={totalPrintPages} title="Monte Carlo Simulation" subtitle="Probability analysis based on 1,000 market scenarios">
+      {printOptions?.mode !== 'montecarlo' && monteCarloData && <PrintPageWrapper pageNumber={7 + cashFlowPageCount} totalPages={totalPrintPages} title="Monte Carlo Simulation" subtitle={`Probability analysis based on ${mcIterationsLabel} market scenarios`}>
         {/* Success Rate */}
         <div className={`${monteCarloData.successRate >= 85 ? 'bg-mwm-green' : monteCarloData.successRate >= 65 ? 'bg-orange-500' : 'bg-red-500'} text-white p-6 rounded-lg mb-4`}>
           <div className="flex items-center justify-between">
@@ -2178,7 +2234,7 @@ export const ArchitectPage = ({
 
         <div className="bg-slate-100 p-4 rounded-lg text-[13px]">
           <p className="text-slate-700">
-            <strong>How to interpret:</strong> This simulation runs 1,000 random market scenarios using historical return patterns.
+            <strong>How to interpret:</strong> This simulation runs {mcIterationsLabel} random market scenarios using historical return patterns.
             The shaded area shows the range between best (90th percentile) and worst (10th percentile) outcomes.
             A success rate above 85% indicates a robust retirement plan.
           </p>
@@ -2291,7 +2347,7 @@ export const ArchitectPage = ({
         </div>
 
         <div className="mt-4 bg-slate-100 p-3 rounded-lg text-[13px] text-slate-500">
-          <p><strong>Note:</strong> Success rates are based on 1,000-iteration Monte Carlo simulations. Legacy values represent median outcomes. Actual results will vary based on market conditions and personal circumstances.</p>
+          <p><strong>Note:</strong> Success rates are based on {mcIterationsLabel}-iteration Monte Carlo simulations. Legacy values represent median outcomes. Actual results will vary based on market conditions and personal circumstances.</p>
         </div>
       </PrintPageWrapper>}
 
@@ -2649,13 +2705,16 @@ export const ArchitectPage = ({
             {inputs.taxEnabled && (
               <div className="border border-slate-200 rounded-lg p-3 text-center">
                 <p className="text-[10px] text-slate-500 uppercase font-semibold mb-1">Est. Heir Tax Burden</p>
-                <p className="text-2xl font-bold text-red-600">({execSummaryPrint.fmtShort(execSummaryPrint.current.heirTax)})</p>
-                <p className="text-[9px] text-slate-400 mt-0.5">{Math.round(execSummaryPrint.heirFederalRate * 100)}% fed + {(execSummaryPrint.heirStateRate * 100).toFixed(1)}% state on tax-deferred</p>
+                <p className="text-2xl font-bold text-red-600">({execSummaryPrint.fmtShort(execSummaryPrint.current.heirTax + execSummaryPrint.current.estateTax)})</p>
+                <p className="text-[9px] text-slate-400 mt-0.5">{inputs.beneficiaries?.length > 0 ? "Beneficiaries' own rates on tax-deferred" : `${Math.round(execSummaryPrint.heirFederalRate * 100)}% fed + ${(execSummaryPrint.heirStateRate * 100).toFixed(1)}% state on tax-deferred`}{execSummaryPrint.current.estateTax > 0 ? `, plus ${execSummaryPrint.fmtShort(execSummaryPrint.current.estateTax)} estate tax` : ''}</p>
               </div>
             )}
             <div className={`rounded-lg p-3 text-center ${inputs.taxEnabled ? 'bg-mwm-green/10 border border-mwm-green/30' : 'border border-slate-200'}`}>
               <p className="text-[10px] text-slate-500 uppercase font-semibold mb-1">{inputs.taxEnabled ? 'After-Tax Legacy' : 'Legacy Balance'}</p>
               <p className="text-2xl font-bold text-mwm-green">{execSummaryPrint.fmtShort(inputs.taxEnabled ? execSummaryPrint.current.afterTaxLegacy : execSummaryPrint.current.legacy)}</p>
+              {inputs.taxEnabled && (inputs.estateRealEstate > 0 || inputs.estateOtherAssets > 0) && (
+                <p className="text-[9px] text-slate-400 mt-0.5">Includes real estate and other assets</p>
+              )}
             </div>
           </div>
           {inputs.taxEnabled && execSummaryPrint.current.tradLegacy > 0 && (
@@ -2679,10 +2738,10 @@ export const ArchitectPage = ({
           <div className="mt-4 p-3 border border-slate-200 rounded-lg flex items-center justify-between">
             <div>
               <p className="text-[11px] font-bold text-slate-700">Portfolio Sustainability</p>
-              <p className="text-[10px] text-slate-500">Based on 1,000 Monte Carlo simulations through {horizonLabel}.</p>
+              <p className="text-[10px] text-slate-500">Based on {mcIterationsLabel} Monte Carlo simulations through {horizonLabel}.</p>
             </div>
-            <div className={`text-3xl font-bold ${monteCarloData.successRate >= 85 ? 'text-mwm-green' : monteCarloData.successRate >= 65 ? 'text-orange-600' : 'text-red-600'}`}>
-              {monteCarloData.successRate.toFixed(1)}%
+            <div className={`text-3xl font-bold ${(monteCarloData?.successRate || 0) >= 85 ? 'text-mwm-green' : (monteCarloData?.successRate || 0) >= 65 ? 'text-orange-600' : 'text-red-600'}`}>
+              {(monteCarloData?.successRate || 0).toFixed(1)}%
             </div>
           </div>
 
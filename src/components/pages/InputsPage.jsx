@@ -5,10 +5,76 @@ import {
   Save, Loader, CheckCircle
 } from 'lucide-react';
 
-import { estimatePIAFromIncome, STATE_TAX_DATA } from '../../utils';
+import { estimatePIAFromIncome, getImpliedPIA, getExSpouseEligibility, calculateFamilyMaximum, parseEarningsRecord, getEarningsRecordPIA, STATE_TAX_DATA, RETURN_CORRELATION_KEYS, DEFAULT_RETURN_CORRELATIONS, generateSeed, SPENDING_RULES, MORTALITY_HEALTH_MULTIPLIERS, resolveMortalityProfile, getLifeExpectancy } from '../../utils';
+import { TAX_LAW_VERSIONS, CURRENT_TAX_LAW_VERSION, TAX_RATE_PRESETS } from '../../constants/taxLaw';
+import { describeStateTaxRules, getStateRepresentativeRate, STATE_ESTATE_TAXES } from '../../constants/stateTaxes';
 import { Card, FormattedNumberInput } from '../ui';
 import { WithdrawalOverrideModal } from './architect';
 
+// Import of an SSA earnings history (my Social Security XML, statement PDF text or CSV) for
+// one spouse; shows the record-based PIA at the planned claiming age
+const EarningsRecordImport = ({ who, name, piaName, inputs, clientInfo, claimAge, onUpdateEarningsRecord, onInputChange }) => {
+  const [open, setOpen] = useState(false);
+  const [text, setText] = useState('');
+  const [error, setError] = useState('');
+  const record = inputs[name] || [];
+  const result = getEarningsRecordPIA(inputs, clientInfo, who, claimAge);
+
+  const importRecord = (contents) => {
+    const parsed = parseEarningsRecord(contents);
+    if (parsed.length === 0) {
+      setError('No earnings rows found. Expect the my Social Security XML, the statement\'s earnings table, or "year, earnings" rows.');
+      return;
+    }
+    setError('');
+    setText('');
+    setOpen(false);
+    onUpdateEarningsRecord(name, parsed);
+    const pia = getEarningsRecordPIA({ ...inputs, [name]: parsed }, clientInfo, who, claimAge)?.pia;
+    if (pia > 0) onInputChange({ target: { name: piaName, value: pia } });
+  };
+
+  return (
+    <div className="mt-1 text-xs">
+      <button type="button" onClick={() => setOpen(!open)} className="text-blue-500 hover:text-blue-700">
+        {open ? 'Hide earnings import' : record.length > 0 ? 'Replace earnings record' : 'Import SSA earnings record'}
+      </button>
+      {open && (
+        <div className="mt-1 space-y-1">
+          <input type="file" accept=".xml,.csv,.txt" className="block text-xs"
+            onChange={async (e) => { const file = e.target.files?.[0]; if (file) importRecord(await file.text()); }} />
+          <textarea value={text} onChange={e => setText(e.target.value)} rows={4}
+            placeholder={'Paste the earnings table, e.g.\n2019  $85,000  $85,000\n2020  $88,500  $88,500'}
+            className="w-full px-2 py-1 border rounded-md text-xs font-mono" />
+          <button type="button" onClick={() => importRecord(text)} className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700">
+            Import
+          </button>
+          {error && <p className="text-red-600">{error}</p>}
+        </div>
+      )}
+      {result && (
+        <div className="mt-1 p-2 bg-slate-50 rounded border border-slate-200 text-slate-600 space-y-0.5">
+          <p>
+            {record.length} years on record ({record[0].year}–{record[record.length - 1].year})
+            {result.years.some(y => y.projected) && `, pay projected to ${Math.min(claimAge, (who === 'partner' ? clientInfo.partnerRetirementAge : clientInfo.retirementAge) ?? claimAge)}`}
+          </p>
+          <p>
+            AIME ${result.aime.toLocaleString()} · bend points ${result.bendPoints[0].toLocaleString()} / ${result.bendPoints[1].toLocaleString()} ({result.eligibilityYear})
+            {result.zeroYears > 0 && <span className="text-amber-600"> · {result.zeroYears} zero years in the 35</span>}
+          </p>
+          <div className="flex items-center gap-2">
+            <span className="font-semibold text-slate-700">PIA ${result.pia.toLocaleString()}/mo (today's $, claiming at {claimAge})</span>
+            {result.pia !== inputs[piaName] && (
+              <button type="button" onClick={() => onInputChange({ target: { name: piaName, value: result.pia } })} className="text-blue-500 hover:text-blue-700">Use</button>
+            )}
+            <button type="button" onClick={() => onUpdateEarningsRecord(name, [])} className="text-slate-400 hover:text-red-500">Clear</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
 /**
  * Inputs Page - Dedicated full-page layout for all retirement planning inputs.
  * Extracted from the ArchitectPage sidebar to give inputs more space.
@@ -23,6 +89,8 @@ export const InputsPage = ({
   basePlan,
   assumptions,
   onAssumptionChange,
+  onCorrelationChange,
+  onResetCorrelations,
   onApplyHistoricalAverages,
   onApplyForwardLooking,
   onApplyConservative,
@@ -45,6 +113,25 @@ export const InputsPage = ({
   onAddCashFlowAdjustment,
   onUpdateCashFlowAdjustment,
   onRemoveCashFlowAdjustment,
+  // Tax-law what-if overrides
+  onAddTaxLawOverride,
+  onUpdateTaxLawOverride,
+  onRemoveTaxLawOverride,
+  // State relocation
+  onAddResidencyPeriod,
+  onUpdateResidencyPeriod,
+  onRemoveResidencyPeriod,
+  // Charitable giving
+  onAddCharitableGift,
+  onUpdateCharitableGift,
+  onRemoveCharitableGift,
+  onAddBeneficiary,
+  onUpdateBeneficiary,
+  onRemoveBeneficiary,
+  onUpdateEarningsRecord,
+  onAddSSChild,
+  onUpdateSSChild,
+  onRemoveSSChild,
   // 3-Way Account Split
   onAccountSplitChange,
   onWithdrawalOverrideChange,
@@ -137,6 +224,141 @@ export const InputsPage = ({
           </div>
         </div>
 
+        {/* Withdrawal Policy */}
+        <div className="mt-6 border-t border-slate-100 pt-4">
+          <div className="flex items-center justify-between">
+            <div className="relative group">
+              <label className="text-xs font-bold text-slate-500 uppercase flex items-center gap-1">
+                Withdrawal Policy <Info className="w-3 h-3 text-slate-400" />
+              </label>
+              <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-72 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                How retirement living expenses respond to markets. Fixed spends the monthly budget (plus cash flow adjustments) whatever happens; the other rules resize spending each year from the portfolio balance. Compare them side by side on the Optimizer tab.
+              </div>
+            </div>
+            <select
+              name="withdrawalPolicy"
+              value={SPENDING_RULES[inputs.withdrawalPolicy] ? inputs.withdrawalPolicy : 'fixed'}
+              onChange={(e) => onInputChange({ target: { name: 'withdrawalPolicy', value: e.target.value, type: 'text' } })}
+              className="px-3 py-1.5 text-sm border rounded-md bg-white"
+            >
+              {Object.entries(SPENDING_RULES).map(([key, rule]) => (
+                <option key={key} value={key}>{rule.label}</option>
+              ))}
+            </select>
+          </div>
+          {SPENDING_RULES[inputs.withdrawalPolicy] && (
+            <div className="text-[11px] text-slate-400 mt-1">{SPENDING_RULES[inputs.withdrawalPolicy].description}</div>
+          )}
+
+          {(inputs.withdrawalPolicy === 'constantPercent' || inputs.withdrawalPolicy === 'floorCeiling' || inputs.withdrawalPolicy === 'vpw') && (
+            <div className="mt-3 grid grid-cols-2 md:grid-cols-5 gap-3">
+              {inputs.withdrawalPolicy === 'vpw' ? (
+                <div className="relative group">
+                  <label className="text-xs text-slate-500 uppercase flex items-center gap-1">
+                    Real Return % <Info className="w-3 h-3 text-slate-400" />
+                  </label>
+                  <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-56 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                    Return above inflation used to amortize the balance over the remaining years. Higher front-loads spending.
+                  </div>
+                  <input type="number" step="0.5" min="0" name="vpwRealReturn" value={inputs.vpwRealReturn ?? 3.5} onChange={onInputChange} className="w-full px-3 py-2 text-sm border rounded-md" />
+                </div>
+              ) : (
+                <div className="relative group">
+                  <label className="text-xs text-slate-500 uppercase flex items-center gap-1">
+                    Withdrawal % <Info className="w-3 h-3 text-slate-400" />
+                  </label>
+                  <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-56 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                    Share of the start-of-year portfolio balance withdrawn for living expenses.
+                  </div>
+                  <input type="number" step="0.25" min="0" name="spendingRulePercent" value={inputs.spendingRulePercent ?? 4} onChange={onInputChange} className="w-full px-3 py-2 text-sm border rounded-md" />
+                </div>
+              )}
+              {inputs.withdrawalPolicy === 'floorCeiling' && (
+                <>
+                  <div className="relative group">
+                    <label className="text-xs text-slate-500 uppercase flex items-center gap-1">
+                      Floor % <Info className="w-3 h-3 text-slate-400" />
+                    </label>
+                    <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-56 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                      Never withdraw less than this share of the first year's withdrawal, adjusted for inflation.
+                    </div>
+                    <input type="number" step="5" min="0" name="spendingFloorPercent" value={inputs.spendingFloorPercent ?? 90} onChange={onInputChange} className="w-full px-3 py-2 text-sm border rounded-md" />
+                  </div>
+                  <div className="relative group">
+                    <label className="text-xs text-slate-500 uppercase flex items-center gap-1">
+                      Ceiling % <Info className="w-3 h-3 text-slate-400" />
+                    </label>
+                    <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-56 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                      Never withdraw more than this share of the first year's withdrawal, adjusted for inflation.
+                    </div>
+                    <input type="number" step="5" min="0" name="spendingCeilingPercent" value={inputs.spendingCeilingPercent ?? 120} onChange={onInputChange} className="w-full px-3 py-2 text-sm border rounded-md" />
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+
+          {inputs.withdrawalPolicy === 'guardrails' && (
+            <div className="mt-3 grid grid-cols-2 md:grid-cols-5 gap-3">
+              <div className="relative group">
+                <label className="text-xs text-slate-500 uppercase flex items-center gap-1">
+                  Upper Band % <Info className="w-3 h-3 text-slate-400" />
+                </label>
+                <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-56 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                  Cut spending when the withdrawal rate rises this far above its starting level (20% turns a 5% start into a 6% trigger).
+                </div>
+                <input type="number" step="5" min="0" name="guardrailUpperBand" value={inputs.guardrailUpperBand ?? 20} onChange={onInputChange} className="w-full px-3 py-2 text-sm border rounded-md" />
+              </div>
+              <div className="relative group">
+                <label className="text-xs text-slate-500 uppercase flex items-center gap-1">
+                  Lower Band % <Info className="w-3 h-3 text-slate-400" />
+                </label>
+                <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-56 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                  Raise spending when the withdrawal rate falls this far below its starting level (20% turns a 5% start into a 4% trigger).
+                </div>
+                <input type="number" step="5" min="0" max="99" name="guardrailLowerBand" value={inputs.guardrailLowerBand ?? 20} onChange={onInputChange} className="w-full px-3 py-2 text-sm border rounded-md" />
+              </div>
+              <div className="relative group">
+                <label className="text-xs text-slate-500 uppercase flex items-center gap-1">
+                  Cut % <Info className="w-3 h-3 text-slate-400" />
+                </label>
+                <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-56 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                  Living expenses drop by this much each year the upper guardrail is breached.
+                </div>
+                <input type="number" step="1" min="0" max="100" name="guardrailCutPercent" value={inputs.guardrailCutPercent ?? 10} onChange={onInputChange} className="w-full px-3 py-2 text-sm border rounded-md" />
+              </div>
+              <div className="relative group">
+                <label className="text-xs text-slate-500 uppercase flex items-center gap-1">
+                  Raise % <Info className="w-3 h-3 text-slate-400" />
+                </label>
+                <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-56 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                  Living expenses rise by this much each year the lower guardrail is breached.
+                </div>
+                <input type="number" step="1" min="0" name="guardrailRaisePercent" value={inputs.guardrailRaisePercent ?? 10} onChange={onInputChange} className="w-full px-3 py-2 text-sm border rounded-md" />
+              </div>
+              <div className="relative group">
+                <label className="text-xs text-slate-500 uppercase flex items-center gap-1">
+                  Inflation Freeze <Info className="w-3 h-3 text-slate-400" />
+                </label>
+                <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-56 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                  Skip the next year's inflation raise after a year in which the portfolio lost money.
+                </div>
+                <button
+                  type="button"
+                  onClick={() => onInputChange({ target: { name: 'guardrailInflationFreeze', type: 'checkbox', checked: !(inputs.guardrailInflationFreeze ?? true) } })}
+                  className={`w-full px-3 py-2 text-xs rounded font-medium transition-all ${
+                    (inputs.guardrailInflationFreeze ?? true)
+                      ? 'bg-mwm-green text-white'
+                      : 'bg-white text-slate-600 border border-slate-300 hover:border-mwm-green/60'
+                  }`}
+                >
+                  {(inputs.guardrailInflationFreeze ?? true) ? 'On' : 'Off'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
         {/* Advanced Settings */}
         <div className="mt-6">
           <button onClick={onToggleSettings} className="text-sm text-mwm-green underline flex items-center gap-1">
@@ -179,6 +401,26 @@ export const InputsPage = ({
                 </div>
               </div>
 
+              {/* Monte Carlo Seed */}
+              <div className="relative group mt-3">
+                <label className="text-xs font-bold text-slate-500 uppercase flex items-center gap-1">
+                  Monte Carlo Seed <Info className="w-3 h-3 text-slate-400" />
+                </label>
+                <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-64 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                  Saved with the plan so every reopen, printed report and Executive Summary shows the same simulated markets. Changing it draws a new set of 1,000 market paths.
+                </div>
+                <div className="flex items-center gap-2">
+                  <input type="number" step="1" min="0" name="monteCarloSeed" value={inputs.monteCarloSeed ?? ''} onChange={onInputChange} className="w-full px-3 py-2 text-sm border rounded-md" />
+                  <button
+                    type="button"
+                    onClick={() => onInputChange({ target: { name: 'monteCarloSeed', value: generateSeed(), type: 'number' } })}
+                    className="px-3 py-2 text-xs bg-white text-slate-600 border border-slate-300 rounded hover:border-mwm-green/60 whitespace-nowrap font-medium"
+                  >
+                    <RefreshCcw className="w-3.5 h-3.5 inline mr-1" />New Seed
+                  </button>
+                </div>
+              </div>
+
               {/* Benchmark Toggle */}
               <div className="flex items-center justify-between mt-3">
                 <label className="text-xs font-bold text-slate-500 uppercase">Show Passive 60/40 Benchmark</label>
@@ -233,7 +475,7 @@ export const InputsPage = ({
                           State <Info className="w-3 h-3 text-slate-400" />
                         </label>
                         <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-56 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
-                          Retirement state. Sets tax rate and Social Security taxability automatically.
+                          Retirement state. Applies its brackets, deductions, Social Security rules, pension/IRA exclusions and any local income tax.
                         </div>
                         <select
                           name="stateCode"
@@ -242,8 +484,9 @@ export const InputsPage = ({
                             const code = e.target.value;
                             const data = STATE_TAX_DATA[code];
                             onInputChange({ target: { name: 'stateCode', value: code, type: 'text' } });
+                            onInputChange({ target: { name: 'localTaxCode', value: data?.defaultLocalTax || '', type: 'text' } });
                             if (data) {
-                              onInputChange({ target: { name: 'stateRate', value: data.rate, type: 'number' } });
+                              onInputChange({ target: { name: 'stateRate', value: getStateRepresentativeRate(code, inputs.filingStatus), type: 'number' } });
                             }
                           }}
                           className="w-full px-3 py-2 text-sm border rounded-md bg-white"
@@ -253,20 +496,434 @@ export const InputsPage = ({
                             .sort((a, b) => a[1].name.localeCompare(b[1].name))
                             .map(([code, data]) => (
                               <option key={code} value={code}>
-                                {data.name} ({data.rate === 0 ? 'No tax' : data.brackets ? `up to ${data.rate}%` : `${data.rate}% flat`})
+                                {data.name} ({data.rate === 0 ? (data.capitalGainsTax ? 'Gains tax only' : 'No tax') : data.brackets ? `up to ${data.rate}%` : `${data.rate}% flat`})
                               </option>
                             ))}
                         </select>
                         {inputs.stateCode && STATE_TAX_DATA[inputs.stateCode] && (
                           <div className="text-[10px] mt-0.5 text-slate-500">
-                            {STATE_TAX_DATA[inputs.stateCode].brackets
-                              ? `Marginal brackets (top ${STATE_TAX_DATA[inputs.stateCode].rate}%)`
-                              : `${STATE_TAX_DATA[inputs.stateCode].rate}% flat rate`}
-                            {STATE_TAX_DATA[inputs.stateCode].ssTaxable
-                              ? ' • Taxes Social Security'
-                              : ' • SS exempt'}
+                            {STATE_TAX_DATA[inputs.stateCode].rate > 0 && (
+                              <div>
+                                {STATE_TAX_DATA[inputs.stateCode].brackets
+                                  ? `Marginal brackets (top ${STATE_TAX_DATA[inputs.stateCode].rate}%)`
+                                  : `${STATE_TAX_DATA[inputs.stateCode].rate}% flat rate`}
+                              </div>
+                            )}
+                            {describeStateTaxRules(inputs.stateCode).map(line => <div key={line}>{line}</div>)}
                           </div>
                         )}
+                        {STATE_TAX_DATA[inputs.stateCode]?.localTaxes && (
+                          <select
+                            name="localTaxCode"
+                            value={inputs.localTaxCode || ''}
+                            onChange={(e) => onInputChange({ target: { name: 'localTaxCode', value: e.target.value, type: 'text' } })}
+                            className="w-full mt-1 px-2 py-1 text-xs border rounded-md bg-white"
+                          >
+                            <option value="">No local income tax</option>
+                            {Object.entries(STATE_TAX_DATA[inputs.stateCode].localTaxes).map(([key, local]) => (
+                              <option key={key} value={key}>
+                                {local.name}{local.rate ? ` (${local.rate}%)` : local.stateTaxSurcharge ? ` (${local.stateTaxSurcharge}% of state tax)` : ''}
+                              </option>
+                            ))}
+                          </select>
+                        )}
+                      </div>
+                    </div>
+
+                    {/* State Relocation */}
+                    <div>
+                      <div className="flex items-center justify-between">
+                        <div className="relative group">
+                          <label className="text-xs text-slate-400 uppercase font-semibold flex items-center gap-1">
+                            Planned Moves <Info className="w-3 h-3 text-slate-400" />
+                          </label>
+                          <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-64 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                            Change of residence by client age. The state above applies until the first move; each year is taxed by the state lived in that year.
+                          </div>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={onAddResidencyPeriod}
+                          className="flex items-center gap-1 px-2 py-1 text-xs text-mwm-green border border-mwm-green/40 rounded hover:bg-mwm-green/10"
+                        >
+                          <Plus className="w-3 h-3" /> Add
+                        </button>
+                      </div>
+                      {(inputs.residencyPeriods || []).length === 0 && (
+                        <p className="text-[10px] text-slate-400 mt-1">None — e.g. "move to Florida at 70".</p>
+                      )}
+                      {(inputs.residencyPeriods || []).map(p => (
+                        <div key={p.id} className="mt-2 p-2 bg-slate-50 rounded border border-slate-200">
+                          <div className="grid grid-cols-[1fr_5rem_auto] gap-2 items-end">
+                            <div>
+                              <label className="text-[10px] text-slate-500 uppercase">Move To</label>
+                              <select value={p.stateCode || ''} onChange={(e) => onUpdateResidencyPeriod(p.id, 'stateCode', e.target.value)}
+                                className="w-full px-1 py-1 text-xs border rounded bg-white">
+                                {Object.entries(STATE_TAX_DATA)
+                                  .sort((a, b) => a[1].name.localeCompare(b[1].name))
+                                  .map(([code, data]) => <option key={code} value={code}>{data.name}</option>)}
+                              </select>
+                            </div>
+                            <div>
+                              <label className="text-[10px] text-slate-500 uppercase">At Age</label>
+                              <input type="number" value={p.startAge ?? ''} onChange={(e) => onUpdateResidencyPeriod(p.id, 'startAge', parseInt(e.target.value) || '')}
+                                className="w-full px-2 py-1 text-xs border rounded" />
+                            </div>
+                            <button type="button" onClick={() => onRemoveResidencyPeriod(p.id)} className="text-slate-400 hover:text-red-500 pb-1">
+                              <Trash2 className="w-3.5 h-3.5" />
+                            </button>
+                          </div>
+                          {STATE_TAX_DATA[p.stateCode]?.localTaxes && (
+                            <select value={p.localTaxCode || ''} onChange={(e) => onUpdateResidencyPeriod(p.id, 'localTaxCode', e.target.value)}
+                              className="w-full mt-1 px-2 py-1 text-xs border rounded-md bg-white">
+                              <option value="">No local income tax</option>
+                              {Object.entries(STATE_TAX_DATA[p.stateCode].localTaxes).map(([key, local]) => (
+                                <option key={key} value={key}>{local.name}</option>
+                              ))}
+                            </select>
+                          )}
+                          <div className="text-[10px] mt-1 text-slate-500">
+                            {describeStateTaxRules(p.stateCode).join(' • ')}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+
+                    {/* Charitable Giving */}
+                    <div>
+                      <div className="flex items-center justify-between">
+                        <div className="relative group">
+                          <label className="text-xs text-slate-400 uppercase font-semibold flex items-center gap-1">
+                            Charitable Giving <Info className="w-3 h-3 text-slate-400" />
+                          </label>
+                          <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-64 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                            Annual gifts in today's dollars by client age. From 71 gifts go first as QCDs from IRAs (counting toward RMDs), then as appreciated NQ shares, then cash. Cash and shares are deducted when itemizing beats the standard deduction.
+                          </div>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={onAddCharitableGift}
+                          className="flex items-center gap-1 px-2 py-1 text-xs text-mwm-green border border-mwm-green/40 rounded hover:bg-mwm-green/10"
+                        >
+                          <Plus className="w-3 h-3" /> Add
+                        </button>
+                      </div>
+                      {(inputs.charitableGifts || []).length === 0 && (
+                        <p className="text-[10px] text-slate-400 mt-1">None — e.g. "$10,000 a year to church from 65".</p>
+                      )}
+                      {(inputs.charitableGifts || []).map(g => (
+                        <div key={g.id} className="mt-2 p-2 bg-slate-50 rounded border border-slate-200">
+                          <div className="grid grid-cols-[1fr_4rem_4rem_auto] gap-2 items-end">
+                            <div>
+                              <label className="text-[10px] text-slate-500 uppercase">Per Year</label>
+                              <FormattedNumberInput value={g.amount} onChange={(e) => onUpdateCharitableGift(g.id, 'amount', e.target.value)}
+                                className="w-full px-2 py-1 text-xs border rounded" />
+                            </div>
+                            <div>
+                              <label className="text-[10px] text-slate-500 uppercase">From</label>
+                              <input type="number" value={g.startAge ?? ''} onChange={(e) => onUpdateCharitableGift(g.id, 'startAge', parseInt(e.target.value) || '')}
+                                className="w-full px-2 py-1 text-xs border rounded" />
+                            </div>
+                            <div>
+                              <label className="text-[10px] text-slate-500 uppercase">To</label>
+                              <input type="number" value={g.endAge ?? ''} onChange={(e) => onUpdateCharitableGift(g.id, 'endAge', parseInt(e.target.value) || '')}
+                                className="w-full px-2 py-1 text-xs border rounded" />
+                            </div>
+                            <button type="button" onClick={() => onRemoveCharitableGift(g.id)} className="text-slate-400 hover:text-red-500 pb-1">
+                              <Trash2 className="w-3.5 h-3.5" />
+                            </button>
+                          </div>
+                        </div>
+                      ))}
+                      <div className="grid grid-cols-2 gap-2 mt-2">
+                        <div className="relative group">
+                          <label className="text-[10px] text-slate-500 uppercase flex items-center gap-1">
+                            DAF Bunching <Info className="w-3 h-3 text-slate-400" />
+                          </label>
+                          <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-64 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                            Before QCD age, fund a donor-advised fund with several years of gifts at once so the deduction clears the standard deduction; the years in between take the standard deduction.
+                          </div>
+                          <select
+                            name="charitableBunchYears"
+                            value={inputs.charitableBunchYears || 1}
+                            onChange={onInputChange}
+                            className="w-full px-2 py-1 text-xs border rounded bg-white"
+                          >
+                            <option value={1}>Give every year</option>
+                            <option value={2}>Bunch 2 years</option>
+                            <option value={3}>Bunch 3 years</option>
+                            <option value={5}>Bunch 5 years</option>
+                          </select>
+                        </div>
+                        <div className="relative group">
+                          <label className="text-[10px] text-slate-500 uppercase flex items-center gap-1">
+                            Other Itemized <Info className="w-3 h-3 text-slate-400" />
+                          </label>
+                          <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-64 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                            Annual SALT, mortgage interest and other itemized deductions in today's dollars, added to charitable gifts when comparing against the standard deduction.
+                          </div>
+                          <FormattedNumberInput name="itemizedDeductions" value={inputs.itemizedDeductions || 0} onChange={onInputChange}
+                            className="w-full px-2 py-1 text-xs border rounded" />
+                        </div>
+                      </div>
+                    </div>
+
+                    {/* Estate */}
+                    <div>
+                      <div className="relative group">
+                        <label className="text-xs text-slate-400 uppercase font-semibold flex items-center gap-1">
+                          Estate <Info className="w-3 h-3 text-slate-400" />
+                        </label>
+                        <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-64 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                          Assets outside the portfolio that count toward the gross estate. Estate tax is projected at the last death against the federal exemption, plus the first spouse's unused exemption when portability is elected.
+                        </div>
+                      </div>
+                      <div className="grid grid-cols-3 gap-2 mt-1">
+                        <div>
+                          <label className="text-[10px] text-slate-500 uppercase">Real Estate</label>
+                          <FormattedNumberInput name="estateRealEstate" value={inputs.estateRealEstate || 0} onChange={onInputChange}
+                            className="w-full px-2 py-1 text-xs border rounded" />
+                        </div>
+                        <div>
+                          <label className="text-[10px] text-slate-500 uppercase">Growth %</label>
+                          <input type="number" step="0.5" name="estateRealEstateGrowth" value={inputs.estateRealEstateGrowth ?? 3} onChange={onInputChange}
+                            className="w-full px-2 py-1 text-xs border rounded" />
+                        </div>
+                        <div>
+                          <label className="text-[10px] text-slate-500 uppercase">Other Assets</label>
+                          <FormattedNumberInput name="estateOtherAssets" value={inputs.estateOtherAssets || 0} onChange={onInputChange}
+                            className="w-full px-2 py-1 text-xs border rounded" />
+                        </div>
+                      </div>
+                      {clientInfo.isMarried && (
+                        <label className="flex items-center gap-2 mt-2 text-xs text-slate-600">
+                          <input type="checkbox" name="estatePortability" checked={inputs.estatePortability !== false} onChange={onInputChange} />
+                          Elect portability at the first death
+                        </label>
+                      )}
+                      <p className="text-[10px] text-slate-400 mt-1">
+                        {STATE_ESTATE_TAXES[inputs.stateCode]
+                          ? `${STATE_TAX_DATA[inputs.stateCode].name} estate tax applies above ${STATE_ESTATE_TAXES[inputs.stateCode].exemption === 'federal' ? 'the federal exemption' : `$${STATE_ESTATE_TAXES[inputs.stateCode].exemption.toLocaleString()}`} (up to ${Math.max(...STATE_ESTATE_TAXES[inputs.stateCode].brackets.map(b => b.rate))}%).`
+                          : `${STATE_TAX_DATA[inputs.stateCode]?.name || 'Your state'} has no estate tax; only the federal tax applies.`}
+                      </p>
+                    </div>
+
+                    {/* Beneficiaries */}
+                    <div>
+                      <div className="flex items-center justify-between">
+                        <div className="relative group">
+                          <label className="text-xs text-slate-400 uppercase font-semibold flex items-center gap-1">
+                            Beneficiaries <Info className="w-3 h-3 text-slate-400" />
+                          </label>
+                          <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-64 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                            Heirs of the pre-tax accounts. Each empties their share over 10 years (SECURE Act) on top of their own income, taxed at their own brackets and state. Without beneficiaries heirs are taxed at a flat 24% plus your state rate.
+                          </div>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={onAddBeneficiary}
+                          className="flex items-center gap-1 px-2 py-1 text-xs text-mwm-green border border-mwm-green/40 rounded hover:bg-mwm-green/10"
+                        >
+                          <Plus className="w-3 h-3" /> Add
+                        </button>
+                      </div>
+                      {(inputs.beneficiaries || []).length === 0 && (
+                        <p className="text-[10px] text-slate-400 mt-1">None — heirs taxed at a flat rate.</p>
+                      )}
+                      {(inputs.beneficiaries || []).map(b => (
+                        <div key={b.id} className="mt-2 p-2 bg-slate-50 rounded border border-slate-200 space-y-2">
+                          <div className="flex items-center gap-2">
+                            <input
+                              type="text"
+                              value={b.name || ''}
+                              placeholder="Beneficiary name"
+                              onChange={(e) => onUpdateBeneficiary(b.id, 'name', e.target.value)}
+                              className="flex-1 px-2 py-1 text-xs border rounded"
+                            />
+                            <button type="button" onClick={() => onRemoveBeneficiary(b.id)} className="text-slate-400 hover:text-red-500">
+                              <Trash2 className="w-3.5 h-3.5" />
+                            </button>
+                          </div>
+                          <div className="grid grid-cols-3 gap-2">
+                            <div>
+                              <label className="text-[10px] text-slate-500 uppercase">Share %</label>
+                              <input type="number" value={b.share ?? ''} onChange={(e) => onUpdateBeneficiary(b.id, 'share', parseFloat(e.target.value) || 0)}
+                                className="w-full px-2 py-1 text-xs border rounded" />
+                            </div>
+                            <div>
+                              <label className="text-[10px] text-slate-500 uppercase">Age Today</label>
+                              <input type="number" value={b.age ?? ''} onChange={(e) => onUpdateBeneficiary(b.id, 'age', parseInt(e.target.value) || 0)}
+                                className="w-full px-2 py-1 text-xs border rounded" />
+                            </div>
+                            <div>
+                              <label className="text-[10px] text-slate-500 uppercase">Income</label>
+                              <FormattedNumberInput value={b.annualIncome || 0} onChange={(e) => onUpdateBeneficiary(b.id, 'annualIncome', e.target.value)}
+                                className="w-full px-2 py-1 text-xs border rounded" />
+                            </div>
+                            <div>
+                              <label className="text-[10px] text-slate-500 uppercase">Filing</label>
+                              <select value={b.filingStatus || 'single'} onChange={(e) => onUpdateBeneficiary(b.id, 'filingStatus', e.target.value)}
+                                className="w-full px-1 py-1 text-xs border rounded bg-white">
+                                <option value="single">Single</option>
+                                <option value="married">Married</option>
+                              </select>
+                            </div>
+                            <div className="col-span-2">
+                              <label className="text-[10px] text-slate-500 uppercase">State</label>
+                              <select value={b.stateCode || ''} onChange={(e) => onUpdateBeneficiary(b.id, 'stateCode', e.target.value)}
+                                className="w-full px-1 py-1 text-xs border rounded bg-white">
+                                <option value="">No state tax</option>
+                                {Object.entries(STATE_TAX_DATA)
+                                  .sort((a, b) => a[1].name.localeCompare(b[1].name))
+                                  .map(([code, data]) => <option key={code} value={code}>{data.name}</option>)}
+                              </select>
+                            </div>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+
+                    {/* Tax Law Version & What-If Overrides */}
+                    <div>
+                      <div className="relative group">
+                        <label className="text-xs text-slate-500 uppercase flex items-center gap-1">
+                          Tax Law <Info className="w-3 h-3 text-slate-400" />
+                        </label>
+                        <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-64 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                          Federal brackets, deductions, IRMAA and SS figures. Each year uses the law in force that year, including scheduled sunsets. "Law when saved" recomputes the plan exactly as it was last presented.
+                        </div>
+                        <select
+                          name="taxLawVersion"
+                          value={inputs.taxLawVersion || ''}
+                          onChange={(e) => onInputChange({ target: { name: 'taxLawVersion', value: e.target.value, type: 'text' } })}
+                          className="w-full px-3 py-2 text-sm border rounded-md bg-white"
+                        >
+                          <option value="">Current law ({TAX_LAW_VERSIONS[CURRENT_TAX_LAW_VERSION].label})</option>
+                          <option value="saved">Law when saved ({inputs.taxLawSavedVersion || CURRENT_TAX_LAW_VERSION})</option>
+                          {Object.entries(TAX_LAW_VERSIONS).map(([id, version]) => (
+                            <option key={id} value={id}>{id} — {version.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                      {(() => {
+                        const versionId = inputs.taxLawVersion === 'saved' ? inputs.taxLawSavedVersion : inputs.taxLawVersion;
+                        const notes = (TAX_LAW_VERSIONS[versionId] || TAX_LAW_VERSIONS[CURRENT_TAX_LAW_VERSION]).scheduleNotes || [];
+                        return notes.length > 0 && (
+                          <div className="text-[10px] mt-0.5 text-slate-500">Scheduled: {notes.join(' • ')}</div>
+                        );
+                      })()}
+
+                      <div className="flex items-center justify-between mt-3">
+                        <label className="text-xs text-slate-400 uppercase font-semibold">What-If Law Changes</label>
+                        <button
+                          type="button"
+                          onClick={onAddTaxLawOverride}
+                          className="flex items-center gap-1 px-2 py-1 text-xs text-mwm-green border border-mwm-green/40 rounded hover:bg-mwm-green/10"
+                        >
+                          <Plus className="w-3 h-3" /> Add
+                        </button>
+                      </div>
+                      {(inputs.taxLawOverrides || []).length === 0 && (
+                        <p className="text-[10px] text-slate-400 mt-1">None — e.g. "rates rise 3 points from 2030".</p>
+                      )}
+                      {(inputs.taxLawOverrides || []).map(o => (
+                        <div key={o.id} className="mt-2 p-2 bg-slate-50 rounded border border-slate-200 space-y-2">
+                          <div className="flex items-center gap-2">
+                            <input
+                              type="text"
+                              value={o.label || ''}
+                              placeholder="Scenario name"
+                              onChange={(e) => onUpdateTaxLawOverride(o.id, 'label', e.target.value)}
+                              className="flex-1 px-2 py-1 text-xs border rounded"
+                            />
+                            <button type="button" onClick={() => onRemoveTaxLawOverride(o.id)} className="text-slate-400 hover:text-red-500">
+                              <Trash2 className="w-3.5 h-3.5" />
+                            </button>
+                          </div>
+                          <div className="grid grid-cols-3 gap-2">
+                            <div>
+                              <label className="text-[10px] text-slate-500 uppercase">From Year</label>
+                              <input type="number" value={o.startYear ?? ''} onChange={(e) => onUpdateTaxLawOverride(o.id, 'startYear', parseInt(e.target.value) || null)}
+                                className="w-full px-2 py-1 text-xs border rounded" />
+                            </div>
+                            <div>
+                              <label className="text-[10px] text-slate-500 uppercase">Through</label>
+                              <input type="number" value={o.endYear ?? ''} placeholder="Ongoing" onChange={(e) => onUpdateTaxLawOverride(o.id, 'endYear', parseInt(e.target.value) || null)}
+                                className="w-full px-2 py-1 text-xs border rounded" />
+                            </div>
+                            <div>
+                              <label className="text-[10px] text-slate-500 uppercase">Rate Schedule</label>
+                              <select value={o.ratePreset || ''} onChange={(e) => onUpdateTaxLawOverride(o.id, 'ratePreset', e.target.value)}
+                                className="w-full px-1 py-1 text-xs border rounded bg-white">
+                                {Object.entries(TAX_RATE_PRESETS).map(([key, preset]) => (
+                                  <option key={key} value={key}>{preset.label}</option>
+                                ))}
+                              </select>
+                            </div>
+                            <div>
+                              <label className="text-[10px] text-slate-500 uppercase">Ordinary ± pts</label>
+                              <input type="number" step="0.5" value={o.ordinaryRateDelta ?? 0} onChange={(e) => onUpdateTaxLawOverride(o.id, 'ordinaryRateDelta', parseFloat(e.target.value) || 0)}
+                                className="w-full px-2 py-1 text-xs border rounded" />
+                            </div>
+                            <div>
+                              <label className="text-[10px] text-slate-500 uppercase">LTCG ± pts</label>
+                              <input type="number" step="0.5" value={o.qdivRateDelta ?? 0} onChange={(e) => onUpdateTaxLawOverride(o.id, 'qdivRateDelta', parseFloat(e.target.value) || 0)}
+                                className="w-full px-2 py-1 text-xs border rounded" />
+                            </div>
+                            <div>
+                              <label className="text-[10px] text-slate-500 uppercase">Std Ded ± %</label>
+                              <input type="number" step="5" value={o.deductionChangePercent ?? 0} onChange={(e) => onUpdateTaxLawOverride(o.id, 'deductionChangePercent', parseFloat(e.target.value) || 0)}
+                                className="w-full px-2 py-1 text-xs border rounded" />
+                            </div>
+                          </div>
+                          <label className="flex items-center gap-2 text-xs text-slate-600">
+                            <input type="checkbox" checked={!!o.extendSeniorDeduction} onChange={(e) => onUpdateTaxLawOverride(o.id, 'extendSeniorDeduction', e.target.checked)} />
+                            Extend the OBBBA senior deduction
+                          </label>
+                          <label className="flex items-center gap-2 text-xs text-slate-600">
+                            <input type="checkbox" checked={!!o.enhancedAcaCredits} onChange={(e) => onUpdateTaxLawOverride(o.id, 'enhancedAcaCredits', e.target.checked)} />
+                            Restore the enhanced ACA credits (no 400% FPL cliff)
+                          </label>
+                          <label className="flex items-center gap-2 text-xs text-slate-600">
+                            <input type="checkbox" checked={!!o.reinstateWepGpo} onChange={(e) => onUpdateTaxLawOverride(o.id, 'reinstateWepGpo', e.target.checked)} />
+                            Reinstate WEP / GPO (Social Security Fairness Act undone)
+                          </label>
+                          <div className="flex items-center gap-2">
+                            <label className="text-[10px] text-slate-500 uppercase whitespace-nowrap">Estate Exemption $</label>
+                            <input type="number" step="1000000" value={o.estateExemption ?? ''} placeholder="Unchanged ($15M)"
+                              onChange={(e) => onUpdateTaxLawOverride(o.id, 'estateExemption', e.target.value === '' ? null : parseFloat(e.target.value))}
+                              className="flex-1 px-2 py-1 text-xs border rounded" />
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+
+                    {/* AMT Preference Items */}
+                    <div>
+                      <div className="relative group">
+                        <label className="text-xs text-slate-400 uppercase font-semibold flex items-center gap-1">
+                          AMT Preference Items <Info className="w-3 h-3 text-slate-400" />
+                        </label>
+                        <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-64 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                          Income that only the Alternative Minimum Tax counts. The ISO bargain element (market value less strike price at exercise) is added in the exercise year; private-activity bond interest is added every year.
+                        </div>
+                      </div>
+                      <div className="grid grid-cols-3 gap-2 mt-1">
+                        <div>
+                          <label className="text-[10px] text-slate-500 uppercase">ISO Spread</label>
+                          <FormattedNumberInput name="amtIsoBargainElement" value={inputs.amtIsoBargainElement || 0} onChange={onInputChange}
+                            className="w-full px-2 py-1 text-xs border rounded" />
+                        </div>
+                        <div>
+                          <label className="text-[10px] text-slate-500 uppercase">Exercise Age</label>
+                          <input type="number" name="amtIsoExerciseAge" value={inputs.amtIsoExerciseAge || ''} onChange={onInputChange}
+                            placeholder="—" className="w-full px-2 py-1 text-xs border rounded" />
+                        </div>
+                        <div>
+                          <label className="text-[10px] text-slate-500 uppercase">PAB Interest / Yr</label>
+                          <FormattedNumberInput name="amtPrivateBondInterest" value={inputs.amtPrivateBondInterest || 0} onChange={onInputChange}
+                            className="w-full px-2 py-1 text-xs border rounded" />
+                        </div>
                       </div>
                     </div>
 
@@ -396,6 +1053,55 @@ export const InputsPage = ({
             </div>
           )}
         </div>
+        {/* Mortality table profile — drives stochastic mortality in Monte Carlo */}
+        <div className="mt-5 pt-4 border-t border-slate-100">
+          <div className="relative group inline-block mb-3">
+            <label className="text-xs font-bold text-slate-500 uppercase flex items-center gap-1">
+              Mortality Table <Info className="w-3 h-3 text-slate-400" />
+            </label>
+            <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-72 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+              With Stochastic Mortality on (Monte Carlo tab), each iteration draws death ages from the SSA period life table for this sex and health instead of using the ages above. Health scales every year's death rate.
+            </div>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {[
+              { key: 'client', label: clientInfo.name || 'Client', age: clientInfo.currentAge, sexField: 'mortalityClientSex', healthField: 'mortalityClientHealth' },
+              ...(clientInfo.isMarried
+                ? [{ key: 'partner', label: clientInfo.partnerName || 'Partner', age: clientInfo.partnerAge, sexField: 'mortalityPartnerSex', healthField: 'mortalityPartnerHealth' }]
+                : [])
+            ].map(person => {
+              const profile = resolveMortalityProfile(inputs)[person.key];
+              const tableDeathAge = person.age ? Math.round(person.age + getLifeExpectancy(person.age, profile.sex, profile.multiplier)) : null;
+              return (
+                <div key={person.key} className="flex flex-wrap items-center gap-2 text-sm">
+                  <span className="font-medium text-slate-700 w-24 truncate">{person.label}</span>
+                  <select
+                    name={person.sexField}
+                    value={profile.sex}
+                    onChange={(e) => onInputChange({ target: { name: person.sexField, value: e.target.value, type: 'text' } })}
+                    className="px-2 py-1.5 text-sm border rounded-md bg-white"
+                  >
+                    <option value="male">Male</option>
+                    <option value="female">Female</option>
+                  </select>
+                  <select
+                    name={person.healthField}
+                    value={MORTALITY_HEALTH_MULTIPLIERS[inputs[person.healthField]] ? inputs[person.healthField] : 'average'}
+                    onChange={(e) => onInputChange({ target: { name: person.healthField, value: e.target.value, type: 'text' } })}
+                    className="px-2 py-1.5 text-sm border rounded-md bg-white"
+                  >
+                    {Object.entries(MORTALITY_HEALTH_MULTIPLIERS).map(([key, h]) => (
+                      <option key={key} value={key}>{h.label} health</option>
+                    ))}
+                  </select>
+                  {tableDeathAge && (
+                    <span className="text-[11px] text-slate-400">Table life expectancy: age {tableDeathAge}</span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
       </Card>
 
       {/* Social Security Card */}
@@ -428,6 +1134,10 @@ export const InputsPage = ({
                   {showSSEstimator ? 'Hide estimator' : 'Estimate from income'}
                 </button>
               )}
+              {!inputs.ssCurrentlyReceiving && (
+                <EarningsRecordImport who="client" name="ssEarningsRecord" piaName="ssPIA" inputs={inputs} clientInfo={clientInfo}
+                  claimAge={inputs.ssStartAge} onUpdateEarningsRecord={onUpdateEarningsRecord} onInputChange={onInputChange} />
+              )}
             </div>
             <div className="relative group">
               <label className="text-xs font-bold text-slate-500 uppercase flex items-center gap-1">
@@ -481,6 +1191,10 @@ export const InputsPage = ({
                       {showPartnerSSEstimator ? 'Hide estimator' : 'Estimate from income'}
                     </button>
                   )}
+                  {!inputs.partnerSSCurrentlyReceiving && (
+                    <EarningsRecordImport who="partner" name="partnerSSEarningsRecord" piaName="partnerSSPIA" inputs={inputs} clientInfo={clientInfo}
+                      claimAge={inputs.partnerSSStartAge} onUpdateEarningsRecord={onUpdateEarningsRecord} onInputChange={onInputChange} />
+                  )}
                 </div>
                 <div className="relative group">
                   <label className="text-xs font-bold text-slate-500 uppercase flex items-center gap-1">
@@ -515,6 +1229,105 @@ export const InputsPage = ({
               )}
             </>
           )}
+
+          {/* Divorced spouse and children */}
+          <div className="border-t border-slate-100 pt-4 mt-4">
+            <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer">
+              <input
+                type="checkbox"
+                name="exSpouseEnabled"
+                checked={inputs.exSpouseEnabled || false}
+                onChange={onInputChange}
+                className="w-4 h-4 rounded border-slate-300 text-mwm-green"
+              />
+              {clientInfo.name || 'Client'} was previously married (ex-spouse's record)
+            </label>
+            {inputs.exSpouseEnabled && (() => {
+              const eligibility = getExSpouseEligibility(inputs, clientInfo.isMarried);
+              return (
+                <div className="mt-3 space-y-3">
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    <div>
+                      <label className="text-xs font-bold text-slate-500 uppercase">Ex's Benefit @ FRA</label>
+                      <FormattedNumberInput name="exSpousePIA" value={inputs.exSpousePIA} onChange={onInputChange} className="w-full px-3 py-2 border rounded-md text-sm" />
+                    </div>
+                    <div>
+                      <label className="text-xs font-bold text-slate-500 uppercase">Ex's Age Today</label>
+                      <input type="number" name="exSpouseAge" value={inputs.exSpouseAge} onChange={onInputChange} className="w-full px-3 py-2 border rounded-md text-sm" />
+                    </div>
+                    <div>
+                      <label className="text-xs font-bold text-slate-500 uppercase">Years Married</label>
+                      <input type="number" name="exSpouseMarriageYears" value={inputs.exSpouseMarriageYears} onChange={onInputChange} className="w-full px-3 py-2 border rounded-md text-sm" />
+                    </div>
+                    <div>
+                      <label className="text-xs font-bold text-slate-500 uppercase">Ex's Life Expectancy</label>
+                      <input type="number" name="exSpouseExpectedDeathAge" value={inputs.exSpouseExpectedDeathAge} onChange={onInputChange} disabled={inputs.exSpouseDeceased}
+                        className="w-full px-3 py-2 border rounded-md text-sm disabled:bg-slate-100" />
+                    </div>
+                  </div>
+                  <div className="flex flex-wrap gap-x-6 gap-y-2">
+                    <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer">
+                      <input type="checkbox" name="exSpouseDeceased" checked={inputs.exSpouseDeceased || false} onChange={onInputChange}
+                        className="w-4 h-4 rounded border-slate-300 text-mwm-green" />
+                      Ex-spouse is deceased
+                    </label>
+                    {clientInfo.isMarried && (
+                      <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer">
+                        <input type="checkbox" name="clientRemarriedAfter60" checked={inputs.clientRemarriedAfter60 || false} onChange={onInputChange}
+                          className="w-4 h-4 rounded border-slate-300 text-mwm-green" />
+                        Remarried at 60 or later
+                      </label>
+                    )}
+                  </div>
+                  <p className={`text-xs ${eligibility.spousal || eligibility.survivor ? 'text-slate-500' : 'text-red-600'}`}>
+                    {eligibility.reason
+                      ?? 'Eligible for divorced-spouse benefits once the ex turns 62, and for survivor benefits after the ex dies. They do not reduce the ex\'s or their family\'s benefits.'}
+                  </p>
+                </div>
+              );
+            })()}
+          </div>
+
+          <div className="border-t border-slate-100 pt-4">
+            <div className="flex items-center justify-between">
+              <div className="relative group">
+                <p className="text-xs font-semibold text-slate-500 uppercase flex items-center gap-1">
+                  Dependent Children <Info className="w-3 h-3 text-slate-400" />
+                </p>
+                <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-64 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                  Children under 18 (or disabled before 22) receive 50% of the PIA once benefits start, 75% as survivors. A spouse caring for a child under 16 is paid at any age without reduction. All are limited by the family maximum. A couple's children draw on whichever parent's record pays the family more.
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={onAddSSChild}
+                className="flex items-center gap-1 px-2 py-1 text-xs text-mwm-green border border-mwm-green/40 rounded hover:bg-mwm-green/10"
+              >
+                <Plus className="w-3 h-3" /> Add
+              </button>
+            </div>
+            {(inputs.ssChildren || []).map(c => (
+              <div key={c.id} className="mt-2 flex items-center gap-2">
+                <input type="text" value={c.name || ''} placeholder="Child's name" onChange={(e) => onUpdateSSChild(c.id, 'name', e.target.value)}
+                  className="flex-1 px-2 py-1 text-xs border rounded" />
+                <label className="text-[10px] text-slate-500 uppercase">Age</label>
+                <input type="number" value={c.age ?? ''} onChange={(e) => onUpdateSSChild(c.id, 'age', parseInt(e.target.value) || 0)}
+                  className="w-16 px-2 py-1 text-xs border rounded" />
+                <label className="flex items-center gap-1 text-xs text-slate-600 cursor-pointer">
+                  <input type="checkbox" checked={!!c.disabled} onChange={(e) => onUpdateSSChild(c.id, 'disabled', e.target.checked)} />
+                  Disabled
+                </label>
+                <button type="button" onClick={() => onRemoveSSChild(c.id)} className="text-slate-400 hover:text-red-500">
+                  <Trash2 className="w-3.5 h-3.5" />
+                </button>
+              </div>
+            ))}
+            {(inputs.ssChildren || []).length > 0 && inputs.ssPIA > 0 && (
+              <p className="text-[10px] text-slate-400 mt-2">
+                Family maximum on this record: ${Math.round(calculateFamilyMaximum(inputs.ssCurrentlyReceiving ? getImpliedPIA(inputs.ssPIA, inputs.ssStartAge) : inputs.ssPIA)).toLocaleString()}/mo
+              </p>
+            )}
+          </div>
         </div>
       </Card>
 
@@ -577,6 +1390,21 @@ export const InputsPage = ({
                 </div>
               )}
             </div>
+            <div className="mt-3 flex flex-wrap items-center gap-4">
+              <label className="flex items-center gap-2 text-xs text-slate-600 relative group">
+                <input type="checkbox" name="pensionNonCovered" checked={!!inputs.pensionNonCovered} onChange={onInputChange} />
+                Pension is from work not covered by Social Security <Info className="w-3 h-3 text-slate-400" />
+                <span className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-72 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                  Many police, fire and public-school plans pay no Social Security tax. WEP / GPO no longer reduce benefits after the Social Security Fairness Act; flagging the pension shows the before/after effect on the Social Security tab.
+                </span>
+              </label>
+              {inputs.pensionNonCovered && (
+                <label className="flex items-center gap-2 text-xs text-slate-500 uppercase">
+                  Years of SS-covered earnings
+                  <input type="number" name="ssCoveredYears" value={inputs.ssCoveredYears} onChange={onInputChange} min={0} max={40} className="w-16 px-2 py-1 border rounded-md text-sm" />
+                </label>
+              )}
+            </div>
 
             {/* DROP (Deferred Retirement Option Plan) — police/firefighter benefit */}
             <div className="mt-4 border border-mwm-gold/30 rounded-lg bg-mwm-gold/5 p-4">
@@ -709,6 +1537,21 @@ export const InputsPage = ({
                   <input type="number" name="partnerPensionSurvivorBenefitPct" value={inputs.partnerPensionSurvivorBenefitPct} onChange={onInputChange} min={0} max={100} step={5} className="w-full px-3 py-2 border rounded-md text-sm" />
                 </div>
               </div>
+              <div className="mt-3 flex flex-wrap items-center gap-4">
+                <label className="flex items-center gap-2 text-xs text-slate-600 relative group">
+                  <input type="checkbox" name="partnerPensionNonCovered" checked={!!inputs.partnerPensionNonCovered} onChange={onInputChange} />
+                  Pension is from work not covered by Social Security <Info className="w-3 h-3 text-slate-400" />
+                  <span className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-72 bg-slate-800 text-white text-xs p-2 rounded shadow-lg z-10">
+                    Many police, fire and public-school plans pay no Social Security tax. WEP / GPO no longer reduce benefits after the Social Security Fairness Act; flagging the pension shows the before/after effect on the Social Security tab.
+                  </span>
+                </label>
+                {inputs.partnerPensionNonCovered && (
+                  <label className="flex items-center gap-2 text-xs text-slate-500 uppercase">
+                    Years of SS-covered earnings
+                    <input type="number" name="partnerSSCoveredYears" value={inputs.partnerSSCoveredYears} onChange={onInputChange} min={0} max={40} className="w-16 px-2 py-1 border rounded-md text-sm" />
+                  </label>
+                )}
+              </div>
             </div>
           )}
         </div>
@@ -1011,6 +1854,13 @@ export const InputsPage = ({
                   </label>
                 </div>
               </div>
+              {adj.name === 'Health Insurance (pre-Medicare)' && (
+                <p className="text-[10px] mt-2 text-slate-500">
+                  {inputs.acaEnabled
+                    ? 'The ACA credit model on the Tax Map already prices pre-Medicare coverage — remove this to avoid counting premiums twice.'
+                    : 'Buying on the ACA marketplace? Turn on the premium tax credit model on the Tax Map instead, so the premium follows MAGI.'}
+                </p>
+              )}
             </div>
           ))}
         </div>
@@ -1122,6 +1972,67 @@ export const InputsPage = ({
             );
           })}
         </div>
+
+        {/* Return Correlations — joint Monte Carlo draw across buckets and benchmark */}
+        {onCorrelationChange && (
+          <div className="mt-4 p-4 bg-slate-50 rounded-lg">
+            <div className="flex items-center justify-between mb-2">
+              <div className="relative group">
+                <p className="font-bold text-sm text-slate-700 flex items-center gap-1">
+                  Return Correlations <Info className="w-3 h-3 text-slate-400 cursor-help" />
+                </p>
+                <div className="absolute left-0 bottom-full mb-1 hidden group-hover:block w-80 bg-slate-800 text-white text-[11px] p-3 rounded shadow-lg z-20 leading-relaxed">
+                  Monte Carlo draws all five buckets and the passive 60/40 benchmark together each year using these pairwise correlations. Higher equity-bucket correlations mean bad years hit B3–B5 at the same time. Matrices that are not internally consistent are shrunk toward zero correlation until valid.
+                </div>
+              </div>
+              {onResetCorrelations && (
+                <button
+                  type="button"
+                  onClick={onResetCorrelations}
+                  className="text-[12px] text-mwm-green underline hover:text-mwm-green/80 font-medium"
+                >
+                  Reset to defaults
+                </button>
+              )}
+            </div>
+            <div className="overflow-x-auto">
+              <table className="text-xs">
+                <thead>
+                  <tr>
+                    <th></th>
+                    {RETURN_CORRELATION_KEYS.map(k => (
+                      <th key={k} className="px-1 py-1 text-slate-500 font-semibold uppercase">{k === 'benchmark' ? '60/40' : k}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {RETURN_CORRELATION_KEYS.map((rowKey, i) => (
+                    <tr key={rowKey}>
+                      <td className="pr-2 text-slate-500 font-semibold uppercase">{rowKey === 'benchmark' ? '60/40' : rowKey}</td>
+                      {RETURN_CORRELATION_KEYS.map((colKey, j) => {
+                        const value = (inputs.returnCorrelations || DEFAULT_RETURN_CORRELATIONS)[i]?.[j] ?? (i === j ? 1 : 0);
+                        return (
+                          <td key={colKey} className="px-1 py-0.5">
+                            {j > i ? (
+                              <input
+                                type="number" step="0.05" min="-1" max="1"
+                                value={value}
+                                onChange={(e) => onCorrelationChange(i, j, e.target.value)}
+                                className="w-16 px-1.5 py-1 text-xs border rounded-md"
+                              />
+                            ) : (
+                              <div className="w-16 px-1.5 py-1 text-xs text-slate-400">{Number(value).toFixed(2)}</div>
+                            )}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
       </Card>
 
       {/* Withdrawal Strategy Override Modal */}
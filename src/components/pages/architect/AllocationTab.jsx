@@ -9,7 +9,11 @@ import {
 } from 'lucide-react';
 
 import { COLORS, LOGO_URL } from '../../../constants';
-import { calculateAnnualTax, calculateTaxableSS, calculateFederalTax, STATE_TAX_DATA } from '../../../utils';
+import {
+  calculateAnnualTax, calculateTaxableSS, calculateFederalTax, getInflationAdjustedBrackets, getInflationAdjustedDeduction,
+  calculateEnhancedSeniorDeduction, getPlanTaxLaw, getPlanStateTax, STATE_TAX_DATA, getMonteCarloIterations
+} from '../../../utils';
+import { describeStateSSTreatment } from '../../../constants/stateTaxes';
 import { Card, AllocationRow } from '../../ui';
 
 export const AllocationTab = ({
@@ -54,7 +58,11 @@ export const AllocationTab = ({
     const otherIncome = row.otherIncomeDetail || 0;
     const employmentIncome = row.employmentIncomeDetail || 0;
     const filingStatus = inputs.filingStatus || 'married';
-    const stateRate = inputs.stateRate || 0;
+    const stateTaxSettings = getPlanStateTax(inputs, row.age);
+    const stateLabel = STATE_TAX_DATA[stateTaxSettings.stateCode]?.name || `${stateTaxSettings.stateRate}%`;
+    // Federal law for this row's calendar year, indexed like the engine does
+    const taxLaw = getPlanTaxLaw(inputs, new Date().getFullYear() + (row.age - (clientInfo?.currentAge || row.age)));
+    const inflationFactor = row.inflationIndex || 1;
 
     // Pension + VA treated as ordinary income in tax calc
     const pensionForTax = pensionIncome + vaIncome;
@@ -73,30 +81,28 @@ export const AllocationTab = ({
     // Step 2: Gross ordinary income (includes NQ ordinary dividends)
     const grossOrdinaryIncome = taxableSS + pensionForTax + traditionalWithdrawal + nqOrdinaryDividends + otherIncome;
 
-    // Step 3: Standard deduction
+    // Preferential income: NQ capital gains + NQ qualified dividends
+    const totalPreferentialIncome = nqTaxableGain + nqQualifiedDividends;
+
+    // Step 3: Standard deduction (+ senior bonus, + OBBBA senior deduction while in force)
     const isSenior = row.age >= 65;
-    const baseDeduction = filingStatus === 'married' ? 29200 : 14600;
-    const seniorBonusPer = filingStatus === 'married' ? 1550 : 1950;
-    const seniorBonus = isSenior ? (filingStatus === 'married' ? seniorBonusPer * 2 : seniorBonusPer) : 0;
-    const totalDeduction = baseDeduction + seniorBonus;
+    const baseDeduction = getInflationAdjustedDeduction(filingStatus, 0, 0, false, inflationFactor, taxLaw);
+    const seniorBonus = isSenior ? getInflationAdjustedDeduction(filingStatus, 0, 0, true, inflationFactor, taxLaw) - baseDeduction : 0;
+    const seniorDeduction = calculateEnhancedSeniorDeduction(filingStatus, grossOrdinaryIncome + totalPreferentialIncome, isSenior, taxLaw);
+    const totalDeduction = baseDeduction + seniorBonus + seniorDeduction;
 
     // Step 4: Taxable ordinary income
     const taxableOrdinaryIncome = Math.max(0, grossOrdinaryIncome - totalDeduction);
 
     // Step 5: Federal tax on ordinary income
-    const federalOrdinaryTax = calculateFederalTax(taxableOrdinaryIncome, filingStatus);
+    const federalOrdinaryTax = calculateFederalTax(taxableOrdinaryIncome, filingStatus, inflationFactor, taxLaw);
 
     // Marginal bracket
-    const brackets = filingStatus === 'married'
-      ? [{ max: 23200, rate: 10 }, { max: 94300, rate: 12 }, { max: 201050, rate: 22 }, { max: 383900, rate: 24 }, { max: 487450, rate: 32 }, { max: 731200, rate: 35 }, { max: Infinity, rate: 37 }]
-      : [{ max: 11600, rate: 10 }, { max: 47150, rate: 12 }, { max: 100525, rate: 22 }, { max: 191950, rate: 24 }, { max: 243725, rate: 32 }, { max: 609350, rate: 35 }, { max: Infinity, rate: 37 }];
+    const brackets = getInflationAdjustedBrackets(filingStatus, 0, 0, inflationFactor, taxLaw);
     const marginalBracket = taxableOrdinaryIncome > 0
-      ? (brackets.find(b => taxableOrdinaryIncome <= b.max)?.rate || 37)
+      ? Math.round((brackets.find(b => taxableOrdinaryIncome <= b.max) || brackets[brackets.length - 1]).rate * 1000) / 10
       : 0;
 
-    // Preferential income: NQ capital gains + NQ qualified dividends
-    const totalPreferentialIncome = nqTaxableGain + nqQualifiedDividends;
-
     // Use calculateAnnualTax for the final numbers (ensures consistency)
     const taxResult = calculateAnnualTax({
       ssIncome,
@@ -107,7 +113,7 @@ export const AllocationTab = ({
       nqQualifiedDividends,
       nqOrdinaryDividends,
       otherIncome
-    }, { filingStatus, stateRate }, isSenior);
+    }, { filingStatus, ...stateTaxSettings, inflationFactor, taxLaw }, isSenior);
 
     return {
       ssIncome, pensionIncome, vaIncome, employmentIncome, otherIncome,
@@ -118,17 +124,21 @@ export const AllocationTab = ({
       nqWithdrawal, nqCostBasis, nqTaxableGain, nqQualifiedDividends, nqOrdinaryDividends,
       totalPreferentialIncome,
       taxableSS, ssTier,
-      grossOrdinaryIncome, baseDeduction, seniorBonus, totalDeduction, isSenior,
+      grossOrdinaryIncome, baseDeduction, seniorBonus, seniorDeduction, totalDeduction, isSenior,
       taxableOrdinaryIncome, federalOrdinaryTax: Math.round(federalOrdinaryTax),
       marginalBracket,
       qdivTax: taxResult.qdivTax,
+      niit: taxResult.niit,
+      amt: taxResult.amt,
+      magi: taxResult.magi,
       totalFederalTax: taxResult.federalTax,
       stateTax: taxResult.stateTax,
+      localTax: taxResult.localTax,
       totalTax: taxResult.totalTax,
       effectiveRate: taxResult.effectiveRate,
-      filingStatus, stateRate
+      filingStatus, stateLabel
     };
-  }, [selectedTaxRow, inputs]);
+  }, [selectedTaxRow, inputs, clientInfo]);
 
   return (
   <div className="mt-6 animate-in fade-in duration-300">
@@ -471,7 +481,7 @@ export const AllocationTab = ({
                 <div className="mt-4 p-3 bg-blue-50 text-xs text-blue-800 rounded border border-blue-100 flex items-start gap-2">
                   <Activity className="w-4 h-4 mt-0.5" />
                   <p>
-                    <strong>Monte Carlo Simulation (1,000 iterations):</strong> Shows range of outcomes using randomized returns based on each bucket's expected return and standard deviation. <br />
+                    <strong>Monte Carlo Simulation ({getMonteCarloIterations(inputs).toLocaleString()} iterations):</strong> Shows range of outcomes using randomized returns based on each bucket's expected return and standard deviation. <br />
                     <strong>Green Area:</strong> 90th percentile (best 10% of outcomes). <strong>Blue Area:</strong> Median outcome. <strong>Red Area:</strong> 10th percentile (worst 10%). <br />
                     <strong>Dashed Grey Line:</strong> Deterministic projection (fixed returns, no randomness).
                   </p>
@@ -600,7 +610,7 @@ export const AllocationTab = ({
           })()}
           {inputs.taxEnabled && (
             <div className="mt-3 p-2 bg-mwm-gold/10 text-xs text-mwm-gold/80 rounded border border-mwm-gold/20">
-              <strong>Tax Note:</strong> Estimated taxes based on {inputs.filingStatus === 'married' ? 'Married Filing Jointly' : 'Single'} status, {inputs.traditionalPercent}% Trad / {inputs.rothPercent}% Roth / {inputs.nqPercent}% NQ, {inputs.stateCode && STATE_TAX_DATA[inputs.stateCode] ? `${STATE_TAX_DATA[inputs.stateCode].name} (${STATE_TAX_DATA[inputs.stateCode].rate}%${STATE_TAX_DATA[inputs.stateCode].ssTaxable ? ', taxes SS' : ', SS exempt'})` : `${inputs.stateRate}% state rate`}.{Object.keys(inputs.withdrawalOverrides || {}).length > 0 ? ` ${Object.keys(inputs.withdrawalOverrides).length} custom year override(s) applied.` : ''} Hover over tax amounts for breakdown. Click for detail.
+              <strong>Tax Note:</strong> Estimated taxes based on {inputs.filingStatus === 'married' ? 'Married Filing Jointly' : 'Single'} status, {inputs.traditionalPercent}% Trad / {inputs.rothPercent}% Roth / {inputs.nqPercent}% NQ, {inputs.stateCode && STATE_TAX_DATA[inputs.stateCode] ? `${STATE_TAX_DATA[inputs.stateCode].name} (${STATE_TAX_DATA[inputs.stateCode].rate}%, ${describeStateSSTreatment(inputs.stateCode)})` : `${inputs.stateRate}% state rate`}.{Object.keys(inputs.withdrawalOverrides || {}).length > 0 ? ` ${Object.keys(inputs.withdrawalOverrides).length} custom year override(s) applied.` : ''} Hover over tax amounts for breakdown. Click for detail.
             </div>
           )}
         </div>
@@ -700,7 +710,7 @@ export const AllocationTab = ({
                   <tr className="border-b border-slate-100">
                     <td className="py-1 text-slate-600">3. Standard Deduction</td>
                     <td className="py-1 text-right font-medium text-mwm-green">-${taxDetail.totalDeduction.toLocaleString()}</td>
-                    <td className="py-1 pl-2 text-xs text-slate-400">{taxDetail.isSenior ? `+$${taxDetail.seniorBonus.toLocaleString()} senior` : ''}</td>
+                    <td className="py-1 pl-2 text-xs text-slate-400">{taxDetail.isSenior ? `+$${(taxDetail.seniorBonus + taxDetail.seniorDeduction).toLocaleString()} senior` : ''}</td>
                   </tr>
                   <tr className="border-b border-slate-100">
                     <td className="py-1 text-slate-600">4. Taxable Ordinary Income</td>
@@ -718,22 +728,32 @@ export const AllocationTab = ({
                     <td className="py-1 pl-2 text-xs text-slate-400">pref. rate</td>
                   </tr>
                   <tr className="border-b border-slate-100">
-                    <td className="py-1 text-slate-600">7. Total Federal Tax</td>
+                    <td className="py-1 text-slate-600">7. Net Investment Income Tax</td>
+                    <td className={`py-1 text-right font-medium ${taxDetail.niit > 0 ? 'text-red-600' : 'text-slate-400'}`}>${taxDetail.niit.toLocaleString()}</td>
+                    <td className="py-1 pl-2 text-xs text-slate-400">3.8% • MAGI ${taxDetail.magi.toLocaleString()}</td>
+                  </tr>
+                  <tr className="border-b border-slate-100">
+                    <td className="py-1 text-slate-600">8. Alternative Minimum Tax</td>
+                    <td className={`py-1 text-right font-medium ${taxDetail.amt > 0 ? 'text-red-600' : 'text-slate-400'}`}>${taxDetail.amt.toLocaleString()}</td>
+                    <td className="py-1 pl-2 text-xs text-slate-400">{taxDetail.amt > 0 ? 'above regular' : 'regular ≥ AMT'}</td>
+                  </tr>
+                  <tr className="border-b border-slate-100">
+                    <td className="py-1 text-slate-600">9. Total Federal Tax</td>
                     <td className="py-1 text-right font-medium text-red-600">${taxDetail.totalFederalTax.toLocaleString()}</td>
                     <td className="py-1 pl-2 text-xs text-slate-400"></td>
                   </tr>
                   <tr className="border-b border-slate-100">
-                    <td className="py-1 text-slate-600">8. State Tax ({taxDetail.stateRate}%)</td>
+                    <td className="py-1 text-slate-600">10. State Tax ({taxDetail.stateLabel})</td>
                     <td className="py-1 text-right font-medium text-red-600">${taxDetail.stateTax.toLocaleString()}</td>
-                    <td className="py-1 pl-2 text-xs text-slate-400"></td>
+                    <td className="py-1 pl-2 text-xs text-slate-400">{taxDetail.localTax > 0 ? `incl. $${taxDetail.localTax.toLocaleString()} local` : ''}</td>
                   </tr>
                   <tr className="border-b border-slate-200 bg-slate-50">
-                    <td className="py-1.5 font-bold text-slate-800">9. Total Estimated Tax</td>
+                    <td className="py-1.5 font-bold text-slate-800">11. Total Estimated Tax</td>
                     <td className="py-1.5 text-right font-bold text-red-700">${taxDetail.totalTax.toLocaleString()}</td>
                     <td className="py-1.5 pl-2 text-xs text-slate-400"></td>
                   </tr>
                   <tr className="bg-slate-50">
-                    <td className="py-1.5 font-bold text-slate-800">10. Effective Rate</td>
+                    <td className="py-1.5 font-bold text-slate-800">12. Effective Rate</td>
                     <td className="py-1.5 text-right font-bold text-red-700">{taxDetail.effectiveRate}%</td>
                     <td className="py-1.5 pl-2 text-xs text-slate-400"></td>
                   </tr>
@@ -743,7 +763,7 @@ export const AllocationTab = ({
 
             {/* Assumptions footnote */}
             <div className="p-2 bg-slate-50 text-xs text-slate-500 rounded border border-slate-100">
-              <strong>Assumptions:</strong> {taxDetail.filingStatus === 'married' ? 'Married Filing Jointly' : 'Single'} filing status, {taxDetail.traditionalPercent}% Traditional / {taxDetail.rothPercent}% Roth / {taxDetail.nqPercent}% NQ, {taxDetail.stateRate}% state tax rate{taxDetail.isSenior ? ', 65+ senior deduction applied' : ''}.
+              <strong>Assumptions:</strong> {taxDetail.filingStatus === 'married' ? 'Married Filing Jointly' : 'Single'} filing status, {taxDetail.traditionalPercent}% Traditional / {taxDetail.rothPercent}% Roth / {taxDetail.nqPercent}% NQ, {taxDetail.stateLabel} state tax{taxDetail.isSenior ? ', 65+ senior deduction applied' : ''}.
             </div>
           </div>
         </div>
@@ -1,7 +1,8 @@
 import React from 'react';
 import { Table as TableIcon, ChevronRight, ChevronDown } from 'lucide-react';
 
-import { STATE_TAX_DATA } from '../../../utils';
+import { STATE_TAX_DATA, getPlanRelocation, getMonteCarloIterations } from '../../../utils';
+import { describeStateSSTreatment } from '../../../constants/stateTaxes';
 import { Card } from '../../ui';
 
 // ============================================
@@ -11,6 +12,7 @@ const CashFlowsTab = ({ projectionData, monteCarloData, inputs, clientInfo }) =>
   const [mcMode, setMcMode] = React.useState('deterministic');
   const [expandedSections, setExpandedSections] = React.useState({});
   const fmt = (val) => `$${Math.round(val).toLocaleString()}`;
+  const relocation = getPlanRelocation(inputs);
 
   const toggleSection = (key) => {
     setExpandedSections(prev => ({ ...prev, [key]: !prev[key] }));
@@ -27,15 +29,29 @@ const CashFlowsTab = ({ projectionData, monteCarloData, inputs, clientInfo }) =>
   const hasSurplus = activeData.some(r => (r.surplus || 0) > 0);
   const hasDistributions = activeData.some(r => r.distribution > 0);
   const hasIRMAA = inputs.irmaaEnabled && activeData.some(r => r.irmaaCost > 0);
+  const hasACA = inputs.acaEnabled && activeData.some(r => (r.acaPremium || 0) > 0);
+  const hasNIIT = inputs.taxEnabled && activeData.some(r => (r.niit || 0) > 0);
+  const hasAMT = inputs.taxEnabled && activeData.some(r => (r.amt || 0) > 0);
+  const hasChildSS = activeData.some(r => (r.childSSIncomeDetail || 0) > 0);
   const hasRothConversions = inputs.taxEnabled && activeData.some(r => r.rothConversion > 0);
   const hasRMD = inputs.taxEnabled && activeData.some(r => r.rmdAmount > 0);
   const hasRMDExcess = hasRMD && activeData.some(r => r.rmdExcess > 0);
+  // Charitable giving: cash gifts are an expense; QCDs and gifted shares leave the
+  // portfolio in kind
+  const hasGiving = activeData.some(r => (r.charitableGoal || 0) > 0 || (r.charitableGift || 0) > 0);
+  const hasInKindGiving = activeData.some(r => (r.qcdAmount || 0) > 0 || (r.charitableShares || 0) > 0);
+  // Tax-lot harvesting ledger (NQ losses banked, gains realized in 0% LTCG years)
+  const hasHarvesting = inputs.taxEnabled && activeData.some(r => (r.nqHarvestedLoss || 0) > 0 || (r.nqHarvestedGain || 0) > 0 || (r.capitalLossCarryforward || 0) > 0);
   // Unified-timeline support: pre-retirement rows have phase === 'accumulation' and
   // carry savings/additionalIncome instead of distribution/withdrawal data.
   const hasAccumulation = activeData.some(r => r.phase === 'accumulation');
   const hasSavings = activeData.some(r => (r.savings || 0) > 0);
   const hasAdditionalIncome = activeData.some(r => (r.additionalIncome || 0) > 0);
   const hasInheritedIRA = activeData.some(r => (r.inheritedIRADistribution || 0) > 0 || (r.inheritedIRABalance || 0) > 0);
+  // Spending rules (withdrawal policy): rows carry the year's rule action and the
+  // running adjustment against planned living expenses
+  const hasSpendingRule = activeData.some(r => r.spendingAction || (r.spendingAdjustment ?? 1) !== 1);
+  const spendingActionLabels = { cut: 'Cut', raise: 'Raise', freeze: 'Inflation Freeze', floor: 'At Floor', ceiling: 'At Ceiling' };
 
   // Build row definitions for the transposed table
   const buildRows = () => {
@@ -68,6 +84,7 @@ const CashFlowsTab = ({ projectionData, monteCarloData, inputs, clientInfo }) =>
       { label: 'Social Security', cls: 'text-blue-700', getValue: (r) => fmt(r.ssIncomeDetail || 0) },
       { label: 'Pension', cls: 'text-blue-700', getValue: (r) => fmt(r.pensionIncomeDetail || 0) },
     );
+    if (hasChildSS) rows.push({ label: "Children's Social Security", cls: 'text-blue-700', getValue: (r) => r.childSSIncomeDetail > 0 ? fmt(r.childSSIncomeDetail) : '-' });
     if (hasEmployment) rows.push({ label: 'Employment Income', cls: 'text-teal-700', getValue: (r) => r.employmentIncomeDetail > 0 ? fmt(r.employmentIncomeDetail) : '-' });
     if (hasOther) rows.push({ label: 'Other Income', cls: 'text-cyan-700', getValue: (r) => r.otherIncomeDetail > 0 ? fmt(r.otherIncomeDetail) : '-' });
     if (hasContributions) rows.push({ label: 'One-Time Contributions', cls: 'text-purple-700', getValue: (r) => r.contribution > 0 ? `+${fmt(r.contribution)}` : '-' });
@@ -82,6 +99,26 @@ const CashFlowsTab = ({ projectionData, monteCarloData, inputs, clientInfo }) =>
       { label: '', cls: 'bg-slate-200', getValue: () => '', isSeparator: true },
       { label: 'Living Expenses', cls: 'text-slate-700', getValue: (r) => fmt(r.livingExpenses || r.expenses) },
     );
+    if (hasSpendingRule) {
+      rows.push(
+        {
+          label: 'Spending Rule Action',
+          cls: 'text-slate-500 italic',
+          getValue: (r) => spendingActionLabels[r.spendingAction] || '-',
+          dynamicCls: (r) => (r.spendingAction === 'cut' || r.spendingAction === 'floor') ? 'text-red-600 font-medium'
+            : (r.spendingAction === 'raise' || r.spendingAction === 'ceiling') ? 'text-mwm-green/80 font-medium'
+            : r.spendingAction === 'freeze' ? 'text-mwm-gold/80 italic'
+            : 'text-slate-500 italic'
+        },
+        { label: 'Spending Rule Adjustment (vs Plan)', cls: 'text-orange-600', getValue: (r) => {
+          if (r.plannedLivingExpenses === undefined || r.phase === 'accumulation') return '-';
+          const val = (r.livingExpenses || 0) - r.plannedLivingExpenses;
+          if (val === 0) return '-';
+          const pct = ((r.spendingAdjustment ?? 1) - 1) * 100;
+          return `${val > 0 ? '+' : ''}${fmt(val)} (${pct > 0 ? '+' : ''}${pct.toFixed(1)}%)`;
+        }},
+      );
+    }
     if (hasCashFlowAdj) {
       rows.push({ label: 'Spending Adjustments', cls: 'text-orange-600', getValue: (r) => {
         const val = r.cashFlowAdjustmentDetail || 0;
@@ -89,9 +126,25 @@ const CashFlowsTab = ({ projectionData, monteCarloData, inputs, clientInfo }) =>
         return val > 0 ? `+${fmt(val)}` : fmt(val);
       }});
     }
+    if (hasGiving) {
+      rows.push({
+        label: 'Charitable Gifts (Cash)',
+        cls: 'text-violet-700',
+        getValue: (r) => (r.charitableCash || 0) > 0 ? `${fmt(r.charitableCash)}${r.viaDAF ? ' (DAF)' : ''}` : '-'
+      });
+    }
     if (inputs.taxEnabled) {
       rows.push(
         { label: 'Federal Tax', cls: 'text-red-600', getValue: (r) => fmt(r.federalTax || 0) },
+      );
+      // NIIT and AMT are already inside Federal Tax — shown only when some year owes them
+      if (hasNIIT) {
+        rows.push({ label: '  incl. NIIT (3.8%)', cls: 'text-red-500 pl-4', getValue: (r) => (r.niit || 0) > 0 ? fmt(r.niit) : '-' });
+      }
+      if (hasAMT) {
+        rows.push({ label: '  incl. AMT', cls: 'text-red-500 pl-4', getValue: (r) => (r.amt || 0) > 0 ? fmt(r.amt) : '-' });
+      }
+      rows.push(
         { label: 'State Tax', cls: 'text-red-600', getValue: (r) => fmt(r.stateTax || 0) },
       );
       if (hasIRMAA) {
@@ -99,6 +152,12 @@ const CashFlowsTab = ({ projectionData, monteCarloData, inputs, clientInfo }) =>
           { label: 'IRMAA Surcharge', cls: 'text-red-500', getValue: (r) => (r.irmaaCost || 0) > 0 ? fmt(r.irmaaCost) : '-' },
         );
       }
+      if (hasACA) {
+        rows.push({
+          label: 'ACA Premium (after credit)', cls: 'text-red-500',
+          getValue: (r) => (r.acaPremium || 0) > 0 ? `${fmt(r.acaNetPremium || 0)}${r.acaOverCliff ? ' (cliff)' : ''}` : '-'
+        });
+      }
     }
     rows.push(
       { label: 'Total Expenses', cls: 'font-bold text-slate-800 bg-slate-50', getValue: (r) => fmt(r.expenses) },
@@ -130,7 +189,8 @@ const CashFlowsTab = ({ projectionData, monteCarloData, inputs, clientInfo }) =>
     // residual so the three children always reconcile to Net exactly.
     const portfolioFlowParts = (r) => {
       const isAccum = r.phase === 'accumulation';
-      const irmaa = r.irmaaCost || 0;
+      // IRMAA and the ACA premium after credit both come out of NQ, outside the split
+      const irmaa = (r.irmaaCost || 0) + (r.acaNetPremium || 0);
       const rothConvTax = r.rothConversionTax || 0;
       const totalDist = r.distribution || 0;
 
@@ -253,6 +313,36 @@ const CashFlowsTab = ({ projectionData, monteCarloData, inputs, clientInfo }) =>
       }
     }
 
+    // --- CHARITABLE GIVING (in-kind gifts and the deduction picture) ---
+    if (hasGiving && inputs.taxEnabled) {
+      rows.push(
+        { label: '', cls: 'bg-slate-200', getValue: () => '', isSeparator: true },
+        { label: 'Giving Goal', cls: 'text-violet-700', getValue: (r) => (r.charitableGoal || 0) > 0 ? fmt(r.charitableGoal) : '-' },
+      );
+      if (hasInKindGiving) {
+        rows.push(
+          { label: '  QCD from IRA', cls: 'text-violet-600 pl-4', getValue: (r) => (r.qcdAmount || 0) > 0 ? fmt(r.qcdAmount) : '-' },
+          { label: '  Appreciated Shares Given', cls: 'text-violet-600 pl-4', getValue: (r) => (r.charitableShares || 0) > 0 ? fmt(r.charitableShares) : '-' },
+        );
+      }
+      rows.push(
+        { label: 'Deduction', cls: 'text-slate-600', getValue: (r) => `${r.itemizing ? 'Itemized' : 'Standard'} ${fmt(r.taxDeduction || 0)}` },
+      );
+    }
+
+    // --- HARVEST LEDGER (collapsible) ---
+    if (hasHarvesting) {
+      rows.push(
+        { label: '', cls: 'bg-slate-200', getValue: () => '', isSeparator: true },
+        { label: 'harvestLedger', isToggle: 'harvestLedger', toggleLabel: 'Tax-Lot Harvest Ledger', cls: 'font-bold text-slate-600 cursor-pointer', getValue: () => '' },
+        { label: '  Losses Harvested', cls: 'text-emerald-700 pl-4', getValue: (r) => (r.nqHarvestedLoss || 0) > 0 ? fmt(r.nqHarvestedLoss) : '-', collapsibleParent: 'harvestLedger' },
+        { label: '  Gains Harvested at 0%', cls: 'text-emerald-700 pl-4', getValue: (r) => (r.nqHarvestedGain || 0) > 0 ? fmt(r.nqHarvestedGain) : '-', collapsibleParent: 'harvestLedger' },
+        { label: '  Losses Used', cls: 'text-slate-600 pl-4', getValue: (r) => (r.capitalLossUsed || 0) > 0 ? fmt(r.capitalLossUsed) : '-', collapsibleParent: 'harvestLedger' },
+        { label: '  Loss Carryforward', cls: 'text-slate-600 pl-4', getValue: (r) => (r.capitalLossCarryforward || 0) > 0 ? fmt(r.capitalLossCarryforward) : '-', collapsibleParent: 'harvestLedger' },
+        { label: '  NQ Cost Basis', cls: 'text-mwm-gold pl-4', getValue: (r) => fmt(r.nqCostBasis || 0), collapsibleParent: 'harvestLedger' },
+      );
+    }
+
     // --- TAX ASSUMPTIONS (bottom, collapsible) ---
     if (inputs.taxEnabled) {
       rows.push(
@@ -408,7 +498,7 @@ const CashFlowsTab = ({ projectionData, monteCarloData, inputs, clientInfo }) =>
         {mcMode !== 'deterministic' && (
           <p className="text-xs text-slate-500 mb-3 bg-slate-50 p-2 rounded">
             <strong>Monte Carlo — {mcMode === 'optimistic' ? '90th Percentile' : mcMode === 'median' ? '50th Percentile (Median)' : '10th Percentile'}:</strong>
-            {' '}{mcMode === 'optimistic' ? 'Better than 90% of simulated outcomes.' : mcMode === 'median' ? 'Middle-of-the-road outcome from 1,000 simulations.' : 'Worse than only 10% of simulated outcomes — stress test scenario.'}
+            {' '}{mcMode === 'optimistic' ? 'Better than 90% of simulated outcomes.' : mcMode === 'median' ? `Middle-of-the-road outcome from ${getMonteCarloIterations(inputs).toLocaleString()} simulations.` : 'Worse than only 10% of simulated outcomes — stress test scenario.'}
           </p>
         )}
 
@@ -416,7 +506,7 @@ const CashFlowsTab = ({ projectionData, monteCarloData, inputs, clientInfo }) =>
 
         {inputs.taxEnabled && (
           <div className="mt-3 p-2 bg-mwm-gold/10 text-xs text-mwm-gold/80 rounded border border-mwm-gold/20">
-            <strong>Tax Note:</strong> Estimated taxes based on {inputs.filingStatus === 'married' ? 'Married Filing Jointly' : 'Single'} status, {inputs.traditionalPercent}% Trad / {inputs.rothPercent}% Roth / {inputs.nqPercent}% NQ, {inputs.stateCode && STATE_TAX_DATA[inputs.stateCode] ? `${STATE_TAX_DATA[inputs.stateCode].name} (${STATE_TAX_DATA[inputs.stateCode].rate}%${STATE_TAX_DATA[inputs.stateCode].ssTaxable ? ', taxes SS' : ', SS exempt'})` : `${inputs.stateRate}% state rate`}.{Object.keys(inputs.withdrawalOverrides || {}).length > 0 ? ` ${Object.keys(inputs.withdrawalOverrides).length} custom year override(s) applied.` : ''}
+            <strong>Tax Note:</strong> Estimated taxes based on {inputs.filingStatus === 'married' ? 'Married Filing Jointly' : 'Single'} status, {inputs.traditionalPercent}% Trad / {inputs.rothPercent}% Roth / {inputs.nqPercent}% NQ, {inputs.stateCode && STATE_TAX_DATA[inputs.stateCode] ? `${STATE_TAX_DATA[inputs.stateCode].name} (${STATE_TAX_DATA[inputs.stateCode].rate}%, ${describeStateSSTreatment(inputs.stateCode)})` : `${inputs.stateRate}% state rate`}{relocation ? `, moving to ${STATE_TAX_DATA[relocation.toState]?.name || 'a new state'} at ${relocation.age}` : ''}.{Object.keys(inputs.withdrawalOverrides || {}).length > 0 ? ` ${Object.keys(inputs.withdrawalOverrides).length} custom year override(s) applied.` : ''}
           </div>
         )}
       </Card>
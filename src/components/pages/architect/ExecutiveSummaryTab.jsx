@@ -2,7 +2,9 @@ import React, { useMemo, useState, useCallback } from 'react';
 import { FileText, Layers, DollarSign, TrendingUp, Shield, ArrowRight } from 'lucide-react';
 import { COLORS } from '../../../constants/colors';
 import { Card } from '../../ui';
-import { runSimulation } from '../../../utils';
+import { runSimulation, pickAllocation, projectEstate, calculateWeightedReturn } from '../../../utils';
+import { STATE_TAX_DATA } from '../../../constants/stateTaxes';
+import { useSimulationTask } from '../../../hooks/useSimulationTask';
 
 const BUCKET_NAMES = ['B1 - Liquidity', 'B2 - Bridge', 'B3 - Tactical', 'B4 - Income', 'B5 - Equity'];
 const BUCKET_SHORT = ['B1', 'B2', 'B3', 'B4', 'B5'];
@@ -300,33 +302,47 @@ export const ExecutiveSummaryTab = ({
     };
   }, [ssAnalysis, ssPartnerAnalysis, ssOriginalAge, ssPartnerOriginalAge, inputs.ssStartAge, inputs.partnerSSStartAge, clientInfo?.isMarried]);
 
+  // Baseline: proportionate distribution, no conversions, no cap gain overrides, no harvesting.
+  // Monte Carlo baselines run on the simulation worker pool; deterministic ones inline.
+  const baselineInputs = useMemo(() => ({
+    ...inputs,
+    rothConversions: {},
+    nqCapGainOverrides: [],
+    nqHarvestPolicy: 'none',
+    liquidationMode: 'proportionate',
+    liquidationStrategies: []
+  }), [inputs]);
+  const baselineMCPayload = useMemo(() => (mcMode === 'deterministic' || !basePlan || !inputs.taxEnabled) ? null : {
+    plan: { inputs: baselineInputs, assumptions, clientInfo, allocation: pickAllocation(basePlan) },
+    rebalanceFreq: rebalanceFreq || 0,
+    mode: true,
+    rebalanceTargets
+  }, [mcMode, basePlan, inputs.taxEnabled, baselineInputs, assumptions, clientInfo, rebalanceFreq, rebalanceTargets]);
+  const baselineMC = useSimulationTask('executiveBaseline', 'simulation', baselineMCPayload).result;
+
   // Baseline strategy comparison: proportionate distribution, no tax optimization
   const strategyComparison = useMemo(() => {
     if (!activeProjection || activeProjection.length === 0 || !basePlan || !inputs.taxEnabled) return null;
 
-    // Current plan metrics (from active projection — deterministic or MC scenario)
-    const lastRow = activeProjection[activeProjection.length - 1];
-    const currentLegacy = lastRow.total || 0;
-    const currentTradLegacy = lastRow.traditionalBalanceDetail || 0;
-    const currentLifetimeTax = activeProjection.reduce((s, r) => s + (r.totalTax || 0), 0);
-    const currentLifetimeIrmaa = activeProjection.reduce((s, r) => s + (r.irmaaCost || 0), 0);
+    // Current plan metrics (from active projection — deterministic or MC scenario).
+    // Legacy is what heirs net after estate tax at the last death and income tax on the
+    // pre-tax accounts they inherit.
     const heirFederalRate = 0.24;
     const heirStateRate = (inputs.stateRate || 0) / 100;
-    const currentHeirTax = currentTradLegacy * (heirFederalRate + heirStateRate);
-    const currentAfterTax = currentLegacy - currentHeirTax;
-    const currentTotalBurden = currentLifetimeTax + currentHeirTax + currentLifetimeIrmaa;
+    const heirGrowthRate = calculateWeightedReturn(assumptions);
+    const currentLegacy = activeProjection[activeProjection.length - 1].total || 0;
+    const currentEstate = projectEstate(activeProjection, inputs, clientInfo, { heirRate: heirFederalRate + heirStateRate, heirGrowthRate });
+    const currentLifetimeTax = activeProjection.reduce((s, r) => s + (r.totalTax || 0), 0);
+    const currentLifetimeIrmaa = activeProjection.reduce((s, r) => s + (r.irmaaCost || 0), 0);
+    const currentHeirTax = currentEstate.heirIncomeTax;
+    const currentAfterTax = currentEstate.netToHeirs;
+    const currentTotalBurden = currentLifetimeTax + currentHeirTax + currentEstate.estateTax + currentLifetimeIrmaa;
 
-    // Baseline: proportionate distribution, no conversions, no cap gain overrides
     // Use MC when a MC mode is selected, deterministic otherwise
     const useMC = mcMode !== 'deterministic';
-    const baselineInputs = {
-      ...inputs,
-      rothConversions: {},
-      nqCapGainOverrides: [],
-      liquidationMode: 'proportionate',
-      liquidationStrategies: []
-    };
-    const baselineResult = runSimulation(basePlan, assumptions, baselineInputs, rebalanceFreq || 0, useMC, null, rebalanceTargets);
+    const baselineResult = useMC
+      ? baselineMC
+      : runSimulation(basePlan, assumptions, baselineInputs, rebalanceFreq || 0, false, null, rebalanceTargets);
     let baselineProjection;
     if (useMC && baselineResult?.scenarios?.[mcMode]) {
       baselineProjection = baselineResult.scenarios[mcMode];
@@ -337,23 +353,38 @@ export const ExecutiveSummaryTab = ({
     }
     if (!baselineProjection || baselineProjection.length === 0) return null;
 
-    const baselineLast = baselineProjection[baselineProjection.length - 1];
-    const baselineLegacy = baselineLast.total || 0;
-    const baselineTradLegacy = baselineLast.traditionalBalanceDetail || 0;
+    const baselineLegacy = baselineProjection[baselineProjection.length - 1].total || 0;
+    const baselineEstate = projectEstate(baselineProjection, baselineInputs, clientInfo, { heirRate: heirFederalRate + heirStateRate, heirGrowthRate });
     const baselineLifetimeTax = baselineProjection.reduce((s, r) => s + (r.totalTax || 0), 0);
     const baselineLifetimeIrmaa = baselineProjection.reduce((s, r) => s + (r.irmaaCost || 0), 0);
-    const baselineHeirTax = baselineTradLegacy * (heirFederalRate + heirStateRate);
-    const baselineAfterTax = baselineLegacy - baselineHeirTax;
-    const baselineTotalBurden = baselineLifetimeTax + baselineHeirTax + baselineLifetimeIrmaa;
+    const baselineHeirTax = baselineEstate.heirIncomeTax;
+    const baselineAfterTax = baselineEstate.netToHeirs;
+    const baselineTotalBurden = baselineLifetimeTax + baselineHeirTax + baselineEstate.estateTax + baselineLifetimeIrmaa;
 
     return {
-      baseline: { legacy: baselineLegacy, afterTaxLegacy: baselineAfterTax, lifetimeTax: baselineLifetimeTax, heirTax: baselineHeirTax, totalBurden: baselineTotalBurden, irmaa: baselineLifetimeIrmaa },
-      current: { legacy: currentLegacy, afterTaxLegacy: currentAfterTax, lifetimeTax: currentLifetimeTax, heirTax: currentHeirTax, totalBurden: currentTotalBurden, irmaa: currentLifetimeIrmaa },
+      baseline: { legacy: baselineLegacy, afterTaxLegacy: baselineAfterTax, lifetimeTax: baselineLifetimeTax, heirTax: baselineHeirTax, estateTax: baselineEstate.estateTax, totalBurden: baselineTotalBurden, irmaa: baselineLifetimeIrmaa },
+      current: { legacy: currentLegacy, afterTaxLegacy: currentAfterTax, lifetimeTax: currentLifetimeTax, heirTax: currentHeirTax, estateTax: currentEstate.estateTax, totalBurden: currentTotalBurden, irmaa: currentLifetimeIrmaa },
+      estate: currentEstate,
       legacyImprovement: currentAfterTax - baselineAfterTax,
       burdenSavings: baselineTotalBurden - currentTotalBurden,
       taxSavings: baselineLifetimeTax - currentLifetimeTax
     };
-  }, [activeProjection, basePlan, assumptions, inputs, rebalanceFreq, rebalanceTargets, mcMode]);
+  }, [activeProjection, basePlan, assumptions, inputs, clientInfo, baselineInputs, baselineMC, rebalanceFreq, rebalanceTargets, mcMode]);
+
+  // Tax-lot harvesting on its own: the same plan with harvesting switched off, so the
+  // lifetime tax difference is what harvesting alone saved (deterministic projection)
+  const harvestSummary = useMemo(() => {
+    const policy = inputs.nqHarvestPolicy || 'none';
+    if (policy === 'none' || !inputs.taxEnabled || !basePlan || !projectionData?.length) return null;
+    const withoutHarvest = runSimulation(basePlan, assumptions, { ...inputs, nqHarvestPolicy: 'none' }, rebalanceFreq || 0, false, null, rebalanceTargets);
+    if (!Array.isArray(withoutHarvest)) return null;
+    const lifetimeTax = (rows) => rows.reduce((s, r) => s + (r.totalTax || 0), 0);
+    return {
+      taxSaved: lifetimeTax(withoutHarvest) - lifetimeTax(projectionData),
+      lossesHarvested: projectionData.reduce((s, r) => s + (r.nqHarvestedLoss || 0), 0),
+      gainsHarvested: projectionData.reduce((s, r) => s + (r.nqHarvestedGain || 0), 0)
+    };
+  }, [inputs, basePlan, assumptions, projectionData, rebalanceFreq, rebalanceTargets]);
 
   return (
     <div className="space-y-4">
@@ -402,6 +433,9 @@ export const ExecutiveSummaryTab = ({
                 <div className="flex justify-between"><span className="text-slate-500">After-Tax Legacy</span><span className="font-semibold text-slate-600">{fmt(strategyComparison.baseline.afterTaxLegacy)}</span></div>
                 <div className="flex justify-between"><span className="text-slate-500">Lifetime Taxes</span><span className="font-semibold text-red-500">{fmt(strategyComparison.baseline.lifetimeTax)}</span></div>
                 <div className="flex justify-between"><span className="text-slate-500">Heir Tax Burden</span><span className="font-semibold text-red-400">{fmt(strategyComparison.baseline.heirTax)}</span></div>
+                {(strategyComparison.baseline.estateTax > 0 || strategyComparison.current.estateTax > 0) && (
+                  <div className="flex justify-between"><span className="text-slate-500">Estate Tax</span><span className="font-semibold text-red-400">{fmt(strategyComparison.baseline.estateTax)}</span></div>
+                )}
                 {strategyComparison.baseline.irmaa > 0 && (
                   <div className="flex justify-between"><span className="text-slate-500">Lifetime IRMAA</span><span className="font-semibold text-amber-500">{fmt(strategyComparison.baseline.irmaa)}</span></div>
                 )}
@@ -415,6 +449,9 @@ export const ExecutiveSummaryTab = ({
                 <div className="flex justify-between"><span className="text-slate-500">After-Tax Legacy</span><span className="font-semibold text-mwm-green">{fmt(strategyComparison.current.afterTaxLegacy)}</span></div>
                 <div className="flex justify-between"><span className="text-slate-500">Lifetime Taxes</span><span className="font-semibold text-mwm-green">{fmt(strategyComparison.current.lifetimeTax)}</span></div>
                 <div className="flex justify-between"><span className="text-slate-500">Heir Tax Burden</span><span className="font-semibold text-mwm-green">{fmt(strategyComparison.current.heirTax)}</span></div>
+                {(strategyComparison.baseline.estateTax > 0 || strategyComparison.current.estateTax > 0) && (
+                  <div className="flex justify-between"><span className="text-slate-500">Estate Tax</span><span className="font-semibold text-mwm-green">{fmt(strategyComparison.current.estateTax)}</span></div>
+                )}
                 {strategyComparison.current.irmaa > 0 && (
                   <div className="flex justify-between"><span className="text-slate-500">Lifetime IRMAA</span><span className="font-semibold text-amber-500">{fmt(strategyComparison.current.irmaa)}</span></div>
                 )}
@@ -422,6 +459,57 @@ export const ExecutiveSummaryTab = ({
               </div>
             </div>
           </div>
+          {/* Estate at the last death (prepared plan) */}
+          {strategyComparison.estate && (() => {
+            const estate = strategyComparison.estate;
+            const stateName = STATE_TAX_DATA[estate.stateCode]?.name;
+            return (
+              <div className="border border-slate-200 rounded-lg p-3 mb-4 text-xs">
+                <p className="text-[10px] text-slate-400 uppercase font-semibold mb-2">
+                  Estate at Final Death — age {estate.age} ({estate.year})
+                </p>
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                  <div>
+                    <p className="text-slate-500">Gross Estate</p>
+                    <p className="font-semibold text-slate-700">{fmt(estate.grossEstate)}</p>
+                    {(estate.realEstate > 0 || estate.otherAssets > 0) && (
+                      <p className="text-[10px] text-slate-400">Portfolio {fmtShort(estate.portfolio)}{estate.realEstate > 0 ? ` + real estate ${fmtShort(estate.realEstate)}` : ''}{estate.otherAssets > 0 ? ` + other ${fmtShort(estate.otherAssets)}` : ''}</p>
+                    )}
+                  </div>
+                  <div>
+                    <p className="text-slate-500">Federal Exemption</p>
+                    <p className="font-semibold text-slate-700">{fmt(estate.exemption)}</p>
+                    {estate.dsue > 0 && <p className="text-[10px] text-slate-400">incl. {fmtShort(estate.dsue)} ported at first death</p>}
+                  </div>
+                  <div>
+                    <p className="text-slate-500">Federal Estate Tax</p>
+                    <p className="font-semibold text-red-500">{fmt(estate.federalTax)}</p>
+                  </div>
+                  <div>
+                    <p className="text-slate-500">State Estate Tax</p>
+                    <p className="font-semibold text-red-500">{fmt(estate.stateTax)}</p>
+                    <p className="text-[10px] text-slate-400">
+                      {estate.stateExemption === null ? `${stateName || 'Your state'} has no estate tax` : `${stateName} exemption ${fmtShort(estate.stateExemption)}`}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-slate-500">Net to Heirs</p>
+                    <p className="font-semibold text-mwm-green">{fmt(estate.netToHeirs)}</p>
+                    <p className="text-[10px] text-slate-400">after {fmtShort(estate.heirIncomeTax)} heir income tax</p>
+                  </div>
+                </div>
+                {estate.heirs.length > 0 && (
+                  <div className="mt-2 pt-2 border-t border-slate-100 flex flex-wrap gap-x-4 gap-y-1 text-[11px] text-slate-500">
+                    {estate.heirs.map((heir, idx) => (
+                      <span key={heir.id ?? idx}>
+                        {heir.name}: inherits {fmtShort(heir.inherited)} pre-tax, {(heir.effectiveRate * 100).toFixed(1)}% tax over 10 years
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })()}
           {/* Value Added Cards */}
           <div className="grid grid-cols-3 gap-3 text-center">
             <div className={`rounded-lg p-3 border ${strategyComparison.legacyImprovement > 0 ? 'bg-emerald-50 border-emerald-200' : 'bg-slate-50 border-slate-200'}`}>
@@ -443,6 +531,12 @@ export const ExecutiveSummaryTab = ({
               </p>
             </div>
           </div>
+          {harvestSummary && (
+            <p className="text-xs text-slate-500 mt-3">
+              <strong className="text-slate-700">Tax-lot harvesting</strong> saves {fmt(harvestSummary.taxSaved)} in lifetime taxes
+              {' '}({fmt(harvestSummary.lossesHarvested)} losses banked, {fmt(harvestSummary.gainsHarvested)} gains realized at 0%; deterministic projection).
+            </p>
+          )}
         </Card>
       )}
 
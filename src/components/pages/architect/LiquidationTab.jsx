@@ -155,7 +155,11 @@ const LiquidationTab = ({ liquidationData, inputs, onInputChange, onAccountSplit
         <h3 className="font-semibold text-slate-800 text-base mb-1 flex items-center gap-2">
           <Target className="w-4 h-4" /> Top 10 Distribution Splits by After-Tax Legacy
         </h3>
-        <p className="text-xs text-slate-500 mb-3">Heir tax estimated at {summary.heirTaxRate}% on inherited Traditional accounts (SECURE Act 10-year rule).</p>
+        <p className="text-xs text-slate-500 mb-3">
+          {summary.heirsModeled
+            ? `Heir tax on inherited Traditional accounts modeled at each beneficiary's own brackets over the SECURE Act 10-year payout (${summary.heirTaxRate}% effective on the best split).`
+            : `Heir tax estimated at ${summary.heirTaxRate}% on inherited Traditional accounts (SECURE Act 10-year rule); list beneficiaries to model their own brackets.`}
+        </p>
         <div className="overflow-x-auto">
           <table className="w-full text-xs border-collapse">
             <thead>
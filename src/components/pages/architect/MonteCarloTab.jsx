@@ -8,13 +8,20 @@ import {
   Legend,
   Area,
   Line,
+  BarChart,
+  Bar,
+  Cell,
+  Tooltip,
 } from 'recharts';
-import { Activity, Shield, TrendingUp } from 'lucide-react';
+import { Activity, Shield, TrendingUp, TrendingDown, History, Wallet, Heart, Users } from 'lucide-react';
 import { COLORS } from '../../../constants';
-import { Card, StatBox } from '../../ui';
+import { Card, StatBox, SimulationProgress } from '../../ui';
+import { getMonteCarloIterations, SPENDING_RULES, DEFAULT_BOOTSTRAP_BLOCK_LENGTH } from '../../../utils';
 
-export const MonteCarloTab = ({ monteCarloData, rebalanceFreq, onSetRebalanceFreq, assumptions, vaEnabled, vaInputs, onToggleVa, onVaInputChange, vaMonteCarloData, inputs, basePlan, vaAdjustedBasePlan, clientInfo }) => {
+export const MonteCarloTab = ({ monteCarloData, historicalBacktestData, bootstrapMonteCarloData, fullSSMonteCarloData, onInputChange, rebalanceFreq, onSetRebalanceFreq, assumptions, vaEnabled, vaInputs, onToggleVa, onVaInputChange, vaMonteCarloData, inputs, basePlan, vaAdjustedBasePlan, clientInfo, simulationStatus }) => {
   const [scenario, setScenario] = useState('median');
+  // Portfolio range chart basis: nominal dollars or real (today's) dollars
+  const [showReal, setShowReal] = useState(false);
   const simYears = monteCarloData?.data?.length || 30;
   const startAge = basePlan?.simulationStartAge || 65;
   const finalProjectionAge = startAge + simYears;
@@ -45,6 +52,24 @@ export const MonteCarloTab = ({ monteCarloData, rebalanceFreq, onSetRebalanceFre
 
   const scenarioKey = scenario === 'optimistic' ? 'optimistic' : scenario === 'conservative' ? 'conservative' : 'median';
   const scenarioData = monteCarloData?.scenarios?.[scenarioKey] || [];
+  const iterationsLabel = getMonteCarloIterations(inputs).toLocaleString();
+  const mcStatus = simulationStatus?.monteCarlo;
+  const bootstrapStatus = simulationStatus?.bootstrap;
+  // Spending outcome under a dynamic withdrawal policy (fixed spending has nothing to spread)
+  const spending = monteCarloData?.spending;
+  const showSpending = spending && spending.policy !== 'fixed';
+  const fmtAdjustment = (adj) => adj >= 1 ? 'No cut' : `-${((1 - adj) * 100).toFixed(1)}%`;
+  const longevity = monteCarloData?.longevity;
+  const isMarried = !!clientInfo?.isMarried;
+
+  // First run after opening the plan — nothing to show until the worker pool reports back
+  if (!monteCarloData) {
+    return (
+      <Card className="p-8 mt-6">
+        <SimulationProgress status={mcStatus?.isRunning ? mcStatus : { isRunning: true, progress: 0 }} label={`Running ${iterationsLabel} Monte Carlo iterations`} />
+      </Card>
+    );
+  }
 
   return (
     <div className="space-y-6 animate-in fade-in duration-300 mt-6">
@@ -76,6 +101,111 @@ export const MonteCarloTab = ({ monteCarloData, rebalanceFreq, onSetRebalanceFre
               <option value="conservative">Conservative (10th Percentile)</option>
             </select>
           </div>
+          {onInputChange && (
+            <div className="bg-slate-50 px-3 py-1.5 rounded-lg border border-slate-200">
+              <label className="text-[12px] font-bold text-slate-500 uppercase block mb-1">Iterations</label>
+              <select
+                value={getMonteCarloIterations(inputs)}
+                onChange={(e) => onInputChange({ target: { name: 'monteCarloIterations', value: e.target.value, type: 'number' } })}
+                className="bg-white border text-xs font-bold rounded px-2 py-1 w-full"
+              >
+                <option value={1000}>1,000</option>
+                <option value={2500}>2,500</option>
+                <option value={5000}>5,000</option>
+                <option value={10000}>10,000</option>
+              </select>
+            </div>
+          )}
+          {(mcStatus?.isRunning || bootstrapStatus?.isRunning) && (
+            <div className="flex-1 min-w-[200px] space-y-1">
+              <SimulationProgress status={mcStatus} label="Monte Carlo" />
+              <SimulationProgress status={bootstrapStatus} label="Bootstrap" />
+            </div>
+          )}
+          {/* Bootstrap Settings */}
+          {onInputChange && (
+            <div className="bg-slate-50 px-3 py-1.5 rounded-lg border border-slate-200">
+              <label className="text-[12px] font-bold text-slate-500 uppercase block mb-1">Bootstrap Block</label>
+              <div className="flex items-center gap-2">
+                <select
+                  value={inputs?.bootstrapBlockLength ?? DEFAULT_BOOTSTRAP_BLOCK_LENGTH}
+                  onChange={(e) => onInputChange({ target: { name: 'bootstrapBlockLength', value: e.target.value, type: 'number' } })}
+                  className="bg-white border text-xs font-bold rounded px-2 py-1"
+                >
+                  <option value={1}>1 Year (Independent)</option>
+                  <option value={3}>3-Year Blocks</option>
+                  <option value={5}>5-Year Blocks</option>
+                  <option value={10}>10-Year Blocks</option>
+                </select>
+                <label className="flex items-center gap-1 text-[11px] text-slate-600 cursor-pointer" title="Re-center resampled history on your return assumptions so only volatility, tails and clustering come from history">
+                  <input
+                    type="checkbox"
+                    name="bootstrapMeanAdjust"
+                    checked={inputs?.bootstrapMeanAdjust ?? true}
+                    onChange={onInputChange}
+                    className="w-3 h-3"
+                  />
+                  Match assumed returns
+                </label>
+              </div>
+            </div>
+          )}
+          {/* Stochastic Inflation Settings */}
+          {onInputChange && (
+            <div className="bg-slate-50 px-3 py-1.5 rounded-lg border border-slate-200">
+              <label className="flex items-center gap-1 text-[12px] font-bold text-slate-500 uppercase mb-1 cursor-pointer" title="Each iteration draws its own inflation path, which drives spending, SS and pension COLAs, tax brackets and IRMAA thresholds">
+                <input
+                  type="checkbox"
+                  name="stochasticInflation"
+                  checked={!!inputs?.stochasticInflation}
+                  onChange={onInputChange}
+                  className="w-3 h-3"
+                />
+                Stochastic Inflation
+              </label>
+              <div className={`flex items-center gap-2 text-[11px] text-slate-600 ${inputs?.stochasticInflation ? '' : 'opacity-50'}`}>
+                <span>Vol</span>
+                <input
+                  type="number"
+                  name="inflationVolatility"
+                  step="0.1" min="0" max="10"
+                  value={inputs?.inflationVolatility ?? 1.5}
+                  onChange={onInputChange}
+                  disabled={!inputs?.stochasticInflation}
+                  className="bg-white border text-xs font-bold rounded px-1 py-0.5 w-14"
+                />
+                <span>%</span>
+                <span className="ml-1" title="Correlation between inflation surprises and B2 bond returns (normal Monte Carlo; bootstrap uses each resampled year's actual CPI)">Bond ρ</span>
+                <input
+                  type="number"
+                  name="inflationBondCorrelation"
+                  step="0.1" min="-1" max="1"
+                  value={inputs?.inflationBondCorrelation ?? -0.3}
+                  onChange={onInputChange}
+                  disabled={!inputs?.stochasticInflation}
+                  className="bg-white border text-xs font-bold rounded px-1 py-0.5 w-14"
+                />
+              </div>
+            </div>
+          )}
+          {/* Stochastic Mortality */}
+          {onInputChange && (
+            <div className="bg-slate-50 px-3 py-1.5 rounded-lg border border-slate-200">
+              <label className="flex items-center gap-1 text-[12px] font-bold text-slate-500 uppercase mb-1 cursor-pointer" title="Each iteration draws both spouses' death ages from the SSA life table (sex and health set under Life Expectancy) instead of using the planned death ages">
+                <input
+                  type="checkbox"
+                  name="stochasticMortality"
+                  checked={!!inputs?.stochasticMortality}
+                  onChange={onInputChange}
+                  className="w-3 h-3"
+                />
+                Stochastic Mortality
+              </label>
+              <div className={`text-[11px] text-slate-600 ${inputs?.stochasticMortality ? '' : 'opacity-50'}`}>
+                Life-table death ages per iteration
+              </div>
+            </div>
+          )}
           {/* VA GIB Toggle */}
           <div className="bg-slate-50 px-3 py-1.5 rounded-lg border border-slate-200 flex items-center gap-2">
             <label className="flex items-center gap-2 cursor-pointer">
@@ -173,12 +303,21 @@ export const MonteCarloTab = ({ monteCarloData, rebalanceFreq, onSetRebalanceFre
       {/* Success Rate Stats */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
         <StatBox
-          label={vaEnabled ? "Success Rate (Without VA)" : "Success Rate"}
+          label={vaEnabled ? "Success Rate (Without VA)" : bootstrapMonteCarloData ? "Success Rate (Normal)" : "Success Rate"}
           value={`${monteCarloData.successRate.toFixed(1)}%`}
-          subtext="Iterations ending > $0"
+          subtext={longevity ? "Money outlasts the household" : "Iterations ending > $0"}
           icon={Activity}
           colorClass={monteCarloData.successRate >= 85 ? "bg-mwm-green" : monteCarloData.successRate >= 65 ? "bg-orange-500" : "bg-red-500"}
         />
+        {bootstrapMonteCarloData && (
+          <StatBox
+            label="Success Rate (Bootstrap)"
+            value={`${bootstrapMonteCarloData.successRate.toFixed(1)}%`}
+            subtext={`Resampled ${(inputs?.bootstrapBlockLength ?? DEFAULT_BOOTSTRAP_BLOCK_LENGTH) > 1 ? `${inputs?.bootstrapBlockLength ?? DEFAULT_BOOTSTRAP_BLOCK_LENGTH}-year blocks` : 'years'} of 1926–2024 history`}
+            icon={History}
+            colorClass={bootstrapMonteCarloData.successRate >= 85 ? "bg-mwm-green" : bootstrapMonteCarloData.successRate >= 65 ? "bg-orange-500" : "bg-red-500"}
+          />
+        )}
         {vaEnabled && vaMonteCarloData && (
           <StatBox
             label="Success Rate (With VA GIB)"
@@ -188,15 +327,99 @@ export const MonteCarloTab = ({ monteCarloData, rebalanceFreq, onSetRebalanceFre
             colorClass={vaMonteCarloData.successRate >= 85 ? "bg-purple-500" : vaMonteCarloData.successRate >= 65 ? "bg-orange-500" : "bg-red-500"}
           />
         )}
-        <div className={`${vaEnabled ? '' : 'md:col-span-2'} bg-indigo-50 p-4 rounded-lg text-sm text-indigo-900 flex items-center`}>
+        <div className={`${vaEnabled || bootstrapMonteCarloData ? '' : 'md:col-span-2'} bg-indigo-50 p-4 rounded-lg text-sm text-indigo-900 flex items-center`}>
           <p>
-            <strong>Simulation:</strong> 1,000 iterations, Gaussian distribution.
+            <strong>Simulation:</strong> {iterationsLabel} iterations, Gaussian distribution{bootstrapMonteCarloData ? ` (bootstrap: ${iterationsLabel} resampled historical paths)` : ''}{monteCarloData.stochasticInflation ? ', stochastic inflation' : ''}{longevity ? ', stochastic mortality' : ''}.
             Strategy: <strong>{rebalanceFreq === 0 ? 'Sequential Depletion' : `Bucket Refill Every ${rebalanceFreq} Year${rebalanceFreq > 1 ? 's' : ''}`}</strong>.
             Viewing: <strong>{scenario === 'optimistic' ? '90th Percentile' : scenario === 'conservative' ? '10th Percentile' : 'Median'}</strong>.
           </p>
         </div>
       </div>
 
+      {/* Trust fund depletion cut vs full Social Security benefits */}
+      {inputs?.ssHaircutEnabled && fullSSMonteCarloData && (
+        <Card className="p-6 bg-amber-50/50 border-amber-200">
+          <h3 className="font-bold text-lg text-slate-800 mb-1 flex items-center gap-2">
+            <TrendingDown className="w-5 h-5 text-amber-600" /> Social Security Trust Fund Depletion
+          </h3>
+          <p className="text-xs text-slate-500 mb-4">
+            Benefits cut {inputs.ssHaircutPercent}% from {inputs.ssHaircutYear}
+            {inputs.ssHaircutRestoreYear > 0 ? `, ${inputs.ssHaircutRestorePercent}% of the cut restored from ${inputs.ssHaircutRestoreYear}` : ', never restored'}.
+            The simulations above include the cut; this compares them to the same plan on full benefits.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="text-center">
+              <div className="text-sm text-slate-500 mb-1">Success Rate (With Cut)</div>
+              <div className="text-2xl font-bold text-slate-800">{monteCarloData.successRate.toFixed(1)}%</div>
+            </div>
+            <div className="text-center">
+              <div className="text-sm text-slate-500 mb-1">Success Rate (Full Benefits)</div>
+              <div className="text-2xl font-bold text-slate-800">{fullSSMonteCarloData.successRate.toFixed(1)}%</div>
+            </div>
+            <div className="text-center">
+              <div className="text-sm text-slate-500 mb-1">Cost of the Cut</div>
+              <div className={`text-2xl font-bold ${monteCarloData.successRate - fullSSMonteCarloData.successRate >= 0 ? 'text-mwm-green' : 'text-red-600'}`}>
+                {monteCarloData.successRate - fullSSMonteCarloData.successRate >= 0 ? '+' : ''}
+                {(monteCarloData.successRate - fullSSMonteCarloData.successRate).toFixed(1)}%
+              </div>
+            </div>
+          </div>
+        </Card>
+      )}
+
+      {/* Historical Rolling-Period Backtest */}
+      {historicalBacktestData && (
+        <Card className="p-6">
+          <h3 className="font-bold text-lg text-slate-800 mb-1 flex items-center gap-2">
+            <History className="w-5 h-5 text-mwm-green" /> Historical Backtest
+          </h3>
+          <p className="text-xs text-slate-500 mb-4">
+            Replays the plan through every {historicalBacktestData.periods[0] ? historicalBacktestData.periods[0].endYear - historicalBacktestData.periods[0].startYear + 1 : ''}-year window of actual market history,
+            retiring in {historicalBacktestData.firstStartYear} through {historicalBacktestData.lastStartYear} ({historicalBacktestData.periods.length} periods).
+            Buckets use their stock/bond/cash blend; ending balances are shown in start-year dollars using the CPI of each window.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+            <StatBox
+              label="Historical Survival"
+              value={`${historicalBacktestData.successRate.toFixed(1)}%`}
+              subtext="Rolling periods ending > $0"
+              icon={History}
+              colorClass={historicalBacktestData.successRate >= 85 ? "bg-mwm-green" : historicalBacktestData.successRate >= 65 ? "bg-orange-500" : "bg-red-500"}
+            />
+            <div className="bg-red-50 p-4 rounded-lg border border-red-100">
+              <div className="text-xs font-bold text-red-700 uppercase mb-1">Worst Start Year</div>
+              <div className="text-2xl font-bold text-red-700">{historicalBacktestData.worstPeriod.startYear}</div>
+              <div className="text-xs text-red-700/80 mt-1">
+                {historicalBacktestData.worstPeriod.survived
+                  ? `Survived — lowest real ending balance: ${fmt(historicalBacktestData.worstPeriod.realFinalBalance)}`
+                  : `Portfolio depleted at age ${historicalBacktestData.worstPeriod.depletionAge}`}
+              </div>
+            </div>
+            <div className="bg-slate-50 p-4 rounded-lg border border-slate-200">
+              <div className="text-xs font-bold text-slate-500 uppercase mb-1">Failed Start Years</div>
+              <div className="text-sm font-medium text-slate-700">
+                {historicalBacktestData.periods.filter(p => !p.survived).map(p => p.startYear).join(', ') || 'None'}
+              </div>
+            </div>
+          </div>
+          <div className="h-56 w-full">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={historicalBacktestData.periods}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis dataKey="startYear" tick={{ fontSize: 10 }} interval={4} />
+                <YAxis tickFormatter={(val) => val >= 2000000 ? `$${Math.round(val / 1000000)}M` : `$${Math.round(val / 1000)}k`} />
+                <Tooltip formatter={(val) => fmt(val)} labelFormatter={(label) => `Retire in ${label}`} />
+                <Bar dataKey="realFinalBalance" name="Real Ending Balance">
+                  {historicalBacktestData.periods.map(p => (
+                    <Cell key={p.startYear} fill={p.survived ? COLORS.longTerm : '#dc2626'} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </Card>
+      )}
+
       {/* Year-by-Year Returns by Bucket — Representative Iteration */}
       <Card className="p-6">
         <h3 className="font-bold text-lg text-slate-800 mb-4">
@@ -273,7 +496,26 @@ export const MonteCarloTab = ({ monteCarloData, rebalanceFreq, onSetRebalanceFre
 
       {/* Monte Carlo Range Chart */}
       <Card className="p-6">
-        <h3 className="font-bold text-lg text-slate-800 mb-6">Portfolio Range (Through {legacyLabel})</h3>
+        <div className="flex flex-wrap justify-between items-start gap-2 mb-6">
+          <div>
+            <h3 className="font-bold text-lg text-slate-800">Portfolio Range (Through {legacyLabel})</h3>
+            {showReal && (
+              <p className="text-xs text-slate-500 mt-1">
+                Today's dollars, each iteration deflated by its own inflation path. Median real legacy: <strong>{fmt(monteCarloData.medianRealLegacy || 0)}</strong>
+              </p>
+            )}
+          </div>
+          <div className="flex rounded-lg border border-slate-200 overflow-hidden print:hidden">
+            <button
+              onClick={() => setShowReal(false)}
+              className={`px-3 py-1 text-xs font-medium transition-colors ${!showReal ? 'bg-mwm-green text-white' : 'bg-white text-slate-600 hover:bg-slate-50'}`}
+            >Nominal</button>
+            <button
+              onClick={() => setShowReal(true)}
+              className={`px-3 py-1 text-xs font-medium transition-colors ${showReal ? 'bg-mwm-green text-white' : 'bg-white text-slate-600 hover:bg-slate-50'}`}
+            >Real (Today's $)</button>
+          </div>
+        </div>
         <div className="h-80 w-full">
           <ResponsiveContainer width="100%" height="100%">
             <ComposedChart data={monteCarloData.data}>
@@ -281,14 +523,120 @@ export const MonteCarloTab = ({ monteCarloData, rebalanceFreq, onSetRebalanceFre
               <XAxis dataKey="year" />
               <YAxis tickFormatter={(val) => val >= 2000000 ? `$${Math.round(val / 1000000)}M` : `$${Math.round(val / 1000)}k`} />
               <Legend />
-              <Area type="monotone" dataKey="p90" name="Upside (90th Percentile)" stroke="#166534" strokeWidth={2} fill={COLORS.midTerm} fillOpacity={0.3} />
-              <Area type="monotone" dataKey="p10" name="Downside (10th Percentile)" stroke="#dc2626" strokeWidth={2} fill="white" fillOpacity={1} />
-              <Line type="monotone" dataKey="median" name="Median Outcome" stroke={COLORS.longTerm} strokeWidth={3} dot={false} />
+              <Area type="monotone" dataKey={showReal ? 'realP90' : 'p90'} name="Upside (90th Percentile)" stroke="#166534" strokeWidth={2} fill={COLORS.midTerm} fillOpacity={0.3} />
+              <Area type="monotone" dataKey={showReal ? 'realP10' : 'p10'} name="Downside (10th Percentile)" stroke="#dc2626" strokeWidth={2} fill="white" fillOpacity={1} />
+              <Line type="monotone" dataKey={showReal ? 'realMedian' : 'median'} name="Median Outcome" stroke={COLORS.longTerm} strokeWidth={3} dot={false} />
             </ComposedChart>
           </ResponsiveContainer>
         </div>
       </Card>
 
+      {/* Spending Range — withdrawal policy adjusts living expenses per iteration */}
+      {showSpending && (
+        <Card className="p-6">
+          <h3 className="font-bold text-lg text-slate-800">Spending Range (Today's $)</h3>
+          <p className="text-xs text-slate-500 mt-1 mb-4">
+            Annual living expenses under the {SPENDING_RULES[spending.policy]?.label || spending.policy} rule across all {iterationsLabel} iterations, deflated by each iteration's own inflation path.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            <StatBox
+              label="Chance of a Spending Cut"
+              value={`${spending.cutProbability.toFixed(1)}%`}
+              subtext={`Iterations with at least one spending cut • volatility ${(spending.medianSpendingVolatility * 100).toFixed(1)}%/yr`}
+              icon={TrendingDown}
+              colorClass={spending.cutProbability <= 25 ? "bg-mwm-green" : spending.cutProbability <= 50 ? "bg-orange-500" : "bg-red-500"}
+            />
+            <StatBox
+              label="Deepest Cut vs Plan"
+              value={fmtAdjustment(spending.medianLowestAdjustment)}
+              subtext={`Median iteration • 10th percentile: ${fmtAdjustment(spending.p10LowestAdjustment)}`}
+              icon={Activity}
+              colorClass="bg-orange-500"
+            />
+            <StatBox
+              label="Lifetime Spending"
+              value={fmt(spending.medianLifetimeRealSpending)}
+              subtext={`Median, today's dollars • 10th percentile: ${fmt(spending.p10LifetimeRealSpending)}`}
+              icon={Wallet}
+              colorClass="bg-mwm-green"
+            />
+          </div>
+          <div className="h-72 w-full">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={monteCarloData.data}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis dataKey="year" />
+                <YAxis tickFormatter={(val) => `$${Math.round(val / 1000)}k`} />
+                <Tooltip formatter={(val) => `$${Math.round(val).toLocaleString()}`} labelFormatter={(year) => `Year ${year}`} />
+                <Legend />
+                <Area type="monotone" dataKey="realSpendingP90" name="Upside (90th Percentile)" stroke="#166534" strokeWidth={2} fill={COLORS.midTerm} fillOpacity={0.3} />
+                <Area type="monotone" dataKey="realSpendingP10" name="Downside (10th Percentile)" stroke="#dc2626" strokeWidth={2} fill="white" fillOpacity={1} />
+                <Line type="monotone" dataKey="realSpendingMedian" name="Median Spending" stroke={COLORS.longTerm} strokeWidth={3} dot={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        </Card>
+      )}
+
+      {/* Longevity — drawn death ages per iteration (stochastic mortality) */}
+      {longevity && (
+        <Card className="p-6">
+          <h3 className="font-bold text-lg text-slate-800">Longevity</h3>
+          <p className="text-xs text-slate-500 mt-1 mb-4">
+            Each of the {iterationsLabel} iterations draws {isMarried ? 'both spouses\' death ages' : 'a death age'} from the SSA period life table with the health adjustments under Life Expectancy, and runs until the household's last death.
+          </p>
+          <div className={`grid grid-cols-1 ${isMarried ? 'md:grid-cols-3' : 'md:grid-cols-2'} gap-4 mb-6`}>
+            <StatBox
+              label="Money Outlasts Household"
+              value={`${longevity.moneyOutlastsHousehold.toFixed(1)}%`}
+              subtext="Portfolio never depleted while anyone is alive"
+              icon={Activity}
+              colorClass={longevity.moneyOutlastsHousehold >= 85 ? "bg-mwm-green" : longevity.moneyOutlastsHousehold >= 65 ? "bg-orange-500" : "bg-red-500"}
+            />
+            <StatBox
+              label={isMarried ? "Last Death Age" : "Death Age"}
+              value={`${longevity.medianLastDeathAge}`}
+              subtext={`Median${isMarried ? ', client\'s age' : ''} • 1 in 10 lives past ${longevity.p90LastDeathAge}`}
+              icon={Heart}
+              colorClass="bg-blue-500"
+            />
+            {isMarried && (
+              <StatBox
+                label="Long Survivorship"
+                value={`${longevity.longSurvivorshipProbability.toFixed(1)}%`}
+                subtext="One spouse outlives the other by 10+ years"
+                icon={Users}
+                colorClass="bg-orange-500"
+              />
+            )}
+          </div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-200 text-xs text-slate-500 uppercase">
+                <th className="text-left py-2">Client Age</th>
+                <th className="text-right py-2">{clientInfo?.name || 'Client'} Alive</th>
+                {isMarried && <th className="text-right py-2">{clientInfo?.partnerName || 'Partner'} Alive</th>}
+                {isMarried && <th className="text-right py-2">Both Alive</th>}
+                {isMarried && <th className="text-right py-2">Either Alive</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {longevity.survival.map(row => (
+                <tr key={row.age} className="border-b border-slate-100">
+                  <td className="py-1.5 font-medium text-slate-700">
+                    {row.age}{isMarried && <span className="text-xs text-slate-400"> (partner {row.partnerAge})</span>}
+                  </td>
+                  <td className="text-right">{row.client.toFixed(1)}%</td>
+                  {isMarried && <td className="text-right">{row.partner.toFixed(1)}%</td>}
+                  {isMarried && <td className="text-right">{row.both.toFixed(1)}%</td>}
+                  {isMarried && <td className="text-right font-bold">{row.either.toFixed(1)}%</td>}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )}
+
       {/* VA Impact Summary when enabled */}
       {vaEnabled && vaMonteCarloData && (
         <Card className="p-6 bg-gradient-to-r from-purple-50 to-indigo-50 border-purple-200">
@@ -1,14 +1,100 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import {
   RefreshCw, Target, Shield, FileText, Download, AlertCircle,
-  CheckCircle, Loader
+  CheckCircle, Loader, Wallet
 } from 'lucide-react';
 
 import { COLORS } from '../../../constants';
-import { generateAndDownloadIPS } from '../../../utils';
-import { Card } from '../../ui';
+import { generateAndDownloadIPS, pickAllocation, SPENDING_RULES, getMonteCarloIterations } from '../../../utils';
+import { useSimulationTask } from '../../../hooks/useSimulationTask';
+import { Card, SimulationProgress } from '../../ui';
 
-export const OptimizerTab = ({ optimizerData, inputs, basePlan, monteCarloData, projectionData, optimizerRebalanceFreq, onSetOptimizerRebalanceFreq, clientInfo, assumptions, vaEnabled, vaInputs, vaOptimizerData }) => {
+// ============================================
+// Spending Rule Comparison - every SPENDING_RULES entry on the same Monte Carlo paths
+// ============================================
+const SpendingRuleComparison = ({ inputs, assumptions, clientInfo, basePlan, rebalanceFreq, rebalanceTargets, vaEnabled, vaInputs }) => {
+  // With a VA the buckets are the VA-adjusted formula allocation, as in the VA Monte Carlo
+  const payload = useMemo(() => basePlan ? {
+    plan: {
+      inputs, assumptions, clientInfo,
+      ...(vaEnabled ? { vaInputs, allocation: null } : { allocation: pickAllocation(basePlan) })
+    },
+    rebalanceFreq: rebalanceFreq || 0,
+    rebalanceTargets
+  } : null, [inputs, assumptions, clientInfo, basePlan, rebalanceFreq, rebalanceTargets, vaEnabled, vaInputs]);
+  const task = useSimulationTask('spendingRules', 'spendingRules', payload);
+  const results = task.result;
+  const activeRule = SPENDING_RULES[inputs.withdrawalPolicy] ? inputs.withdrawalPolicy : 'fixed';
+
+  const fmt = (val) => val >= 1000000 ? `$${(val / 1000000).toFixed(2)}M` : `$${Math.round(val).toLocaleString()}`;
+  const fmtCut = (adj) => adj >= 1 ? 'None' : `-${((1 - adj) * 100).toFixed(1)}%`;
+
+  return (
+    <Card className="p-5">
+      <div className="flex flex-wrap items-start justify-between gap-2 mb-4">
+        <div>
+          <h4 className="font-bold text-slate-800 flex items-center gap-2">
+            <Wallet className="w-5 h-5 text-mwm-green" /> Spending Rule Comparison
+          </h4>
+          <p className="text-xs text-slate-500 mt-1">
+            Current bucket allocation, {getMonteCarloIterations(inputs).toLocaleString()} Monte Carlo paths shared by every rule. Spending in today's dollars.
+          </p>
+        </div>
+        <SimulationProgress status={task} label="Simulating rules" className="w-56" />
+      </div>
+      {results ? (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b-2 border-slate-200 text-xs uppercase text-slate-500">
+                <th className="text-left p-2">Rule</th>
+                <th className="text-right p-2">Success Rate</th>
+                <th className="text-right p-2">Median Lifetime Spending</th>
+                <th className="text-right p-2">10th % Lifetime Spending</th>
+                <th className="text-right p-2">Spending Volatility</th>
+                <th className="text-right p-2">Deepest Cut (Median)</th>
+                <th className="text-right p-2">Median Legacy</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(SPENDING_RULES).map(([key, rule]) => {
+                const result = results[key];
+                if (!result) return null;
+                const isActive = key === activeRule;
+                return (
+                  <tr key={key} className={`border-b border-slate-100 ${isActive ? 'bg-mwm-green/10' : ''}`}>
+                    <td className="p-2">
+                      <div className="font-medium text-slate-800 flex items-center gap-2">
+                        {rule.label}
+                        {isActive && <span className="text-[10px] bg-mwm-green text-white px-1.5 py-0.5 rounded">Current</span>}
+                      </div>
+                      <div className="text-[11px] text-slate-500">{rule.description}</div>
+                    </td>
+                    <td className={`p-2 text-right font-mono ${result.successRate >= 85 ? 'text-mwm-green' : result.successRate >= 65 ? 'text-orange-600' : 'text-red-600'}`}>
+                      {result.successRate.toFixed(1)}%
+                    </td>
+                    <td className="p-2 text-right font-mono text-slate-700">{fmt(result.spending.medianLifetimeRealSpending)}</td>
+                    <td className="p-2 text-right font-mono text-slate-500">{fmt(result.spending.p10LifetimeRealSpending)}</td>
+                    <td className="p-2 text-right font-mono text-slate-700">{(result.spending.medianSpendingVolatility * 100).toFixed(1)}%</td>
+                    <td className="p-2 text-right font-mono text-slate-700">{fmtCut(result.spending.medianLowestAdjustment)}</td>
+                    <td className="p-2 text-right font-mono text-slate-700">{fmt(result.medianLegacy)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p className="text-[11px] text-slate-400 mt-2">
+            Spending volatility is the median iteration's standard deviation of year-over-year changes in living expenses relative to the planned budget path. Deepest cut compares living expenses with the planned monthly budget. Balance-driven rules rarely deplete the portfolio, so read their success rate alongside the 10th percentile spending.
+          </p>
+        </div>
+      ) : !task.isRunning && (
+        <p className="text-sm text-slate-500">Comparison unavailable.</p>
+      )}
+    </Card>
+  );
+};
+
+export const OptimizerTab = ({ optimizerData, inputs, basePlan, monteCarloData, projectionData, optimizerRebalanceFreq, onSetOptimizerRebalanceFreq, clientInfo, assumptions, rebalanceTargets, vaEnabled, vaInputs, vaOptimizerData, simulationStatus }) => {
   const [selectedIPSStrategy, setSelectedIPSStrategy] = useState(null);
   const [selectedIPSRebalanceFreq, setSelectedIPSRebalanceFreq] = useState(optimizerRebalanceFreq);
   const optimizerFinalAge = projectionData[projectionData.length - 1]?.age || inputs.expectedDeathAge || 95;
@@ -19,12 +105,17 @@ export const OptimizerTab = ({ optimizerData, inputs, basePlan, monteCarloData,
   // Use VA optimizer data when VA is enabled and toggle is on
   const activeOptimizerData = (vaEnabled && showVaResults && vaOptimizerData) ? vaOptimizerData : optimizerData;
 
+  const optimizerStatus = simulationStatus?.optimizer;
+
   // Safety check - if optimizerData isn't ready yet, show loading
   if (!optimizerData || !optimizerData.strategy1 || !optimizerData.strategy2 || !optimizerData.strategy3) {
     return (
-      <div className="flex items-center justify-center p-12">
-        <Loader className="w-8 h-8 animate-spin text-mwm-green" />
-        <span className="ml-3 text-slate-600">Calculating optimization strategies...</span>
+      <div className="flex flex-col items-center justify-center p-12 gap-3">
+        <div className="flex items-center">
+          <Loader className="w-8 h-8 animate-spin text-mwm-green" />
+          <span className="ml-3 text-slate-600">Calculating optimization strategies...</span>
+        </div>
+        <SimulationProgress status={optimizerStatus} label="Scoring strategies" className="w-72" />
       </div>
     );
   }
@@ -213,6 +304,7 @@ export const OptimizerTab = ({ optimizerData, inputs, basePlan, monteCarloData,
         <p className="text-xs text-slate-500 mt-2">
           {distributionStrategies.find(s => s.value === optimizerRebalanceFreq)?.description}
         </p>
+        <SimulationProgress status={optimizerStatus} label="Updating strategies" className="mt-2" />
       </Card>
 
       {/* Strategy Comparison Header */}
@@ -265,6 +357,18 @@ export const OptimizerTab = ({ optimizerData, inputs, basePlan, monteCarloData,
         ))}
       </div>
 
+      {/* Spending Rule Comparison */}
+      <SpendingRuleComparison
+        inputs={inputs}
+        assumptions={assumptions}
+        clientInfo={clientInfo}
+        basePlan={basePlan}
+        rebalanceFreq={optimizerRebalanceFreq}
+        rebalanceTargets={rebalanceTargets}
+        vaEnabled={vaEnabled}
+        vaInputs={vaInputs}
+      />
+
       {/* IPS Generation Section */}
       <Card className="p-5 bg-gradient-to-r from-indigo-50 to-purple-50 border-indigo-200">
         <div className="flex flex-col gap-4">
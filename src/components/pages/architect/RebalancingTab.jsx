@@ -7,6 +7,7 @@ import { RefreshCw, TrendingUp, Shield, AlertCircle, ChevronDown, ChevronUp } fr
 
 import { COLORS } from '../../../constants/colors';
 import { runRebalancingComparison, runMonteCarloRebalancing } from '../../../utils/rebalancingEngine';
+import { DEFAULT_BOOTSTRAP_BLOCK_LENGTH } from '../../../utils';
 import { Card } from '../../ui';
 
 const fmt = (val) => `$${Math.round(val).toLocaleString()}`;
@@ -47,6 +48,8 @@ const ACTION_LABELS = {
 export const RebalancingTab = ({ inputs, basePlan, assumptions, projectionData }) => {
   const [selectedScenario, setSelectedScenario] = useState('historical-1');
   const [showDetails, setShowDetails] = useState(false);
+  // Projected scenarios: 'normal' draws or 'bootstrap' (resampled historical years)
+  const [mcMethod, setMcMethod] = useState('normal');
 
   const annualWithdrawal = (inputs.monthlySpending || 5000) * 12;
 
@@ -106,9 +109,13 @@ export const RebalancingTab = ({ inputs, basePlan, assumptions, projectionData }
       years: 20,
       assumptions,
       iterations: 500,
-      scheduledFreq: 3
+      scheduledFreq: 3,
+      seed: inputs.monteCarloSeed,
+      method: mcMethod,
+      blockLength: inputs.bootstrapBlockLength ?? DEFAULT_BOOTSTRAP_BLOCK_LENGTH,
+      meanAdjust: inputs.bootstrapMeanAdjust ?? true
     });
-  }, [initialBuckets, annualWithdrawal, withdrawalSchedule, surplusSchedule, assumptions]);
+  }, [initialBuckets, annualWithdrawal, withdrawalSchedule, surplusSchedule, assumptions, inputs.monteCarloSeed, mcMethod, inputs.bootstrapBlockLength, inputs.bootstrapMeanAdjust]);
 
   // Active data based on selection
   const activeData = useMemo(() => {
@@ -201,7 +208,20 @@ export const RebalancingTab = ({ inputs, basePlan, assumptions, projectionData }
               </button>
             ))}
           </div>
-          <p className="text-[10px] text-slate-400 uppercase font-semibold mb-1.5 mt-3">Projected Scenarios (Monte Carlo, 20 Years)</p>
+          <div className="flex items-center gap-2 mb-1.5 mt-3">
+            <p className="text-[10px] text-slate-400 uppercase font-semibold">Projected Scenarios (Monte Carlo, 20 Years)</p>
+            <div className="flex rounded border border-slate-200 overflow-hidden">
+              {[['normal', 'Normal'], ['bootstrap', 'Historical Bootstrap']].map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setMcMethod(key)}
+                  className={`px-2 py-0.5 text-[10px] font-semibold ${mcMethod === key ? 'bg-slate-700 text-white' : 'bg-white text-slate-500 hover:bg-slate-50'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
           <div className="flex flex-wrap gap-1.5">
             {PROJECTED_SCENARIOS.map((s) => (
               <button
@@ -1,10 +1,12 @@
 import React, { useState, useMemo } from 'react';
-import { Shield, Loader, Calculator, CheckCircle, AlertTriangle } from 'lucide-react';
-import { getAdjustedSS, getImpliedPIA, applyDeemedFiling, calculateBasePlan, runSimulation } from '../../../utils';
+import { Shield, Loader, Calculator, CheckCircle, AlertTriangle, TrendingDown } from 'lucide-react';
+import { getAdjustedSS, getImpliedPIA, applyDeemedFiling, calculateBasePlan, runSimulation, calculateSSAnalysis, calculateSSPartnerAnalysis, calculateSSFairnessActImpact, calculateSurvivorOutcome, calculateSurvivorClaimingMatrix, SURVIVOR_STRATEGIES } from '../../../utils';
 import { Card } from '../../ui';
 
-export const SSOptimizationTab = ({ clientInfo, inputs, assumptions, basePlan, rebalanceFreq, rebalanceTargets, useManualAllocation, manualAllocations, ssAnalysis, ssBreakevenResults, clientOutcomes, clientWinner, partnerOutcomes, partnerWinner, targetMaxPortfolioAge, onSetTargetMaxPortfolioAge, onUpdateSSStartAge, onUpdatePartnerSSStartAge, onInputChange, matrixData, isRunningMatrix, onSetMatrixData, onSetIsRunningMatrix }) => {
+export const SSOptimizationTab = ({ clientInfo, inputs, assumptions, basePlan, rebalanceFreq, rebalanceTargets, useManualAllocation, manualAllocations, ssAnalysis, ssPartnerAnalysis, ssBreakevenResults, clientOutcomes, clientWinner, partnerOutcomes, partnerWinner, targetMaxPortfolioAge, onSetTargetMaxPortfolioAge, onUpdateSSStartAge, onUpdatePartnerSSStartAge, onInputChange, matrixData, isRunningMatrix, onSetMatrixData, onSetIsRunningMatrix }) => {
   const [showBenefitDetails, setShowBenefitDetails] = useState(false);
+  // Claiming matrix ranked by portfolio at the target age, or by survivor-weighted lifetime benefits
+  const [matrixView, setMatrixView] = useState('portfolio');
 
   const clientLocked = inputs.ssCurrentlyReceiving;
   const partnerLocked = inputs.partnerSSCurrentlyReceiving;
@@ -30,6 +32,21 @@ export const SSOptimizationTab = ({ clientInfo, inputs, assumptions, basePlan, r
 
   const isMatrixStale = !!matrixData && matrixData.signature !== matrixSignature;
 
+  // Social Security Fairness Act: before/after for spouses with a non-covered pension
+  const fairnessAct = useMemo(() => calculateSSFairnessActImpact({ inputs, clientInfo }), [inputs, clientInfo]);
+  // Trust fund depletion: the claiming recommendation with the cut vs on full benefits
+  const haircutComparison = useMemo(() => {
+    if (!inputs.ssHaircutEnabled || !ssAnalysis?.winner) return null;
+    const common = { inputs: { ...inputs, ssHaircutEnabled: false }, clientInfo, assumptions, targetMaxPortfolioAge, retirementPortfolio: basePlan?.retirementPortfolio };
+    const client = calculateSSAnalysis(common);
+    const partner = clientInfo.isMarried ? calculateSSPartnerAnalysis({ ...common, clientSSWinner: client.winner }) : null;
+    return { client: client.winner, partner: partner?.winner ?? null };
+  }, [inputs, clientInfo, assumptions, targetMaxPortfolioAge, basePlan?.retirementPortfolio, ssAnalysis?.winner]);
+  const setHaircutInput = (name, value) => onInputChange({ target: { name, value, type: 'number' } });
+
+  // DROP plans are police/fire pensions, which are often outside Social Security
+  const unflaggedDropPension = inputs.dropEnabled && inputs.monthlyPension > 0 && !inputs.pensionNonCovered;
+
   const runMatrixOptimization = () => {
     onSetIsRunningMatrix(true);
     setTimeout(() => {
@@ -58,15 +75,26 @@ export const SSOptimizationTab = ({ clientInfo, inputs, assumptions, basePlan, r
         }
       }
 
-      onSetMatrixData({ matrix, winner, ages, signature: matrixSignature });
+      const survivor = calculateSurvivorClaimingMatrix({ inputs, clientInfo });
+      onSetMatrixData({ matrix, winner, ages, survivor, signature: matrixSignature });
       onSetIsRunningMatrix(false);
     }, 50);
   };
 
+  // Matrices run before survivor outcomes existed fall back to the portfolio view
+  const survivorView = matrixView === 'survivor' && !!matrixData?.survivor;
+  const matrixWinner = survivorView ? matrixData.survivor.winner : matrixData?.winner;
+  const getCellValue = (clientAge, partnerAge) => (survivorView
+    ? matrixData.survivor.matrix.find(m => m.clientAge === clientAge && m.partnerAge === partnerAge)?.expectedLifetimeBenefits
+    : matrixData.matrix.find(m => m.clientAge === clientAge && m.partnerAge === partnerAge)?.balance) || 0;
+
+  // Survivor outcome of the selected claiming ages
+  const selectedSurvivor = useMemo(() => calculateSurvivorOutcome({ inputs, clientInfo }), [inputs, clientInfo]);
+
   const applyMatrixWinner = () => {
-    if (matrixData?.winner) {
-      onUpdateSSStartAge(matrixData.winner.clientAge);
-      onUpdatePartnerSSStartAge(matrixData.winner.partnerAge);
+    if (matrixWinner) {
+      onUpdateSSStartAge(matrixWinner.clientAge);
+      onUpdatePartnerSSStartAge(matrixWinner.partnerAge);
     }
   };
   return (
@@ -303,6 +331,172 @@ export const SSOptimizationTab = ({ clientInfo, inputs, assumptions, basePlan, r
         );
       })()}
 
+      {/* Trust fund depletion: across-the-board benefit cut what-if */}
+      <div className="bg-amber-50/60 rounded-xl border border-amber-200 p-5 mb-8">
+        <div className="flex flex-col md:flex-row md:items-start justify-between gap-3">
+          <div>
+            <h4 className="font-bold text-slate-800 flex items-center gap-2">
+              <TrendingDown className="w-4 h-4" /> Trust Fund Depletion Scenario
+            </h4>
+            <p className="text-xs text-slate-500 mt-1">
+              If the OASI trust fund runs out, incoming payroll taxes cover only part of scheduled benefits. The cut applies to every benefit in payment
+              from the chosen year, throughout the plan, the Monte Carlo and this analysis.
+            </p>
+          </div>
+          <label className="flex items-center gap-2 text-sm font-bold text-slate-700 shrink-0 cursor-pointer">
+            <input
+              type="checkbox"
+              name="ssHaircutEnabled"
+              checked={!!inputs.ssHaircutEnabled}
+              onChange={onInputChange}
+              className="w-4 h-4 rounded border-slate-300 text-amber-600 focus:ring-amber-500"
+            />
+            Apply benefit cut
+          </label>
+        </div>
+        {inputs.ssHaircutEnabled && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4">
+              {[
+                { name: 'ssHaircutYear', label: 'Cut starts (year)', value: inputs.ssHaircutYear },
+                { name: 'ssHaircutPercent', label: 'Benefit cut %', value: inputs.ssHaircutPercent },
+                { name: 'ssHaircutRestoreYear', label: 'Restored from (0 = never)', value: inputs.ssHaircutRestoreYear },
+                { name: 'ssHaircutRestorePercent', label: '% of cut restored', value: inputs.ssHaircutRestorePercent },
+              ].map(field => (
+                <div key={field.name}>
+                  <label className="block text-[11px] font-bold text-slate-500 uppercase mb-1">{field.label}</label>
+                  <input
+                    type="number"
+                    value={field.value}
+                    onChange={(e) => setHaircutInput(field.name, e.target.value)}
+                    className="w-full text-sm p-1.5 rounded border border-slate-300 bg-white"
+                  />
+                </div>
+              ))}
+            </div>
+            {haircutComparison && (
+              <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+                {[
+                  { label: clientInfo.name || 'Client', withCut: ssAnalysis.winner, full: haircutComparison.client },
+                  ...(clientInfo.isMarried && haircutComparison.partner ? [{ label: clientInfo.partnerName || 'Partner', withCut: ssPartnerAnalysis?.winner, full: haircutComparison.partner }] : []),
+                ].filter(row => row.withCut && row.full).map(row => (
+                  <div key={row.label} className="bg-white/70 rounded-lg p-3 border border-amber-100">
+                    <p className="font-bold text-slate-700">{row.label}</p>
+                    <p className="text-xs text-slate-600 mt-1">
+                      Claim at <span className="font-bold">{row.withCut.age}</span> with the cut vs <span className="font-bold">{row.full.age}</span> on full benefits
+                      {row.withCut.age === row.full.age ? ' — the recommendation holds.' : '.'}
+                    </p>
+                    <p className="text-xs text-slate-500 mt-0.5">
+                      Portfolio at age {targetMaxPortfolioAge}: ${Math.round(row.withCut.balance).toLocaleString()} vs ${Math.round(row.full.balance).toLocaleString()}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {/* Non-covered pensions: Social Security Fairness Act before/after */}
+      {fairnessAct.flagged ? (() => {
+        const fmt = (v) => `$${Math.round(v).toLocaleString()}`;
+        return (
+          <div className="bg-blue-50 rounded-xl border border-blue-200 p-5 mb-8">
+            <div className="flex flex-col md:flex-row md:items-start justify-between gap-3 mb-4">
+              <div>
+                <h4 className="font-bold text-slate-800 flex items-center gap-2">
+                  <Shield className="w-4 h-4" /> Non-Covered Pension — Social Security Fairness Act
+                </h4>
+                <p className="text-xs text-slate-500 mt-1">
+                  WEP no longer reduces the worker's own benefit and GPO no longer offsets spousal or survivor benefits, for benefits payable from January 2024.
+                  Benefits below are current law; "Before" re-applies the repealed rules. Monthly, today's dollars.
+                </p>
+              </div>
+              <div className="text-right shrink-0">
+                <p className="text-[10px] text-slate-500 uppercase">Household increase</p>
+                <p className="text-lg font-bold text-mwm-green/80">+{fmt(fairnessAct.totalMonthlyIncrease)}/mo</p>
+                {fairnessAct.totalRetroactive > 0 && (
+                  <p className="text-xs text-slate-600">Retroactive (Jan 2024 – Mar 2025): {fmt(fairnessAct.totalRetroactive)}</p>
+                )}
+              </div>
+            </div>
+            <div className={`grid grid-cols-1 ${clientInfo.isMarried ? 'md:grid-cols-2' : ''} gap-6`}>
+              {fairnessAct.people.map(p => {
+                const enteredName = p.who === 'partner' ? 'partnerSSPIA' : 'ssPIA';
+                const ownIncrease = p.own.after - p.own.before;
+                return (
+                  <div key={p.who} className="space-y-2">
+                    <p className="text-xs font-bold text-slate-500 uppercase border-b border-blue-200 pb-1">
+                      {p.label}
+                      {p.nonCovered && p.pension > 0 && <span className="ml-2 text-blue-700 normal-case font-medium">Non-covered pension {fmt(p.pension)}/mo · {p.coveredYears} covered yrs</span>}
+                    </p>
+                    <table className="w-full text-xs">
+                      <thead>
+                        <tr className="text-slate-400">
+                          <th className="text-left font-medium py-0.5"></th>
+                          <th className="text-right font-medium py-0.5">Before</th>
+                          <th className="text-right font-medium py-0.5">After</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        <tr>
+                          <td className="py-0.5 text-slate-500">Own benefit{p.wep > 0 ? ` (WEP −${fmt(p.wep)} PIA)` : ''}</td>
+                          <td className="py-0.5 text-right text-slate-500">{fmt(p.own.before)}</td>
+                          <td className="py-0.5 text-right font-bold text-slate-700">{fmt(p.own.after)}</td>
+                        </tr>
+                        {clientInfo.isMarried && (
+                          <>
+                            <tr>
+                              <td className="py-0.5 text-slate-500">With spousal{p.gpo > 0 ? ` (GPO −${fmt(p.gpo)})` : ''}</td>
+                              <td className="py-0.5 text-right text-slate-500">{fmt(p.withSpousal.before)}</td>
+                              <td className="py-0.5 text-right font-bold text-slate-700">{fmt(p.withSpousal.after)}</td>
+                            </tr>
+                            <tr>
+                              <td className="py-0.5 text-slate-500">As survivor</td>
+                              <td className="py-0.5 text-right text-slate-500">{fmt(p.survivor.before)}</td>
+                              <td className="py-0.5 text-right font-bold text-slate-700">{fmt(p.survivor.after)}</td>
+                            </tr>
+                          </>
+                        )}
+                        <tr className="border-t border-blue-200">
+                          <td className="py-1 font-bold text-slate-700">Monthly increase</td>
+                          <td></td>
+                          <td className="py-1 text-right font-bold text-mwm-green/80">+{fmt(p.monthlyIncrease)}</td>
+                        </tr>
+                        {p.retroactive > 0 && (
+                          <tr>
+                            <td className="py-0.5 text-slate-500">Retroactive payment ({p.retroactiveMonths} mo)</td>
+                            <td></td>
+                            <td className="py-0.5 text-right font-bold text-slate-700">{fmt(p.retroactive)}</td>
+                          </tr>
+                        )}
+                      </tbody>
+                    </table>
+                    {ownIncrease > 0 && (
+                      <div className="flex items-center justify-between gap-2 text-[11px] text-slate-500 bg-white/70 rounded p-2">
+                        <span>Entered {p.receiving ? 'benefit' : 'PIA'} still from a WEP-reduced statement?</span>
+                        <button
+                          type="button"
+                          onClick={() => onInputChange({ target: { name: enteredName, value: Math.round((inputs[enteredName] || 0) + (p.receiving ? ownIncrease : p.wep)), type: 'number' } })}
+                          className="px-2 py-1 bg-black hover:bg-slate-800 text-white font-bold rounded"
+                        >
+                          Apply +{fmt(p.receiving ? ownIncrease : p.wep)}
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        );
+      })() : unflaggedDropPension && (
+        <div className="flex items-start gap-2 bg-mwm-gold/10 border border-mwm-gold/40 rounded-lg p-3 mb-8 text-xs text-slate-600">
+          <AlertTriangle className="w-4 h-4 text-mwm-gold shrink-0 mt-0.5" />
+          <span>Police and fire DROP pensions are often from work not covered by Social Security. If so, flag the pension as non-covered on the Inputs page to see how the Social Security Fairness Act changed this household's benefits.</span>
+        </div>
+      )}
+
       {/* Combined Claiming Age Matrix */}
       {clientInfo.isMarried ? (
         <div className="mb-12">
@@ -358,10 +552,12 @@ export const SSOptimizationTab = ({ clientInfo, inputs, assumptions, basePlan, r
                   <CheckCircle className="w-8 h-8 text-mwm-green" />
                   <div>
                     <p className="text-sm font-bold">
-                      Optimal: Primary Age <span className="text-mwm-green text-lg">{matrixData.winner.clientAge}</span> + Spouse Age <span className="text-mwm-green text-lg">{matrixData.winner.partnerAge}</span>
+                      Optimal: Primary Age <span className="text-mwm-green text-lg">{matrixWinner.clientAge}</span> + Spouse Age <span className="text-mwm-green text-lg">{matrixWinner.partnerAge}</span>
                     </p>
                     <p className="text-gray-400 text-xs">
-                      Portfolio at {targetMaxPortfolioAge}: <strong className="text-mwm-green">${Math.round(matrixData.winner.balance).toLocaleString()}</strong>
+                      {survivorView
+                        ? <>Survivor-weighted lifetime benefits: <strong className="text-mwm-green">${Math.round(matrixWinner.expectedLifetimeBenefits).toLocaleString()}</strong></>
+                        : <>Portfolio at {targetMaxPortfolioAge}: <strong className="text-mwm-green">${Math.round(matrixWinner.balance).toLocaleString()}</strong></>}
                     </p>
                   </div>
                 </div>
@@ -373,9 +569,25 @@ export const SSOptimizationTab = ({ clientInfo, inputs, assumptions, basePlan, r
                 </button>
               </div>
 
+              {/* Ranking toggle */}
+              {matrixData.survivor && (
+                <div className="flex items-center gap-2 mb-3 text-xs">
+                  <span className="text-slate-500 font-bold uppercase">Rank by</span>
+                  {[['portfolio', `Portfolio at ${targetMaxPortfolioAge}`], ['survivor', 'Survivor-weighted lifetime benefits']].map(([view, label]) => (
+                    <button
+                      key={view}
+                      onClick={() => setMatrixView(view)}
+                      className={`px-3 py-1 rounded-full border font-bold ${matrixView === view ? 'bg-black text-white border-black' : 'bg-white text-slate-600 border-slate-300 hover:border-slate-500'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+
               {/* Matrix grid */}
               {(() => {
-                const allBalances = matrixData.matrix.map(m => m.balance);
+                const allBalances = (survivorView ? matrixData.survivor.matrix.map(m => m.expectedLifetimeBenefits) : matrixData.matrix.map(m => m.balance));
                 const minBal = Math.min(...allBalances);
                 const maxBal = Math.max(...allBalances);
                 const range = maxBal - minBal || 1;
@@ -407,9 +619,8 @@ export const SSOptimizationTab = ({ clientInfo, inputs, assumptions, basePlan, r
                           {partnerAge}
                         </td>
                         {matrixData.ages.map(clientAge => {
-                          const cell = matrixData.matrix.find(m => m.clientAge === clientAge && m.partnerAge === partnerAge);
-                          const balance = cell?.balance || 0;
-                          const isOptimal = matrixData.winner.clientAge === clientAge && matrixData.winner.partnerAge === partnerAge;
+                          const balance = getCellValue(clientAge, partnerAge);
+                          const isOptimal = matrixWinner.clientAge === clientAge && matrixWinner.partnerAge === partnerAge;
                           const isSelected = inputs.ssStartAge === clientAge && inputs.partnerSSStartAge === partnerAge;
                           const pct = (balance - minBal) / range;
 
@@ -455,7 +666,11 @@ export const SSOptimizationTab = ({ clientInfo, inputs, assumptions, basePlan, r
               </div>
                 );
               })()}
-              <p className="text-[10px] text-slate-400 mt-2 text-center">Click any cell to apply that claiming age combination. Values show portfolio balance at age {targetMaxPortfolioAge}.</p>
+              <p className="text-[10px] text-slate-400 mt-2 text-center">
+                Click any cell to apply that claiming age combination. {survivorView
+                  ? 'Values show expected lifetime Social Security in today\'s dollars, weighted by both spouses\' life-table survival, with each widow(er) drawing the best survivor strategy.'
+                  : `Values show portfolio balance at age ${targetMaxPortfolioAge}.`}
+              </p>
             </>
           ) : (
             <div className="border-2 border-dashed border-slate-300 rounded-xl p-12 text-center">
@@ -473,6 +688,56 @@ export const SSOptimizationTab = ({ clientInfo, inputs, assumptions, basePlan, r
               </p>
             </div>
           )}
+
+          {/* Survivor outcome of the selected claiming ages */}
+          {selectedSurvivor && (
+            <div className="mt-6 bg-slate-50 rounded-xl border border-slate-200 p-5">
+              <h4 className="font-bold text-slate-800 flex items-center gap-2 mb-1">
+                <Shield className="w-4 h-4" /> Survivor Outcome — Primary {selectedSurvivor.clientAge} + Spouse {selectedSurvivor.partnerAge}
+              </h4>
+              <p className="text-xs text-slate-500 mb-4">
+                What each spouse keeps as a widow(er), weighted by both spouses' life-table survival. Monthly amounts in today's dollars.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                {[
+                  [clientInfo.name || 'Primary', selectedSurvivor.clientSurvives],
+                  [clientInfo.partnerName || 'Spouse', selectedSurvivor.partnerSurvives]
+                ].map(([label, outcome]) => (
+                  <div key={label} className="space-y-1 text-xs">
+                    <p className="font-bold text-slate-500 uppercase border-b border-slate-200 pb-1">{label} as survivor</p>
+                    <div className="flex justify-between">
+                      <span className="text-slate-500">Chance of being the survivor</span>
+                      <span className="font-bold text-slate-700">{Math.round(outcome.probability * 100)}%</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-slate-500">Own benefit</span>
+                      <span className="font-bold text-slate-700">${Math.round(outcome.ownBenefit).toLocaleString()}/mo</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-slate-500">Survivor benefit inherited (at FRA)</span>
+                      <span className="font-bold text-mwm-green/80">${Math.round(outcome.survivorBenefit).toLocaleString()}/mo</span>
+                    </div>
+                    <div className="pt-1">
+                      <span className="text-slate-500">Best widowhood strategy</span>
+                      {Object.entries(outcome.strategyShares).filter(([, share]) => share > 0).sort((a, b) => b[1] - a[1]).map(([key, share]) => (
+                        <div key={key} className="flex justify-between pl-2">
+                          <span className={key === outcome.bestStrategy ? 'font-bold text-slate-700' : 'text-slate-500'}>{SURVIVOR_STRATEGIES[key]}</span>
+                          <span className="text-slate-500">{Math.round(share * 100)}% of outcomes</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+              <div className="mt-4 pt-3 border-t border-slate-200 flex justify-between items-center text-xs">
+                <span className="font-bold text-slate-600">Expected lifetime benefits (survivor-weighted)</span>
+                <span className="font-bold text-slate-700">
+                  ${Math.round(selectedSurvivor.expectedLifetimeBenefits).toLocaleString()}
+                  <span className="text-slate-400 font-normal ml-1">(${Math.round(selectedSurvivor.survivorPV).toLocaleString()} after a first death)</span>
+                </span>
+              </div>
+            </div>
+          )}
         </div>
       ) : (
         /* Single client — keep original linear display */
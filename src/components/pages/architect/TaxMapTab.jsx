@@ -1,22 +1,22 @@
-import React, { useMemo, useState, useCallback } from 'react';
+import React, { useMemo, useState, useCallback, useEffect } from 'react';
 import {
   ResponsiveContainer, ComposedChart, CartesianGrid, XAxis, YAxis,
-  Tooltip, Legend, Bar, Line
+  Tooltip, Legend, Bar, Line, ReferenceLine
 } from 'recharts';
 import {
   DollarSign, Table as TableIcon, Target, CheckCircle, Loader,
-  Layers, ChevronDown, ChevronUp, RefreshCw, Trash2
+  Layers, ChevronDown, ChevronUp, RefreshCw, Trash2, MapPin
 } from 'lucide-react';
 
-import { getInflationAdjustedBrackets, getInflationAdjustedDeduction, optimizeRetirementTaxStrategy } from '../../../utils';
-import { Card } from '../../ui';
+import { getInflationAdjustedBrackets, getInflationAdjustedDeduction, calculateEnhancedSeniorDeduction, getPlanTaxLaw, getPlanRelocation, projectEstate, simulateHeirInheritance, calculateWeightedReturn, runSimulation, STATE_TAX_DATA, NQ_LOT_METHODS, NQ_HARVEST_POLICIES, pickAllocation, runPooledSimulation, cancelSimulationTask, SimulationCancelledError } from '../../../utils';
+import { Card, FormattedNumberInput } from '../../ui';
 
 const TAX_BRACKET_BASE_YEAR = 2026;
 
 const ACCOUNT_COLORS = { traditional: 'text-orange-600', roth: 'text-mwm-green', nq: 'text-purple-600' };
 
 // Inline component for adding a new cap gain override range
-const CapGainRangeAdder = ({ totalYears, defaultRate, onAdd }) => {
+const CapGainRangeAdder = ({ totalYears, onAdd }) => {
   const [startYear, setStartYear] = useState(1);
   const [endYear, setEndYear] = useState(Math.min(10, totalYears));
   const [rate, setRate] = useState(0);
@@ -44,7 +44,6 @@ const CapGainRangeAdder = ({ totalYears, defaultRate, onAdd }) => {
       >
         + Add
       </button>
-      <span className="text-[10px] text-slate-400 ml-1">Default: {defaultRate}%</span>
     </div>
   );
 };
@@ -59,6 +58,7 @@ export const TaxMapTab = ({
 
   const [optimizerResult, setOptimizerResult] = useState(null);
   const [isOptimizing, setIsOptimizing] = useState(false);
+  const [optimizeProgress, setOptimizeProgress] = useState(0);
   const [showOptimizer, setShowOptimizer] = useState(false);
   const [targetOptimizeAge, setTargetOptimizeAge] = useState(null); // null = end of projection
   const [showConversionTable, setShowConversionTable] = useState(false);
@@ -74,17 +74,35 @@ export const TaxMapTab = ({
     return projectionData;
   }, [mcMode, monteCarloData, projectionData]);
 
+  // Tax saved by relocating: the same plan run without the move, compared year by year
+  const relocation = useMemo(() => getPlanRelocation(inputs), [inputs]);
+  const relocationSavings = useMemo(() => {
+    if (!relocation || !basePlan || !assumptions || !projectionData?.length) return null;
+    const stayInputs = { ...inputs, residencyPeriods: [] };
+    const stayProjection = runSimulation(basePlan, assumptions, stayInputs, rebalanceFreq || 0, false, null, rebalanceTargets);
+    const stayTaxByAge = new Map(stayProjection.map(r => [r.age, r.totalTax || 0]));
+    const savedByAge = new Map();
+    let total = 0;
+    projectionData.forEach(row => {
+      const saved = (stayTaxByAge.get(row.age) ?? (row.totalTax || 0)) - (row.totalTax || 0);
+      savedByAge.set(row.age, saved);
+      total += saved;
+    });
+    return { savedByAge, total };
+  }, [relocation, basePlan, assumptions, inputs, projectionData, rebalanceFreq, rebalanceTargets]);
+
   const chartData = useMemo(() => {
     if (!projectionData || projectionData.length === 0) return [];
     const startAge = basePlan?.simulationStartAge || projectionData[0]?.age || 65;
     const inflationRate = inputs.inflationRate || 2.5;
     const filingStatus = inputs.filingStatus || 'married';
+    const currentYear = new Date().getFullYear();
 
     return projectionData.map((row, idx) => {
       const yearsFromBase = (startAge + idx) - (clientInfo.currentAge || 65);
       const yearsFromTaxBase = Math.max(0, yearsFromBase);
-      const brackets = getInflationAdjustedBrackets(filingStatus, yearsFromTaxBase, inflationRate);
-      const deduction = getInflationAdjustedDeduction(filingStatus, yearsFromTaxBase, inflationRate, row.age >= 65);
+      const law = getPlanTaxLaw(inputs, currentYear + yearsFromBase);
+      const brackets = getInflationAdjustedBrackets(filingStatus, yearsFromTaxBase, inflationRate, null, law);
 
       const tradWithdrawal = row.distribution * (row.traditionalPctUsed || 0) / 100;
       const rothConversion = row.rothConversion || 0;
@@ -100,6 +118,10 @@ export const TaxMapTab = ({
       const inheritedIRA = row.inheritedIRATaxableIncome || row.inheritedIRADistribution || 0;
 
       const totalOrdinaryIncome = taxableSS + pension + tradWithdrawal + rothConversion + nqOrdinaryDivs + otherEmployment + inheritedIRA;
+      // The engine's deduction for the year (itemized when charitable giving beats the standard);
+      // otherwise standard plus the OBBBA senior deduction while the year's law has it
+      const deduction = row.taxDeduction ?? (getInflationAdjustedDeduction(filingStatus, yearsFromTaxBase, inflationRate, row.age >= 65, null, law)
+        + calculateEnhancedSeniorDeduction(filingStatus, totalOrdinaryIncome + nqPreferential, row.age >= 65, law));
 
       const bracket12Top = brackets.length > 1 ? brackets[1].max + deduction : 0;
       const bracket22Top = brackets.length > 2 ? brackets[2].max + deduction : 0;
@@ -131,6 +153,8 @@ export const TaxMapTab = ({
         headroom: Math.round(headroom),
         taxableAfterDeduction: Math.round(taxableAfterDeduction),
         totalTax: row.totalTax || 0,
+        niit: row.niit || 0,
+        amt: row.amt || 0,
         effectiveRate: row.effectiveRate || '0.0',
         tradBalance: row.traditionalBalanceDetail || 0,
         rothBalance: row.rothBalanceDetail || 0,
@@ -138,10 +162,15 @@ export const TaxMapTab = ({
         nqUnrealizedGains: row.nqUnrealizedGains || 0,
         nqStrategicRealization: row.nqStrategicRealization || 0,
         irmaaCost: row.irmaaCost || 0,
-        irmaaBracket: row.irmaaBracket || 0
+        irmaaBracket: row.irmaaBracket || 0,
+        irmaaAppealed: !!row.irmaaAppealed,
+        // Next IRMAA threshold this year's MAGI prices premiums against two years out
+        irmaaTierCeiling: inputs.irmaaEnabled ? row.irmaaTierCeiling ?? null : null,
+        irmaaTierRoom: inputs.irmaaEnabled && row.irmaaTierCeiling ? Math.max(0, row.irmaaTierCeiling - (row.irmaaMagi || 0)) : null,
+        relocationTaxSaved: Math.round(relocationSavings?.savedByAge.get(row.age) || 0)
       };
     });
-  }, [projectionData, inputs, clientInfo, basePlan]);
+  }, [projectionData, inputs, clientInfo, basePlan, relocationSavings]);
 
   // Identify pre-RMD window and Roth conversion opportunities
   const insights = useMemo(() => {
@@ -174,25 +203,46 @@ export const TaxMapTab = ({
     const scopedProjection = targetOptimizeAge
       ? activeProjection.filter(r => r.age <= targetOptimizeAge)
       : activeProjection;
-    const grossLegacy = last.total || 0;
+    const inheritedLegacy = last.inheritedIRABalance || 0;
+    const grossLegacy = (last.total || 0) + inheritedLegacy;
     const tradLegacy = last.traditionalBalanceDetail || 0;
     const rothLegacy = last.rothBalanceDetail || 0;
     const nqLegacy = last.nqBalanceDetail || 0;
     const heirFederalRate = 0.24;
     const heirStateRate = (inputs.stateRate || 0) / 100;
-    const heirTax = tradLegacy * (heirFederalRate + heirStateRate);
+    // Unrealized NQ gain is taxed only at a target age short of the last death (step-up after)
+    const nqUnrealizedGain = Math.max(0, nqLegacy - (last.nqCostBasis ?? nqLegacy));
+    const nqGainTax = last === activeProjection[activeProjection.length - 1] ? 0 : nqUnrealizedGain * (0.15 + heirStateRate);
+    // Heirs' tax on the pre-tax accounts at their own rates (listed beneficiaries) or the
+    // flat heir rate; estate tax falls due at the last death only
+    const heirGrowthRate = assumptions ? calculateWeightedReturn(assumptions) : undefined;
+    const heirs = simulateHeirInheritance(tradLegacy + inheritedLegacy, inputs, {
+      year: new Date().getFullYear() + (last.age - (clientInfo.currentAge || last.age)),
+      inflationIndex: last.inflationIndex || 1,
+      growthRate: heirGrowthRate,
+      flatRate: heirFederalRate + heirStateRate
+    });
+    const estateTax = last === activeProjection[activeProjection.length - 1]
+      ? (projectEstate(activeProjection, inputs, clientInfo, { heirRate: heirFederalRate + heirStateRate, heirGrowthRate })?.estateTax || 0)
+      : 0;
+    const heirTax = heirs.tax + nqGainTax + estateTax;
     const afterTaxLegacy = grossLegacy - heirTax;
     const lifetimeTax = scopedProjection.reduce((s, r) => s + (r.totalTax || 0), 0);
     const lifetimeRMD = scopedProjection.reduce((s, r) => s + (r.rmdAmount || 0), 0);
     const lifetimeIrmaa = scopedProjection.reduce((s, r) => s + (r.irmaaCost || 0), 0);
+    const lifetimeAcaPremium = scopedProjection.reduce((s, r) => s + (r.acaNetPremium || 0), 0);
     const totalConversions = scopedProjection.reduce((s, r) => s + (r.rothConversion || 0), 0);
     return {
       grossLegacy, afterTaxLegacy, lifetimeTax, lifetimeRMD, heirTax,
-      lifetimeIrmaa, totalConversions,
+      lifetimeIrmaa, lifetimeAcaPremium, totalConversions, nqUnrealizedGain, estateTax,
       legacyBreakdown: { traditional: tradLegacy, roth: rothLegacy, nq: nqLegacy },
-      totalBurden: lifetimeTax + heirTax + lifetimeIrmaa
+      totalBurden: lifetimeTax + heirTax + lifetimeIrmaa + lifetimeAcaPremium
     };
-  }, [activeProjection, inputs.stateRate, targetOptimizeAge]);
+  }, [activeProjection, inputs, clientInfo, assumptions, targetOptimizeAge]);
+
+  // Years with marketplace coverage before Medicare
+  const acaRows = useMemo(() => (inputs.acaEnabled ? (activeProjection || []).filter(r => (r.acaPremium || 0) > 0) : []), [activeProjection, inputs.acaEnabled]);
+  const hasAcaYears = acaRows.length > 0;
 
   // Active strategy indicators
   const hasActiveConversions = Object.keys(inputs.rothConversions || {}).length > 0;
@@ -200,17 +250,32 @@ export const TaxMapTab = ({
   const hasActiveCapGains = (inputs.nqCapGainOverrides || []).length > 0;
 
   // Run optimizer
+  // Runs on the simulation worker pool; clicking again cancels a run still in progress
   const handleOptimize = useCallback(() => {
     setIsOptimizing(true);
     setShowOptimizer(true);
-    // Use setTimeout to allow UI to update with loading state
-    setTimeout(() => {
-      const result = optimizeRetirementTaxStrategy(basePlan, assumptions, inputs, clientInfo, rebalanceFreq, rebalanceTargets, monteCarloData, targetOptimizeAge);
-      setOptimizerResult(result);
-      setIsOptimizing(false);
-    }, 50);
+    setOptimizeProgress(0);
+    runPooledSimulation('taxStrategy', 'taxStrategy', {
+      plan: { inputs, assumptions, clientInfo, allocation: pickAllocation(basePlan) },
+      rebalanceFreq,
+      rebalanceTargets,
+      useMonteCarlo: !!monteCarloData,
+      targetOptimizeAge
+    }, setOptimizeProgress)
+      .then(result => {
+        setOptimizerResult(result);
+        setIsOptimizing(false);
+      })
+      .catch(error => {
+        if (error instanceof SimulationCancelledError) return;
+        console.error('Tax strategy optimization failed:', error);
+        setIsOptimizing(false);
+      });
   }, [basePlan, assumptions, inputs, clientInfo, rebalanceFreq, rebalanceTargets, monteCarloData, targetOptimizeAge]);
 
+  // Leaving the tab abandons an optimization still running
+  useEffect(() => () => cancelSimulationTask('taxStrategy'), []);
+
   // Active optimizer display data — switches based on MC mode toggle
   const activeOptimizer = useMemo(() => {
     if (!optimizerResult) return null;
@@ -251,6 +316,8 @@ export const TaxMapTab = ({
 
   const hasRothConversions = projectionData.some(r => r.rothConversion > 0);
   const hasInheritedIRA = chartData.some(d => d.inheritedIRA > 0);
+  const hasSurtax = chartData.some(d => d.niit > 0 || d.amt > 0);
+  const hasIrmaaTiers = chartData.some(d => d.irmaaTierCeiling);
 
   return (
     <div className="space-y-6">
@@ -261,6 +328,7 @@ export const TaxMapTab = ({
         </h3>
         <p className="text-sm text-slate-500 mb-4">
           Bars show taxable income by source. Dashed lines show inflation-adjusted federal tax bracket thresholds (gross income, after standard deduction).
+          {hasIrmaaTiers && ' The purple line is the MAGI at which the premiums two years later jump to the next IRMAA tier — size conversions to stay under it.'}
         </p>
 
         <div className="h-[420px]">
@@ -270,12 +338,15 @@ export const TaxMapTab = ({
               <XAxis dataKey="age" tick={{ fontSize: 11 }} label={{ value: 'Age', position: 'insideBottom', offset: -3, fontSize: 12 }} />
               <YAxis tick={{ fontSize: 11 }} tickFormatter={(v) => v >= 1000000 ? `$${(v / 1000000).toFixed(1)}M` : `$${Math.round(v / 1000)}k`} />
               <Tooltip
-                formatter={(value, name) => [fmt(value), name]}
+                formatter={(value, name, item) => [
+                  name === 'Next IRMAA Tier (MAGI)' ? `${fmt(value)} (${fmt(item.payload.irmaaTierRoom)} room)` : fmt(value),
+                  name
+                ]}
                 labelFormatter={(label) => `Age ${label}`}
                 contentStyle={{ fontSize: 12 }}
                 itemSorter={(item) => {
                   // Show bracket lines on top, income components on bottom
-                  const bracketNames = ['Top of 12%', 'Top of 22%', 'Top of 24%'];
+                  const bracketNames = ['Top of 12%', 'Top of 22%', 'Top of 24%', 'Next IRMAA Tier (MAGI)'];
                   return bracketNames.includes(item.name) ? -1 : 1;
                 }}
               />
@@ -291,11 +362,37 @@ export const TaxMapTab = ({
               <Line dataKey="bracket12Top" stroke="#10b981" strokeDasharray="5 5" name="Top of 12%" dot={false} strokeWidth={2} />
               <Line dataKey="bracket22Top" stroke="#f59e0b" strokeDasharray="5 5" name="Top of 22%" dot={false} strokeWidth={2} />
               <Line dataKey="bracket24Top" stroke="#ef4444" strokeDasharray="5 5" name="Top of 24%" dot={false} strokeWidth={2} />
+              {hasIrmaaTiers && <Line dataKey="irmaaTierCeiling" stroke="#9333ea" strokeDasharray="2 4" name="Next IRMAA Tier (MAGI)" dot={false} strokeWidth={2} type="stepAfter" />}
+              {relocationSavings && <Line dataKey="relocationTaxSaved" stroke="#0891b2" name="Tax Saved by Move" dot={false} strokeWidth={2} />}
+              {relocation && (
+                <ReferenceLine x={relocation.age} stroke="#0891b2" strokeDasharray="3 3"
+                  label={{ value: `Move to ${relocation.toState || 'new state'}`, position: 'top', fontSize: 10, fill: '#0891b2' }} />
+              )}
             </ComposedChart>
           </ResponsiveContainer>
         </div>
       </Card>
 
+      {/* Relocation */}
+      {relocation && relocationSavings && (
+        <Card>
+          <div className="flex items-start gap-3">
+            <MapPin className="w-5 h-5 text-cyan-600 mt-0.5" />
+            <div>
+              <p className="font-semibold text-slate-800">
+                Relocating from {STATE_TAX_DATA[relocation.fromState]?.name || 'current state'} to {STATE_TAX_DATA[relocation.toState]?.name || 'new state'} at age {relocation.age}
+              </p>
+              <p className="text-sm text-slate-600 mt-1">
+                {relocationSavings.total >= 0 ? 'Saves' : 'Costs'} <span className={`font-bold ${relocationSavings.total >= 0 ? 'text-cyan-700' : 'text-red-600'}`}>{fmt(Math.abs(relocationSavings.total))}</span> in lifetime taxes versus staying put.
+                {relocation.toRate < relocation.fromRate
+                  ? ' The optimizer also tests converting to Roth and realizing NQ gains after the move.'
+                  : ' The optimizer also tests finishing Roth conversions before the move.'}
+              </p>
+            </div>
+          </div>
+        </Card>
+      )}
+
       {/* Insights Cards */}
       {insights.preRMDYears.length > 0 && (
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
@@ -599,13 +696,13 @@ export const TaxMapTab = ({
               className="flex items-center gap-1.5 px-4 py-1.5 bg-mwm-green text-white rounded-lg text-sm font-medium hover:bg-mwm-green/80 transition-colors disabled:opacity-50"
             >
               {isOptimizing ? <Loader className="w-4 h-4 animate-spin" /> : <Target className="w-4 h-4" />}
-              {isOptimizing ? 'Optimizing...' : 'Optimize Tax Strategy'}
+              {isOptimizing ? `Optimizing... ${Math.round(optimizeProgress * 100)}%` : 'Optimize Tax Strategy'}
             </button>
           </div>
         </div>
         <div className="flex items-center justify-between mb-4">
           <p className="text-xs text-slate-500">
-            Optimizes Roth conversion schedule to maximize after-tax {targetOptimizeAge ? `portfolio at age ${targetOptimizeAge}` : 'legacy'}{inputs.irmaaEnabled ? ', factoring in IRMAA surcharges' : ''}. Set your liquidation strategy and Roth conversions above, then optimize.
+            Optimizes Roth conversion schedule to maximize after-tax {targetOptimizeAge ? `portfolio at age ${targetOptimizeAge}` : 'legacy'}{inputs.irmaaEnabled ? ', factoring in IRMAA surcharges' : ''}{inputs.acaEnabled ? ' and lost ACA premium credits' : ''}. Set your liquidation strategy and Roth conversions above, then optimize.
           </p>
           {monteCarloData?.scenarios && (
             <div className="flex items-center gap-1 bg-slate-100 p-1 rounded-lg ml-4 shrink-0">
@@ -686,9 +783,18 @@ export const TaxMapTab = ({
               <span className="text-orange-600">Trad: {fmt(liveCurrentStrategy.legacyBreakdown.traditional)}</span>
               <span className="text-mwm-green">Roth: {fmt(liveCurrentStrategy.legacyBreakdown.roth)}</span>
               <span className="text-purple-600">NQ: {fmt(liveCurrentStrategy.legacyBreakdown.nq)}</span>
+              {liveCurrentStrategy.nqUnrealizedGain > 0 && (
+                <span className="text-purple-400">NQ unrealized gain: {fmt(liveCurrentStrategy.nqUnrealizedGain)}</span>
+              )}
               {liveCurrentStrategy.totalConversions > 0 && (
                 <span className="text-teal-600">Conversions: {fmt(liveCurrentStrategy.totalConversions)}</span>
               )}
+              {liveCurrentStrategy.lifetimeAcaPremium > 0 && (
+                <span className="text-amber-600">ACA premium after credit: {fmt(liveCurrentStrategy.lifetimeAcaPremium)}</span>
+              )}
+              {liveCurrentStrategy.estateTax > 0 && (
+                <span className="text-red-500">Estate tax: {fmt(liveCurrentStrategy.estateTax)}</span>
+              )}
             </div>
           </div>
         )}
@@ -709,7 +815,7 @@ export const TaxMapTab = ({
                 </div>
                 <div>
                   <p className="text-[10px] text-slate-500 uppercase">Heir Tax Burden</p>
-                  <p className="text-lg font-bold text-mwm-green">{fmt(activeOptimizer.comparison.optimizedTotalBurden - activeOptimizer.comparison.optimizedLifetimeTax - (activeOptimizer.comparison.optimizedLifetimeIrmaa || 0))}</p>
+                  <p className="text-lg font-bold text-mwm-green">{fmt(activeOptimizer.comparison.optimizedTotalBurden - activeOptimizer.comparison.optimizedLifetimeTax - (activeOptimizer.comparison.optimizedLifetimeIrmaa || 0) - (activeOptimizer.comparison.optimizedLifetimeAcaPremium || 0))}</p>
                 </div>
                 {inputs.irmaaEnabled && activeOptimizer.comparison.optimizedLifetimeIrmaa > 0 && (
                   <div>
@@ -726,11 +832,52 @@ export const TaxMapTab = ({
                 <span className="text-orange-600">Trad: {fmt(activeOptimizer.comparison.optimizedLegacyBreakdown.traditional)}</span>
                 <span className="text-mwm-green">Roth: {fmt(activeOptimizer.comparison.optimizedLegacyBreakdown.roth)}</span>
                 <span className="text-purple-600">NQ: {fmt(activeOptimizer.comparison.optimizedLegacyBreakdown.nq)}</span>
+                {activeOptimizer.comparison.optimizedNqUnrealizedGain > 0 && (
+                  <span className="text-purple-400">NQ unrealized gain: {fmt(activeOptimizer.comparison.optimizedNqUnrealizedGain)}</span>
+                )}
+                {activeOptimizer.comparison.optimizedEstateTax > 0 && (
+                  <span className="text-red-500">Estate tax: {fmt(activeOptimizer.comparison.optimizedEstateTax)}</span>
+                )}
               </div>
             </div>
 
+            {/* Beneficiaries — what each heir keeps of the pre-tax accounts over the 10-year payout */}
+            {activeOptimizer.comparison.optimizedHeirs?.length > 0 && (
+              <div className="border border-slate-200 rounded-lg p-3">
+                <p className="text-xs text-slate-500 uppercase font-semibold mb-2">Beneficiaries — 10-Year Inherited IRA Payout</p>
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-slate-500 border-b">
+                      <th className="text-left py-1">Beneficiary</th>
+                      <th className="text-right py-1">Inherits (current)</th>
+                      <th className="text-right py-1">Tax Rate (current)</th>
+                      <th className="text-right py-1">Inherits (optimized)</th>
+                      <th className="text-right py-1">Tax Rate (optimized)</th>
+                      <th className="text-right py-1">Keeps (optimized)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {activeOptimizer.comparison.optimizedHeirs.map((heir, idx) => {
+                      const current = activeOptimizer.comparison.currentHeirs?.[idx];
+                      return (
+                        <tr key={heir.id ?? idx} className="border-b border-slate-100">
+                          <td className="py-1 text-slate-700">{heir.name}</td>
+                          <td className="py-1 text-right">{fmt(current?.inherited || 0)}</td>
+                          <td className="py-1 text-right text-red-500">{current ? `${(current.effectiveRate * 100).toFixed(1)}%` : '-'}</td>
+                          <td className="py-1 text-right">{fmt(heir.inherited)}</td>
+                          <td className="py-1 text-right text-red-500">{(heir.effectiveRate * 100).toFixed(1)}%</td>
+                          <td className="py-1 text-right font-semibold text-mwm-green">{fmt(heir.kept)}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+                <p className="text-[10px] text-slate-400 mt-1">Each share is emptied over 10 years on top of the beneficiary's own income; rates are the extra federal and state tax that adds, stated against the balance at death.</p>
+              </div>
+            )}
+
             {/* Summary Cards */}
-            <div className={`grid grid-cols-1 ${inputs.irmaaEnabled && activeOptimizer.comparison.optimizedLifetimeIrmaa > 0 ? 'md:grid-cols-5' : 'md:grid-cols-4'} gap-3`}>
+            <div className={`grid grid-cols-1 ${{ 4: 'md:grid-cols-4', 5: 'md:grid-cols-5', 6: 'md:grid-cols-6' }[4 + (inputs.irmaaEnabled && activeOptimizer.comparison.optimizedLifetimeIrmaa > 0 ? 1 : 0) + (hasAcaYears ? 1 : 0)]} gap-3`}>
               <div className="border border-slate-200 rounded-lg p-3 text-center">
                 <p className="text-[10px] text-slate-500 uppercase font-semibold mb-1">Total Burden Savings</p>
                 <p className={`text-xl font-bold ${activeOptimizer.comparison.totalBurdenSavings > 0 ? 'text-mwm-green/80' : 'text-slate-500'}`}>
@@ -761,6 +908,14 @@ export const TaxMapTab = ({
                   </p>
                 </div>
               )}
+              {hasAcaYears && (
+                <div className="border border-slate-200 rounded-lg p-3 text-center">
+                  <p className="text-[10px] text-slate-500 uppercase font-semibold mb-1">ACA Credit Lost</p>
+                  <p className={`text-xl font-bold ${(activeOptimizer.comparison.acaSubsidyLost || 0) > 0 ? 'text-amber-600' : (activeOptimizer.comparison.acaSubsidyLost || 0) < 0 ? 'text-mwm-green/80' : 'text-slate-500'}`}>
+                    {(activeOptimizer.comparison.acaSubsidyLost || 0) > 0 ? `+${fmt(activeOptimizer.comparison.acaSubsidyLost)}` : (activeOptimizer.comparison.acaSubsidyLost || 0) < 0 ? `-${fmt(Math.abs(activeOptimizer.comparison.acaSubsidyLost))}` : '$0'}
+                  </p>
+                </div>
+              )}
             </div>
 
             {/* Apply Button */}
@@ -782,6 +937,7 @@ export const TaxMapTab = ({
                         <th className="p-2 text-left">Conversion Strategy</th>
                         <th className="p-2 text-right">Lifetime Tax</th>
                         {inputs.irmaaEnabled && <th className="p-2 text-right">Lifetime IRMAA</th>}
+                        {hasAcaYears && <th className="p-2 text-right">ACA Premium</th>}
                         <th className="p-2 text-right">After-Tax Legacy</th>
                       </tr>
                     </thead>
@@ -791,6 +947,7 @@ export const TaxMapTab = ({
                           <td className="p-2 text-left text-slate-700">{idx === 0 && <span className="text-mwm-green mr-1">★</span>}{s.label}</td>
                           <td className="p-2 text-right text-red-600">{fmt(s.lifetimeTax)}</td>
                           {inputs.irmaaEnabled && <td className="p-2 text-right text-amber-600">{s.lifetimeIrmaa > 0 ? fmt(s.lifetimeIrmaa) : '-'}</td>}
+                          {hasAcaYears && <td className="p-2 text-right text-amber-600">{s.lifetimeAcaPremium > 0 ? fmt(s.lifetimeAcaPremium) : '-'}</td>}
                           <td className="p-2 text-right text-blue-700">{fmt(s.afterTaxLegacy)}</td>
                         </tr>
                       ))}
@@ -856,11 +1013,49 @@ export const TaxMapTab = ({
           {showCapGains ? <ChevronUp className="w-4 h-4 text-slate-400" /> : <ChevronDown className="w-4 h-4 text-slate-400" />}
         </button>
         <p className="text-xs text-slate-500 mt-1">
-          Default: <span className="font-semibold">{inputs.nqCapitalGainRate ?? 4}%</span> of NQ balance realized annually (fund distributions, rebalancing, turnover).
-          Override specific year ranges to model tax-efficient fund selection or deferred rebalancing.
+          Default: NQ sales realize gain against the lots' cost basis, plus each bucket's realized capital gains (fund distributions).
+          Override year ranges to realize that share of the NQ balance from appreciated lots, or set 0% to defer distributions.
         </p>
         {showCapGains && (
           <div className="mt-3 space-y-3">
+            {/* Cost basis: withdrawals realize gain against it */}
+            <div className="flex flex-wrap items-end gap-4 p-2 bg-slate-50 rounded border border-slate-200">
+              {(inputs.accounts || []).length > 0 ? (
+                <div className="text-xs text-slate-600">
+                  <span className="text-[10px] text-slate-500 uppercase font-semibold block">Cost Basis</span>
+                  {fmt((inputs.accounts || []).filter(a => a.type === 'nq').reduce((s, a) => s + ((a.lots || []).length > 0
+                    ? a.lots.reduce((ls, l) => ls + (Number(l.basis) || 0), 0)
+                    : (a.costBasis ?? a.balance ?? 0)), 0))} from NQ accounts (Accumulation page)
+                </div>
+              ) : (
+                <div>
+                  <label className="text-[10px] text-slate-500 uppercase font-semibold">Cost Basis % of NQ Value</label>
+                  <input type="number" name="nqCostBasisPercent" value={inputs.nqCostBasisPercent ?? 100} min={0} max={200} step={5}
+                    onChange={onInputChange}
+                    className="block w-20 text-right px-2 py-1 border rounded text-xs mt-0.5" />
+                </div>
+              )}
+              <div>
+                <label className="text-[10px] text-slate-500 uppercase font-semibold">Lot Relief</label>
+                <select value={inputs.nqLotMethod || 'proportional'}
+                  onChange={(e) => onInputChange({ target: { name: 'nqLotMethod', value: e.target.value, type: 'text' } })}
+                  className="block px-2 py-1 border rounded text-xs mt-0.5 bg-white">
+                  {Object.entries(NQ_LOT_METHODS).map(([key, m]) => <option key={key} value={key}>{m.label}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="text-[10px] text-slate-500 uppercase font-semibold">Harvesting</label>
+                <select value={inputs.nqHarvestPolicy || 'none'}
+                  onChange={(e) => onInputChange({ target: { name: 'nqHarvestPolicy', value: e.target.value, type: 'text' } })}
+                  className="block px-2 py-1 border rounded text-xs mt-0.5 bg-white">
+                  {Object.entries(NQ_HARVEST_POLICIES).map(([key, p]) => <option key={key} value={key}>{p.label}</option>)}
+                </select>
+              </div>
+              <p className="text-[10px] text-slate-400 flex-1 min-w-[12rem]">
+                NQ withdrawals realize gain against basis. Basis steps up at the first death — fully for the deceased's and (in community-property states) joint shares, half for joint shares elsewhere.
+                {' '}Harvested losses offset gains and up to $3,000 of ordinary income a year, carrying forward; gain harvesting fills the 0% LTCG bracket (state tax may still apply). The ledger is on Cash Flows.
+              </p>
+            </div>
             {/* Existing overrides */}
             {hasActiveCapGains && (
               <>
@@ -919,7 +1114,7 @@ export const TaxMapTab = ({
               </>
             )}
             {/* Add new range */}
-            <CapGainRangeAdder totalYears={projectionData.length} defaultRate={inputs.nqCapitalGainRate ?? 4} onAdd={(range) => {
+            <CapGainRangeAdder totalYears={projectionData.length} onAdd={(range) => {
               onCapGainOverrideChange([...(inputs.nqCapGainOverrides || []), range]);
             }} />
           </div>
@@ -947,12 +1142,67 @@ export const TaxMapTab = ({
           Income-Related Monthly Adjustment Amount — additional Medicare Part B & Part D premiums based on MAGI from 2 years prior.
           Roth conversions can push MAGI into higher IRMAA brackets.
         </p>
+        {inputs.irmaaEnabled && (
+          <div className="mt-3 space-y-2 text-xs text-slate-600">
+            <div className="flex flex-wrap items-center gap-4">
+              <label className="flex items-center gap-1.5">
+                <input type="checkbox" name="irmaaPartD" checked={inputs.irmaaPartD !== false} onChange={onInputChange} />
+                Enrolled in Part D
+              </label>
+              <label className="flex items-center gap-1.5" title="Form SSA-44: a work stoppage lets premiums use the current year's lower MAGI instead of the two-year lookback">
+                <input type="checkbox" name="irmaaAppealWorkStoppage" checked={!!inputs.irmaaAppealWorkStoppage} onChange={onInputChange} />
+                Appeal after retirement (SSA-44, work stoppage)
+              </label>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <span>MAGI from filed returns —</span>
+              <label htmlFor="irmaaMagiTwoYearsAgo">two years ago</label>
+              <FormattedNumberInput
+                name="irmaaMagiTwoYearsAgo"
+                value={inputs.irmaaMagiTwoYearsAgo ?? 0}
+                onChange={onInputChange}
+                className="w-28 px-2 py-1 border rounded text-xs"
+              />
+              <label htmlFor="irmaaMagiLastYear">last year</label>
+              <FormattedNumberInput
+                name="irmaaMagiLastYear"
+                value={inputs.irmaaMagiLastYear ?? 0}
+                onChange={onInputChange}
+                className="w-28 px-2 py-1 border rounded text-xs"
+              />
+              <span className="text-slate-400">(set the plan's first two years of premiums; leave 0 if unknown)</span>
+            </div>
+            {inputs.irmaaAppealWorkStoppage && (
+              <div className="flex flex-wrap items-center gap-2">
+                <span>Wages on those returns —</span>
+                <label htmlFor="irmaaWagesTwoYearsAgo">two years ago</label>
+                <FormattedNumberInput
+                  name="irmaaWagesTwoYearsAgo"
+                  value={inputs.irmaaWagesTwoYearsAgo ?? 0}
+                  onChange={onInputChange}
+                  className="w-28 px-2 py-1 border rounded text-xs"
+                />
+                <label htmlFor="irmaaWagesLastYear">last year</label>
+                <FormattedNumberInput
+                  name="irmaaWagesLastYear"
+                  value={inputs.irmaaWagesLastYear ?? 0}
+                  onChange={onInputChange}
+                  className="w-28 px-2 py-1 border rounded text-xs"
+                />
+                <span className="text-slate-400">(an appeal needs the wages to have stopped since)</span>
+              </div>
+            )}
+          </div>
+        )}
         {inputs.irmaaEnabled && projectionData.some(r => r.irmaaCost > 0) && (
           <div className="mt-3">
             <div className="grid grid-cols-3 gap-3 text-center">
               <div className="bg-red-50 rounded-lg p-2">
                 <p className="text-[10px] text-slate-500 uppercase font-semibold">Lifetime IRMAA</p>
                 <p className="text-base font-bold text-red-600">${projectionData.reduce((s, r) => s + (r.irmaaCost || 0), 0).toLocaleString()}</p>
+                <p className="text-[10px] text-slate-500">
+                  Part B {fmt(projectionData.reduce((s, r) => s + (r.irmaaPartB || 0), 0))} · Part D {fmt(projectionData.reduce((s, r) => s + (r.irmaaPartD || 0), 0))}
+                </p>
               </div>
               <div className="bg-amber-50 rounded-lg p-2">
                 <p className="text-[10px] text-slate-500 uppercase font-semibold">Peak Annual</p>
@@ -967,6 +1217,95 @@ export const TaxMapTab = ({
         )}
       </Card>
 
+      {/* ACA Premium Tax Credit (pre-Medicare) */}
+      <Card>
+        <div className="flex items-center justify-between">
+          <h3 className="font-semibold text-slate-800 text-base flex items-center gap-2">
+            <DollarSign className="w-4 h-4" /> ACA Premium Tax Credit (pre-Medicare)
+          </h3>
+          <button
+            onClick={() => onInputChange({ target: { name: 'acaEnabled', checked: !inputs.acaEnabled, type: 'checkbox' } })}
+            className={`px-3 py-1 rounded-lg text-xs font-semibold transition-colors ${
+              inputs.acaEnabled
+                ? 'bg-mwm-green text-white'
+                : 'bg-slate-200 text-slate-500 hover:bg-slate-300'
+            }`}
+          >
+            {inputs.acaEnabled ? 'Enabled' : 'Disabled'}
+          </button>
+        </div>
+        <p className="text-xs text-slate-500 mt-1">
+          Retired spouses under 65 buy marketplace coverage. The credit caps the benchmark premium at a share of the same year's MAGI;
+          above 400% of the poverty line it disappears entirely, so a Roth conversion or gain before Medicare can cost thousands in subsidy.
+        </p>
+        {inputs.acaEnabled && (
+          <div className="mt-3 space-y-3">
+            <div className="flex items-center gap-2 text-xs text-slate-600">
+              <label htmlFor="acaMonthlyPremium">Benchmark silver premium per person / month (today's $)</label>
+              <FormattedNumberInput
+                name="acaMonthlyPremium"
+                value={inputs.acaMonthlyPremium ?? 0}
+                onChange={onInputChange}
+                className="w-24 px-2 py-1 border rounded text-xs"
+              />
+            </div>
+            {hasAcaYears ? (
+              <>
+                <div className="grid grid-cols-3 gap-3 text-center">
+                  <div className="bg-mwm-green/10 rounded-lg p-2">
+                    <p className="text-[10px] text-slate-500 uppercase font-semibold">Lifetime Credit</p>
+                    <p className="text-base font-bold text-mwm-green">{fmt(acaRows.reduce((s, r) => s + (r.acaCredit || 0), 0))}</p>
+                  </div>
+                  <div className="bg-amber-50 rounded-lg p-2">
+                    <p className="text-[10px] text-slate-500 uppercase font-semibold">Premium After Credit</p>
+                    <p className="text-base font-bold text-amber-600">{fmt(acaRows.reduce((s, r) => s + (r.acaNetPremium || 0), 0))}</p>
+                  </div>
+                  <div className="bg-red-50 rounded-lg p-2">
+                    <p className="text-[10px] text-slate-500 uppercase font-semibold">Years Over Cliff</p>
+                    <p className="text-base font-bold text-red-600">{acaRows.filter(r => r.acaOverCliff).length}</p>
+                  </div>
+                </div>
+                <table className="w-full text-xs border-collapse">
+                  <thead>
+                    <tr className="bg-slate-100 text-slate-600 font-bold border-b border-slate-200">
+                      <th className="p-2 text-left">Age</th>
+                      <th className="p-2 text-right">MAGI</th>
+                      <th className="p-2 text-right">% FPL</th>
+                      <th className="p-2 text-right">Room to Cliff</th>
+                      <th className="p-2 text-right">Premium</th>
+                      <th className="p-2 text-right">Credit</th>
+                      <th className="p-2 text-right">You Pay</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {acaRows.map(r => (
+                      <tr key={r.age} className={`border-b border-slate-100 ${r.acaOverCliff ? 'bg-red-50' : ''}`}>
+                        <td className="p-2 text-left">{r.age}</td>
+                        <td className="p-2 text-right">{fmt(r.magi || 0)}</td>
+                        <td className="p-2 text-right">{r.acaFplPercent}%</td>
+                        <td className={`p-2 text-right ${r.acaOverCliff ? 'text-red-600 font-semibold' : 'text-slate-600'}`}>
+                          {r.acaCliffMagi == null ? 'No cliff' : r.acaOverCliff ? `Over by ${fmt((r.magi || 0) - r.acaCliffMagi)}` : fmt(r.acaCliffMagi - (r.magi || 0))}
+                        </td>
+                        <td className="p-2 text-right text-slate-500">{fmt(r.acaPremium)}</td>
+                        <td className="p-2 text-right text-mwm-green">{fmt(r.acaCredit || 0)}</td>
+                        <td className="p-2 text-right text-amber-600 font-semibold">{fmt(r.acaNetPremium || 0)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            ) : (
+              <p className="text-xs text-slate-400 italic">No retired years before 65 in this plan.</p>
+            )}
+            {(inputs.cashFlowAdjustments || []).some(a => a.name === 'Health Insurance (pre-Medicare)') && (
+              <p className="text-xs text-amber-600">
+                The plan also has a "Health Insurance (pre-Medicare)" spending adjustment — remove it so premiums aren't counted twice.
+              </p>
+            )}
+          </div>
+        )}
+      </Card>
+
       {/* Bracket Headroom Table */}
       <Card>
         <h3 className="font-semibold text-slate-800 text-base mb-3 flex items-center gap-2">
@@ -984,6 +1323,7 @@ export const TaxMapTab = ({
                 <th className="p-2 text-right">Headroom</th>
                 {hasRothConversions && <th className="p-2 text-right">Roth Conv.</th>}
                 <th className="p-2 text-right">RMD</th>
+                {hasSurtax && <th className="p-2 text-right" title="Included in Total Tax: 3.8% Net Investment Income Tax and Alternative Minimum Tax">NIIT / AMT</th>}
                 <th className="p-2 text-right">Total Tax</th>
                 <th className="p-2 text-right">Eff. Rate</th>
                 {inputs.irmaaEnabled && <th className="p-2 text-center">IRMAA</th>}
@@ -1008,6 +1348,13 @@ export const TaxMapTab = ({
                     <td className="p-2 text-right text-mwm-green">{fmt(row.headroom)}</td>
                     {hasRothConversions && <td className="p-2 text-right text-teal-600">{row.rothConversion > 0 ? fmt(row.rothConversion) : '-'}</td>}
                     <td className="p-2 text-right text-orange-600">{row.rmd > 0 ? fmt(row.rmd) : '-'}</td>
+                    {hasSurtax && (
+                      <td className="p-2 text-right text-red-500">
+                        {row.niit > 0 || row.amt > 0
+                          ? [row.niit > 0 && `NIIT ${fmt(row.niit)}`, row.amt > 0 && `AMT ${fmt(row.amt)}`].filter(Boolean).join(' + ')
+                          : '-'}
+                      </td>
+                    )}
                     <td className="p-2 text-right text-red-600">{fmt(row.totalTax)}</td>
                     <td className="p-2 text-right text-mwm-gold/80">{row.effectiveRate}%</td>
                     {inputs.irmaaEnabled && (
@@ -1020,6 +1367,10 @@ export const TaxMapTab = ({
                             : 'bg-red-200 text-red-800'
                           }`}>Tier {row.irmaaBracket}</span>
                         ) : <span className="text-slate-400 text-[10px]">—</span>}
+                        {row.irmaaAppealed && <span className="ml-1 text-[10px] text-mwm-green" title="Premiums use this year's MAGI after an SSA-44 work-stoppage appeal">SSA-44</span>}
+                        {row.irmaaTierRoom != null && (
+                          <p className="text-[10px] text-purple-600" title="MAGI room before the next IRMAA tier two years out">{fmt(row.irmaaTierRoom)} room</p>
+                        )}
                       </td>
                     )}
                   </tr>
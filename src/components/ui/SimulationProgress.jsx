@@ -0,0 +1,22 @@
+import React from 'react';
+import { Loader } from 'lucide-react';
+
+/**
+ * Progress bar for a worker-pool calculation (see hooks/useSimulationTask).
+ * Renders nothing once the task is idle.
+ */
+export const SimulationProgress = ({ status, label = 'Running simulation', className = '' }) => {
+  if (!status?.isRunning) return null;
+  const percent = Math.round((status.progress || 0) * 100);
+  return (
+    <div className={`flex items-center gap-2 text-xs text-slate-500 ${className}`}>
+      <Loader className="w-3.5 h-3.5 animate-spin text-mwm-green" />
+      <span className="whitespace-nowrap">{label}… {percent}%</span>
+      <div className="flex-1 min-w-[80px] h-1.5 bg-slate-200 rounded-full overflow-hidden">
+        <div className="h-full bg-mwm-green transition-all duration-200" style={{ width: `${percent}%` }} />
+      </div>
+    </div>
+  );
+};
+
+export default SimulationProgress;
@@ -7,3 +7,4 @@ export { PrivacyTermsModal } from './PrivacyTermsModal';
 export { ImportantDisclosures } from './ImportantDisclosures';
 export { AdvisorNavBar } from './AdvisorNavBar';
 export { TeamPickerModal } from './TeamPickerModal';
+export { SimulationProgress } from './SimulationProgress';
@@ -1,33 +1,111 @@
-// Historical Annual Returns by Asset Class (2000-2024)
-// Sources: S&P 500 total return, Bloomberg Barclays US Aggregate Bond, 3-Month T-Bill
-// Used for MWM Advanced Rebalancing Engine illustration
+// Historical Annual Returns by Asset Class (1926-2024), nominal %
+// Sources: S&P 500 total return (SBBI large-cap series before 1957), 3-Month T-Bill,
+// CPI-U December-over-December inflation. Bonds: Bloomberg US Aggregate from 1976;
+// before the Aggregate existed, US Treasury returns (intermediate government 1926–27,
+// 10-year Treasury 1928–75) stand in for the core bond sleeve.
+// Used for the MWM Advanced Rebalancing Engine illustration and the rolling-period
+// historical backtest in runSimulation.
 
 export const HISTORICAL_RETURNS = {
-  2000: { equity: -9.10, bonds: 11.63, cash: 5.89 },
-  2001: { equity: -11.89, bonds: 8.44, cash: 3.83 },
-  2002: { equity: -22.10, bonds: 10.26, cash: 1.65 },
-  2003: { equity: 28.68, bonds: 4.10, cash: 1.02 },
-  2004: { equity: 10.88, bonds: 4.34, cash: 1.20 },
-  2005: { equity: 4.91, bonds: 2.43, cash: 3.00 },
-  2006: { equity: 15.79, bonds: 4.33, cash: 4.73 },
-  2007: { equity: 5.49, bonds: 6.97, cash: 4.74 },
-  2008: { equity: -37.00, bonds: 5.24, cash: 1.80 },
-  2009: { equity: 26.46, bonds: 5.93, cash: 0.16 },
-  2010: { equity: 15.06, bonds: 6.54, cash: 0.13 },
-  2011: { equity: 2.11, bonds: 7.84, cash: 0.06 },
-  2012: { equity: 16.00, bonds: 4.22, cash: 0.07 },
-  2013: { equity: 32.39, bonds: -2.02, cash: 0.05 },
-  2014: { equity: 13.69, bonds: 5.97, cash: 0.03 },
-  2015: { equity: 1.38, bonds: 0.55, cash: 0.05 },
-  2016: { equity: 11.96, bonds: 2.65, cash: 0.32 },
-  2017: { equity: 21.83, bonds: 3.54, cash: 0.86 },
-  2018: { equity: -4.38, bonds: 0.01, cash: 1.87 },
-  2019: { equity: 31.49, bonds: 8.72, cash: 2.28 },
-  2020: { equity: 18.40, bonds: 7.51, cash: 0.67 },
-  2021: { equity: 28.71, bonds: -1.54, cash: 0.05 },
-  2022: { equity: -18.11, bonds: -13.01, cash: 1.46 },
-  2023: { equity: 26.29, bonds: 5.53, cash: 5.26 },
-  2024: { equity: 25.02, bonds: 1.25, cash: 5.35 },
+  1926: { equity: 11.62, bonds: 5.38, cash: 3.27, inflation: -1.49 },
+  1927: { equity: 37.49, bonds: 4.52, cash: 3.12, inflation: -2.08 },
+  1928: { equity: 43.81, bonds: 0.84, cash: 3.08, inflation: -0.97 },
+  1929: { equity: -8.30, bonds: 4.20, cash: 3.16, inflation: 0.20 },
+  1930: { equity: -25.12, bonds: 4.54, cash: 4.55, inflation: -6.03 },
+  1931: { equity: -43.84, bonds: -2.56, cash: 2.31, inflation: -9.52 },
+  1932: { equity: -8.64, bonds: 8.79, cash: 1.07, inflation: -10.30 },
+  1933: { equity: 49.98, bonds: 1.86, cash: 0.96, inflation: 0.51 },
+  1934: { equity: -1.19, bonds: 7.96, cash: 0.28, inflation: 2.03 },
+  1935: { equity: 46.74, bonds: 4.47, cash: 0.17, inflation: 2.99 },
+  1936: { equity: 31.94, bonds: 5.02, cash: 0.17, inflation: 1.21 },
+  1937: { equity: -35.34, bonds: 1.38, cash: 0.28, inflation: 3.10 },
+  1938: { equity: 29.28, bonds: 4.21, cash: 0.07, inflation: -2.78 },
+  1939: { equity: -1.10, bonds: 4.41, cash: 0.05, inflation: -0.48 },
+  1940: { equity: -10.67, bonds: 5.40, cash: 0.04, inflation: 0.96 },
+  1941: { equity: -12.77, bonds: -2.02, cash: 0.13, inflation: 9.72 },
+  1942: { equity: 19.17, bonds: 2.29, cash: 0.34, inflation: 9.29 },
+  1943: { equity: 25.06, bonds: 2.49, cash: 0.38, inflation: 3.16 },
+  1944: { equity: 19.03, bonds: 2.58, cash: 0.38, inflation: 2.11 },
+  1945: { equity: 35.82, bonds: 3.80, cash: 0.38, inflation: 2.25 },
+  1946: { equity: -8.43, bonds: 3.13, cash: 0.38, inflation: 18.16 },
+  1947: { equity: 5.20, bonds: 0.92, cash: 0.60, inflation: 9.01 },
+  1948: { equity: 5.70, bonds: 1.95, cash: 1.05, inflation: 2.71 },
+  1949: { equity: 18.30, bonds: 4.66, cash: 1.12, inflation: -1.80 },
+  1950: { equity: 30.81, bonds: 0.43, cash: 1.20, inflation: 5.79 },
+  1951: { equity: 23.68, bonds: -0.30, cash: 1.52, inflation: 5.87 },
+  1952: { equity: 18.15, bonds: 2.27, cash: 1.72, inflation: 0.88 },
+  1953: { equity: -1.21, bonds: 4.14, cash: 1.89, inflation: 0.62 },
+  1954: { equity: 52.56, bonds: 3.29, cash: 0.94, inflation: -0.50 },
+  1955: { equity: 32.60, bonds: -1.34, cash: 1.72, inflation: 0.37 },
+  1956: { equity: 7.44, bonds: -2.26, cash: 2.62, inflation: 2.86 },
+  1957: { equity: -10.46, bonds: 6.80, cash: 3.22, inflation: 3.02 },
+  1958: { equity: 43.72, bonds: -2.10, cash: 1.77, inflation: 1.76 },
+  1959: { equity: 12.06, bonds: -2.65, cash: 3.39, inflation: 1.50 },
+  1960: { equity: 0.34, bonds: 11.64, cash: 2.87, inflation: 1.48 },
+  1961: { equity: 26.64, bonds: 2.06, cash: 2.35, inflation: 0.67 },
+  1962: { equity: -8.81, bonds: 5.69, cash: 2.77, inflation: 1.22 },
+  1963: { equity: 22.61, bonds: 1.68, cash: 3.16, inflation: 1.65 },
+  1964: { equity: 16.42, bonds: 3.73, cash: 3.55, inflation: 1.19 },
+  1965: { equity: 12.40, bonds: 0.72, cash: 3.95, inflation: 1.92 },
+  1966: { equity: -9.97, bonds: 2.91, cash: 4.86, inflation: 3.35 },
+  1967: { equity: 23.80, bonds: -1.58, cash: 4.29, inflation: 3.04 },
+  1968: { equity: 10.81, bonds: 3.27, cash: 5.34, inflation: 4.72 },
+  1969: { equity: -8.24, bonds: -5.01, cash: 6.67, inflation: 6.11 },
+  1970: { equity: 3.56, bonds: 16.75, cash: 6.39, inflation: 5.49 },
+  1971: { equity: 14.22, bonds: 9.79, cash: 4.33, inflation: 3.36 },
+  1972: { equity: 18.76, bonds: 2.82, cash: 4.06, inflation: 3.41 },
+  1973: { equity: -14.31, bonds: 3.66, cash: 7.04, inflation: 8.80 },
+  1974: { equity: -25.90, bonds: 1.99, cash: 7.85, inflation: 12.20 },
+  1975: { equity: 37.00, bonds: 3.61, cash: 5.79, inflation: 7.01 },
+  1976: { equity: 23.83, bonds: 15.60, cash: 4.98, inflation: 4.81 },
+  1977: { equity: -6.98, bonds: 3.03, cash: 5.26, inflation: 6.77 },
+  1978: { equity: 6.51, bonds: 1.40, cash: 7.18, inflation: 9.03 },
+  1979: { equity: 18.52, bonds: 1.93, cash: 10.05, inflation: 13.31 },
+  1980: { equity: 31.74, bonds: 2.71, cash: 11.39, inflation: 12.40 },
+  1981: { equity: -4.70, bonds: 6.26, cash: 14.04, inflation: 8.94 },
+  1982: { equity: 20.42, bonds: 32.62, cash: 10.60, inflation: 3.87 },
+  1983: { equity: 22.34, bonds: 8.36, cash: 8.62, inflation: 3.80 },
+  1984: { equity: 6.15, bonds: 15.15, cash: 9.54, inflation: 3.95 },
+  1985: { equity: 31.24, bonds: 22.10, cash: 7.47, inflation: 3.77 },
+  1986: { equity: 18.49, bonds: 15.26, cash: 5.97, inflation: 1.13 },
+  1987: { equity: 5.81, bonds: 2.76, cash: 5.78, inflation: 4.41 },
+  1988: { equity: 16.54, bonds: 7.89, cash: 6.67, inflation: 4.42 },
+  1989: { equity: 31.48, bonds: 14.53, cash: 8.11, inflation: 4.65 },
+  1990: { equity: -3.06, bonds: 8.96, cash: 7.50, inflation: 6.11 },
+  1991: { equity: 30.23, bonds: 16.00, cash: 5.38, inflation: 3.06 },
+  1992: { equity: 7.49, bonds: 7.40, cash: 3.43, inflation: 2.90 },
+  1993: { equity: 9.97, bonds: 9.75, cash: 3.00, inflation: 2.75 },
+  1994: { equity: 1.33, bonds: -2.92, cash: 4.25, inflation: 2.67 },
+  1995: { equity: 37.20, bonds: 18.47, cash: 5.49, inflation: 2.54 },
+  1996: { equity: 22.68, bonds: 3.63, cash: 5.01, inflation: 3.32 },
+  1997: { equity: 33.10, bonds: 9.65, cash: 5.06, inflation: 1.70 },
+  1998: { equity: 28.34, bonds: 8.69, cash: 4.78, inflation: 1.61 },
+  1999: { equity: 20.89, bonds: -0.82, cash: 4.64, inflation: 2.68 },
+  2000: { equity: -9.10, bonds: 11.63, cash: 5.89, inflation: 3.39 },
+  2001: { equity: -11.89, bonds: 8.44, cash: 3.83, inflation: 1.55 },
+  2002: { equity: -22.10, bonds: 10.26, cash: 1.65, inflation: 2.38 },
+  2003: { equity: 28.68, bonds: 4.10, cash: 1.02, inflation: 1.88 },
+  2004: { equity: 10.88, bonds: 4.34, cash: 1.20, inflation: 3.26 },
+  2005: { equity: 4.91, bonds: 2.43, cash: 3.00, inflation: 3.42 },
+  2006: { equity: 15.79, bonds: 4.33, cash: 4.73, inflation: 2.54 },
+  2007: { equity: 5.49, bonds: 6.97, cash: 4.74, inflation: 4.08 },
+  2008: { equity: -37.00, bonds: 5.24, cash: 1.80, inflation: 0.09 },
+  2009: { equity: 26.46, bonds: 5.93, cash: 0.16, inflation: 2.72 },
+  2010: { equity: 15.06, bonds: 6.54, cash: 0.13, inflation: 1.50 },
+  2011: { equity: 2.11, bonds: 7.84, cash: 0.06, inflation: 2.96 },
+  2012: { equity: 16.00, bonds: 4.22, cash: 0.07, inflation: 1.74 },
+  2013: { equity: 32.39, bonds: -2.02, cash: 0.05, inflation: 1.50 },
+  2014: { equity: 13.69, bonds: 5.97, cash: 0.03, inflation: 0.76 },
+  2015: { equity: 1.38, bonds: 0.55, cash: 0.05, inflation: 0.73 },
+  2016: { equity: 11.96, bonds: 2.65, cash: 0.32, inflation: 2.07 },
+  2017: { equity: 21.83, bonds: 3.54, cash: 0.86, inflation: 2.11 },
+  2018: { equity: -4.38, bonds: 0.01, cash: 1.87, inflation: 1.91 },
+  2019: { equity: 31.49, bonds: 8.72, cash: 2.28, inflation: 2.29 },
+  2020: { equity: 18.40, bonds: 7.51, cash: 0.67, inflation: 1.36 },
+  2021: { equity: 28.71, bonds: -1.54, cash: 0.05, inflation: 7.04 },
+  2022: { equity: -18.11, bonds: -13.01, cash: 1.46, inflation: 6.45 },
+  2023: { equity: 26.29, bonds: 5.53, cash: 5.26, inflation: 3.35 },
+  2024: { equity: 25.02, bonds: 1.25, cash: 5.35, inflation: 2.89 },
 };
 
 // Maps each bucket to a blend of asset classes
@@ -47,3 +125,34 @@ export const getBucketReturn = (bucket, year) => {
   if (!blend || !data) return 0;
   return (blend.equity * data.equity + blend.bonds * data.bonds + blend.cash * data.cash) / 100;
 };
+
+// First and last calendar years covered by HISTORICAL_RETURNS
+export const HISTORICAL_FIRST_YEAR = 1926;
+export const HISTORICAL_LAST_YEAR = 2024;
+
+// Passive 60/40 benchmark return for a historical year (decimal)
+export const getBenchmarkReturn = (year) => {
+  const data = HISTORICAL_RETURNS[year];
+  if (!data) return 0;
+  return (0.60 * data.equity + 0.40 * data.bonds) / 100;
+};
+
+// Historical CPI inflation for a year (decimal)
+export const getHistoricalInflation = (year) => {
+  const data = HISTORICAL_RETURNS[year];
+  return data ? data.inflation / 100 : 0;
+};
+
+// Full-history arithmetic mean return for each bucket blend and the 60/40 benchmark,
+// plus mean CPI inflation (decimal). The bootstrap uses these to re-center resampled
+// years on the advisor's assumptions while keeping history's shape (fat tails, crash
+// clustering, inflation spikes).
+export const HISTORICAL_MEAN_RETURNS = (() => {
+  const years = Object.keys(HISTORICAL_RETURNS).map(Number);
+  const mean = (fn) => years.reduce((sum, y) => sum + fn(y), 0) / years.length;
+  const means = {};
+  Object.keys(BUCKET_ASSET_BLEND).forEach(bk => { means[bk] = mean(y => getBucketReturn(bk, y)); });
+  means.benchmark = mean(getBenchmarkReturn);
+  means.inflation = mean(getHistoricalInflation);
+  return means;
+})();
@@ -0,0 +1,48 @@
+// Social Security wage indexing series (SSA Office of the Chief Actuary)
+// AVERAGE_WAGE_INDEX: national average wage index by year, 1951–2024 (2024 published 2025).
+// TAXABLE_MAXIMUM: contribution and benefit base by year, 1951–2026.
+// COLA_HISTORY: cost-of-living adjustment (%) effective December of the year.
+// Used to index an earnings record and compute a PIA the way SSA does.
+
+export const AVERAGE_WAGE_INDEX = {
+  1951: 2799.16, 1952: 2973.32, 1953: 3139.44, 1954: 3155.64, 1955: 3301.44,
+  1956: 3532.36, 1957: 3641.72, 1958: 3673.80, 1959: 3855.80, 1960: 4007.12,
+  1961: 4086.76, 1962: 4291.40, 1963: 4396.64, 1964: 4576.32, 1965: 4658.72,
+  1966: 4938.36, 1967: 5213.44, 1968: 5571.76, 1969: 5893.76, 1970: 6186.24,
+  1971: 6497.08, 1972: 7133.80, 1973: 7580.16, 1974: 8030.76, 1975: 8630.92,
+  1976: 9226.48, 1977: 9779.44, 1978: 10556.03, 1979: 11479.46, 1980: 12513.46,
+  1981: 13773.10, 1982: 14531.34, 1983: 15239.24, 1984: 16135.07, 1985: 16822.51,
+  1986: 17321.82, 1987: 18426.51, 1988: 19334.04, 1989: 20099.55, 1990: 21027.98,
+  1991: 21811.60, 1992: 22935.42, 1993: 23132.67, 1994: 23753.53, 1995: 24705.66,
+  1996: 25913.90, 1997: 27426.00, 1998: 28861.44, 1999: 30469.84, 2000: 32154.82,
+  2001: 32921.92, 2002: 33252.09, 2003: 34064.95, 2004: 35648.55, 2005: 36952.94,
+  2006: 38651.41, 2007: 40405.48, 2008: 41334.97, 2009: 40711.61, 2010: 41673.83,
+  2011: 42979.61, 2012: 44321.67, 2013: 44888.16, 2014: 46481.52, 2015: 48098.63,
+  2016: 48642.15, 2017: 50321.89, 2018: 52145.80, 2019: 54099.99, 2020: 55628.60,
+  2021: 60575.07, 2022: 63795.13, 2023: 66621.80, 2024: 69846.57
+};
+
+export const TAXABLE_MAXIMUM = {
+  1951: 3600, 1952: 3600, 1953: 3600, 1954: 3600, 1955: 4200, 1956: 4200, 1957: 4200, 1958: 4200,
+  1959: 4800, 1960: 4800, 1961: 4800, 1962: 4800, 1963: 4800, 1964: 4800, 1965: 4800,
+  1966: 6600, 1967: 6600, 1968: 7800, 1969: 7800, 1970: 7800, 1971: 7800,
+  1972: 9000, 1973: 10800, 1974: 13200, 1975: 14100, 1976: 15300, 1977: 16500, 1978: 17700,
+  1979: 22900, 1980: 25900, 1981: 29700, 1982: 32400, 1983: 35700, 1984: 37800, 1985: 39600,
+  1986: 42000, 1987: 43800, 1988: 45000, 1989: 48000, 1990: 51300, 1991: 53400, 1992: 55500,
+  1993: 57600, 1994: 60600, 1995: 61200, 1996: 62700, 1997: 65400, 1998: 68400, 1999: 72600,
+  2000: 76200, 2001: 80400, 2002: 84900, 2003: 87000, 2004: 87900, 2005: 90000, 2006: 94200,
+  2007: 97500, 2008: 102000, 2009: 106800, 2010: 106800, 2011: 106800, 2012: 110100,
+  2013: 113700, 2014: 117000, 2015: 118500, 2016: 118500, 2017: 127200, 2018: 128400,
+  2019: 132900, 2020: 137700, 2021: 142800, 2022: 147000, 2023: 160200, 2024: 168600,
+  2025: 176100, 2026: 184500
+};
+
+export const COLA_HISTORY = {
+  2000: 3.5, 2001: 2.6, 2002: 1.4, 2003: 2.1, 2004: 2.7, 2005: 4.1, 2006: 3.3, 2007: 2.3,
+  2008: 5.8, 2009: 0.0, 2010: 0.0, 2011: 3.6, 2012: 1.7, 2013: 1.5, 2014: 1.7, 2015: 0.0,
+  2016: 0.3, 2017: 2.0, 2018: 2.8, 2019: 1.6, 2020: 1.3, 2021: 5.9, 2022: 8.7, 2023: 3.2,
+  2024: 2.5, 2025: 2.8
+};
+
+// 1979 bend points, indexed by AWI(eligibility year − 2) / AWI(1977) for later eligibility years
+export const BASE_BEND_POINTS = { awiYear: 1977, bendPoints: [180, 1085] };
@@ -0,0 +1,549 @@
+// State Income Tax Tables
+// Bracket schedules, deductions and retirement-income rules for every state plus DC.
+// Figures are for the 2026 tax year where the legislature has already enacted them
+// (rate step-downs in GA, IN, KY, MS, MT, NC, NE, OH, OK) and the latest published
+// figures otherwise. Rates are percentages; dollar amounts are base-year values that the
+// engine indexes with inflation only for states marked `indexed`.
+//
+// Entry shape:
+//   name, rate            Display name and top marginal rate (%) shown in the state picker
+//   brackets              { single, married? } marginal schedules; married is omitted when
+//                         every filer uses the same schedule. Flat-rate states use `rate`.
+//   indexed               Bracket thresholds and the state deduction rise with inflation
+//   deduction             State standard deduction plus personal exemptions { single, married },
+//                         or 'federal' for states that start from federal taxable income or
+//                         adopt the federal standard deduction
+//   ss                    Social Security: 'exempt', 'federal' (taxed like the federal return)
+//                         or a partial rule (see SS RULES below)
+//   retirementExclusions  Pension / IRA subtractions, applied in order (see EXCLUSIONS below)
+//   capitalGainsExclusion Share of long-term capital gains the state excludes
+//   capitalGainsTax       Separate tax on long-term gains only (Washington)
+//   localTaxes            Local income taxes a resident can owe, keyed by code; defaultLocalTax
+//                         names the one every resident pays (county taxes in MD and IN)
+//
+// SS RULES — taxable SS here is the federally taxable amount, split evenly between spouses:
+//   exemptAge             Fully exempt for a spouse at or over this age
+//   limit                 Fully exempt while AGI is at or under limit[filingStatus]; above it
+//                         the exemption ends, or phases out over phaseoutRange dollars, or
+//                         shrinks by phaseoutRate dollars per dollar over, or (aboveShare)
+//                         at most that share of gross benefits is taxed
+//   minAge                Only spouses at or over this age qualify for the limit rule
+//
+// EXCLUSIONS — income categories: ss, pension, ira, wages, investment (dividends),
+// capitalGains, other ('all' = every category). Income is split evenly between spouses.
+//   amount                Per qualifying spouse (Infinity = the full amount is excluded)
+//   perHousehold          { single, married } cap per return instead of per spouse
+//   minAge / maxAge       Age window a spouse must be in to qualify
+//   reducedBySS           Each spouse's cap is reduced by their Social Security benefits
+//   agiLimit              No exclusion when AGI is over agiLimit[filingStatus]
+//   phaseout              { start, range } proportional phase-out, or { start, rate } reduction
+//                         of rate dollars per dollar of AGI over start
+//   agiTiers              [{ max, share }] stepped phase-out: share of the cap kept up to max AGI
+
+const NO_INCOME_TAX = { rate: 0, ss: 'exempt' };
+
+export const STATE_TAX_DATA = {
+  'AL': { name: 'Alabama', rate: 5.0, ss: 'exempt',
+    brackets: {
+      single:  [{ min: 0, max: 500, rate: 2 }, { min: 500, max: 3000, rate: 4 }, { min: 3000, max: Infinity, rate: 5 }],
+      married: [{ min: 0, max: 1000, rate: 2 }, { min: 1000, max: 6000, rate: 4 }, { min: 6000, max: Infinity, rate: 5 }]
+    },
+    deduction: { single: 4500, married: 11500 },
+    // Defined-benefit pensions are fully exempt; IRA and 401(k) distributions get $6,000 at 65+
+    retirementExclusions: [
+      { appliesTo: ['pension'], amount: Infinity },
+      { appliesTo: ['ira'], amount: 6000, minAge: 65 }
+    ]
+  },
+  'AK': { name: 'Alaska', ...NO_INCOME_TAX },
+  'AZ': { name: 'Arizona', rate: 2.5, ss: 'exempt', deduction: 'federal' },
+  'AR': { name: 'Arkansas', rate: 3.9, ss: 'exempt',
+    brackets: {
+      single: [{ min: 0, max: 5500, rate: 0 }, { min: 5500, max: 10900, rate: 2 }, { min: 10900, max: 15600, rate: 3 }, { min: 15600, max: 25700, rate: 3.4 }, { min: 25700, max: Infinity, rate: 3.9 }]
+    },
+    indexed: true,
+    deduction: { single: 2410, married: 4820 },
+    retirementExclusions: [{ appliesTo: ['pension', 'ira'], amount: 6000, minAge: 59.5 }],
+    capitalGainsExclusion: 0.5
+  },
+  'CA': { name: 'California', rate: 13.3, ss: 'exempt',
+    // Top brackets include the 1% Mental Health Services Tax on income over $1M (all filers)
+    brackets: {
+      single:  [{ min: 0, max: 11079, rate: 1 }, { min: 11079, max: 26264, rate: 2 }, { min: 26264, max: 41452, rate: 4 }, { min: 41452, max: 57542, rate: 6 }, { min: 57542, max: 72724, rate: 8 }, { min: 72724, max: 371479, rate: 9.3 }, { min: 371479, max: 445771, rate: 10.3 }, { min: 445771, max: 742953, rate: 11.3 }, { min: 742953, max: 1000000, rate: 12.3 }, { min: 1000000, max: Infinity, rate: 13.3 }],
+      married: [{ min: 0, max: 22158, rate: 1 }, { min: 22158, max: 52528, rate: 2 }, { min: 52528, max: 82904, rate: 4 }, { min: 82904, max: 115084, rate: 6 }, { min: 115084, max: 145448, rate: 8 }, { min: 145448, max: 742958, rate: 9.3 }, { min: 742958, max: 891542, rate: 10.3 }, { min: 891542, max: 1000000, rate: 11.3 }, { min: 1000000, max: 1485906, rate: 12.3 }, { min: 1485906, max: Infinity, rate: 13.3 }]
+    },
+    indexed: true,
+    deduction: { single: 5706, married: 11412 }
+  },
+  'CO': { name: 'Colorado', rate: 4.4, deduction: 'federal',
+    // SS is fully subtracted at 65+; under 65 it counts toward the $20,000 pension subtraction
+    ss: { exemptAge: 65 },
+    retirementExclusions: [
+      { appliesTo: ['pension', 'ira', 'ss'], amount: 20000, minAge: 55, maxAge: 64 },
+      { appliesTo: ['pension', 'ira'], amount: 24000, minAge: 65 }
+    ]
+  },
+  'CT': { name: 'Connecticut', rate: 6.99,
+    brackets: {
+      single:  [{ min: 0, max: 10000, rate: 2 }, { min: 10000, max: 50000, rate: 4.5 }, { min: 50000, max: 100000, rate: 5.5 }, { min: 100000, max: 200000, rate: 6 }, { min: 200000, max: 250000, rate: 6.5 }, { min: 250000, max: 500000, rate: 6.9 }, { min: 500000, max: Infinity, rate: 6.99 }],
+      married: [{ min: 0, max: 20000, rate: 2 }, { min: 20000, max: 100000, rate: 4.5 }, { min: 100000, max: 200000, rate: 5.5 }, { min: 200000, max: 400000, rate: 6 }, { min: 400000, max: 500000, rate: 6.5 }, { min: 500000, max: 1000000, rate: 6.9 }, { min: 1000000, max: Infinity, rate: 6.99 }]
+    },
+    deduction: { single: 15000, married: 24000 },
+    // SS exempt under the AGI limit; above it no more than 25% of benefits is taxed
+    ss: { limit: { single: 75000, married: 100000 }, aboveShare: 0.25 },
+    // Pensions and (fully phased in for 2026) IRA distributions: 100% exempt under the same
+    // AGI limits, losing 5% for every $5,000 over
+    retirementExclusions: [
+      { appliesTo: ['pension', 'ira'], amount: Infinity, phaseout: { start: { single: 75000, married: 100000 }, range: 100000 } }
+    ]
+  },
+  'DE': { name: 'Delaware', rate: 6.6, ss: 'exempt',
+    brackets: {
+      single: [{ min: 0, max: 2000, rate: 0 }, { min: 2000, max: 5000, rate: 2.2 }, { min: 5000, max: 10000, rate: 3.9 }, { min: 10000, max: 20000, rate: 4.8 }, { min: 20000, max: 25000, rate: 5.2 }, { min: 25000, max: 60000, rate: 5.55 }, { min: 60000, max: Infinity, rate: 6.6 }]
+    },
+    deduction: { single: 3250, married: 6500 },
+    // $12,500 per person 60+ covers pensions, IRAs and investment income; $2,000 of pension under 60
+    retirementExclusions: [
+      { appliesTo: ['pension', 'ira', 'investment', 'capitalGains'], amount: 12500, minAge: 60 },
+      { appliesTo: ['pension'], amount: 2000, maxAge: 59 }
+    ]
+  },
+  'DC': { name: 'District of Columbia', rate: 10.75, ss: 'exempt',
+    brackets: {
+      single: [{ min: 0, max: 10000, rate: 4 }, { min: 10000, max: 40000, rate: 6 }, { min: 40000, max: 60000, rate: 6.5 }, { min: 60000, max: 250000, rate: 8.5 }, { min: 250000, max: 500000, rate: 9.25 }, { min: 500000, max: 1000000, rate: 9.75 }, { min: 1000000, max: Infinity, rate: 10.75 }]
+    },
+    deduction: 'federal'
+  },
+  'FL': { name: 'Florida', ...NO_INCOME_TAX },
+  'GA': { name: 'Georgia', rate: 5.09, ss: 'exempt',
+    deduction: { single: 12000, married: 24000 },
+    // Retirement exclusion covers pensions, IRAs, interest, dividends, gains and rents
+    retirementExclusions: [
+      { appliesTo: ['pension', 'ira', 'investment', 'capitalGains', 'other'], amount: 35000, minAge: 62, maxAge: 64 },
+      { appliesTo: ['pension', 'ira', 'investment', 'capitalGains', 'other'], amount: 65000, minAge: 65 }
+    ]
+  },
+  'HI': { name: 'Hawaii', rate: 11.0, ss: 'exempt',
+    brackets: {
+      single:  [{ min: 0, max: 9600, rate: 1.4 }, { min: 9600, max: 14400, rate: 3.2 }, { min: 14400, max: 19200, rate: 5.5 }, { min: 19200, max: 24000, rate: 6.4 }, { min: 24000, max: 36000, rate: 6.8 }, { min: 36000, max: 48000, rate: 7.2 }, { min: 48000, max: 125000, rate: 7.6 }, { min: 125000, max: 175000, rate: 7.9 }, { min: 175000, max: 225000, rate: 8.25 }, { min: 225000, max: 275000, rate: 9 }, { min: 275000, max: 325000, rate: 10 }, { min: 325000, max: Infinity, rate: 11 }],
+      married: [{ min: 0, max: 19200, rate: 1.4 }, { min: 19200, max: 28800, rate: 3.2 }, { min: 28800, max: 38400, rate: 5.5 }, { min: 38400, max: 48000, rate: 6.4 }, { min: 48000, max: 72000, rate: 6.8 }, { min: 72000, max: 96000, rate: 7.2 }, { min: 96000, max: 250000, rate: 7.6 }, { min: 250000, max: 350000, rate: 7.9 }, { min: 350000, max: 450000, rate: 8.25 }, { min: 450000, max: 550000, rate: 9 }, { min: 550000, max: 650000, rate: 10 }, { min: 650000, max: Infinity, rate: 11 }]
+    },
+    deduction: { single: 9144, married: 18288 },
+    // Employer-funded pensions are exempt; IRA and 401(k) distributions are taxed
+    retirementExclusions: [{ appliesTo: ['pension'], amount: Infinity }]
+  },
+  'ID': { name: 'Idaho', rate: 5.3, ss: 'exempt', deduction: 'federal' },
+  'IL': { name: 'Illinois', rate: 4.95, ss: 'exempt',
+    deduction: { single: 2850, married: 5700 },
+    retirementExclusions: [{ appliesTo: ['pension', 'ira'], amount: Infinity }]
+  },
+  'IN': { name: 'Indiana', rate: 2.95, ss: 'exempt',
+    deduction: { single: 1000, married: 2000 },
+    localTaxes: {
+      county: { name: 'County tax (state average)', rate: 1.6 },
+      marion: { name: 'Marion County (Indianapolis)', rate: 2.02 },
+      hamilton: { name: 'Hamilton County', rate: 1.1 },
+      lake: { name: 'Lake County', rate: 1.5 }
+    },
+    defaultLocalTax: 'county'
+  },
+  'IA': { name: 'Iowa', rate: 3.8, ss: 'exempt', deduction: 'federal',
+    retirementExclusions: [{ appliesTo: ['pension', 'ira'], amount: Infinity, minAge: 55 }]
+  },
+  'KS': { name: 'Kansas', rate: 5.58, ss: 'exempt',
+    brackets: {
+      single:  [{ min: 0, max: 23000, rate: 5.2 }, { min: 23000, max: Infinity, rate: 5.58 }],
+      married: [{ min: 0, max: 46000, rate: 5.2 }, { min: 46000, max: Infinity, rate: 5.58 }]
+    },
+    deduction: { single: 12765, married: 26560 }
+  },
+  'KY': { name: 'Kentucky', rate: 3.5, ss: 'exempt',
+    deduction: { single: 3270, married: 6540 },
+    retirementExclusions: [{ appliesTo: ['pension', 'ira'], amount: 31110 }]
+  },
+  'LA': { name: 'Louisiana', rate: 3.0, ss: 'exempt',
+    deduction: { single: 12500, married: 25000 },
+    retirementExclusions: [{ appliesTo: ['pension', 'ira'], amount: 12000, minAge: 65 }]
+  },
+  'ME': { name: 'Maine', rate: 7.15, ss: 'exempt',
+    brackets: {
+      single:  [{ min: 0, max: 26800, rate: 5.8 }, { min: 26800, max: 63450, rate: 6.75 }, { min: 63450, max: Infinity, rate: 7.15 }],
+      married: [{ min: 0, max: 53600, rate: 5.8 }, { min: 53600, max: 126900, rate: 6.75 }, { min: 126900, max: Infinity, rate: 7.15 }]
+    },
+    indexed: true,
+    deduction: 'federal',
+    // Pension deduction matches the maximum SS benefit, less the SS the person receives
+    retirementExclusions: [{ appliesTo: ['pension', 'ira'], amount: 45864, reducedBySS: true }]
+  },
+  'MD': { name: 'Maryland', rate: 6.5, ss: 'exempt',
+    brackets: {
+      single:  [{ min: 0, max: 1000, rate: 2 }, { min: 1000, max: 2000, rate: 3 }, { min: 2000, max: 3000, rate: 4 }, { min: 3000, max: 100000, rate: 4.75 }, { min: 100000, max: 125000, rate: 5 }, { min: 125000, max: 150000, rate: 5.25 }, { min: 150000, max: 250000, rate: 5.5 }, { min: 250000, max: 500000, rate: 5.75 }, { min: 500000, max: 1000000, rate: 6.25 }, { min: 1000000, max: Infinity, rate: 6.5 }],
+      married: [{ min: 0, max: 1000, rate: 2 }, { min: 1000, max: 2000, rate: 3 }, { min: 2000, max: 3000, rate: 4 }, { min: 3000, max: 150000, rate: 4.75 }, { min: 150000, max: 175000, rate: 5 }, { min: 175000, max: 225000, rate: 5.25 }, { min: 225000, max: 300000, rate: 5.5 }, { min: 300000, max: 600000, rate: 5.75 }, { min: 600000, max: 1200000, rate: 6.25 }, { min: 1200000, max: Infinity, rate: 6.5 }]
+    },
+    deduction: { single: 6550, married: 13100 },
+    // Pension exclusion at 65+ covers employer plans but not IRAs, less SS received
+    retirementExclusions: [{ appliesTo: ['pension'], amount: 41200, minAge: 65, reducedBySS: true }],
+    localTaxes: {
+      county: { name: 'County tax (state average)', rate: 3.0 },
+      montgomery: { name: 'Montgomery County', rate: 3.2 },
+      princeGeorges: { name: "Prince George's County", rate: 3.2 },
+      baltimoreCity: { name: 'Baltimore City', rate: 3.2 },
+      worcester: { name: 'Worcester County', rate: 2.25 }
+    },
+    defaultLocalTax: 'county'
+  },
+  'MA': { name: 'Massachusetts', rate: 9.0, ss: 'exempt',
+    // 5% flat plus the 4% millionaires' surtax
+    brackets: {
+      single: [{ min: 0, max: 1083150, rate: 5 }, { min: 1083150, max: Infinity, rate: 9 }]
+    },
+    indexed: true,
+    deduction: { single: 4400, married: 8800 }
+  },
+  'MI': { name: 'Michigan', rate: 4.25, ss: 'exempt',
+    deduction: { single: 5800, married: 11600 },
+    // Retirement subtraction fully phased in for every birth year from 2026
+    retirementExclusions: [{ appliesTo: ['pension', 'ira'], amount: 65897 }]
+  },
+  'MN': { name: 'Minnesota', rate: 9.85,
+    brackets: {
+      single:  [{ min: 0, max: 32570, rate: 5.35 }, { min: 32570, max: 106990, rate: 6.8 }, { min: 106990, max: 198630, rate: 7.85 }, { min: 198630, max: Infinity, rate: 9.85 }],
+      married: [{ min: 0, max: 47620, rate: 5.35 }, { min: 47620, max: 189180, rate: 6.8 }, { min: 189180, max: 330410, rate: 7.85 }, { min: 330410, max: Infinity, rate: 9.85 }]
+    },
+    indexed: true,
+    deduction: { single: 14950, married: 29900 },
+    // Full SS subtraction under the AGI limit, reduced 10% per $4,000 over
+    ss: { limit: { single: 84490, married: 108320 }, phaseoutRange: 40000 }
+  },
+  'MS': { name: 'Mississippi', rate: 4.0, ss: 'exempt',
+    brackets: {
+      single: [{ min: 0, max: 10000, rate: 0 }, { min: 10000, max: Infinity, rate: 4.0 }]
+    },
+    deduction: { single: 8300, married: 16600 },
+    retirementExclusions: [{ appliesTo: ['pension', 'ira'], amount: Infinity, minAge: 59.5 }]
+  },
+  'MO': { name: 'Missouri', rate: 4.7, ss: 'exempt',
+    brackets: {
+      single: [{ min: 0, max: 1313, rate: 0 }, { min: 1313, max: 2626, rate: 2 }, { min: 2626, max: 3939, rate: 2.5 }, { min: 3939, max: 5252, rate: 3 }, { min: 5252, max: 6565, rate: 3.5 }, { min: 6565, max: 7878, rate: 4 }, { min: 7878, max: 9191, rate: 4.5 }, { min: 9191, max: Infinity, rate: 4.7 }]
+    },
+    indexed: true,
+    deduction: 'federal',
+    // Private pension exclusion only for lower-income households
+    retirementExclusions: [{ appliesTo: ['pension', 'ira'], amount: 6000, agiLimit: { single: 25000, married: 32000 } }],
+    // Individual capital gains are fully subtracted from 2025
+    capitalGainsExclusion: 1
+  },
+  'MT': { name: 'Montana', rate: 5.65, ss: 'federal',
+    brackets: {
+      single:  [{ min: 0, max: 47500, rate: 4.7 }, { min: 47500, max: Infinity, rate: 5.65 }],
+      married: [{ min: 0, max: 95000, rate: 4.7 }, { min: 95000, max: Infinity, rate: 5.65 }]
+    },
+    indexed: true,
+    deduction: 'federal',
+    retirementExclusions: [{ appliesTo: 'all', amount: 5500, minAge: 65 }]
+  },
+  'NE': { name: 'Nebraska', rate: 4.55, ss: 'exempt',
+    brackets: {
+      single:  [{ min: 0, max: 4130, rate: 2.46 }, { min: 4130, max: 24760, rate: 3.51 }, { min: 24760, max: Infinity, rate: 4.55 }],
+      married: [{ min: 0, max: 8250, rate: 2.46 }, { min: 8250, max: 49530, rate: 3.51 }, { min: 49530, max: Infinity, rate: 4.55 }]
+    },
+    indexed: true,
+    deduction: { single: 8600, married: 17200 }
+  },
+  'NV': { name: 'Nevada', ...NO_INCOME_TAX },
+  'NH': { name: 'New Hampshire', ...NO_INCOME_TAX },
+  'NJ': { name: 'New Jersey', rate: 10.75, ss: 'exempt',
+    brackets: {
+      single:  [{ min: 0, max: 20000, rate: 1.4 }, { min: 20000, max: 35000, rate: 1.75 }, { min: 35000, max: 40000, rate: 3.5 }, { min: 40000, max: 75000, rate: 5.525 }, { min: 75000, max: 500000, rate: 6.37 }, { min: 500000, max: 1000000, rate: 8.97 }, { min: 1000000, max: Infinity, rate: 10.75 }],
+      married: [{ min: 0, max: 20000, rate: 1.4 }, { min: 20000, max: 50000, rate: 1.75 }, { min: 50000, max: 70000, rate: 2.45 }, { min: 70000, max: 80000, rate: 3.5 }, { min: 80000, max: 150000, rate: 5.525 }, { min: 150000, max: 500000, rate: 6.37 }, { min: 500000, max: 1000000, rate: 8.97 }, { min: 1000000, max: Infinity, rate: 10.75 }]
+    },
+    deduction: { single: 1000, married: 2000 },
+    // Pension exclusion at 62+: full up to $100k of income, 50% to $125k, 25% to $150k
+    retirementExclusions: [{
+      appliesTo: ['pension', 'ira'], perHousehold: { single: 75000, married: 100000 }, minAge: 62,
+      agiTiers: [{ max: 100000, share: 1 }, { max: 125000, share: 0.5 }, { max: 150000, share: 0.25 }]
+    }]
+  },
+  'NM': { name: 'New Mexico', rate: 5.9, deduction: 'federal',
+    brackets: {
+      single:  [{ min: 0, max: 5500, rate: 1.5 }, { min: 5500, max: 16500, rate: 3.2 }, { min: 16500, max: 33500, rate: 4.3 }, { min: 33500, max: 66500, rate: 4.7 }, { min: 66500, max: 210000, rate: 4.9 }, { min: 210000, max: Infinity, rate: 5.9 }],
+      married: [{ min: 0, max: 8000, rate: 1.5 }, { min: 8000, max: 25000, rate: 3.2 }, { min: 25000, max: 50000, rate: 4.3 }, { min: 50000, max: 100000, rate: 4.7 }, { min: 100000, max: 315000, rate: 4.9 }, { min: 315000, max: Infinity, rate: 5.9 }]
+    },
+    ss: { limit: { single: 100000, married: 150000 } },
+    retirementExclusions: [{ appliesTo: 'all', amount: 8000, minAge: 65, agiLimit: { single: 28500, married: 51000 } }]
+  },
+  'NY': { name: 'New York', rate: 10.9, ss: 'exempt',
+    brackets: {
+      single:  [{ min: 0, max: 8500, rate: 4 }, { min: 8500, max: 11700, rate: 4.5 }, { min: 11700, max: 13900, rate: 5.25 }, { min: 13900, max: 80650, rate: 5.5 }, { min: 80650, max: 215400, rate: 6 }, { min: 215400, max: 1077550, rate: 6.85 }, { min: 1077550, max: 5000000, rate: 9.65 }, { min: 5000000, max: 25000000, rate: 10.3 }, { min: 25000000, max: Infinity, rate: 10.9 }],
+      married: [{ min: 0, max: 17150, rate: 4 }, { min: 17150, max: 23600, rate: 4.5 }, { min: 23600, max: 27900, rate: 5.25 }, { min: 27900, max: 161550, rate: 5.5 }, { min: 161550, max: 323200, rate: 6 }, { min: 323200, max: 2155350, rate: 6.85 }, { min: 2155350, max: 5000000, rate: 9.65 }, { min: 5000000, max: 25000000, rate: 10.3 }, { min: 25000000, max: Infinity, rate: 10.9 }]
+    },
+    deduction: { single: 8000, married: 16050 },
+    // $20,000 per person 59½+ of private pension and IRA income (government pensions are fully exempt)
+    retirementExclusions: [{ appliesTo: ['pension', 'ira'], amount: 20000, minAge: 59.5 }],
+    localTaxes: {
+      nyc: { name: 'New York City', brackets: {
+        single:  [{ min: 0, max: 12000, rate: 3.078 }, { min: 12000, max: 25000, rate: 3.762 }, { min: 25000, max: 50000, rate: 3.819 }, { min: 50000, max: Infinity, rate: 3.876 }],
+        married: [{ min: 0, max: 21600, rate: 3.078 }, { min: 21600, max: 45000, rate: 3.762 }, { min: 45000, max: 90000, rate: 3.819 }, { min: 90000, max: Infinity, rate: 3.876 }]
+      }},
+      yonkers: { name: 'Yonkers', stateTaxSurcharge: 16.75 }
+    }
+  },
+  'NC': { name: 'North Carolina', rate: 3.99, ss: 'exempt',
+    deduction: { single: 12750, married: 25500 }
+  },
+  'ND': { name: 'North Dakota', rate: 2.5, ss: 'exempt',
+    brackets: {
+      single:  [{ min: 0, max: 48475, rate: 0 }, { min: 48475, max: 244825, rate: 1.95 }, { min: 244825, max: Infinity, rate: 2.5 }],
+      married: [{ min: 0, max: 80975, rate: 0 }, { min: 80975, max: 298075, rate: 1.95 }, { min: 298075, max: Infinity, rate: 2.5 }]
+    },
+    indexed: true,
+    deduction: 'federal',
+    capitalGainsExclusion: 0.4
+  },
+  'OH': { name: 'Ohio', rate: 2.75, ss: 'exempt',
+    // Flat 2.75% from 2026, with the first $26,050 untaxed
+    brackets: {
+      single: [{ min: 0, max: 26050, rate: 0 }, { min: 26050, max: Infinity, rate: 2.75 }]
+    },
+    deduction: { single: 2400, married: 4800 }
+  },
+  'OK': { name: 'Oklahoma', rate: 4.5, ss: 'exempt',
+    brackets: {
+      single:  [{ min: 0, max: 3750, rate: 0 }, { min: 3750, max: 4900, rate: 2.5 }, { min: 4900, max: 7200, rate: 3.5 }, { min: 7200, max: Infinity, rate: 4.5 }],
+      married: [{ min: 0, max: 7500, rate: 0 }, { min: 7500, max: 9800, rate: 2.5 }, { min: 9800, max: 14400, rate: 3.5 }, { min: 14400, max: Infinity, rate: 4.5 }]
+    },
+    deduction: { single: 7350, married: 14700 },
+    retirementExclusions: [{ appliesTo: ['pension', 'ira'], amount: 10000 }]
+  },
+  'OR': { name: 'Oregon', rate: 9.9, ss: 'exempt',
+    brackets: {
+      single:  [{ min: 0, max: 4400, rate: 4.75 }, { min: 4400, max: 11050, rate: 6.75 }, { min: 11050, max: 125000, rate: 8.75 }, { min: 125000, max: Infinity, rate: 9.9 }],
+      married: [{ min: 0, max: 8800, rate: 4.75 }, { min: 8800, max: 22100, rate: 6.75 }, { min: 22100, max: 250000, rate: 8.75 }, { min: 250000, max: Infinity, rate: 9.9 }]
+    },
+    indexed: true,
+    deduction: { single: 2835, married: 5670 },
+    localTaxes: {
+      // Metro Supportive Housing Services (1%) plus Multnomah Preschool for All (1.5% / 3%)
+      portland: { name: 'Portland (Metro SHS + Multnomah PFA)', brackets: {
+        single:  [{ min: 0, max: 125000, rate: 0 }, { min: 125000, max: 250000, rate: 2.5 }, { min: 250000, max: Infinity, rate: 4.0 }],
+        married: [{ min: 0, max: 200000, rate: 0 }, { min: 200000, max: 400000, rate: 2.5 }, { min: 400000, max: Infinity, rate: 4.0 }]
+      }}
+    }
+  },
+  'PA': { name: 'Pennsylvania', rate: 3.07, ss: 'exempt',
+    deduction: { single: 0, married: 0 },
+    // Retirement distributions after 59½ are not PA income (local earned income taxes skip them too)
+    retirementExclusions: [{ appliesTo: ['pension', 'ira'], amount: Infinity, minAge: 59.5 }]
+  },
+  'RI': { name: 'Rhode Island', rate: 5.99,
+    brackets: {
+      single: [{ min: 0, max: 79900, rate: 3.75 }, { min: 79900, max: 181650, rate: 4.75 }, { min: 181650, max: Infinity, rate: 5.99 }]
+    },
+    indexed: true,
+    deduction: { single: 16000, married: 32000 },
+    // SS and $50,000 of pension/IRA income are exempt once at full retirement age under the AGI limit
+    ss: { limit: { single: 104200, married: 130250 }, minAge: 67 },
+    retirementExclusions: [{ appliesTo: ['pension', 'ira'], amount: 50000, minAge: 67, agiLimit: { single: 104200, married: 130250 } }]
+  },
+  'SC': { name: 'South Carolina', rate: 6.0, ss: 'exempt',
+    brackets: {
+      single: [{ min: 0, max: 3560, rate: 0 }, { min: 3560, max: 17830, rate: 3 }, { min: 17830, max: Infinity, rate: 6.0 }]
+    },
+    indexed: true,
+    deduction: 'federal',
+    // $3,000 retirement deduction under 65; at 65+ the retirement and age deductions together
+    // shelter $15,000 of any income
+    retirementExclusions: [
+      { appliesTo: ['pension', 'ira'], amount: 3000, maxAge: 64 },
+      { appliesTo: 'all', amount: 15000, minAge: 65 }
+    ],
+    capitalGainsExclusion: 0.44
+  },
+  'SD': { name: 'South Dakota', ...NO_INCOME_TAX },
+  'TN': { name: 'Tennessee', ...NO_INCOME_TAX },
+  'TX': { name: 'Texas', ...NO_INCOME_TAX },
+  'UT': { name: 'Utah', rate: 4.5,
+    // Taxpayer credit is roughly the federal standard deduction at the state rate
+    deduction: 'federal',
+    // SS credit: full under the AGI limit, then reduced 25 cents per dollar over
+    // (expressed in dollars of exempt benefits: 0.25 / 4.5%)
+    ss: { limit: { single: 45000, married: 75000 }, phaseoutRate: 0.25 / 0.045 }
+  },
+  'VT': { name: 'Vermont', rate: 8.75,
+    brackets: {
+      single:  [{ min: 0, max: 3825, rate: 0 }, { min: 3825, max: 53225, rate: 3.35 }, { min: 53225, max: 123525, rate: 6.6 }, { min: 123525, max: 253525, rate: 7.6 }, { min: 253525, max: Infinity, rate: 8.75 }],
+      married: [{ min: 0, max: 11475, rate: 0 }, { min: 11475, max: 93975, rate: 3.35 }, { min: 93975, max: 210925, rate: 6.6 }, { min: 210925, max: 315475, rate: 7.6 }, { min: 315475, max: Infinity, rate: 8.75 }]
+    },
+    indexed: true,
+    deduction: { single: 12500, married: 25050 },
+    ss: { limit: { single: 50000, married: 65000 }, phaseoutRange: 10000 }
+  },
+  'VA': { name: 'Virginia', rate: 5.75, ss: 'exempt',
+    brackets: {
+      single: [{ min: 0, max: 3000, rate: 2 }, { min: 3000, max: 5000, rate: 3 }, { min: 5000, max: 17000, rate: 5 }, { min: 17000, max: Infinity, rate: 5.75 }]
+    },
+    deduction: { single: 9430, married: 18860 },
+    // Age deduction at 65+, reduced dollar for dollar by AGI over the threshold
+    retirementExclusions: [{ appliesTo: 'all', amount: 12000, minAge: 65, phaseout: { start: { single: 50000, married: 75000 }, rate: 1 } }]
+  },
+  'WA': { name: 'Washington', rate: 0, ss: 'exempt',
+    // No wage income tax, but long-term gains over the standard deduction are taxed
+    capitalGainsTax: {
+      exemption: 278000,
+      brackets: [{ min: 0, max: 1000000, rate: 7 }, { min: 1000000, max: Infinity, rate: 9.9 }]
+    },
+    indexed: true
+  },
+  'WV': { name: 'West Virginia', rate: 4.82, ss: 'exempt',
+    brackets: {
+      single: [{ min: 0, max: 10000, rate: 2.22 }, { min: 10000, max: 25000, rate: 2.96 }, { min: 25000, max: 40000, rate: 3.33 }, { min: 40000, max: 60000, rate: 4.44 }, { min: 60000, max: Infinity, rate: 4.82 }]
+    },
+    deduction: { single: 2000, married: 4000 },
+    // SS fully exempt from 2026; $8,000 senior modification at 65+
+    retirementExclusions: [{ appliesTo: 'all', amount: 8000, minAge: 65 }]
+  },
+  'WI': { name: 'Wisconsin', rate: 7.65, ss: 'exempt',
+    brackets: {
+      single:  [{ min: 0, max: 14680, rate: 3.5 }, { min: 14680, max: 29370, rate: 4.4 }, { min: 29370, max: 323290, rate: 5.3 }, { min: 323290, max: Infinity, rate: 7.65 }],
+      married: [{ min: 0, max: 19580, rate: 3.5 }, { min: 19580, max: 39150, rate: 4.4 }, { min: 39150, max: 431060, rate: 5.3 }, { min: 431060, max: Infinity, rate: 7.65 }]
+    },
+    indexed: true,
+    deduction: { single: 13560, married: 25110 },
+    retirementExclusions: [{ appliesTo: ['pension', 'ira'], amount: 24000, minAge: 67 }],
+    capitalGainsExclusion: 0.3
+  },
+  'WY': { name: 'Wyoming', ...NO_INCOME_TAX }
+};
+
+// Community-property states: a married couple's jointly held property gets a full basis
+// step-up at the first death (IRC §1014(b)(6)) instead of the half step-up elsewhere
+export const COMMUNITY_PROPERTY_STATES = ['AZ', 'CA', 'ID', 'LA', 'NV', 'NM', 'TX', 'WA', 'WI'];
+
+// Pre-2005 federal state death tax credit table (IRC §2011(b)) restated on the taxable estate
+// (the statute's table starts after a $60,000 deduction). Massachusetts, Rhode Island and
+// Illinois still compute their estate tax from it; New York's upper brackets follow it.
+const STATE_DEATH_TAX_CREDIT_BRACKETS = [
+  { min: 100000, max: 150000, rate: 0.8 }, { min: 150000, max: 200000, rate: 1.6 },
+  { min: 200000, max: 300000, rate: 2.4 }, { min: 300000, max: 500000, rate: 3.2 },
+  { min: 500000, max: 700000, rate: 4.0 }, { min: 700000, max: 900000, rate: 4.8 },
+  { min: 900000, max: 1100000, rate: 5.6 }, { min: 1100000, max: 1600000, rate: 6.4 },
+  { min: 1600000, max: 2100000, rate: 7.2 }, { min: 2100000, max: 2600000, rate: 8.0 },
+  { min: 2600000, max: 3100000, rate: 8.8 }, { min: 3100000, max: 3600000, rate: 9.6 },
+  { min: 3600000, max: 4100000, rate: 10.4 }, { min: 4100000, max: 5100000, rate: 11.2 },
+  { min: 5100000, max: 6100000, rate: 12.0 }, { min: 6100000, max: 7100000, rate: 12.8 },
+  { min: 7100000, max: 8100000, rate: 13.6 }, { min: 8100000, max: 9100000, rate: 14.4 },
+  { min: 9100000, max: 10100000, rate: 15.2 }, { min: 10100000, max: Infinity, rate: 16.0 }
+];
+
+// State estate taxes (2025 exemptions and schedules; states without an entry — California
+// included — have none). brackets are graduated rates in %. By default they apply to the
+// estate above the exemption; basis 'estate' schedules tax the whole estate less a credit
+// of the tax on the exemption. 'federal' follows the federal exclusion; a cliff phases that
+// credit out between the exemption and that multiple of it (New York); maxTax caps the tax
+// (Connecticut).
+export const STATE_ESTATE_TAXES = {
+  'CT': { exemption: 'federal', brackets: [{ min: 0, max: Infinity, rate: 12 }], maxTax: 15000000 },
+  'DC': { exemption: 4873200,
+    brackets: [{ min: 0, max: 1000000, rate: 11.2 }, { min: 1000000, max: 2000000, rate: 12.0 }, { min: 2000000, max: 3000000, rate: 12.8 }, { min: 3000000, max: 4000000, rate: 13.6 }, { min: 4000000, max: 5000000, rate: 14.4 }, { min: 5000000, max: 6000000, rate: 15.2 }, { min: 6000000, max: Infinity, rate: 16.0 }]
+  },
+  'HI': { exemption: 5490000,
+    brackets: [{ min: 0, max: 1000000, rate: 10 }, { min: 1000000, max: 2000000, rate: 11 }, { min: 2000000, max: 3000000, rate: 12 }, { min: 3000000, max: 4000000, rate: 13 }, { min: 4000000, max: 5000000, rate: 14 }, { min: 5000000, max: 10000000, rate: 15 }, { min: 10000000, max: Infinity, rate: 20 }]
+  },
+  // Illinois' interrelated computation is approximated by the credit table less the tax on the exemption
+  'IL': { exemption: 4000000, basis: 'estate', brackets: STATE_DEATH_TAX_CREDIT_BRACKETS },
+  'ME': { exemption: 7000000,
+    brackets: [{ min: 0, max: 3000000, rate: 8 }, { min: 3000000, max: 6000000, rate: 10 }, { min: 6000000, max: Infinity, rate: 12 }]
+  },
+  'MD': { exemption: 5000000, brackets: [{ min: 0, max: Infinity, rate: 16 }] },
+  'MA': { exemption: 2000000, basis: 'estate', brackets: STATE_DEATH_TAX_CREDIT_BRACKETS },
+  'MN': { exemption: 3000000,
+    brackets: [{ min: 0, max: 4100000, rate: 13.0 }, { min: 4100000, max: 5100000, rate: 13.6 }, { min: 5100000, max: 6100000, rate: 14.4 }, { min: 6100000, max: 7100000, rate: 15.2 }, { min: 7100000, max: Infinity, rate: 16.0 }]
+  },
+  'NY': { exemption: 7160000, basis: 'estate', cliff: 1.05,
+    brackets: [
+      { min: 0, max: 500000, rate: 3.06 }, { min: 500000, max: 1000000, rate: 5.0 },
+      { min: 1000000, max: 1500000, rate: 5.5 }, { min: 1500000, max: 2100000, rate: 6.5 },
+      ...STATE_DEATH_TAX_CREDIT_BRACKETS.filter(b => b.min >= 2100000)
+    ]
+  },
+  'OR': { exemption: 1000000,
+    brackets: [{ min: 0, max: 500000, rate: 10 }, { min: 500000, max: 1500000, rate: 10.25 }, { min: 1500000, max: 2500000, rate: 10.5 }, { min: 2500000, max: 3500000, rate: 11 }, { min: 3500000, max: 4500000, rate: 11.5 }, { min: 4500000, max: 5500000, rate: 12 }, { min: 5500000, max: 6500000, rate: 13 }, { min: 6500000, max: 7500000, rate: 14 }, { min: 7500000, max: 8500000, rate: 15 }, { min: 8500000, max: Infinity, rate: 16 }]
+  },
+  'RI': { exemption: 1802431, basis: 'estate', brackets: STATE_DEATH_TAX_CREDIT_BRACKETS },
+  'VT': { exemption: 5000000, brackets: [{ min: 0, max: Infinity, rate: 16 }] },
+  'WA': { exemption: 3000000,
+    brackets: [{ min: 0, max: 1000000, rate: 10 }, { min: 1000000, max: 2000000, rate: 15 }, { min: 2000000, max: 3000000, rate: 17 }, { min: 3000000, max: 4000000, rate: 19 }, { min: 4000000, max: 6000000, rate: 23 }, { min: 6000000, max: 7000000, rate: 26 }, { min: 7000000, max: 9000000, rate: 30 }, { min: 9000000, max: Infinity, rate: 35 }]
+  }
+};
+
+/**
+ * Marginal state rate at a representative $150,000 of state taxable income — the single
+ * rate that flat-rate estimates (working-year taxes, heirs' withdrawals) use for the state
+ * @param {string} stateCode - State abbreviation
+ * @param {string} filingStatus - 'single' or 'married'
+ * @returns {number} Rate in percent (0 for unknown states)
+ */
+export const getStateRepresentativeRate = (stateCode, filingStatus = 'married') => {
+  const state = STATE_TAX_DATA[stateCode];
+  if (!state) return 0;
+  if (!state.brackets) return state.rate;
+  const brackets = state.brackets[filingStatus] || state.brackets.single;
+  return (brackets.find(b => 150000 < b.max) || brackets[brackets.length - 1]).rate;
+};
+
+/**
+ * Short Social Security label for tax footnotes
+ * @param {string} stateCode - State abbreviation
+ * @returns {string} 'SS exempt', 'taxes SS' or 'SS partly exempt'
+ */
+export const describeStateSSTreatment = (stateCode) => {
+  const ss = STATE_TAX_DATA[stateCode]?.ss || 'federal';
+  if (ss === 'exempt') return 'SS exempt';
+  return ss === 'federal' ? 'taxes SS' : 'SS partly exempt';
+};
+
+/**
+ * Plain-language summary of a state's retirement rules for the state picker
+ * @param {string} stateCode - State abbreviation
+ * @returns {string[]} One line per rule (empty for unknown states)
+ */
+export const describeStateTaxRules = (stateCode) => {
+  const state = STATE_TAX_DATA[stateCode];
+  if (!state) return [];
+  if (!state.rate && !state.capitalGainsTax) return ['No state income tax'];
+
+  const money = (n) => `$${Math.round(n / 1000)}k`;
+  const perStatus = (t) => (t.single === t.married ? money(t.single) : `${money(t.single)} single / ${money(t.married)} joint`);
+  const ageText = (rule) => {
+    if (rule.minAge != null && rule.maxAge != null) return ` at ${rule.minAge}–${rule.maxAge}`;
+    if (rule.minAge != null) return ` at ${rule.minAge}+`;
+    if (rule.maxAge != null) return ` under ${rule.maxAge + 1}`;
+    return '';
+  };
+  const lines = [];
+
+  const ss = state.ss || 'federal';
+  if (ss === 'exempt') lines.push('Social Security exempt');
+  else if (ss === 'federal') lines.push('Social Security taxed as on the federal return');
+  else {
+    const parts = [];
+    if (ss.exemptAge) parts.push(`exempt at ${ss.exemptAge}+`);
+    if (ss.limit) parts.push(`exempt with AGI up to ${perStatus(ss.limit)}${ss.minAge ? ` (age ${ss.minAge}+)` : ''}`);
+    lines.push(`Social Security partly taxed: ${parts.join('; ')}`);
+  }
+
+  const labels = { pension: 'pension', ira: 'IRA', ss: 'SS', investment: 'investment', capitalGains: 'gains', wages: 'wages', other: 'other' };
+  (state.retirementExclusions || []).forEach(rule => {
+    const what = rule.appliesTo === 'all' ? 'any income' : rule.appliesTo.map(c => labels[c]).join('/');
+    const amount = rule.perHousehold ? `${perStatus(rule.perHousehold)} per return`
+      : rule.amount === Infinity ? 'Full' : `${money(rule.amount)} per person`;
+    const limits = rule.agiLimit ? ` (AGI under ${perStatus(rule.agiLimit)})`
+      : rule.phaseout || rule.agiTiers ? ' (phases out with income)'
+      : rule.reducedBySS ? ' (less SS received)' : '';
+    lines.push(`${amount} ${what} exclusion${ageText(rule)}${limits}`);
+  });
+
+  if (state.capitalGainsExclusion) lines.push(`${Math.round(state.capitalGainsExclusion * 100)}% of long-term gains excluded`);
+  if (state.capitalGainsTax) lines.push(`Capital gains tax over ${money(state.capitalGainsTax.exemption)} of gains`);
+  return lines;
+};
@@ -0,0 +1,325 @@
+// Federal Tax-Law Registry
+// Every federal figure the engine taxes with — brackets, standard deduction, charitable
+// rules, NIIT, AMT, IRMAA, the ACA premium tax credit, estate tax, the SS earnings test and
+// the PIA formula — lives here, grouped into versions. A version is one edition of the
+// tables: the provisions in force for its base year plus the changes already scheduled by
+// statute (sunsets, phase-ins) keyed by the year they take effect. When new law passes or
+// the IRS publishes a new year's figures, add a new version rather than editing an old one,
+// so plans saved under the old version can still be recomputed exactly as they were
+// presented.
+//
+// Dollar figures are base-year (TAX_LAW_BASE_YEAR) values; the engine indexes them with
+// each year's cumulative inflation factor unless a provision is marked as not indexed.
+
+export const TAX_LAW_BASE_YEAR = 2026;
+
+// ============================================
+// 2026 PROVISIONS (IRS Rev. Proc. 2025-32, OBBBA July 2025, CMS 2026 premiums)
+// ============================================
+
+const PROVISIONS_2026 = {
+  // TCJA rates made permanent by OBBBA
+  federalBrackets: {
+    single: [
+      { min: 0, max: 12400, rate: 0.10 },
+      { min: 12400, max: 50400, rate: 0.12 },
+      { min: 50400, max: 105700, rate: 0.22 },
+      { min: 105700, max: 201775, rate: 0.24 },
+      { min: 201775, max: 256225, rate: 0.32 },
+      { min: 256225, max: 640600, rate: 0.35 },
+      { min: 640600, max: Infinity, rate: 0.37 }
+    ],
+    married: [
+      { min: 0, max: 24800, rate: 0.10 },
+      { min: 24800, max: 100800, rate: 0.12 },
+      { min: 100800, max: 211400, rate: 0.22 },
+      { min: 211400, max: 403550, rate: 0.24 },
+      { min: 403550, max: 512450, rate: 0.32 },
+      { min: 512450, max: 768700, rate: 0.35 },
+      { min: 768700, max: Infinity, rate: 0.37 }
+    ]
+  },
+
+  // Qualified dividend / LTCG brackets
+  qdivBrackets: {
+    single: [
+      { min: 0, max: 49450, rate: 0 },
+      { min: 49450, max: 545500, rate: 0.15 },
+      { min: 545500, max: Infinity, rate: 0.20 }
+    ],
+    married: [
+      { min: 0, max: 98900, rate: 0 },
+      { min: 98900, max: 613700, rate: 0.15 },
+      { min: 613700, max: Infinity, rate: 0.20 }
+    ]
+  },
+
+  // Standard deduction, plus the permanent additional deduction per person 65+
+  standardDeduction: { single: 16100, married: 32200 },
+  seniorBonus: { single: 2050, married: 1650 },
+
+  // OBBBA §70103 senior deduction: $6,000 per person 65+, reduced by 6% of MAGI over
+  // the threshold. Not indexed; scheduled to expire after 2028 (see schedule below).
+  enhancedSeniorDeduction: {
+    perPerson: 6000,
+    phaseoutStart: { single: 75000, married: 150000 },
+    phaseoutRate: 0.06
+  },
+
+  // Charitable giving. From 2026 (OBBBA) itemizers deduct gifts above 0.5% of AGI, capped
+  // at 60% of AGI for cash and 30% for appreciated property; non-itemizers deduct up to
+  // $1,000 / $2,000 of cash gifts (not indexed). QCDs from an IRA owner 70½+ are excluded
+  // from income up to the indexed per-owner limit and count toward the RMD.
+  charitable: {
+    agiFloor: 0.005,
+    cashAgiLimit: 0.60,
+    propertyAgiLimit: 0.30,
+    nonItemizerCash: { single: 1000, married: 2000 },
+    qcdLimit: 111000,
+    qcdMinAge: 70.5
+  },
+
+  // Net Investment Income Tax (IRC §1411). Thresholds are statutory and NOT indexed.
+  niit: {
+    rate: 0.038,
+    threshold: { single: 200000, married: 250000 }
+  },
+
+  // Alternative Minimum Tax (OBBBA resets the exemption phase-out thresholds to their
+  // 2018 levels and doubles the phase-out rate to 50%)
+  amt: {
+    exemption: { single: 90100, married: 140200 },
+    phaseoutStart: { single: 500000, married: 1000000 },
+    phaseoutRate: 0.50,
+    threshold28: 244500, // Same for single and joint filers
+    rates: { low: 0.26, high: 0.28 }
+  },
+
+  // Medicare IRMAA: MAGI from 2 years prior; Part B premium includes the base premium
+  irmaa: {
+    basePartB: 202.90,
+    brackets: {
+      single: [
+        { magiMax: 109000, partBMonthly: 202.90, partDSurchargeMonthly: 0 },
+        { magiMax: 137000, partBMonthly: 284.10, partDSurchargeMonthly: 14.50 },
+        { magiMax: 171000, partBMonthly: 405.80, partDSurchargeMonthly: 37.50 },
+        { magiMax: 205000, partBMonthly: 527.50, partDSurchargeMonthly: 60.40 },
+        { magiMax: 500000, partBMonthly: 649.20, partDSurchargeMonthly: 83.30 },
+        { magiMax: Infinity, partBMonthly: 689.90, partDSurchargeMonthly: 91.00 }
+      ],
+      married: [
+        { magiMax: 218000, partBMonthly: 202.90, partDSurchargeMonthly: 0 },
+        { magiMax: 274000, partBMonthly: 284.10, partDSurchargeMonthly: 14.50 },
+        { magiMax: 342000, partBMonthly: 405.80, partDSurchargeMonthly: 37.50 },
+        { magiMax: 410000, partBMonthly: 527.50, partDSurchargeMonthly: 60.40 },
+        { magiMax: 750000, partBMonthly: 649.20, partDSurchargeMonthly: 83.30 },
+        { magiMax: Infinity, partBMonthly: 689.90, partDSurchargeMonthly: 91.00 }
+      ]
+    }
+  },
+
+  // ACA premium tax credit (IRC §36B) for marketplace coverage before Medicare. The credit
+  // is the benchmark (second-lowest-cost silver) premium less an expected contribution: an
+  // applicable percentage of household MAGI that rises across each band of income as a
+  // multiple of the federal poverty line. The 2021–2025 enhanced credits have expired, so
+  // above 400% FPL there is no credit at all (the cliff). FPL is the prior year's HHS
+  // guideline for the 48 states; the applicable percentages are held at the 2026 table.
+  aca: {
+    fpl: { base: 15650, perPerson: 5500 },
+    applicablePercentages: [
+      { fplMax: 1.33, start: 0.0210, end: 0.0210 },
+      { fplMax: 1.50, start: 0.0314, end: 0.0419 },
+      { fplMax: 2.00, start: 0.0419, end: 0.0660 },
+      { fplMax: 2.50, start: 0.0660, end: 0.0844 },
+      { fplMax: 3.00, start: 0.0844, end: 0.0996 },
+      { fplMax: 4.00, start: 0.0996, end: 0.0996 }
+    ],
+    cliffFpl: 4.0
+  },
+
+  // Federal estate tax. OBBBA set the basic exclusion at $15M per person from 2026 (indexed
+  // after, no sunset). With the unified credit the tax is effectively the top 40% rate on
+  // the taxable estate above the exclusion. A surviving spouse's DSUE (the deceased spouse's
+  // unused exclusion, carried over by a portability election) is fixed at death, not indexed.
+  estateTax: {
+    exemption: 15000000,
+    rate: 0.40
+  },
+
+  // Social Security earnings test: annual exempt earnings and the share of the excess withheld
+  ssEarningsTest: {
+    exemptUnderFRA: 24480,     // $1 withheld per $2 over limit
+    exemptFRAYear: 65160,      // Year reaching FRA: $1 withheld per $3 over limit
+    reductionUnderFRA: 0.5,
+    reductionFRAYear: 1 / 3
+  },
+
+  // PIA formula used to estimate benefits from current income (2025 SSA figures)
+  piaFormula: {
+    year: 2025,
+    wageBase: 176100,
+    bendPoints: [1226, 7391],
+    factors: [0.90, 0.32, 0.15]
+  },
+
+  // Family maximum: the most payable each month on one worker's record (worker, spouse and
+  // children together) as a bend-point formula of the PIA (2025 SSA figures)
+  familyMaximum: {
+    year: 2025,
+    bendPoints: [1567, 2262, 2950],
+    factors: [1.50, 2.72, 1.34, 1.75]
+  },
+
+  // Windfall Elimination Provision and Government Pension Offset for pensions from work not
+  // covered by Social Security. Repealed by the Social Security Fairness Act (signed January
+  // 2025) for benefits payable after December 2023; see WEP_GPO_RULES for the old rules.
+  wepGpo: null
+};
+
+// ============================================
+// VERSIONS
+// ============================================
+
+export const TAX_LAW_VERSIONS = {
+  '2026.1': {
+    label: '2026 tables (OBBBA)',
+    adopted: '2025-10-09',
+    baseYear: TAX_LAW_BASE_YEAR,
+    provisions: PROVISIONS_2026,
+    // Scheduled changes by the first year they apply. A provision set to null is repealed.
+    schedule: {
+      2029: { enhancedSeniorDeduction: null }
+    },
+    scheduleNotes: ['$6,000 OBBBA senior deduction expires after 2028']
+  }
+};
+
+export const CURRENT_TAX_LAW_VERSION = '2026.1';
+
+// Ordinary rates before TCJA (2017 law), applied to the current bracket thresholds
+const PRE_TCJA_RATES = [0.10, 0.15, 0.25, 0.28, 0.33, 0.35, 0.396];
+
+// ARPA / IRA enhanced premium tax credit schedule (2021–2025): no credit cliff, and no
+// household pays more than 8.5% of MAGI for the benchmark plan
+const ENHANCED_ACA_PERCENTAGES = [
+  { fplMax: 1.50, start: 0, end: 0 },
+  { fplMax: 2.00, start: 0, end: 0.02 },
+  { fplMax: 2.50, start: 0.02, end: 0.04 },
+  { fplMax: 3.00, start: 0.04, end: 0.06 },
+  { fplMax: 4.00, start: 0.06, end: 0.085 },
+  { fplMax: Infinity, start: 0.085, end: 0.085 }
+];
+
+// WEP / GPO as they stood before the Social Security Fairness Act. WEP cut the first PIA
+// factor from 90% to as little as 40% (20 or fewer years of substantial covered earnings),
+// stepping back 5 points a year up to 90% at 30 years, capped at half the non-covered
+// pension. GPO offset spousal and survivor benefits by two-thirds of that pension.
+export const WEP_GPO_RULES = {
+  wepMinFactor: 0.40,
+  wepMinFactorYears: 20,
+  wepFactorPerYear: 0.05,
+  wepPensionCap: 0.5,
+  gpoPensionShare: 2 / 3
+};
+
+// Advisor what-if presets for the ordinary rate schedule
+export const TAX_RATE_PRESETS = {
+  '': { label: 'Current rates' },
+  preTCJA: { label: 'Pre-2018 rates (10%–39.6%)' }
+};
+
+/**
+ * Apply an advisor "what if" override to a year's law. Overrides only touch the rate
+ * schedules, deductions, ACA credit schedule, estate exemption and WEP/GPO; thresholds stay
+ * on the version's indexed values.
+ * @param {object} law - Resolved provisions for the year
+ * @param {object} override - { ratePreset, ordinaryRateDelta, qdivRateDelta (percentage
+ *   points), deductionChangePercent, extendSeniorDeduction, enhancedAcaCredits,
+ *   estateExemption (base-year dollars; blank = unchanged), reinstateWepGpo }
+ * @param {object} version - Version the law came from (for extending repealed provisions)
+ * @returns {object} New provisions object
+ */
+const applyTaxLawOverride = (law, override, version) => {
+  const ordinaryDelta = (Number(override.ordinaryRateDelta) || 0) / 100;
+  const qdivDelta = (Number(override.qdivRateDelta) || 0) / 100;
+  const deductionScale = 1 + (Number(override.deductionChangePercent) || 0) / 100;
+  const clampRate = (rate) => Math.min(0.99, Math.max(0, rate));
+  const estateExemption = override.estateExemption === '' || override.estateExemption == null
+    ? null : Number(override.estateExemption);
+
+  const mapStatuses = (table, fn) => Object.fromEntries(Object.entries(table).map(([status, v]) => [status, fn(v)]));
+
+  const federalBrackets = mapStatuses(law.federalBrackets, brackets => brackets.map((b, i) => {
+    const base = override.ratePreset === 'preTCJA' ? (PRE_TCJA_RATES[i] ?? b.rate) : b.rate;
+    return { ...b, rate: clampRate(base + ordinaryDelta) };
+  }));
+  // The 0% tier stays at 0%; rate rises apply to the 15% and 20% tiers
+  const qdivBrackets = mapStatuses(law.qdivBrackets, brackets => brackets.map(b => (
+    b.rate > 0 ? { ...b, rate: clampRate(b.rate + qdivDelta) } : b
+  )));
+
+  return {
+    ...law,
+    federalBrackets,
+    qdivBrackets,
+    standardDeduction: mapStatuses(law.standardDeduction, d => d * deductionScale),
+    enhancedSeniorDeduction: override.extendSeniorDeduction
+      ? (law.enhancedSeniorDeduction || version.provisions.enhancedSeniorDeduction)
+      : law.enhancedSeniorDeduction,
+    aca: override.enhancedAcaCredits && law.aca
+      ? { ...law.aca, applicablePercentages: ENHANCED_ACA_PERCENTAGES, cliffFpl: null }
+      : law.aca,
+    estateTax: Number.isFinite(estateExemption) && law.estateTax
+      ? { ...law.estateTax, exemption: Math.max(0, estateExemption) }
+      : law.estateTax,
+    wepGpo: override.reinstateWepGpo ? WEP_GPO_RULES : law.wepGpo
+  };
+};
+
+// Is an override in force in the given year? (endYear blank = through the end of the plan)
+export const isTaxLawOverrideActive = (override, year) => {
+  const start = Number(override?.startYear);
+  if (!Number.isFinite(start) || year < start) return false;
+  const end = Number(override.endYear);
+  return !override.endYear || !Number.isFinite(end) || year <= end;
+};
+
+const lawCache = new Map();
+const overrideLawCache = new WeakMap();
+
+/**
+ * Federal tax law in effect for a calendar year: the version's base provisions with every
+ * scheduled change up to that year applied, then any advisor overrides active that year.
+ * Results are cached per version/year (and per overrides array), so the engine can call
+ * this once per simulated year.
+ * @param {number} year - Calendar year
+ * @param {object} options
+ * @param {string} options.version - Registry version (defaults to CURRENT_TAX_LAW_VERSION)
+ * @param {Array} options.overrides - Advisor what-if overrides
+ * @returns {object} Provisions (see PROVISIONS_2026 for the shape) plus version and year
+ */
+export const getTaxLaw = (year, { version, overrides } = {}) => {
+  const versionId = TAX_LAW_VERSIONS[version] ? version : CURRENT_TAX_LAW_VERSION;
+  const key = `${versionId}|${year}`;
+  const active = Array.isArray(overrides) ? overrides.filter(o => isTaxLawOverrideActive(o, year)) : [];
+
+  let cache = lawCache;
+  if (active.length > 0) {
+    if (!overrideLawCache.has(overrides)) overrideLawCache.set(overrides, new Map());
+    cache = overrideLawCache.get(overrides);
+  }
+  if (cache.has(key)) return cache.get(key);
+
+  const entry = TAX_LAW_VERSIONS[versionId];
+  let law = { ...entry.provisions };
+  Object.keys(entry.schedule)
+    .map(Number)
+    .filter(changeYear => changeYear <= year)
+    .sort((a, b) => a - b)
+    .forEach(changeYear => { law = { ...law, ...entry.schedule[changeYear] }; });
+  active.forEach(override => { law = applyTaxLawOverride(law, override, entry); });
+
+  const resolved = { ...law, version: versionId, year, overridden: active.length > 0 };
+  cache.set(key, resolved);
+  return resolved;
+};
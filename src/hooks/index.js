@@ -2,3 +2,4 @@ export { useAuth } from './useAuth';
 export { useScenarios } from './useScenarios';
 export { useAdvisors } from './useAdvisors';
 export { useCommandCenter } from './useCommandCenter';
+export { useSimulationTask } from './useSimulationTask';
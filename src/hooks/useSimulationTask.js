@@ -0,0 +1,49 @@
+import { useState, useEffect } from 'react';
+import { runPooledSimulation, cancelSimulationTask, SimulationCancelledError } from '../utils/simulationPool';
+
+/**
+ * Run a simulation task on the worker pool whenever its payload changes.
+ * A new payload cancels the channel's in-flight run; the previous result stays
+ * visible (isRunning=true) until the new one lands so charts don't flash empty.
+ * Pass a null payload to skip the task and clear the result.
+ * @param {string} channel - Pool channel (one live task per channel)
+ * @param {string} type - Task type (see utils/simulationTasks)
+ * @param {object|null} payload - Memoized plain-data payload
+ * @returns {{ result: *, progress: number, isRunning: boolean }}
+ */
+export const useSimulationTask = (channel, type, payload) => {
+  // Both are tagged with the payload they belong to, so running/idle is derived
+  // from the current payload rather than set from inside the effect
+  const [completed, setCompleted] = useState({ payload: null, result: null });
+  const [progress, setProgress] = useState({ payload: null, value: 0 });
+
+  useEffect(() => {
+    if (!payload) return;
+
+    let active = true;
+    runPooledSimulation(channel, type, payload, (value) => {
+      if (active) setProgress({ payload, value });
+    })
+      .then(result => {
+        if (active) setCompleted({ payload, result });
+      })
+      .catch(error => {
+        if (!active || error instanceof SimulationCancelledError) return;
+        console.error(`Simulation task "${channel}" failed:`, error);
+        setCompleted({ payload, result: null });
+      });
+
+    return () => {
+      active = false;
+      cancelSimulationTask(channel);
+    };
+  }, [channel, type, payload]);
+
+  if (!payload) return { result: null, progress: 0, isRunning: false };
+  const isRunning = completed.payload !== payload;
+  return {
+    result: completed.result,
+    progress: isRunning ? (progress.payload === payload ? progress.value : 0) : 1,
+    isRunning
+  };
+};
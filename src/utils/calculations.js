@@ -2,6 +2,13 @@
  * Financial calculation utilities for portfolio planning
  */
 
+import {
+  HISTORICAL_RETURNS, HISTORICAL_FIRST_YEAR, HISTORICAL_LAST_YEAR, HISTORICAL_MEAN_RETURNS,
+  getBucketReturn, getBenchmarkReturn, getHistoricalInflation
+} from '../constants/historicalReturns';
+import { TAX_LAW_BASE_YEAR, TAX_LAW_VERSIONS, CURRENT_TAX_LAW_VERSION, getTaxLaw } from '../constants/taxLaw';
+import { STATE_TAX_DATA, COMMUNITY_PROPERTY_STATES, STATE_ESTATE_TAXES, getStateRepresentativeRate } from '../constants/stateTaxes';
+
 // Full Retirement Age for Social Security
 const FULL_RETIREMENT_AGE = 67;
 const EARLY_REDUCTION_RATE_FIRST_3_YEARS = 0.0667;
@@ -14,11 +21,94 @@ const DELAYED_CREDIT_RATE = 0.08;
 const SPOUSAL_REDUCTION_RATE_FIRST_3_YEARS = 25 / 36 / 100 * 12; // 0.08333 per year
 const SPOUSAL_REDUCTION_RATE_AFTER_3_YEARS = 0.05;
 
-// Social Security Earnings Test (2026 base thresholds, indexed for inflation)
-const SS_EARNINGS_EXEMPT_UNDER_FRA = 24480;    // Annual exempt earnings before FRA year (2026)
-const SS_EARNINGS_EXEMPT_FRA_YEAR = 65160;     // Annual exempt earnings in year reaching FRA (2026)
-const SS_EARNINGS_REDUCTION_UNDER_FRA = 0.5;   // $1 withheld per $2 over limit
-const SS_EARNINGS_REDUCTION_FRA_YEAR = 1 / 3;  // $1 withheld per $3 over limit
+// Survivor benefits: payable from 60, reduced up to 28.5% when started before the
+// survivor's FRA
+export const SURVIVOR_MIN_AGE = 60;
+export const SURVIVOR_MAX_REDUCTION = 0.285;
+
+// Federal law for the registry's base year. Tax helpers, the SS earnings test and the PIA
+// estimate fall back to it when the caller doesn't pass a specific year's law.
+const BASE_TAX_LAW = getTaxLaw(TAX_LAW_BASE_YEAR);
+
+// ============================================
+// RANDOM NUMBER SOURCE
+// ============================================
+
+// Uniform [0, 1) source behind every Monte Carlo draw (randn_bm here and the
+// rebalancing engine). Defaults to Math.random; Monte Carlo runs swap in a seeded
+// generator via withSeededRandom so a saved plan replays the exact same iterations.
+let uniformSource = Math.random;
+
+/**
+ * Create a deterministic uniform [0, 1) generator (mulberry32).
+ * Same seed → same sequence, across browsers and Node.
+ * @param {number} seed - Any finite number; truncated to an unsigned 32-bit integer
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+  let state = (Number(seed) >>> 0) || 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Derive a stable 32-bit seed from a string (FNV-1a). Used to give plans saved
+ * before seeding existed a reproducible seed instead of a fresh random one.
+ * @param {string} text
+ * @returns {number} Unsigned 32-bit seed
+ */
+export const seedFromString = (text) => {
+  let hash = 0x811C9DC5;
+  const str = String(text ?? '');
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Generate a new random seed for a plan (not itself reproducible — call once and store it)
+ * @returns {number} Unsigned 32-bit seed
+ */
+export const generateSeed = () => Math.floor(Math.random() * 4294967296) >>> 0;
+
+/**
+ * Replace the uniform source used by randn_bm. Pass null to restore Math.random.
+ * @param {function(): number|null} source - Uniform [0, 1) generator
+ */
+export const setRandomSource = (source) => {
+  uniformSource = typeof source === 'function' ? source : Math.random;
+};
+
+/**
+ * Run fn with a seeded uniform source installed, restoring the previous source afterwards.
+ * A null/undefined seed leaves the current source in place (unseeded run).
+ * @param {number|null} seed - Seed for createSeededRandom
+ * @param {function} fn - Work to run under the seeded source
+ * @returns {*} Whatever fn returns
+ */
+export const withSeededRandom = (seed, fn) => {
+  if (seed === null || seed === undefined || !Number.isFinite(Number(seed))) return fn();
+  const previous = uniformSource;
+  uniformSource = createSeededRandom(seed);
+  try {
+    return fn();
+  } finally {
+    uniformSource = previous;
+  }
+};
+
+/**
+ * Draw a uniform [0, 1) number from the active source
+ * @returns {number}
+ */
+export const randomUniform = () => uniformSource();
 
 /**
  * Generate random number using Box-Muller transform for Monte Carlo simulations
@@ -26,11 +116,246 @@ const SS_EARNINGS_REDUCTION_FRA_YEAR = 1 / 3;  // $1 withheld per $3 over limit
  */
 export const randn_bm = () => {
   let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
+  while (u === 0) u = uniformSource();
+  while (v === 0) v = uniformSource();
   return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
 };
 
+// ============================================
+// PROGRESS REPORTING
+// ============================================
+
+// Optional callback receiving fractional progress (0-1) from long-running simulations
+// and optimizers. The simulation worker installs one via withProgressReporter and
+// forwards it to the UI; on the main thread it stays null and reporting is a no-op.
+let progressReporter = null;
+
+/**
+ * Run fn with a progress callback installed, restoring the previous one afterwards
+ * @param {function(number)|null} reporter - Receives progress as a fraction 0-1
+ * @param {function} fn - Work to run
+ * @returns {*} Whatever fn returns
+ */
+export const withProgressReporter = (reporter, fn) => {
+  const previous = progressReporter;
+  progressReporter = typeof reporter === 'function' ? reporter : null;
+  try {
+    return fn();
+  } finally {
+    progressReporter = previous;
+  }
+};
+
+const reportProgress = (fraction) => {
+  if (progressReporter) progressReporter(Math.min(1, Math.max(0, fraction)));
+};
+
+// Run fn with its own 0-1 progress mapped onto [start, end] of the active reporter,
+// so nested simulations (optimizer scoring runs) report as one continuous bar.
+const withProgressSpan = (start, end, fn) => {
+  if (!progressReporter) return fn();
+  const outer = progressReporter;
+  return withProgressReporter((fraction) => outer(start + (end - start) * fraction), fn);
+};
+
+// Monte Carlo iteration count: inputs.monteCarloIterations, clamped to what the
+// worker pool handles comfortably. 1,000 matches plans saved before it was configurable.
+const DEFAULT_MC_ITERATIONS = 1000;
+export const MIN_MC_ITERATIONS = 100;
+export const MAX_MC_ITERATIONS = 10000;
+
+/**
+ * Resolve the Monte Carlo iteration count for a set of inputs
+ * @param {object} inputs - Portfolio inputs (reads monteCarloIterations)
+ * @returns {number} Iterations between MIN_MC_ITERATIONS and MAX_MC_ITERATIONS
+ */
+export const getMonteCarloIterations = (inputs) => {
+  const requested = Math.round(Number(inputs?.monteCarloIterations));
+  if (!Number.isFinite(requested) || requested <= 0) return DEFAULT_MC_ITERATIONS;
+  return Math.min(MAX_MC_ITERATIONS, Math.max(MIN_MC_ITERATIONS, requested));
+};
+
+// ============================================
+// CORRELATED RETURN GENERATION
+// ============================================
+
+// Order of rows/columns in the return correlation matrix: the five buckets plus the
+// passive 60/40 benchmark. Drawing all six from one multivariate normal keeps a bad
+// equity year bad across B3–B5 and the benchmark simultaneously, instead of letting
+// independent draws diversify the tail away.
+export const RETURN_CORRELATION_KEYS = ['b1', 'b2', 'b3', 'b4', 'b5', 'benchmark'];
+
+// Default pairwise correlations. B1 is market-neutral (near-zero equity beta), B2 is
+// bond-heavy, B3–B5 are progressively more equity-driven; the 60/40 benchmark tracks
+// the equity buckets closely and the bond bucket moderately.
+export const DEFAULT_RETURN_CORRELATIONS = [
+  //  b1    b2    b3    b4    b5   bench
+  [1.00, 0.30, 0.20, 0.15, 0.10, 0.20], // b1
+  [0.30, 1.00, 0.50, 0.45, 0.35, 0.60], // b2
+  [0.20, 0.50, 1.00, 0.80, 0.85, 0.90], // b3
+  [0.15, 0.45, 0.80, 1.00, 0.85, 0.85], // b4
+  [0.10, 0.35, 0.85, 0.85, 1.00, 0.90], // b5
+  [0.20, 0.60, 0.90, 0.85, 0.90, 1.00], // benchmark
+];
+
+/**
+ * Cholesky decomposition of a symmetric matrix (A = L·Lᵀ)
+ * @param {number[][]} matrix - Symmetric square matrix
+ * @returns {number[][]|null} Lower-triangular factor, or null if not positive definite
+ */
+export const choleskyDecompose = (matrix) => {
+  const n = matrix.length;
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (sum <= 1e-10) return null;
+        L[i][i] = Math.sqrt(sum);
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+  return L;
+};
+
+/**
+ * Build a usable Cholesky factor from an advisor-edited correlation matrix.
+ * Symmetrizes the input (upper triangle wins), clamps entries to [-1, 1] and forces a
+ * unit diagonal. Hand-entered matrices are often not positive definite; when that
+ * happens the off-diagonals are shrunk toward zero in 5% steps until the factorization
+ * succeeds, so an inconsistent edit degrades toward independence rather than failing.
+ * @param {number[][]} [correlations] - 6×6 matrix ordered as RETURN_CORRELATION_KEYS
+ * @returns {number[][]} Lower-triangular Cholesky factor
+ */
+export const getCorrelationCholesky = (correlations) => {
+  const n = RETURN_CORRELATION_KEYS.length;
+  const source = Array.isArray(correlations) && correlations.length === n ? correlations : DEFAULT_RETURN_CORRELATIONS;
+  const base = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => {
+    if (i === j) return 1;
+    const raw = i < j ? source[i]?.[j] : source[j]?.[i];
+    const val = Number(raw);
+    return Number.isFinite(val) ? Math.max(-1, Math.min(1, val)) : 0;
+  }));
+  for (let shrink = 1; shrink >= 0; shrink -= 0.05) {
+    const scaled = base.map((row, i) => row.map((v, j) => (i === j ? 1 : v * shrink)));
+    const L = choleskyDecompose(scaled);
+    if (L) return L;
+  }
+  // Unreachable in practice (shrink = 0 is the identity), kept as a safe fallback
+  return base.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+};
+
+/**
+ * Draw one vector of correlated standard normals: z = L·e, e ~ N(0, I)
+ * @param {number[][]} L - Lower-triangular Cholesky factor
+ * @returns {number[]} Correlated standard normal draws (same order as L)
+ */
+export const drawCorrelatedNormals = (L) => {
+  const n = L.length;
+  const e = new Array(n);
+  for (let i = 0; i < n; i++) e[i] = randn_bm();
+  const z = new Array(n).fill(0);
+  for (let i = 0; i < n; i++) {
+    for (let k = 0; k <= i; k++) z[i] += L[i][k] * e[k];
+  }
+  return z;
+};
+
+// ============================================
+// HISTORICAL BOOTSTRAP SAMPLING
+// ============================================
+
+// Bootstrap block length (years) for plans that don't set inputs.bootstrapBlockLength
+export const DEFAULT_BOOTSTRAP_BLOCK_LENGTH = 5;
+
+/**
+ * Resample a sequence of historical calendar years (circular block bootstrap).
+ * Each block starts at a random year and runs blockLength consecutive years, wrapping
+ * from the last year back to the first, so multi-year runs (1929–32, 1973–74,
+ * 2000–02) keep their clustering. blockLength 1 is the plain year-by-year bootstrap.
+ * @param {number} years - Length of the sequence to build
+ * @param {number} blockLength - Consecutive years per block (1 = independent years)
+ * @returns {number[]} Calendar years, one per simulated year
+ */
+export const sampleBootstrapYears = (years, blockLength = 1) => {
+  const span = HISTORICAL_LAST_YEAR - HISTORICAL_FIRST_YEAR + 1;
+  const block = Math.max(1, Math.min(span, Math.round(blockLength) || 1));
+  const sequence = [];
+  while (sequence.length < years) {
+    const offset = Math.floor(randomUniform() * span);
+    for (let k = 0; k < block && sequence.length < years; k++) {
+      sequence.push(HISTORICAL_FIRST_YEAR + ((offset + k) % span));
+    }
+  }
+  return sequence;
+};
+
+/**
+ * Bucket and benchmark returns for one resampled historical year (decimals).
+ * With meanAdjust, each series keeps that year's deviation from its full-history mean
+ * but is re-centered on the advisor's assumed return, so bootstrap and normal Monte
+ * Carlo differ only in distribution shape — not in expected return.
+ * @param {number} year - Historical calendar year
+ * @param {object} assumptions - Bucket return assumptions (percent)
+ * @param {number} benchmarkMean - Assumed benchmark return (decimal)
+ * @param {boolean} meanAdjust - Re-center on assumptions (default true)
+ * @returns {{b1: number, b2: number, b3: number, b4: number, b5: number, benchmark: number}}
+ */
+export const getBootstrapReturns = (year, assumptions, benchmarkMean, meanAdjust = true) => {
+  const out = {};
+  ['b1', 'b2', 'b3', 'b4', 'b5'].forEach(bk => {
+    const raw = getBucketReturn(bk, year);
+    out[bk] = meanAdjust
+      ? (assumptions?.[bk]?.return ?? 0) / 100 + (raw - HISTORICAL_MEAN_RETURNS[bk])
+      : raw;
+  });
+  const rawBench = getBenchmarkReturn(year);
+  out.benchmark = meanAdjust ? benchmarkMean + (rawBench - HISTORICAL_MEAN_RETURNS.benchmark) : rawBench;
+  return out;
+};
+
+// ============================================
+// STOCHASTIC INFLATION
+// ============================================
+
+// Year-over-year persistence of inflation surprises (AR(1) coefficient). US CPI
+// 1926–2024 has a lag-1 autocorrelation of about 0.63: hot years cluster.
+const INFLATION_PERSISTENCE = 0.6;
+
+/**
+ * Draw one year of a Monte Carlo inflation path: an AR(1) deviation around the
+ * assumed rate whose shock is correlated with that year's bond (B2) return shock.
+ * The shock is scaled so the long-run standard deviation equals volatility.
+ * @param {number} prevDeviation - Last year's inflation minus the assumed rate (decimal)
+ * @param {number} bondZ - Standard-normal draw behind this year's B2 return
+ * @param {number} volatility - Long-run std dev of annual inflation (decimal)
+ * @param {number} bondCorrelation - Correlation of the inflation shock with bondZ (-1 to 1)
+ * @returns {number} This year's deviation from the assumed rate (decimal)
+ */
+const drawInflationDeviation = (prevDeviation, bondZ, volatility, bondCorrelation) => {
+  const rho = Math.max(-1, Math.min(1, bondCorrelation || 0));
+  const z = rho * bondZ + Math.sqrt(1 - rho * rho) * randn_bm();
+  const shockStdDev = volatility * Math.sqrt(1 - INFLATION_PERSISTENCE * INFLATION_PERSISTENCE);
+  return INFLATION_PERSISTENCE * prevDeviation + shockStdDev * z;
+};
+
+/**
+ * CPI inflation for one resampled historical year (decimal). With meanAdjust the year's
+ * deviation from the full-history mean is re-centered on the assumed rate, mirroring
+ * getBootstrapReturns.
+ * @param {number} year - Historical calendar year
+ * @param {number} assumedRate - Assumed annual inflation (decimal)
+ * @param {boolean} meanAdjust - Re-center on the assumed rate (default true)
+ * @returns {number} Annual inflation (decimal)
+ */
+const getBootstrapInflation = (year, assumedRate, meanAdjust = true) => {
+  const raw = getHistoricalInflation(year);
+  return meanAdjust ? assumedRate + (raw - HISTORICAL_MEAN_RETURNS.inflation) : raw;
+};
+
 /**
  * Calculate adjusted Social Security benefit based on claiming age
  * @param {number} pia - Primary Insurance Amount (benefit at full retirement age)
@@ -72,20 +397,22 @@ export const getImpliedPIA = (currentBenefit, startAge) => {
  * @param {number} earnedIncome - Annual earned income (wages/self-employment)
  * @param {number} currentAge - Beneficiary's age (integer, start of year)
  * @param {number} inflationFactor - Cumulative inflation factor from simulation start (default 1)
+ * @param {object} law - Tax law for the year (getTaxLaw); defaults to the base-year law
  * @returns {number} Adjusted annual benefit after earnings test reduction
  */
-export const applySSEarningsTest = (annualBenefit, earnedIncome, currentAge, inflationFactor = 1) => {
+export const applySSEarningsTest = (annualBenefit, earnedIncome, currentAge, inflationFactor = 1, law = BASE_TAX_LAW) => {
   if (annualBenefit <= 0 || earnedIncome <= 0 || currentAge >= FULL_RETIREMENT_AGE) return annualBenefit;
 
+  const test = law.ssEarningsTest;
   let exempt, reductionRate;
   if (currentAge === FULL_RETIREMENT_AGE - 1) {
     // Year of reaching FRA — higher threshold, lower reduction
-    exempt = SS_EARNINGS_EXEMPT_FRA_YEAR * inflationFactor;
-    reductionRate = SS_EARNINGS_REDUCTION_FRA_YEAR;
+    exempt = test.exemptFRAYear * inflationFactor;
+    reductionRate = test.reductionFRAYear;
   } else {
     // Under FRA
-    exempt = SS_EARNINGS_EXEMPT_UNDER_FRA * inflationFactor;
-    reductionRate = SS_EARNINGS_REDUCTION_UNDER_FRA;
+    exempt = test.exemptUnderFRA * inflationFactor;
+    reductionRate = test.reductionUnderFRA;
   }
 
   const excessEarnings = Math.max(0, earnedIncome - exempt);
@@ -111,9 +438,11 @@ export const applySSEarningsTest = (annualBenefit, earnedIncome, currentAge, inf
  * @param {boolean} spouseHasFiled - Whether the spouse has started receiving SS benefits
  * @param {number} claimantStartAge - Age the claimant files (used to reduce spousal excess for early claiming)
  * @param {number} claimantPIA - Claimant's own PIA at FRA (unreduced, for computing spousal excess)
+ * @param {number} spousalEntitlementAge - Age the spousal excess starts (defaults to claimantStartAge)
+ * @param {number} spousalOffset - Government Pension Offset against the spousal benefit (monthly)
  * @returns {number} Monthly benefit after deemed filing (own reduced + reduced spousal excess)
  */
-export const applyDeemedFiling = (ownMonthlyBenefit, spousePIA, spouseHasFiled, claimantStartAge = FULL_RETIREMENT_AGE, claimantPIA = 0, spousalEntitlementAge = null) => {
+export const applyDeemedFiling = (ownMonthlyBenefit, spousePIA, spouseHasFiled, claimantStartAge = FULL_RETIREMENT_AGE, claimantPIA = 0, spousalEntitlementAge = null, spousalOffset = 0) => {
   if (!spouseHasFiled || !spousePIA) return ownMonthlyBenefit;
 
   // Spousal excess: difference between 50% of spouse's PIA and claimant's own PIA (unreduced)
@@ -137,111 +466,846 @@ export const applyDeemedFiling = (ownMonthlyBenefit, spousePIA, spouseHasFiled,
     reducedExcess *= (1 - spousalReduction);
   }
 
-  // Total = own reduced benefit + reduced spousal excess
-  return ownMonthlyBenefit + reducedExcess;
+  // Total = own reduced benefit + reduced spousal excess (less any GPO, never below zero)
+  return ownMonthlyBenefit + Math.max(0, reducedExcess - spousalOffset);
+};
+
+/**
+ * Survivor benefit with dual entitlement: the survivor keeps their own benefit and is paid
+ * the excess of the deceased's benefit over it, after any Government Pension Offset.
+ * @param {number} ownMonthlyBenefit - Survivor's own monthly benefit
+ * @param {number} deceasedMonthlyBenefit - Deceased spouse's monthly benefit
+ * @param {number} survivorOffset - Government Pension Offset against the survivor benefit (monthly)
+ * @returns {number} Monthly benefit as a survivor
+ */
+export const getSurvivorBenefit = (ownMonthlyBenefit, deceasedMonthlyBenefit, survivorOffset = 0) => (
+  ownMonthlyBenefit + Math.max(0, deceasedMonthlyBenefit - ownMonthlyBenefit - survivorOffset)
+);
+
+/**
+ * Full retirement age for survivor benefits, which phases in two years behind the
+ * retirement FRA: 66 through 1956 births, then two months more a year to 67 from 1962
+ * @param {number} birthYear - Survivor's birth year
+ * @returns {number} Survivor FRA in years (fractional between 66 and 67)
+ */
+export const getSurvivorFRA = (birthYear) => {
+  if (birthYear <= 1956) return 66;
+  if (birthYear >= 1962) return 67;
+  return 66 + (birthYear - 1956) * 2 / 12;
+};
+
+/**
+ * Share of the survivor benefit paid when it starts at a given age
+ * @param {number} age - Survivor's age when the benefit starts
+ * @param {number} survivorFRA - Survivor's full retirement age for survivor benefits
+ * @returns {number} Factor on the deceased's benefit (1 at FRA or later)
+ */
+export const getSurvivorFactor = (age, survivorFRA = FULL_RETIREMENT_AGE) => (
+  age >= survivorFRA ? 1 : 1 - SURVIVOR_MAX_REDUCTION * (survivorFRA - age) / (survivorFRA - SURVIVOR_MIN_AGE)
+);
+
+/**
+ * Share of scheduled Social Security benefits paid in a year under the trust fund depletion
+ * scenario: an across-the-board cut from ssHaircutYear (the 2025 Trustees Report projects
+ * about 81% payable from 2034), with an optional share of the cut restored from
+ * ssHaircutRestoreYear (0 = never).
+ * @param {object} inputs - Plan inputs (ssHaircutEnabled, ssHaircutYear, ssHaircutPercent,
+ *   ssHaircutRestoreYear, ssHaircutRestorePercent)
+ * @param {number} year - Calendar year
+ * @returns {number} Payable factor (1 = full scheduled benefits)
+ */
+export const getSSBenefitFactor = (inputs, year) => {
+  if (!inputs?.ssHaircutEnabled || !(year >= inputs.ssHaircutYear)) return 1;
+  const clampPct = (value) => Math.min(100, Math.max(0, Number(value) || 0)) / 100;
+  let cut = clampPct(inputs.ssHaircutPercent);
+  if (inputs.ssHaircutRestoreYear > 0 && year >= inputs.ssHaircutRestoreYear) {
+    cut *= 1 - clampPct(inputs.ssHaircutRestorePercent);
+  }
+  return 1 - cut;
+};
+
+// ============================================
+// NON-COVERED PENSIONS (WEP / GPO)
+// ============================================
+
+/**
+ * Windfall Elimination Provision: a worker with a pension from non-covered employment had
+ * the first PIA factor cut (90% → 40% at 20 or fewer years of substantial covered earnings,
+ * back up 5 points per year to 90% at 30), capped at half the pension. Zero when the law
+ * has no WEP (repealed by the Social Security Fairness Act).
+ * @param {number} pia - Monthly PIA before WEP
+ * @param {number} monthlyPension - Non-covered pension (monthly)
+ * @param {number} coveredYears - Years of substantial earnings covered by Social Security
+ * @param {object} law - Tax law (getTaxLaw)
+ * @returns {number} Monthly reduction to the PIA
+ */
+export const calculateWEPReduction = (pia, monthlyPension, coveredYears = 0, law = BASE_TAX_LAW) => {
+  const rules = law.wepGpo;
+  if (!rules || !(pia > 0) || !(monthlyPension > 0)) return 0;
+  const { bendPoints: [bend1], factors: [fullFactor] } = law.piaFormula;
+  const factor = Math.min(fullFactor, rules.wepMinFactor + Math.max(0, (coveredYears || 0) - rules.wepMinFactorYears) * rules.wepFactorPerYear);
+  return Math.min((fullFactor - factor) * bend1, monthlyPension * rules.wepPensionCap, pia);
+};
+
+/**
+ * Government Pension Offset: spousal and survivor benefits were reduced by two-thirds of a
+ * non-covered government pension. Zero when the law has no GPO.
+ * @param {number} monthlyPension - Non-covered pension (monthly)
+ * @param {object} law - Tax law (getTaxLaw)
+ * @returns {number} Monthly offset against spousal / survivor benefits
+ */
+export const calculateGPOOffset = (monthlyPension, law = BASE_TAX_LAW) => (
+  law.wepGpo && monthlyPension > 0 ? monthlyPension * law.wepGpo.gpoPensionShare : 0
+);
+
+const NO_PENSION_OFFSETS = { wep: 0, gpo: 0 };
+
+/**
+ * WEP and GPO for one spouse's non-covered pension in a plan year. Benefits are carried in
+ * today's dollars, so a pension without a COLA is deflated to match.
+ * @param {object} inputs - Plan inputs (pensionNonCovered, ssCoveredYears and the pension fields)
+ * @param {'client'|'partner'} who - Whose pension
+ * @param {number} pia - That spouse's monthly PIA before WEP
+ * @param {number} age - That spouse's age this year
+ * @param {number} inflationFactor - Cumulative inflation since today
+ * @param {object} law - Tax law for the year
+ * @returns {{ wep: number, gpo: number }} Monthly WEP reduction to the PIA and GPO offset
+ */
+export const getNonCoveredPensionOffsets = (inputs, who, pia, age, inflationFactor, law) => {
+  const isPartner = who === 'partner';
+  const nonCovered = isPartner ? inputs.partnerPensionNonCovered : inputs.pensionNonCovered;
+  const pension = isPartner ? inputs.partnerMonthlyPension : inputs.monthlyPension;
+  const startAge = isPartner ? (inputs.partnerPensionStartAge || 65) : inputs.pensionStartAge;
+  if (!law?.wepGpo || !nonCovered || !(pension > 0) || age < startAge) return NO_PENSION_OFFSETS;
+
+  const cola = isPartner ? inputs.partnerPensionCOLA : inputs.pensionCOLA;
+  const monthlyPension = cola ? pension : pension / (inflationFactor || 1);
+  const coveredYears = isPartner ? inputs.partnerSSCoveredYears : inputs.ssCoveredYears;
+  return {
+    wep: calculateWEPReduction(pia, monthlyPension, coveredYears, law),
+    gpo: calculateGPOOffset(monthlyPension, law)
+  };
+};
+
+// ============================================
+// DIVORCED-SPOUSE AND FAMILY BENEFITS
+// ============================================
+
+// A divorced spouse draws on the ex's record after a marriage of at least 10 years; the
+// survivor benefit survives remarriage at 60 or later
+const DIVORCED_SPOUSE_MIN_MARRIAGE_YEARS = 10;
+const SURVIVOR_REMARRIAGE_AGE = 60;
+// Divorced at least two years, a spouse is entitled once the ex turns 62, filed or not
+const DIVORCED_SPOUSE_EX_MIN_AGE = 62;
+// Children under 18 (or disabled before 22) get 50% of the worker's PIA, 75% as survivors.
+// A spouse caring for a child under 16 (or disabled) is paid at any age, unreduced.
+const CHILD_BENEFIT_AGE = 18;
+const CHILD_IN_CARE_AGE = 16;
+const CHILD_BENEFIT_RATE = 0.5;
+const CHILD_SURVIVOR_RATE = 0.75;
+
+/**
+ * Family maximum on a worker's record
+ * @param {number} pia - Worker's monthly PIA
+ * @param {object} law - Tax law (getTaxLaw) supplying the family-maximum formula
+ * @returns {number} Most payable each month on the record
+ */
+export const calculateFamilyMaximum = (pia, law = BASE_TAX_LAW) => {
+  if (!(pia > 0)) return 0;
+  const { bendPoints: [bend1, bend2, bend3], factors: [f1, f2, f3, f4] } = law.familyMaximum;
+  return f1 * Math.min(pia, bend1)
+    + f2 * Math.max(0, Math.min(pia, bend2) - bend1)
+    + f3 * Math.max(0, Math.min(pia, bend3) - bend2)
+    + f4 * Math.max(0, pia - bend3);
+};
+
+/**
+ * Whether the client can draw on an ex-spouse's record. Spousal benefits need a 10-year
+ * marriage and no current marriage; survivor benefits also survive remarriage at 60+.
+ * @param {object} inputs - Plan inputs (exSpouseEnabled, exSpouseMarriageYears, clientRemarriedAfter60)
+ * @param {boolean} isMarried - Whether the client is currently married
+ * @returns {{ spousal: boolean, survivor: boolean, reason: string|null }}
+ */
+export const getExSpouseEligibility = (inputs, isMarried) => {
+  if (!inputs.exSpouseEnabled) return { spousal: false, survivor: false, reason: null };
+  if (!(inputs.exSpousePIA > 0)) return { spousal: false, survivor: false, reason: 'No benefit entered for the ex-spouse' };
+  if ((inputs.exSpouseMarriageYears || 0) < DIVORCED_SPOUSE_MIN_MARRIAGE_YEARS) {
+    return { spousal: false, survivor: false, reason: `Marriage under ${DIVORCED_SPOUSE_MIN_MARRIAGE_YEARS} years` };
+  }
+  if (isMarried) {
+    return inputs.clientRemarriedAfter60
+      ? { spousal: false, survivor: true, reason: 'Remarried: survivor benefit only' }
+      : { spousal: false, survivor: false, reason: `Remarried before ${SURVIVOR_REMARRIAGE_AGE}` };
+  }
+  return { spousal: true, survivor: true, reason: null };
+};
+
+/**
+ * Client's monthly benefit including what an ex-spouse's record adds: the divorced-spouse
+ * excess while the ex is living (reduced for the client's age at entitlement), or from 60
+ * the survivor benefit once the ex has died (reduced when it starts before FRA). Outside
+ * the ex's family maximum.
+ * @param {object} inputs - Plan inputs (exSpouse* fields)
+ * @param {object} clientInfo - Client ages and marital status
+ * @param {object} benefit
+ * @param {number} benefit.ownMonthly - Client's benefit before the ex's record
+ * @param {number} benefit.pia - Client's own PIA
+ * @param {number} benefit.claimAge - Age the client files
+ * @param {number} benefit.age - Client's age this year
+ * @param {number} [benefit.offset=0] - Government Pension Offset (monthly)
+ * @returns {number} Monthly benefit
+ */
+export const getDivorcedSpouseBenefit = (inputs, clientInfo, { ownMonthly, pia, claimAge, age, offset = 0 }) => {
+  const eligibility = getExSpouseEligibility(inputs, clientInfo.isMarried);
+  if (!eligibility.spousal && !eligibility.survivor) return ownMonthly;
+
+  const exAge = (inputs.exSpouseAge || 0) + (age - clientInfo.currentAge);
+  const exDeceased = inputs.exSpouseDeceased || exAge >= (inputs.exSpouseExpectedDeathAge || 95);
+  if (exDeceased) {
+    if (!eligibility.survivor || age < SURVIVOR_MIN_AGE) return ownMonthly;
+    // Reduced for the client's age when the survivor benefit starts: when they file, or
+    // when the ex dies if that is later
+    const exDeathAge = inputs.exSpouseDeceased
+      ? 0
+      : clientInfo.currentAge + (inputs.exSpouseExpectedDeathAge || 95) - (inputs.exSpouseAge || 0);
+    const survivorStart = Math.max(SURVIVOR_MIN_AGE, claimAge, exDeathAge);
+    const survivorFRA = getSurvivorFRA(new Date().getFullYear() - clientInfo.currentAge);
+    return getSurvivorBenefit(ownMonthly, inputs.exSpousePIA * getSurvivorFactor(survivorStart, survivorFRA), offset);
+  }
+  if (!eligibility.spousal || exAge < DIVORCED_SPOUSE_EX_MIN_AGE) return ownMonthly;
+  const entitlementAge = Math.min(FULL_RETIREMENT_AGE, Math.max(claimAge, clientInfo.currentAge + DIVORCED_SPOUSE_EX_MIN_AGE - (inputs.exSpouseAge || 0)));
+  return applyDeemedFiling(ownMonthly, inputs.exSpousePIA, true, claimAge, pia, entitlementAge, offset);
+};
+
+/**
+ * Children drawing on a worker's record in a year, and whether one keeps a spouse in care
+ * @param {Array<{ age: number, disabled: boolean }>} children - Ages today
+ * @param {number} yearsFromNow - Years after today
+ * @returns {{ eligible: number, inCare: boolean }}
+ */
+export const getEligibleChildren = (children, yearsFromNow) => {
+  let eligible = 0;
+  let inCare = false;
+  (children || []).forEach(child => {
+    const age = (child.age || 0) + yearsFromNow;
+    if (age < 0) return;
+    if (child.disabled || age < CHILD_BENEFIT_AGE) eligible++;
+    if (child.disabled || age < CHILD_IN_CARE_AGE) inCare = true;
+  });
+  return { eligible, inCare };
+};
+
+/**
+ * Benefits to a worker's family on their record: children while the worker draws benefits
+ * (or after their death), a spouse caring for a child at any age and unreduced, and the
+ * family maximum over them. While the worker lives the maximum caps what is paid on top
+ * of their PIA; after death it caps the survivors' benefits.
+ * @param {object} params
+ * @param {number} params.workerPIA - Worker's monthly PIA
+ * @param {boolean} params.workerAlive - Whether the worker is living
+ * @param {boolean} params.workerHasFiled - Whether a living worker draws benefits
+ * @param {Array} params.children - Children on the record (ages today)
+ * @param {number} params.yearsFromNow - Years after today
+ * @param {object|null} params.spouse - { age, ownPIA, hasFiled, auxiliary }: auxiliary is the
+ *   spousal or survivor amount the spouse already draws on the record (monthly)
+ * @param {object} params.law - Tax law for the year
+ * @returns {{ children: number, spouseAuxiliary: number, familyMaximum: number, capped: boolean }}
+ */
+export const getFamilyBenefits = ({ workerPIA, workerAlive, workerHasFiled, children, yearsFromNow, spouse = null, law = BASE_TAX_LAW }) => {
+  const spouseAuxiliary = spouse?.auxiliary || 0;
+  const familyMaximum = calculateFamilyMaximum(workerPIA, law);
+  if (!(workerPIA > 0) || (workerAlive && !workerHasFiled)) {
+    return { children: 0, spouseAuxiliary, familyMaximum, capped: false };
+  }
+
+  const rate = workerAlive ? CHILD_BENEFIT_RATE : CHILD_SURVIVOR_RATE;
+  const { eligible, inCare } = getEligibleChildren(children, yearsFromNow);
+  let childTotal = eligible * rate * workerPIA;
+  let auxiliary = spouseAuxiliary;
+  if (spouse && inCare && spouse.age < FULL_RETIREMENT_AGE) {
+    auxiliary = Math.max(auxiliary, rate * workerPIA - (spouse.hasFiled ? spouse.ownPIA : 0));
+  }
+
+  const room = Math.max(0, familyMaximum - (workerAlive ? workerPIA : 0));
+  const total = childTotal + auxiliary;
+  const capped = total > room;
+  if (capped) {
+    childTotal *= room / total;
+    auxiliary *= room / total;
+  }
+  return { children: childTotal, spouseAuxiliary: auxiliary, familyMaximum, capped };
+};
+
+/**
+ * Family benefits for a household's children, who draw on whichever parent's record pays
+ * the family more. On each record the other spouse is the one paid for caring for a child,
+ * and what they already draw on that record counts toward its family maximum.
+ * @param {object} params
+ * @param {Array} params.children - Children (ages today)
+ * @param {number} params.yearsFromNow - Years after today
+ * @param {object} params.client - { pia, alive, hasFiled, age, auxiliary }: auxiliary is the
+ *   spousal or survivor excess the client draws on the partner's record (monthly)
+ * @param {object|null} params.partner - Same shape for the partner; null when single
+ * @param {object} params.law - Tax law for the year
+ * @returns {{ children: number, clientAuxiliary: number, partnerAuxiliary: number }} Monthly
+ *   child benefits and each spouse's auxiliary amount after the family maximum
+ */
+export const getHouseholdFamilyBenefits = ({ children, yearsFromNow, client, partner = null, law = BASE_TAX_LAW }) => {
+  const onRecord = (worker, spouse) => getFamilyBenefits({
+    workerPIA: worker.pia, workerAlive: worker.alive, workerHasFiled: worker.hasFiled,
+    children, yearsFromNow,
+    spouse: spouse?.alive ? { age: spouse.age, ownPIA: spouse.pia, hasFiled: spouse.hasFiled, auxiliary: spouse.auxiliary } : null,
+    law
+  });
+  const clientAuxiliary = client.auxiliary || 0;
+  const partnerAuxiliary = partner?.auxiliary || 0;
+  const onClient = onRecord(client, partner);
+  const best = { children: onClient.children, clientAuxiliary, partnerAuxiliary: partner?.alive ? onClient.spouseAuxiliary : partnerAuxiliary };
+  if (partner) {
+    const onPartner = onRecord(partner, client);
+    const clientGain = onClient.children + (best.partnerAuxiliary - partnerAuxiliary);
+    const newClientAuxiliary = client.alive ? onPartner.spouseAuxiliary : clientAuxiliary;
+    if (onPartner.children + (newClientAuxiliary - clientAuxiliary) > clientGain) {
+      return { children: onPartner.children, clientAuxiliary: newClientAuxiliary, partnerAuxiliary };
+    }
+  }
+  return best;
 };
 
 /**
  * Estimate PIA (Primary Insurance Amount) from current annual income
- * Uses 2025 SSA bend-point formula. Assumes ~35 years of similar earnings.
+ * Uses the SSA bend-point formula from the tax-law registry. Assumes ~35 years of similar earnings.
  * @param {number} annualIncome - Current annual income
+ * @param {object} law - Tax law (getTaxLaw) supplying the wage base and bend points
  * @returns {number} Estimated monthly PIA at Full Retirement Age
  */
-export const estimatePIAFromIncome = (annualIncome) => {
+export const estimatePIAFromIncome = (annualIncome, law = BASE_TAX_LAW) => {
   if (!annualIncome || annualIncome <= 0) return 0;
-  // Cap at 2025 SS wage base
-  const capped = Math.min(annualIncome, 176100);
+  const { wageBase, bendPoints: [bend1, bend2], factors: [f1, f2, f3] } = law.piaFormula;
+  // Cap at the SS wage base
+  const capped = Math.min(annualIncome, wageBase);
   // Convert to AIME (Average Indexed Monthly Earnings)
   const aime = Math.floor(capped / 12);
-  // 2025 bend points
   let pia = 0;
-  if (aime <= 1226) {
-    pia = aime * 0.90;
-  } else if (aime <= 7391) {
-    pia = 1226 * 0.90 + (aime - 1226) * 0.32;
+  if (aime <= bend1) {
+    pia = aime * f1;
+  } else if (aime <= bend2) {
+    pia = bend1 * f1 + (aime - bend1) * f2;
   } else {
-    pia = 1226 * 0.90 + (7391 - 1226) * 0.32 + (aime - 7391) * 0.15;
+    pia = bend1 * f1 + (bend2 - bend1) * f2 + (aime - bend2) * f3;
   }
   return Math.round(pia);
 };
 
+// ============================================
+// WITHDRAWAL POLICY (SPENDING RULES)
+// ============================================
+
+// Guyton-Klinger defaults: ±20% bands around the initial withdrawal rate, 10% cuts/raises
+const DEFAULT_GUARDRAILS = {
+  upperBand: 20,
+  lowerBand: 20,
+  cutPercent: 10,
+  raisePercent: 10,
+  inflationFreeze: true
+};
+
+// Balance-driven rules: withdrawal %, floor / ceiling as % of the first year's real
+// withdrawal, and the real return VPW amortizes the balance at
+const DEFAULT_SPENDING_RULE_SETTINGS = {
+  percent: 4,
+  floorPercent: 90,
+  ceilingPercent: 120,
+  vpwRealReturn: 3.5
+};
+
+// VPW amortizes to at least this age (Bogleheads convention) so the last plan year
+// doesn't withdraw everything that's left
+const VPW_END_AGE = 100;
+
+const nonNegative = (value, fallback) => Math.max(0, Number.isFinite(value) ? value : fallback);
+
+/**
+ * Apply one year of the guardrail rules to the spending adjustment — the multiplier on
+ * the plan's inflation-indexed living expenses, carried from year to year.
+ *   1. Inflation freeze: after a year with a negative portfolio return, this year's
+ *      inflation raise is skipped (real spending drops by one year of inflation).
+ *   2. Capital preservation: if the withdrawal rate is above the upper guardrail,
+ *      spending is cut by cutPercent.
+ *   3. Prosperity: if the withdrawal rate is below the lower guardrail, spending is
+ *      raised by raisePercent.
+ * At most one of cut / raise fires per year.
+ * @param {object} policy - Resolved guardrails policy (resolveWithdrawalPolicy)
+ * @param {object} year
+ * @param {number} year.adjustment - Last year's spending adjustment (1 = as planned)
+ * @param {number} year.referenceRate - Withdrawal rate the bands are centred on (decimal)
+ * @param {number|null} year.priorYearReturn - Last year's portfolio return (decimal), null in the first year
+ * @param {number} year.inflationStep - This year's spending inflation factor (e.g. 1.03)
+ * @param {function(number): number} year.withdrawalRateAt - Withdrawal rate (decimal) at a given adjustment
+ * @returns {{ adjustment: number, action: string|null, inflationFrozen: boolean }}
+ *   action is 'cut', 'raise', 'freeze' or null
+ */
+export const applyGuardrails = (policy, { adjustment, referenceRate, priorYearReturn, inflationStep, withdrawalRateAt }) => {
+  let next = adjustment;
+  let inflationFrozen = false;
+  if (policy.inflationFreeze && priorYearReturn !== null && priorYearReturn < 0 && inflationStep > 0) {
+    next /= inflationStep;
+    inflationFrozen = true;
+  }
+
+  let action = inflationFrozen ? 'freeze' : null;
+  if (referenceRate > 0) {
+    const rate = withdrawalRateAt(next);
+    if (rate > referenceRate * (1 + policy.upperBand / 100)) {
+      next *= 1 - policy.cutPercent / 100;
+      action = 'cut';
+    } else if (rate < referenceRate * (1 - policy.lowerBand / 100)) {
+      next *= 1 + policy.raisePercent / 100;
+      action = 'raise';
+    }
+  }
+  return { adjustment: next, action, inflationFrozen };
+};
+
+
+// Living-expense multiplier that makes the portfolio fund exactly `draw` this year.
+// Income covers its share first; cash flow adjustments ride on top of the draw.
+const adjustmentForDraw = (year, draw) => {
+  if (year.plannedLivingExpenses <= 0) return year.adjustment;
+  const living = Math.max(0, draw + year.income - year.cashFlowAdjustment);
+  return living / year.plannedLivingExpenses;
+};
+
+// Uniform Lifetime divisor for the RMD rule. Below the table's first age the divisor
+// grows a year per year younger, roughly tracking remaining joint life expectancy.
+const spendingRuleRMDDivisor = (age) => {
+  if (age < 72) return UNIFORM_LIFETIME_TABLE[72] + (72 - age);
+  return UNIFORM_LIFETIME_TABLE[Math.min(Math.floor(age), 120)] || 2.0;
+};
+
+/**
+ * Spending-rule library. Each rule decides a retirement year's living expenses as a
+ * multiplier on the plan's inflation-indexed monthlySpending (the "adjustment"):
+ *   label / description - for pickers and comparison tables
+ *   resolve(inputs)     - rule parameters from plan inputs
+ *   adjust(policy, state, year) - this year's { adjustment, action }. state is a
+ *     per-iteration scratch object the rule may keep between years; year carries
+ *     { adjustment (last year's), balance (start of year), plannedLivingExpenses,
+ *     income, cashFlowAdjustment, age, yearsRemaining, inflationStep, priorYearReturn }.
+ *     action is a short tag for the cash flow table ('cut', 'floor', ...) or null.
+ * simulatePortfolio only consults a rule while the portfolio has a balance.
+ */
+export const SPENDING_RULES = {
+  fixed: {
+    label: 'Fixed Spending',
+    description: 'Monthly budget grows with inflation whatever markets do.',
+    resolve: () => ({}),
+    adjust: (policy, state, year) => ({ adjustment: year.adjustment, action: null })
+  },
+
+  guardrails: {
+    label: 'Guardrails',
+    description: 'Guyton-Klinger: cut or raise spending when the withdrawal rate leaves its bands; skip inflation after losing years.',
+    resolve: (inputs) => ({
+      upperBand: nonNegative(inputs.guardrailUpperBand, DEFAULT_GUARDRAILS.upperBand),
+      // A lower band of 100% or more could never trigger a raise
+      lowerBand: Math.min(99, nonNegative(inputs.guardrailLowerBand, DEFAULT_GUARDRAILS.lowerBand)),
+      cutPercent: Math.min(100, nonNegative(inputs.guardrailCutPercent, DEFAULT_GUARDRAILS.cutPercent)),
+      raisePercent: nonNegative(inputs.guardrailRaisePercent, DEFAULT_GUARDRAILS.raisePercent),
+      inflationFreeze: inputs.guardrailInflationFreeze ?? DEFAULT_GUARDRAILS.inflationFreeze
+    }),
+    // The withdrawal rate is the portfolio-funded gap (spending less income) over the
+    // starting balance, anchored in the first year the portfolio funds spending. As
+    // Social Security or a pension starts the planned gap shrinks, so the reference
+    // rate is scaled by the planned gap's share of spending — income arriving on
+    // schedule is not mistaken for market gains.
+    adjust: (policy, state, year) => {
+      const gapAt = (adjustment) => Math.max(0,
+        Math.max(0, year.plannedLivingExpenses * adjustment + year.cashFlowAdjustment) - year.income);
+      const plannedGap = gapAt(1);
+      const plannedExpenses = Math.max(0, year.plannedLivingExpenses + year.cashFlowAdjustment);
+      const plannedGapShare = plannedExpenses > 0 ? plannedGap / plannedExpenses : 0;
+      if (!state.anchor && plannedGap > 0) {
+        state.anchor = { rate: gapAt(year.adjustment) / year.balance, gapShare: plannedGapShare };
+      }
+      if (!state.anchor) return { adjustment: year.adjustment, action: null };
+      const { adjustment, action } = applyGuardrails(policy, {
+        adjustment: year.adjustment,
+        referenceRate: state.anchor.rate * plannedGapShare / state.anchor.gapShare,
+        priorYearReturn: year.priorYearReturn,
+        inflationStep: year.inflationStep,
+        withdrawalRateAt: (adj) => gapAt(adj) / year.balance
+      });
+      return { adjustment, action };
+    }
+  },
+
+  vpw: {
+    label: 'Variable Percentage (VPW)',
+    description: 'Withdraw the payment that would amortize the balance over the remaining horizon at an assumed real return.',
+    resolve: (inputs) => ({ realReturn: nonNegative(inputs.vpwRealReturn, DEFAULT_SPENDING_RULE_SETTINGS.vpwRealReturn) }),
+    adjust: (policy, state, year) => {
+      const r = policy.realReturn / 100;
+      const n = Math.max(1, year.yearsRemaining, VPW_END_AGE - year.age + 1);
+      // Annuity-due payment rate: withdrawals come at the start of each year
+      const rate = r === 0 ? 1 / n : r / (1 - Math.pow(1 + r, -n)) / (1 + r);
+      return { adjustment: adjustmentForDraw(year, year.balance * rate), action: null };
+    }
+  },
+
+  rmd: {
+    label: 'RMD Table',
+    description: 'Withdraw the balance divided by the IRS Uniform Lifetime divisor for the client\'s age.',
+    resolve: () => ({}),
+    adjust: (policy, state, year) => ({
+      adjustment: adjustmentForDraw(year, year.balance / spendingRuleRMDDivisor(year.age)),
+      action: null
+    })
+  },
+
+  constantPercent: {
+    label: 'Constant Percentage',
+    description: 'Withdraw a fixed percentage of the start-of-year balance.',
+    resolve: (inputs) => ({ percent: nonNegative(inputs.spendingRulePercent, DEFAULT_SPENDING_RULE_SETTINGS.percent) }),
+    adjust: (policy, state, year) => ({
+      adjustment: adjustmentForDraw(year, year.balance * policy.percent / 100),
+      action: null
+    })
+  },
+
+  floorCeiling: {
+    label: 'Floor & Ceiling',
+    description: 'Constant percentage of the balance, kept between a floor and a ceiling on the first year\'s real withdrawal.',
+    resolve: (inputs) => {
+      const floorPercent = nonNegative(inputs.spendingFloorPercent, DEFAULT_SPENDING_RULE_SETTINGS.floorPercent);
+      return {
+        percent: nonNegative(inputs.spendingRulePercent, DEFAULT_SPENDING_RULE_SETTINGS.percent),
+        floorPercent,
+        ceilingPercent: Math.max(floorPercent, nonNegative(inputs.spendingCeilingPercent, DEFAULT_SPENDING_RULE_SETTINGS.ceilingPercent))
+      };
+    },
+    adjust: (policy, state, year) => {
+      const target = year.balance * policy.percent / 100;
+      if (!state.initialDraw) {
+        state.initialDraw = target;
+        state.priceLevel = 1;
+      } else {
+        state.priceLevel *= year.inflationStep;
+      }
+      const floor = state.initialDraw * state.priceLevel * policy.floorPercent / 100;
+      const ceiling = state.initialDraw * state.priceLevel * policy.ceilingPercent / 100;
+      const draw = Math.min(ceiling, Math.max(floor, target));
+      const action = target < floor ? 'floor' : target > ceiling ? 'ceiling' : null;
+      return { adjustment: adjustmentForDraw(year, draw), action };
+    }
+  }
+};
+
+// A year-over-year drop in the spending adjustment beyond this counts as a spending cut
+// for rules that move spending every year (guardrails report their cuts directly)
+const SPENDING_CUT_THRESHOLD = 0.05;
+
+/**
+ * Summarize one iteration's spending path for the Monte Carlo spending statistics
+ * @param {Array} rows - Retirement-phase projection rows of one iteration
+ * @returns {{ lifetimeRealSpending: number, lowestAdjustment: number, spendingCut: boolean,
+ *   spendingVolatility: number }} Volatility is the std dev of year-over-year changes in
+ *   the spending adjustment (decimal) — movement against the planned spending path, so
+ *   inflation and the planned drop at first death don't count as volatility
+ */
+const summarizeSpendingPath = (rows) => {
+  const real = rows.map(r => (r.livingExpenses || 0) / (r.inflationIndex || 1));
+  const changes = [];
+  let spendingCut = false;
+  rows.forEach((r, idx) => {
+    if (r.spendingAction === 'cut') spendingCut = true;
+    if (idx === 0) return;
+    const prevAdjustment = rows[idx - 1].spendingAdjustment ?? 1;
+    if (prevAdjustment <= 0) return;
+    const change = (r.spendingAdjustment ?? 1) / prevAdjustment - 1;
+    if (change < -SPENDING_CUT_THRESHOLD) spendingCut = true;
+    changes.push(change);
+  });
+  const meanChange = changes.reduce((sum, c) => sum + c, 0) / (changes.length || 1);
+  const variance = changes.reduce((sum, c) => sum + (c - meanChange) ** 2, 0) / (changes.length || 1);
+  return {
+    lifetimeRealSpending: real.reduce((sum, v) => sum + v, 0),
+    lowestAdjustment: rows.reduce((low, r) => Math.min(low, r.spendingAdjustment ?? 1), 1),
+    spendingCut,
+    spendingVolatility: Math.sqrt(variance)
+  };
+};
+
+/**
+ * Resolve the plan's withdrawal policy from inputs: inputs.withdrawalPolicy names a
+ * SPENDING_RULES entry (unknown or missing → 'fixed') and the rule fills in its
+ * parameters. 'fixed' spends monthlySpending (plus cash flow adjustments) whatever
+ * markets do; the others adjust living expenses each retirement year.
+ * @param {object} inputs - Plan inputs (withdrawalPolicy plus guardrail* / spendingRule* fields)
+ * @returns {object} { type, ...rule parameters } — percentages as whole numbers
+ */
+export const resolveWithdrawalPolicy = (inputs = {}) => {
+  const type = SPENDING_RULES[inputs.withdrawalPolicy] ? inputs.withdrawalPolicy : 'fixed';
+  return { type, ...SPENDING_RULES[type].resolve(inputs) };
+};
+
+// ============================================
+// STOCHASTIC MORTALITY
+// ============================================
+
+// Abridged SSA period life table (2021 Trustees Report basis): q_x, the probability
+// that someone alive at exact age x dies before x + 1, every five years of age.
+// Ages in between are interpolated log-linearly; nobody survives past MORTALITY_MAX_AGE.
+const MORTALITY_TABLE = {
+  male: {
+    20: 0.00136, 25: 0.00159, 30: 0.00180, 35: 0.00213, 40: 0.00261,
+    45: 0.00349, 50: 0.00504, 55: 0.00758, 60: 0.0111, 65: 0.0158,
+    70: 0.0234, 75: 0.036, 80: 0.0573, 85: 0.0938, 90: 0.155,
+    95: 0.245, 100: 0.348, 105: 0.44, 110: 0.54, 115: 0.66
+  },
+  female: {
+    20: 0.00047, 25: 0.00062, 30: 0.0008, 35: 0.00107, 40: 0.00144,
+    45: 0.00204, 50: 0.003, 55: 0.00444, 60: 0.00652, 65: 0.00985,
+    70: 0.0153, 75: 0.0246, 80: 0.0406, 85: 0.0693, 90: 0.122,
+    95: 0.205, 100: 0.309, 105: 0.42, 110: 0.53, 115: 0.65
+  }
+};
+const MORTALITY_TABLE_STEP = 5;
+const MORTALITY_MIN_AGE = 20;
+export const MORTALITY_MAX_AGE = 120;
+
+// Health adjustments: multipliers on every q_x, roughly the spread underwriters apply
+// between preferred and substandard lives
+export const MORTALITY_HEALTH_MULTIPLIERS = {
+  excellent: { label: 'Excellent', multiplier: 0.6 },
+  good: { label: 'Good', multiplier: 0.8 },
+  average: { label: 'Average', multiplier: 1.0 },
+  fair: { label: 'Fair', multiplier: 1.35 },
+  poor: { label: 'Poor', multiplier: 1.8 }
+};
+
+/**
+ * One-year death probability at an integer age
+ * @param {number} age - Attained age
+ * @param {string} sex - 'male' or 'female' (anything else → female table)
+ * @param {number} multiplier - Health multiplier on q_x (1 = table)
+ * @returns {number} q_x, capped at 1
+ */
+export const getMortalityRate = (age, sex = 'female', multiplier = 1) => {
+  if (age >= MORTALITY_MAX_AGE - 1) return 1;
+  const table = MORTALITY_TABLE[sex] || MORTALITY_TABLE.female;
+  const a = Math.max(MORTALITY_MIN_AGE, age);
+  const lower = Math.min(115, Math.floor(a / MORTALITY_TABLE_STEP) * MORTALITY_TABLE_STEP);
+  const upper = lower + MORTALITY_TABLE_STEP;
+  // Past the last table age, keep growing at the final five-year rate
+  const qLower = table[lower];
+  const qUpper = table[upper] ?? table[lower] * (table[lower] / table[lower - MORTALITY_TABLE_STEP]);
+  const t = (a - lower) / MORTALITY_TABLE_STEP;
+  const q = qLower * Math.pow(qUpper / qLower, t);
+  return Math.min(1, q * multiplier);
+};
+
+/**
+ * Probability of surviving from one age to another
+ * @param {number} fromAge - Current age
+ * @param {number} toAge - Target age
+ * @param {string} sex - 'male' or 'female'
+ * @param {number} multiplier - Health multiplier on q_x
+ * @returns {number} Survival probability (0-1)
+ */
+export const getSurvivalProbability = (fromAge, toAge, sex = 'female', multiplier = 1) => {
+  let survival = 1;
+  for (let age = fromAge; age < toAge; age++) survival *= 1 - getMortalityRate(age, sex, multiplier);
+  return survival;
+};
+
+/**
+ * Expected remaining years of life (deaths assumed mid-year)
+ * @param {number} age - Current age
+ * @param {string} sex - 'male' or 'female'
+ * @param {number} multiplier - Health multiplier on q_x
+ * @returns {number} Life expectancy in years
+ */
+export const getLifeExpectancy = (age, sex = 'female', multiplier = 1) => {
+  let survival = 1;
+  let years = 0;
+  for (let x = age; x < MORTALITY_MAX_AGE && survival > 0; x++) {
+    const q = getMortalityRate(x, sex, multiplier);
+    years += survival * (1 - q / 2);
+    survival *= 1 - q;
+  }
+  return years;
+};
+
+/**
+ * Draw a death age from the table. Follows the expectedDeathAge convention: the
+ * person is alive in every year of age below the returned value, so dying during
+ * age 87 returns 88.
+ * @param {number} currentAge - Age today
+ * @param {string} sex - 'male' or 'female'
+ * @param {number} multiplier - Health multiplier on q_x
+ * @param {function(): number} random - Uniform [0, 1) source
+ * @returns {number} First age at which the person is no longer alive
+ */
+export const drawDeathAge = (currentAge, sex = 'female', multiplier = 1, random = randomUniform) => {
+  for (let age = currentAge; age < MORTALITY_MAX_AGE; age++) {
+    if (random() < getMortalityRate(age, sex, multiplier)) return age + 1;
+  }
+  return MORTALITY_MAX_AGE;
+};
+
+/**
+ * Resolve each spouse's table and health multiplier from inputs
+ * (mortalityClientSex / mortalityPartnerSex, mortalityClientHealth / mortalityPartnerHealth)
+ * @param {object} inputs - Plan inputs
+ * @returns {{ client: {sex, multiplier}, partner: {sex, multiplier} }}
+ */
+export const resolveMortalityProfile = (inputs = {}) => {
+  const person = (sex, health) => ({
+    sex: sex === 'male' ? 'male' : 'female',
+    multiplier: (MORTALITY_HEALTH_MULTIPLIERS[health] || MORTALITY_HEALTH_MULTIPLIERS.average).multiplier
+  });
+  return {
+    client: person(inputs.mortalityClientSex ?? 'male', inputs.mortalityClientHealth),
+    partner: person(inputs.mortalityPartnerSex ?? 'female', inputs.mortalityPartnerHealth)
+  };
+};
+
+// Client ages at which Monte Carlo reports survival probabilities
+const LONGEVITY_CHECKPOINT_AGES = [80, 85, 90, 95, 100];
+// A survivor gap this long (years between the two deaths) is flagged as a long widowhood
+const LONG_SURVIVORSHIP_YEARS = 10;
+
+/**
+ * Summarize the drawn lifetimes of a stochastic-mortality Monte Carlo run
+ * @param {Array<{deathAges: {client, partner}, failed: boolean}>} iterations - One entry per iteration
+ * @param {number} clientCurrentAge - Client's age today
+ * @param {number} partnerCurrentAge - Partner's age today
+ * @returns {object} Outlast probability, survival at LONGEVITY_CHECKPOINT_AGES (client's
+ *   age; the partner's age in the same calendar year), long-survivorship probability and
+ *   last-death ages in the client's age
+ */
+const summarizeLongevity = (iterations, clientCurrentAge, partnerCurrentAge) => {
+  const count = iterations.length || 1;
+  const married = iterations.some(t => t.deathAges.partner !== null);
+  const ageOffset = clientCurrentAge - partnerCurrentAge;
+  const share = (test) => (iterations.filter(test).length / count) * 100;
+  const partnerDeathInClientAge = (t) => t.deathAges.partner + ageOffset;
+  const lastDeaths = iterations
+    .map(t => married ? Math.max(t.deathAges.client, partnerDeathInClientAge(t)) : t.deathAges.client)
+    .sort((a, b) => a - b);
+
+  const survival = LONGEVITY_CHECKPOINT_AGES.filter(age => age > clientCurrentAge).map(age => {
+    const clientAlive = (t) => age < t.deathAges.client;
+    const partnerAlive = (t) => married && age < partnerDeathInClientAge(t);
+    return {
+      age,
+      partnerAge: married ? age - ageOffset : null,
+      client: share(clientAlive),
+      partner: married ? share(partnerAlive) : null,
+      both: married ? share(t => clientAlive(t) && partnerAlive(t)) : null,
+      either: share(t => clientAlive(t) || partnerAlive(t))
+    };
+  });
+
+  return {
+    moneyOutlastsHousehold: share(t => !t.failed),
+    survival,
+    longSurvivorshipProbability: married
+      ? share(t => Math.abs(t.deathAges.client - partnerDeathInClientAge(t)) >= LONG_SURVIVORSHIP_YEARS)
+      : null,
+    medianLastDeathAge: lastDeaths[Math.floor(lastDeaths.length * 0.5)],
+    p90LastDeathAge: lastDeaths[Math.floor(lastDeaths.length * 0.9)]
+  };
+};
+
 // ============================================
 // TAX CALCULATION UTILITIES
 // ============================================
 
-// Tax bracket base year — all brackets are 2026 values
-const TAX_BRACKET_BASE_YEAR = 2026;
-
-// 2026 Federal Tax Brackets (IRS Rev. Proc. 2025-32, TCJA made permanent by OBBBA July 2025)
-const FEDERAL_BRACKETS = {
-  single: [
-    { min: 0, max: 12400, rate: 0.10 },
-    { min: 12400, max: 50400, rate: 0.12 },
-    { min: 50400, max: 105700, rate: 0.22 },
-    { min: 105700, max: 201775, rate: 0.24 },
-    { min: 201775, max: 256225, rate: 0.32 },
-    { min: 256225, max: 640600, rate: 0.35 },
-    { min: 640600, max: Infinity, rate: 0.37 }
-  ],
-  married: [
-    { min: 0, max: 24800, rate: 0.10 },
-    { min: 24800, max: 100800, rate: 0.12 },
-    { min: 100800, max: 211400, rate: 0.22 },
-    { min: 211400, max: 403550, rate: 0.24 },
-    { min: 403550, max: 512450, rate: 0.32 },
-    { min: 512450, max: 768700, rate: 0.35 },
-    { min: 768700, max: Infinity, rate: 0.37 }
-  ]
-};
-
-// 2026 Qualified Dividend / LTCG Brackets (IRS Rev. Proc. 2025-32)
-const QDIV_BRACKETS = {
-  single: [
-    { min: 0, max: 49450, rate: 0 },
-    { min: 49450, max: 545500, rate: 0.15 },
-    { min: 545500, max: Infinity, rate: 0.20 }
-  ],
-  married: [
-    { min: 0, max: 98900, rate: 0 },
-    { min: 98900, max: 613700, rate: 0.15 },
-    { min: 613700, max: Infinity, rate: 0.20 }
-  ]
-};
-
-// Standard deduction (2026, IRS Rev. Proc. 2025-32)
-const STANDARD_DEDUCTION = {
-  single: 16100,
-  married: 32200,
-  // Additional deduction for 65+
-  seniorBonus: { single: 2050, married: 1650 }
+// Federal brackets, deductions, NIIT, AMT, IRMAA and the SS earnings test come from the
+// versioned tax-law registry (constants/taxLaw.js). The helpers below take the law for
+// the year being taxed and default to the base-year law; dollar thresholds are indexed
+// from TAX_BRACKET_BASE_YEAR.
+const TAX_BRACKET_BASE_YEAR = TAX_LAW_BASE_YEAR;
+
+/**
+ * Registry version a plan is computed under. 'saved' pins the version that was current
+ * when the plan was last saved, so an old plan can be recomputed under the law it was
+ * presented with; blank (or an unknown id) uses the current version.
+ * @param {object} inputs - Plan inputs (taxLawVersion, taxLawSavedVersion)
+ * @returns {string} Version id in TAX_LAW_VERSIONS
+ */
+export const resolveTaxLawVersion = (inputs) => {
+  const requested = inputs?.taxLawVersion === 'saved' ? inputs?.taxLawSavedVersion : inputs?.taxLawVersion;
+  return TAX_LAW_VERSIONS[requested] ? requested : CURRENT_TAX_LAW_VERSION;
+};
+
+/**
+ * Federal tax law a plan is taxed under in a calendar year: its registry version with
+ * scheduled changes through that year, plus the advisor's what-if overrides
+ * (inputs.taxLawOverrides).
+ * @param {object} inputs - Plan inputs
+ * @param {number} year - Calendar year
+ * @returns {object} Law for the year (see getTaxLaw)
+ */
+export const getPlanTaxLaw = (inputs, year) => getTaxLaw(year, {
+  version: resolveTaxLawVersion(inputs),
+  overrides: inputs?.taxLawOverrides
+});
+
+/**
+ * Cumulative indexing factor for a dollar threshold yearsFromBase years past its base year.
+ * Callers holding a realized inflation path (stochastic Monte Carlo inflation) pass that
+ * path's cumulative factor; otherwise the flat assumed rate is compounded.
+ * @param {number} yearsFromBase - Years past the threshold's base year
+ * @param {number} inflationRate - Annual inflation rate as percentage
+ * @param {number|null} inflationFactor - Precomputed cumulative factor (overrides the rate)
+ * @returns {number} Multiplier applied to base-year thresholds
+ */
+const getIndexingFactor = (yearsFromBase, inflationRate, inflationFactor = null) => {
+  if (inflationFactor != null) return inflationFactor;
+  return yearsFromBase > 0 ? Math.pow(1 + inflationRate / 100, yearsFromBase) : 1;
+};
+
+// Scale bracket thresholds by an indexing factor (0 and Infinity stay fixed)
+const indexBrackets = (brackets, factor) => {
+  if (factor === 1) return brackets;
+  return brackets.map(b => ({
+    ...b,
+    min: b.min === 0 ? 0 : Math.round(b.min * factor),
+    max: b.max === Infinity ? Infinity : Math.round(b.max * factor)
+  }));
 };
 
 // ============================================
 // IRMAA (Income-Related Monthly Adjustment Amount) — Medicare Part B & Part D
 // ============================================
-// 2026 IRMAA brackets based on MAGI from 2 years prior (2024 for 2026)
-// Source: CMS 2026 Medicare Parts A & B Premiums
-const IRMAA_BASE_YEAR = 2026;
-const IRMAA_BASE_PART_B = 202.90; // monthly base premium
-
-// MAGI thresholds and monthly surcharges (Part B premium includes base)
-const IRMAA_BRACKETS = {
-  single: [
-    { magiMax: 109000, partBMonthly: 202.90, partDSurchargeMonthly: 0 },
-    { magiMax: 137000, partBMonthly: 284.10, partDSurchargeMonthly: 14.50 },
-    { magiMax: 171000, partBMonthly: 405.80, partDSurchargeMonthly: 37.50 },
-    { magiMax: 205000, partBMonthly: 527.50, partDSurchargeMonthly: 60.40 },
-    { magiMax: 500000, partBMonthly: 649.20, partDSurchargeMonthly: 83.30 },
-    { magiMax: Infinity, partBMonthly: 689.90, partDSurchargeMonthly: 91.00 }
-  ],
-  married: [
-    { magiMax: 218000, partBMonthly: 202.90, partDSurchargeMonthly: 0 },
-    { magiMax: 274000, partBMonthly: 284.10, partDSurchargeMonthly: 14.50 },
-    { magiMax: 342000, partBMonthly: 405.80, partDSurchargeMonthly: 37.50 },
-    { magiMax: 410000, partBMonthly: 527.50, partDSurchargeMonthly: 60.40 },
-    { magiMax: 750000, partBMonthly: 649.20, partDSurchargeMonthly: 83.30 },
-    { magiMax: Infinity, partBMonthly: 689.90, partDSurchargeMonthly: 91.00 }
-  ]
+// IRMAA brackets are based on MAGI from 2 years prior (2024 for 2026). The base premium
+// and MAGI tiers come from the tax-law registry (law.irmaa, CMS 2026 premiums). Part B and
+// Part D surcharges share the MAGI tiers but are billed separately; the Part D surcharge
+// only applies to Part D enrollees.
+const IRMAA_BASE_YEAR = TAX_LAW_BASE_YEAR;
+
+/**
+ * IRMAA tier a MAGI falls in, with the tier's indexed MAGI bounds
+ * @param {number} magi - MAGI (AGI plus tax-exempt interest)
+ * @param {string} filingStatus - 'single' or 'married'
+ * @param {number} inflationFactor - Cumulative inflation factor for the premium year
+ * @param {object} law - Tax law for the premium year
+ * @returns {{ bracket: number, floor: number, ceiling: number }} ceiling is Infinity in the top tier
+ */
+export const getIRMAATier = (magi, filingStatus, inflationFactor = 1, law = BASE_TAX_LAW) => {
+  const brackets = law.irmaa.brackets[filingStatus] || law.irmaa.brackets.married;
+  const threshold = (i) => (i < 0 ? 0 : brackets[i].magiMax === Infinity ? Infinity : Math.round(brackets[i].magiMax * inflationFactor));
+  let bracket = brackets.length - 1;
+  for (let i = 0; i < brackets.length; i++) {
+    if (magi <= threshold(i)) {
+      bracket = i;
+      break;
+    }
+  }
+  return { bracket, floor: threshold(bracket - 1), ceiling: threshold(bracket) };
 };
 
 /**
@@ -251,247 +1315,847 @@ const IRMAA_BRACKETS = {
  * @param {number} yearsFromBase - Years from IRMAA_BASE_YEAR for inflation adjustment
  * @param {number} inflationRate - Annual inflation rate as percentage
  * @param {number} numPeople - Number of Medicare enrollees (1 or 2 for married couples)
+ * @param {number|null} inflationFactor - Realized cumulative inflation factor (overrides inflationRate)
+ * @param {object} law - Tax law for the year (getTaxLaw); defaults to the base-year law
+ * @param {number} partDPeople - Enrollees with Part D coverage (defaults to numPeople)
  * @returns {{ partBSurcharge: number, partDSurcharge: number, totalAnnualCost: number, bracket: number }}
  */
-export const calculateIRMAA = (magi, filingStatus, yearsFromBase, inflationRate, numPeople = 1) => {
-  const brackets = IRMAA_BRACKETS[filingStatus] || IRMAA_BRACKETS.married;
-  const factor = yearsFromBase > 0 ? Math.pow(1 + inflationRate / 100, yearsFromBase) : 1;
-
-  // Find applicable bracket based on inflation-adjusted MAGI thresholds
-  let bracket = 0;
-  for (let i = 0; i < brackets.length; i++) {
-    const adjustedMax = brackets[i].magiMax === Infinity ? Infinity : Math.round(brackets[i].magiMax * factor);
-    if (magi <= adjustedMax) {
-      bracket = i;
-      break;
-    }
-    bracket = i;
-  }
+export const calculateIRMAA = (magi, filingStatus, yearsFromBase, inflationRate, numPeople = 1, inflationFactor = null, law = BASE_TAX_LAW, partDPeople = numPeople) => {
+  const brackets = law.irmaa.brackets[filingStatus] || law.irmaa.brackets.married;
+  const { bracket } = getIRMAATier(magi, filingStatus, getIndexingFactor(yearsFromBase, inflationRate, inflationFactor), law);
 
   const b = brackets[bracket];
   // Surcharge = total premium minus base premium, per person, annualized
-  const partBSurchargeMonthly = Math.max(0, b.partBMonthly - IRMAA_BASE_PART_B);
+  const partBSurchargeMonthly = Math.max(0, b.partBMonthly - law.irmaa.basePartB);
   const partBSurcharge = partBSurchargeMonthly * 12 * numPeople;
-  const partDSurcharge = b.partDSurchargeMonthly * 12 * numPeople;
+  const partDSurcharge = b.partDSurchargeMonthly * 12 * partDPeople;
   const totalAnnualCost = partBSurcharge + partDSurcharge;
 
   return { partBSurcharge, partDSurcharge, totalAnnualCost, bracket };
 };
 
-// ============================================
-// STATE TAX DATA
-// ============================================
+// ============================================
+// ACA PREMIUM TAX CREDIT — marketplace coverage before Medicare
+// ============================================
+// Unlike IRMAA the credit uses the same year's MAGI (AGI plus untaxed Social Security),
+// so a Roth conversion in a pre-65 year can cost subsidy that year. The poverty line is
+// indexed with the plan's inflation; the applicable percentages come from law.aca.
+
+/**
+ * Premium tax credit for a household buying marketplace coverage
+ * @param {number} magi - Household MAGI for the year (AGI + untaxed SS)
+ * @param {number} householdSize - People in the tax household (sets the poverty line)
+ * @param {number} benchmarkPremium - Annual benchmark silver premium for the people covered
+ * @param {number} inflationFactor - Cumulative inflation since TAX_LAW_BASE_YEAR
+ * @param {object} law - Tax law for the year (getTaxLaw); defaults to the base-year law
+ * @returns {object} { credit, expectedContribution, applicablePercent, fplPercent,
+ *   cliffMagi (null when there is no cliff), overCliff }
+ */
+export const calculateACAPremiumCredit = (magi, householdSize, benchmarkPremium, inflationFactor = 1, law = BASE_TAX_LAW) => {
+  const rules = law.aca;
+  const povertyLine = rules
+    ? (rules.fpl.base + rules.fpl.perPerson * Math.max(0, householdSize - 1)) * inflationFactor
+    : 0;
+  const cliffMagi = rules?.cliffFpl ? rules.cliffFpl * povertyLine : null;
+  const fplPercent = povertyLine > 0 ? Math.max(0, magi) / povertyLine * 100 : 0;
+  const none = { credit: 0, expectedContribution: 0, applicablePercent: 0, fplPercent, cliffMagi, overCliff: false };
+  if (!rules || benchmarkPremium <= 0) return none;
+  if (cliffMagi !== null && magi > cliffMagi) return { ...none, overCliff: true };
+
+  // Interpolate within the income band. Households under 100% FPL land in Medicaid or the
+  // coverage gap depending on the state; they're charged the lowest percentage here.
+  const ratio = fplPercent / 100;
+  const bands = rules.applicablePercentages;
+  let applicablePercent = bands[bands.length - 1].end;
+  let lower = 0;
+  for (const band of bands) {
+    if (ratio <= band.fplMax) {
+      const width = band.fplMax - lower;
+      const position = Number.isFinite(width) && width > 0 ? Math.max(0, ratio - lower) / width : 0;
+      applicablePercent = band.start + (band.end - band.start) * position;
+      break;
+    }
+    lower = band.fplMax;
+  }
+  const expectedContribution = applicablePercent * Math.max(0, magi);
+  return {
+    credit: Math.max(0, benchmarkPremium - expectedContribution),
+    expectedContribution,
+    applicablePercent,
+    fplPercent,
+    cliffMagi,
+    overCliff: false
+  };
+};
+
+// ============================================
+// STATE INCOME TAX
+// ============================================
+
+// Tables live in constants/stateTaxes; re-exported here for the existing importers
+export { STATE_TAX_DATA };
+
+// Tax an amount through a marginal schedule (rates in %), optionally indexing the thresholds
+const applyStateBrackets = (amount, brackets, scale = 1) => {
+  let tax = 0;
+  for (const bracket of brackets) {
+    const min = bracket.min * scale;
+    if (amount <= min) break;
+    const max = bracket.max === Infinity ? Infinity : bracket.max * scale;
+    tax += (Math.min(amount, max) - min) * (bracket.rate / 100);
+  }
+  return tax;
+};
+
+// Share of an AGI-tested benefit that survives a phase-out: proportional over `range`,
+// or stepped tiers [{ max, share }]
+const agiPhaseoutShare = (rule, agi, status) => {
+  if (rule.agiTiers) {
+    const tier = rule.agiTiers.find(t => agi <= t.max);
+    return tier ? tier.share : 0;
+  }
+  if (rule.phaseout?.range) {
+    const over = agi - rule.phaseout.start[status];
+    return over <= 0 ? 1 : Math.max(0, 1 - over / rule.phaseout.range);
+  }
+  return 1;
+};
+
+/**
+ * Federally taxable SS the state also taxes, after its exemptions
+ * @param {string|object} rule - STATE_TAX_DATA ss rule
+ * @param {number} taxableSS - Federally taxable SS
+ * @param {number} ssBenefits - Gross SS benefits
+ * @param {number} agi - Federal AGI
+ * @param {string} status - 'single' or 'married'
+ * @param {number[]} ages - Ages of the living taxpayers (benefits split evenly)
+ * @returns {number} State-taxable SS
+ */
+const getStateTaxableSS = (rule, taxableSS, ssBenefits, agi, status, ages) => {
+  if (taxableSS <= 0 || rule === 'exempt') return 0;
+  if (!rule || rule === 'federal') return taxableSS;
+
+  const ageShare = (minAge = 0) => ages.filter(a => a >= minAge).length / ages.length;
+  let taxed = taxableSS;
+  if (rule.exemptAge) taxed -= taxableSS * ageShare(rule.exemptAge);
+
+  if (rule.limit && taxed > 0) {
+    const share = ageShare(rule.minAge);
+    const eligible = taxed * share;
+    const over = agi - rule.limit[status];
+    let exempt = eligible;
+    if (over > 0) {
+      if (rule.phaseoutRange) exempt = eligible * Math.max(0, 1 - over / rule.phaseoutRange);
+      else if (rule.phaseoutRate) exempt = Math.max(0, eligible - over * rule.phaseoutRate);
+      else if (rule.aboveShare != null) exempt = Math.max(0, eligible - rule.aboveShare * ssBenefits * share);
+      else exempt = 0;
+    }
+    taxed -= exempt;
+  }
+  return Math.max(0, taxed);
+};
+
+/**
+ * Apply a state's retirement-income exclusions, reducing the income pools in place
+ * @param {Array} rules - STATE_TAX_DATA retirementExclusions
+ * @param {object} pools - Income by category (ss, pension, ira, wages, investment, capitalGains, other)
+ * @param {object} context - { status, agi, ages, ssBenefits }
+ * @returns {number} Total excluded
+ */
+const applyRetirementExclusions = (rules, pools, { status, agi, ages, ssBenefits }) => {
+  let total = 0;
+  rules.forEach(rule => {
+    const categories = rule.appliesTo === 'all' ? Object.keys(pools) : rule.appliesTo;
+    const eligible = categories.reduce((sum, c) => sum + pools[c], 0);
+    if (eligible <= 0) return;
+    if (rule.agiLimit && agi > rule.agiLimit[status]) return;
+
+    const qualifying = ages.filter(a => a >= (rule.minAge ?? 0) && a <= (rule.maxAge ?? Infinity)).length;
+    if (qualifying === 0) return;
+
+    // Per-person caps apply to each spouse's half of the income
+    let cap;
+    if (rule.perHousehold) {
+      cap = rule.perHousehold[status];
+    } else {
+      const perPerson = Math.max(0, rule.amount - (rule.reducedBySS ? ssBenefits / ages.length : 0));
+      cap = qualifying * Math.min(perPerson, eligible / ages.length);
+    }
+    cap *= agiPhaseoutShare(rule, agi, status);
+    if (rule.phaseout?.rate) cap = Math.max(0, cap - Math.max(0, agi - rule.phaseout.start[status]) * rule.phaseout.rate);
+
+    const excluded = Math.min(cap, eligible);
+    if (excluded <= 0) return;
+    categories.forEach(c => { pools[c] -= pools[c] * (excluded / eligible); });
+    total += excluded;
+  });
+  return total;
+};
+
+/**
+ * Calculate state (and local) income tax from an income breakdown, applying the state's
+ * brackets, deduction, Social Security rule and retirement-income exclusions
+ * @param {object} params
+ * @param {string} params.stateCode - State abbreviation
+ * @param {string} params.filingStatus - 'single' or 'married'
+ * @param {object} params.income - { ss (federally taxable SS), pension, ira, wages,
+ *   investment (dividends), capitalGains (long-term gains), other }
+ * @param {number} params.ssBenefits - Gross SS benefits (for partial-exemption rules)
+ * @param {number} params.agi - Federal AGI (for income-tested rules)
+ * @param {number[]} params.taxpayerAges - Ages of the living taxpayers; age-based rules
+ *   only apply to spouses who meet them
+ * @param {number} params.federalDeduction - Federal standard deduction, for states that use it
+ * @param {number} params.inflationFactor - Cumulative inflation since the base year
+ * @param {string} params.localTaxCode - Key into the state's localTaxes ('' = none)
+ * @returns {object} { stateTax, localTax, taxableIncome, exclusions, ssExcluded, deduction }
+ */
+export const calculateStateTax = ({
+  stateCode,
+  filingStatus = 'married',
+  income = {},
+  ssBenefits = 0,
+  agi = 0,
+  taxpayerAges = [],
+  federalDeduction = 0,
+  inflationFactor = 1,
+  localTaxCode = ''
+}) => {
+  const state = STATE_TAX_DATA[stateCode];
+  if (!state) return { stateTax: 0, localTax: 0, taxableIncome: 0, exclusions: 0, ssExcluded: 0, deduction: 0 };
+
+  const status = filingStatus === 'married' ? 'married' : 'single';
+  const ages = taxpayerAges.length > 0 ? taxpayerAges : [0];
+  const scale = state.indexed ? inflationFactor : 1;
+
+  const pools = {
+    ss: income.ss || 0,
+    pension: income.pension || 0,
+    ira: income.ira || 0,
+    wages: income.wages || 0,
+    investment: income.investment || 0,
+    capitalGains: (income.capitalGains || 0) * (1 - (state.capitalGainsExclusion || 0)),
+    other: income.other || 0
+  };
+  const stateSS = getStateTaxableSS(state.ss, pools.ss, ssBenefits, agi, status, ages);
+  const ssExcluded = pools.ss - stateSS;
+  pools.ss = stateSS;
+
+  const exclusions = applyRetirementExclusions(state.retirementExclusions || [], pools, { status, agi, ages, ssBenefits });
+
+  const deduction = state.deduction === 'federal'
+    ? federalDeduction
+    : (state.deduction?.[status] || 0) * scale;
+  const stateIncome = Object.values(pools).reduce((sum, v) => sum + v, 0);
+  const taxableIncome = Math.max(0, stateIncome - deduction);
+
+  // Some states use the same brackets for all filers (only 'single' key)
+  let stateTax = state.brackets
+    ? applyStateBrackets(taxableIncome, state.brackets[status] || state.brackets.single, scale)
+    : taxableIncome * (state.rate / 100);
+  if (state.capitalGainsTax) {
+    const gains = Math.max(0, (income.capitalGains || 0) - state.capitalGainsTax.exemption * scale);
+    stateTax += applyStateBrackets(gains, state.capitalGainsTax.brackets, scale);
+  }
+
+  // Local income tax on the state base (county rate, city brackets, or a surcharge on state tax)
+  const local = state.localTaxes?.[localTaxCode];
+  let localTax = 0;
+  if (local?.brackets) localTax = applyStateBrackets(taxableIncome, local.brackets[status] || local.brackets.single);
+  else if (local?.rate) localTax = taxableIncome * (local.rate / 100);
+  else if (local?.stateTaxSurcharge) localTax = stateTax * (local.stateTaxSurcharge / 100);
+
+  return { stateTax, localTax, taxableIncome, exclusions, ssExcluded, deduction };
+};
+
+/**
+ * Residency periods in start-age order. Each period is { stateCode, startAge, localTaxCode }
+ * with startAge on the client's age; the plan's own state applies before the first period.
+ * Periods without a start age are ignored.
+ * @param {object} inputs - Plan inputs
+ * @returns {Array} Sorted periods
+ */
+export const getResidencyPeriods = (inputs) => (inputs.residencyPeriods || [])
+  .filter(p => p && p.startAge !== '' && Number.isFinite(Number(p.startAge)))
+  .map(p => ({ ...p, startAge: Number(p.startAge) }))
+  .sort((a, b) => a.startAge - b.startAge);
+
+/**
+ * State tax settings for a plan: state, local jurisdiction and the legacy flat rate.
+ * With residency periods, pass the client's age to get the state they live in that year.
+ * @param {object} inputs - Plan inputs
+ * @param {number} age - Client age for the year (omit for the plan's home state)
+ * @returns {object} { stateRate, stateCode, localTaxCode } for calculateAnnualTax taxSettings
+ */
+export const getPlanStateTax = (inputs, age) => {
+  const home = {
+    stateRate: inputs.stateRate || 0,
+    stateCode: inputs.stateCode || '',
+    localTaxCode: inputs.localTaxCode || ''
+  };
+  if (age === undefined || !inputs.residencyPeriods?.length) return home;
+  const period = getResidencyPeriods(inputs).filter(p => p.startAge <= age).pop();
+  if (!period) return home;
+  const stateCode = period.stateCode || '';
+  return {
+    // The flat rate only matters when no state is picked; track the new state's rate otherwise
+    stateRate: STATE_TAX_DATA[stateCode] ? getStateRepresentativeRate(stateCode, inputs.filingStatus || 'married') : 0,
+    stateCode,
+    localTaxCode: period.localTaxCode ?? (STATE_TAX_DATA[stateCode]?.defaultLocalTax || '')
+  };
+};
+
+/**
+ * First relocation in the plan: when the client moves and between which states
+ * @param {object} inputs - Plan inputs
+ * @returns {object|null} { age, fromState, toState, fromRate, toRate } or null with no move
+ */
+export const getPlanRelocation = (inputs) => {
+  const home = getPlanStateTax(inputs);
+  const move = getResidencyPeriods(inputs).find(p => (p.stateCode || '') !== home.stateCode);
+  if (!move) return null;
+  const to = getPlanStateTax(inputs, move.startAge);
+  const rateOf = (settings) => (STATE_TAX_DATA[settings.stateCode]
+    ? getStateRepresentativeRate(settings.stateCode, inputs.filingStatus || 'married')
+    : settings.stateRate);
+  return { age: move.startAge, fromState: home.stateCode, toState: to.stateCode, fromRate: rateOf(home), toRate: rateOf(to) };
+};
+
+/**
+ * Get inflation-adjusted federal tax brackets for a future year
+ * @param {string} filingStatus - 'single' or 'married'
+ * @param {number} yearsFromBase - Years from TAX_BRACKET_BASE_YEAR (can be 0 for base year)
+ * @param {number} inflationRate - Annual inflation rate as percentage (e.g. 2.5)
+ * @param {number|null} inflationFactor - Realized cumulative inflation factor (overrides inflationRate)
+ * @param {object} law - Tax law for the year (getTaxLaw); defaults to the base-year law
+ * @returns {Array} Brackets with inflation-adjusted min/max thresholds
+ */
+export const getInflationAdjustedBrackets = (filingStatus, yearsFromBase, inflationRate, inflationFactor = null, law = BASE_TAX_LAW) => {
+  const brackets = law.federalBrackets[filingStatus] || law.federalBrackets.married;
+  return indexBrackets(brackets, getIndexingFactor(yearsFromBase, inflationRate, inflationFactor));
+};
+
+export const getInflationAdjustedQDivBrackets = (filingStatus, yearsFromBase, inflationRate, inflationFactor = null, law = BASE_TAX_LAW) => {
+  const brackets = law.qdivBrackets[filingStatus] || law.qdivBrackets.married;
+  return indexBrackets(brackets, getIndexingFactor(yearsFromBase, inflationRate, inflationFactor));
+};
+
+/**
+ * Get inflation-adjusted standard deduction for a future year
+ * @param {string} filingStatus - 'single' or 'married'
+ * @param {number} yearsFromBase - Years from TAX_BRACKET_BASE_YEAR
+ * @param {number} inflationRate - Annual inflation rate as percentage
+ * @param {boolean} isSenior - Whether taxpayer is 65+
+ * @param {number|null} inflationFactor - Realized cumulative inflation factor (overrides inflationRate)
+ * @param {object} law - Tax law for the year (getTaxLaw); defaults to the base-year law
+ * @returns {number} Inflation-adjusted standard deduction
+ */
+export const getInflationAdjustedDeduction = (filingStatus, yearsFromBase, inflationRate, isSenior = true, inflationFactor = null, law = BASE_TAX_LAW) => {
+  const factor = getIndexingFactor(yearsFromBase, inflationRate, inflationFactor);
+  let deduction = (law.standardDeduction[filingStatus] || law.standardDeduction.married) * factor;
+  if (isSenior) {
+    const seniorBonus = (law.seniorBonus[filingStatus] || law.seniorBonus.married) * factor;
+    deduction += filingStatus === 'married' ? seniorBonus * 2 : seniorBonus;
+  }
+  return Math.round(deduction);
+};
+
+/**
+ * Senior deduction added by OBBBA (2025–2028 under current law): a flat amount per person
+ * 65+, reduced by a share of MAGI over the threshold. Not inflation-indexed; 0 in years
+ * the law has repealed it. Assumes both spouses are 65+ when married, like the standard
+ * deduction's senior bonus.
+ * @param {string} filingStatus - 'single' or 'married'
+ * @param {number} magi - Modified AGI
+ * @param {boolean} isSenior - Whether taxpayer is 65+
+ * @param {object} law - Tax law for the year (getTaxLaw)
+ * @returns {number} Deduction amount
+ */
+export const calculateEnhancedSeniorDeduction = (filingStatus, magi, isSenior = true, law = BASE_TAX_LAW) => {
+  const provision = law.enhancedSeniorDeduction;
+  if (!isSenior || !provision) return 0;
+  const people = filingStatus === 'married' ? 2 : 1;
+  const threshold = provision.phaseoutStart[filingStatus] || provision.phaseoutStart.married;
+  const reduction = Math.max(0, magi - threshold) * provision.phaseoutRate;
+  return Math.round(Math.max(0, provision.perPerson * people - reduction));
+};
+
+// ============================================
+// NQ COST BASIS
+// ============================================
+
+// Lot-relief methods for NQ sales: 'proportional' sells a slice of every lot (average
+// cost); 'hifo' identifies specific lots, highest basis per dollar first, which defers
+// the most gain.
+export const NQ_LOT_METHODS = {
+  proportional: { label: 'Proportional (average cost)' },
+  hifo: { label: 'Specific lots (highest cost first)' }
+};
+
+// Harvesting policies for the NQ lots. Loss harvesting sells lots trading below basis
+// and buys a similar (not substantially identical) fund, banking the loss; gain
+// harvesting sells and rebuys appreciated lots in years with 0% LTCG room, raising
+// basis for free. Banked losses must offset gains first, even gains the 0% bracket would
+// have covered, so loss harvesting pays most when the household's gains are taxed.
+export const NQ_HARVEST_POLICIES = {
+  none: { label: 'No harvesting', losses: false, gains: false },
+  losses: { label: 'Harvest losses', losses: true, gains: false },
+  gains: { label: 'Harvest gains at 0%', losses: false, gains: true },
+  both: { label: 'Harvest losses and 0% gains', losses: true, gains: true }
+};
+
+// A lot is only worth harvesting once its loss is at least this share of its basis
+const HARVEST_MIN_LOSS_PCT = 0.05;
+
+/**
+ * Starting NQ tax lots for a plan. Each lot is { owner, value, basis } with owner
+ * 'client', 'partner' or 'joint'. Advanced Mode NQ accounts supply a costBasis or their
+ * own lots ({ basis, value }, scaled so the lot values add up to the account balance);
+ * without either the balance is its own basis. Simple Mode uses nqCostBasisPercent of
+ * the NQ balance as one joint (or client) lot.
+ * @param {object} inputs - Plan inputs
+ * @param {number} nqBalance - Simple Mode NQ balance
+ * @param {boolean} isMarried - Household is married (unowned money is joint)
+ * @returns {Array} Lots
+ */
+export const getInitialNQLots = (inputs, nqBalance, isMarried = false) => {
+  const householdOwner = isMarried ? 'joint' : 'client';
+  const nqAccounts = (inputs.accounts || []).filter(a => a.type === 'nq');
+  if ((inputs.accounts || []).length === 0) {
+    const basisPct = (inputs.nqCostBasisPercent ?? 100) / 100;
+    return nqBalance > 0 ? [{ owner: householdOwner, value: nqBalance, basis: nqBalance * basisPct }] : [];
+  }
+  return nqAccounts.flatMap(a => {
+    const balance = a.balance || 0;
+    const owner = a.owner === 'joint' && !isMarried ? 'client' : (a.owner || 'client');
+    const lots = (a.lots || []).filter(l => (Number(l.value) || 0) > 0);
+    if (lots.length > 0) {
+      const lotTotal = lots.reduce((s, l) => s + Number(l.value), 0);
+      const scale = balance > 0 ? balance / lotTotal : 1;
+      return lots.map(l => ({ owner, value: Number(l.value) * scale, basis: Math.max(0, Number(l.basis) || 0) }));
+    }
+    if (balance <= 0) return [];
+    return [{ owner, value: balance, basis: Math.max(0, a.costBasis ?? balance) }];
+  });
+};
+
+/**
+ * Cost-basis tracker for the NQ balance. The engine's nqAccountBalance stays the source
+ * of truth for value; the tracker follows it (scaleTo) and records basis per lot, so
+ * sales realize gain against basis and the first death can step basis up.
+ * @param {Array} lots - Starting lots (getInitialNQLots)
+ * @param {string} method - NQ_LOT_METHODS key
+ * @returns {object} Tracker
+ */
+export const createNQBasisTracker = (lots = [], method = 'proportional') => {
+  let held = lots.map(l => ({ ...l }));
+  const totalValue = () => held.reduce((s, l) => s + l.value, 0);
+  const totalBasis = () => held.reduce((s, l) => s + l.basis, 0);
+
+  // Order lots are relieved in: HIFO sells the highest basis-to-value lots first
+  const saleOrder = () => (method === 'hifo'
+    ? [...held].sort((a, b) => (b.basis / (b.value || 1)) - (a.basis / (a.value || 1)))
+    : held);
+
+  // Walk a sale without changing anything; returns [lot, value sold, basis relieved] steps
+  const planSale = (amount) => {
+    const value = totalValue();
+    const sell = Math.min(Math.max(0, amount), value);
+    if (sell <= 0 || value <= 0) return [];
+    if (method !== 'hifo') {
+      const share = sell / value;
+      return held.map(l => [l, l.value * share, l.basis * share]);
+    }
+    const steps = [];
+    let remaining = sell;
+    for (const lot of saleOrder()) {
+      if (remaining <= 0) break;
+      const sold = Math.min(remaining, lot.value);
+      steps.push([lot, sold, lot.value > 0 ? lot.basis * (sold / lot.value) : 0]);
+      remaining -= sold;
+    }
+    return steps;
+  };
+
+  return {
+    value: totalValue,
+    basis: totalBasis,
+    unrealizedGain: () => totalValue() - totalBasis(),
+    lots: () => held.map(l => ({ ...l })),
+
+    // Market moves and untracked outflows: rescale lot values to the engine's balance
+    scaleTo(balance) {
+      const value = totalValue();
+      if (balance <= 0) { held = []; return; }
+      if (value <= 0) { held = [{ owner: 'joint', value: balance, basis: balance }]; return; }
+      const scale = balance / value;
+      held.forEach(l => { l.value *= scale; });
+    },
+
+    // New money bought at today's price (surplus, RMD excess, contributions)
+    add(amount, owner = 'joint') {
+      if (amount > 0) held.push({ owner, value: amount, basis: amount });
+    },
+
+    // Reinvested dividends and realized distributions add basis without adding value
+    addBasis(amount) {
+      const value = totalValue();
+      if (amount <= 0 || value <= 0) return;
+      held.forEach(l => { l.basis += amount * (l.value / value); });
+    },
+
+    // Gain a sale of this size would realize (negative = loss)
+    previewGain(amount) {
+      return planSale(amount).reduce((s, [, sold, basis]) => s + sold - basis, 0);
+    },
+
+    // Sell and relieve basis; returns the realized gain
+    sell(amount) {
+      const steps = planSale(amount);
+      let gain = 0;
+      steps.forEach(([lot, sold, basis]) => {
+        lot.value -= sold;
+        lot.basis -= basis;
+        gain += sold - basis;
+      });
+      held = held.filter(l => l.value > 0.01);
+      return gain;
+    },
+
+    // Market value of the lots worth giving away (those with a gain)
+    appreciatedValue: () => held.filter(l => l.value > l.basis).reduce((s, l) => s + l.value, 0),
+
+    // Give appreciated shares to charity, most gain per dollar first; no gain is realized.
+    // Returns the value given.
+    donate(amount) {
+      let remaining = Math.max(0, amount);
+      [...held].filter(l => l.value > l.basis)
+        .sort((a, b) => ((b.value - b.basis) / b.value) - ((a.value - a.basis) / a.value))
+        .forEach(l => {
+          if (remaining <= 0) return;
+          const given = Math.min(remaining, l.value);
+          l.basis -= l.basis * (given / l.value);
+          l.value -= given;
+          remaining -= given;
+        });
+      held = held.filter(l => l.value > 0.01);
+      return Math.max(0, amount) - remaining;
+    },
+
+    // Sell and rebuy every lot sitting at a meaningful loss; returns the loss realized
+    harvestLosses(minLossPct = HARVEST_MIN_LOSS_PCT) {
+      let loss = 0;
+      held.forEach(l => {
+        if (l.basis - l.value > l.basis * minLossPct) {
+          loss += l.basis - l.value;
+          l.basis = l.value;
+        }
+      });
+      return loss;
+    },
+
+    // Sell and rebuy appreciated lots (most gain per dollar first) until `amount` of gain
+    // is realized; returns the gain realized
+    harvestGains(amount) {
+      let remaining = Math.max(0, amount);
+      [...held].sort((a, b) => ((b.value - b.basis) / (b.value || 1)) - ((a.value - a.basis) / (a.value || 1)))
+        .forEach(l => {
+          const gain = Math.min(remaining, Math.max(0, l.value - l.basis));
+          l.basis += gain;
+          remaining -= gain;
+        });
+      return Math.max(0, amount) - remaining;
+    },
+
+    // Basis adjustment at a death (IRC §1014): the decedent's lots take their market
+    // value; joint lots step up in full in community-property states and by half elsewhere
+    stepUp(deceased, survivor, communityProperty = false) {
+      held.forEach(l => {
+        if (l.owner === deceased) {
+          l.basis = l.value;
+          l.owner = survivor;
+        } else if (l.owner === 'joint') {
+          l.basis = communityProperty ? l.value : (l.basis + l.value) / 2;
+          l.owner = survivor;
+        }
+      });
+    }
+  };
+};
+
+// ============================================
+// CHARITABLE GIVING
+// ============================================
+
+/**
+ * This year's charitable gift under the plan's giving goals. Goals
+ * (inputs.charitableGifts: { amount, startAge, endAge }) are annual amounts in today's
+ * dollars keyed on the client's age. With charitableBunchYears > 1 the years before anyone
+ * can make a QCD are bunched: every Nth plan year funds a donor-advised fund with the next
+ * N years of giving, so that year itemizes, and the DAF makes the grants in between. Once
+ * a living spouse can make QCDs, gifts go out every year.
+ * @param {object} inputs - Plan inputs
+ * @param {object} year - { age (client), livingAges (living spouses' ages), yearIndex
+ *   (0-based plan year), inflationIndex, law }
+ * @returns {object} { goal, gift, viaDAF, qcdEligible } — goal is this year's giving,
+ *   gift what the household actually transfers this year
+ */
+export const getCharitableGift = (inputs, { age, livingAges = [], yearIndex = 0, inflationIndex = 1, law = BASE_TAX_LAW }) => {
+  const gifts = (inputs.charitableGifts || []).filter(g => (Number(g.amount) || 0) > 0);
+  const goalAt = (k) => gifts.reduce((sum, g) => {
+    const start = g.startAge === '' || g.startAge == null ? -Infinity : Number(g.startAge);
+    const end = g.endAge === '' || g.endAge == null ? Infinity : Number(g.endAge);
+    return age + k >= start && age + k <= end ? sum + Number(g.amount) : sum;
+  }, 0);
+  // Annual ages can't see the half-year, so QCDs start the year a spouse turns 71
+  const qcdAge = Math.ceil(law.charitable?.qcdMinAge ?? 70.5);
+  const qcdAt = (k) => livingAges.some(a => a + k >= qcdAge);
+
+  const goal = goalAt(0) * inflationIndex;
+  const bunchYears = Math.max(1, Math.round(Number(inputs.charitableBunchYears) || 1));
+  if (bunchYears === 1 || qcdAt(0)) return { goal, gift: goal, viaDAF: false, qcdEligible: qcdAt(0) };
+  if (yearIndex % bunchYears !== 0) return { goal, gift: 0, viaDAF: true, qcdEligible: false };
+  let bunched = 0;
+  for (let k = 0; k < bunchYears; k++) {
+    if (!qcdAt(k)) bunched += goalAt(k);
+  }
+  return { goal, gift: bunched * inflationIndex, viaDAF: true, qcdEligible: false };
+};
+
+// ============================================
+// INHERITED IRAS (SECURE ACT 10-YEAR RULE)
+// ============================================
+
+// A non-spouse beneficiary empties an inherited IRA over the 10 years after the death
+export const SECURE_ACT_PAYOUT_YEARS = 10;
+
+/**
+ * Grow inherited-IRA tranches for a year and take the year's forced distribution: each
+ * balance spread evenly over the years left before its deadline, all of it in the last.
+ * @param {Array<{balance, deadlineYear}>} tranches - Open tranches (balances updated in place)
+ * @param {number} growthRate - The year's growth (decimal)
+ * @param {number} calendarYear - Year being distributed
+ * @returns {object} { distribution, tranches } — tranches still open after the year
+ */
+export const distributeInheritedTranches = (tranches, growthRate, calendarYear) => {
+  let distribution = 0;
+  tranches.forEach(t => {
+    t.balance *= (1 + growthRate);
+    const yearsRemaining = Math.max(1, t.deadlineYear - calendarYear);
+    const forced = yearsRemaining <= 1 ? t.balance : t.balance / yearsRemaining;
+    distribution += forced;
+    t.balance = Math.max(0, t.balance - forced);
+  });
+  return { distribution, tranches: tranches.filter(t => t.balance > 1) };
+};
+
+/**
+ * What heirs keep of a pre-tax balance left at death. Each beneficiary in
+ * inputs.beneficiaries ({ name, share %, age, annualIncome in today's dollars, filingStatus,
+ * stateCode }) inherits their share as an IRA emptied under the 10-year rule and pays the
+ * tax those distributions add to their own income, at their own brackets and state. Blank
+ * shares split evenly. Without beneficiaries the balance is taxed at options.flatRate.
+ * @param {number} balance - Pre-tax balance at death
+ * @param {object} inputs - Plan inputs (beneficiaries, tax-law version and overrides, inflationRate)
+ * @param {object} options - { year (of death), inflationIndex (that year's, vs today),
+ *   growthRate (inherited account, decimal), flatRate }
+ * @returns {object} { beneficiaries: [{ id, name, inherited, distributed, taxPaid,
+ *   effectiveRate, tax, kept, distributions: [{ year, amount, tax }] }], inherited, tax,
+ *   kept, effectiveRate } — tax and kept in death-year dollars
+ */
+export const simulateHeirInheritance = (balance, inputs, { year = new Date().getFullYear(), inflationIndex = 1, growthRate = 0.05, flatRate = 0.24 } = {}) => {
+  const inheritedTotal = Math.max(0, balance || 0);
+  const heirs = inputs.beneficiaries || [];
+  if (heirs.length === 0) {
+    const tax = inheritedTotal * flatRate;
+    return { beneficiaries: [], inherited: inheritedTotal, tax, kept: inheritedTotal - tax, effectiveRate: flatRate };
+  }
 
-// State tax rules: effective income tax rate and Social Security taxability
-// Rates are effective/flat approximations for retirement income in the moderate bracket.
-// States with progressive brackets use a representative rate for $50k-$150k income range.
-// ssTaxable: false = state fully exempts SS, true = state taxes SS (may have partial exemptions)
-// State tax data: flat rate OR marginal brackets for each state
-// brackets: if present, used for marginal calculation (array for single/married or single array for all filers)
-// rate: flat rate (used when no brackets defined, or as display summary)
-// ssTaxable: whether state taxes Social Security benefits
-export const STATE_TAX_DATA = {
-  'AL': { name: 'Alabama', rate: 5.0, ssTaxable: false, brackets: {
-    single:  [{ min: 0, max: 500, rate: 2 }, { min: 500, max: 3000, rate: 4 }, { min: 3000, max: Infinity, rate: 5 }],
-    married: [{ min: 0, max: 1000, rate: 2 }, { min: 1000, max: 6000, rate: 4 }, { min: 6000, max: Infinity, rate: 5 }]
-  }},
-  'AK': { name: 'Alaska', rate: 0, ssTaxable: false },
-  'AZ': { name: 'Arizona', rate: 2.5, ssTaxable: false },
-  'AR': { name: 'Arkansas', rate: 3.9, ssTaxable: false, brackets: {
-    single: [{ min: 0, max: 5500, rate: 0 }, { min: 5500, max: 10900, rate: 2 }, { min: 10900, max: 15600, rate: 3 }, { min: 15600, max: 25700, rate: 3.4 }, { min: 25700, max: Infinity, rate: 3.9 }]
-  }},
-  'CA': { name: 'California', rate: 9.3, ssTaxable: false, brackets: {
-    single:  [{ min: 0, max: 11079, rate: 1 }, { min: 11079, max: 26264, rate: 2 }, { min: 26264, max: 41452, rate: 4 }, { min: 41452, max: 57542, rate: 6 }, { min: 57542, max: 72724, rate: 8 }, { min: 72724, max: 371479, rate: 9.3 }, { min: 371479, max: 445771, rate: 10.3 }, { min: 445771, max: 742953, rate: 11.3 }, { min: 742953, max: Infinity, rate: 12.3 }],
-    married: [{ min: 0, max: 22158, rate: 1 }, { min: 22158, max: 52528, rate: 2 }, { min: 52528, max: 82904, rate: 4 }, { min: 82904, max: 115084, rate: 6 }, { min: 115084, max: 145448, rate: 8 }, { min: 145448, max: 742958, rate: 9.3 }, { min: 742958, max: 891542, rate: 10.3 }, { min: 891542, max: 1485906, rate: 11.3 }, { min: 1485906, max: Infinity, rate: 12.3 }]
-  }},
-  'CO': { name: 'Colorado', rate: 4.4, ssTaxable: true },
-  'CT': { name: 'Connecticut', rate: 6.99, ssTaxable: true, brackets: {
-    single:  [{ min: 0, max: 10000, rate: 2 }, { min: 10000, max: 50000, rate: 4.5 }, { min: 50000, max: 100000, rate: 5.5 }, { min: 100000, max: 200000, rate: 6 }, { min: 200000, max: 250000, rate: 6.5 }, { min: 250000, max: 500000, rate: 6.9 }, { min: 500000, max: Infinity, rate: 6.99 }],
-    married: [{ min: 0, max: 20000, rate: 2 }, { min: 20000, max: 100000, rate: 4.5 }, { min: 100000, max: 200000, rate: 5.5 }, { min: 200000, max: 400000, rate: 6 }, { min: 400000, max: 500000, rate: 6.5 }, { min: 500000, max: 1000000, rate: 6.9 }, { min: 1000000, max: Infinity, rate: 6.99 }]
-  }},
-  'DE': { name: 'Delaware', rate: 6.6, ssTaxable: false, brackets: {
-    single: [{ min: 0, max: 2000, rate: 0 }, { min: 2000, max: 5000, rate: 2.2 }, { min: 5000, max: 10000, rate: 3.9 }, { min: 10000, max: 20000, rate: 4.8 }, { min: 20000, max: 25000, rate: 5.2 }, { min: 25000, max: 60000, rate: 5.55 }, { min: 60000, max: Infinity, rate: 6.6 }]
-  }},
-  'DC': { name: 'District of Columbia', rate: 10.75, ssTaxable: false, brackets: {
-    single: [{ min: 0, max: 10000, rate: 4 }, { min: 10000, max: 40000, rate: 6 }, { min: 40000, max: 60000, rate: 6.5 }, { min: 60000, max: 250000, rate: 8.5 }, { min: 250000, max: 500000, rate: 9.25 }, { min: 500000, max: 1000000, rate: 9.75 }, { min: 1000000, max: Infinity, rate: 10.75 }]
-  }},
-  'FL': { name: 'Florida', rate: 0, ssTaxable: false },
-  'GA': { name: 'Georgia', rate: 5.19, ssTaxable: false },
-  'HI': { name: 'Hawaii', rate: 11.0, ssTaxable: false, brackets: {
-    single:  [{ min: 0, max: 9600, rate: 1.4 }, { min: 9600, max: 14400, rate: 3.2 }, { min: 14400, max: 19200, rate: 5.5 }, { min: 19200, max: 24000, rate: 6.4 }, { min: 24000, max: 36000, rate: 6.8 }, { min: 36000, max: 48000, rate: 7.2 }, { min: 48000, max: 125000, rate: 7.6 }, { min: 125000, max: 175000, rate: 7.9 }, { min: 175000, max: 225000, rate: 8.25 }, { min: 225000, max: 275000, rate: 9 }, { min: 275000, max: 325000, rate: 10 }, { min: 325000, max: Infinity, rate: 11 }],
-    married: [{ min: 0, max: 19200, rate: 1.4 }, { min: 19200, max: 28800, rate: 3.2 }, { min: 28800, max: 38400, rate: 5.5 }, { min: 38400, max: 48000, rate: 6.4 }, { min: 48000, max: 72000, rate: 6.8 }, { min: 72000, max: 96000, rate: 7.2 }, { min: 96000, max: 250000, rate: 7.6 }, { min: 250000, max: 350000, rate: 7.9 }, { min: 350000, max: 450000, rate: 8.25 }, { min: 450000, max: 550000, rate: 9 }, { min: 550000, max: 650000, rate: 10 }, { min: 650000, max: Infinity, rate: 11 }]
-  }},
-  'ID': { name: 'Idaho', rate: 5.695, ssTaxable: false },
-  'IL': { name: 'Illinois', rate: 4.95, ssTaxable: false },
-  'IN': { name: 'Indiana', rate: 3.0, ssTaxable: false },
-  'IA': { name: 'Iowa', rate: 3.8, ssTaxable: false },
-  'KS': { name: 'Kansas', rate: 5.7, ssTaxable: true, brackets: {
-    single:  [{ min: 0, max: 15000, rate: 3.1 }, { min: 15000, max: 30000, rate: 5.25 }, { min: 30000, max: Infinity, rate: 5.7 }],
-    married: [{ min: 0, max: 30000, rate: 3.1 }, { min: 30000, max: 60000, rate: 5.25 }, { min: 60000, max: Infinity, rate: 5.7 }]
-  }},
-  'KY': { name: 'Kentucky', rate: 4.0, ssTaxable: false },
-  'LA': { name: 'Louisiana', rate: 3.0, ssTaxable: false },
-  'ME': { name: 'Maine', rate: 7.15, ssTaxable: false, brackets: {
-    single:  [{ min: 0, max: 26800, rate: 5.8 }, { min: 26800, max: 63450, rate: 6.75 }, { min: 63450, max: Infinity, rate: 7.15 }],
-    married: [{ min: 0, max: 53600, rate: 5.8 }, { min: 53600, max: 126900, rate: 6.75 }, { min: 126900, max: Infinity, rate: 7.15 }]
-  }},
-  'MD': { name: 'Maryland', rate: 5.75, ssTaxable: false, brackets: {
-    single:  [{ min: 0, max: 1000, rate: 2 }, { min: 1000, max: 2000, rate: 3 }, { min: 2000, max: 3000, rate: 4 }, { min: 3000, max: 100000, rate: 4.75 }, { min: 100000, max: 125000, rate: 5 }, { min: 125000, max: 150000, rate: 5.25 }, { min: 150000, max: 250000, rate: 5.5 }, { min: 250000, max: 500000, rate: 5.75 }, { min: 500000, max: 1000000, rate: 6.25 }, { min: 1000000, max: Infinity, rate: 6.5 }],
-    married: [{ min: 0, max: 1000, rate: 2 }, { min: 1000, max: 2000, rate: 3 }, { min: 2000, max: 3000, rate: 4 }, { min: 3000, max: 150000, rate: 4.75 }, { min: 150000, max: 175000, rate: 5 }, { min: 175000, max: 225000, rate: 5.25 }, { min: 225000, max: 300000, rate: 5.5 }, { min: 300000, max: 600000, rate: 5.75 }, { min: 600000, max: 1200000, rate: 6.25 }, { min: 1200000, max: Infinity, rate: 6.5 }]
-  }},
-  'MA': { name: 'Massachusetts', rate: 5.0, ssTaxable: false },
-  'MI': { name: 'Michigan', rate: 4.25, ssTaxable: false },
-  'MN': { name: 'Minnesota', rate: 9.85, ssTaxable: true, brackets: {
-    single:  [{ min: 0, max: 32570, rate: 5.35 }, { min: 32570, max: 106990, rate: 6.8 }, { min: 106990, max: 198630, rate: 7.85 }, { min: 198630, max: Infinity, rate: 9.85 }],
-    married: [{ min: 0, max: 47620, rate: 5.35 }, { min: 47620, max: 189180, rate: 6.8 }, { min: 189180, max: 330410, rate: 7.85 }, { min: 330410, max: Infinity, rate: 9.85 }]
-  }},
-  'MS': { name: 'Mississippi', rate: 4.4, ssTaxable: false },
-  'MO': { name: 'Missouri', rate: 4.7, ssTaxable: true, brackets: {
-    single: [{ min: 0, max: 1313, rate: 0 }, { min: 1313, max: 2626, rate: 2 }, { min: 2626, max: 3939, rate: 2.5 }, { min: 3939, max: 5252, rate: 3 }, { min: 5252, max: 6565, rate: 3.5 }, { min: 6565, max: 7878, rate: 4 }, { min: 7878, max: 9191, rate: 4.5 }, { min: 9191, max: Infinity, rate: 4.7 }]
-  }},
-  'MT': { name: 'Montana', rate: 5.9, ssTaxable: true, brackets: {
-    single:  [{ min: 0, max: 21100, rate: 4.7 }, { min: 21100, max: Infinity, rate: 5.9 }],
-    married: [{ min: 0, max: 42200, rate: 4.7 }, { min: 42200, max: Infinity, rate: 5.9 }]
-  }},
-  'NE': { name: 'Nebraska', rate: 5.2, ssTaxable: true, brackets: {
-    single:  [{ min: 0, max: 4030, rate: 2.46 }, { min: 4030, max: 24120, rate: 3.51 }, { min: 24120, max: 38870, rate: 5.01 }, { min: 38870, max: Infinity, rate: 5.2 }],
-    married: [{ min: 0, max: 8040, rate: 2.46 }, { min: 8040, max: 48250, rate: 3.51 }, { min: 48250, max: 77730, rate: 5.01 }, { min: 77730, max: Infinity, rate: 5.2 }]
-  }},
-  'NV': { name: 'Nevada', rate: 0, ssTaxable: false },
-  'NH': { name: 'New Hampshire', rate: 0, ssTaxable: false },
-  'NJ': { name: 'New Jersey', rate: 6.37, ssTaxable: false, brackets: {
-    single:  [{ min: 0, max: 20000, rate: 1.4 }, { min: 20000, max: 35000, rate: 1.75 }, { min: 35000, max: 40000, rate: 3.5 }, { min: 40000, max: 75000, rate: 5.525 }, { min: 75000, max: 500000, rate: 6.37 }, { min: 500000, max: 1000000, rate: 8.97 }, { min: 1000000, max: Infinity, rate: 10.75 }],
-    married: [{ min: 0, max: 20000, rate: 1.4 }, { min: 20000, max: 50000, rate: 1.75 }, { min: 50000, max: 70000, rate: 2.45 }, { min: 70000, max: 80000, rate: 3.5 }, { min: 80000, max: 150000, rate: 5.525 }, { min: 150000, max: 500000, rate: 6.37 }, { min: 500000, max: 1000000, rate: 8.97 }, { min: 1000000, max: Infinity, rate: 10.75 }]
-  }},
-  'NM': { name: 'New Mexico', rate: 5.9, ssTaxable: true, brackets: {
-    single:  [{ min: 0, max: 5500, rate: 1.5 }, { min: 5500, max: 16500, rate: 3.2 }, { min: 16500, max: 33500, rate: 4.3 }, { min: 33500, max: 66500, rate: 4.7 }, { min: 66500, max: 210000, rate: 4.9 }, { min: 210000, max: Infinity, rate: 5.9 }],
-    married: [{ min: 0, max: 8000, rate: 1.5 }, { min: 8000, max: 25000, rate: 3.2 }, { min: 25000, max: 50000, rate: 4.3 }, { min: 50000, max: 100000, rate: 4.7 }, { min: 100000, max: 315000, rate: 4.9 }, { min: 315000, max: Infinity, rate: 5.9 }]
-  }},
-  'NY': { name: 'New York', rate: 6.85, ssTaxable: false, brackets: {
-    single:  [{ min: 0, max: 8500, rate: 4 }, { min: 8500, max: 11700, rate: 4.5 }, { min: 11700, max: 13900, rate: 5.25 }, { min: 13900, max: 80650, rate: 5.5 }, { min: 80650, max: 215400, rate: 6 }, { min: 215400, max: 1077550, rate: 6.85 }, { min: 1077550, max: 5000000, rate: 9.65 }, { min: 5000000, max: 25000000, rate: 10.3 }, { min: 25000000, max: Infinity, rate: 10.9 }],
-    married: [{ min: 0, max: 17150, rate: 4 }, { min: 17150, max: 23600, rate: 4.5 }, { min: 23600, max: 27900, rate: 5.25 }, { min: 27900, max: 161550, rate: 5.5 }, { min: 161550, max: 323200, rate: 6 }, { min: 323200, max: 2155350, rate: 6.85 }, { min: 2155350, max: 5000000, rate: 9.65 }, { min: 5000000, max: 25000000, rate: 10.3 }, { min: 25000000, max: Infinity, rate: 10.9 }]
-  }},
-  'NC': { name: 'North Carolina', rate: 4.25, ssTaxable: false },
-  'ND': { name: 'North Dakota', rate: 1.95, ssTaxable: false, brackets: {
-    single:  [{ min: 0, max: 48475, rate: 0 }, { min: 48475, max: 244825, rate: 1.95 }, { min: 244825, max: Infinity, rate: 2.5 }],
-    married: [{ min: 0, max: 80975, rate: 0 }, { min: 80975, max: 298075, rate: 1.95 }, { min: 298075, max: Infinity, rate: 2.5 }]
-  }},
-  'OH': { name: 'Ohio', rate: 2.75, ssTaxable: false },
-  'OK': { name: 'Oklahoma', rate: 4.75, ssTaxable: false, brackets: {
-    single:  [{ min: 0, max: 1000, rate: 0.25 }, { min: 1000, max: 2500, rate: 0.75 }, { min: 2500, max: 3750, rate: 1.75 }, { min: 3750, max: 4900, rate: 2.75 }, { min: 4900, max: 7200, rate: 3.75 }, { min: 7200, max: Infinity, rate: 4.75 }],
-    married: [{ min: 0, max: 2000, rate: 0.25 }, { min: 2000, max: 5000, rate: 0.75 }, { min: 5000, max: 7500, rate: 1.75 }, { min: 7500, max: 9800, rate: 2.75 }, { min: 9800, max: 14400, rate: 3.75 }, { min: 14400, max: Infinity, rate: 4.75 }]
-  }},
-  'OR': { name: 'Oregon', rate: 9.9, ssTaxable: false, brackets: {
-    single:  [{ min: 0, max: 4400, rate: 4.75 }, { min: 4400, max: 11050, rate: 6.75 }, { min: 11050, max: 125000, rate: 8.75 }, { min: 125000, max: Infinity, rate: 9.9 }],
-    married: [{ min: 0, max: 8800, rate: 4.75 }, { min: 8800, max: 22100, rate: 6.75 }, { min: 22100, max: 250000, rate: 8.75 }, { min: 250000, max: Infinity, rate: 9.9 }]
-  }},
-  'PA': { name: 'Pennsylvania', rate: 3.07, ssTaxable: false },
-  'RI': { name: 'Rhode Island', rate: 5.99, ssTaxable: true, brackets: {
-    single: [{ min: 0, max: 79900, rate: 3.75 }, { min: 79900, max: 181650, rate: 4.75 }, { min: 181650, max: Infinity, rate: 5.99 }]
-  }},
-  'SC': { name: 'South Carolina', rate: 6.0, ssTaxable: false, brackets: {
-    single: [{ min: 0, max: 3560, rate: 0 }, { min: 3560, max: 17830, rate: 3 }, { min: 17830, max: Infinity, rate: 6.0 }]
-  }},
-  'SD': { name: 'South Dakota', rate: 0, ssTaxable: false },
-  'TN': { name: 'Tennessee', rate: 0, ssTaxable: false },
-  'TX': { name: 'Texas', rate: 0, ssTaxable: false },
-  'UT': { name: 'Utah', rate: 4.5, ssTaxable: true },
-  'VT': { name: 'Vermont', rate: 8.75, ssTaxable: true, brackets: {
-    single:  [{ min: 0, max: 3825, rate: 0 }, { min: 3825, max: 53225, rate: 3.35 }, { min: 53225, max: 123525, rate: 6.6 }, { min: 123525, max: 253525, rate: 7.6 }, { min: 253525, max: Infinity, rate: 8.75 }],
-    married: [{ min: 0, max: 11475, rate: 0 }, { min: 11475, max: 93975, rate: 3.35 }, { min: 93975, max: 210925, rate: 6.6 }, { min: 210925, max: 315475, rate: 7.6 }, { min: 315475, max: Infinity, rate: 8.75 }]
-  }},
-  'VA': { name: 'Virginia', rate: 5.75, ssTaxable: false, brackets: {
-    single: [{ min: 0, max: 3000, rate: 2 }, { min: 3000, max: 5000, rate: 3 }, { min: 5000, max: 17000, rate: 5 }, { min: 17000, max: Infinity, rate: 5.75 }]
-  }},
-  'WA': { name: 'Washington', rate: 0, ssTaxable: false },
-  'WV': { name: 'West Virginia', rate: 4.82, ssTaxable: true, brackets: {
-    single: [{ min: 0, max: 10000, rate: 2.22 }, { min: 10000, max: 25000, rate: 2.96 }, { min: 25000, max: 40000, rate: 3.33 }, { min: 40000, max: 60000, rate: 4.44 }, { min: 60000, max: Infinity, rate: 4.82 }]
-  }},
-  'WI': { name: 'Wisconsin', rate: 5.3, ssTaxable: false, brackets: {
-    single:  [{ min: 0, max: 14680, rate: 3.5 }, { min: 14680, max: 29370, rate: 4.4 }, { min: 29370, max: 323290, rate: 5.3 }, { min: 323290, max: Infinity, rate: 7.65 }],
-    married: [{ min: 0, max: 19580, rate: 3.5 }, { min: 19580, max: 39150, rate: 4.4 }, { min: 39150, max: 431060, rate: 5.3 }, { min: 431060, max: Infinity, rate: 7.65 }]
-  }},
-  'WY': { name: 'Wyoming', rate: 0, ssTaxable: false }
-};
-
-/**
- * Calculate state income tax using marginal brackets (when available) or flat rate
- * @param {number} taxableIncome - State taxable income
- * @param {string} stateCode - State abbreviation
- * @param {string} filingStatus - 'single' or 'married'
- * @returns {number} State tax amount
- */
-const calculateStateTax = (taxableIncome, stateCode, filingStatus) => {
-  if (taxableIncome <= 0 || !stateCode) return 0;
-  const stateData = STATE_TAX_DATA[stateCode];
-  if (!stateData) return 0;
-
-  // Use marginal brackets if available
-  if (stateData.brackets) {
-    // Some states use the same brackets for all filers (only 'single' key)
-    const brackets = stateData.brackets[filingStatus] || stateData.brackets.single || [];
-    if (brackets.length === 0) return taxableIncome * (stateData.rate / 100);
-
-    let tax = 0;
-    let remaining = taxableIncome;
-    for (const bracket of brackets) {
-      if (remaining <= 0) break;
-      const taxableInBracket = Math.min(remaining, (bracket.max === Infinity ? remaining : bracket.max - bracket.min));
-      tax += taxableInBracket * (bracket.rate / 100);
-      remaining -= taxableInBracket;
+  const totalShare = heirs.reduce((s, b) => s + Math.max(0, Number(b.share) || 0), 0);
+  const inflationRate = (inputs.inflationRate ?? 2.5) / 100;
+  const beneficiaries = heirs.map(b => {
+    const share = totalShare > 0 ? Math.max(0, Number(b.share) || 0) / totalShare : 1 / heirs.length;
+    const inherited = inheritedTotal * share;
+    const filingStatus = b.filingStatus === 'married' ? 'married' : 'single';
+    const stateCode = STATE_TAX_DATA[b.stateCode] ? b.stateCode : '';
+    const startAge = Number(b.age) || 0;
+    let tranches = [{ balance: inherited, deadlineYear: year + SECURE_ACT_PAYOUT_YEARS }];
+    const distributions = [];
+    for (let k = 0; tranches.length > 0 && k < SECURE_ACT_PAYOUT_YEARS; k++) {
+      const calendarYear = year + k;
+      const inflationFactor = inflationIndex * Math.pow(1 + inflationRate, k);
+      const age = startAge + k;
+      const settings = {
+        filingStatus, stateCode,
+        localTaxCode: STATE_TAX_DATA[stateCode]?.defaultLocalTax || '',
+        inflationFactor,
+        taxLaw: getPlanTaxLaw(inputs, calendarYear),
+        taxpayerAges: Array(filingStatus === 'married' ? 2 : 1).fill(age)
+      };
+      const income = { employmentIncome: (Number(b.annualIncome) || 0) * inflationFactor };
+      const step = distributeInheritedTranches(tranches, growthRate, calendarYear);
+      tranches = step.tranches;
+      // The heir's tax with the distribution less their tax without it
+      const tax = calculateAnnualTax({ ...income, traditionalWithdrawal: step.distribution }, settings, age >= 65).totalTax
+        - calculateAnnualTax(income, settings, age >= 65).totalTax;
+      distributions.push({ year: calendarYear, amount: step.distribution, tax });
     }
-    return tax;
-  }
+    const taxPaid = distributions.reduce((s, d) => s + d.tax, 0);
+    const distributed = distributions.reduce((s, d) => s + d.amount, 0);
+    const effectiveRate = distributed > 0 ? taxPaid / distributed : 0;
+    return {
+      id: b.id,
+      name: b.name || 'Beneficiary',
+      inherited,
+      distributed,
+      taxPaid,
+      effectiveRate,
+      // Growth over the payout belongs to the heirs, so tax and kept are stated against the
+      // balance at death at the effective rate the payout was taxed at
+      tax: inherited * effectiveRate,
+      kept: inherited * (1 - effectiveRate),
+      distributions
+    };
+  });
+
+  const tax = beneficiaries.reduce((s, b) => s + b.tax, 0);
+  return {
+    beneficiaries,
+    inherited: inheritedTotal,
+    tax,
+    kept: inheritedTotal - tax,
+    effectiveRate: inheritedTotal > 0 ? tax / inheritedTotal : 0
+  };
+};
 
-  // Flat rate fallback
-  return taxableIncome * (stateData.rate / 100);
+// State estate tax under a STATE_ESTATE_TAXES schedule: graduated rates on the estate above
+// the exemption, or (basis 'estate') on the whole estate less the tax on the exemption, a
+// credit that a cliff phases out between the exemption and cliff × exemption
+const calculateStateEstateTax = (estate, exemption, rules) => {
+  if (estate <= exemption) return 0;
+  let tax;
+  if (rules.basis === 'estate') {
+    const creditShare = rules.cliff
+      ? Math.max(0, 1 - (estate - exemption) / (exemption * (rules.cliff - 1)))
+      : 1;
+    tax = applyStateBrackets(estate, rules.brackets) - applyStateBrackets(exemption, rules.brackets) * creditShare;
+  } else {
+    tax = applyStateBrackets(estate - exemption, rules.brackets);
+  }
+  return Math.min(Math.max(0, tax), rules.maxTax ?? Infinity);
 };
 
 /**
- * Get inflation-adjusted federal tax brackets for a future year
- * @param {string} filingStatus - 'single' or 'married'
- * @param {number} yearsFromBase - Years from TAX_BRACKET_BASE_YEAR (can be 0 for base year)
- * @param {number} inflationRate - Annual inflation rate as percentage (e.g. 2.5)
- * @returns {Array} Brackets with inflation-adjusted min/max thresholds
+ * Federal and state estate tax on a gross estate. The state tax (STATE_ESTATE_TAXES
+ * graduated schedule) is deductible from the federal taxable estate (IRC §2058); the federal
+ * tax is the law's rate on what remains above the indexed exclusion plus any DSUE.
+ * @param {number} grossEstate - Gross estate at death
+ * @param {object} options - { law, inflationFactor (indexes the exclusion), dsue (ported
+ *   from a predeceased spouse, already in that year's dollars), stateCode }
+ * @returns {object} { federalExemption, exemption (incl. DSUE), stateExemption, stateTax,
+ *   federalTax, total }
  */
-export const getInflationAdjustedBrackets = (filingStatus, yearsFromBase, inflationRate) => {
-  const brackets = FEDERAL_BRACKETS[filingStatus] || FEDERAL_BRACKETS.married;
-  if (yearsFromBase <= 0) return brackets;
-  const factor = Math.pow(1 + inflationRate / 100, yearsFromBase);
-  return brackets.map(b => ({
-    ...b,
-    min: b.min === 0 ? 0 : Math.round(b.min * factor),
-    max: b.max === Infinity ? Infinity : Math.round(b.max * factor)
-  }));
-};
+export const calculateEstateTax = (grossEstate, { law = BASE_TAX_LAW, inflationFactor = 1, dsue = 0, stateCode = '' } = {}) => {
+  const estate = Math.max(0, grossEstate || 0);
+  const federal = law.estateTax;
+  const federalExemption = federal ? federal.exemption * inflationFactor : Infinity;
+
+  const stateRules = STATE_ESTATE_TAXES[stateCode];
+  let stateExemption = null;
+  let stateTax = 0;
+  if (stateRules) {
+    stateExemption = stateRules.exemption === 'federal' ? federalExemption : stateRules.exemption;
+    stateTax = calculateStateEstateTax(estate, stateExemption, stateRules);
+  }
 
-export const getInflationAdjustedQDivBrackets = (filingStatus, yearsFromBase, inflationRate) => {
-  const brackets = QDIV_BRACKETS[filingStatus] || QDIV_BRACKETS.married;
-  if (yearsFromBase <= 0) return brackets;
-  const factor = Math.pow(1 + inflationRate / 100, yearsFromBase);
-  return brackets.map(b => ({
-    ...b,
-    min: b.min === 0 ? 0 : Math.round(b.min * factor),
-    max: b.max === Infinity ? Infinity : Math.round(b.max * factor)
-  }));
+  const exemption = federalExemption + dsue;
+  const federalTax = federal ? Math.max(0, estate - stateTax - exemption) * federal.rate : 0;
+  return { federalExemption, exemption, stateExemption, stateTax, federalTax, total: federalTax + stateTax };
 };
 
 /**
- * Get inflation-adjusted standard deduction for a future year
- * @param {string} filingStatus - 'single' or 'married'
- * @param {number} yearsFromBase - Years from TAX_BRACKET_BASE_YEAR
- * @param {number} inflationRate - Annual inflation rate as percentage
- * @param {boolean} isSenior - Whether taxpayer is 65+
- * @returns {number} Inflation-adjusted standard deduction
+ * Project the estate at each death from a plan projection. The gross estate is the
+ * portfolio (including inherited IRAs) plus inputs.estateRealEstate grown at
+ * estateRealEstateGrowth % and inputs.estateOtherAssets in today's dollars. At a married
+ * couple's first death everything passes to the survivor under the marital deduction, and
+ * with inputs.estatePortability (default on) the unused exclusion carries over as DSUE. The
+ * final death is the projection's last row; heirs then also owe income tax on the
+ * pre-tax accounts they withdraw (simulateHeirInheritance).
+ * @param {Array} projection - Rows from runSimulation
+ * @param {object} inputs - Plan inputs
+ * @param {object} clientInfo - { currentAge, partnerAge, isMarried }
+ * @param {object} options - { heirRate: flat income tax rate on pre-tax balances when no
+ *   beneficiaries are listed (default 24% federal plus the home state's representative
+ *   rate), heirGrowthRate: return on the inherited IRAs during the payout }
+ * @returns {object|null} { firstDeath, age, year, portfolio, realEstate, otherAssets,
+ *   grossEstate, federalExemption, dsue, exemption, stateCode, stateExemption, federalTax,
+ *   stateTax, estateTax, heirIncomeTax, heirs (per-beneficiary results), netToHeirs }
  */
-export const getInflationAdjustedDeduction = (filingStatus, yearsFromBase, inflationRate, isSenior = true) => {
-  const factor = yearsFromBase > 0 ? Math.pow(1 + inflationRate / 100, yearsFromBase) : 1;
-  let deduction = (STANDARD_DEDUCTION[filingStatus] || STANDARD_DEDUCTION.married) * factor;
-  if (isSenior) {
-    const seniorBonus = (STANDARD_DEDUCTION.seniorBonus[filingStatus] || STANDARD_DEDUCTION.seniorBonus.married) * factor;
-    deduction += filingStatus === 'married' ? seniorBonus * 2 : seniorBonus;
+export const projectEstate = (projection, inputs, clientInfo = {}, { heirRate = null, heirGrowthRate = 0.05 } = {}) => {
+  if (!projection?.length) return null;
+  const currentAge = clientInfo.currentAge ?? projection[0].age;
+  const planStartYear = new Date().getFullYear();
+  const realEstateGrowth = (inputs.estateRealEstateGrowth ?? 3) / 100;
+  const estateAt = (row) => {
+    const portfolio = (row.total || 0) + (row.inheritedIRABalance || 0);
+    const realEstate = (inputs.estateRealEstate || 0) * Math.pow(1 + realEstateGrowth, Math.max(0, row.age - currentAge));
+    const otherAssets = (inputs.estateOtherAssets || 0) * (row.inflationIndex || 1);
+    return { portfolio, realEstate, otherAssets, grossEstate: portfolio + realEstate + otherAssets };
+  };
+  const yearAt = (row) => planStartYear + (row.age - currentAge);
+
+  // First death: the first row in which a spouse is no longer alive (alive while age < death age)
+  let firstDeath = null;
+  let dsue = 0;
+  if (clientInfo.isMarried) {
+    const clientDeathAge = inputs.expectedDeathAge || 95;
+    const partnerDeathAge = inputs.partnerExpectedDeathAge || 95;
+    const row = projection.find(r => r.age >= clientDeathAge || (r.partnerAge ?? -Infinity) >= partnerDeathAge);
+    if (row && row !== projection[projection.length - 1]) {
+      const law = getPlanTaxLaw(inputs, yearAt(row));
+      const exemption = law.estateTax ? law.estateTax.exemption * (row.inflationIndex || 1) : 0;
+      dsue = inputs.estatePortability === false ? 0 : exemption;
+      firstDeath = {
+        age: row.age,
+        year: yearAt(row),
+        deceased: row.age >= clientDeathAge ? 'client' : 'partner',
+        grossEstate: estateAt(row).grossEstate,
+        dsue
+      };
+    }
   }
-  return Math.round(deduction);
+
+  const last = projection[projection.length - 1];
+  const estate = estateAt(last);
+  const stateCode = getPlanStateTax(inputs, last.age).stateCode;
+  const tax = calculateEstateTax(estate.grossEstate, {
+    law: getPlanTaxLaw(inputs, yearAt(last)),
+    inflationFactor: last.inflationIndex || 1,
+    dsue,
+    stateCode
+  });
+  const flatRate = heirRate ?? (0.24 + (STATE_TAX_DATA[inputs.stateCode] ? getStateRepresentativeRate(inputs.stateCode) : (inputs.stateRate || 0)) / 100);
+  const heirs = simulateHeirInheritance((last.traditionalBalanceDetail || 0) + (last.inheritedIRABalance || 0), inputs, {
+    year: yearAt(last), inflationIndex: last.inflationIndex || 1, growthRate: heirGrowthRate, flatRate
+  });
+  const heirIncomeTax = heirs.tax;
+
+  return {
+    firstDeath,
+    age: last.age,
+    year: yearAt(last),
+    ...estate,
+    federalExemption: tax.federalExemption,
+    dsue,
+    exemption: tax.exemption,
+    stateCode,
+    stateExemption: tax.stateExemption,
+    federalTax: tax.federalTax,
+    stateTax: tax.stateTax,
+    estateTax: tax.total,
+    heirIncomeTax,
+    heirs: heirs.beneficiaries,
+    netToHeirs: estate.grossEstate - tax.total - heirIncomeTax
+  };
 };
 
 // ============================================
@@ -577,12 +2241,14 @@ export const calculateTaxableSS = (ssIncome, otherIncome, filingStatus) => {
  * Calculate federal income tax using marginal brackets
  * @param {number} taxableIncome - Taxable income after deductions
  * @param {string} filingStatus - 'single' or 'married'
+ * @param {number} inflationFactor - Cumulative bracket indexing since TAX_BRACKET_BASE_YEAR (1 = base-year brackets)
+ * @param {object} law - Tax law for the year (getTaxLaw); defaults to the base-year law
  * @returns {number} Federal tax amount
  */
-export const calculateFederalTax = (taxableIncome, filingStatus) => {
+export const calculateFederalTax = (taxableIncome, filingStatus, inflationFactor = 1, law = BASE_TAX_LAW) => {
   if (taxableIncome <= 0) return 0;
 
-  const brackets = FEDERAL_BRACKETS[filingStatus] || FEDERAL_BRACKETS.married;
+  const brackets = getInflationAdjustedBrackets(filingStatus, 0, 0, inflationFactor, law);
   let tax = 0;
   let remainingIncome = taxableIncome;
 
@@ -602,12 +2268,14 @@ export const calculateFederalTax = (taxableIncome, filingStatus) => {
  * @param {number} qualifiedIncome - Qualified dividend/LTCG income
  * @param {number} ordinaryIncome - Ordinary taxable income (determines starting bracket)
  * @param {string} filingStatus - 'single' or 'married'
+ * @param {number} inflationFactor - Cumulative bracket indexing since TAX_BRACKET_BASE_YEAR (1 = base-year brackets)
+ * @param {object} law - Tax law for the year (getTaxLaw); defaults to the base-year law
  * @returns {number} Tax on qualified income
  */
-export const calculateQualifiedDividendTax = (qualifiedIncome, ordinaryIncome, filingStatus) => {
+export const calculateQualifiedDividendTax = (qualifiedIncome, ordinaryIncome, filingStatus, inflationFactor = 1, law = BASE_TAX_LAW) => {
   if (qualifiedIncome <= 0) return 0;
 
-  const brackets = QDIV_BRACKETS[filingStatus] || QDIV_BRACKETS.married;
+  const brackets = getInflationAdjustedQDivBrackets(filingStatus, 0, 0, inflationFactor, law);
   let tax = 0;
   let incomePosition = ordinaryIncome; // Start where ordinary income ends
   let remainingQualified = qualifiedIncome;
@@ -631,12 +2299,122 @@ export const calculateQualifiedDividendTax = (qualifiedIncome, ordinaryIncome, f
   return tax;
 };
 
+/**
+ * Net Investment Income Tax: 3.8% of the lesser of net investment income and
+ * MAGI above the (unindexed) filing-status threshold
+ * @param {number} netInvestmentIncome - Dividends, realized gains and interest
+ * @param {number} magi - Modified AGI
+ * @param {string} filingStatus - 'single' or 'married'
+ * @param {object} law - Tax law for the year (getTaxLaw); defaults to the base-year law
+ * @returns {number} NIIT owed
+ */
+export const calculateNIIT = (netInvestmentIncome, magi, filingStatus, law = BASE_TAX_LAW) => {
+  const { rate, threshold: thresholds } = law.niit;
+  const threshold = thresholds[filingStatus] || thresholds.married;
+  const base = Math.min(Math.max(0, netInvestmentIncome), Math.max(0, magi - threshold));
+  return base * rate;
+};
+
+/**
+ * Alternative Minimum Tax (Form 6251). AMTI starts from income before the standard
+ * deduction (which AMT disallows) plus preference items; the exemption phases out above
+ * the threshold, the ordinary part is taxed at 26%/28%, and qualified dividends / LTCG
+ * keep their preferential rates. AMT is the excess of that tentative minimum tax over
+ * regular federal income tax.
+ * @param {object} params
+ * @param {number} params.amti - Alternative minimum taxable income (incl. preferential income)
+ * @param {number} params.preferentialIncome - Qualified dividends + LTCG inside amti
+ * @param {number} params.regularTax - Regular federal income tax (ordinary + preferential)
+ * @param {string} params.filingStatus - 'single' or 'married'
+ * @param {number} params.inflationFactor - Cumulative indexing since TAX_BRACKET_BASE_YEAR
+ * @param {object} params.law - Tax law for the year (getTaxLaw); defaults to the base-year law
+ * @returns {{ amt: number, tentativeMinimumTax: number, exemption: number }}
+ */
+export const calculateAMT = ({ amti, preferentialIncome = 0, regularTax, filingStatus, inflationFactor = 1, law = BASE_TAX_LAW }) => {
+  const rules = law.amt;
+  const status = rules.exemption[filingStatus] ? filingStatus : 'married';
+  const phaseoutStart = rules.phaseoutStart[status] * inflationFactor;
+  const exemption = Math.max(0,
+    rules.exemption[status] * inflationFactor - Math.max(0, amti - phaseoutStart) * rules.phaseoutRate);
+  const amtBase = Math.max(0, amti - exemption);
+  const preferential = Math.min(Math.max(0, preferentialIncome), amtBase);
+  const ordinaryBase = amtBase - preferential;
+  const threshold28 = rules.threshold28 * inflationFactor;
+  const ordinaryTax = Math.min(ordinaryBase, threshold28) * rules.rates.low
+    + Math.max(0, ordinaryBase - threshold28) * rules.rates.high;
+  const preferentialTax = calculateQualifiedDividendTax(preferential, ordinaryBase, filingStatus, inflationFactor, law);
+  const tentativeMinimumTax = ordinaryTax + preferentialTax;
+  return {
+    amt: Math.max(0, tentativeMinimumTax - regularTax),
+    tentativeMinimumTax,
+    exemption
+  };
+};
+
+/**
+ * AMT preference items for one plan year: the ISO bargain element in the year the client
+ * exercises, plus private-activity bond interest every year. Regular tax ignores both;
+ * they only raise AMTI.
+ * @param {object} inputs - Plan inputs (amtIsoBargainElement, amtIsoExerciseAge, amtPrivateBondInterest)
+ * @param {number} age - Client age this year
+ * @returns {number} Preference items to add to AMTI
+ */
+export const getAMTPreferenceItems = (inputs, age) => {
+  const isoExercised = Number(inputs?.amtIsoExerciseAge) === age;
+  const iso = isoExercised ? Math.max(0, Number(inputs?.amtIsoBargainElement) || 0) : 0;
+  return iso + Math.max(0, Number(inputs?.amtPrivateBondInterest) || 0);
+};
+
+/**
+ * Charitable deduction for a year's gifts under the law's AGI limits. Appreciated property
+ * (NQ shares, deducted at market value) uses its 30% limit first, cash fills the rest of
+ * the 60% limit, and itemizers lose the first 0.5% of AGI. Gifts over the limits are not
+ * carried forward here.
+ * @param {number} cashGifts - Cash given to charity or a donor-advised fund
+ * @param {number} propertyGifts - Market value of appreciated shares given
+ * @param {number} agi - Adjusted gross income
+ * @param {string} filingStatus - 'single' or 'married'
+ * @param {object} law - Federal law for the year (getTaxLaw)
+ * @param {boolean} viaDAF - Gifts went to a donor-advised fund (no non-itemizer deduction)
+ * @returns {object} { itemized, nonItemizer } — the deduction if itemizing, and the
+ *   capped cash deduction available on top of the standard deduction
+ */
+export const calculateCharitableDeduction = (cashGifts, propertyGifts, agi, filingStatus = 'married', law = BASE_TAX_LAW, viaDAF = false) => {
+  const rules = law.charitable;
+  if (!rules || (cashGifts <= 0 && propertyGifts <= 0)) return { itemized: 0, nonItemizer: 0 };
+  const status = filingStatus === 'married' ? 'married' : 'single';
+  const property = Math.min(Math.max(0, propertyGifts), Math.max(0, agi) * rules.propertyAgiLimit);
+  const cash = Math.min(Math.max(0, cashGifts), Math.max(0, Math.max(0, agi) * rules.cashAgiLimit - property));
+  return {
+    itemized: Math.max(0, cash + property - Math.max(0, agi) * rules.agiFloor),
+    nonItemizer: viaDAF ? 0 : Math.min(Math.max(0, cashGifts), rules.nonItemizerCash?.[status] || 0)
+  };
+};
+
+// Net capital losses beyond the year's gains offset at most this much ordinary income (IRC §1211(b))
+const CAPITAL_LOSS_ORDINARY_LIMIT = 3000;
+
 /**
  * Calculate total tax for a year given income breakdown
- * @param {object} incomeBreakdown - Object containing different income types
- * @param {object} taxSettings - Tax settings from inputs
+ * @param {object} incomeBreakdown - Object containing different income types. Optional
+ *   capitalLossCarryover (harvested and carried-forward losses) nets against the year's
+ *   capital gains, then up to $3,000 of ordinary income. Optional charitableCash,
+ *   charitableProperty (appreciated shares at market value), charitableViaDAF and
+ *   itemizedDeductions (other itemized amounts: SALT, mortgage interest) decide between
+ *   itemizing and the standard deduction. QCDs are excluded from income by the caller.
+ * @param {object} taxSettings - Tax settings from inputs. Optional inflationFactor indexes the
+ *   federal brackets and standard deduction (cumulative inflation since TAX_BRACKET_BASE_YEAR);
+ *   optional taxLaw is the federal law for the year (getTaxLaw / getPlanTaxLaw), defaulting
+ *   to the base-year law; stateCode / localTaxCode select state rules (getPlanStateTax) and
+ *   optional taxpayerAges (living spouses' ages) drive age-based state exclusions
  * @param {boolean} isSenior - Whether taxpayer is 65+
- * @returns {object} Tax breakdown { federal, state, qdivTax, total, effectiveRate }
+ * @returns {object} Tax breakdown { federal, state, qdivTax, total, effectiveRate }.
+ *   federalTax includes the 3.8% NIIT on NQ dividends and realized gains above the MAGI
+ *   threshold and any AMT, both also returned on their own (niit, amt, magi). deduction
+ *   includes the OBBBA senior deduction while it's in force (also returned as seniorDeduction).
+ *   stateTax includes any local income tax (also returned as localTax). capitalLossUsed is
+ *   how much of the carryover this year absorbed; itemized says whether itemizing won and
+ *   charitableDeduction is the charitable amount deducted either way.
  */
 export const calculateAnnualTax = (incomeBreakdown, taxSettings, isSenior = true) => {
   const {
@@ -648,54 +2426,117 @@ export const calculateAnnualTax = (incomeBreakdown, taxSettings, isSenior = true
     nqQualifiedDividends = 0,    // Qualified divs from NQ holdings (LTCG rates)
     nqOrdinaryDividends = 0,     // Non-qualified divs (ordinary rates)
     otherIncome = 0,
-    employmentIncome = 0         // Spouse employment income during gap years
+    employmentIncome = 0,        // Spouse employment income during gap years
+    amtPreferenceItems = 0,      // AMT-only income: ISO bargain element, private-activity bond interest
+    capitalLossCarryover = 0,    // Harvested / carried-forward capital losses available this year
+    charitableCash = 0,          // Cash gifts (to charity, or to a DAF when charitableViaDAF)
+    charitableProperty = 0,      // Appreciated NQ shares given, at market value
+    charitableViaDAF = false,
+    itemizedDeductions = 0       // Non-charitable itemized deductions
   } = incomeBreakdown;
 
-  const { filingStatus = 'married', stateRate = 0, stateCode = '' } = taxSettings;
-
-  // Resolve state tax rules
-  const stateData = stateCode ? STATE_TAX_DATA[stateCode] : null;
-  const effectiveStateRate = stateData ? stateData.rate : stateRate;
-  const stateTaxesSS = stateData ? stateData.ssTaxable : true; // Default: tax SS at state level
+  const {
+    filingStatus = 'married', stateRate = 0, stateCode = '', localTaxCode = '',
+    inflationFactor = 1, taxLaw = BASE_TAX_LAW, taxpayerAges
+  } = taxSettings;
+
+  // Capital losses: first against this year's gains, then up to the ordinary-income limit
+  const gainLossOffset = Math.min(Math.max(0, capitalLossCarryover), nqTaxableGain);
+  const ordinaryIncomeBeforeLoss = pensionIncome + traditionalWithdrawal + nqOrdinaryDividends + otherIncome + employmentIncome;
+  const ordinaryLossOffset = Math.min(Math.max(0, capitalLossCarryover) - gainLossOffset, CAPITAL_LOSS_ORDINARY_LIMIT,
+    ordinaryIncomeBeforeLoss);
+  // A pool of ordinary income after its share of that offset (states tax the pools apart)
+  const afterLossOffset = (amount) => (ordinaryLossOffset > 0
+    ? Math.max(0, amount - ordinaryLossOffset * (amount / ordinaryIncomeBeforeLoss))
+    : amount);
+  const netCapitalGain = nqTaxableGain - gainLossOffset;
 
   // Calculate taxable SS (NQ ordinary dividends count as ordinary income)
-  const ordinaryIncomeBeforeSS = pensionIncome + traditionalWithdrawal + nqOrdinaryDividends + otherIncome + employmentIncome;
+  const ordinaryIncomeBeforeSS = ordinaryIncomeBeforeLoss - ordinaryLossOffset;
   const taxableSS = calculateTaxableSS(ssIncome, ordinaryIncomeBeforeSS, filingStatus);
 
   // Total ordinary taxable income (includes NQ ordinary dividends and employment income)
-  const grossOrdinaryIncome = taxableSS + pensionIncome + traditionalWithdrawal + nqOrdinaryDividends + otherIncome + employmentIncome;
+  const grossOrdinaryIncome = taxableSS + pensionIncome + traditionalWithdrawal + nqOrdinaryDividends + otherIncome + employmentIncome - ordinaryLossOffset;
 
-  // Standard deduction (with senior bonus)
-  let deduction = STANDARD_DEDUCTION[filingStatus] || STANDARD_DEDUCTION.married;
-  if (isSenior) {
-    // Assume both spouses are 65+ for married
-    const seniorBonus = STANDARD_DEDUCTION.seniorBonus[filingStatus] || STANDARD_DEDUCTION.seniorBonus.married;
-    deduction += filingStatus === 'married' ? seniorBonus * 2 : seniorBonus;
-  }
+  // Preferential income: NQ capital gains + NQ qualified dividends (all taxed at LTCG rates)
+  const totalPreferentialIncome = netCapitalGain + nqQualifiedDividends;
+
+  // MAGI for NIIT and the senior deduction phase-out: AGI (no foreign earned income exclusion to add back)
+  const magi = grossOrdinaryIncome + totalPreferentialIncome;
+
+  // Standard deduction (with senior bonus; assumes both spouses are 65+ for married),
+  // or itemized deductions when they're larger, plus the OBBBA senior deduction in the
+  // years the law still has it (available either way)
+  const standardDeduction = getInflationAdjustedDeduction(filingStatus, 0, 0, isSenior, inflationFactor, taxLaw);
+  const seniorDeduction = calculateEnhancedSeniorDeduction(filingStatus, magi, isSenior, taxLaw);
+  const charitable = calculateCharitableDeduction(charitableCash, charitableProperty, magi, filingStatus, taxLaw, charitableViaDAF);
+  const itemizedTotal = Math.max(0, itemizedDeductions) + charitable.itemized;
+  const itemized = itemizedTotal > standardDeduction + charitable.nonItemizer;
+  const charitableDeduction = itemized ? charitable.itemized : charitable.nonItemizer;
+  const deduction = (itemized ? itemizedTotal : standardDeduction + charitable.nonItemizer) + seniorDeduction;
 
   // Taxable ordinary income after deduction
   const taxableOrdinaryIncome = Math.max(0, grossOrdinaryIncome - deduction);
 
   // Federal tax on ordinary income
-  const federalOrdinaryTax = calculateFederalTax(taxableOrdinaryIncome, filingStatus);
-
-  // Preferential income: NQ capital gains + NQ qualified dividends (all taxed at LTCG rates)
-  const totalPreferentialIncome = nqTaxableGain + nqQualifiedDividends;
+  const federalOrdinaryTax = calculateFederalTax(taxableOrdinaryIncome, filingStatus, inflationFactor, taxLaw);
 
   // Tax on preferential income (at LTCG/qualified dividend rates)
-  const qdivTax = calculateQualifiedDividendTax(totalPreferentialIncome, taxableOrdinaryIncome, filingStatus);
+  const qdivTax = calculateQualifiedDividendTax(totalPreferentialIncome, taxableOrdinaryIncome, filingStatus, inflationFactor, taxLaw);
+
+  const netInvestmentIncome = netCapitalGain + nqQualifiedDividends + nqOrdinaryDividends;
+  const niit = calculateNIIT(netInvestmentIncome, magi, filingStatus, taxLaw);
+
+  // AMT: the standard deduction is not allowed, so AMTI is income before it (charitable
+  // gifts stay deductible for itemizers)
+  const { amt } = calculateAMT({
+    amti: magi - (itemized ? charitable.itemized : 0) + amtPreferenceItems,
+    preferentialIncome: totalPreferentialIncome,
+    regularTax: federalOrdinaryTax + qdivTax,
+    filingStatus,
+    inflationFactor,
+    law: taxLaw
+  });
 
   // Total federal tax
-  const federalTax = federalOrdinaryTax + qdivTax;
-
-  // State tax — exclude SS from state taxable income if state exempts it
-  const stateSSIncome = stateTaxesSS ? taxableSS : 0;
-  const stateOrdinaryIncome = stateSSIncome + pensionIncome + traditionalWithdrawal + nqOrdinaryDividends + otherIncome + employmentIncome;
-  const stateTaxableIncome = Math.max(0, stateOrdinaryIncome - deduction) + totalPreferentialIncome;
-  // Use marginal brackets when state has them, flat rate otherwise
-  const stateTax = stateCode
-    ? calculateStateTax(stateTaxableIncome, stateCode, filingStatus)
-    : stateTaxableIncome * (effectiveStateRate / 100);
+  const federalTax = federalOrdinaryTax + qdivTax + niit + amt;
+
+  // State tax: the selected state's own rules, or the legacy flat rate on federal-style
+  // income (SS taxed, federal standard deduction) when no state is chosen. States that
+  // follow the federal deduction follow the household's choice to itemize.
+  // (the OBBBA senior deduction and non-itemizer charitable deduction are federal-only)
+  const stateBaseDeduction = itemized ? itemizedTotal : standardDeduction;
+  let stateTax;
+  let localTax = 0;
+  if (stateCode) {
+    // Without ages, assume every taxpayer is 65 when isSenior and none meets an age test otherwise
+    const ages = taxpayerAges || Array(filingStatus === 'married' ? 2 : 1).fill(isSenior ? 65 : 0);
+    const state = calculateStateTax({
+      stateCode,
+      filingStatus,
+      income: {
+        ss: taxableSS,
+        pension: afterLossOffset(pensionIncome),
+        ira: afterLossOffset(traditionalWithdrawal),
+        wages: afterLossOffset(employmentIncome),
+        investment: afterLossOffset(nqOrdinaryDividends) + nqQualifiedDividends,
+        capitalGains: netCapitalGain,
+        other: afterLossOffset(otherIncome)
+      },
+      ssBenefits: ssIncome,
+      agi: magi,
+      taxpayerAges: ages,
+      federalDeduction: stateBaseDeduction,
+      inflationFactor,
+      localTaxCode
+    });
+    localTax = state.localTax;
+    stateTax = state.stateTax + localTax;
+  } else {
+    const stateOrdinaryIncome = grossOrdinaryIncome;
+    const stateTaxableIncome = Math.max(0, stateOrdinaryIncome - stateBaseDeduction) + totalPreferentialIncome;
+    stateTax = stateTaxableIncome * (stateRate / 100);
+  }
 
   // Total tax
   const totalTax = federalTax + stateTax;
@@ -708,10 +2549,18 @@ export const calculateAnnualTax = (incomeBreakdown, taxSettings, isSenior = true
     taxableSS,
     federalTax: Math.round(federalTax),
     stateTax: Math.round(stateTax),
+    localTax: Math.round(localTax),
     qdivTax: Math.round(qdivTax),
+    niit: Math.round(niit),
+    amt: Math.round(amt),
+    magi: Math.round(magi),
     totalTax: Math.round(totalTax),
     effectiveRate: effectiveRate.toFixed(1),
-    deduction
+    deduction,
+    seniorDeduction,
+    capitalLossUsed: gainLossOffset + ordinaryLossOffset,
+    itemized,
+    charitableDeduction
   };
 };
 
@@ -719,8 +2568,8 @@ export const calculateAnnualTax = (incomeBreakdown, taxSettings, isSenior = true
 // TAX-IMPLIED SPENDING CALCULATOR
 // ============================================
 
-// 2026 Social Security wage base
-const SS_WAGE_BASE = 176100;
+// Social Security wage base (same figure the PIA estimate caps earnings at)
+const SS_WAGE_BASE = BASE_TAX_LAW.piaFormula.wageBase;
 const SS_TAX_RATE = 0.062;
 const MEDICARE_TAX_RATE = 0.0145;
 const MEDICARE_ADDITIONAL_RATE = 0.009;
@@ -758,7 +2607,7 @@ export const calculateImpliedSpending = ({
   const medicareTax = baseMedicare + additionalMedicare;
 
   // Standard deduction (annual savings treated as pre-tax, e.g. 401k)
-  const standardDeduction = STANDARD_DEDUCTION[filingStatus] || STANDARD_DEDUCTION.married;
+  const standardDeduction = BASE_TAX_LAW.standardDeduction[filingStatus] || BASE_TAX_LAW.standardDeduction.married;
   const taxableIncome = Math.max(0, totalIncome - annualSavings - standardDeduction);
 
   // Federal income tax (reuse existing bracket calculator)
@@ -806,18 +2655,22 @@ export const calculateAccumulation = (clientInfo, inflationRate = 0, additionalI
   const dropPensionCOLA = !!dropConfig?.pensionCOLA;
   let dropBalance = 0;
 
-  // Estimate marginal tax on one-time taxable income during accumulation
-  const estimateOneTimeTax = (taxableAmount, yearInflFactor) => {
+  // Estimate marginal tax on one-time taxable income during accumulation. taxSettings
+  // carries the plan's tax-law version and overrides, so the event is taxed under the
+  // law for its calendar year.
+  const startYear = new Date().getFullYear();
+  const estimateOneTimeTax = (taxableAmount, yearInflFactor, yearOffset) => {
     if (!taxSettings || taxableAmount <= 0) return 0;
     const filingStatus = taxSettings.filingStatus || 'married';
     const stateRate = (taxSettings.stateRate || 0) / 100;
+    const law = getPlanTaxLaw(taxSettings, startYear + yearOffset);
     // Base income: inflation-adjusted household employment income minus pre-tax savings
     const baseIncome = ((clientInfo.annualIncome || 0) + (clientInfo.partnerAnnualIncome || 0)) * yearInflFactor;
-    const standardDeduction = STANDARD_DEDUCTION[filingStatus] || STANDARD_DEDUCTION.married;
+    const standardDeduction = law.standardDeduction[filingStatus] || law.standardDeduction.married;
     const baseTaxableIncome = Math.max(0, baseIncome - annualSavings * yearInflFactor - standardDeduction);
     // Marginal tax = tax with the event minus tax without
-    const taxWithout = calculateFederalTax(baseTaxableIncome, filingStatus);
-    const taxWith = calculateFederalTax(baseTaxableIncome + taxableAmount, filingStatus);
+    const taxWithout = calculateFederalTax(baseTaxableIncome, filingStatus, 1, law);
+    const taxWith = calculateFederalTax(baseTaxableIncome + taxableAmount, filingStatus, 1, law);
     const federalTax = taxWith - taxWithout;
     const stateTax = taxableAmount * stateRate;
     return federalTax + stateTax;
@@ -894,7 +2747,7 @@ export const calculateAccumulation = (clientInfo, inflationRate = 0, additionalI
           let amount = income.amount;
           if (income.inflationAdjusted) amount *= inflFactor;
           const taxablePct = (income.taxablePercent ?? 100) / 100;
-          const tax = estimateOneTimeTax(amount * taxablePct, inflFactor);
+          const tax = estimateOneTimeTax(amount * taxablePct, inflFactor, i);
           const netAmount = amount - tax;
           yearAdditionalIncome += amount;
           yearAdditionalTax += tax;
@@ -1000,7 +2853,7 @@ export const calculateAccumulation = (clientInfo, inflationRate = 0, additionalI
         let amount = income.amount;
         if (income.inflationAdjusted) amount *= inflFactor;
         const taxablePct = (income.taxablePercent ?? 100) / 100;
-        const tax = estimateOneTimeTax(amount * taxablePct, inflFactor);
+        const tax = estimateOneTimeTax(amount * taxablePct, inflFactor, i);
         yearAdditionalIncome += amount;
         yearAdditionalTax += tax;
       }
@@ -1186,7 +3039,10 @@ export const calculateBasePlan = (inputs, assumptions, clientInfo, vaEnabled = f
       additionalIncomes || [],
       portfolioAccounts,
       cashFlowAdjustments || [],
-      { filingStatus: inputs.filingStatus, stateRate: inputs.stateRate },
+      {
+        filingStatus: inputs.filingStatus, stateRate: inputs.stateRate,
+        taxLawVersion: resolveTaxLawVersion(inputs), taxLawOverrides: inputs.taxLawOverrides
+      },
       {
         dropEnabled: inputs.dropEnabled,
         dropStartAge: inputs.dropStartAge,
@@ -1223,11 +3079,24 @@ export const calculateBasePlan = (inputs, assumptions, clientInfo, vaEnabled = f
     ? Math.min(FULL_RETIREMENT_AGE, Math.max(partnerSSStartAge, ssStartAge - ageDiff))
     : partnerSSStartAge);
 
-  // Get detailed cash flow numbers for a specific year
-  const getAnnualDetails = (yearIndex) => {
+  // Get detailed cash flow numbers for a specific year.
+  // inflationPath (optional) is a realized inflation scenario from runSimulation:
+  // { general, personal } arrays of cumulative factors from simulation start, indexed
+  // by yearIndex (general[0] === 1). Without it the flat assumed rates compound.
+  // spendingAdjustment (optional) scales living expenses — the withdrawal policy's
+  // running multiplier on planned spending (cash flow adjustments are not scaled).
+  // deathAges (optional) { client, partner } replaces the expected death ages with one
+  // Monte Carlo iteration's drawn ones (stochastic mortality).
+  const planStartYear = new Date().getFullYear();
+  const getAnnualDetails = (yearIndex, inflationPath = null, spendingAdjustment = 1, deathAges = null) => {
     const simAge = simulationStartAge + yearIndex;
     const currentPartnerAge = clientInfo.partnerAge + (simAge - clientInfo.currentAge);
+    const calendarYear = planStartYear + (simAge - clientInfo.currentAge);
+    // Federal law for this calendar year (registry version + scheduled changes + overrides)
+    const taxLaw = getPlanTaxLaw(inputs, calendarYear);
     const preSimYears = simulationStartAge - clientInfo.currentAge;
+    const generalIndex = inflationPath ? inflationPath.general[yearIndex] : Math.pow(1 + (inflationRate / 100), yearIndex);
+    const personalIndex = inflationPath ? inflationPath.personal[yearIndex] : Math.pow(1 + (personalInflationRate / 100), yearIndex);
     // Expenses use personal inflation rate.
     // Legacy: monthlySpending is pre-inflated to simulationStartAge, so factor is yearIndex only.
     // Unified: monthlySpending is the RETIREMENT-year spend (either auto-populated from
@@ -1235,19 +3104,21 @@ export const calculateBasePlan = (inputs, assumptions, clientInfo, vaEnabled = f
     //   The factor is therefore relative to the retirement boundary — exactly 1.0 in the
     //   first retirement year — so the entered value flows straight through to net spend.
     //   Pre-retirement years deflate back toward today's-dollar living expenses.
+    //   A realized path replaces the assumed inflation up to retirement as well, so the
+    //   retirement-year spend moves with the inflation actually experienced on the way.
     const expenseInflationFactor = unified
-      ? Math.pow(1 + (personalInflationRate / 100), yearIndex - retirementYearIndex)
-      : Math.pow(1 + (personalInflationRate / 100), yearIndex);
+      ? personalIndex / Math.pow(1 + (personalInflationRate / 100), retirementYearIndex)
+      : personalIndex;
     // Income (SS, pension) uses full inflation rate from simulation start
-    const incomeInflationFactor = Math.pow(1 + (inflationRate / 100), yearIndex);
+    const incomeInflationFactor = generalIndex;
     // Employment income inflates from client's current age (not simulation start)
     // so pre-retirement salary growth is reflected in distribution-phase cash flows
-    const employmentInflationFactor = Math.pow(1 + (inflationRate / 100), yearIndex + preSimYears);
+    const employmentInflationFactor = Math.pow(1 + (inflationRate / 100), preSimYears) * generalIndex;
     // Cash flow adjustments inflate from client's current age (consistent with accumulation phase)
-    const cashFlowInflationFactor = Math.pow(1 + (personalInflationRate / 100), yearIndex + preSimYears);
+    const cashFlowInflationFactor = Math.pow(1 + (personalInflationRate / 100), preSimYears) * personalIndex;
     // Death age tracking
-    const clientExpectedDeathAge = expectedDeathAge || 95;
-    const partnerExpectedDeathAge = partnerExpectedDeathAge_val || 95;
+    const clientExpectedDeathAge = deathAges?.client ?? (expectedDeathAge || 95);
+    const partnerExpectedDeathAge = deathAges?.partner ?? (partnerExpectedDeathAge_val || 95);
     const clientAlive = simAge < clientExpectedDeathAge;
     const partnerAlive = clientInfo.isMarried && currentPartnerAge < partnerExpectedDeathAge;
 
@@ -1256,7 +3127,7 @@ export const calculateBasePlan = (inputs, assumptions, clientInfo, vaEnabled = f
     const reductionPct = (clientInfo.isMarried && !bothAlive && (clientAlive || partnerAlive))
       ? (spendingReductionAtFirstDeath || 0) / 100
       : 0;
-    const expenses = monthlySpending * 12 * expenseInflationFactor * (1 - reductionPct);
+    const expenses = monthlySpending * 12 * expenseInflationFactor * (1 - reductionPct) * spendingAdjustment;
 
     // Track income by source for tax calculations
     let ssIncome = 0;
@@ -1269,13 +3140,13 @@ export const calculateBasePlan = (inputs, assumptions, clientInfo, vaEnabled = f
     let clientEmploymentIncome = 0;
     const clientAnnualIncome_ = clientInfo.annualIncome || 0;
     if (clientAlive && clientAnnualIncome_ > 0 && simAge < clientInfo.retirementAge) {
-      clientEmploymentIncome = clientAnnualIncome_ * (inflationRate > 0 ? employmentInflationFactor : 1);
+      clientEmploymentIncome = clientAnnualIncome_ * employmentInflationFactor;
     }
     let partnerEmploymentIncome = 0;
     const partnerAnnualIncome = clientInfo.partnerAnnualIncome || 0;
     const partnerRetAge = clientInfo.partnerRetirementAge || clientInfo.retirementAge;
     if (clientInfo.isMarried && partnerAlive && partnerAnnualIncome > 0 && currentPartnerAge < partnerRetAge) {
-      partnerEmploymentIncome = partnerAnnualIncome * (inflationRate > 0 ? employmentInflationFactor : 1);
+      partnerEmploymentIncome = partnerAnnualIncome * employmentInflationFactor;
     }
     const employmentIncome = clientEmploymentIncome + partnerEmploymentIncome;
 
@@ -1283,19 +3154,37 @@ export const calculateBasePlan = (inputs, assumptions, clientInfo, vaEnabled = f
     const clientHasFiled = clientAlive && simAge >= ssStartAge;
     const partnerHasFiled = clientInfo.isMarried && partnerAlive && currentPartnerAge >= partnerSSStartAge;
 
+    // WEP / GPO for a living spouse drawing a non-covered pension (inert under current law).
+    // WEP lowers the worker's PIA, and with it the other spouse's spousal benefit; GPO
+    // offsets the pensioner's own spousal and survivor benefits.
+    const clientOffsets = clientAlive
+      ? getNonCoveredPensionOffsets(inputs, 'client', clientImpliedPIA, simAge, incomeInflationFactor, taxLaw)
+      : NO_PENSION_OFFSETS;
+    const partnerOffsets = partnerAlive
+      ? getNonCoveredPensionOffsets(inputs, 'partner', partnerImpliedPIA, currentPartnerAge, incomeInflationFactor, taxLaw)
+      : NO_PENSION_OFFSETS;
+    const clientPIA = clientImpliedPIA - clientOffsets.wep;
+    const partnerPIA = partnerImpliedPIA - partnerOffsets.wep;
+    const clientOwnSS = clientImpliedPIA > 0 ? clientSS * clientPIA / clientImpliedPIA : clientSS;
+    const partnerOwnSS = partnerImpliedPIA > 0 ? partnerSS * partnerPIA / partnerImpliedPIA : partnerSS;
+
     // Deemed filing: own reduced benefit + reduced spousal excess (SSA method)
     // Spousal excess reduction uses entitlement age (when both spouses have filed), not filing age
-    const clientMonthly = clientInfo.isMarried
-      ? applyDeemedFiling(clientSS, partnerImpliedPIA, partnerHasFiled, ssStartAge, clientImpliedPIA, clientSpousalAge)
-      : clientSS;
+    const clientSpousalMonthly = clientInfo.isMarried
+      ? applyDeemedFiling(clientOwnSS, partnerPIA, partnerHasFiled, ssStartAge, clientPIA, clientSpousalAge, clientOffsets.gpo)
+      : clientOwnSS;
+    // A divorced client draws on an ex-spouse's record when that pays more
+    const clientMonthly = Math.max(clientSpousalMonthly, getDivorcedSpouseBenefit(inputs, clientInfo, {
+      ownMonthly: clientOwnSS, pia: clientPIA, claimAge: ssStartAge, age: simAge, offset: clientOffsets.gpo
+    }));
     const partnerMonthly = clientInfo.isMarried
-      ? applyDeemedFiling(partnerSS, clientImpliedPIA, clientHasFiled, partnerSSStartAge, partnerImpliedPIA, partnerSpousalAge)
+      ? applyDeemedFiling(partnerOwnSS, clientPIA, clientHasFiled, partnerSSStartAge, partnerPIA, partnerSpousalAge, partnerOffsets.gpo)
       : 0;
 
     const clientSSFull = clientMonthly * 12 * incomeInflationFactor;
     const partnerSSFull = partnerMonthly * 12 * incomeInflationFactor;
-    const clientSSAfterET = applySSEarningsTest(clientSSFull, clientEmploymentIncome, simAge, incomeInflationFactor);
-    const partnerSSAfterET = applySSEarningsTest(partnerSSFull, partnerEmploymentIncome, currentPartnerAge, incomeInflationFactor);
+    const clientSSAfterET = applySSEarningsTest(clientSSFull, clientEmploymentIncome, simAge, incomeInflationFactor, taxLaw);
+    const partnerSSAfterET = applySSEarningsTest(partnerSSFull, partnerEmploymentIncome, currentPartnerAge, incomeInflationFactor, taxLaw);
 
     if (clientHasFiled) {
       ssIncome += clientSSAfterET;
@@ -1303,17 +3192,42 @@ export const calculateBasePlan = (inputs, assumptions, clientInfo, vaEnabled = f
     if (partnerHasFiled) {
       ssIncome += partnerSSAfterET;
     }
-    // Survivor SS benefit: surviving spouse gets the higher of the two benefits
+    // Survivor SS benefit: surviving spouse gets the higher of the two benefits (less any GPO)
     if (clientInfo.isMarried) {
-      if (!clientAlive && partnerHasFiled && clientSSFull > partnerSSFull) {
-        const survivorBenefit = applySSEarningsTest(clientSSFull, employmentIncome, currentPartnerAge, incomeInflationFactor);
+      const partnerAsSurvivor = getSurvivorBenefit(partnerMonthly, clientSpousalMonthly, partnerOffsets.gpo) * 12 * incomeInflationFactor;
+      const clientAsSurvivor = getSurvivorBenefit(clientMonthly, partnerMonthly, clientOffsets.gpo) * 12 * incomeInflationFactor;
+      if (!clientAlive && partnerHasFiled && partnerAsSurvivor > partnerSSFull) {
+        const survivorBenefit = applySSEarningsTest(partnerAsSurvivor, employmentIncome, currentPartnerAge, incomeInflationFactor, taxLaw);
         ssIncome += (survivorBenefit - partnerSSAfterET);
       }
-      if (clientAlive && !partnerAlive && clientHasFiled && partnerSSFull > clientSSFull) {
-        const survivorBenefit = applySSEarningsTest(partnerSSFull, 0, simAge, incomeInflationFactor);
+      if (clientAlive && !partnerAlive && clientHasFiled && clientAsSurvivor > clientSSFull) {
+        const survivorBenefit = applySSEarningsTest(clientAsSurvivor, 0, simAge, incomeInflationFactor, taxLaw);
         ssIncome += (survivorBenefit - clientSSAfterET);
       }
     }
+    // Children on either parent's record, a young spouse caring for one, and the family
+    // maximum. Each spouse's spousal or survivor excess is what they already draw.
+    const clientAuxiliary = !clientInfo.isMarried || !clientHasFiled ? 0 : partnerAlive
+      ? clientSpousalMonthly - clientOwnSS
+      : Math.max(0, getSurvivorBenefit(clientSpousalMonthly, partnerMonthly, clientOffsets.gpo) - clientSpousalMonthly);
+    const partnerAuxiliary = !partnerHasFiled ? 0 : clientAlive
+      ? partnerMonthly - partnerOwnSS
+      : Math.max(0, getSurvivorBenefit(partnerMonthly, clientSpousalMonthly, partnerOffsets.gpo) - partnerMonthly);
+    const family = getHouseholdFamilyBenefits({
+      children: inputs.ssChildren, yearsFromNow: simAge - clientInfo.currentAge,
+      client: { pia: clientPIA, alive: clientAlive, hasFiled: clientHasFiled, age: simAge, auxiliary: clientAuxiliary },
+      partner: clientInfo.isMarried
+        ? { pia: partnerPIA, alive: partnerAlive, hasFiled: partnerHasFiled, age: currentPartnerAge, auxiliary: partnerAuxiliary }
+        : null,
+      law: taxLaw
+    });
+    ssIncome += (family.clientAuxiliary - clientAuxiliary + family.partnerAuxiliary - partnerAuxiliary) * 12 * incomeInflationFactor;
+
+    // Trust fund depletion scenario: across-the-board cut from the chosen year
+    const ssBenefitFactor = getSSBenefitFactor(inputs, calendarYear);
+    ssIncome *= ssBenefitFactor;
+    // Children's benefits support the household but are the children's income for tax
+    const childSSIncome = family.children * 12 * incomeInflationFactor * ssBenefitFactor;
 
     // Pension income with survivor benefits.
     // While in the DROP period, pension is diverted into the DROP account, so it is
@@ -1357,7 +3271,7 @@ export const calculateBasePlan = (inputs, assumptions, clientInfo, vaEnabled = f
     }
 
     // Total income (includes non-taxable portion for gap calculation; only otherIncome is taxed)
-    const income = ssIncome + pensionIncome + otherIncome + nonTaxableAdditionalIncome + vaIncome + employmentIncome;
+    const income = ssIncome + childSSIncome + pensionIncome + otherIncome + nonTaxableAdditionalIncome + vaIncome + employmentIncome;
 
     // One-time contributions - only if owner is alive
     // Full amount is added to the portfolio; taxable portion is also included in
@@ -1440,12 +3354,19 @@ export const calculateBasePlan = (inputs, assumptions, clientInfo, vaEnabled = f
       oneTimeContributions,
       dropContribution,
       employmentIncome,
-      // Income breakdown for tax calculations
+      // Income breakdown for tax calculations (children's benefits are untaxed)
       ssIncome,
+      childSSIncome,
       pensionIncome,
       otherIncome,
       nonTaxableAdditionalIncome,
-      vaIncome
+      vaIncome,
+      // Cumulative general inflation since today (TAX_BRACKET_BASE_YEAR) — indexes tax
+      // brackets and deflates balances to today's dollars
+      inflationIndex: employmentInflationFactor,
+      taxLaw,
+      // Living spouses' ages, for age-based state tax exclusions
+      taxpayerAges: [clientAlive && simAge, partnerAlive && currentPartnerAge].filter(age => age !== false)
     };
   };
 
@@ -1495,6 +3416,13 @@ export const calculateBasePlan = (inputs, assumptions, clientInfo, vaEnabled = f
     return { traditionalPct: globalTrad, rothPct: globalRoth, nqPct: globalNq };
   };
 
+  // Share of the starting NQ value that is unrealized gain: the tax-aware gap realizes it
+  // on the NQ part of each withdrawal, as selling the lots would
+  const startingNQLots = getInitialNQLots(inputs, bucketPortfolio * ((inputs.nqPercent ?? 15) / 100), !!clientInfo?.isMarried);
+  const startingNQValue = startingNQLots.reduce((sum, lot) => sum + lot.value, 0);
+  const startingNQBasis = startingNQLots.reduce((sum, lot) => sum + lot.basis, 0);
+  const nqStartingGainShare = startingNQValue > 0 ? Math.max(0, 1 - startingNQBasis / startingNQValue) : 0;
+
   // Tax-aware gap: estimate the gross withdrawal needed to cover spending + taxes
   // Even when income covers spending (gap=0), taxes on SS/pension/other income may
   // require a portfolio withdrawal, so we always compute the tax liability.
@@ -1511,18 +3439,15 @@ export const calculateBasePlan = (inputs, assumptions, clientInfo, vaEnabled = f
     const { traditionalPct, rothPct, nqPct } = resolveAccountSplit(yearIndex + 1);
     const nqDividendYield = (inputs.nqDividendYield ?? 2.0) / 100;
     const nqQualifiedDividendPct = (inputs.nqQualifiedDividendPercent ?? 80) / 100;
-    const nqAnnualCapGainRate = (inputs.nqCapitalGainRate ?? 4) / 100;
 
     // Estimate NQ balance as share of remaining portfolio (rough)
     const estNqBalance = bucketPortfolio * nqPct;
     const nqTotalDividends = estNqBalance * nqDividendYield;
     const nqQualifiedDividends = nqTotalDividends * nqQualifiedDividendPct;
     const nqOrdinaryDividends = nqTotalDividends - nqQualifiedDividends;
-    const nqAnnualCapGains = estNqBalance * nqAnnualCapGainRate;
 
     const isSenior = details.simAge >= 65;
     const filingStatus = inputs.filingStatus || 'married';
-    const stateRate = inputs.stateRate || 0;
 
     // Two-pass convergence: estimate tax, then re-estimate with tax-inclusive withdrawal
     let withdrawal = rawGap;
@@ -1532,12 +3457,13 @@ export const calculateBasePlan = (inputs, assumptions, clientInfo, vaEnabled = f
         pensionIncome: details.pensionIncome + (details.vaIncome || 0),
         traditionalWithdrawal: withdrawal * traditionalPct,
         rothWithdrawal: withdrawal * rothPct,
-        nqTaxableGain: nqAnnualCapGains,
+        nqTaxableGain: withdrawal * nqPct * nqStartingGainShare,
         nqQualifiedDividends,
         nqOrdinaryDividends,
         otherIncome: details.otherIncome,
-        employmentIncome: details.employmentIncome
-      }, { filingStatus, stateRate, stateCode: inputs.stateCode || '' }, isSenior);
+        employmentIncome: details.employmentIncome,
+        amtPreferenceItems: getAMTPreferenceItems(inputs, details.simAge)
+      }, { filingStatus, ...getPlanStateTax(inputs, details.simAge), taxpayerAges: details.taxpayerAges, inflationFactor: details.inflationIndex, taxLaw: details.taxLaw }, isSenior);
       // Net withdrawal: spending gap + taxes, offset by any income surplus
       withdrawal = Math.max(0, rawGap + taxData.totalTax - surplus);
     }
@@ -1615,6 +3541,7 @@ export const calculateBasePlan = (inputs, assumptions, clientInfo, vaEnabled = f
     getAnnualGap,
     getTaxAwareGap,
     getAnnualDetails,
+    withdrawalPolicy: resolveWithdrawalPolicy(inputs),
     simulationStartAge,
     clientInfo,
     totalSS,
@@ -1655,17 +3582,18 @@ export const getLegacyEntry = (projection, retirementAge) => {
 };
 
 /**
- * Run portfolio simulation (deterministic or Monte Carlo)
- * @param {object} basePlan - Base plan object
- * @param {object} assumptions - Return assumptions
- * @param {object} inputs - Portfolio inputs
- * @param {number} rebalanceFreq - Rebalancing frequency (0 = never)
- * @param {boolean} isMonteCarlo - Whether to run Monte Carlo simulation
- * @param {object} vaInputs - VA GIB inputs (optional)
- * @param {object} rebalanceTargets - Manual rebalance target percentages (optional)
- * @returns {Array|object} Simulation results
+ * Core simulation loop behind runSimulation. Draws from whatever uniform source is
+ * active — runSimulation installs the plan's seed around Monte Carlo calls.
+ * Parameters match runSimulation.
  */
-export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMonteCarlo = false, vaInputs = null, rebalanceTargets = null) => {
+const simulatePortfolio = (basePlan, assumptions, inputs, rebalanceFreq, mode = false, vaInputs = null, rebalanceTargets = null) => {
+  const isHistorical = mode === 'historical';
+  const isBootstrap = mode === 'bootstrap';
+  const isMonteCarlo = mode === true || mode === 'montecarlo';
+  // Bootstrap resampling settings: block length in years and whether resampled years
+  // are re-centered on the bucket return assumptions
+  const bootstrapBlockLength = Math.max(1, inputs.bootstrapBlockLength ?? DEFAULT_BOOTSTRAP_BLOCK_LENGTH);
+  const bootstrapMeanAdjust = inputs.bootstrapMeanAdjust ?? true;
   const { b1Val, b2Val, b3Val, b4Val, b5Val, getAnnualGap, getTaxAwareGap, getAnnualDetails, simulationStartAge, clientInfo } = basePlan;
 
   // Unified timeline: simulationStartAge is currentAge and the loop covers both
@@ -1704,9 +3632,28 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
   }
   // +1 so the death year itself is included in the projection
   const years = Math.min(75, Math.max(1, lastDeathClientAge - startAge + 1));
+  const clientCurrentAge = clientInfo?.currentAge || startAge;
+  const partnerCurrentAge = clientInfo?.partnerAge || clientCurrentAge;
   let results = [];
   let failureCount = 0;
-  const iterations = isMonteCarlo ? 1000 : 1;
+  const failedFlags = [];
+
+  // Historical backtest: one iteration per rolling start year. The first retirement
+  // year (not the first accumulation year) is aligned to the start year, so "1966"
+  // means retiring into the 1966 market. Only full-length windows are replayed.
+  const historicalOffset = unified ? Math.max(0, boundaryAge - startAge) : 0;
+  const historicalSpan = Math.max(1, years - historicalOffset);
+  const historicalStartYears = [];
+  if (isHistorical) {
+    for (let y = HISTORICAL_FIRST_YEAR; y + historicalSpan - 1 <= HISTORICAL_LAST_YEAR; y++) {
+      historicalStartYears.push(y);
+    }
+    // Retirement horizon longer than the data — no complete window to replay
+    if (historicalStartYears.length === 0) return null;
+  }
+
+  const isRandomized = isMonteCarlo || isBootstrap;
+  const iterations = isRandomized ? getMonteCarloIterations(inputs) : isHistorical ? historicalStartYears.length : 1;
   // Benchmark: Passive 60/40 Balanced Portfolio (60% US Equity / 40% US Aggregate Bond)
   // Forward-looking consensus from major capital market assumptions (2026):
   //   Vanguard VCMM: 6.0-6.5%, JP Morgan LTCMA: 5.7-6.4%, Schwab 10yr: 6.2%
@@ -1719,6 +3666,35 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
   // Advisory fee applied annually to both the managed bucket portfolio and the passive 60/40 benchmark
   // (client pays the advisor either way — comparison is purely active vs passive strategy)
   const advisoryFeeRate = (inputs.advisoryFee ?? 1.0) / 100;
+  // Monte Carlo draws all five buckets and the benchmark jointly from one correlated
+  // multivariate normal. Factor the correlation matrix once per run, not per year.
+  const correlationL = isMonteCarlo ? getCorrelationCholesky(inputs.returnCorrelations) : null;
+  // Stochastic inflation: each randomized iteration draws its own CPI path, which drives
+  // spending, SS/pension COLAs, bracket and IRMAA indexing through getAnnualDetails'
+  // inflationIndex. Normal Monte Carlo uses an AR(1) path correlated with the B2 return;
+  // bootstrap replays the CPI of the same resampled years as the returns. The historical
+  // backtest always replays each window's actual CPI (a 1966 retiree lives through the
+  // 1970s). Personal inflation keeps its assumed spread over general inflation.
+  const stochasticInflation = (isMonteCarlo || isBootstrap) && !!inputs.stochasticInflation;
+  const assumedInflation = (inputs.inflationRate || 0) / 100;
+  const personalInflationSpread = ((inputs.personalInflationRate || 0) - (inputs.inflationRate || 0)) / 100;
+  const inflationVolatility = (inputs.inflationVolatility ?? 0) / 100;
+  const inflationBondCorrelation = inputs.inflationBondCorrelation ?? 0;
+  // Withdrawal policy (see SPENDING_RULES); null rule = fixed spending. Applies to
+  // retirement years only.
+  const withdrawalPolicy = basePlan.withdrawalPolicy || resolveWithdrawalPolicy(inputs);
+  const spendingRule = withdrawalPolicy.type !== 'fixed' ? SPENDING_RULES[withdrawalPolicy.type] : null;
+  const assumedSpendingInflationStep = 1 + (inputs.personalInflationRate || 0) / 100;
+  // Stochastic mortality: randomized iterations draw each spouse's death age from the
+  // life table instead of using expectedDeathAge, and run until the household's last
+  // death. The draws come from their own stream (derived from the iteration seed), so
+  // turning the option on doesn't change any iteration's market path.
+  const stochasticMortality = isRandomized && !!inputs.stochasticMortality;
+  const mortalityProfile = stochasticMortality ? resolveMortalityProfile(inputs) : null;
+  const plannedDeathAges = {
+    client: clientDeathAge,
+    partner: clientInfo?.isMarried ? (inputs.partnerExpectedDeathAge || 95) : null
+  };
 
   // Calculate VA allocation if enabled. In unified mode, the carve-out comes off
   // today's portfolio (the simulation starting balance); in legacy mode it comes off
@@ -1754,7 +3730,49 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
     partnerTraditionalShare = 0.5;
   }
 
-  for (let iter = 0; iter < iterations; iter++) {
+  // Randomized runs give every iteration its own sub-seed, drawn up front from the run's
+  // stream, so any single iteration can be replayed exactly. Only per-year totals are kept
+  // for the percentile bands; once the first pass is done the representative p10 / median /
+  // p90 iterations are queued again to recover their full cash-flow histories. This keeps
+  // memory flat at 10,000 iterations.
+  const iterationSeeds = isRandomized
+    ? Array.from({ length: iterations }, () => Math.floor(randomUniform() * 4294967296))
+    : null;
+  const iterationQueue = Array.from({ length: iterations }, (_, idx) => idx);
+  const iterationTotals = [];
+  const replayedHistories = new Map();
+  let representativeTargets = null;
+  // Real (today's-dollar) balance of one row, deflated by that iteration's own price level
+  const realTotal = (row) => row ? (row.total || 0) / (row.inflationIndex || 1) : 0;
+  // Real living expenses of one row (after any withdrawal-policy adjustment)
+  const realSpending = (row) => row ? (row.livingExpenses || 0) / (row.inflationIndex || 1) : 0;
+
+  for (let q = 0; q < iterationQueue.length; q++) {
+    const iter = iterationQueue[q];
+    const isReplay = q >= iterations;
+    if (iterationSeeds) uniformSource = createSeededRandom(iterationSeeds[iter]);
+    // This iteration's death ages and horizon (through the later death, death year included)
+    let deathAges = plannedDeathAges;
+    let iterationYears = years;
+    if (stochasticMortality) {
+      const mortalityRandom = createSeededRandom((iterationSeeds[iter] ^ 0x9E3779B9) >>> 0);
+      deathAges = {
+        client: drawDeathAge(clientCurrentAge, mortalityProfile.client.sex, mortalityProfile.client.multiplier, mortalityRandom),
+        partner: clientInfo?.isMarried
+          ? drawDeathAge(partnerCurrentAge, mortalityProfile.partner.sex, mortalityProfile.partner.multiplier, mortalityRandom)
+          : null
+      };
+      const lastDeath = deathAges.partner === null
+        ? deathAges.client
+        : Math.max(deathAges.client, deathAges.partner + clientCurrentAge - partnerCurrentAge);
+      iterationYears = Math.min(75, Math.max(1, lastDeath - startAge + 1));
+    }
+    // Bootstrap: this iteration's resampled sequence of historical years
+    const bootstrapYears = isBootstrap ? sampleBootstrapYears(iterationYears, bootstrapBlockLength) : null;
+    // This iteration's realized inflation path (cumulative factors from simulation start),
+    // extended one year at a time as the loop draws each year's inflation
+    const inflationPath = (stochasticInflation || isHistorical) ? { general: [1], personal: [1] } : null;
+    let inflationDeviation = 0;
     // Account-type percentages (used for both modes; unified applies them at currentAge,
     // legacy at retirementAge via inputs.totalPortfolio).
     const initTradPct = (inputs.traditionalPercent ?? 60) / 100;
@@ -1823,7 +3841,7 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
     const _simBootYear = new Date().getFullYear();
     (inputs.accounts || []).filter(a => a.type === 'inherited' && (a.balance || 0) > 0).forEach(a => {
       const inhYear = a.inheritedYear || _simBootYear;
-      inheritedTranches.push({ balance: a.balance, deadlineYear: inhYear + 10 });
+      inheritedTranches.push({ balance: a.balance, deadlineYear: inhYear + SECURE_ACT_PAYOUT_YEARS });
     });
 
     // Per-account state for Advanced Mode accumulation. Excludes inherited (tracked separately).
@@ -1835,12 +3853,52 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
     const inheritedIRAEvents = (inputs.additionalIncomes || [])
       .filter(s => s.isOneTime && s.isInheritedIRA && s.name === 'Inheritance');
 
+    // MAGI history by calendar year for the IRMAA two-year lookback: { magi, employment }.
+    // The last two filed returns (MAGI and the wages on them) seed the plan's first two
+    // years (0 = not entered); every projected year then records its own.
+    const magiHistory = new Map();
+    [
+      [inputs.irmaaMagiTwoYearsAgo, inputs.irmaaWagesTwoYearsAgo],
+      [inputs.irmaaMagiLastYear, inputs.irmaaWagesLastYear]
+    ].forEach(([magi, wages], k) => {
+      if (magi > 0) magiHistory.set(_simBootYear - 2 + k, { magi, employment: wages || 0 });
+    });
+
     // Unified-mode pre-retirement state (accumulating DROP balance, "buckets-snapped" flag).
     let unifiedDropBalance = 0;
     let unifiedBucketsSnapped = false;
 
     let nqUnrealizedGains = 0; // Tracks deferred capital gains that roll forward
 
+    // NQ cost basis: lots follow nqAccountBalance so sales realize gain against basis.
+    // New money is held jointly by a married couple; basis steps up once, at the first death.
+    const nqBasis = createNQBasisTracker(getInitialNQLots(inputs, nqAccountBalance, !!clientInfo?.isMarried), inputs.nqLotMethod);
+    const newLotOwner = clientInfo?.isMarried ? 'joint' : 'client';
+    let nqBasisSteppedUp = false;
+    const applyDeathStepUp = (clientAliveNow, partnerAliveNow, age) => {
+      if (nqBasisSteppedUp || !clientInfo?.isMarried || clientAliveNow === partnerAliveNow) return;
+      const communityProperty = COMMUNITY_PROPERTY_STATES.includes(getPlanStateTax(inputs, age).stateCode);
+      nqBasis.stepUp(clientAliveNow ? 'partner' : 'client', clientAliveNow ? 'client' : 'partner', communityProperty);
+      nqBasisSteppedUp = true;
+    };
+
+    // Harvesting: banked losses carry forward (IRC §1212(b)) until gains or the $3,000
+    // ordinary offset use them up
+    const harvestPolicy = NQ_HARVEST_POLICIES[inputs.nqHarvestPolicy] || NQ_HARVEST_POLICIES.none;
+    let capitalLossCarryforward = 0;
+    const harvestLosses = () => {
+      if (!harvestPolicy.losses) return 0;
+      const loss = nqBasis.harvestLosses();
+      capitalLossCarryforward += loss;
+      return loss;
+    };
+
+    // Withdrawal-policy state: the running multiplier on planned living expenses, the
+    // rule's own scratch state, and last year's portfolio return.
+    let spendingAdjustment = 1;
+    const spendingRuleState = {};
+    let priorYearReturn = null;
+
     let benchmarkBalance = unified ? (clientInfo?.currentPortfolio || 0) : inputs.totalPortfolio;
     let history = [];
     let failed = false;
@@ -1914,7 +3972,7 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
       return { tradW, rothW, nqW };
     };
 
-    for (let i = 1; i <= years; i++) {
+    for (let i = 1; i <= iterationYears; i++) {
       const startTotal = Object.values(balances).reduce((a, b) => a + b, 0);
       // unifiedDropBalance is a carry-over that exists at year start but lives outside
       // `balances` until rolled into B5 inside this iteration at the retirement boundary.
@@ -1925,13 +3983,45 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
       // Type bucket totals.
       const startBalanceForRow = startTotal + (unifiedDropBalance || 0);
       let rates = {};
+      // Passive 60/40 benchmark return for this year (drawn jointly with the buckets in
+      // Monte Carlo, replayed from history in the backtest)
+      let yearBenchmarkRate = benchmarkReturn;
+      // Calendar year replayed this simulation year (historical backtest only; pre-
+      // retirement years sit before the window and use the deterministic assumptions)
+      const historicalYear = isHistorical ? historicalStartYears[iter] + (i - 1 - historicalOffset) : null;
 
       if (isMonteCarlo) {
-        rates.b1 = (assumptions.b1.return + assumptions.b1.stdDev * randn_bm()) / 100;
-        rates.b2 = (assumptions.b2.return + assumptions.b2.stdDev * randn_bm()) / 100;
-        rates.b3 = (assumptions.b3.return + assumptions.b3.stdDev * randn_bm()) / 100;
-        rates.b4 = (assumptions.b4.return + assumptions.b4.stdDev * randn_bm()) / 100;
-        rates.b5 = (assumptions.b5.return + assumptions.b5.stdDev * randn_bm()) / 100;
+        // z is ordered as RETURN_CORRELATION_KEYS: b1..b5, then benchmark
+        const z = drawCorrelatedNormals(correlationL);
+        rates.b1 = (assumptions.b1.return + assumptions.b1.stdDev * z[0]) / 100;
+        rates.b2 = (assumptions.b2.return + assumptions.b2.stdDev * z[1]) / 100;
+        rates.b3 = (assumptions.b3.return + assumptions.b3.stdDev * z[2]) / 100;
+        rates.b4 = (assumptions.b4.return + assumptions.b4.stdDev * z[3]) / 100;
+        rates.b5 = (assumptions.b5.return + assumptions.b5.stdDev * z[4]) / 100;
+        yearBenchmarkRate = benchmarkReturn + benchmarkStdDev * z[5];
+        if (stochasticInflation) {
+          inflationDeviation = drawInflationDeviation(inflationDeviation, z[1], inflationVolatility, inflationBondCorrelation);
+        }
+      } else if (isBootstrap) {
+        const sampled = getBootstrapReturns(bootstrapYears[i - 1], assumptions, benchmarkReturn, bootstrapMeanAdjust);
+        rates.b1 = sampled.b1;
+        rates.b2 = sampled.b2;
+        rates.b3 = sampled.b3;
+        rates.b4 = sampled.b4;
+        rates.b5 = sampled.b5;
+        yearBenchmarkRate = sampled.benchmark;
+        if (stochasticInflation) {
+          inflationDeviation = getBootstrapInflation(bootstrapYears[i - 1], assumedInflation, bootstrapMeanAdjust) - assumedInflation;
+        }
+      } else if (isHistorical && HISTORICAL_RETURNS[historicalYear]) {
+        // Buckets map to asset-class blends (BUCKET_ASSET_BLEND)
+        rates.b1 = getBucketReturn('b1', historicalYear);
+        rates.b2 = getBucketReturn('b2', historicalYear);
+        rates.b3 = getBucketReturn('b3', historicalYear);
+        rates.b4 = getBucketReturn('b4', historicalYear);
+        rates.b5 = getBucketReturn('b5', historicalYear);
+        yearBenchmarkRate = getBenchmarkReturn(historicalYear);
+        inflationDeviation = getHistoricalInflation(historicalYear) - assumedInflation;
       } else {
         rates.b1 = assumptions.b1.return / 100;
         rates.b2 = assumptions.b2.return / 100;
@@ -1939,12 +4029,46 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
         rates.b4 = assumptions.b4.return / 100;
         rates.b5 = assumptions.b5.return / 100;
       }
+      // Inflation realized during this year sets next year's price level; this year's
+      // cash flows use the level reached at its start (inflationPath[i - 1])
+      if (inflationPath) {
+        const yearInflation = assumedInflation + inflationDeviation;
+        inflationPath.general.push(inflationPath.general[i - 1] * (1 + yearInflation));
+        inflationPath.personal.push(inflationPath.personal[i - 1] * (1 + yearInflation + personalInflationSpread));
+      }
+
+      // Spending rule: decide this year's living expenses from the start-of-year balance
+      // before any cash flows. A depleted portfolio leaves nothing for the rule to size.
+      let spendingAction = null;
+      let plannedLivingExpenses = null;
+      if (spendingRule && (!unified || simulationStartAge + i - 1 >= boundaryAge)) {
+        const planned = getAnnualDetails(i - 1, inflationPath, 1, deathAges);
+        plannedLivingExpenses = planned.baseExpenses;
+        if (startTotal > 0) {
+          const step = spendingRule.adjust(withdrawalPolicy, spendingRuleState, {
+            adjustment: spendingAdjustment,
+            balance: startTotal,
+            plannedLivingExpenses: planned.baseExpenses,
+            income: planned.income,
+            cashFlowAdjustment: planned.cashFlowAdjustmentDetail,
+            age: planned.simAge,
+            yearsRemaining: iterationYears - i + 1,
+            inflationStep: inflationPath && i >= 2
+              ? inflationPath.personal[i - 1] / inflationPath.personal[i - 2]
+              : assumedSpendingInflationStep,
+            priorYearReturn
+          });
+          spendingAdjustment = step.adjustment;
+          spendingAction = step.action;
+        }
+      }
 
       const {
         expenses, baseExpenses, cashFlowAdjustmentDetail, income, gap, surplus, simAge, currentPartnerAge, oneTimeContributions,
         dropContribution,
-        ssIncome, pensionIncome, otherIncome, nonTaxableAdditionalIncome, vaIncome, employmentIncome
-      } = getAnnualDetails(i - 1);
+        ssIncome, childSSIncome, pensionIncome, otherIncome, nonTaxableAdditionalIncome, vaIncome, employmentIncome,
+        inflationIndex, taxLaw, taxpayerAges
+      } = getAnnualDetails(i - 1, inflationPath, spendingAdjustment, deathAges);
 
       // ========================================================================
       // UNIFIED TIMELINE — pre-retirement accumulation branch (robust gap-based)
@@ -1962,15 +4086,15 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
       //   - no full tax pipeline yet — accumulation-year withdrawals are pro-rata gross
       if (unified && simAge < boundaryAge) {
         const yearIdx = simAge - clientInfo.currentAge;
-        const inflFactor = Math.pow(1 + accumulationInflRate, yearIdx);
+        const inflFactor = inflationIndex;
 
         // --- Bilateral savings: each working spouse contributes their income share ---
         const annualIncome = clientInfo.annualIncome || 0;
         const partnerAnnualIncome = clientInfo.partnerAnnualIncome || 0;
         const totalHouseholdIncome = annualIncome + partnerAnnualIncome;
-        const clientWorking = simAge < (clientInfo.retirementAge ?? 0);
+        const clientWorking = simAge < (clientInfo.retirementAge ?? 0) && simAge < deathAges.client;
         const partnerWorking = clientInfo.isMarried
-          ? currentPartnerAge < (clientInfo.partnerRetirementAge ?? clientInfo.retirementAge ?? 0)
+          ? currentPartnerAge < (clientInfo.partnerRetirementAge ?? clientInfo.retirementAge ?? 0) && currentPartnerAge < deathAges.partner
           : false;
         // Income share by spouse. When household income > 0, weighted by wages; otherwise
         // fall back to working flag so a single-earner household still saves correctly.
@@ -1993,6 +4117,7 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
             let contrib = a.annualContribution || 0;
             if (a.owner === 'partner' && !partnerWorking) contrib = 0;
             if ((a.owner === 'client' || !a.owner) && !clientWorking) contrib = 0;
+            if (a.owner === 'joint' && !clientWorking && !partnerWorking) contrib = 0;
             contrib *= inflFactor;
             if (a.type === 'traditional') tradContribution += contrib;
             else if (a.type === 'roth')   rothContribution += contrib;
@@ -2025,11 +4150,11 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
             const taxablePct = (stream.taxablePercent ?? 100) / 100;
             const taxableAmount = amount * taxablePct;
             const baseIncome = (annualIncome + partnerAnnualIncome) * inflFactor;
-            const stdDed = (inputs.filingStatus === 'single') ? 14600 : 29200;
+            const stdDed = getInflationAdjustedDeduction(inputs.filingStatus || 'married', 0, 0, false, inflFactor, taxLaw);
             const baseTaxable = Math.max(0, baseIncome - baseSavings * inflFactor - stdDed);
-            const fed1 = calculateFederalTax(baseTaxable, inputs.filingStatus || 'married');
-            const fed2 = calculateFederalTax(baseTaxable + taxableAmount, inputs.filingStatus || 'married');
-            const stateTax = taxableAmount * ((inputs.stateRate || 0) / 100);
+            const fed1 = calculateFederalTax(baseTaxable, inputs.filingStatus || 'married', inflFactor, taxLaw);
+            const fed2 = calculateFederalTax(baseTaxable + taxableAmount, inputs.filingStatus || 'married', inflFactor, taxLaw);
+            const stateTax = taxableAmount * (getPlanStateTax(inputs, simAge).stateRate / 100);
             const tax = (fed2 - fed1) + stateTax;
             yearAdditionalIncome += amount;
             yearAdditionalTax += tax;
@@ -2042,25 +4167,20 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
           if (ownerAge === ev.startAge) {
             let amt = ev.amount;
             if (ev.inflationAdjusted) amt *= inflFactor;
-            inheritedTranches.push({ balance: amt, deadlineYear: _simBootYear + yearIdx + 10 });
+            inheritedTranches.push({ balance: amt, deadlineYear: _simBootYear + yearIdx + SECURE_ACT_PAYOUT_YEARS });
           }
         });
-        const _currentCalYearA = _simBootYear + yearIdx;
-        let inheritedDistribThisYear = 0;
-        inheritedTranches.forEach(t => {
-          t.balance *= (1 + accumulationGrowthRate);
-          const yearsRemaining = Math.max(1, t.deadlineYear - _currentCalYearA);
-          const forced = yearsRemaining <= 1 ? t.balance : t.balance / yearsRemaining;
-          inheritedDistribThisYear += forced;
-          t.balance = Math.max(0, t.balance - forced);
-        });
-        inheritedTranches = inheritedTranches.filter(t => t.balance > 1);
+        const inheritedYear = distributeInheritedTranches(inheritedTranches, accumulationGrowthRate, _simBootYear + yearIdx);
+        const inheritedDistribThisYear = inheritedYear.distribution;
+        inheritedTranches = inheritedYear.tranches;
 
         // --- Tax on accumulation-year income ---
         // Apply the same tax pipeline used post-retirement so wage/SS/pension years are
         // consistent across the boundary. Approximation: tax computed on income only;
         // tax on any portfolio withdrawal needed to cover a cf-driven gap is not iterated
         // (v1 limitation — flagged for follow-up).
+        // Working-year giving is paid in cash out of the household's income
+        const accumGiving = getCharitableGift(inputs, { age: simAge, livingAges: taxpayerAges, yearIndex: i - 1, inflationIndex, law: taxLaw });
         const taxAccumulation = inputs.taxEnabled
           ? calculateAnnualTax(
               {
@@ -2072,27 +4192,36 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
                 nqQualifiedDividends: 0,
                 nqOrdinaryDividends: 0,
                 otherIncome,
-                employmentIncome: employmentIncome || 0
+                employmentIncome: employmentIncome || 0,
+                charitableCash: accumGiving.gift,
+                charitableViaDAF: accumGiving.viaDAF,
+                itemizedDeductions: (inputs.itemizedDeductions || 0) * inflationIndex,
+                amtPreferenceItems: getAMTPreferenceItems(inputs, simAge)
               },
               {
                 filingStatus: inputs.filingStatus || 'married',
-                stateRate: inputs.stateRate || 0,
-                stateCode: inputs.stateCode || ''
+                ...getPlanStateTax(inputs, simAge),
+                taxpayerAges,
+                inflationFactor: inflationIndex,
+                taxLaw
               },
               simAge >= 65
             )
           : { federalTax: 0, stateTax: 0, totalTax: 0, effectiveRate: '0.0', taxableSS: 0 };
 
+        magiHistory.set(_simBootYear + yearIdx, { magi: taxAccumulation.magi || 0, employment: employmentIncome || 0 });
+
         // Recompute gap/surplus to include tax and inherited-IRA forced distribution.
         // `expenses` from getAnnualDetails is already cf-adjusted (= baseExpenses +
         // cashFlowAdjustmentDetail), so don't subtract cf again.
-        const householdNet = income + inheritedDistribThisYear - expenses - taxAccumulation.totalTax;
+        const householdNet = income + inheritedDistribThisYear - expenses - taxAccumulation.totalTax - accumGiving.gift;
         const accumGap = Math.max(0, -householdNet);
         const accumSurplus = Math.max(0, householdNet);
 
         // --- Portfolio-flow accounting ---
         let pool;
         let yearGrowth;
+        let nqPurchases;
         if (acctState) {
           // Advanced Mode: add per-account contributions to their own accounts, grow each,
           // then route one-time net additional income and surplus proportionally to NQ accounts,
@@ -2127,6 +4256,9 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
           traditionalBalance = acctState.filter(a => a.type === 'traditional').reduce((s, a) => s + a.projected, 0);
           rothBalance        = acctState.filter(a => a.type === 'roth').reduce((s, a) => s + a.projected, 0);
           nqAccountBalance   = acctState.filter(a => a.type === 'nq').reduce((s, a) => s + a.projected, 0);
+          nqPurchases = nqContribution
+            + (nqTotal > 0 ? Math.max(0, netAdditional) : 0)
+            + (nqTotal > 0 && surplusToPortfolio ? accumSurplus : 0);
           pool = traditionalBalance + rothBalance + nqAccountBalance;
           balances.b5 = pool;
           balances.b1 = 0; balances.b2 = 0; balances.b3 = 0; balances.b4 = 0;
@@ -2144,7 +4276,16 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
           traditionalBalance = pool * initTradPct;
           rothBalance = pool * initRothPct;
           nqAccountBalance = pool * initNqPct;
+          nqPurchases = (yearSavings + Math.max(0, yearAdditionalIncome - yearAdditionalTax) + (surplusToPortfolio ? accumSurplus : 0)) * initNqPct;
         }
+        // Working-year basis: new NQ money is bought at cost; the rest of the change in
+        // value is market movement (gap draws don't relieve basis — approximation)
+        nqBasis.scaleTo(Math.max(0, nqAccountBalance - nqPurchases));
+        nqBasis.add(Math.min(nqPurchases, nqAccountBalance), newLotOwner);
+        applyDeathStepUp(simAge < deathAges.client, clientInfo.isMarried && currentPartnerAge < deathAges.partner, simAge);
+        // Losses harvested while working are banked for retirement (the working-year tax
+        // estimate doesn't model NQ gains)
+        const accumHarvestedLoss = harvestLosses();
 
         // Benchmark mirrors the same flows at benchmark return
         let benchPool = benchmarkBalance;
@@ -2152,7 +4293,7 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
         benchPool += yearSavings;
         if (accumGap > 0) benchPool -= accumGap;
         if (surplusToPortfolio && accumSurplus > 0) benchPool += accumSurplus;
-        const benchRate = isMonteCarlo ? (benchmarkReturn + benchmarkStdDev * randn_bm()) : benchmarkReturn;
+        const benchRate = yearBenchmarkRate;
         benchPool *= (1 + benchRate);
         benchmarkBalance = benchPool;
 
@@ -2180,6 +4321,7 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
           growth: Math.round(yearGrowth),
           ssIncome: Math.round(income),
           ssIncomeDetail: Math.round(ssIncome),
+          childSSIncomeDetail: Math.round(childSSIncome),
           pensionIncomeDetail: Math.round(pensionIncome),
           employmentIncomeDetail: Math.round(employmentIncome || 0),
           otherIncomeDetail: Math.round(otherIncome + nonTaxableAdditionalIncome),
@@ -2187,7 +4329,7 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
           cashFlowAdjustmentDetail: Math.round(cashFlowAdjustmentDetail || 0),
           // Total Expenses = living + cf + tax (matches post-retirement convention so
           // the cash-flow table sums consistently across the accumulation/retirement boundary)
-          expenses: Math.round(expenses + (taxAccumulation.totalTax || 0)),
+          expenses: Math.round(expenses + accumGiving.gift + (taxAccumulation.totalTax || 0)),
           savings: Math.round(yearSavings),
           tradContribution: Math.round(tradContribution),
           rothContribution: Math.round(rothContribution),
@@ -2218,15 +4360,27 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
           stateTax: taxAccumulation.stateTax,
           totalTax: taxAccumulation.totalTax,
           effectiveRate: taxAccumulation.effectiveRate,
+          niit: taxAccumulation.niit || 0,
+          amt: taxAccumulation.amt || 0,
           taxableSS: Math.round(taxAccumulation.taxableSS || 0),
           rmdAmount: 0, rmdExcess: 0,
           traditionalBalanceDetail: Math.round(traditionalBalance),
           rothBalanceDetail: Math.round(rothBalance),
           nqBalanceDetail: Math.round(nqAccountBalance),
+          nqCostBasis: Math.round(nqBasis.basis()),
           rothConversion: 0, rothConversionTax: 0,
           nqUnrealizedGains: 0, nqStrategicRealization: 0,
-          magi: 0, irmaaCost: 0, irmaaBracket: 0,
-          r1: 0, r2: 0, r3: 0, r4: 0, r5: accumulationGrowthRate
+          nqHarvestedLoss: Math.round(accumHarvestedLoss), nqHarvestedGain: 0, capitalLossUsed: 0,
+          charitableGoal: Math.round(accumGiving.goal), charitableGift: Math.round(accumGiving.gift),
+          qcdAmount: 0, charitableShares: 0, charitableCash: Math.round(accumGiving.gift),
+          itemizing: !!taxAccumulation.itemized, viaDAF: accumGiving.viaDAF && accumGiving.gift > 0,
+          taxDeduction: Math.round(taxAccumulation.deduction || 0),
+          capitalLossCarryforward: Math.round(capitalLossCarryforward),
+          magi: 0, irmaaMagi: taxAccumulation.magi || 0, irmaaCost: 0, irmaaBracket: 0,
+          irmaaPartB: 0, irmaaPartD: 0, irmaaAppealed: false, irmaaTierCeiling: null,
+          acaPremium: 0, acaCredit: 0, acaNetPremium: 0, acaFplPercent: 0, acaCliffMagi: null, acaOverCliff: false,
+          r1: 0, r2: 0, r3: 0, r4: 0, r5: accumulationGrowthRate,
+          inflationIndex
         });
         continue;
       }
@@ -2317,11 +4471,10 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
       const blendedRate = startTotal > 0
         ? (postGrowthTotal - startTotal - oneTimeContributions - dropContribution) / startTotal
         : 0;
+      // Next year's spending rule looks back at this year's (net-of-fee) portfolio return
+      priorYearReturn = blendedRate;
 
-      const appliedBench = isMonteCarlo
-        ? (benchmarkReturn + benchmarkStdDev * randn_bm())
-        : benchmarkReturn;
-      benchmarkBalance *= (1 + appliedBench);
+      benchmarkBalance *= (1 + yearBenchmarkRate);
 
       // Apply same advisory fee to benchmark — client pays the advisor either way,
       // so the comparison is purely active bucket strategy vs passive 60/40 management
@@ -2369,45 +4522,69 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
         const ownerAge = ev.owner === 'partner' ? currentPartnerAge : simAge;
         if (ownerAge === ev.startAge) {
           let amt = ev.amount;
-          // Match the inflation factor used for the rest of retirement projections (incomeInflationFactor in
-          // getAnnualDetails); approximate here using accumulationInflRate from the bootstrap.
-          if (ev.inflationAdjusted) amt *= Math.pow(1 + accumulationInflRate, simAge - (clientInfo?.currentAge || simAge));
-          inheritedTranches.push({ balance: amt, deadlineYear: _simBootYear + (simAge - (clientInfo?.currentAge || 0)) + 10 });
+          // Inflate from today, matching the rest of the projection (getAnnualDetails inflationIndex)
+          if (ev.inflationAdjusted) amt *= inflationIndex;
+          inheritedTranches.push({ balance: amt, deadlineYear: _simBootYear + (simAge - (clientInfo?.currentAge || 0)) + SECURE_ACT_PAYOUT_YEARS });
         }
       });
-      const _currentCalYearR = _simBootYear + (simAge - (clientInfo?.currentAge || 0));
-      let inheritedDistribThisYear = 0;
-      inheritedTranches.forEach(t => {
-        // Grow at the blended portfolio rate (weighted avg of bucket returns this year)
-        // rather than pure B5 — matches how the inherited assets would be invested in
-        // a diversified manner, and is consistent with trad/roth/nq accounting growth.
-        t.balance *= (1 + blendedRate);
-        const yearsRemaining = Math.max(1, t.deadlineYear - _currentCalYearR);
-        const forced = yearsRemaining <= 1 ? t.balance : t.balance / yearsRemaining;
-        inheritedDistribThisYear += forced;
-        t.balance = Math.max(0, t.balance - forced);
-      });
-      inheritedTranches = inheritedTranches.filter(t => t.balance > 1);
+      // Grow at the blended portfolio rate (weighted avg of bucket returns this year)
+      // rather than pure B5 — matches how the inherited assets would be invested in
+      // a diversified manner, and is consistent with trad/roth/nq accounting growth.
+      const inheritedYear = distributeInheritedTranches(inheritedTranches, blendedRate, _simBootYear + (simAge - (clientInfo?.currentAge || 0)));
+      const inheritedDistribThisYear = inheritedYear.distribution;
+      inheritedTranches = inheritedYear.tranches;
+
+      // --- Charitable giving, cheapest source first: QCDs (IRA owner 70½+, excluded from
+      // income and counted toward the RMD), then appreciated NQ shares (no gain realized),
+      // then cash out of the spending flow. In-kind gifts leave the portfolio directly.
+      const giving = getCharitableGift(inputs, { age: simAge, livingAges: taxpayerAges, yearIndex: i - 1, inflationIndex, law: taxLaw });
+      let qcdAmount = 0;
+      let charitableShares = 0;
+      if (inputs.taxEnabled && giving.gift > 0) {
+        if (giving.qcdEligible) {
+          const qcdAge = Math.ceil(taxLaw.charitable?.qcdMinAge ?? 70.5);
+          const qcdLimit = (taxLaw.charitable?.qcdLimit || 0) * inflationIndex;
+          const clientLiving = simAge < deathAges.client;
+          const partnerLiving = !!clientInfo?.isMarried && currentPartnerAge < deathAges.partner;
+          // A survivor owns the whole IRA; otherwise each spouse gives from their own share
+          const ownerCapacity = (living, age, share) => (living && age >= qcdAge
+            ? Math.min(qcdLimit, traditionalBalance * (clientLiving && partnerLiving ? share : 1))
+            : 0);
+          const qcdCapacity = ownerCapacity(clientLiving, simAge, clientTraditionalShare)
+            + ownerCapacity(partnerLiving, currentPartnerAge, partnerTraditionalShare);
+          qcdAmount = Math.min(giving.gift, qcdCapacity);
+        }
+        charitableShares = Math.min(giving.gift - qcdAmount, nqBasis.appreciatedValue(), nqAccountBalance);
+      }
+      const charitableCash = giving.gift - qcdAmount - charitableShares;
+      // Cash gifts come out of any income surplus first, then out of the portfolio
+      const givingFromSurplus = Math.min(surplus, charitableCash);
+      const yearSurplus = surplus - givingFromSurplus;
+      const yearGap = gap + charitableCash - givingFromSurplus;
 
       // Adjust gap by VA guaranteed income and inherited-IRA forced distribution — both are income
       // sources that reduce what the buckets need to cover. Excess inherited distribution (beyond
       // the gap) flows into NQ as after-tax surplus.
       const adjustedGap = vaInputs
-        ? Math.max(0, gap - vaGuaranteedIncome - inheritedDistribThisYear)
-        : Math.max(0, gap - inheritedDistribThisYear);
-      const inheritedSurplusContribution = Math.max(0, inheritedDistribThisYear - (vaInputs ? Math.max(0, gap - vaGuaranteedIncome) : gap));
+        ? Math.max(0, yearGap - vaGuaranteedIncome - inheritedDistribThisYear)
+        : Math.max(0, yearGap - inheritedDistribThisYear);
+      const inheritedSurplusContribution = Math.max(0, inheritedDistribThisYear - (vaInputs ? Math.max(0, yearGap - vaGuaranteedIncome) : yearGap));
 
       // --- Grow account-type balances at blended portfolio rate (computed above) ---
       traditionalBalance *= (1 + blendedRate);
       rothBalance *= (1 + blendedRate);
       nqAccountBalance *= (1 + blendedRate);
-      if (oneTimeContributions > 0) nqAccountBalance += oneTimeContributions;
+      nqBasis.scaleTo(nqAccountBalance);
+      if (oneTimeContributions > 0) {
+        nqAccountBalance += oneTimeContributions;
+        nqBasis.add(oneTimeContributions, newLotOwner);
+      }
       // DROP rollover is pre-tax money — credit it to the Traditional balance.
       if (dropContribution > 0) traditionalBalance += dropContribution;
 
       // --- RMD calculation (per-owner) ---
-      const clientAlive = simAge < (inputs.expectedDeathAge || 95);
-      const partnerAlive = clientInfo?.isMarried && currentPartnerAge < (inputs.partnerExpectedDeathAge || 95);
+      const clientAlive = simAge < deathAges.client;
+      const partnerAlive = clientInfo?.isMarried && currentPartnerAge < deathAges.partner;
       let clientRMD = 0;
       let partnerRMD = 0;
       if (inputs.taxEnabled && traditionalBalance > 0) {
@@ -2428,25 +4605,49 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
         }
       }
       const totalRMD = clientRMD + partnerRMD;
+      applyDeathStepUp(clientAlive, partnerAlive, simAge);
+      const nqHarvestedLoss = inputs.taxEnabled ? harvestLosses() : 0;
+
+      // In-kind gifts: QCDs satisfy that much of the RMD; given shares leave the NQ lots
+      let rmdAfterQCD = totalRMD;
+      if (qcdAmount > 0 || charitableShares > 0) {
+        qcdAmount = Math.min(qcdAmount, traditionalBalance);
+        traditionalBalance -= qcdAmount;
+        rmdAfterQCD = Math.max(0, totalRMD - qcdAmount);
+        charitableShares = nqBasis.donate(charitableShares);
+        nqAccountBalance = Math.max(0, nqAccountBalance - charitableShares);
+        let giftRemaining = qcdAmount + charitableShares;
+        for (const bk of ['b1', 'b2', 'b3', 'b4', 'b5']) {
+          if (giftRemaining <= 0) break;
+          const deduct = Math.min(giftRemaining, balances[bk]);
+          balances[bk] -= deduct;
+          giftRemaining -= deduct;
+        }
+      }
 
       // --- Tax-inclusive withdrawal calculation ---
       // When surplus > 0 (income > expenses), taxes are paid from income first.
       // Only the net shortfall (if any) requires a portfolio withdrawal.
       let totalWithdrawal = adjustedGap;
-      let taxData = { federalTax: 0, stateTax: 0, totalTax: 0, effectiveRate: '0.0', qdivTax: 0, taxableSS: 0, deduction: 0 };
+      let taxData = { federalTax: 0, stateTax: 0, totalTax: 0, effectiveRate: '0.0', qdivTax: 0, niit: 0, amt: 0, taxableSS: 0, deduction: 0 };
       let nqTaxDetail = {};
       let rmdAmount = totalRMD;
       let rmdExcess = 0;
-      let netSurplus = surplus; // Track surplus after tax netting
+      let netSurplus = yearSurplus; // Track surplus after tax netting
       let rothConversionAmount = 0;
       let rothConversionTax = 0;
       let currentMAGI = 0;
       let irmaaCost = 0;
       let irmaaBracket = 0;
+      let irmaa = { magi: 0, partB: 0, partD: 0, appealed: false, tierCeiling: null };
+      let aca = { premium: 0, credit: 0, netPremium: 0, fplPercent: 0, cliffMagi: null, overCliff: false };
       let nqAnnualCapGains = 0;
       let nqStrategicRealization = 0;
       let nqOrdinaryDividends = 0;
       let nqQualifiedDividends = 0;
+      let nqWithdrawalGain = 0;
+      let nqHarvestedGain = 0;
+      let capitalLossUsed = 0;
 
       if (inputs.taxEnabled) {
         // Resolve per-age override or use defaults
@@ -2459,8 +4660,6 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
         // Only generate NQ dividends/cap gains when there is actual NQ balance remaining
         const capGainOverrideYear = i - strategyYearOffset;
         const capGainOverride = (inputs.nqCapGainOverrides || []).find(r => capGainOverrideYear >= r.startYear && capGainOverrideYear <= r.endYear);
-        const baseCapGainRate = ((inputs.nqCapitalGainRate) ?? 4) / 100;
-        const nqAnnualCapGainRate = ((capGainOverride?.rate ?? inputs.nqCapitalGainRate) ?? 4) / 100;
         const nqBalanceForTax = nqAccountBalance;
 
         // Per-bucket tax profiles: compute NQ tax items from each bucket's NQ share
@@ -2501,32 +4700,49 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
         const partnerAliveForTax = partnerAlive;
         const bothAliveForTax = clientAliveForTax && partnerAliveForTax;
         const filingStatus = (inputs.filingStatus === 'married' && !bothAliveForTax) ? 'single' : (inputs.filingStatus || 'married');
-        const stateRate = inputs.stateRate || 0;
+        const stateTaxSettings = getPlanStateTax(inputs, simAge);
+
+        // 0% LTCG room left this year, estimated before the withdrawal is known
+        // (conservatively counts 85% of SS as taxable)
+        const estimateZeroPctRoom = () => {
+          const estTradWithdrawal = adjustedGap > 0 ? adjustedGap * ((inputs.traditionalPercent ?? 60) / 100) : 0;
+          const estOrdinaryIncome = (ssIncome * 0.85) + pensionIncome + (vaIncome || 0) + estTradWithdrawal +
+            nqOrdinaryDividends + otherIncome + (employmentIncome || 0) +
+            (inputs.rothConversions?.[simAge] || 0);
+          const yearsFromTaxBase = Math.max(0, simAge - (clientInfo?.currentAge || 65));
+          const inflPct = inputs.inflationRate ?? 2.5;
+          const qdivBrackets = getInflationAdjustedQDivBrackets(filingStatus, yearsFromTaxBase, inflPct, inflationIndex, taxLaw);
+          const deduction = getInflationAdjustedDeduction(filingStatus, yearsFromTaxBase, inflPct, isSenior, inflationIndex, taxLaw);
+          const taxableOrdinary = Math.max(0, estOrdinaryIncome - deduction);
+
+          // 0% LTCG bracket room = threshold - taxable ordinary income - already realized gains - qualified divs
+          const zeroPctThreshold = qdivBrackets[0]?.max || 98900;
+          return Math.max(0, zeroPctThreshold - taxableOrdinary - nqAnnualCapGains - nqQualifiedDividends);
+        };
 
         // Unrealized gains rollforward: when cap gain override sets rate to 0,
         // gains still accrue but are deferred (unrealized). They accumulate and
         // can be strategically realized in years with 0% LTCG bracket room.
 
-        // Compute potential and realized cap gains (per-bucket or global)
+        let nqOverrideRealization = 0;
+
+        // Compute potential and realized cap gains: per-bucket fund distributions. Sales
+        // realize gain against the lots' basis, so there is no flat realization rate.
         let potentialCapGains = 0;
 
-        if (nqBalanceForTax > 0) {
-          if (hasBucketTaxProfiles) {
-            // Distribute actual NQ balance proportionally across buckets (same approach
-            // as the dividend block above) so realized cap gains reflect the real NQ
-            // position regardless of the user's target nqPct allocation.
-            const bucketKeys = ['b1', 'b2', 'b3', 'b4', 'b5'];
-            const bucketTotal = bucketKeys.reduce((s, k) => s + balances[k], 0);
-            if (bucketTotal > 0) {
-              for (const bk of bucketKeys) {
-                const tp = assumptions[bk]?.taxProfile;
-                if (!tp) continue;
-                const bucketNqBalance = nqBalanceForTax * (balances[bk] / bucketTotal);
-                potentialCapGains += bucketNqBalance * ((tp.realizedCapGainRate || 0) / 100);
-              }
+        if (nqBalanceForTax > 0 && hasBucketTaxProfiles) {
+          // Distribute actual NQ balance proportionally across buckets (same approach
+          // as the dividend block above) so realized cap gains reflect the real NQ
+          // position regardless of the user's target nqPct allocation.
+          const bucketKeys = ['b1', 'b2', 'b3', 'b4', 'b5'];
+          const bucketTotal = bucketKeys.reduce((s, k) => s + balances[k], 0);
+          if (bucketTotal > 0) {
+            for (const bk of bucketKeys) {
+              const tp = assumptions[bk]?.taxProfile;
+              if (!tp) continue;
+              const bucketNqBalance = nqBalanceForTax * (balances[bk] / bucketTotal);
+              potentialCapGains += bucketNqBalance * ((tp.realizedCapGainRate || 0) / 100);
             }
-          } else {
-            potentialCapGains = nqBalanceForTax * baseCapGainRate;
           }
         }
 
@@ -2535,8 +4751,10 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
           nqUnrealizedGains += potentialCapGains;
           nqAnnualCapGains = 0;
         } else if (capGainOverride) {
-          // Explicit override rate (non-zero)
-          nqAnnualCapGains = nqBalanceForTax * (capGainOverride.rate / 100);
+          // Explicit override rate (non-zero): that share of the balance is realized from
+          // appreciated lots once distributions are reinvested (below)
+          nqAnnualCapGains = potentialCapGains;
+          nqOverrideRealization = nqBalanceForTax * (capGainOverride.rate / 100);
         } else {
           // Use per-bucket computed cap gains as the realized amount
           nqAnnualCapGains = potentialCapGains;
@@ -2545,21 +4763,7 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
           // check if we can realize them at the 0% LTCG rate.
           // The 0% LTCG bracket applies when taxable ordinary income is below the threshold.
           if (nqUnrealizedGains > 0) {
-            // Estimate ordinary income to determine 0% LTCG room
-            const estTradWithdrawal = adjustedGap > 0 ? adjustedGap * ((inputs.traditionalPercent ?? 60) / 100) : 0;
-            const estOrdinaryIncome = (ssIncome * 0.85) + pensionIncome + (vaIncome || 0) + estTradWithdrawal +
-              nqOrdinaryDividends + otherIncome + (employmentIncome || 0) +
-              (inputs.rothConversions?.[simAge] || 0);
-            const yearsFromTaxBase = Math.max(0, simAge - (clientInfo?.currentAge || 65));
-            const inflPct = inputs.inflationRate ?? 2.5;
-            const qdivBrackets = getInflationAdjustedQDivBrackets(filingStatus, yearsFromTaxBase, inflPct);
-            const deduction = getInflationAdjustedDeduction(filingStatus, yearsFromTaxBase, inflPct, isSenior);
-            const taxableOrdinary = Math.max(0, estOrdinaryIncome - deduction);
-
-            // 0% LTCG bracket room = threshold - taxable ordinary income - already realized gains - qualified divs
-            const zeroPctThreshold = qdivBrackets[0]?.max || 98900;
-            const availableRoom = Math.max(0, zeroPctThreshold - taxableOrdinary - nqAnnualCapGains - nqQualifiedDividends);
-
+            const availableRoom = estimateZeroPctRoom();
             if (availableRoom > 0) {
               nqStrategicRealization = Math.min(nqUnrealizedGains, availableRoom);
               nqUnrealizedGains -= nqStrategicRealization;
@@ -2568,9 +4772,38 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
           }
         }
 
+        // Deductions and carryovers every tax computation this year shares
+        const taxExtras = {
+          capitalLossCarryover: capitalLossCarryforward,
+          charitableCash,
+          charitableProperty: charitableShares,
+          charitableViaDAF: giving.viaDAF,
+          itemizedDeductions: (inputs.itemizedDeductions || 0) * inflationIndex,
+          amtPreferenceItems: getAMTPreferenceItems(inputs, simAge)
+        };
+
+        // Dividends and realized gains are reinvested, so they add to basis
+        nqBasis.addBasis(nqAnnualCapGains + nqQualifiedDividends + nqOrdinaryDividends);
+        // An override's realization sells and rebuys appreciated lots, stepping their basis up
+        if (nqOverrideRealization > 0) nqAnnualCapGains += nqBasis.harvestGains(nqOverrideRealization);
+
+        // Gain harvesting: fill what's left of the 0% LTCG bracket by selling and rebuying
+        // appreciated lots, after leaving room for the gain this year's NQ withdrawal will
+        // realize. Skipped while losses are banked (they'd be spent on tax-free gains) and
+        // when a cap-gain override is steering realization this year.
+        if (harvestPolicy.gains && !capGainOverride && capitalLossCarryforward <= 0 && nqBasis.unrealizedGain() > 0) {
+          const estNqWithdrawal = adjustedGap * ((inputs.nqPercent ?? 15) / 100);
+          const estWithdrawalGain = Math.max(0, nqBasis.previewGain(estNqWithdrawal));
+          nqHarvestedGain = nqBasis.harvestGains(estimateZeroPctRoom() - estWithdrawalGain);
+          nqAnnualCapGains += nqHarvestedGain;
+        }
+        // Gain realized by selling NQ shares for a withdrawal. Losses aren't deducted
+        // here; a net loss on the sale just realizes no gain.
+        const nqSaleGain = (nqW) => Math.max(0, nqBasis.previewGain(nqW));
+
         // When there's an income surplus, first compute tax on income alone (no withdrawal).
         // Surplus pays taxes before any portfolio withdrawal is needed.
-        if (surplus > 0 && adjustedGap === 0) {
+        if (yearSurplus > 0 && adjustedGap === 0) {
           // Compute tax on income only — no portfolio withdrawal (inherited-IRA forced
           // distribution still counts as ordinary income).
           taxData = calculateAnnualTax({
@@ -2582,12 +4815,13 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
             nqQualifiedDividends,
             nqOrdinaryDividends,
             otherIncome,
-            employmentIncome
-          }, { filingStatus, stateRate, stateCode: inputs.stateCode || '' }, isSenior);
+            employmentIncome,
+            ...taxExtras
+          }, { filingStatus, ...stateTaxSettings, taxpayerAges, inflationFactor: inflationIndex, taxLaw }, isSenior);
 
-          if (surplus >= taxData.totalTax) {
+          if (yearSurplus >= taxData.totalTax) {
             // Surplus covers all taxes — net surplus flows to portfolio as contribution
-            netSurplus = surplus - taxData.totalTax;
+            netSurplus = yearSurplus - taxData.totalTax;
             totalWithdrawal = 0;
             nqTaxDetail = {
               nqWithdrawal: 0,
@@ -2601,21 +4835,21 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
             // Surplus partially covers taxes — need withdrawal for the rest
             // Re-iterate with the shortfall as the starting withdrawal
             netSurplus = 0;
-            let withdrawal = taxData.totalTax - surplus;
+            let withdrawal = taxData.totalTax - yearSurplus;
             let finalTradW = 0, finalRothW = 0, finalNqW = 0;
 
             for (let taxIter = 0; taxIter < 6; taxIter++) {
-              const split = splitWithdrawal(withdrawal, traditionalPct, rothPct, nqPct, totalRMD, traditionalBalance, rothBalance, nqAccountBalance, i);
+              const split = splitWithdrawal(withdrawal, traditionalPct, rothPct, nqPct, rmdAfterQCD, traditionalBalance, rothBalance, nqAccountBalance, i);
               finalTradW = split.tradW; finalRothW = split.rothW; finalNqW = split.nqW;
 
               taxData = calculateAnnualTax({
                 ssIncome, pensionIncome: pensionIncome + (vaIncome || 0),
                 traditionalWithdrawal: split.tradW + inheritedDistribThisYear, rothWithdrawal: split.rothW,
-                nqTaxableGain: nqAnnualCapGains, nqQualifiedDividends, nqOrdinaryDividends,
-                otherIncome, employmentIncome
-              }, { filingStatus, stateRate, stateCode: inputs.stateCode || '' }, isSenior);
+                nqTaxableGain: nqAnnualCapGains + nqSaleGain(split.nqW), nqQualifiedDividends, nqOrdinaryDividends,
+                otherIncome, employmentIncome, ...taxExtras
+              }, { filingStatus, ...stateTaxSettings, taxpayerAges, inflationFactor: inflationIndex, taxLaw }, isSenior);
 
-              const newWithdrawal = Math.max(0, taxData.totalTax - surplus);
+              const newWithdrawal = Math.max(0, taxData.totalTax - yearSurplus);
               if (Math.abs(newWithdrawal - withdrawal) < 1) break;
               withdrawal = newWithdrawal;
             }
@@ -2623,12 +4857,14 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
 
             traditionalBalance = Math.max(0, traditionalBalance - finalTradW);
             rothBalance = Math.max(0, rothBalance - finalRothW);
+            nqWithdrawalGain = Math.max(0, nqBasis.sell(finalNqW));
             nqAccountBalance = Math.max(0, nqAccountBalance - finalNqW);
 
             const totalFinal = finalTradW + finalRothW + finalNqW;
             nqTaxDetail = {
               nqWithdrawal: Math.round(finalNqW),
-              nqTaxableGain: Math.round(nqAnnualCapGains),
+              nqWithdrawalGain: Math.round(nqWithdrawalGain),
+              nqTaxableGain: Math.round(nqAnnualCapGains + nqWithdrawalGain),
               nqQualifiedDividends: Math.round(nqQualifiedDividends),
               nqOrdinaryDividends: Math.round(nqOrdinaryDividends),
               nqBalanceForTax: Math.round(nqBalanceForTax),
@@ -2644,7 +4880,7 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
           let finalTradWithdrawal = 0, finalRothWithdrawal = 0, finalNqWithdrawal = 0;
 
           for (let taxIter = 0; taxIter < 6; taxIter++) {
-            const split = splitWithdrawal(withdrawal, traditionalPct, rothPct, nqPct, totalRMD, traditionalBalance, rothBalance, nqAccountBalance, i);
+            const split = splitWithdrawal(withdrawal, traditionalPct, rothPct, nqPct, rmdAfterQCD, traditionalBalance, rothBalance, nqAccountBalance, i);
             finalTradWithdrawal = split.tradW;
             finalRothWithdrawal = split.rothW;
             finalNqWithdrawal = split.nqW;
@@ -2656,12 +4892,13 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
               pensionIncome: pensionIncome + (vaIncome || 0),
               traditionalWithdrawal: split.tradW + inheritedDistribThisYear,
               rothWithdrawal: split.rothW,
-              nqTaxableGain: nqAnnualCapGains,
+              nqTaxableGain: nqAnnualCapGains + nqSaleGain(split.nqW),
               nqQualifiedDividends,
               nqOrdinaryDividends,
               otherIncome,
-              employmentIncome
-            }, { filingStatus, stateRate, stateCode: inputs.stateCode || '' }, isSenior);
+              employmentIncome,
+              ...taxExtras
+            }, { filingStatus, ...stateTaxSettings, taxpayerAges, inflationFactor: inflationIndex, taxLaw }, isSenior);
 
             const newWithdrawal = adjustedGap + taxData.totalTax;
             if (Math.abs(newWithdrawal - withdrawal) < 1) break;
@@ -2669,6 +4906,7 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
           }
           totalWithdrawal = withdrawal;
           netSurplus = 0;
+          nqWithdrawalGain = Math.max(0, nqBasis.sell(finalNqWithdrawal));
 
           // Compute effective percentages used
           const totalFinalWithdrawal = finalTradWithdrawal + finalRothWithdrawal + finalNqWithdrawal;
@@ -2678,7 +4916,8 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
 
           nqTaxDetail = {
             nqWithdrawal: Math.round(finalNqWithdrawal),
-            nqTaxableGain: Math.round(nqAnnualCapGains),
+            nqWithdrawalGain: Math.round(nqWithdrawalGain),
+            nqTaxableGain: Math.round(nqAnnualCapGains + nqWithdrawalGain),
             nqQualifiedDividends: Math.round(nqQualifiedDividends),
             nqOrdinaryDividends: Math.round(nqOrdinaryDividends),
             nqBalanceForTax: Math.round(nqBalanceForTax),
@@ -2694,11 +4933,11 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
         }
 
         // Handle RMD excess (when RMD > total spending need, excess reinvested to NQ)
-        if (totalRMD > 0) {
+        if (rmdAfterQCD > 0) {
           const totalNeeded = adjustedGap + taxData.totalTax;
-          if (totalRMD > totalNeeded && totalNeeded > 0) {
-            rmdExcess = totalRMD - totalNeeded;
-            totalWithdrawal = Math.max(totalWithdrawal, totalRMD);
+          if (rmdAfterQCD > totalNeeded && totalNeeded > 0) {
+            rmdExcess = rmdAfterQCD - totalNeeded;
+            totalWithdrawal = Math.max(totalWithdrawal, rmdAfterQCD);
           }
         }
         if (rmdExcess > 0) {
@@ -2707,9 +4946,50 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
           // (otherwise b1..b5 over-deplete by rmdExcess each year and drift below
           // the trad/roth/nq accounting balances).
           nqAccountBalance += rmdExcess;
+          nqBasis.add(rmdExcess, newLotOwner);
           balances.b5 += rmdExcess;
         }
 
+        // Tax on the year's draws so far (any Roth conversion included) plus extra NQ sale gain
+        const tradWithdrawalForTax = totalWithdrawal * (nqTaxDetail.traditionalPctUsed || 0) / 100;
+        const rothWithdrawalForTax = totalWithdrawal * (nqTaxDetail.rothPctUsed || 0) / 100;
+        const recomputeTax = (extraGain = 0) => calculateAnnualTax({
+          ssIncome,
+          pensionIncome: pensionIncome + (vaIncome || 0),
+          traditionalWithdrawal: tradWithdrawalForTax + rothConversionAmount + inheritedDistribThisYear,
+          rothWithdrawal: rothWithdrawalForTax,
+          nqTaxableGain: (nqTaxDetail.nqTaxableGain || 0) + extraGain,
+          nqQualifiedDividends: nqTaxDetail.nqQualifiedDividends || 0,
+          nqOrdinaryDividends: nqTaxDetail.nqOrdinaryDividends || 0,
+          otherIncome,
+          employmentIncome,
+          ...taxExtras
+        }, { filingStatus, ...stateTaxSettings, taxpayerAges, inflationFactor: inflationIndex, taxLaw }, isSenior);
+
+        // Sells NQ shares for a cost paid once the year's tax is known (conversion tax, IRMAA,
+        // net ACA premium). The sale realizes gain like a withdrawal, so it also sells for the
+        // tax on that gain. Returns the amount sold and the MAGI it adds (gain less losses used).
+        const sellNQForCost = (cost) => {
+          let sold = cost;
+          if (nqSaleGain(cost) > 0) {
+            const baseTax = recomputeTax().totalTax;
+            for (let pass = 0; pass < 2; pass++) {
+              sold = cost + Math.max(0, recomputeTax(nqSaleGain(sold)).totalTax - baseTax);
+            }
+          }
+          const gain = Math.max(0, nqBasis.sell(sold));
+          if (gain <= 0) return { sold, magi: 0 };
+          const lossUsedBefore = taxData.capitalLossUsed || 0;
+          taxData = { ...taxData, ...recomputeTax(gain) };
+          nqWithdrawalGain += gain;
+          nqTaxDetail = {
+            ...nqTaxDetail,
+            nqWithdrawalGain: Math.round(nqWithdrawalGain),
+            nqTaxableGain: (nqTaxDetail.nqTaxableGain || 0) + Math.round(gain)
+          };
+          return { sold, magi: gain - ((taxData.capitalLossUsed || 0) - lossUsedBefore) };
+        };
+
         // --- Roth Conversion ---
         // Converts traditional → Roth, taxed as ordinary income. Additional tax paid from NQ.
         if (inputs.rothConversions?.[simAge] > 0) {
@@ -2720,27 +5000,17 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
 
             // Recompute tax with conversion added as ordinary income
             const prevTotalTax = taxData.totalTax;
-            const tradWithdrawalForTax = totalWithdrawal * (nqTaxDetail.traditionalPctUsed || 0) / 100;
-            const rothWithdrawalForTax = totalWithdrawal * (nqTaxDetail.rothPctUsed || 0) / 100;
-            taxData = calculateAnnualTax({
-              ssIncome,
-              pensionIncome: pensionIncome + (vaIncome || 0),
-              traditionalWithdrawal: tradWithdrawalForTax + rothConversionAmount + inheritedDistribThisYear,
-              rothWithdrawal: rothWithdrawalForTax,
-              nqTaxableGain: nqTaxDetail.nqTaxableGain || 0,
-              nqQualifiedDividends: nqTaxDetail.nqQualifiedDividends || 0,
-              nqOrdinaryDividends: nqTaxDetail.nqOrdinaryDividends || 0,
-              otherIncome,
-              employmentIncome
-            }, { filingStatus, stateRate, stateCode: inputs.stateCode || '' }, isSenior);
+            taxData = recomputeTax();
 
             // Pay additional tax from NQ account AND reduce bucket balances accordingly
-            rothConversionTax = Math.max(0, taxData.totalTax - prevTotalTax);
-            const conversionTax = rothConversionTax;
+            const conversionTax = Math.max(0, taxData.totalTax - prevTotalTax);
             if (conversionTax > 0) {
-              nqAccountBalance = Math.max(0, nqAccountBalance - conversionTax);
+              // Shares sold to pay the tax realize gain, and the tax on it is paid the same way
+              const { sold } = sellNQForCost(conversionTax);
+              rothConversionTax = sold;
+              nqAccountBalance = Math.max(0, nqAccountBalance - sold);
               // Deduct from bucket balances (proportionally from largest to smallest)
-              let taxRemaining = conversionTax;
+              let taxRemaining = sold;
               const bucketKeys = ['b5', 'b4', 'b3', 'b2', 'b1'];
               for (const bk of bucketKeys) {
                 if (taxRemaining <= 0) break;
@@ -2753,31 +5023,51 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
         }
         // --- IRMAA calculation (Medicare surcharge based on MAGI from 2 years prior) ---
         // Compute current year's MAGI for IRMAA lookback
-        // MAGI = all gross income (SS + pension + traditional + NQ gains/divs + other + Roth conversions)
+        // MAGI = all gross income (SS + pension + traditional + NQ gains/divs + other + Roth conversions),
+        // less capital losses used
         currentMAGI = ssIncome + pensionIncome + (vaIncome || 0) +
-          (nqTaxDetail.nqWithdrawal || 0) + nqAnnualCapGains + nqQualifiedDividends + nqOrdinaryDividends +
+          nqWithdrawalGain + nqAnnualCapGains + nqQualifiedDividends + nqOrdinaryDividends +
           otherIncome + (employmentIncome || 0) + rothConversionAmount +
-          (totalWithdrawal * ((nqTaxDetail.traditionalPctUsed || 0) / 100));
+          (totalWithdrawal * ((nqTaxDetail.traditionalPctUsed || 0) / 100)) - (taxData.capitalLossUsed || 0);
+
+        // IRMAA's MAGI is AGI: only the taxable part of Social Security counts
+        const calendarYear = _simBootYear + (simAge - (clientInfo?.currentAge || 0));
+        irmaa.magi = currentMAGI - (ssIncome - (taxData.taxableSS ?? ssIncome));
+        magiHistory.set(calendarYear, { magi: irmaa.magi, employment: employmentIncome || 0 });
+        // Gain from shares sold for IRMAA or the ACA premium adds to this year's MAGI
+        const recordSaleMAGI = (magi) => {
+          currentMAGI += magi;
+          irmaa.magi += magi;
+          magiHistory.set(calendarYear, { magi: irmaa.magi, employment: employmentIncome || 0 });
+        };
 
-        if (inputs.irmaaEnabled && simAge >= 65) {
-          // Use MAGI from 2 years prior (lookback rule)
-          const lookbackIdx = history.length - 2;
-          const lookbackMAGI = lookbackIdx >= 0 ? (history[lookbackIdx].magi || 0) : currentMAGI;
+        const medicareEnrollees = (clientAlive && simAge >= 65 ? 1 : 0) + (partnerAlive && currentPartnerAge >= 65 ? 1 : 0);
+        if (inputs.irmaaEnabled && medicareEnrollees > 0) {
+          // Premiums use the MAGI from 2 years prior (the year's own when there's no history)
+          const lookback = magiHistory.get(calendarYear - 2) || { magi: irmaa.magi, employment: 0 };
+          // SSA-44 appeal: after a work stoppage, SSA uses the lower current-year MAGI while
+          // the lookback year still carries the wages
+          irmaa.appealed = !!inputs.irmaaAppealWorkStoppage && lookback.employment > (employmentIncome || 0) && irmaa.magi < lookback.magi;
+          const premiumMAGI = irmaa.appealed ? irmaa.magi : lookback.magi;
 
           const yearsFromIrmaaBase = Math.max(0, simAge - (clientInfo?.currentAge || 65));
           const inflPct = inputs.inflationRate ?? 2.5;
-          const numMedicareEnrollees = (bothAliveForTax && simAge >= 65 && currentPartnerAge >= 65) ? 2 : 1;
-          const irmaaResult = calculateIRMAA(lookbackMAGI, filingStatus, yearsFromIrmaaBase, inflPct, numMedicareEnrollees);
+          const partDEnrollees = inputs.irmaaPartD === false ? 0 : medicareEnrollees;
+          const irmaaResult = calculateIRMAA(premiumMAGI, filingStatus, yearsFromIrmaaBase, inflPct, medicareEnrollees, inflationIndex, taxLaw, partDEnrollees);
           irmaaCost = irmaaResult.totalAnnualCost;
           irmaaBracket = irmaaResult.bracket;
+          irmaa.partB = irmaaResult.partBSurcharge;
+          irmaa.partD = irmaaResult.partDSurcharge;
 
           // IRMAA is an additional expense — deduct from portfolio (NQ first, then buckets)
           if (irmaaCost > 0) {
-            totalWithdrawal += irmaaCost;
-            taxData.irmaaCost = irmaaCost;
             // Deduct IRMAA cost from NQ account and bucket balances
-            nqAccountBalance = Math.max(0, nqAccountBalance - irmaaCost);
-            let irmaaRemaining = irmaaCost;
+            const sale = sellNQForCost(irmaaCost);
+            recordSaleMAGI(sale.magi);
+            totalWithdrawal += sale.sold;
+            taxData.irmaaCost = irmaaCost;
+            nqAccountBalance = Math.max(0, nqAccountBalance - sale.sold);
+            let irmaaRemaining = sale.sold;
             for (const bk of ['b1', 'b2', 'b3', 'b4', 'b5']) {
               if (irmaaRemaining <= 0) break;
               const deduct = Math.min(irmaaRemaining, balances[bk]);
@@ -2786,6 +5076,46 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
             }
           }
         }
+
+        // Tier cliff for this year's income: it sets the premiums two years out, so it
+        // matters once anyone alive will be on Medicare by then
+        const onMedicareInTwoYears = (clientAlive && simAge + 2 >= 65) || (partnerAlive && currentPartnerAge + 2 >= 65);
+        if (inputs.irmaaEnabled && onMedicareInTwoYears) {
+          const premiumYearFactor = inflationIndex * Math.pow(1 + (inputs.inflationRate ?? 2.5) / 100, 2);
+          irmaa.tierCeiling = getIRMAATier(irmaa.magi, filingStatus, premiumYearFactor, getPlanTaxLaw(inputs, calendarYear + 2)).ceiling;
+        }
+
+        // --- ACA premium tax credit (marketplace coverage for retired spouses under 65) ---
+        // Same-year MAGI sets the credit; the premium left after it is paid like IRMAA
+        if (inputs.acaEnabled) {
+          const clientCovered = clientAlive && simAge < 65;
+          const partnerCovered = partnerAlive && currentPartnerAge < 65 && currentPartnerAge >= partnerRetirementAgeUnified;
+          const coveredPeople = (clientCovered ? 1 : 0) + (partnerCovered ? 1 : 0);
+          if (coveredPeople > 0) {
+            const premium = (inputs.acaMonthlyPremium ?? 0) * 12 * coveredPeople * inflationIndex;
+            const householdSize = (clientAlive ? 1 : 0) + (partnerAlive ? 1 : 0);
+            const ptc = calculateACAPremiumCredit(currentMAGI, householdSize, premium, inflationIndex, taxLaw);
+            const credit = Math.min(premium, ptc.credit);
+            aca = { premium, credit, netPremium: premium - credit, fplPercent: ptc.fplPercent, cliffMagi: ptc.cliffMagi, overCliff: ptc.overCliff };
+            if (aca.netPremium > 0) {
+              const sale = sellNQForCost(aca.netPremium);
+              recordSaleMAGI(sale.magi);
+              totalWithdrawal += sale.sold;
+              nqAccountBalance = Math.max(0, nqAccountBalance - sale.sold);
+              let acaRemaining = sale.sold;
+              for (const bk of ['b1', 'b2', 'b3', 'b4', 'b5']) {
+                if (acaRemaining <= 0) break;
+                const deduct = Math.min(acaRemaining, balances[bk]);
+                balances[bk] -= deduct;
+                acaRemaining -= deduct;
+              }
+            }
+          }
+        }
+
+        // Banked losses the year's final tax picture absorbed
+        capitalLossUsed = taxData.capitalLossUsed || 0;
+        capitalLossCarryforward = Math.max(0, capitalLossCarryforward - capitalLossUsed);
       } else {
         // Tax not enabled — still track balances proportionally
         const tradPct = (inputs.traditionalPercent ?? 60) / 100;
@@ -2793,6 +5123,7 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
         const nqPctVal = (inputs.nqPercent ?? 15) / 100;
         traditionalBalance = Math.max(0, traditionalBalance - totalWithdrawal * tradPct);
         rothBalance = Math.max(0, rothBalance - totalWithdrawal * rothPctVal);
+        nqBasis.sell(totalWithdrawal * nqPctVal);
         nqAccountBalance = Math.max(0, nqAccountBalance - totalWithdrawal * nqPctVal);
         rmdAmount = 0;
       }
@@ -2805,11 +5136,13 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
       if (netSurplus > 0) {
         balances.b5 += netSurplus;
         nqAccountBalance += netSurplus;
+        nqBasis.add(netSurplus, newLotOwner);
         benchmarkBalance += netSurplus;
       }
       if (inheritedSurplusContribution > 0) {
         balances.b5 += inheritedSurplusContribution;
         nqAccountBalance += inheritedSurplusContribution;
+        nqBasis.add(inheritedSurplusContribution, newLotOwner);
         benchmarkBalance += inheritedSurplusContribution;
       }
 
@@ -2867,7 +5200,7 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
           const calcPVGaps = (startYear, endYear, rate) => {
             let totalPV = 0;
             for (let yr = startYear; yr <= endYear; yr++) {
-              if (yr > years) break; // Don't go beyond simulation
+              if (yr > iterationYears) break; // Don't go beyond simulation
               const futureGap = getTaxAwareGap(yr - 1);
               const yearsOut = yr - i; // Years from current rebalance point
               const pvFactor = Math.pow(1 + (rate / 100), yearsOut);
@@ -2916,6 +5249,8 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
       if (total <= 0) failed = true;
 
       const distRate = startTotal > 0 ? (totalWithdrawal / startTotal) * 100 : 0;
+      // Catch clamps and any other untracked change in the NQ balance
+      nqBasis.scaleTo(nqAccountBalance);
 
       history.push({
         year: i,
@@ -2935,8 +5270,14 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
         inheritedIRADistribution: Math.round(inheritedDistribThisYear),
         inheritedIRATaxableIncome: Math.round(inheritedDistribThisYear),
         livingExpenses: Math.round(baseExpenses),
+        // Withdrawal policy: living expenses before the spending rule's adjustment, the
+        // running multiplier and this year's rule action ('cut' / 'raise' / 'freeze' /
+        // 'floor' / 'ceiling' / null)
+        plannedLivingExpenses: Math.round(plannedLivingExpenses ?? baseExpenses),
+        spendingAdjustment,
+        spendingAction,
         cashFlowAdjustmentDetail: Math.round(cashFlowAdjustmentDetail),
-        expenses: Math.round(expenses + taxData.totalTax + irmaaCost),
+        expenses: Math.round(expenses + charitableCash + taxData.totalTax + irmaaCost + aca.netPremium),
         distribution: Math.round(totalWithdrawal + rothConversionTax),
         // Main portfolio total only — inherited IRA balance reported in its own field.
         total: Math.max(0, total),
@@ -2963,6 +5304,9 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
         stateTax: taxData.stateTax,
         totalTax: taxData.totalTax,
         effectiveRate: taxData.effectiveRate,
+        // Included in federalTax: 3.8% NIIT and AMT owed above regular tax
+        niit: taxData.niit || 0,
+        amt: taxData.amt || 0,
         // NQ tax detail
         ...nqTaxDetail,
         // RMD data
@@ -2971,8 +5315,10 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
         traditionalBalanceDetail: Math.round(traditionalBalance),
         rothBalanceDetail: Math.round(rothBalance),
         nqBalanceDetail: Math.round(nqAccountBalance),
+        nqCostBasis: Math.round(nqBasis.basis()),
         // Income breakdown (for detailed views)
         ssIncomeDetail: Math.round(ssIncome),
+        childSSIncomeDetail: Math.round(childSSIncome),
         pensionIncomeDetail: Math.round(pensionIncome),
         otherIncomeDetail: Math.round(otherIncome + nonTaxableAdditionalIncome),
         vaIncomeDetail: Math.round(vaIncome || 0),
@@ -2983,28 +5329,86 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
         // Unrealized capital gains tracking
         nqUnrealizedGains: Math.round(nqUnrealizedGains),
         nqStrategicRealization: Math.round(nqStrategicRealization || 0),
+        nqHarvestedLoss: Math.round(nqHarvestedLoss),
+        nqHarvestedGain: Math.round(nqHarvestedGain),
+        charitableGoal: Math.round(giving.goal),
+        charitableGift: Math.round(giving.gift),
+        qcdAmount: Math.round(qcdAmount),
+        charitableShares: Math.round(charitableShares),
+        charitableCash: Math.round(charitableCash),
+        itemizing: !!taxData.itemized,
+        viaDAF: giving.viaDAF && giving.gift > 0,
+        taxDeduction: Math.round(taxData.deduction || 0),
+        capitalLossUsed: Math.round(capitalLossUsed),
+        capitalLossCarryforward: Math.round(capitalLossCarryforward),
         // IRMAA tracking
         magi: Math.round(currentMAGI || 0),
         irmaaCost: Math.round(irmaaCost || 0),
         irmaaBracket: irmaaBracket || 0,
+        irmaaMagi: Math.round(irmaa.magi),
+        irmaaPartB: Math.round(irmaa.partB),
+        irmaaPartD: Math.round(irmaa.partD),
+        irmaaAppealed: irmaa.appealed,
+        // Next IRMAA threshold above this year's MAGI (null at the top tier or off Medicare)
+        irmaaTierCeiling: Number.isFinite(irmaa.tierCeiling) ? irmaa.tierCeiling : null,
+        // ACA marketplace premium, credit and where MAGI sits against the subsidy cliff
+        acaPremium: Math.round(aca.premium),
+        acaCredit: Math.round(aca.credit),
+        acaNetPremium: Math.round(aca.premium) - Math.round(aca.credit),
+        acaFplPercent: Math.round(aca.fplPercent),
+        acaCliffMagi: aca.cliffMagi !== null ? Math.round(aca.cliffMagi) : null,
+        acaOverCliff: aca.overCliff,
         // Per-bucket return rates (as decimals, e.g. 0.05 = 5%)
         r1: rates.b1,
         r2: rates.b2,
         r3: rates.b3,
         r4: rates.b4,
-        r5: rates.b5
+        r5: rates.b5,
+        // Calendar year replayed (historical backtest only)
+        historicalYear: isHistorical && HISTORICAL_RETURNS[historicalYear] ? historicalYear : null,
+        // Cumulative inflation since today (total / inflationIndex = today's dollars)
+        inflationIndex
       });
     }
 
+    if (isReplay) {
+      replayedHistories.set(iter, history);
+      continue;
+    }
     if (failed) failureCount++;
-    results.push(history);
+    failedFlags.push(failed);
+    if (isRandomized) {
+      iterationTotals.push({
+        totals: history.map(r => r.total || 0),
+        realTotals: history.map(realTotal),
+        realSpending: history.map(realSpending),
+        ...summarizeSpendingPath(history.filter(r => r.phase === 'retirement')),
+        deathAges,
+        failed
+      });
+    } else {
+      results.push(history);
+    }
+    if (iterations > 1) reportProgress((q + 1) / iterations);
+
+    // End of the first pass: queue the representative iterations for a full replay
+    if (isRandomized && q === iterations - 1) {
+      const sortedByFinal = iterationTotals
+        .map((t, idx) => ({ idx, final: t.totals[t.totals.length - 1] || 0 }))
+        .sort((a, b) => a.final - b.final);
+      representativeTargets = {
+        conservative: sortedByFinal[Math.floor(iterations * 0.1)]?.idx || 0,
+        median: sortedByFinal[Math.floor(iterations * 0.5)]?.idx || 0,
+        optimistic: sortedByFinal[Math.floor(iterations * 0.9)]?.idx || 0
+      };
+      iterationQueue.push(...new Set(Object.values(representativeTargets)));
+    }
   }
 
-  if (isMonteCarlo) {
+  if (isHistorical) {
     const processed = [];
     for (let y = 0; y < years; y++) {
       const vals = results.map(r => r[y]?.total || 0).sort((a, b) => a - b);
-
       processed.push({
         year: y + 1,
         p10: vals[Math.floor(iterations * 0.1)],
@@ -3013,30 +5417,138 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
       });
     }
 
+    // One summary per rolling window. Real ending balance deflates by the CPI actually
+    // experienced over that window, so 1966 and 1982 retirees compare on equal terms.
+    const periods = results.map((history, idx) => {
+      const startYear = historicalStartYears[idx];
+      const endYear = startYear + historicalSpan - 1;
+      let cumulativeInflation = 1;
+      for (let y = startYear; y <= endYear; y++) cumulativeInflation *= 1 + getHistoricalInflation(y);
+      const finalBalance = history[years - 1]?.total || 0;
+      const depletionRow = failedFlags[idx] ? history.find(r => r.total <= 0) : null;
+      return {
+        startYear,
+        endYear,
+        survived: !failedFlags[idx],
+        depletionAge: depletionRow ? depletionRow.age : null,
+        finalBalance: Math.round(finalBalance),
+        realFinalBalance: Math.round(finalBalance / cumulativeInflation),
+        cumulativeInflation,
+        iterationIndex: idx
+      };
+    });
+
+    // Worst start year: earliest depletion among failures; if every window survived,
+    // the lowest real ending balance.
+    const ranked = [...periods].sort((a, b) => {
+      if (a.survived !== b.survived) return a.survived ? 1 : -1;
+      if (!a.survived) return a.depletionAge - b.depletionAge;
+      return a.realFinalBalance - b.realFinalBalance;
+    });
+    const worstPeriod = ranked[0];
+    const bestPeriod = ranked[ranked.length - 1];
+    const byFinal = [...periods].sort((a, b) => a.finalBalance - b.finalBalance);
+    const medianPeriod = byFinal[Math.floor(byFinal.length / 2)];
+
+    return {
+      mode: 'historical',
+      data: processed,
+      successRate: ((iterations - failureCount) / iterations) * 100,
+      medianLegacy: medianPeriod.finalBalance,
+      periods,
+      worstPeriod,
+      firstStartYear: historicalStartYears[0],
+      lastStartYear: historicalStartYears[historicalStartYears.length - 1],
+      scenarios: {
+        conservative: results[worstPeriod.iterationIndex],
+        median: results[medianPeriod.iterationIndex],
+        optimistic: results[bestPeriod.iterationIndex]
+      }
+    };
+  }
+
+  if (isRandomized) {
+    // Under stochastic mortality iterations end at different ages: each year's bands
+    // rank only the iterations still running, and aliveShare is the share of households
+    // with a spouse still alive that year.
+    const maxYears = iterationTotals.reduce((max, t) => Math.max(max, t.totals.length), 0);
+    const householdAlive = (t, y) => startAge + y < t.deathAges.client ||
+      (t.deathAges.partner !== null && startAge + y < t.deathAges.partner + clientCurrentAge - partnerCurrentAge);
+    const processed = [];
+    for (let y = 0; y < maxYears; y++) {
+      const running = iterationTotals.filter(t => t.totals.length > y);
+      const n = running.length;
+      const vals = running.map(t => t.totals[y] || 0).sort((a, b) => a - b);
+      const realVals = running.map(t => t.realTotals[y] || 0).sort((a, b) => a - b);
+      const spendingVals = running.map(t => t.realSpending[y] || 0).sort((a, b) => a - b);
+
+      processed.push({
+        year: y + 1,
+        p10: vals[Math.floor(n * 0.1)],
+        median: vals[Math.floor(n * 0.5)],
+        p90: vals[Math.floor(n * 0.9)],
+        // Real wealth bands — ranked separately, so a nominal percentile and its real
+        // counterpart can come from different iterations when inflation is stochastic
+        realP10: Math.round(realVals[Math.floor(n * 0.1)]),
+        realMedian: Math.round(realVals[Math.floor(n * 0.5)]),
+        realP90: Math.round(realVals[Math.floor(n * 0.9)]),
+        // Real living-expense bands (today's dollars) — flat under fixed spending apart
+        // from inflation noise; spread out when a withdrawal policy adjusts spending
+        realSpendingP10: Math.round(spendingVals[Math.floor(n * 0.1)]),
+        realSpendingMedian: Math.round(spendingVals[Math.floor(n * 0.5)]),
+        realSpendingP90: Math.round(spendingVals[Math.floor(n * 0.9)]),
+        ...(stochasticMortality && {
+          aliveShare: (iterationTotals.filter(t => householdAlive(t, y)).length / iterations) * 100
+        })
+      });
+    }
+
+    // Spending outcome across iterations: how often the policy had to cut, how deep the
+    // worst cut went, total real spending over retirement and how much it moved year to year
+    const sortedLowest = iterationTotals.map(t => t.lowestAdjustment).sort((a, b) => a - b);
+    const sortedLifetime = iterationTotals.map(t => t.lifetimeRealSpending).sort((a, b) => a - b);
+    const sortedVolatility = iterationTotals.map(t => t.spendingVolatility).sort((a, b) => a - b);
+    const spending = {
+      policy: withdrawalPolicy.type,
+      cutProbability: (iterationTotals.filter(t => t.spendingCut).length / iterations) * 100,
+      medianLowestAdjustment: sortedLowest[Math.floor(iterations * 0.5)],
+      p10LowestAdjustment: sortedLowest[Math.floor(iterations * 0.1)],
+      medianLifetimeRealSpending: Math.round(sortedLifetime[Math.floor(iterations * 0.5)]),
+      p10LifetimeRealSpending: Math.round(sortedLifetime[Math.floor(iterations * 0.1)]),
+      medianSpendingVolatility: sortedVolatility[Math.floor(iterations * 0.5)]
+    };
+
     // Calculate median legacy (final year balance — includes all iterations for consistency with chart)
-    const finalBalances = results
-      .map(r => r[years - 1]?.total || 0)
+    const finalBalances = iterationTotals
+      .map(t => t.totals[t.totals.length - 1] || 0)
       .sort((a, b) => a - b);
     const medianLegacy = finalBalances.length > 0
       ? finalBalances[Math.floor(finalBalances.length / 2)]
       : 0;
-
-    // Find representative iterations for full cash flow table views
-    const sortedByFinal = results
-      .map((history, idx) => ({ idx, final: history[years - 1]?.total || 0 }))
-      .sort((a, b) => a.final - b.final);
-    const p10Target = sortedByFinal[Math.floor(iterations * 0.1)]?.idx || 0;
-    const medianTarget = sortedByFinal[Math.floor(iterations * 0.5)]?.idx || 0;
-    const p90Target = sortedByFinal[Math.floor(iterations * 0.9)]?.idx || 0;
+    const finalRealBalances = iterationTotals
+      .map(t => t.realTotals[t.realTotals.length - 1] || 0)
+      .sort((a, b) => a - b);
+    const medianRealLegacy = finalRealBalances.length > 0
+      ? Math.round(finalRealBalances[Math.floor(finalRealBalances.length / 2)])
+      : 0;
 
     return {
+      mode: isBootstrap ? 'bootstrap' : 'montecarlo',
       data: processed,
+      iterations,
       successRate: ((iterations - failureCount) / iterations) * 100,
       medianLegacy: Math.round(medianLegacy),
+      medianRealLegacy,
+      stochasticInflation,
+      spending,
+      longevity: stochasticMortality
+        ? summarizeLongevity(iterationTotals, clientCurrentAge, partnerCurrentAge)
+        : null,
+      // Full histories of the representative iterations (replayed after the first pass)
       scenarios: {
-        conservative: results[p10Target],
-        median: results[medianTarget],
-        optimistic: results[p90Target]
+        conservative: replayedHistories.get(representativeTargets.conservative),
+        median: replayedHistories.get(representativeTargets.median),
+        optimistic: replayedHistories.get(representativeTargets.optimistic)
       }
     };
   }
@@ -3044,6 +5556,56 @@ export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, isMo
   return results[0];
 };
 
+/**
+ * Run portfolio simulation (deterministic, Monte Carlo, or historical backtest)
+ * Monte Carlo runs are seeded from inputs.monteCarloSeed when present, so the same
+ * saved plan always replays the same iterations (report, Executive Summary, reload).
+ * The iteration count comes from inputs.monteCarloIterations (default 1,000, up to
+ * 10,000); progress is reported through withProgressReporter when one is installed.
+ * The bootstrap mode is Monte Carlo with returns resampled from HISTORICAL_RETURNS in
+ * blocks of inputs.bootstrapBlockLength years (default DEFAULT_BOOTSTRAP_BLOCK_LENGTH; same
+ * seed and output shape).
+ * With inputs.stochasticInflation, both Monte Carlo modes also draw each iteration's
+ * inflation path (see simulatePortfolio); their data rows carry realP10/realMedian/
+ * realP90 bands in today's dollars either way.
+ * Living expenses follow basePlan.withdrawalPolicy (a SPENDING_RULES entry): each
+ * retirement row carries plannedLivingExpenses / spendingAdjustment / spendingAction, and Monte Carlo
+ * adds realSpending* bands per row plus a spending summary.
+ * With inputs.stochasticMortality, randomized runs draw each spouse's death age from
+ * the life table (see drawDeathAge) instead of using expectedDeathAge: iterations end
+ * at their own last death, rows carry aliveShare, success means the money outlasted
+ * the household, and the result adds a longevity summary (joint survival, long
+ * survivorship, last-death ages).
+ * The historical backtest replays every rolling start year in HISTORICAL_RETURNS
+ * (1926 onward) and returns the Monte Carlo shape plus { mode: 'historical', periods,
+ * worstPeriod, firstStartYear, lastStartYear }, or null when the retirement horizon is
+ * longer than the data.
+ * @param {object} basePlan - Base plan object
+ * @param {object} assumptions - Return assumptions
+ * @param {object} inputs - Portfolio inputs
+ * @param {number} rebalanceFreq - Rebalancing frequency (0 = never)
+ * @param {boolean|string} mode - false = deterministic, true = Monte Carlo, 'bootstrap' = resampled-history Monte Carlo, 'historical' = rolling-period backtest
+ * @param {object} vaInputs - VA GIB inputs (optional)
+ * @param {object} rebalanceTargets - Manual rebalance target percentages (optional)
+ * @returns {Array|object|null} Simulation results
+ */
+export const runSimulation = (basePlan, assumptions, inputs, rebalanceFreq, mode = false, vaInputs = null, rebalanceTargets = null) => {
+  const isRandomized = mode === true || mode === 'montecarlo' || mode === 'bootstrap';
+  if (!isRandomized) {
+    return simulatePortfolio(basePlan, assumptions, inputs, rebalanceFreq, mode, vaInputs, rebalanceTargets);
+  }
+  // simulatePortfolio installs a sub-seeded source per iteration; put the caller's back
+  // even for unseeded runs, which withSeededRandom leaves alone
+  const callerSource = uniformSource;
+  try {
+    return withSeededRandom(inputs?.monteCarloSeed, () =>
+      simulatePortfolio(basePlan, assumptions, inputs, rebalanceFreq, mode, vaInputs, rebalanceTargets)
+    );
+  } finally {
+    uniformSource = callerSource;
+  }
+};
+
 /**
  * Calculate alternative allocation strategies for the optimizer
  * @param {object} inputs - Client inputs (portfolio, spending, etc.)
@@ -3184,28 +5746,37 @@ export const runOptimizedSimulation = (allocation, assumptions, inputs, clientIn
  * split that maximizes after-tax legacy (what heirs actually receive).
  *
  * Sweeps a grid of static percentage splits, runs the full simulation for each,
- * scores by after-tax legacy accounting for SECURE Act heir taxes on Traditional.
+ * scores by after-tax legacy, with heirs' tax on Traditional from simulateHeirInheritance.
  * The simulation engine handles tax convergence, RMD enforcement, and balance tracking.
  */
 export const optimizeLiquidationStrategy = (basePlan, assumptions, inputs, clientInfo, rebalanceFreq = 0, rebalanceTargets = null) => {
   if (!inputs.taxEnabled) return null;
 
-  // Heir tax assumptions (SECURE Act: heirs distribute inherited Traditional over 10 years)
+  // Heir tax assumptions (SECURE Act: heirs distribute inherited Traditional over 10 years).
+  // The flat rate applies only when no beneficiaries are listed.
+  const currentYear = new Date().getFullYear();
   const heirFederalRate = 0.24;
-  const stateData = inputs.stateCode ? STATE_TAX_DATA[inputs.stateCode] : null;
-  const heirStateRate = stateData ? stateData.rate / 100 : (inputs.stateRate || 0) / 100;
+  const heirStateRate = (STATE_TAX_DATA[inputs.stateCode] ? getStateRepresentativeRate(inputs.stateCode) : (inputs.stateRate || 0)) / 100;
   const heirTotalRate = heirFederalRate + heirStateRate;
+  const heirGrowthRate = calculateWeightedReturn(assumptions);
 
   // Score a static split by running the full simulation
   const scoreSplit = (tradPct, rothPct, nqPct) => {
     const testInputs = { ...inputs, traditionalPercent: tradPct, rothPercent: rothPct, nqPercent: nqPct, withdrawalOverrides: {} };
     const projection = runSimulation(basePlan, assumptions, testInputs, rebalanceFreq, false, null, rebalanceTargets);
     const last = projection.length > 0 ? projection[projection.length - 1] : {};
-    const grossLegacy = last.total || 0;
+    const inheritedLegacy = last.inheritedIRABalance || 0;
+    const grossLegacy = (last.total || 0) + inheritedLegacy;
     const tradLegacy = last.traditionalBalanceDetail || 0;
     const rothLegacy = last.rothBalanceDetail || 0;
     const nqLegacy = last.nqBalanceDetail || 0;
-    const heirTax = tradLegacy * heirTotalRate;
+    const heirs = simulateHeirInheritance(tradLegacy + inheritedLegacy, inputs, {
+      year: currentYear + (last.age - clientInfo.currentAge),
+      inflationIndex: last.inflationIndex || 1,
+      growthRate: heirGrowthRate,
+      flatRate: heirTotalRate
+    });
+    const heirTax = heirs.tax;
     const afterTaxLegacy = grossLegacy - heirTax;
     const lifetimeTax = projection.reduce((s, r) => s + (r.totalTax || 0), 0);
     const depleted = projection.some(r => r.total <= 0);
@@ -3215,7 +5786,7 @@ export const optimizeLiquidationStrategy = (basePlan, assumptions, inputs, clien
     return {
       tradPct, rothPct, nqPct,
       projection, grossLegacy, afterTaxLegacy, lifetimeTax, depleted, avgRate,
-      heirTax, tradLegacy, rothLegacy, nqLegacy,
+      heirTax, heirs, tradLegacy, rothLegacy, nqLegacy,
       score: depleted ? -1 : afterTaxLegacy
     };
   };
@@ -3235,13 +5806,14 @@ export const optimizeLiquidationStrategy = (basePlan, assumptions, inputs, clien
   let best = null;
   const allResults = [];
 
-  for (const c of candidates) {
+  candidates.forEach((c, idx) => {
     const result = scoreSplit(c.trad, c.roth, c.nq);
     allResults.push(result);
     if (!best || result.score > best.score) {
       best = result;
     }
-  }
+    reportProgress((idx + 1) / (candidates.length + 1));
+  });
 
   // Score current strategy for comparison
   const current = scoreSplit(inputs.traditionalPercent ?? 60, inputs.rothPercent ?? 25, inputs.nqPercent ?? 15);
@@ -3293,7 +5865,9 @@ export const optimizeLiquidationStrategy = (basePlan, assumptions, inputs, clien
       currentAfterTaxLegacy: Math.round(current.afterTaxLegacy),
       optimizedAfterTaxLegacy: Math.round(best.afterTaxLegacy),
       afterTaxLegacyImprovement: Math.round(best.afterTaxLegacy - current.afterTaxLegacy),
-      heirTaxRate: Math.round(heirTotalRate * 100),
+      // Heirs' effective rate on the winning split's pre-tax legacy
+      heirTaxRate: Math.round(best.heirs.effectiveRate * 100),
+      heirsModeled: best.heirs.beneficiaries.length > 0,
       // Legacy composition
       currentLegacyBreakdown: { traditional: Math.round(current.tradLegacy), roth: Math.round(current.rothLegacy), nq: Math.round(current.nqLegacy) },
       optimizedLegacyBreakdown: { traditional: Math.round(best.tradLegacy), roth: Math.round(best.rothLegacy), nq: Math.round(best.nqLegacy) },
@@ -3323,31 +5897,54 @@ export const optimizeRetirementTaxStrategy = (basePlan, assumptions, inputs, cli
 
   // Heir tax assumptions (SECURE Act: heirs distribute inherited Traditional over 10 years)
   const heirFederalRate = 0.24;
-  const stateData = inputs.stateCode ? STATE_TAX_DATA[inputs.stateCode] : null;
-  const heirStateRate = stateData ? stateData.rate / 100 : (inputs.stateRate || 0) / 100;
+  const heirStateRate = (STATE_TAX_DATA[inputs.stateCode] ? getStateRepresentativeRate(inputs.stateCode) : (inputs.stateRate || 0)) / 100;
   const heirTotalRate = heirFederalRate + heirStateRate;
+  // Listed beneficiaries invest what they inherit like the plan's portfolio
+  const heirGrowthRate = calculateWeightedReturn(assumptions);
+  // Long-term gains rate on NQ shares sold while the household is still alive
+  const nqGainTaxRate = 0.15 + heirStateRate;
 
   // Score and rank strategies using deterministic simulation
-  // IRMAA is included in scoring — it reduces portfolio balances, affecting after-tax legacy
+  // IRMAA and the ACA premium left after the credit are included in scoring — both reduce
+  // portfolio balances, affecting after-tax legacy, and both count in the total burden
   const useMC = !!monteCarloData;
   const extractMetrics = (projection) => {
     const last = targetOptimizeAge
       ? (projection.find(r => r.age >= targetOptimizeAge) || projection[projection.length - 1])
       : (projection.length > 0 ? projection[projection.length - 1] : {});
-    const grossLegacy = last.total || 0;
+    // Inherited IRAs still paying out pass to the heirs with the rest, as in projectEstate
+    const inheritedLegacy = last.inheritedIRABalance || 0;
+    const grossLegacy = (last.total || 0) + inheritedLegacy;
     const tradLegacy = last.traditionalBalanceDetail || 0;
     const rothLegacy = last.rothBalanceDetail || 0;
     const nqLegacy = last.nqBalanceDetail || 0;
-    const heirTax = tradLegacy * heirTotalRate;
-    const afterTaxLegacy = grossLegacy - heirTax;
+    // What the heirs pay on the pre-tax accounts: each listed beneficiary's own brackets
+    // over the 10-year payout, or the flat heir rate without beneficiaries
+    const heirs = simulateHeirInheritance(tradLegacy + inheritedLegacy, inputs, {
+      year: currentYear + (last.age - clientInfo.currentAge),
+      inflationIndex: last.inflationIndex || 1,
+      growthRate: heirGrowthRate,
+      flatRate: heirTotalRate
+    });
+    const heirTax = heirs.tax;
+    // Unrealized NQ gain against the tracked basis. Heirs take a stepped-up basis after the
+    // last death (the end of the projection), so it's only taxed at an earlier target age.
+    const nqUnrealizedGain = Math.max(0, nqLegacy - (last.nqCostBasis ?? nqLegacy));
+    const atFinalDeath = last === projection[projection.length - 1];
+    const nqGainTax = atFinalDeath ? 0 : nqUnrealizedGain * nqGainTaxRate;
+    // Estate tax is only due at the last death, not at an earlier target age
+    const estateTax = atFinalDeath ? (projectEstate(projection, inputs, clientInfo, { heirRate: heirTotalRate, heirGrowthRate })?.estateTax || 0) : 0;
+    const afterTaxLegacy = grossLegacy - heirTax - nqGainTax - estateTax;
     const scopedProjection = targetOptimizeAge
       ? projection.filter(r => r.age <= targetOptimizeAge)
       : projection;
     const lifetimeTax = scopedProjection.reduce((s, r) => s + (r.totalTax || 0), 0);
     const lifetimeRMD = scopedProjection.reduce((s, r) => s + (r.rmdAmount || 0), 0);
     const lifetimeIrmaa = scopedProjection.reduce((s, r) => s + (r.irmaaCost || 0), 0);
+    const lifetimeAcaPremium = scopedProjection.reduce((s, r) => s + (r.acaNetPremium || 0), 0);
+    const lifetimeAcaCredit = scopedProjection.reduce((s, r) => s + (r.acaCredit || 0), 0);
     const depleted = scopedProjection.some(r => r.total <= 0);
-    return { projection, grossLegacy, afterTaxLegacy, lifetimeTax, lifetimeRMD, lifetimeIrmaa, depleted, tradLegacy, rothLegacy, nqLegacy, heirTax };
+    return { projection, grossLegacy, afterTaxLegacy, lifetimeTax, lifetimeRMD, lifetimeIrmaa, lifetimeAcaPremium, lifetimeAcaCredit, depleted, tradLegacy, rothLegacy, nqLegacy, heirTax, heirs, nqUnrealizedGain, nqGainTax, estateTax };
   };
   // Deterministic scorer for ranking and baseline
   const scoreStrategy = (testInputs) => {
@@ -3366,8 +5963,17 @@ export const optimizeRetirementTaxStrategy = (basePlan, assumptions, inputs, cli
   // --- Step 2: Compute bracket headroom for Roth conversion scheduling ---
   const baseProjection = baseline.projection;
 
-  const generateConversionSchedule = (targetBracketIdx, projData, fillFraction = 1.0) => {
-    // targetBracketIdx: 1=12%, 2=22%, 3=24%; fillFraction: 0-1 to scale headroom usage
+  // Share of the ACA cliff MAGI kept free when converting under it, for estimate error in
+  // the income around the conversion
+  const ACA_CLIFF_CUSHION = 0.05;
+  // Same margin under the next IRMAA tier's MAGI threshold
+  const IRMAA_TIER_CUSHION = 0.03;
+
+  const generateConversionSchedule = (targetBracketIdx, projData, fillFraction = 1.0, limits = {}) => {
+    // targetBracketIdx: 1=12%, 2=22%, 3=24%; fillFraction: 0-1 to scale headroom usage;
+    // limits: { minAge, maxAge } limits conversions to part of the pre-RMD years;
+    // acaCliff keeps MAGI in ACA-credit years under the subsidy cliff; irmaaTier keeps
+    // MAGI under the next IRMAA tier its year's premiums would be priced at
     const conversions = {};
     let runningTradBalance = (basePlan?.retirementPortfolio ?? inputs.totalPortfolio) * ((inputs.traditionalPercent ?? 60) / 100);
 
@@ -3378,8 +5984,9 @@ export const optimizeRetirementTaxStrategy = (basePlan, assumptions, inputs, cli
 
       const yearsFromBase = age - (clientInfo.currentAge || 65);
       const yearsFromTaxBase = Math.max(0, yearsFromBase);
-      const brackets = getInflationAdjustedBrackets(filingStatus, yearsFromTaxBase, inflationRate);
-      const deduction = getInflationAdjustedDeduction(filingStatus, yearsFromTaxBase, inflationRate, age >= 65);
+      // The year's law: scheduled sunsets and advisor overrides move the headroom
+      const law = getPlanTaxLaw(inputs, currentYear + yearsFromBase);
+      const brackets = getInflationAdjustedBrackets(filingStatus, yearsFromTaxBase, inflationRate, null, law);
 
       // Current ordinary income (from baseline projection)
       const tradWithdrawal = row.distribution * (row.traditionalPctUsed || 0) / 100;
@@ -3388,6 +5995,10 @@ export const optimizeRetirementTaxStrategy = (basePlan, assumptions, inputs, cli
       const nqOrdinaryDivs = row.nqOrdinaryDividends || 0;
       const otherEmployment = (row.otherIncomeDetail || 0) + (row.employmentIncomeDetail || 0);
       const totalOrdinaryIncome = taxableSS + pension + tradWithdrawal + nqOrdinaryDivs + otherEmployment;
+      // The engine's deduction for the year when it has one: itemized years (a bunched DAF
+      // gift, large other itemized deductions) leave more room to convert
+      const deduction = row.taxDeduction ?? (getInflationAdjustedDeduction(filingStatus, yearsFromTaxBase, inflationRate, age >= 65, null, law)
+        + calculateEnhancedSeniorDeduction(filingStatus, totalOrdinaryIncome, age >= 65, law));
       const taxableAfterDeduction = Math.max(0, totalOrdinaryIncome - deduction);
 
       // Find headroom to target bracket
@@ -3408,8 +6019,22 @@ export const optimizeRetirementTaxStrategy = (basePlan, assumptions, inputs, cli
       }
       runningTradBalance = Math.max(0, runningTradBalance);
 
-      const conversionAmount = Math.min(headroom * fillFraction, runningTradBalance);
-      if (conversionAmount > 1000) { // Minimum threshold to bother
+      const inWindow = age >= (limits.minAge ?? -Infinity) && age <= (limits.maxAge ?? Infinity);
+      let conversionAmount = Math.min(headroom * fillFraction, runningTradBalance);
+      // Each converted dollar also adds the gain realized selling NQ shares for its tax
+      const nqGainShare = row.nqBalanceDetail > 0 ? Math.max(0, 1 - (row.nqCostBasis ?? row.nqBalanceDetail) / row.nqBalanceDetail) : 0;
+      const magiPerConverted = 1 + targetBracket.rate * nqGainShare;
+      if (limits.acaCliff && row.acaCliffMagi && (row.acaCredit || 0) > 0) {
+        const cliffRoom = row.acaCliffMagi * (1 - ACA_CLIFF_CUSHION) - (row.magi || 0);
+        conversionAmount = Math.min(conversionAmount, Math.max(0, cliffRoom) / magiPerConverted);
+      }
+      if (limits.irmaaTier && row.irmaaTierCeiling) {
+        // A conversion can also make more of Social Security taxable (up to 85% of it)
+        const ssStillUntaxed = Math.max(0, (row.ssIncomeDetail || 0) * 0.85 - taxableSS);
+        const tierRoom = row.irmaaTierCeiling * (1 - IRMAA_TIER_CUSHION) - (row.irmaaMagi || 0) - ssStillUntaxed;
+        conversionAmount = Math.min(conversionAmount, Math.max(0, tierRoom) / magiPerConverted);
+      }
+      if (inWindow && conversionAmount > 1000) { // Minimum threshold to bother
         conversions[age] = Math.round(conversionAmount);
       }
     }
@@ -3463,12 +6088,124 @@ export const optimizeRetirementTaxStrategy = (basePlan, assumptions, inputs, cli
     });
   }
 
+  // --- Step 4b: Time conversions and gain realization around a state move ---
+  // Converting and realizing gains in the lower-tax state saves the state tax on them.
+  // Moving to a lower-tax state: convert only after the move and defer NQ gains until then
+  // (deferred gains are released into 0% LTCG room once the override ends). Moving to a
+  // higher-tax state: convert only before the move, and realize NQ gains before it too
+  // (the lots are sold and rebought, so their basis steps up in the lower-tax state).
+  const relocation = getPlanRelocation(inputs);
+  if (relocation && relocation.toRate !== relocation.fromRate) {
+    const movingToLower = relocation.toRate < relocation.fromRate;
+    const conversionWindow = movingToLower ? { minAge: relocation.age } : { maxAge: relocation.age - 1 };
+    const timing = movingToLower ? 'after move' : 'before move';
+    const timedCandidates = relocation.age < rmdStartAge
+      ? conversionCandidates.filter(c => c.idx !== null && c.fillFraction === 1.0)
+      : [];
+    for (const candidate of timedCandidates) {
+      const conversions = generateConversionSchedule(candidate.idx, noConvResult.projection, candidate.fillFraction, conversionWindow);
+      if (Object.keys(conversions).length === 0) continue;
+      const label = `${candidate.label} ${timing}`;
+      results.push({
+        targetBracket: { label, idx: candidate.idx },
+        conversions,
+        ...scoreStrategy({ ...baseInputs, rothConversions: conversions }),
+        label
+      });
+    }
+
+    // Gain deferral on top of the best conversion plan so far. Override years are
+    // retirement-relative (year 1 = first retirement year), matching the engine.
+    const firstRetirementAge = retAge + (basePlan?.unified
+      ? Math.max(0, (basePlan.retirementBoundaryAge ?? clientInfo.retirementAge ?? 65) - retAge)
+      : 0);
+    const preMoveYears = relocation.age - firstRetirementAge;
+    const bestSoFar = results.filter(r => !r.depleted).sort((a, b) => b.afterTaxLegacy - a.afterTaxLegacy)[0];
+    if (movingToLower && preMoveYears > 0 && bestSoFar) {
+      const capGainOverrides = [{ startYear: 1, endYear: preMoveYears, rate: 0 }];
+      const label = `${bestSoFar.label} + defer gains until move`;
+      results.push({
+        targetBracket: bestSoFar.targetBracket,
+        conversions: bestSoFar.conversions,
+        capGainOverrides,
+        ...scoreStrategy({ ...baseInputs, rothConversions: bestSoFar.conversions, nqCapGainOverrides: capGainOverrides }),
+        label
+      });
+    }
+    // Realize the gain the lots would carry into the move, spread over the pre-move years
+    const lastPreMove = bestSoFar?.projection.find(r => r.age === relocation.age - 1);
+    const gainAtMove = lastPreMove ? Math.max(0, (lastPreMove.nqBalanceDetail || 0) - (lastPreMove.nqCostBasis ?? 0)) : 0;
+    if (!movingToLower && preMoveYears > 0 && gainAtMove > 0) {
+      const rate = Math.min(100, Math.ceil(1000 * gainAtMove / lastPreMove.nqBalanceDetail / preMoveYears) / 10);
+      const capGainOverrides = [{ startYear: 1, endYear: preMoveYears, rate }];
+      const label = `${bestSoFar.label} + realize gains before move`;
+      results.push({
+        targetBracket: bestSoFar.targetBracket,
+        conversions: bestSoFar.conversions,
+        capGainOverrides,
+        ...scoreStrategy({ ...baseInputs, rothConversions: bestSoFar.conversions, nqCapGainOverrides: capGainOverrides }),
+        label
+      });
+    }
+  }
+
+  // --- Step 4c: Protect the ACA premium tax credit before Medicare ---
+  // A conversion in a year on marketplace coverage raises that year's MAGI and shrinks the
+  // credit (or, past the cliff, loses it). Two alternatives: wait until everyone is on
+  // Medicare, or convert only up to the cliff in the coverage years.
+  const sameSchedule = (conversions) => results.some(r => JSON.stringify(r.conversions) === JSON.stringify(conversions));
+  const acaYears = noConvResult.projection.filter(r => (r.acaPremium || 0) > 0);
+  if (acaYears.length > 0) {
+    const medicareAge = Math.max(...acaYears.map(r => r.age)) + 1;
+    const hasCliff = acaYears.some(r => r.acaCliffMagi);
+    for (const candidate of conversionCandidates.filter(c => c.idx !== null && c.fillFraction === 1.0)) {
+      const variants = [
+        { label: `${candidate.label} after ACA years`, limits: { minAge: medicareAge } },
+        ...(hasCliff ? [{ label: `${candidate.label} under ACA cliff`, limits: { acaCliff: true } }] : [])
+      ];
+      for (const variant of variants) {
+        const conversions = generateConversionSchedule(candidate.idx, noConvResult.projection, candidate.fillFraction, variant.limits);
+        if (Object.keys(conversions).length === 0 || sameSchedule(conversions)) continue;
+        results.push({
+          targetBracket: { label: variant.label, idx: candidate.idx },
+          conversions,
+          ...scoreStrategy({ ...baseInputs, rothConversions: conversions }),
+          label: variant.label
+        });
+      }
+    }
+  }
+
+  // --- Step 4d: Size conversions under the next IRMAA tier ---
+  // A conversion's MAGI prices Medicare premiums two years later; one dollar over a tier
+  // threshold costs the whole tier's surcharge. Each bracket fill is capped at the room
+  // left under the tier the year's income already sits in.
+  if (inputs.irmaaEnabled && noConvResult.projection.some(r => r.age < rmdStartAge && r.irmaaTierCeiling)) {
+    for (const candidate of conversionCandidates.filter(c => c.idx !== null && c.fillFraction === 1.0)) {
+      const conversions = generateConversionSchedule(candidate.idx, noConvResult.projection, candidate.fillFraction, { irmaaTier: true });
+      if (Object.keys(conversions).length === 0 || sameSchedule(conversions)) continue;
+      const label = `${candidate.label} under IRMAA tier`;
+      results.push({
+        targetBracket: { label, idx: candidate.idx },
+        conversions,
+        ...scoreStrategy({ ...baseInputs, rothConversions: conversions }),
+        label
+      });
+    }
+  }
+
   // --- Step 5: Find best strategy (all scored deterministically) ---
   const validResults = results.filter(r => !r.depleted);
   validResults.sort((a, b) => b.afterTaxLegacy - a.afterTaxLegacy);
   let best = validResults[0] || results[0];
 
   // --- Step 6: Build output ---
+  // Taxes, heir taxes, estate tax, IRMAA and unsubsidized ACA premium
+  const totalBurden = (m) => m.lifetimeTax + m.heirTax + m.nqGainTax + m.estateTax + (m.lifetimeIrmaa || 0) + (m.lifetimeAcaPremium || 0);
+  const roundHeir = (b) => ({
+    id: b.id, name: b.name, inherited: Math.round(b.inherited), tax: Math.round(b.tax),
+    kept: Math.round(b.kept), effectiveRate: b.effectiveRate
+  });
   // Helper to build comparison + yearDetails from a projection pair (baseline vs best)
   const buildComparisonFromProjection = (baselineProj, bestProj) => {
     const bm = extractMetrics(baselineProj);
@@ -3491,15 +6228,29 @@ export const optimizeRetirementTaxStrategy = (basePlan, assumptions, inputs, cli
       currentLifetimeIrmaa: Math.round(bm.lifetimeIrmaa || 0),
       optimizedLifetimeIrmaa: Math.round(om.lifetimeIrmaa || 0),
       irmaaSavings: Math.round((bm.lifetimeIrmaa || 0) - (om.lifetimeIrmaa || 0)),
-      currentTotalBurden: Math.round(bm.lifetimeTax + bm.heirTax + (bm.lifetimeIrmaa || 0)),
-      optimizedTotalBurden: Math.round(om.lifetimeTax + om.heirTax + (om.lifetimeIrmaa || 0)),
-      totalBurdenSavings: Math.round((bm.lifetimeTax + bm.heirTax + (bm.lifetimeIrmaa || 0)) - (om.lifetimeTax + om.heirTax + (om.lifetimeIrmaa || 0))),
+      // ACA: the premium is the same across strategies, so the difference in what's left
+      // after the credit is subsidy a strategy loses (positive) or gains (negative)
+      currentLifetimeAcaPremium: Math.round(bm.lifetimeAcaPremium),
+      optimizedLifetimeAcaPremium: Math.round(om.lifetimeAcaPremium),
+      acaSubsidyLost: Math.round(bm.lifetimeAcaCredit - om.lifetimeAcaCredit),
+      currentTotalBurden: Math.round(totalBurden(bm)),
+      optimizedTotalBurden: Math.round(totalBurden(om)),
+      totalBurdenSavings: Math.round(totalBurden(bm) - totalBurden(om)),
+      currentNqUnrealizedGain: Math.round(bm.nqUnrealizedGain),
+      optimizedNqUnrealizedGain: Math.round(om.nqUnrealizedGain),
+      currentNqGainTax: Math.round(bm.nqGainTax),
+      optimizedNqGainTax: Math.round(om.nqGainTax),
+      currentEstateTax: Math.round(bm.estateTax),
+      optimizedEstateTax: Math.round(om.estateTax),
       currentRMDTotal: Math.round(bm.lifetimeRMD),
       optimizedRMDTotal: Math.round(om.lifetimeRMD),
       rmdReduction: Math.round(bm.lifetimeRMD - om.lifetimeRMD),
       totalConversions: Math.round(totalConversions),
       totalConversionTax: Math.round(totalConversionTax),
       heirTaxRate: Math.round(heirTotalRate * 100),
+      // Per-beneficiary results when beneficiaries are listed (empty otherwise)
+      currentHeirs: bm.heirs.beneficiaries.map(roundHeir),
+      optimizedHeirs: om.heirs.beneficiaries.map(roundHeir),
       currentLegacyBreakdown: { traditional: Math.round(bm.tradLegacy), roth: Math.round(bm.rothLegacy), nq: Math.round(bm.nqLegacy) },
       optimizedLegacyBreakdown: { traditional: Math.round(om.tradLegacy), roth: Math.round(om.rothLegacy), nq: Math.round(om.nqLegacy) }
     };
@@ -3519,6 +6270,10 @@ export const optimizeRetirementTaxStrategy = (basePlan, assumptions, inputs, cli
     nqUnrealizedGains: row.nqUnrealizedGains || 0,
     nqStrategicRealization: row.nqStrategicRealization || 0,
     irmaaCost: row.irmaaCost || 0,
+    irmaaMagi: row.irmaaMagi || 0,
+    irmaaTierCeiling: row.irmaaTierCeiling ?? null,
+    acaCredit: row.acaCredit || 0,
+    acaNetPremium: row.acaNetPremium || 0,
     magi: row.magi || 0
   }));
 
@@ -3532,20 +6287,36 @@ export const optimizeRetirementTaxStrategy = (basePlan, assumptions, inputs, cli
       afterTaxLegacy: Math.round(m.afterTaxLegacy),
       lifetimeTax: Math.round(m.lifetimeTax),
       lifetimeIrmaa: Math.round(m.lifetimeIrmaa || 0),
+      lifetimeAcaPremium: Math.round(m.lifetimeAcaPremium || 0),
       grossLegacy: Math.round(m.grossLegacy),
       conversions: r.conversions
     };
   });
 
-  // Build MC scenario views for display toggle (run MC once per strategy)
+  // Build MC scenario views for display toggle (run MC once per strategy).
+  // The deterministic scoring above is quick; progress is spread over the MC runs.
   let scenarioResults = null;
   if (useMC) {
-    const bestMC = scoreMC({ ...inputs, rothConversions: best.conversions });
-    const baselineMC = scoreMC(inputs);
+    const altCandidates = validResults.slice(0, 8);
+    const mcRunCount = altCandidates.length + 2;
+    const progressStart = 0.05;
+    const scoreMCStep = (step, testInputs) => withProgressSpan(
+      progressStart + (1 - progressStart) * (step / mcRunCount),
+      progressStart + (1 - progressStart) * ((step + 1) / mcRunCount),
+      () => scoreMC(testInputs)
+    );
+    reportProgress(progressStart);
+    const strategyInputs = (r) => ({
+      ...inputs,
+      rothConversions: r.conversions,
+      ...(r.capGainOverrides ? { nqCapGainOverrides: r.capGainOverrides } : {})
+    });
+    const bestMC = scoreMCStep(0, strategyInputs(best));
+    const baselineMC = scoreMCStep(1, inputs);
     // Run MC for each alternative once, cache results
-    const altMCCache = validResults.slice(0, 8).map(r => ({
+    const altMCCache = altCandidates.map((r, idx) => ({
       ...r,
-      mcScenarios: scoreMC({ ...inputs, rothConversions: r.conversions })
+      mcScenarios: scoreMCStep(idx + 2, strategyInputs(r))
     }));
     if (bestMC && baselineMC) {
       scenarioResults = {};
@@ -3562,6 +6333,7 @@ export const optimizeRetirementTaxStrategy = (basePlan, assumptions, inputs, cli
                 afterTaxLegacy: Math.round(m.afterTaxLegacy),
                 lifetimeTax: Math.round(m.lifetimeTax),
                 lifetimeIrmaa: Math.round(m.lifetimeIrmaa || 0),
+                lifetimeAcaPremium: Math.round(m.lifetimeAcaPremium || 0),
                 grossLegacy: Math.round(m.grossLegacy),
                 conversions: r.conversions
               };
@@ -3575,7 +6347,7 @@ export const optimizeRetirementTaxStrategy = (basePlan, assumptions, inputs, cli
   return {
     recommended: {
       rothConversions: best.conversions,
-      nqCapGainOverrides: [],
+      nqCapGainOverrides: best.capGainOverrides || [],
       targetBracket: best.targetBracket?.label || null,
       label: best.label
     },
@@ -3583,6 +6355,6 @@ export const optimizeRetirementTaxStrategy = (basePlan, assumptions, inputs, cli
     yearDetails,
     alternativeStrategies,
     // MC scenario-specific results for UI toggle
-    scenarios: Object.keys(scenarioResults).length > 0 ? scenarioResults : null
+    scenarios: scenarioResults && Object.keys(scenarioResults).length > 0 ? scenarioResults : null
   };
 };
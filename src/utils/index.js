@@ -9,6 +9,27 @@ export {
   calculateAlternativeAllocations,
   runOptimizedSimulation,
   calculateAnnualTax,
+  calculateNIIT,
+  calculateAMT,
+  getAMTPreferenceItems,
+  calculateEnhancedSeniorDeduction,
+  resolveTaxLawVersion,
+  getPlanTaxLaw,
+  calculateStateTax,
+  getPlanStateTax,
+  getResidencyPeriods,
+  getPlanRelocation,
+  NQ_LOT_METHODS,
+  NQ_HARVEST_POLICIES,
+  getInitialNQLots,
+  createNQBasisTracker,
+  getCharitableGift,
+  calculateCharitableDeduction,
+  SECURE_ACT_PAYOUT_YEARS,
+  distributeInheritedTranches,
+  simulateHeirInheritance,
+  calculateEstateTax,
+  projectEstate,
   calculateTaxableSS,
   calculateFederalTax,
   calculateImpliedSpending,
@@ -17,20 +38,73 @@ export {
   getInflationAdjustedQDivBrackets,
   getInflationAdjustedDeduction,
   calculateIRMAA,
+  getIRMAATier,
+  calculateACAPremiumCredit,
   calculateRMD,
   STATE_TAX_DATA,
   optimizeLiquidationStrategy,
   optimizeRetirementTaxStrategy,
   applyDeemedFiling,
+  getSurvivorBenefit,
+  getSurvivorFRA,
+  getSurvivorFactor,
+  getSSBenefitFactor,
+  calculateWEPReduction,
+  calculateGPOOffset,
+  getNonCoveredPensionOffsets,
+  calculateFamilyMaximum,
+  getExSpouseEligibility,
+  getDivorcedSpouseBenefit,
+  getEligibleChildren,
+  getFamilyBenefits,
+  getHouseholdFamilyBenefits,
   getImpliedPIA,
-  getLegacyEntry
+  getLegacyEntry,
+  RETURN_CORRELATION_KEYS,
+  DEFAULT_RETURN_CORRELATIONS,
+  DEFAULT_BOOTSTRAP_BLOCK_LENGTH,
+  getCorrelationCholesky,
+  createSeededRandom,
+  seedFromString,
+  generateSeed,
+  setRandomSource,
+  withSeededRandom,
+  withProgressReporter,
+  getMonteCarloIterations,
+  MIN_MC_ITERATIONS,
+  MAX_MC_ITERATIONS,
+  SPENDING_RULES,
+  resolveWithdrawalPolicy,
+  applyGuardrails,
+  MORTALITY_HEALTH_MULTIPLIERS,
+  getMortalityRate,
+  getSurvivalProbability,
+  getLifeExpectancy,
+  drawDeathAge,
+  resolveMortalityProfile
 } from './calculations';
+export { pickAllocation, runSimulationTask } from './simulationTasks';
+export {
+  runPooledSimulation,
+  cancelSimulationTask,
+  SimulationCancelledError
+} from './simulationPool';
 export {
   calculateSSAnalysis,
   calculateSSPartnerAnalysis,
   calculateWealthBreakeven,
-  calculateBreakevenMatrix
+  calculateBreakevenMatrix,
+  calculateSSFairnessActImpact,
+  SURVIVOR_STRATEGIES,
+  calculateSurvivorOutcome,
+  calculateSurvivorClaimingMatrix
 } from './ssAnalysis';
+export {
+  REAL_WAGE_GROWTH,
+  parseEarningsRecord,
+  calculatePIAFromEarnings,
+  getEarningsRecordPIA
+} from './ssEarnings';
 export {
   generateIPSContent,
   downloadIPS,
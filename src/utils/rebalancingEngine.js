@@ -7,14 +7,10 @@
  */
 
 import { HISTORICAL_RETURNS, getBucketReturn } from '../constants/historicalReturns';
+import { randn_bm, withSeededRandom, sampleBootstrapYears, getBootstrapReturns, DEFAULT_BOOTSTRAP_BLOCK_LENGTH } from './calculations';
 
-// Box-Muller transform for standard normal random variable
-const randn = () => {
-  let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
-  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-};
+// Standard normal draws share the planning engine's (seedable) random source
+const randn = randn_bm;
 
 /**
  * Run a tactical rebalancing simulation
@@ -299,20 +295,19 @@ const generateRandomReturns = (assumptions, years) => {
 };
 
 /**
- * Run Monte Carlo rebalancing simulation and extract percentile paths.
- * Returns p10 (conservative), p50 (median), and p90 (optimistic) paths
- * for both tactical and scheduled strategies.
- *
- * @param {Object} params
- * @param {Object} params.initialBuckets
- * @param {number} params.annualWithdrawal
- * @param {number} params.years
- * @param {Object} params.assumptions - Bucket return/stdDev assumptions
- * @param {number} params.iterations - Number of MC iterations (default 500)
- * @param {number} params.scheduledFreq
- * @returns {{ optimistic, median, conservative }} Each contains { tactical, scheduled }
+ * Generate per-year bucket returns by resampling historical years in blocks
+ * (see sampleBootstrapYears / getBootstrapReturns in calculations.js)
  */
-export const runMonteCarloRebalancing = ({
+const generateBootstrapReturns = (assumptions, years, blockLength, meanAdjust) => {
+  // The rebalancing illustration has no benchmark; its mean only matters for that series
+  return sampleBootstrapYears(years, blockLength).map(year => {
+    const { b1, b2, b3, b4, b5 } = getBootstrapReturns(year, assumptions, 0, meanAdjust);
+    return { b1, b2, b3, b4, b5 };
+  });
+};
+
+// Monte Carlo loop behind runMonteCarloRebalancing (runs under the caller's random source)
+const simulateRebalancingPaths = ({
   initialBuckets,
   annualWithdrawal,
   withdrawalSchedule = null,
@@ -320,7 +315,10 @@ export const runMonteCarloRebalancing = ({
   years,
   assumptions,
   iterations = 500,
-  scheduledFreq = 3
+  scheduledFreq = 3,
+  method = 'normal',
+  blockLength = DEFAULT_BOOTSTRAP_BLOCK_LENGTH,
+  meanAdjust = true
 }) => {
   const startYear = new Date().getFullYear();
 
@@ -330,7 +328,9 @@ export const runMonteCarloRebalancing = ({
   const scheduledHistories = [];
 
   for (let iter = 0; iter < iterations; iter++) {
-    const returnSequence = generateRandomReturns(assumptions, years);
+    const returnSequence = method === 'bootstrap'
+      ? generateBootstrapReturns(assumptions, years, blockLength, meanAdjust)
+      : generateRandomReturns(assumptions, years);
     const common = { initialBuckets, annualWithdrawal, withdrawalSchedule, surplusSchedule, startYear, years, assumptions, precomputedReturns: returnSequence };
 
     const tacticalRun = runTacticalSimulation({ ...common, mode: 'tactical' });
@@ -379,3 +379,24 @@ export const runMonteCarloRebalancing = ({
     }
   };
 };
+
+/**
+ * Run Monte Carlo rebalancing simulation and extract percentile paths.
+ * Returns p10 (conservative), p50 (median), and p90 (optimistic) paths
+ * for both tactical and scheduled strategies.
+ *
+ * @param {Object} params
+ * @param {Object} params.initialBuckets
+ * @param {number} params.annualWithdrawal
+ * @param {number} params.years
+ * @param {Object} params.assumptions - Bucket return/stdDev assumptions
+ * @param {number} params.iterations - Number of MC iterations (default 500)
+ * @param {number} params.scheduledFreq
+ * @param {number} params.seed - Optional PRNG seed (the plan's monteCarloSeed) for reproducible paths
+ * @param {string} params.method - 'normal' (mean + stdDev draws, default) or 'bootstrap' (resampled history)
+ * @param {number} params.blockLength - Bootstrap block length in years (default DEFAULT_BOOTSTRAP_BLOCK_LENGTH)
+ * @param {boolean} params.meanAdjust - Re-center bootstrap returns on the assumptions (default true)
+ * @returns {{ optimistic, median, conservative }} Each contains { tactical, scheduled }
+ */
+export const runMonteCarloRebalancing = ({ seed = null, ...params }) =>
+  withSeededRandom(seed, () => simulateRebalancingPaths(params));
@@ -0,0 +1,30 @@
+/**
+ * Simulation Web Worker
+ *
+ * Runs one simulation task at a time off the UI thread. Protocol:
+ *   in:  { id, type, payload }
+ *   out: { id, progress }  (0-1, throttled to whole percents)
+ *        { id, result }
+ *        { id, error }
+ * Cancellation is handled by the pool terminating the worker.
+ */
+
+import { runSimulationTask } from './simulationTasks';
+
+self.onmessage = ({ data }) => {
+  const { id, type, payload } = data;
+  let lastPercent = -1;
+  const onProgress = (fraction) => {
+    const percent = Math.floor(fraction * 100);
+    if (percent === lastPercent) return;
+    lastPercent = percent;
+    self.postMessage({ id, progress: fraction });
+  };
+
+  try {
+    const result = runSimulationTask(type, payload, onProgress);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error?.message || String(error) });
+  }
+};
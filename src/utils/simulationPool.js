@@ -0,0 +1,159 @@
+/**
+ * Simulation Worker Pool
+ *
+ * Runs simulation tasks (see simulationTasks.js) on a small pool of Web Workers so
+ * Monte Carlo and the optimizers never block the UI thread.
+ *
+ * Every task belongs to a channel ('monteCarlo', 'optimizer', 'taxStrategy', ...).
+ * Starting a task on a channel cancels whatever that channel was already running or
+ * waiting on — inputs changed, so the old result is stale. A queued task is simply
+ * dropped; a running one can't be interrupted mid-loop, so its worker is terminated
+ * and replaced.
+ *
+ * Where Workers aren't available (tests, very old browsers) tasks run inline on the
+ * next tick with the same promise / progress / cancellation interface.
+ */
+
+import { runSimulationTask } from './simulationTasks';
+
+// Leave a core for the UI thread; past four workers the tasks mostly wait on each other
+const MAX_POOL_SIZE = 4;
+
+/**
+ * Rejection reason for a task superseded or cancelled on its channel
+ */
+export class SimulationCancelledError extends Error {
+  constructor(channel) {
+    super(`Simulation task on "${channel}" was cancelled`);
+    this.name = 'SimulationCancelledError';
+  }
+}
+
+const supportsWorkers = typeof Worker !== 'undefined';
+const poolSize = Math.max(1, Math.min(MAX_POOL_SIZE, ((typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2) - 1));
+
+let slots = null;           // [{ worker, task }]
+const queue = [];           // Tasks waiting for a free worker
+const channelTasks = new Map(); // channel -> queued or running task
+let nextTaskId = 1;
+
+const spawnWorker = () => new Worker(new URL('./simulation.worker.js', import.meta.url), { type: 'module' });
+
+const settle = (task) => {
+  if (channelTasks.get(task.channel) === task) channelTasks.delete(task.channel);
+};
+
+const attachWorker = (slot) => {
+  slot.worker = spawnWorker();
+  slot.worker.onmessage = ({ data }) => {
+    const task = slot.task;
+    if (!task || data.id !== task.id) return;
+    if (data.progress !== undefined) {
+      task.onProgress?.(data.progress);
+      return;
+    }
+    slot.task = null;
+    settle(task);
+    if (data.error !== undefined) task.reject(new Error(data.error));
+    else task.resolve(data.result);
+    dispatch();
+  };
+  slot.worker.onerror = (event) => {
+    event.preventDefault?.();
+    const task = slot.task;
+    // A crashed worker can't be trusted with the next task — replace it
+    slot.worker.terminate();
+    slot.task = null;
+    attachWorker(slot);
+    if (task) {
+      settle(task);
+      task.reject(new Error(event.message || 'Simulation worker failed'));
+    }
+    dispatch();
+  };
+};
+
+const getSlots = () => {
+  if (!slots) {
+    slots = Array.from({ length: poolSize }, () => ({ worker: null, task: null }));
+    slots.forEach(attachWorker);
+  }
+  return slots;
+};
+
+// Hand queued tasks to idle workers
+const dispatch = () => {
+  for (const slot of getSlots()) {
+    if (queue.length === 0) return;
+    if (slot.task) continue;
+    const task = queue.shift();
+    slot.task = task;
+    slot.worker.postMessage({ id: task.id, type: task.type, payload: task.payload });
+  }
+};
+
+const runInline = (task) => {
+  setTimeout(() => {
+    if (task.cancelled) return;
+    try {
+      const result = runSimulationTask(task.type, task.payload, task.onProgress);
+      if (task.cancelled) return;
+      settle(task);
+      task.resolve(result);
+    } catch (error) {
+      if (task.cancelled) return;
+      settle(task);
+      task.reject(error);
+    }
+  }, 0);
+};
+
+/**
+ * Cancel the task queued or running on a channel, if any. Its promise rejects with
+ * SimulationCancelledError.
+ * @param {string} channel
+ */
+export const cancelSimulationTask = (channel) => {
+  const task = channelTasks.get(channel);
+  if (!task) return;
+  channelTasks.delete(channel);
+  task.cancelled = true;
+
+  if (supportsWorkers) {
+    const queuedIdx = queue.indexOf(task);
+    if (queuedIdx >= 0) {
+      queue.splice(queuedIdx, 1);
+    } else {
+      const slot = getSlots().find(s => s.task === task);
+      if (slot) {
+        slot.worker.terminate();
+        slot.task = null;
+        attachWorker(slot);
+      }
+    }
+  }
+  task.reject(new SimulationCancelledError(channel));
+  if (supportsWorkers) dispatch();
+};
+
+/**
+ * Run a simulation task on the pool, cancelling the channel's previous task
+ * @param {string} channel - Cancellation channel (one live task per channel)
+ * @param {string} type - Task type (see runSimulationTask)
+ * @param {object} payload - Plain-data payload (structured-cloneable)
+ * @param {function(number)} onProgress - Optional progress callback (fraction 0-1)
+ * @returns {Promise<*>} Resolves with the task result
+ */
+export const runPooledSimulation = (channel, type, payload, onProgress = null) => {
+  cancelSimulationTask(channel);
+  return new Promise((resolve, reject) => {
+    const task = { id: nextTaskId++, channel, type, payload, onProgress, resolve, reject, cancelled: false };
+    channelTasks.set(channel, task);
+    if (!supportsWorkers) {
+      runInline(task);
+      return;
+    }
+    queue.push(task);
+    dispatch();
+  });
+};
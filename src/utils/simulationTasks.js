@@ -0,0 +1,121 @@
+/**
+ * Simulation task handlers
+ *
+ * The heavy calculations (Monte Carlo, the six-strategy optimizer, the tax and
+ * liquidation optimizers) packaged as named tasks with plain-data payloads, so they can
+ * run inside a Web Worker (see simulation.worker.js / simulationPool.js) or inline.
+ *
+ * basePlan carries functions (getAnnualDetails, getTaxAwareGap, ...) and can't be
+ * posted to a worker, so every payload describes the plan instead and the task
+ * rebuilds it with calculateBasePlan:
+ *   plan: { inputs, assumptions, clientInfo, vaInputs?, allocation? }
+ * where allocation carries b1Val..b5Val overrides (manual allocation).
+ */
+
+import {
+  calculateBasePlan,
+  runSimulation,
+  calculateAlternativeAllocations,
+  runOptimizedSimulation,
+  optimizeLiquidationStrategy,
+  optimizeRetirementTaxStrategy,
+  withProgressReporter,
+  generateSeed,
+  SPENDING_RULES
+} from './calculations';
+
+const BUCKET_KEYS = ['b1Val', 'b2Val', 'b3Val', 'b4Val', 'b5Val'];
+const OPTIMIZER_STRATEGIES = ['strategy1', 'strategy2', 'strategy3', 'strategy4', 'strategy5', 'strategy6'];
+
+/**
+ * Describe a basePlan's bucket allocation as plain data for a task payload
+ * @param {object} basePlan - Base plan (formula or manual allocation)
+ * @returns {object|null} { b1Val..b5Val } or null
+ */
+export const pickAllocation = (basePlan) => {
+  if (!basePlan) return null;
+  return BUCKET_KEYS.reduce((acc, key) => ({ ...acc, [key]: basePlan[key] }), {});
+};
+
+// Rebuild the basePlan a payload describes
+const buildTaskBasePlan = ({ inputs, assumptions, clientInfo, vaInputs = null, allocation = null }) => {
+  const basePlan = calculateBasePlan(inputs, assumptions, clientInfo, !!vaInputs, vaInputs);
+  return allocation ? { ...basePlan, ...allocation } : basePlan;
+};
+
+// In unified mode the simulation emits accumulation and retirement years; the
+// time-series charts plot retirement only, so slice off the accumulation prefix and
+// re-index `year` to 1..N.
+const toRetirementView = (raw, plan, basePlan) => {
+  if (!raw?.data || !plan.inputs.unifiedTimeline) return raw;
+  const accumYears = basePlan?.retirementYearIndex || 0;
+  if (accumYears === 0) return raw;
+  return {
+    ...raw,
+    data: raw.data.slice(accumYears).map((row, idx) => ({ ...row, year: idx + 1 })),
+  };
+};
+
+const TASK_HANDLERS = {
+  // runSimulation in any mode. retirementOnly applies the unified-timeline chart slice.
+  simulation: ({ plan, rebalanceFreq = 0, mode = false, rebalanceTargets = null, retirementOnly = false }) => {
+    const basePlan = buildTaskBasePlan(plan);
+    const raw = runSimulation(basePlan, plan.assumptions, plan.inputs, rebalanceFreq, mode, plan.vaInputs || null, rebalanceTargets);
+    return retirementOnly ? toRetirementView(raw, plan, basePlan) : raw;
+  },
+
+  // Six-strategy allocation comparison (Optimizer tab, printout Strategy Comparison)
+  optimizer: ({ plan, rebalanceFreq = 0 }, onProgress) => {
+    const allocations = calculateAlternativeAllocations(plan.inputs, buildTaskBasePlan({ ...plan, vaInputs: null }));
+    return OPTIMIZER_STRATEGIES.reduce((acc, key, idx) => {
+      const strategyProgress = onProgress ? (fraction) => onProgress((idx + fraction) / OPTIMIZER_STRATEGIES.length) : null;
+      acc[key] = withProgressReporter(strategyProgress, () =>
+        runOptimizedSimulation(allocations[key], plan.assumptions, plan.inputs, plan.clientInfo, rebalanceFreq, plan.vaInputs || null)
+      );
+      return acc;
+    }, {});
+  },
+
+  // Spending-rule comparison (Optimizer tab): one Monte Carlo per SPENDING_RULES entry.
+  // All runs share one seed, so every rule faces the same return and inflation paths.
+  spendingRules: ({ plan, rebalanceFreq = 0, rebalanceTargets = null }, onProgress) => {
+    const ruleKeys = Object.keys(SPENDING_RULES);
+    const monteCarloSeed = plan.inputs.monteCarloSeed ?? generateSeed();
+    return ruleKeys.reduce((acc, key, idx) => {
+      const inputs = { ...plan.inputs, monteCarloSeed, withdrawalPolicy: key };
+      const ruleProgress = onProgress ? (fraction) => onProgress((idx + fraction) / ruleKeys.length) : null;
+      const mc = withProgressReporter(ruleProgress, () =>
+        runSimulation(buildTaskBasePlan({ ...plan, inputs }), plan.assumptions, inputs, rebalanceFreq, true, plan.vaInputs || null, rebalanceTargets)
+      );
+      acc[key] = {
+        successRate: mc.successRate,
+        medianLegacy: mc.medianLegacy,
+        medianRealLegacy: mc.medianRealLegacy,
+        spending: mc.spending
+      };
+      return acc;
+    }, {});
+  },
+
+  // Integrated Roth conversion optimizer (Tax Map tab). useMonteCarlo adds the
+  // optimistic / median / conservative scenario views.
+  taxStrategy: ({ plan, rebalanceFreq = 0, rebalanceTargets = null, useMonteCarlo = false, targetOptimizeAge = null }) =>
+    optimizeRetirementTaxStrategy(buildTaskBasePlan(plan), plan.assumptions, plan.inputs, plan.clientInfo, rebalanceFreq, rebalanceTargets, useMonteCarlo ? true : null, targetOptimizeAge),
+
+  // Static Trad/Roth/NQ split sweep
+  liquidation: ({ plan, rebalanceFreq = 0, rebalanceTargets = null }) =>
+    optimizeLiquidationStrategy(buildTaskBasePlan(plan), plan.assumptions, plan.inputs, plan.clientInfo, rebalanceFreq, rebalanceTargets),
+};
+
+/**
+ * Run a named simulation task
+ * @param {string} type - 'simulation' | 'optimizer' | 'taxStrategy' | 'liquidation'
+ * @param {object} payload - Plain-data task payload (see TASK_HANDLERS)
+ * @param {function(number)|null} onProgress - Receives progress as a fraction 0-1
+ * @returns {*} Task result (structured-cloneable)
+ */
+export const runSimulationTask = (type, payload, onProgress = null) => {
+  const handler = TASK_HANDLERS[type];
+  if (!handler) throw new Error(`Unknown simulation task: ${type}`);
+  return withProgressReporter(onProgress, () => handler(payload, onProgress));
+};
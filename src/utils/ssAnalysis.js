@@ -3,7 +3,29 @@
  * Calculates optimal claiming strategies and breakeven analysis
  */
 
-import { getAdjustedSS, getImpliedPIA, calculateWeightedReturn, applySSEarningsTest, calculateAnnualTax, applyDeemedFiling } from './calculations';
+import { getAdjustedSS, getImpliedPIA, calculateWeightedReturn, applySSEarningsTest, calculateAnnualTax, applyDeemedFiling, getSurvivorBenefit, getNonCoveredPensionOffsets, getPlanTaxLaw, getPlanStateTax, getMortalityRate, resolveMortalityProfile, MORTALITY_MAX_AGE, getSSBenefitFactor, getDivorcedSpouseBenefit, getHouseholdFamilyBenefits, getSurvivorFactor, getSurvivorFRA, SURVIVOR_MIN_AGE } from './calculations';
+import { getEarningsRecordPIA } from './ssEarnings';
+import { WEP_GPO_RULES } from '../constants/taxLaw';
+
+const NO_PENSION_OFFSETS = { wep: 0, gpo: 0 };
+
+// The Social Security Fairness Act covers benefits payable after December 2023; SSA paid the
+// increase for January 2024 through March 2025 as a one-time retroactive payment.
+const FAIRNESS_ACT_RETRO_START_YEAR = 2024;
+const FAIRNESS_ACT_RETRO_MONTHS = 15;
+
+// Own and spousal full retirement age (the survivor FRA goes by birth year, getSurvivorFRA).
+// A deceased who claimed early leaves at least 82.5% of their PIA (widow(er)'s limit).
+const FULL_RETIREMENT_AGE = 67;
+const WIDOW_LIMIT = 0.825;
+const CLAIMING_AGES = [62, 63, 64, 65, 66, 67, 68, 69, 70];
+
+// How a widow(er) can draw the two benefits
+export const SURVIVOR_STRATEGIES = {
+  higherNow: 'Survivor benefit now, own at planned age',
+  survivorFirst: 'Restricted survivor, switch to own at 70',
+  ownFirst: 'Own benefit first, switch to survivor at FRA'
+};
 
 /**
  * Calculate expense inflation factor for a given year (uses personal inflation rate)
@@ -62,7 +84,55 @@ const calculateAdditionalIncome = (additionalIncomes, clientAge, partnerAge, inf
 };
 
 /**
- * Calculate SS claiming strategy outcomes for the primary client
+ * A spouse's PIA for a claiming age: from an imported earnings record (working to a later
+ * claiming age adds years), else the entered PIA
+ * @param {object} inputs - Plan inputs
+ * @param {object} clientInfo - Client information
+ * @param {'client'|'partner'} who - Whose benefit
+ * @param {number} claimAge - Age benefits start
+ * @returns {number} Monthly PIA
+ */
+const getBasePIA = (inputs, clientInfo, who, claimAge) => (
+  getEarningsRecordPIA(inputs, clientInfo, who, claimAge)?.pia ?? ((who === 'partner' ? inputs.partnerSSPIA : inputs.ssPIA) || 0)
+);
+
+/**
+ * A spouse's own benefit in a year as the claiming analyses draw it: the PIA (implied from
+ * the benefit when already receiving), less any WEP, and the own benefit at the claiming age
+ * scaled with it, plus the GPO against their spousal and survivor benefits.
+ * @param {object} inputs - Plan inputs
+ * @param {'client'|'partner'} who - Whose benefit
+ * @param {number} basePIA - PIA before WEP (getBasePIA)
+ * @param {number} claimAge - Age benefits start (ignored when already receiving)
+ * @param {object} year - { age, inflationFactor (since today), taxLaw, alive }
+ * @returns {{ claimAge: number, receiving: boolean, pia: number, own: number, gpo: number }} Monthly
+ */
+const resolveOwnBenefit = (inputs, who, basePIA, claimAge, { age, inflationFactor, taxLaw, alive = true }) => {
+  const isPartner = who === 'partner';
+  const receiving = !!(isPartner ? inputs.partnerSSCurrentlyReceiving : inputs.ssCurrentlyReceiving);
+  const entered = isPartner ? inputs.partnerSSPIA : inputs.ssPIA;
+  const enteredAge = isPartner ? inputs.partnerSSStartAge : inputs.ssStartAge;
+  // If currently receiving, the input is the actual benefit and the PIA is backed out of it
+  const unreducedOwn = receiving ? entered : getAdjustedSS(basePIA, claimAge);
+  const unreducedPIA = receiving ? getImpliedPIA(entered, enteredAge) : basePIA;
+  // WEP / GPO on a non-covered pension (inert under current law)
+  const offsets = alive
+    ? getNonCoveredPensionOffsets(inputs, who, unreducedPIA, age, inflationFactor, taxLaw)
+    : NO_PENSION_OFFSETS;
+  const pia = unreducedPIA - offsets.wep;
+  return {
+    claimAge: receiving ? enteredAge : claimAge,
+    receiving,
+    pia,
+    own: unreducedPIA > 0 ? unreducedOwn * pia / unreducedPIA : unreducedOwn,
+    gpo: offsets.gpo
+  };
+};
+
+/**
+ * Calculate SS claiming strategy outcomes for the primary client. Counts benefits from a
+ * divorced client's ex-spouse record and children on the client's record (with a partner
+ * caring for them), within the family maximum.
  * @param {object} params - Analysis parameters
  * @param {object} params.inputs - Portfolio inputs
  * @param {object} params.clientInfo - Client information
@@ -85,8 +155,7 @@ export const calculateSSAnalysis = ({ inputs, clientInfo, assumptions, targetMax
   const partnerAnnualIncome = clientInfo.partnerAnnualIncome || 0;
   const partnerRetAge = clientInfo.partnerRetirementAge || clientInfo.retirementAge;
   const filingStatus = inputs.filingStatus || 'married';
-  const stateRate = inputs.stateRate || 0;
-  const stateCode = inputs.stateCode || '';
+  const currentYear = new Date().getFullYear();
 
   // Compute simulation start: earliest of client retirement or partner turning 62 (if retired)
   let simStart = clientInfo.retirementAge;
@@ -98,10 +167,13 @@ export const calculateSSAnalysis = ({ inputs, clientInfo, assumptions, targetMax
     }
   }
 
+  const partnerBasePIA = getBasePIA(inputs, clientInfo, 'partner', inputs.partnerSSStartAge);
+
   // Calculate outcome for each claiming strategy — with earnings test and taxes
   const strategyProjections = {};
 
   const outcomes = strategies.map(startAge => {
+    const clientBasePIA = getBasePIA(inputs, clientInfo, 'client', startAge);
     let balance = startingPortfolio;
     let cumulativeSSAfterTax = 0;
     const annualData = [];
@@ -112,6 +184,7 @@ export const calculateSSAnalysis = ({ inputs, clientInfo, assumptions, targetMax
       const currentPartnerAge = clientInfo.partnerAge + (age - clientInfo.currentAge);
       const expenseInflationFactor = getExpenseInflationFactor(inputs.personalInflationRate, yearIndex);
       const incomeInflationFactor = getIncomeInflationFactor(inputs.inflationRate, yearIndex);
+      const taxLaw = getPlanTaxLaw(inputs, currentYear + (age - clientInfo.currentAge));
       const clientExpectedDeathAge = inputs.expectedDeathAge || 95;
       const partnerExpectedDeathAge = inputs.partnerExpectedDeathAge || 95;
       const clientAlive = age < clientExpectedDeathAge;
@@ -138,15 +211,12 @@ export const calculateSSAnalysis = ({ inputs, clientInfo, assumptions, targetMax
       const clientHasFiled = clientAlive && age >= startAge;
       const partnerHasFiled = partnerAlive && currentPartnerAge >= inputs.partnerSSStartAge;
 
-      // Own benefits (adjusted for claiming age; if currently receiving, input is the actual benefit)
-      const clientOwnMonthly = inputs.ssCurrentlyReceiving ? inputs.ssPIA : getAdjustedSS(inputs.ssPIA, startAge);
-      const partnerOwnMonthly = clientInfo.isMarried
-        ? (inputs.partnerSSCurrentlyReceiving ? inputs.partnerSSPIA : getAdjustedSS(inputs.partnerSSPIA, inputs.partnerSSStartAge))
-        : 0;
-
-      // Back-calculate implied PIA when currently receiving (for spousal excess computation)
-      const clientPIA = inputs.ssCurrentlyReceiving ? getImpliedPIA(inputs.ssPIA, inputs.ssStartAge) : inputs.ssPIA;
-      const partnerPIA = inputs.partnerSSCurrentlyReceiving ? getImpliedPIA(inputs.partnerSSPIA, inputs.partnerSSStartAge) : inputs.partnerSSPIA;
+      // Own benefits at the claiming age, PIAs and WEP / GPO
+      const client = resolveOwnBenefit(inputs, 'client', clientBasePIA, startAge, { age, inflationFactor: incomeInflationFactor, taxLaw, alive: clientAlive });
+      const partner = resolveOwnBenefit(inputs, 'partner', partnerBasePIA, inputs.partnerSSStartAge, { age: currentPartnerAge, inflationFactor: incomeInflationFactor, taxLaw, alive: partnerAlive });
+      const { pia: clientPIA, own: clientOwnMonthly } = client;
+      const { pia: partnerPIA } = partner;
+      const partnerOwnMonthly = clientInfo.isMarried ? partner.own : 0;
 
       // Deemed filing: spousal excess reduction uses entitlement age (when both have filed).
       // For the CLIENT optimizer: freeze ALL partner spousal parameters to client's retirement age
@@ -160,20 +230,24 @@ export const calculateSSAnalysis = ({ inputs, clientInfo, assumptions, targetMax
         ? Math.min(67, Math.max(inputs.partnerSSStartAge, clientInfo.retirementAge - cAgeDiff))
         : inputs.partnerSSStartAge;
 
-      const clientMonthly = clientInfo.isMarried
-        ? applyDeemedFiling(clientOwnMonthly, partnerPIA, partnerHasFiled, cClaimAge, clientPIA, clientSpousalAge)
+      const clientSpousalMonthly = clientInfo.isMarried
+        ? applyDeemedFiling(clientOwnMonthly, partnerPIA, partnerHasFiled, cClaimAge, clientPIA, clientSpousalAge, client.gpo)
         : clientOwnMonthly;
+      // A divorced client draws on an ex-spouse's record when that pays more
+      const clientMonthly = Math.max(clientSpousalMonthly, getDivorcedSpouseBenefit(inputs, clientInfo, {
+        ownMonthly: clientOwnMonthly, pia: clientPIA, claimAge: cClaimAge, age, offset: client.gpo
+      }));
       // Partner benefit: timing uses real test age (clientHasFiled), reduction uses frozen retirement age
       const partnerMonthly = clientInfo.isMarried
-        ? applyDeemedFiling(partnerOwnMonthly, clientPIA, clientHasFiled, inputs.partnerSSStartAge, partnerPIA, fixedPartnerSpousalAge)
+        ? applyDeemedFiling(partnerOwnMonthly, clientPIA, clientHasFiled, inputs.partnerSSStartAge, partnerPIA, fixedPartnerSpousalAge, partner.gpo)
         : 0;
 
       const clientSSFull = clientMonthly * 12 * incomeInflationFactor;
       const partnerSSFull = partnerMonthly * 12 * incomeInflationFactor;
 
       // Apply earnings test (client not working in retirement; partner may still be working)
-      const clientSSAfterET = applySSEarningsTest(clientSSFull, clientEmploymentIncome, age, incomeInflationFactor);
-      const partnerSSAfterET = applySSEarningsTest(partnerSSFull, employmentIncome, currentPartnerAge, incomeInflationFactor);
+      const clientSSAfterET = applySSEarningsTest(clientSSFull, clientEmploymentIncome, age, incomeInflationFactor, taxLaw);
+      const partnerSSAfterET = applySSEarningsTest(partnerSSFull, employmentIncome, currentPartnerAge, incomeInflationFactor, taxLaw);
 
       if (clientHasFiled) {
         ssIncome += clientSSAfterET;
@@ -183,16 +257,41 @@ export const calculateSSAnalysis = ({ inputs, clientInfo, assumptions, targetMax
       }
       // Survivor SS: surviving spouse gets the higher of their own or deceased spouse's benefit
       if (clientInfo.isMarried) {
-        if (!clientAlive && partnerAlive && partnerHasFiled && clientSSFull > partnerSSFull) {
-          const survivorBenefit = applySSEarningsTest(clientSSFull, employmentIncome, currentPartnerAge, incomeInflationFactor);
+        const partnerAsSurvivor = getSurvivorBenefit(partnerMonthly, clientSpousalMonthly, partner.gpo) * 12 * incomeInflationFactor;
+        const clientAsSurvivor = getSurvivorBenefit(clientMonthly, partnerMonthly, client.gpo) * 12 * incomeInflationFactor;
+        if (!clientAlive && partnerAlive && partnerHasFiled && partnerAsSurvivor > partnerSSFull) {
+          const survivorBenefit = applySSEarningsTest(partnerAsSurvivor, employmentIncome, currentPartnerAge, incomeInflationFactor, taxLaw);
           ssIncome += (survivorBenefit - partnerSSAfterET);
         }
-        if (clientAlive && !partnerAlive && clientHasFiled && partnerSSFull > clientSSFull) {
-          const survivorBenefit = applySSEarningsTest(partnerSSFull, 0, age, incomeInflationFactor);
+        if (clientAlive && !partnerAlive && clientHasFiled && clientAsSurvivor > clientSSFull) {
+          const survivorBenefit = applySSEarningsTest(clientAsSurvivor, 0, age, incomeInflationFactor, taxLaw);
           ssIncome += (survivorBenefit - clientSSAfterET);
         }
       }
 
+      // Children on either parent's record, a young spouse caring for one, and the family
+      // maximum. Each spouse's spousal or survivor excess is what they already draw.
+      const clientAuxiliary = !clientInfo.isMarried || !clientHasFiled ? 0 : partnerAlive
+        ? clientSpousalMonthly - clientOwnMonthly
+        : Math.max(0, getSurvivorBenefit(clientSpousalMonthly, partnerMonthly, client.gpo) - clientSpousalMonthly);
+      const partnerAuxiliary = !partnerAlive || !partnerHasFiled ? 0 : clientAlive
+        ? partnerMonthly - partnerOwnMonthly
+        : Math.max(0, getSurvivorBenefit(partnerMonthly, clientSpousalMonthly, partner.gpo) - partnerMonthly);
+      const family = getHouseholdFamilyBenefits({
+        children: inputs.ssChildren, yearsFromNow: age - clientInfo.currentAge,
+        client: { pia: clientPIA, alive: clientAlive, hasFiled: clientHasFiled, age, auxiliary: clientAuxiliary },
+        partner: clientInfo.isMarried
+          ? { pia: partnerPIA, alive: partnerAlive, hasFiled: partnerHasFiled, age: currentPartnerAge, auxiliary: partnerAuxiliary }
+          : null,
+        law: taxLaw
+      });
+      ssIncome += (family.clientAuxiliary - clientAuxiliary + family.partnerAuxiliary - partnerAuxiliary) * 12 * incomeInflationFactor;
+
+      const ssBenefitFactor = getSSBenefitFactor(inputs, currentYear + (age - clientInfo.currentAge));
+      ssIncome *= ssBenefitFactor;
+      // Children's benefits support the household but are the children's income for tax
+      const childBenefits = family.children * 12 * incomeInflationFactor * ssBenefitFactor;
+
       let pensionIncome = 0;
       if (clientAlive && age >= inputs.pensionStartAge) {
         pensionIncome += inputs.monthlyPension * 12 * (inputs.pensionCOLA ? incomeInflationFactor : 1);
@@ -209,11 +308,12 @@ export const calculateSSAnalysis = ({ inputs, clientInfo, assumptions, targetMax
       const otherIncome = additionalIncomeResult.income;
       balance += additionalIncomeResult.oneTimeContributions;
 
-      const totalIncome = ssIncome + pensionIncome + otherIncome + employmentIncome;
+      const totalIncome = ssIncome + childBenefits + pensionIncome + otherIncome + employmentIncome;
       const gap = Math.max(0, expense - totalIncome);
       const surplus = Math.max(0, totalIncome - expense);
 
       // Always compute taxes — tax is owed on SS, pension, and withdrawals regardless of gap
+      const taxpayerAges = [clientAlive && age, partnerAlive && currentPartnerAge].filter(a => a !== false);
       let tax = 0;
       if (inputs.taxEnabled) {
         const tradPct = (inputs.traditionalPercent ?? 60) / 100;
@@ -222,7 +322,7 @@ export const calculateSSAnalysis = ({ inputs, clientInfo, assumptions, targetMax
           ssIncome, pensionIncome, traditionalWithdrawal: gap * tradPct,
           rothWithdrawal: 0, nqTaxableGain: 0, nqQualifiedDividends: 0, nqOrdinaryDividends: 0,
           otherIncome, employmentIncome
-        }, { filingStatus: effectiveFilingStatus, stateRate, stateCode }, age >= 65);
+        }, { filingStatus: effectiveFilingStatus, ...getPlanStateTax(inputs, age), taxpayerAges, taxLaw }, age >= 65);
         tax = taxResult.totalTax;
       }
 
@@ -241,19 +341,19 @@ export const calculateSSAnalysis = ({ inputs, clientInfo, assumptions, targetMax
           ssIncome: 0, pensionIncome, traditionalWithdrawal: expense * tradPct,
           rothWithdrawal: 0, nqTaxableGain: 0, nqQualifiedDividends: 0, nqOrdinaryDividends: 0,
           otherIncome, employmentIncome
-        }, { filingStatus: effectiveFilingStatus, stateRate, stateCode }, age >= 65).totalTax;
+        }, { filingStatus: effectiveFilingStatus, ...getPlanStateTax(inputs, age), taxpayerAges, taxLaw }, age >= 65).totalTax;
         ssTaxCost = Math.max(0, tax - taxWithoutSS);
       }
-      const ssNetValue = ssIncome - ssTaxCost; // What SS actually saved the portfolio
+      const ssNetValue = ssIncome + childBenefits - ssTaxCost; // What SS actually saved the portfolio
 
       cumulativeSSAfterTax *= (1 + weightedReturn);
       cumulativeSSAfterTax += ssNetValue;
 
-      annualData.push({ age, ssIncome: Math.round(ssIncome), cumulativeSSAfterTax: Math.round(cumulativeSSAfterTax) });
+      annualData.push({ age, ssIncome: Math.round(ssIncome + childBenefits), cumulativeSSAfterTax: Math.round(cumulativeSSAfterTax) });
     }
 
     strategyProjections[startAge] = annualData;
-    return { age: startAge, balance: Math.max(0, balance) };
+    return { age: startAge, balance: Math.max(0, balance), pia: clientBasePIA };
   });
 
   const winner = outcomes.reduce((prev, current) =>
@@ -271,7 +371,8 @@ export const calculateSSAnalysis = ({ inputs, clientInfo, assumptions, targetMax
  * @param {object} params.assumptions - Return assumptions
  * @param {number} params.targetMaxPortfolioAge - Target age for portfolio analysis
  * @param {object} params.clientSSWinner - Optimal client SS strategy result
- * @returns {object|null} Analysis results with winner and outcomes, or null if not married
+ * @returns {object|null} Analysis results with winner and outcomes (each with its
+ *   survivor-aware outcome, see calculateSurvivorOutcome), or null if not married
  */
 export const calculateSSPartnerAnalysis = ({ inputs, clientInfo, assumptions, targetMaxPortfolioAge, clientSSWinner, retirementPortfolio }) => {
   if (!clientInfo.isMarried) return null;
@@ -287,8 +388,7 @@ export const calculateSSPartnerAnalysis = ({ inputs, clientInfo, assumptions, ta
   const partnerAnnualIncome = clientInfo.partnerAnnualIncome || 0;
   const partnerRetAge = clientInfo.partnerRetirementAge || clientInfo.retirementAge;
   const filingStatus = inputs.filingStatus || 'married';
-  const stateRate = inputs.stateRate || 0;
-  const stateCode = inputs.stateCode || '';
+  const currentYear = new Date().getFullYear();
 
   // Compute simulation start: earliest of client retirement or partner turning 62 (if retired)
   let simStart = clientInfo.retirementAge;
@@ -298,8 +398,11 @@ export const calculateSSPartnerAnalysis = ({ inputs, clientInfo, assumptions, ta
     simStart = Math.min(simStart, Math.max(clientInfo.currentAge, partnerTurns62InClientAge));
   }
 
+  const clientBasePIA = getBasePIA(inputs, clientInfo, 'client', clientSSWinner.age);
+
   // Calculate outcome for each partner claiming strategy — with earnings test and taxes
   const outcomes = strategies.map(pStartAge => {
+    const partnerBasePIA = getBasePIA(inputs, clientInfo, 'partner', pStartAge);
     let balance = startingPortfolio;
 
     for (let age = simStart; age <= targetMaxPortfolioAge; age++) {
@@ -308,6 +411,7 @@ export const calculateSSPartnerAnalysis = ({ inputs, clientInfo, assumptions, ta
       const currentPartnerAge = clientInfo.partnerAge + (age - clientInfo.currentAge);
       const expenseInflationFactor = getExpenseInflationFactor(inputs.personalInflationRate, yearIndex);
       const incomeInflationFactor = getIncomeInflationFactor(inputs.inflationRate, yearIndex);
+      const taxLaw = getPlanTaxLaw(inputs, currentYear + (age - clientInfo.currentAge));
       const clientExpectedDeathAge = inputs.expectedDeathAge || 95;
       const partnerExpectedDeathAge = inputs.partnerExpectedDeathAge || 95;
       const clientAlive = age < clientExpectedDeathAge;
@@ -333,13 +437,11 @@ export const calculateSSPartnerAnalysis = ({ inputs, clientInfo, assumptions, ta
       const clientHasFiled = clientAlive && age >= clientSSWinner.age;
       const partnerHasFiled = partnerAlive && currentPartnerAge >= pStartAge;
 
-      // Own benefits (adjusted for claiming age; if currently receiving, input is the actual benefit)
-      const clientOwnMonthly = inputs.ssCurrentlyReceiving ? inputs.ssPIA : getAdjustedSS(inputs.ssPIA, clientSSWinner.age);
-      const partnerOwnMonthly = inputs.partnerSSCurrentlyReceiving ? inputs.partnerSSPIA : getAdjustedSS(inputs.partnerSSPIA, pStartAge);
-
-      // Back-calculate implied PIA when currently receiving
-      const clientPIA = inputs.ssCurrentlyReceiving ? getImpliedPIA(inputs.ssPIA, inputs.ssStartAge) : inputs.ssPIA;
-      const partnerPIA = inputs.partnerSSCurrentlyReceiving ? getImpliedPIA(inputs.partnerSSPIA, inputs.partnerSSStartAge) : inputs.partnerSSPIA;
+      // Own benefits at the claiming age, PIAs and WEP / GPO
+      const client = resolveOwnBenefit(inputs, 'client', clientBasePIA, clientSSWinner.age, { age, inflationFactor: incomeInflationFactor, taxLaw, alive: clientAlive });
+      const partner = resolveOwnBenefit(inputs, 'partner', partnerBasePIA, pStartAge, { age: currentPartnerAge, inflationFactor: incomeInflationFactor, taxLaw, alive: partnerAlive });
+      const { pia: clientPIA, own: clientOwnMonthly } = client;
+      const { pia: partnerPIA, own: partnerOwnMonthly } = partner;
 
       // Deemed filing: spousal excess reduction uses entitlement age (when both have filed).
       // For the PARTNER optimizer: freeze client's spousal age (client has no spousal excess with high PIA,
@@ -351,14 +453,14 @@ export const calculateSSPartnerAnalysis = ({ inputs, clientInfo, assumptions, ta
       // Partner spousal age: use client's actual claiming age (fixed, not varying with partner test)
       const partnerSpousalAge = Math.min(67, Math.max(pPartnerClaimAge, pClientClaimAge - pAgeDiff));
 
-      const clientMonthly = applyDeemedFiling(clientOwnMonthly, partnerPIA, partnerHasFiled, pClientClaimAge, clientPIA, clientSpousalAge);
-      const partnerMonthly = applyDeemedFiling(partnerOwnMonthly, clientPIA, clientHasFiled, pPartnerClaimAge, partnerPIA, partnerSpousalAge);
+      const clientMonthly = applyDeemedFiling(clientOwnMonthly, partnerPIA, partnerHasFiled, pClientClaimAge, clientPIA, clientSpousalAge, client.gpo);
+      const partnerMonthly = applyDeemedFiling(partnerOwnMonthly, clientPIA, clientHasFiled, pPartnerClaimAge, partnerPIA, partnerSpousalAge, partner.gpo);
 
       const clientSSFull = clientMonthly * 12 * incomeInflationFactor;
       const partnerSSFull = partnerMonthly * 12 * incomeInflationFactor;
 
-      const clientSSAfterET = applySSEarningsTest(clientSSFull, clientEmploymentIncome, age, incomeInflationFactor);
-      const partnerSSAfterET = applySSEarningsTest(partnerSSFull, employmentIncome, currentPartnerAge, incomeInflationFactor);
+      const clientSSAfterET = applySSEarningsTest(clientSSFull, clientEmploymentIncome, age, incomeInflationFactor, taxLaw);
+      const partnerSSAfterET = applySSEarningsTest(partnerSSFull, employmentIncome, currentPartnerAge, incomeInflationFactor, taxLaw);
 
       if (clientHasFiled) {
         ssIncome += clientSSAfterET;
@@ -367,15 +469,38 @@ export const calculateSSPartnerAnalysis = ({ inputs, clientInfo, assumptions, ta
         ssIncome += partnerSSAfterET;
       }
       // Survivor SS
-      if (!clientAlive && partnerAlive && partnerHasFiled && clientSSFull > partnerSSFull) {
-        const survivorBenefit = applySSEarningsTest(clientSSFull, employmentIncome, currentPartnerAge, incomeInflationFactor);
+      const partnerAsSurvivor = getSurvivorBenefit(partnerMonthly, clientMonthly, partner.gpo) * 12 * incomeInflationFactor;
+      const clientAsSurvivor = getSurvivorBenefit(clientMonthly, partnerMonthly, client.gpo) * 12 * incomeInflationFactor;
+      if (!clientAlive && partnerAlive && partnerHasFiled && partnerAsSurvivor > partnerSSFull) {
+        const survivorBenefit = applySSEarningsTest(partnerAsSurvivor, employmentIncome, currentPartnerAge, incomeInflationFactor, taxLaw);
         ssIncome += (survivorBenefit - partnerSSAfterET);
       }
-      if (clientAlive && !partnerAlive && clientHasFiled && partnerSSFull > clientSSFull) {
-        const survivorBenefit = applySSEarningsTest(partnerSSFull, 0, age, incomeInflationFactor);
+      if (clientAlive && !partnerAlive && clientHasFiled && clientAsSurvivor > clientSSFull) {
+        const survivorBenefit = applySSEarningsTest(clientAsSurvivor, 0, age, incomeInflationFactor, taxLaw);
         ssIncome += (survivorBenefit - clientSSAfterET);
       }
 
+      // Children on either parent's record: the partner's claiming age decides when
+      // benefits on the partner's record start
+      const clientAuxiliary = !clientHasFiled ? 0 : partnerAlive
+        ? clientMonthly - clientOwnMonthly
+        : Math.max(0, getSurvivorBenefit(clientMonthly, partnerMonthly, client.gpo) - clientMonthly);
+      const partnerAuxiliary = !partnerHasFiled ? 0 : clientAlive
+        ? partnerMonthly - partnerOwnMonthly
+        : Math.max(0, getSurvivorBenefit(partnerMonthly, clientMonthly, partner.gpo) - partnerMonthly);
+      const family = getHouseholdFamilyBenefits({
+        children: inputs.ssChildren, yearsFromNow: age - clientInfo.currentAge,
+        client: { pia: clientPIA, alive: clientAlive, hasFiled: clientHasFiled, age, auxiliary: clientAuxiliary },
+        partner: { pia: partnerPIA, alive: partnerAlive, hasFiled: partnerHasFiled, age: currentPartnerAge, auxiliary: partnerAuxiliary },
+        law: taxLaw
+      });
+      ssIncome += (family.clientAuxiliary - clientAuxiliary + family.partnerAuxiliary - partnerAuxiliary) * 12 * incomeInflationFactor;
+
+      const ssBenefitFactor = getSSBenefitFactor(inputs, currentYear + (age - clientInfo.currentAge));
+      ssIncome *= ssBenefitFactor;
+      // Children's benefits support the household but are the children's income for tax
+      const childBenefits = family.children * 12 * incomeInflationFactor * ssBenefitFactor;
+
       let pensionIncome = 0;
       if (clientAlive && age >= inputs.pensionStartAge) {
         pensionIncome += inputs.monthlyPension * 12 * (inputs.pensionCOLA ? incomeInflationFactor : 1);
@@ -392,11 +517,12 @@ export const calculateSSPartnerAnalysis = ({ inputs, clientInfo, assumptions, ta
       const otherIncome = additionalIncomeResult.income;
       balance += additionalIncomeResult.oneTimeContributions;
 
-      const totalIncome = ssIncome + pensionIncome + otherIncome + employmentIncome;
+      const totalIncome = ssIncome + childBenefits + pensionIncome + otherIncome + employmentIncome;
       const gap = Math.max(0, expense - totalIncome);
       const surplus = Math.max(0, totalIncome - expense);
 
       // Always compute taxes
+      const taxpayerAges = [clientAlive && age, partnerAlive && currentPartnerAge].filter(a => a !== false);
       let tax = 0;
       if (inputs.taxEnabled) {
         const tradPct = (inputs.traditionalPercent ?? 60) / 100;
@@ -405,7 +531,7 @@ export const calculateSSPartnerAnalysis = ({ inputs, clientInfo, assumptions, ta
           ssIncome, pensionIncome, traditionalWithdrawal: gap * tradPct,
           rothWithdrawal: 0, nqTaxableGain: 0, nqQualifiedDividends: 0, nqOrdinaryDividends: 0,
           otherIncome, employmentIncome
-        }, { filingStatus: effectiveFilingStatus, stateRate, stateCode }, age >= 65);
+        }, { filingStatus: effectiveFilingStatus, ...getPlanStateTax(inputs, age), taxpayerAges, taxLaw }, age >= 65);
         tax = taxResult.totalTax;
       }
 
@@ -413,7 +539,16 @@ export const calculateSSPartnerAnalysis = ({ inputs, clientInfo, assumptions, ta
       balance -= (gap + tax);
     }
 
-    return { age: pStartAge, balance: Math.max(0, balance) };
+    // What each spouse would be left with as a widow(er) under this pair of claiming ages
+    const survivor = calculateSurvivorOutcome({
+      inputs,
+      clientInfo,
+      clientClaimAge: clientSSWinner.age,
+      partnerClaimAge: pStartAge,
+      currentYear
+    });
+
+    return { age: pStartAge, balance: Math.max(0, balance), pia: partnerBasePIA, survivor };
   });
 
   const winner = outcomes.reduce((prev, current) =>
@@ -598,3 +733,349 @@ export const calculateBreakevenMatrix = ({
     )
   }));
 };
+
+/**
+ * Before/after effect of the Social Security Fairness Act for spouses with a pension from
+ * non-covered work (police, fire, teachers in some states). "Before" re-applies WEP to the
+ * worker's own PIA and GPO to their spousal and survivor benefits; "after" is current law.
+ * Benefits already in pay during January 2024 – March 2025 also show the retroactive
+ * payment for those months. Amounts are monthly, in today's dollars.
+ * @param {object} params
+ * @param {object} params.inputs - Plan inputs (pensionNonCovered, ssCoveredYears, SS and pension fields)
+ * @param {object} params.clientInfo - Client information
+ * @param {number} params.currentYear - Calendar year of "today"
+ * @returns {{ flagged: boolean, people: Array, totalMonthlyIncrease: number, totalRetroactive: number }}
+ */
+export const calculateSSFairnessActImpact = ({ inputs, clientInfo, currentYear = new Date().getFullYear() }) => {
+  const law = getPlanTaxLaw(inputs, currentYear);
+  const lawBefore = { ...law, wepGpo: WEP_GPO_RULES };
+  const ageDiff = clientInfo.currentAge - (clientInfo.partnerAge || clientInfo.currentAge);
+
+  const spouses = [{
+    who: 'client',
+    label: clientInfo.name || 'Client',
+    age: clientInfo.currentAge,
+    claimAge: inputs.ssStartAge,
+    receiving: !!inputs.ssCurrentlyReceiving,
+    entered: inputs.ssPIA || 0,
+    nonCovered: !!inputs.pensionNonCovered,
+    pension: inputs.monthlyPension || 0,
+    coveredYears: inputs.ssCoveredYears || 0
+  }];
+  if (clientInfo.isMarried) {
+    spouses.push({
+      who: 'partner',
+      label: clientInfo.partnerName || 'Partner',
+      age: clientInfo.partnerAge,
+      claimAge: inputs.partnerSSStartAge,
+      receiving: !!inputs.partnerSSCurrentlyReceiving,
+      entered: inputs.partnerSSPIA || 0,
+      nonCovered: !!inputs.partnerPensionNonCovered,
+      pension: inputs.partnerMonthlyPension || 0,
+      coveredYears: inputs.partnerSSCoveredYears || 0
+    });
+  }
+
+  // Current-law benefits, and the WEP / GPO each spouse would face once pension and benefit
+  // are both in pay
+  spouses.forEach(p => {
+    p.pia = p.receiving ? getImpliedPIA(p.entered, p.claimAge) : p.entered;
+    p.ownAfter = p.receiving ? p.entered : getAdjustedSS(p.pia, p.claimAge);
+    p.offsets = getNonCoveredPensionOffsets(inputs, p.who, p.pia, Infinity, 1, lawBefore);
+    p.ownBefore = p.pia > 0 ? p.ownAfter * (p.pia - p.offsets.wep) / p.pia : p.ownAfter;
+  });
+
+  const people = spouses.map((p, i) => {
+    const spouse = spouses[1 - i];
+    let withSpousal = { before: p.ownBefore, after: p.ownAfter };
+    let survivor = null;
+    if (spouse) {
+      const spouseClaimAge = spouse.claimAge + (p.who === 'client' ? ageDiff : -ageDiff);
+      const spousalAge = Math.min(67, Math.max(p.claimAge, spouseClaimAge));
+      withSpousal = {
+        before: applyDeemedFiling(p.ownBefore, spouse.pia - spouse.offsets.wep, true, p.claimAge, p.pia - p.offsets.wep, spousalAge, p.offsets.gpo),
+        after: applyDeemedFiling(p.ownAfter, spouse.pia, true, p.claimAge, p.pia, spousalAge)
+      };
+      // WEP ends with the worker's death, so the survivor benefit is the spouse's full benefit
+      survivor = {
+        before: getSurvivorBenefit(p.ownBefore, spouse.ownAfter, p.offsets.gpo),
+        after: getSurvivorBenefit(p.ownAfter, spouse.ownAfter)
+      };
+    }
+
+    const monthlyIncrease = Math.max(0, withSpousal.after - withSpousal.before);
+    let retroactiveMonths = 0;
+    if (p.receiving && monthlyIncrease > 0) {
+      const startMonth = (currentYear - p.age + p.claimAge - FAIRNESS_ACT_RETRO_START_YEAR) * 12;
+      retroactiveMonths = Math.min(FAIRNESS_ACT_RETRO_MONTHS, Math.max(0, FAIRNESS_ACT_RETRO_MONTHS - Math.max(0, startMonth)));
+    }
+
+    return {
+      who: p.who,
+      label: p.label,
+      nonCovered: p.nonCovered,
+      pension: p.pension,
+      coveredYears: p.coveredYears,
+      receiving: p.receiving,
+      wep: p.offsets.wep,
+      gpo: p.offsets.gpo,
+      own: { before: p.ownBefore, after: p.ownAfter },
+      withSpousal,
+      survivor,
+      monthlyIncrease,
+      retroactiveMonths,
+      retroactive: monthlyIncrease * retroactiveMonths
+    };
+  });
+
+  return {
+    flagged: spouses.some(p => p.nonCovered && p.pension > 0),
+    people,
+    totalMonthlyIncrease: people.reduce((sum, p) => sum + p.monthlyIncrease, 0),
+    totalRetroactive: people.reduce((sum, p) => sum + p.retroactive, 0)
+  };
+};
+
+// ============================================
+// SURVIVOR-AWARE CLAIMING
+// ============================================
+
+/**
+ * Survivor benefit a deceased spouse leaves: their own benefit if they had claimed (at least
+ * 82.5% of the PIA when they claimed early), otherwise the PIA plus any delayed credits
+ * earned by the age they died.
+ * @param {object} deceased - { pia, claimAge, own } (own = benefit being paid once claimed)
+ * @param {number} deathAge - First age the deceased is no longer alive
+ * @returns {number} Monthly survivor benefit at the survivor's FRA
+ */
+const getSurvivorBase = (deceased, deathAge) => {
+  if (deceased.claimAge < deathAge) {
+    return deceased.claimAge < FULL_RETIREMENT_AGE ? Math.max(deceased.own, deceased.pia * WIDOW_LIMIT) : deceased.own;
+  }
+  return getAdjustedSS(deceased.pia, Math.min(70, Math.max(FULL_RETIREMENT_AGE, deathAge)));
+};
+
+// Probability of being alive at the start of each year from today
+const getSurvivalCurve = (age, { sex, multiplier }, years) => {
+  const curve = [1];
+  for (let t = 0; t < years; t++) curve.push(curve[t] * (1 - getMortalityRate(age + t, sex, multiplier)));
+  return curve;
+};
+
+/**
+ * Monthly benefit at a given age for a widow(er) following one strategy. The survivor can
+ * hold either benefit back: survivor benefits are not deemed filed with their own.
+ * @param {string} strategy - SURVIVOR_STRATEGIES key
+ * @param {object} survivor - { pia, claimAge, own, gpo, survivorFRA, claimed (own benefit
+ *   already started), drawOwn(own, claimAge, age) (own benefit with anything else drawn on
+ *   it, such as an ex-spouse's record) }
+ * @param {number} base - Survivor benefit at FRA
+ * @param {number} widowAge - Survivor's age in the first year of widowhood
+ * @returns {function(number): { own: number, total: number }|null} Own and total benefit by
+ *   age, or null when the strategy is unavailable
+ */
+const getSurvivorPath = (strategy, survivor, base, widowAge) => {
+  const survivorStart = Math.max(widowAge, SURVIVOR_MIN_AGE);
+  const reduced = base * getSurvivorFactor(survivorStart, survivor.survivorFRA);
+  const draw = (own, survivorBenefit) => ({ own, total: getSurvivorBenefit(own, survivorBenefit, survivor.gpo) });
+  if (strategy === 'survivorFirst') {
+    if (survivor.claimed || widowAge >= 70 || !(survivor.pia > 0)) return null;
+    const ownAt70 = getAdjustedSS(survivor.pia, 70);
+    return (age) => draw(age >= 70 ? survivor.drawOwn(ownAt70, 70, age) : 0, age >= survivorStart ? reduced : 0);
+  }
+  if (strategy === 'ownFirst') {
+    const fullStart = Math.max(widowAge, survivor.survivorFRA);
+    return (age) => draw(age >= survivor.claimAge ? survivor.drawOwn(survivor.own, survivor.claimAge, age) : 0, age >= fullStart ? base : 0);
+  }
+  return (age) => draw(age >= survivor.claimAge ? survivor.drawOwn(survivor.own, survivor.claimAge, age) : 0, age >= survivorStart ? reduced : 0);
+};
+
+/**
+ * Survivor-aware value of one pair of claiming ages. Lifetime benefits are weighted by each
+ * spouse's life-table survival (sex and health from the mortality inputs): while both are
+ * alive the couple draws own + spousal benefits; for every year one spouse could die, the
+ * widow(er) takes the best of SURVIVOR_STRATEGIES from then on, reduced for starting before
+ * their survivor FRA (by birth year). Each spouse's benefits are resolved as in the claiming
+ * analyses (earnings-record PIA, WEP and GPO), with a divorced client's ex-spouse record and
+ * children's benefits within the family maximum. Discounted at the real reinvestment rate
+ * (ssReinvestRate less inflation) in today's dollars, and cut in trust fund depletion years.
+ * @param {object} params
+ * @param {object} params.inputs - Plan inputs
+ * @param {object} params.clientInfo - Client information
+ * @param {number} params.clientClaimAge - Client claiming age (ignored when already receiving)
+ * @param {number} params.partnerClaimAge - Partner claiming age (ignored when already receiving)
+ * @param {number} params.realDiscountRate - Real discount rate in % (defaults from inputs)
+ * @param {number} params.currentYear - Calendar year of "today"
+ * @returns {object|null} { clientAge, partnerAge, expectedLifetimeBenefits, couplePV, survivorPV,
+ *   clientSurvives, partnerSurvives } — each survivor entry { probability, pv, survivorBenefit,
+ *   ownBenefit, strategyShares, bestStrategy } — or null when single
+ */
+export const calculateSurvivorOutcome = ({
+  inputs,
+  clientInfo,
+  clientClaimAge = inputs.ssStartAge,
+  partnerClaimAge = inputs.partnerSSStartAge,
+  realDiscountRate,
+  currentYear = new Date().getFullYear()
+}) => {
+  if (!clientInfo.isMarried) return null;
+  const rate = realDiscountRate ?? Math.max(0, (inputs.ssReinvestRate ?? 4.5) - (inputs.inflationRate ?? 2.5));
+  const profile = resolveMortalityProfile(inputs);
+  const inflationRate = (inputs.inflationRate ?? 2.5) / 100;
+  const clientAge = clientInfo.currentAge;
+  const partnerAge = clientInfo.partnerAge ?? clientInfo.currentAge;
+
+  const years = MORTALITY_MAX_AGE - Math.min(clientAge, partnerAge);
+  // Each year's law, and its discount with any trust fund depletion cut
+  const laws = Array.from({ length: years + 1 }, (_, t) => getPlanTaxLaw(inputs, currentYear + t));
+  const discount = laws.map((_, t) => Math.pow(1 + rate / 100, -t) * getSSBenefitFactor(inputs, currentYear + t));
+
+  const spouse = (who, age, claimAge, mortality) => {
+    const basePIA = getBasePIA(inputs, clientInfo, who, claimAge);
+    // WEP ends at death, so the record a spouse leaves carries none
+    const resolve = (t, alive = true) => resolveOwnBenefit(inputs, who, basePIA, claimAge, {
+      age: age + t, inflationFactor: Math.pow(1 + inflationRate, t), taxLaw: laws[t], alive
+    });
+    const byYear = laws.map((_, t) => resolve(t));
+    return {
+      who,
+      age,
+      receiving: byYear[0].receiving,
+      claimAge: byYear[0].claimAge,
+      byYear,
+      leaves: (t) => resolve(t, false),
+      survivorFRA: getSurvivorFRA(currentYear - age),
+      survival: getSurvivalCurve(age, mortality, years)
+    };
+  };
+  const client = spouse('client', clientAge, clientClaimAge, profile.client);
+  const partner = spouse('partner', partnerAge, partnerClaimAge, profile.partner);
+  // Year a spouse starts drawing (today, once already drawing)
+  const claimYear = (s) => Math.min(years, Math.max(0, s.claimAge - s.age));
+
+  // A divorced client may draw on the ex-spouse's record: survivor benefits only while
+  // remarried, spousal ones too once widowed
+  const drawOwn = (s, married) => (own, claimAge, age) => (s.who === 'client'
+    ? getDivorcedSpouseBenefit(inputs, { ...clientInfo, isMarried: married }, {
+      ownMonthly: own, pia: s.byYear[age - s.age].pia, claimAge, age, offset: s.byYear[age - s.age].gpo
+    })
+    : own);
+
+  // Children on either record add to the household within the family maximum, and a spouse
+  // caring for one may be paid more on it
+  const hasChildren = (inputs.ssChildren || []).length > 0;
+  const familyAdds = (t, members, auxiliary) => {
+    if (!hasChildren) return 0;
+    const family = getHouseholdFamilyBenefits({
+      children: inputs.ssChildren, yearsFromNow: t, client: members.client, partner: members.partner, law: laws[t]
+    });
+    return family.children + (family.clientAuxiliary - auxiliary.client) + (family.partnerAuxiliary - auxiliary.partner);
+  };
+
+  // Both alive: own + spousal excess, as in the plan projection
+  const ageDiff = client.age - partner.age;
+  const clientSpousalAge = Math.min(FULL_RETIREMENT_AGE, Math.max(client.claimAge, partner.claimAge + ageDiff));
+  const partnerSpousalAge = Math.min(FULL_RETIREMENT_AGE, Math.max(partner.claimAge, client.claimAge - ageDiff));
+  const clientDrawsMarried = drawOwn(client, true);
+  let couplePV = 0;
+  for (let t = 0; t < years; t++) {
+    const c = client.byYear[t];
+    const p = partner.byYear[t];
+    const clientFiled = client.age + t >= client.claimAge;
+    const partnerFiled = partner.age + t >= partner.claimAge;
+    const clientSpousal = clientFiled ? applyDeemedFiling(c.own, p.pia, partnerFiled, client.claimAge, c.pia, clientSpousalAge, c.gpo) : 0;
+    const partnerMonthly = partnerFiled ? applyDeemedFiling(p.own, c.pia, clientFiled, partner.claimAge, p.pia, partnerSpousalAge, p.gpo) : 0;
+    const clientMonthly = clientFiled ? Math.max(clientSpousal, clientDrawsMarried(c.own, client.claimAge, client.age + t)) : 0;
+    const auxiliary = { client: clientFiled ? clientSpousal - c.own : 0, partner: partnerFiled ? partnerMonthly - p.own : 0 };
+    const monthly = clientMonthly + partnerMonthly + familyAdds(t, {
+      client: { pia: c.pia, alive: true, hasFiled: clientFiled, age: client.age + t, auxiliary: auxiliary.client },
+      partner: { pia: p.pia, alive: true, hasFiled: partnerFiled, age: partner.age + t, auxiliary: auxiliary.partner }
+    }, auxiliary);
+    couplePV += discount[t] * client.survival[t] * partner.survival[t] * monthly * 12;
+  }
+
+  const widowhood = (deceased, survivor) => {
+    const strategyShares = Object.fromEntries(Object.keys(SURVIVOR_STRATEGIES).map(key => [key, 0]));
+    const survivorDraws = drawOwn(survivor, false);
+    let pv = 0;
+    let probability = 0;
+    for (let d = 0; d < years; d++) {
+      const deathProbability = deceased.survival[d] - deceased.survival[d + 1];
+      const from = d + 1;
+      if (!(deathProbability > 0) || !(survivor.survival[from] > 0)) continue;
+      const widowAge = survivor.age + from;
+      const record = deceased.leaves(d);
+      const base = getSurvivorBase(record, deceased.age + from);
+      const atWidowhood = survivor.byYear[from];
+      const claimed = survivor.receiving || survivor.claimAge < widowAge;
+
+      let best = null;
+      Object.keys(SURVIVOR_STRATEGIES).forEach(key => {
+        const path = getSurvivorPath(key, {
+          ...atWidowhood, claimAge: survivor.claimAge, survivorFRA: survivor.survivorFRA, claimed, drawOwn: survivorDraws
+        }, base, widowAge);
+        if (!path) return;
+        let value = 0;
+        for (let t = from; t < years; t++) {
+          const age = survivor.age + t;
+          const { own, total } = path(age);
+          const auxiliary = { [deceased.who]: 0, [survivor.who]: total - own };
+          const monthly = total + familyAdds(t, {
+            [deceased.who]: { pia: record.pia, alive: false, hasFiled: false, age: deceased.age + t, auxiliary: 0 },
+            [survivor.who]: { pia: atWidowhood.pia, alive: true, hasFiled: own > 0, age, auxiliary: auxiliary[survivor.who] }
+          }, auxiliary);
+          value += discount[t] * survivor.survival[t] * monthly * 12;
+        }
+        if (!best || value > best.value) best = { key, value };
+      });
+
+      pv += deathProbability * best.value;
+      const weight = deathProbability * survivor.survival[from];
+      strategyShares[best.key] += weight;
+      probability += weight;
+    }
+    Object.keys(strategyShares).forEach(key => { strategyShares[key] = probability > 0 ? strategyShares[key] / probability : 0; });
+    return {
+      probability,
+      pv,
+      // Survivor benefit at FRA if the deceased dies after claiming as planned
+      survivorBenefit: getSurvivorBase(deceased.leaves(claimYear(deceased)), Infinity),
+      ownBenefit: survivor.byYear[claimYear(survivor)].own,
+      strategyShares,
+      bestStrategy: Object.keys(strategyShares).reduce((a, b) => (strategyShares[b] > strategyShares[a] ? b : a))
+    };
+  };
+
+  const clientSurvives = widowhood(partner, client);
+  const partnerSurvives = widowhood(client, partner);
+  const survivorPV = clientSurvives.pv + partnerSurvives.pv;
+  return {
+    clientAge: client.claimAge,
+    partnerAge: partner.claimAge,
+    expectedLifetimeBenefits: couplePV + survivorPV,
+    couplePV,
+    survivorPV,
+    clientSurvives,
+    partnerSurvives
+  };
+};
+
+/**
+ * Survivor-aware claiming matrix: calculateSurvivorOutcome for every pair of claiming ages
+ * 62–70 (a spouse already receiving stays at their actual age)
+ * @param {object} params
+ * @param {object} params.inputs - Plan inputs
+ * @param {object} params.clientInfo - Client information
+ * @param {number} params.realDiscountRate - Real discount rate in % (defaults from inputs)
+ * @returns {{ matrix: Array, winner: object }|null} Winner has the highest expected lifetime benefits
+ */
+export const calculateSurvivorClaimingMatrix = ({ inputs, clientInfo, realDiscountRate }) => {
+  if (!clientInfo.isMarried) return null;
+  const clientAges = inputs.ssCurrentlyReceiving ? [inputs.ssStartAge] : CLAIMING_AGES;
+  const partnerAges = inputs.partnerSSCurrentlyReceiving ? [inputs.partnerSSStartAge] : CLAIMING_AGES;
+  const matrix = clientAges.flatMap(clientClaimAge => partnerAges.map(partnerClaimAge => (
+    calculateSurvivorOutcome({ inputs, clientInfo, clientClaimAge, partnerClaimAge, realDiscountRate })
+  )));
+  const winner = matrix.reduce((best, cell) => (cell.expectedLifetimeBenefits > best.expectedLifetimeBenefits ? cell : best));
+  return { matrix, winner };
+};
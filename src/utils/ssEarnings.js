@@ -0,0 +1,201 @@
+/**
+ * Social Security Earnings Record Utilities
+ * Parses an SSA earnings history (my Social Security XML, statement PDF text or CSV) and
+ * computes a PIA from it the way SSA does: wage-indexed earnings, highest 35 years, bend
+ * points for the year of first eligibility.
+ */
+
+import { AVERAGE_WAGE_INDEX, TAXABLE_MAXIMUM, COLA_HISTORY, BASE_BEND_POINTS } from '../constants/ssWageIndex';
+import { getTaxLaw } from '../constants/taxLaw';
+
+// Computation years for a retirement benefit
+const COMPUTATION_YEARS = 35;
+// Wage growth over inflation for projected AWI (Trustees' intermediate real-wage differential)
+export const REAL_WAGE_GROWTH = 1.1;
+
+const LATEST_AWI_YEAR = Math.max(...Object.keys(AVERAGE_WAGE_INDEX).map(Number));
+const LATEST_TAXABLE_MAX_YEAR = Math.max(...Object.keys(TAXABLE_MAXIMUM).map(Number));
+
+/**
+ * Average wage index for a year, projected past the latest published year
+ * @param {number} year - Calendar year
+ * @param {number} wageGrowth - Projected annual AWI growth as percentage
+ * @returns {number} AWI
+ */
+const getAverageWageIndex = (year, wageGrowth) => {
+  if (year > LATEST_AWI_YEAR) {
+    return AVERAGE_WAGE_INDEX[LATEST_AWI_YEAR] * Math.pow(1 + wageGrowth / 100, year - LATEST_AWI_YEAR);
+  }
+  return AVERAGE_WAGE_INDEX[Math.max(1951, year)];
+};
+
+/**
+ * Taxable maximum for a year; future years follow the statutory AWI formula
+ * (the 1994 base indexed by AWI two years back, rounded to $300)
+ * @param {number} year - Calendar year
+ * @param {number} wageGrowth - Projected annual AWI growth as percentage
+ * @returns {number} Contribution and benefit base
+ */
+const getTaxableMaximum = (year, wageGrowth) => {
+  if (year <= LATEST_TAXABLE_MAX_YEAR) return TAXABLE_MAXIMUM[Math.max(1951, year)];
+  return Math.round(TAXABLE_MAXIMUM[1994] * getAverageWageIndex(year - 2, wageGrowth) / AVERAGE_WAGE_INDEX[1992] / 300) * 300;
+};
+
+/**
+ * Parse an earnings history into one entry per year. Accepts the my Social Security XML
+ * download, the earnings table copied from a statement PDF ("2019  $85,000  $85,000",
+ * year ranges spread evenly), or CSV/tab rows of year and earnings. The first amount on a
+ * row is taken (taxed Social Security earnings); "Not yet recorded" rows are skipped.
+ * @param {string} text - File or pasted contents
+ * @returns {Array<{ year: number, earnings: number }>} Sorted by year
+ */
+export const parseEarningsRecord = (text) => {
+  if (!text) return [];
+  const byYear = new Map();
+  const add = (startYear, endYear, amount) => {
+    if (!(startYear >= 1937 && endYear >= startYear && endYear <= 2100) || !(amount >= 0)) return;
+    const years = endYear - startYear + 1;
+    for (let year = startYear; year <= endYear; year++) byYear.set(year, amount / years);
+  };
+
+  if (/<(?:\w+:)?Earnings\b/.test(text)) {
+    const entry = /<(?:\w+:)?Earnings\s+startYear="(\d{4})"\s+endYear="(\d{4})"[^>]*>([\s\S]*?)<\/(?:\w+:)?Earnings>/g;
+    for (const [, start, end, body] of text.matchAll(entry)) {
+      const fica = body.match(/<(?:\w+:)?FicaEarnings>\s*(-?[\d.]+)\s*</);
+      if (fica) add(Number(start), Number(end), Number(fica[1]));
+    }
+  } else {
+    const row = /^\s*"?(\d{4})(?:\s*[-–]\s*(\d{4}))?"?\s*[,;\t ]\s*"?\$?\s*(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?/;
+    for (const line of text.split(/\r?\n/)) {
+      const match = line.match(row);
+      if (match) {
+        const [, start, end, whole, cents] = match;
+        add(Number(start), Number(end || start), Number(whole.replace(/,/g, '') + (cents || '')));
+      }
+    }
+  }
+
+  return [...byYear.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([year, earnings]) => ({ year, earnings: Math.round(earnings) }));
+};
+
+/**
+ * Compute a PIA from an earnings record. Earnings before the year the worker turns 60 are
+ * indexed to that year's AWI, later years count at face value; current earnings are
+ * projected (growing with wages) until work stops or benefits are claimed. The highest 35
+ * years give the AIME, and the bend points are those of the year the worker turns 62.
+ * The PIA is returned in today's dollars: wage-deflated to today's bend points before
+ * eligibility, carried forward by actual COLAs after it.
+ * @param {Array<{ year: number, earnings: number }>} record - Earnings by year
+ * @param {object} options
+ * @param {number} options.birthYear - Worker's birth year
+ * @param {number} [options.claimAge=67] - Age benefits start; no earnings count from then on
+ * @param {number} [options.annualEarnings=0] - Current annual earnings, today's dollars
+ * @param {number} [options.stopWorkAge] - Age work stops (defaults to the claiming age)
+ * @param {number} [options.inflationRate=2.5] - Annual inflation as percentage
+ * @param {number} [options.wageGrowth] - Annual AWI growth as percentage (inflation + real wage growth)
+ * @param {number} [options.currentYear] - Calendar year of "today"
+ * @returns {{ pia: number, piaAtEligibility: number, aime: number, bendPoints: number[],
+ *   eligibilityYear: number, indexingYear: number, years: Array, zeroYears: number }}
+ */
+export const calculatePIAFromEarnings = (record, {
+  birthYear,
+  claimAge = 67,
+  annualEarnings = 0,
+  stopWorkAge = claimAge,
+  inflationRate = 2.5,
+  wageGrowth = inflationRate + REAL_WAGE_GROWTH,
+  currentYear = new Date().getFullYear()
+} = {}) => {
+  const eligibilityYear = birthYear + 62;
+  const indexingYear = eligibilityYear - 2;
+  const awi = (year) => getAverageWageIndex(year, wageGrowth);
+
+  const earningsByYear = new Map();
+  (record || []).forEach(({ year, earnings }) => {
+    if (earnings > 0) earningsByYear.set(year, { earnings: Math.min(earnings, getTaxableMaximum(year, wageGrowth)), projected: false });
+  });
+  // Years after the record until work stops or benefits start, at today's pay grown with
+  // wages. A statement's last two years are often not yet posted, so those are filled too.
+  const lastRecordYear = Math.max(currentYear - 3, ...(record || []).map(r => r.year));
+  const lastWorkYear = birthYear + Math.min(stopWorkAge, claimAge) - 1;
+  if (annualEarnings > 0) {
+    for (let year = lastRecordYear + 1; year <= lastWorkYear; year++) {
+      const earnings = annualEarnings * Math.pow(1 + wageGrowth / 100, year - currentYear);
+      earningsByYear.set(year, { earnings: Math.min(earnings, getTaxableMaximum(year, wageGrowth)), projected: true });
+    }
+  }
+
+  const years = [...earningsByYear.entries()]
+    .filter(([year]) => year < birthYear + claimAge)
+    .sort(([a], [b]) => a - b)
+    .map(([year, { earnings, projected }]) => ({
+      year,
+      earnings: Math.round(earnings),
+      indexed: year < indexingYear ? earnings * awi(indexingYear) / awi(year) : earnings,
+      projected
+    }));
+
+  const highest = [...years].sort((a, b) => b.indexed - a.indexed).slice(0, COMPUTATION_YEARS);
+  const counted = new Set(highest.map(y => y.year));
+  const aime = Math.floor(highest.reduce((s, y) => s + y.indexed, 0) / (COMPUTATION_YEARS * 12));
+
+  const bendFactor = awi(indexingYear) / AVERAGE_WAGE_INDEX[BASE_BEND_POINTS.awiYear];
+  const [bend1, bend2] = BASE_BEND_POINTS.bendPoints.map(b => Math.round(b * bendFactor));
+  const [f1, f2, f3] = getTaxLaw(Math.min(eligibilityYear, currentYear)).piaFormula.factors;
+  const formula = f1 * Math.min(aime, bend1) + f2 * Math.max(0, Math.min(aime, bend2) - bend1) + f3 * Math.max(0, aime - bend2);
+  // SSA rounds the PIA down to the dime
+  const piaAtEligibility = Math.floor(formula * 10) / 10;
+
+  let pia;
+  if (eligibilityYear > currentYear) {
+    pia = piaAtEligibility * awi(currentYear - 2) / awi(indexingYear);
+  } else {
+    pia = piaAtEligibility;
+    for (let year = eligibilityYear; year < currentYear; year++) {
+      pia *= 1 + (COLA_HISTORY[year] ?? inflationRate) / 100;
+    }
+  }
+
+  return {
+    pia: Math.round(pia),
+    piaAtEligibility,
+    aime,
+    bendPoints: [bend1, bend2],
+    eligibilityYear,
+    indexingYear,
+    years: years.map(y => ({ ...y, indexed: Math.round(y.indexed), counted: counted.has(y.year) })),
+    zeroYears: Math.max(0, COMPUTATION_YEARS - highest.length)
+  };
+};
+
+/**
+ * PIA from a spouse's imported earnings record, for a given claiming age
+ * @param {object} inputs - Plan inputs (ssEarningsRecord / partnerSSEarningsRecord)
+ * @param {object} clientInfo - Ages, current pay and retirement ages
+ * @param {'client'|'partner'} who - Whose record
+ * @param {number} claimAge - Age benefits start
+ * @returns {object|null} calculatePIAFromEarnings result, or null without a record
+ *   (or when benefits are already being received)
+ */
+export const getEarningsRecordPIA = (inputs, clientInfo, who, claimAge) => {
+  const isPartner = who === 'partner';
+  const record = isPartner ? inputs.partnerSSEarningsRecord : inputs.ssEarningsRecord;
+  const receiving = isPartner ? inputs.partnerSSCurrentlyReceiving : inputs.ssCurrentlyReceiving;
+  if (!record?.length || receiving) return null;
+
+  const currentYear = new Date().getFullYear();
+  const age = isPartner ? clientInfo.partnerAge : clientInfo.currentAge;
+  const retired = isPartner ? clientInfo.partnerIsRetired : clientInfo.isRetired;
+  const pay = isPartner ? clientInfo.partnerAnnualIncome : clientInfo.annualIncome;
+  const stopWorkAge = (isPartner ? clientInfo.partnerRetirementAge : clientInfo.retirementAge) ?? claimAge;
+  return calculatePIAFromEarnings(record, {
+    birthYear: currentYear - (age || 0),
+    claimAge,
+    annualEarnings: retired ? 0 : pay || 0,
+    stopWorkAge,
+    inflationRate: inputs.inflationRate ?? 2.5,
+    currentYear
+  });
+};
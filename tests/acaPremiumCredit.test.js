@@ -0,0 +1,109 @@
+/**
+ * ACA Premium Tax Credit Tests
+ *
+ * Retired spouses under 65 buy marketplace coverage; the credit caps the benchmark
+ * premium at a share of the same year's MAGI and disappears above 400% FPL. The Roth
+ * conversion optimizer counts the premium left after the credit as a cost.
+ * Run with: npx vitest run tests/acaPremiumCredit.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateACAPremiumCredit,
+  calculateBasePlan,
+  runSimulation,
+  optimizeRetirementTaxStrategy,
+} from '../src/utils/calculations';
+import { getTaxLaw } from '../src/constants/taxLaw';
+
+const law2026 = getTaxLaw(2026);
+// 2-person household poverty line
+const fpl2 = 15650 + 5500;
+
+describe('calculateACAPremiumCredit', () => {
+  it('caps the benchmark premium at the applicable percentage of MAGI', () => {
+    const magi = fpl2 * 3.5;
+    const result = calculateACAPremiumCredit(magi, 2, 26000, 1, law2026);
+    expect(result.fplPercent).toBeCloseTo(350, 6);
+    expect(result.applicablePercent).toBeCloseTo(0.0996, 6);
+    expect(result.credit).toBeCloseTo(26000 - 0.0996 * magi, 6);
+  });
+
+  it('interpolates within a band', () => {
+    // Halfway through the 200%–250% band: 6.60% → 8.44%
+    const result = calculateACAPremiumCredit(fpl2 * 2.25, 2, 26000, 1, law2026);
+    expect(result.applicablePercent).toBeCloseTo((0.0660 + 0.0844) / 2, 6);
+  });
+
+  it('loses the whole credit one dollar over the cliff', () => {
+    const cliff = fpl2 * 4;
+    expect(calculateACAPremiumCredit(cliff, 2, 26000, 1, law2026).credit).toBeGreaterThan(15000);
+    const over = calculateACAPremiumCredit(cliff + 1, 2, 26000, 1, law2026);
+    expect(over).toMatchObject({ credit: 0, overCliff: true });
+    expect(over.cliffMagi).toBeCloseTo(cliff, 6);
+  });
+
+  it('has no cliff under the enhanced-credit what-if', () => {
+    const enhanced = getTaxLaw(2026, { overrides: [{ id: 1, startYear: 2026, enhancedAcaCredits: true }] });
+    const result = calculateACAPremiumCredit(fpl2 * 5, 2, 26000, 1, enhanced);
+    expect(result.cliffMagi).toBeNull();
+    expect(result.credit).toBeCloseTo(26000 - 0.085 * fpl2 * 5, 6);
+  });
+});
+
+describe('engine and optimizer', () => {
+  const clientInfo = {
+    name: 'Test', isMarried: true, isRetired: true, partnerName: 'Partner',
+    currentAge: 60, retirementAge: 60, partnerAge: 60, partnerRetirementAge: 60,
+    currentPortfolio: 1200000, currentSpending: 5000,
+    annualSavings: 0, annualIncome: 0, partnerAnnualIncome: 0,
+    expectedReturn: 7.0, additionalContributions: [],
+  };
+  const inputs = {
+    totalPortfolio: 1200000, monthlySpending: 5000, monthlySpendingOverridden: true,
+    ssPIA: 2500, ssStartAge: 67, partnerSSPIA: 1500, partnerSSStartAge: 67,
+    monthlyPension: 0, pensionStartAge: 65, pensionCOLA: false,
+    partnerMonthlyPension: 0, partnerPensionStartAge: 65, partnerPensionCOLA: false,
+    expectedDeathAge: 90, partnerExpectedDeathAge: 90,
+    inflationRate: 2.5, personalInflationRate: 2.5,
+    additionalIncomes: [], cashFlowAdjustments: [],
+    taxEnabled: true, filingStatus: 'married', traditionalPercent: 40, rothPercent: 30, nqPercent: 30,
+    advisoryFee: 1.0, unifiedTimeline: true,
+    acaEnabled: true, acaMonthlyPremium: 1100,
+  };
+  const assumptions = {
+    b1: { return: 4.0, stdDev: 1.7 },
+    b2: { return: 5.5, stdDev: 6.0 },
+    b3: { return: 7.5, stdDev: 9.5 },
+    b4: { return: 7.0, stdDev: 12.0 },
+    b5: { return: 8.5, stdDev: 15.0 },
+  };
+  const project = (planInputs) => runSimulation(calculateBasePlan(planInputs, assumptions, clientInfo), assumptions, planInputs, 0, false);
+
+  it('prices coverage until 65 and credits it against MAGI', () => {
+    const projection = project(inputs);
+    const at62 = projection.find(r => r.age === 62);
+    expect(at62.acaPremium).toBeGreaterThan(26000);
+    expect(at62.acaCredit).toBeGreaterThan(0);
+    expect(at62.acaNetPremium).toBe(at62.acaPremium - at62.acaCredit);
+    expect(projection.find(r => r.age === 65).acaPremium).toBe(0);
+    expect(project({ ...inputs, acaEnabled: false }).find(r => r.age === 62).acaPremium).toBe(0);
+  });
+
+  it('loses the credit in a year a conversion crosses the cliff', () => {
+    const converted = project({ ...inputs, rothConversions: { 62: 150000 } }).find(r => r.age === 62);
+    expect(converted.acaOverCliff).toBe(true);
+    expect(converted.acaCredit).toBe(0);
+    expect(converted.acaNetPremium).toBe(converted.acaPremium);
+  });
+
+  it('scores lost subsidy and offers ACA-aware conversion schedules', () => {
+    const result = optimizeRetirementTaxStrategy(calculateBasePlan(inputs, assumptions, clientInfo), assumptions, inputs, clientInfo);
+    expect(result.comparison).toHaveProperty('acaSubsidyLost');
+    expect(result.comparison.currentLifetimeAcaPremium).toBeGreaterThan(0);
+    const labels = result.alternativeStrategies.map(s => s.label);
+    expect(labels.some(label => /ACA (years|cliff)/.test(label))).toBe(true);
+    const deferred = result.alternativeStrategies.find(s => s.label.endsWith('after ACA years'));
+    if (deferred) expect(Math.min(...Object.keys(deferred.conversions).map(Number))).toBeGreaterThanOrEqual(65);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Historical Bootstrap Tests
+ *
+ * Bootstrap Monte Carlo resamples actual years in blocks of consecutive years (wrapping
+ * from the last year of data back to the first), and by default re-centers each year's
+ * returns on the advisor's assumptions.
+ * Run with: npx vitest run tests/bootstrap.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { sampleBootstrapYears, getBootstrapReturns, withSeededRandom, DEFAULT_BOOTSTRAP_BLOCK_LENGTH } from '../src/utils/calculations';
+import { runMonteCarloRebalancing } from '../src/utils/rebalancingEngine';
+import {
+  HISTORICAL_RETURNS,
+  HISTORICAL_FIRST_YEAR,
+  HISTORICAL_LAST_YEAR,
+  HISTORICAL_MEAN_RETURNS,
+} from '../src/constants/historicalReturns';
+
+const assumptions = {
+  b1: { return: 4.0, stdDev: 1.7 },
+  b2: { return: 5.5, stdDev: 6.0 },
+  b3: { return: 7.5, stdDev: 9.5 },
+  b4: { return: 7.0, stdDev: 12.0 },
+  b5: { return: 8.5, stdDev: 15.0 },
+};
+
+const BUCKETS = ['b1', 'b2', 'b3', 'b4', 'b5'];
+const nextYear = (year) => (year === HISTORICAL_LAST_YEAR ? HISTORICAL_FIRST_YEAR : year + 1);
+
+describe('sampleBootstrapYears', () => {
+  it('builds contiguous blocks of the configured length that wrap at the last year', () => {
+    const blockLength = 5;
+    const sequences = withSeededRandom(99, () => Array.from({ length: 400 }, () => sampleBootstrapYears(32, blockLength)));
+    let wrapped = 0;
+    sequences.forEach(sequence => {
+      expect(sequence).toHaveLength(32);
+      for (let start = 0; start < sequence.length; start += blockLength) {
+        const block = sequence.slice(start, start + blockLength);
+        block.forEach(year => {
+          expect(year).toBeGreaterThanOrEqual(HISTORICAL_FIRST_YEAR);
+          expect(year).toBeLessThanOrEqual(HISTORICAL_LAST_YEAR);
+        });
+        for (let k = 1; k < block.length; k++) {
+          expect(block[k]).toBe(nextYear(block[k - 1]));
+          if (block[k - 1] === HISTORICAL_LAST_YEAR) wrapped++;
+        }
+      }
+    });
+    expect(wrapped).toBeGreaterThan(0);
+  });
+
+  it('replays the same years for the same seed', () => {
+    const draw = () => withSeededRandom(7, () => sampleBootstrapYears(30, 3));
+    expect(draw()).toEqual(draw());
+  });
+
+  it('treats a block length below one as year-by-year sampling', () => {
+    const sequence = withSeededRandom(7, () => sampleBootstrapYears(30, 0));
+    const runs = sequence.filter((year, k) => k > 0 && year === nextYear(sequence[k - 1])).length;
+    expect(sequence).toHaveLength(30);
+    expect(runs).toBeLessThan(5);
+  });
+});
+
+describe('getBootstrapReturns', () => {
+  const years = Object.keys(HISTORICAL_RETURNS).map(Number);
+  const benchmarkMean = 0.065;
+  const averageOver = (sample, meanAdjust) => {
+    const sums = Object.fromEntries([...BUCKETS, 'benchmark'].map(k => [k, 0]));
+    sample.forEach(year => {
+      const returns = getBootstrapReturns(year, assumptions, benchmarkMean, meanAdjust);
+      Object.keys(sums).forEach(k => { sums[k] += returns[k]; });
+    });
+    return Object.fromEntries(Object.entries(sums).map(([k, sum]) => [k, sum / sample.length]));
+  };
+
+  it('re-centers every series on the assumptions across the full history', () => {
+    const means = averageOver(years, true);
+    BUCKETS.forEach(bk => expect(means[bk]).toBeCloseTo(assumptions[bk].return / 100, 10));
+    expect(means.benchmark).toBeCloseTo(benchmarkMean, 10);
+  });
+
+  it('keeps history’s own means when mean adjustment is off', () => {
+    const means = averageOver(years, false);
+    BUCKETS.forEach(bk => expect(means[bk]).toBeCloseTo(HISTORICAL_MEAN_RETURNS[bk], 10));
+    expect(means.benchmark).toBeCloseTo(HISTORICAL_MEAN_RETURNS.benchmark, 10);
+  });
+
+  it('lands seeded block samples near the assumed returns', () => {
+    const sample = withSeededRandom(12345, () => sampleBootstrapYears(20000, 5));
+    const means = averageOver(sample, true);
+    BUCKETS.forEach(bk => expect(Math.abs(means[bk] - assumptions[bk].return / 100)).toBeLessThan(0.01));
+  });
+});
+
+describe('default block length', () => {
+  const run = (overrides) => runMonteCarloRebalancing({
+    initialBuckets: { b1: 100000, b2: 200000, b3: 300000, b4: 200000, b5: 200000 },
+    annualWithdrawal: 40000, years: 20, assumptions, iterations: 50,
+    seed: 12345, method: 'bootstrap', ...overrides,
+  });
+
+  it('resamples the same blocks the plan projection defaults to', () => {
+    expect(DEFAULT_BOOTSTRAP_BLOCK_LENGTH).toBe(5);
+    expect(run({})).toEqual(run({ blockLength: DEFAULT_BOOTSTRAP_BLOCK_LENGTH }));
+    expect(run({})).not.toEqual(run({ blockLength: 1 }));
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Charitable Giving Tests
+ *
+ * Giving goals are funded by QCDs once a spouse is 71, then appreciated NQ shares, then
+ * cash; DAF bunching front-loads pre-QCD gifts so the bunch years itemize, and
+ * calculateAnnualTax picks itemized or standard each year.
+ * Run with: npx vitest run tests/charitableGiving.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateCharitableDeduction,
+  calculateAnnualTax,
+  getCharitableGift,
+  calculateBasePlan,
+  runSimulation,
+} from '../src/utils/calculations';
+import { getTaxLaw } from '../src/constants/taxLaw';
+
+const law2026 = getTaxLaw(2026);
+
+describe('calculateCharitableDeduction', () => {
+  it('caps property at 30% and all gifts at 60% of AGI, less the 0.5% floor', () => {
+    const { itemized } = calculateCharitableDeduction(50000, 50000, 100000, 'married', law2026);
+    // 30k property + 30k cash = 60k limit, minus 500 floor
+    expect(itemized).toBeCloseTo(59500, 6);
+  });
+
+  it('gives non-itemizers a capped cash deduction, but not for DAF gifts', () => {
+    expect(calculateCharitableDeduction(5000, 0, 100000, 'married', law2026).nonItemizer).toBe(2000);
+    expect(calculateCharitableDeduction(5000, 0, 100000, 'single', law2026).nonItemizer).toBe(1000);
+    expect(calculateCharitableDeduction(5000, 0, 100000, 'married', law2026, true).nonItemizer).toBe(0);
+  });
+
+  it('itemizes only when gifts and other deductions beat the standard deduction', () => {
+    const settings = { filingStatus: 'married', stateRate: 0, taxLaw: law2026 };
+    const income = { traditionalWithdrawal: 200000 };
+    const small = calculateAnnualTax({ ...income, charitableCash: 10000 }, settings);
+    const large = calculateAnnualTax({ ...income, charitableCash: 60000, itemizedDeductions: 10000 }, settings);
+    expect(small.itemized).toBe(false);
+    expect(large.itemized).toBe(true);
+    expect(large.federalTax).toBeLessThan(small.federalTax);
+  });
+});
+
+describe('getCharitableGift', () => {
+  const plan = { charitableGifts: [{ id: 1, amount: 10000, startAge: 60, endAge: 90 }], charitableBunchYears: 3 };
+
+  it('bunches pre-QCD giving into every third year through a DAF', () => {
+    const bunch = getCharitableGift(plan, { age: 62, livingAges: [62], yearIndex: 0 });
+    const between = getCharitableGift(plan, { age: 63, livingAges: [63], yearIndex: 1 });
+    expect(bunch).toMatchObject({ goal: 10000, gift: 30000, viaDAF: true });
+    expect(between).toMatchObject({ goal: 10000, gift: 0, viaDAF: true });
+  });
+
+  it('leaves QCD years out of the bunch and gives annually once QCDs start', () => {
+    // Ages 69, 70 bunched; 71 is a QCD year
+    expect(getCharitableGift(plan, { age: 69, livingAges: [69], yearIndex: 0, law: law2026 }).gift).toBe(20000);
+    expect(getCharitableGift(plan, { age: 71, livingAges: [71], yearIndex: 1, law: law2026 }))
+      .toMatchObject({ gift: 10000, viaDAF: false, qcdEligible: true });
+  });
+});
+
+describe('engine', () => {
+  const clientInfo = {
+    name: 'Test', isMarried: true, isRetired: true, partnerName: 'Partner',
+    currentAge: 72, retirementAge: 72, partnerAge: 72, partnerRetirementAge: 72,
+    currentPortfolio: 2000000, currentSpending: 9000,
+    annualSavings: 0, annualIncome: 0, partnerAnnualIncome: 0,
+    expectedReturn: 7.0, additionalContributions: [],
+  };
+  const inputs = {
+    totalPortfolio: 2000000, monthlySpending: 9000, monthlySpendingOverridden: true,
+    ssPIA: 2500, ssStartAge: 70, partnerSSPIA: 1500, partnerSSStartAge: 70,
+    monthlyPension: 0, pensionStartAge: 65, pensionCOLA: false,
+    partnerMonthlyPension: 0, partnerPensionStartAge: 65, partnerPensionCOLA: false,
+    expectedDeathAge: 92, partnerExpectedDeathAge: 92,
+    inflationRate: 2.5, personalInflationRate: 2.5,
+    additionalIncomes: [], cashFlowAdjustments: [],
+    taxEnabled: true, filingStatus: 'married', traditionalPercent: 60, rothPercent: 10, nqPercent: 30,
+    nqCostBasisPercent: 40,
+    advisoryFee: 1.0, unifiedTimeline: true,
+  };
+  const assumptions = {
+    b1: { return: 4.0, stdDev: 1.7 },
+    b2: { return: 5.5, stdDev: 6.0 },
+    b3: { return: 7.5, stdDev: 9.5 },
+    b4: { return: 7.0, stdDev: 12.0 },
+    b5: { return: 8.5, stdDev: 15.0 },
+  };
+  const project = (planInputs) => runSimulation(calculateBasePlan(planInputs, assumptions, clientInfo), assumptions, planInputs, 0, false);
+  const giving = { ...inputs, charitableGifts: [{ id: 1, amount: 20000, startAge: 72, endAge: 92 }] };
+
+  it('funds gifts as QCDs that count toward the RMD and stay out of income', () => {
+    // Born 1954: RMDs start at 73
+    const year = project(giving).find(r => r.age === 73);
+    const baseline = project(inputs).find(r => r.age === 73);
+    expect(baseline.rmdAmount).toBeGreaterThan(0);
+    expect(year.qcdAmount).toBeGreaterThan(0);
+    expect(year.charitableCash).toBe(0);
+    // The RMD still withdrawn is net of the QCD
+    expect(year.rmdAmount).toBeLessThan(baseline.rmdAmount);
+    expect(year.federalTax).toBeLessThan(baseline.federalTax);
+  });
+
+  it('gives appreciated shares once QCD room is used up', () => {
+    // Past both spouses' QCD limits; shares are deductible up to 30% of AGI
+    const big = project({
+      ...giving, itemizedDeductions: 30000,
+      charitableGifts: [{ id: 1, amount: 300000, startAge: 72, endAge: 72 }]
+    })[0];
+    expect(big.qcdAmount).toBeLessThan(300000);
+    expect(big.charitableShares).toBeGreaterThan(0);
+    expect(big.qcdAmount + big.charitableShares + big.charitableCash).toBeCloseTo(300000, -1);
+    expect(big.itemizing).toBe(true);
+  });
+});
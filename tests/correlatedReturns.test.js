@@ -0,0 +1,102 @@
+/**
+ * Correlated Return Tests
+ *
+ * Monte Carlo draws the five bucket returns and the benchmark from one multivariate
+ * normal via the Cholesky factor of the correlation matrix. Hand-edited matrices that
+ * are not positive definite shrink toward independence instead of failing.
+ * Run with: npx vitest run tests/correlatedReturns.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  choleskyDecompose,
+  getCorrelationCholesky,
+  drawCorrelatedNormals,
+  withSeededRandom,
+  DEFAULT_RETURN_CORRELATIONS,
+} from '../src/utils/calculations';
+
+// L·Lᵀ
+const reconstruct = (L) => L.map((row, i) => L.map((_, j) => row.reduce((sum, v, k) => sum + v * L[j][k], 0)));
+
+const identity = (n) => Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+describe('choleskyDecompose', () => {
+  it('factors a positive-definite correlation matrix', () => {
+    const L = choleskyDecompose(DEFAULT_RETURN_CORRELATIONS);
+    L.forEach((row, i) => row.forEach((v, j) => { if (j > i) expect(v).toBe(0); }));
+    reconstruct(L).forEach((row, i) => row.forEach((v, j) => {
+      expect(v).toBeCloseTo(DEFAULT_RETURN_CORRELATIONS[i][j], 10);
+    }));
+  });
+
+  it('returns null for a matrix that is not positive definite', () => {
+    // b1 moves with b2 and b3, which move against each other: no such joint distribution
+    const matrix = [
+      [1, 0.9, 0.9],
+      [0.9, 1, -0.9],
+      [0.9, -0.9, 1],
+    ];
+    expect(choleskyDecompose(matrix)).toBeNull();
+  });
+});
+
+describe('getCorrelationCholesky', () => {
+  it('uses the defaults for a missing or malformed matrix', () => {
+    const L = choleskyDecompose(DEFAULT_RETURN_CORRELATIONS);
+    expect(getCorrelationCholesky()).toEqual(L);
+    expect(getCorrelationCholesky([[1]])).toEqual(L);
+  });
+
+  it('shrinks an inconsistent matrix toward independence without NaNs', () => {
+    const edited = identity(6);
+    edited[0][1] = 0.9;
+    edited[0][2] = 0.9;
+    edited[1][2] = -0.9;
+    const L = getCorrelationCholesky(edited);
+    L.flat().forEach(v => expect(Number.isFinite(v)).toBe(true));
+
+    const implied = reconstruct(L);
+    const shrink = implied[0][1] / 0.9;
+    expect(shrink).toBeGreaterThan(0);
+    expect(shrink).toBeLessThan(1);
+    // Every off-diagonal is scaled by the same factor; the diagonal stays 1
+    expect(implied[0][2]).toBeCloseTo(0.9 * shrink, 10);
+    expect(implied[1][2]).toBeCloseTo(-0.9 * shrink, 10);
+    implied.forEach((row, i) => expect(row[i]).toBeCloseTo(1, 10));
+  });
+
+  it('reads the upper triangle and clamps entries to [-1, 1]', () => {
+    const edited = identity(6);
+    edited[2][3] = 1.5;
+    edited[3][2] = 0.1;
+    const implied = reconstruct(getCorrelationCholesky(edited));
+    expect(implied[2][3]).toBeLessThanOrEqual(1);
+    expect(implied[3][2]).toBeCloseTo(implied[2][3], 10);
+    expect(implied[3][2]).toBeGreaterThan(0.5);
+  });
+});
+
+describe('drawCorrelatedNormals', () => {
+  it('reproduces the configured correlations across seeded draws', () => {
+    const L = getCorrelationCholesky(DEFAULT_RETURN_CORRELATIONS);
+    const draws = withSeededRandom(2024, () => Array.from({ length: 20000 }, () => drawCorrelatedNormals(L)));
+    const column = (k) => draws.map(z => z[k]);
+    const mean = (xs) => xs.reduce((s, x) => s + x, 0) / xs.length;
+    const correlation = (a, b) => {
+      const xs = column(a), ys = column(b);
+      const mx = mean(xs), my = mean(ys);
+      const cov = mean(xs.map((x, i) => (x - mx) * (ys[i] - my)));
+      const sx = Math.sqrt(mean(xs.map(x => (x - mx) ** 2)));
+      const sy = Math.sqrt(mean(ys.map(y => (y - my) ** 2)));
+      return cov / (sx * sy);
+    };
+
+    [[2, 3], [4, 5], [0, 1], [0, 4]].forEach(([a, b]) => {
+      expect(Math.abs(correlation(a, b) - DEFAULT_RETURN_CORRELATIONS[a][b])).toBeLessThan(0.03);
+    });
+    const b5 = column(4);
+    expect(Math.abs(mean(b5))).toBeLessThan(0.03);
+    expect(Math.sqrt(mean(b5.map(x => x * x)))).toBeCloseTo(1, 1);
+  });
+});
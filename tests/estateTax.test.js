@@ -0,0 +1,140 @@
+/**
+ * Estate Tax Tests
+ *
+ * The gross estate at the last death (portfolio, real estate and other assets) is taxed
+ * above the federal exemption plus any DSUE ported from the first death, less a state
+ * estate tax where one applies; heirs then pay income tax on the pre-tax accounts.
+ * Run with: npx vitest run tests/estateTax.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateEstateTax,
+  projectEstate,
+  calculateBasePlan,
+  optimizeRetirementTaxStrategy,
+} from '../src/utils/calculations';
+import { getTaxLaw } from '../src/constants/taxLaw';
+
+const law2026 = getTaxLaw(2026);
+
+describe('calculateEstateTax', () => {
+  it('taxes the estate above the exemption at 40%', () => {
+    expect(calculateEstateTax(10000000, { law: law2026 }).total).toBe(0);
+    const result = calculateEstateTax(20000000, { law: law2026 });
+    expect(result.federalTax).toBeCloseTo(5000000 * 0.4, 6);
+    expect(result.stateTax).toBe(0);
+  });
+
+  it('indexes the exemption and adds a ported DSUE', () => {
+    const result = calculateEstateTax(40000000, { law: law2026, inflationFactor: 1.1, dsue: 15000000 });
+    expect(result.exemption).toBeCloseTo(16500000 + 15000000, 6);
+    expect(result.federalTax).toBeCloseTo((40000000 - 31500000) * 0.4, 6);
+  });
+
+  it('charges state estate tax and deducts it from the federal taxable estate', () => {
+    const result = calculateEstateTax(20000000, { law: law2026, stateCode: 'WA' });
+    // $17M over Washington's $3M exemption: 10%/15%/17%/19%/23%/26%/30% through $9M, then 35%
+    const waTax = 100000 + 150000 + 170000 + 190000 + 460000 + 260000 + 600000 + 8000000 * 0.35;
+    expect(result.stateTax).toBeCloseTo(waTax, 6);
+    expect(result.federalTax).toBeCloseTo((20000000 - result.stateTax - 15000000) * 0.4, 6);
+    expect(calculateEstateTax(20000000, { law: law2026, stateCode: 'CA' }).stateTax).toBe(0);
+  });
+
+  it('graduates the rate on the excess over the state exemption', () => {
+    // Oregon: 10% on the first $500k over $1M, 10.25% on the next $1M
+    expect(calculateEstateTax(2000000, { law: law2026, stateCode: 'OR' }).stateTax).toBeCloseTo(50000 + 51250, 6);
+    // Connecticut: a flat 12% over the federal exemption, capped at $15M of tax
+    expect(calculateEstateTax(20000000, { law: law2026, stateCode: 'CT' }).stateTax).toBeCloseTo(600000, 6);
+    expect(calculateEstateTax(200000000, { law: law2026, stateCode: 'CT' }).stateTax).toBe(15000000);
+  });
+
+  it('taxes the whole estate less a credit for the exemption in credit-table states', () => {
+    // Massachusetts: the tax on $2M ($99,600) is the credit
+    expect(calculateEstateTax(2000000, { law: law2026, stateCode: 'MA' }).stateTax).toBe(0);
+    expect(calculateEstateTax(2100000, { law: law2026, stateCode: 'MA' }).stateTax).toBeCloseTo(100000 * 0.072, 6);
+    expect(calculateEstateTax(20000000, { law: law2026, stateCode: 'MA' }).stateTax).toBeCloseTo(1082800 + 9900000 * 0.16 - 99600, 6);
+  });
+
+  it('phases out the New York credit and taxes the whole estate past the cliff', () => {
+    expect(calculateEstateTax(7000000, { law: law2026, stateCode: 'NY' }).stateTax).toBe(0);
+    // Past 105% of the exemption the whole estate is taxed from the first dollar
+    expect(calculateEstateTax(8000000, { law: law2026, stateCode: 'NY' }).stateTax).toBeCloseTo(650800 + 900000 * 0.136, 6);
+    // Halfway through the 5% band, half the credit (the tax on the exemption) is left
+    const exemption = 7160000;
+    const taxOnExemption = 650800 + 60000 * 0.136;
+    const halfway = exemption * 1.025;
+    const tentative = 650800 + (halfway - 7100000) * 0.136;
+    expect(calculateEstateTax(halfway, { law: law2026, stateCode: 'NY' }).stateTax).toBeCloseTo(tentative - taxOnExemption / 2, 4);
+  });
+
+  it('follows an exemption what-if override', () => {
+    const lower = getTaxLaw(2030, { overrides: [{ id: 1, startYear: 2030, estateExemption: 7000000 }] });
+    expect(calculateEstateTax(10000000, { law: lower }).federalTax).toBeCloseTo(3000000 * 0.4, 6);
+    const unchanged = getTaxLaw(2030, { overrides: [{ id: 1, startYear: 2030, estateExemption: null }] });
+    expect(unchanged.estateTax.exemption).toBe(15000000);
+  });
+});
+
+describe('projectEstate', () => {
+  // Client dies at 85, partner (two years younger) at 90 — client age 92
+  const projection = Array.from({ length: 23 }, (_, i) => ({
+    age: 70 + i,
+    partnerAge: 68 + i,
+    total: 20000000,
+    traditionalBalanceDetail: 2000000,
+    inflationIndex: 1,
+  }));
+  const clientInfo = { currentAge: 70, partnerAge: 68, isMarried: true };
+  const inputs = { expectedDeathAge: 85, partnerExpectedDeathAge: 90, estateRealEstate: 5000000, estateRealEstateGrowth: 0, stateCode: 'CA' };
+
+  it('ports the first spouse’s exemption to the survivor', () => {
+    const estate = projectEstate(projection, inputs, clientInfo, { heirRate: 0.3 });
+    expect(estate.firstDeath).toMatchObject({ age: 85, deceased: 'client', dsue: 15000000 });
+    expect(estate.grossEstate).toBe(25000000);
+    expect(estate.exemption).toBe(30000000);
+    expect(estate.estateTax).toBe(0);
+    expect(estate.heirIncomeTax).toBeCloseTo(600000, 6);
+    expect(estate.netToHeirs).toBeCloseTo(25000000 - 600000, 6);
+  });
+
+  it('taxes the estate over a single exemption without portability', () => {
+    const estate = projectEstate(projection, { ...inputs, estatePortability: false }, clientInfo, { heirRate: 0.3 });
+    expect(estate.dsue).toBe(0);
+    expect(estate.federalTax).toBeCloseTo(10000000 * 0.4, 6);
+    expect(estate.netToHeirs).toBeCloseTo(25000000 - 4000000 - 600000, 6);
+  });
+});
+
+describe('optimizer', () => {
+  const clientInfo = {
+    name: 'Test', isMarried: false, isRetired: true,
+    currentAge: 75, retirementAge: 75,
+    currentPortfolio: 20000000, currentSpending: 20000,
+    annualSavings: 0, annualIncome: 0,
+    expectedReturn: 7.0, additionalContributions: [],
+  };
+  const inputs = {
+    totalPortfolio: 20000000, monthlySpending: 20000, monthlySpendingOverridden: true,
+    ssPIA: 3000, ssStartAge: 70,
+    monthlyPension: 0, pensionStartAge: 65, pensionCOLA: false,
+    expectedDeathAge: 80,
+    inflationRate: 2.5, personalInflationRate: 2.5,
+    additionalIncomes: [], cashFlowAdjustments: [],
+    taxEnabled: true, filingStatus: 'single', traditionalPercent: 20, rothPercent: 20, nqPercent: 60,
+    advisoryFee: 1.0, unifiedTimeline: true,
+  };
+  const assumptions = {
+    b1: { return: 4.0, stdDev: 1.7 },
+    b2: { return: 5.5, stdDev: 6.0 },
+    b3: { return: 7.5, stdDev: 9.5 },
+    b4: { return: 7.0, stdDev: 12.0 },
+    b5: { return: 8.5, stdDev: 15.0 },
+  };
+
+  it('charges estate tax against the after-tax legacy', () => {
+    const result = optimizeRetirementTaxStrategy(calculateBasePlan(inputs, assumptions, clientInfo), assumptions, inputs, clientInfo);
+    expect(result.comparison.currentEstateTax).toBeGreaterThan(0);
+    expect(result.comparison.currentTotalBurden).toBeGreaterThan(result.comparison.currentEstateTax);
+  });
+});
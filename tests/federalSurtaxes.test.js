@@ -0,0 +1,114 @@
+/**
+ * NIIT and AMT Tests
+ *
+ * calculateAnnualTax adds the 3.8% Net Investment Income Tax on NQ dividends and
+ * realized gains above the MAGI threshold, and any Alternative Minimum Tax owed above
+ * regular tax, to federal tax.
+ * Run with: npx vitest run tests/federalSurtaxes.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateAnnualTax,
+  calculateNIIT,
+  calculateAMT,
+  getAMTPreferenceItems,
+  calculateBasePlan,
+  runSimulation,
+} from '../src/utils/calculations';
+
+const married = { filingStatus: 'married', stateRate: 0 };
+
+describe('calculateNIIT', () => {
+  it('taxes the lesser of investment income and MAGI over the threshold', () => {
+    expect(calculateNIIT(100000, 300000, 'married')).toBeCloseTo(50000 * 0.038, 6);
+    expect(calculateNIIT(20000, 300000, 'married')).toBeCloseTo(20000 * 0.038, 6);
+    expect(calculateNIIT(100000, 240000, 'married')).toBe(0);
+    expect(calculateNIIT(100000, 240000, 'single')).toBeCloseTo(40000 * 0.038, 6);
+  });
+});
+
+describe('calculateAMT', () => {
+  it('phases the exemption out at 50 cents per dollar', () => {
+    const { exemption } = calculateAMT({ amti: 1100000, regularTax: 0, filingStatus: 'married' });
+    expect(exemption).toBe(140200 - 50000);
+    expect(calculateAMT({ amti: 1400000, regularTax: 0, filingStatus: 'married' }).exemption).toBe(0);
+  });
+
+  it('taxes the ordinary part at 26% then 28%', () => {
+    const { tentativeMinimumTax } = calculateAMT({ amti: 90100 + 300000, regularTax: 0, filingStatus: 'single' });
+    expect(tentativeMinimumTax).toBeCloseTo(244500 * 0.26 + 55500 * 0.28, 6);
+  });
+});
+
+describe('calculateAnnualTax surtaxes', () => {
+  it('adds NIIT on brokerage income for high-MAGI households', () => {
+    const tax = calculateAnnualTax({
+      traditionalWithdrawal: 150000, nqTaxableGain: 150000, nqQualifiedDividends: 30000
+    }, married);
+    expect(tax.magi).toBe(330000);
+    expect(tax.niit).toBe(Math.round(80000 * 0.038));
+    const noBrokerage = calculateAnnualTax({ traditionalWithdrawal: 330000 }, married);
+    expect(noBrokerage.niit).toBe(0);
+    // Federal tax carries NIIT on top of the ordinary and preferential tax
+    const withoutNIIT = calculateAnnualTax({ traditionalWithdrawal: 150000 }, married);
+    expect(tax.federalTax).toBeGreaterThan(withoutNIIT.federalTax + tax.qdivTax);
+  });
+
+  it('owes no AMT on a standard-deduction retirement, but does on large preference items', () => {
+    const typical = calculateAnnualTax({ ssIncome: 50000, traditionalWithdrawal: 120000 }, married);
+    expect(typical.amt).toBe(0);
+
+    const base = { traditionalWithdrawal: 200000 };
+    const regular = calculateAnnualTax(base, married);
+    const iso = calculateAnnualTax({ ...base, amtPreferenceItems: 400000 }, married);
+    expect(iso.amt).toBeGreaterThan(0);
+    expect(Math.abs(iso.federalTax - regular.federalTax - iso.amt)).toBeLessThanOrEqual(1);
+  });
+});
+
+describe('AMT preference items in the plan', () => {
+  const clientInfo = {
+    name: 'Test', isMarried: true, isRetired: true,
+    currentAge: 66, retirementAge: 66, partnerName: 'Partner', partnerAge: 66, partnerRetirementAge: 66,
+    currentPortfolio: 2000000, currentSpending: 9000,
+    annualSavings: 0, annualIncome: 0, partnerAnnualIncome: 0,
+    expectedReturn: 7.0, additionalContributions: [],
+  };
+  const inputs = {
+    totalPortfolio: 2000000, monthlySpending: 9000, monthlySpendingOverridden: true,
+    ssPIA: 2500, ssStartAge: 67, partnerSSPIA: 1500, partnerSSStartAge: 67,
+    monthlyPension: 0, pensionStartAge: 65, pensionCOLA: false,
+    partnerMonthlyPension: 0, partnerPensionStartAge: 65, partnerPensionCOLA: false,
+    expectedDeathAge: 90, partnerExpectedDeathAge: 90,
+    inflationRate: 2.5, personalInflationRate: 2.5,
+    additionalIncomes: [], cashFlowAdjustments: [],
+    taxEnabled: true, filingStatus: 'married', traditionalPercent: 60, rothPercent: 25, nqPercent: 15,
+    advisoryFee: 1.0, unifiedTimeline: true,
+  };
+  const assumptions = {
+    b1: { return: 4.0, stdDev: 1.7 },
+    b2: { return: 5.5, stdDev: 6.0 },
+    b3: { return: 7.5, stdDev: 9.5 },
+    b4: { return: 7.0, stdDev: 12.0 },
+    b5: { return: 8.5, stdDev: 15.0 },
+  };
+  const project = (planInputs) => runSimulation(calculateBasePlan(planInputs, assumptions, clientInfo), assumptions, planInputs, 0, false);
+  const amtAt = (projection, age) => projection.find(r => r.age === age).amt || 0;
+
+  it('adds the ISO spread in the exercise year and bond interest every year', () => {
+    const items = { amtIsoBargainElement: 300000, amtIsoExerciseAge: 68, amtPrivateBondInterest: 10000 };
+    expect(getAMTPreferenceItems(items, 68)).toBe(310000);
+    expect(getAMTPreferenceItems(items, 69)).toBe(10000);
+    expect(getAMTPreferenceItems({}, 68)).toBe(0);
+  });
+
+  it('charges AMT in the year the client exercises ISOs', () => {
+    const base = project(inputs);
+    const exercised = project({ ...inputs, amtIsoBargainElement: 500000, amtIsoExerciseAge: 68 });
+    expect(amtAt(base, 68)).toBe(0);
+    expect(amtAt(exercised, 68)).toBeGreaterThan(0);
+    expect(amtAt(exercised, 69)).toBe(0);
+    expect(exercised[exercised.length - 1].total).toBeLessThan(base[base.length - 1].total);
+  });
+});
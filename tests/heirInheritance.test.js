@@ -0,0 +1,133 @@
+/**
+ * Heir Inheritance Tests
+ *
+ * Listed beneficiaries inherit their share of the pre-tax accounts as inherited IRAs,
+ * emptied over the SECURE Act's 10 years on top of their own income, at their own brackets
+ * and state. The Roth conversion and liquidation optimizers score legacies by what they keep.
+ * Run with: npx vitest run tests/heirInheritance.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  distributeInheritedTranches,
+  simulateHeirInheritance,
+  calculateBasePlan,
+  optimizeRetirementTaxStrategy,
+  optimizeLiquidationStrategy,
+} from '../src/utils/calculations';
+
+describe('distributeInheritedTranches', () => {
+  it('spreads a tranche over the years to its deadline and empties it in the last', () => {
+    let tranches = [{ balance: 100000, deadlineYear: 2040 }];
+    const first = distributeInheritedTranches(tranches, 0, 2030);
+    expect(first.distribution).toBeCloseTo(10000, 6);
+    tranches = first.tranches;
+    let total = first.distribution;
+    for (let year = 2031; year < 2040; year++) {
+      const step = distributeInheritedTranches(tranches, 0, year);
+      total += step.distribution;
+      tranches = step.tranches;
+    }
+    expect(total).toBeCloseTo(100000, 6);
+    expect(tranches).toHaveLength(0);
+  });
+});
+
+describe('simulateHeirInheritance', () => {
+  const heir = { id: 1, name: 'Heir', share: 100, age: 50, filingStatus: 'single', stateCode: 'TX' };
+
+  it('falls back to the flat rate without beneficiaries', () => {
+    const result = simulateHeirInheritance(1000000, {}, { year: 2040, flatRate: 0.3 });
+    expect(result.tax).toBeCloseTo(300000, 6);
+    expect(result.beneficiaries).toHaveLength(0);
+  });
+
+  it('taxes a high earner more than a modest earner', () => {
+    const modest = simulateHeirInheritance(1000000, { beneficiaries: [{ ...heir, annualIncome: 40000 }] }, { year: 2040, growthRate: 0 });
+    const high = simulateHeirInheritance(1000000, { beneficiaries: [{ ...heir, annualIncome: 400000 }] }, { year: 2040, growthRate: 0 });
+    expect(modest.effectiveRate).toBeLessThan(0.24);
+    expect(high.effectiveRate).toBeGreaterThan(0.32);
+    expect(high.kept).toBeLessThan(modest.kept);
+  });
+
+  it('adds the heir’s own state tax', () => {
+    const texas = simulateHeirInheritance(1000000, { beneficiaries: [{ ...heir, annualIncome: 150000 }] }, { year: 2040, growthRate: 0 });
+    const california = simulateHeirInheritance(1000000, { beneficiaries: [{ ...heir, annualIncome: 150000, stateCode: 'CA' }] }, { year: 2040, growthRate: 0 });
+    expect(california.tax).toBeGreaterThan(texas.tax);
+  });
+
+  it('splits by share, evenly when shares are blank', () => {
+    const result = simulateHeirInheritance(900000, {
+      beneficiaries: [{ ...heir, id: 1, share: '' }, { ...heir, id: 2, share: '' }, { ...heir, id: 3, share: '' }]
+    }, { year: 2040 });
+    expect(result.beneficiaries.map(b => b.inherited)).toEqual([300000, 300000, 300000]);
+    // Each share is paid out in full over the 10 years, growth included
+    const payout = result.beneficiaries[0].distributions;
+    expect(payout).toHaveLength(10);
+    expect(result.beneficiaries[0].distributed).toBeGreaterThan(300000);
+  });
+});
+
+describe('optimizer', () => {
+  const clientInfo = {
+    name: 'Test', isMarried: true, isRetired: true, partnerName: 'Partner',
+    currentAge: 65, retirementAge: 65, partnerAge: 65, partnerRetirementAge: 65,
+    currentPortfolio: 2000000, currentSpending: 8000,
+    annualSavings: 0, annualIncome: 0, partnerAnnualIncome: 0,
+    expectedReturn: 7.0, additionalContributions: [],
+  };
+  const inputs = {
+    totalPortfolio: 2000000, monthlySpending: 8000, monthlySpendingOverridden: true,
+    ssPIA: 2500, ssStartAge: 67, partnerSSPIA: 1500, partnerSSStartAge: 67,
+    monthlyPension: 0, pensionStartAge: 65, pensionCOLA: false,
+    partnerMonthlyPension: 0, partnerPensionStartAge: 65, partnerPensionCOLA: false,
+    expectedDeathAge: 88, partnerExpectedDeathAge: 88,
+    inflationRate: 2.5, personalInflationRate: 2.5,
+    additionalIncomes: [], cashFlowAdjustments: [],
+    taxEnabled: true, filingStatus: 'married', traditionalPercent: 70, rothPercent: 10, nqPercent: 20,
+    advisoryFee: 1.0, unifiedTimeline: true,
+  };
+  const assumptions = {
+    b1: { return: 4.0, stdDev: 1.7 },
+    b2: { return: 5.5, stdDev: 6.0 },
+    b3: { return: 7.5, stdDev: 9.5 },
+    b4: { return: 7.0, stdDev: 12.0 },
+    b5: { return: 8.5, stdDev: 15.0 },
+  };
+  const optimize = (planInputs) => optimizeRetirementTaxStrategy(calculateBasePlan(planInputs, assumptions, clientInfo), assumptions, planInputs, clientInfo);
+
+  it('scores legacies by what each beneficiary keeps at their own rates', () => {
+    const beneficiaries = [
+      { id: 1, name: 'Surgeon', share: 50, age: 45, annualIncome: 450000, filingStatus: 'married', stateCode: 'CA' },
+      { id: 2, name: 'Teacher', share: 50, age: 42, annualIncome: 60000, filingStatus: 'single', stateCode: 'TX' },
+    ];
+    const result = optimize({ ...inputs, beneficiaries });
+    const [surgeon, teacher] = result.comparison.currentHeirs;
+    expect(result.comparison.optimizedHeirs).toHaveLength(2);
+    expect(surgeon.effectiveRate).toBeGreaterThan(teacher.effectiveRate);
+    expect(surgeon.inherited).toBeCloseTo(teacher.inherited, -1);
+  });
+
+  it('values conversions more when the heirs are in higher brackets', () => {
+    const heir = { id: 1, name: 'Heir', share: 100, age: 45 };
+    const highEarner = optimize({ ...inputs, beneficiaries: [{ ...heir, annualIncome: 450000, filingStatus: 'married', stateCode: 'CA' }] });
+    const lowEarner = optimize({ ...inputs, beneficiaries: [{ ...heir, annualIncome: 30000, filingStatus: 'single', stateCode: 'TX' }] });
+    expect(highEarner.comparison.afterTaxLegacyImprovement).toBeGreaterThan(lowEarner.comparison.afterTaxLegacyImprovement);
+  });
+
+  it('keeps the flat heir rate when no beneficiaries are listed', () => {
+    const result = optimize(inputs);
+    expect(result.comparison.currentHeirs).toEqual([]);
+  });
+
+  it('scores liquidation splits at the beneficiaries’ own rates', () => {
+    const liquidate = (planInputs) => optimizeLiquidationStrategy(calculateBasePlan(planInputs, assumptions, clientInfo), assumptions, planInputs, clientInfo);
+    const flat = liquidate(inputs).summary;
+    expect(flat.heirsModeled).toBe(false);
+    expect(flat.heirTaxRate).toBe(24);
+    const heir = { id: 1, name: 'Heir', share: 100, age: 45, annualIncome: 30000, filingStatus: 'single', stateCode: 'TX' };
+    const modeled = liquidate({ ...inputs, beneficiaries: [heir] }).summary;
+    expect(modeled.heirsModeled).toBe(true);
+    expect(modeled.heirTaxRate).toBeLessThan(24);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Historical Backtest Tests
+ *
+ * The backtest replays every complete rolling window of actual market history, one
+ * iteration per retirement start year, with each window's actual CPI driving spending
+ * and the real ending balance.
+ * Run with: npx vitest run tests/historicalBacktest.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { calculateBasePlan, runSimulation } from '../src/utils/calculations';
+import { HISTORICAL_FIRST_YEAR, HISTORICAL_LAST_YEAR, getHistoricalInflation } from '../src/constants/historicalReturns';
+
+// Retired at 65 through 90: a 26-year window
+const clientInfo = {
+  name: 'Test', isMarried: false, isRetired: true,
+  currentAge: 65, retirementAge: 65,
+  currentPortfolio: 1000000, currentSpending: 7000,
+  annualSavings: 0, annualIncome: 0, partnerAnnualIncome: 0,
+  expectedReturn: 7.0, additionalContributions: [],
+};
+
+const inputs = {
+  totalPortfolio: 1000000, monthlySpending: 7000, monthlySpendingOverridden: true,
+  ssPIA: 2500, ssStartAge: 67, partnerSSPIA: 0, partnerSSStartAge: 67,
+  monthlyPension: 0, pensionStartAge: 65, pensionCOLA: false,
+  partnerMonthlyPension: 0, partnerPensionStartAge: 65, partnerPensionCOLA: false,
+  expectedDeathAge: 90, partnerExpectedDeathAge: 90,
+  inflationRate: 2.5, personalInflationRate: 2.5,
+  additionalIncomes: [], cashFlowAdjustments: [],
+  taxEnabled: false, filingStatus: 'single', traditionalPercent: 60, rothPercent: 25, nqPercent: 15,
+  advisoryFee: 1.0, unifiedTimeline: true,
+};
+
+const assumptions = {
+  b1: { return: 4.0, stdDev: 1.7 },
+  b2: { return: 5.5, stdDev: 6.0 },
+  b3: { return: 7.5, stdDev: 9.5 },
+  b4: { return: 7.0, stdDev: 12.0 },
+  b5: { return: 8.5, stdDev: 15.0 },
+};
+
+const span = 26;
+const backtest = runSimulation(calculateBasePlan(inputs, assumptions, clientInfo), assumptions, inputs, 0, 'historical');
+
+const cumulativeCPI = (startYear, years) => {
+  let factor = 1;
+  for (let y = startYear; y < startYear + years; y++) factor *= 1 + getHistoricalInflation(y);
+  return factor;
+};
+
+describe('rolling windows', () => {
+  it('replays every complete window, one per start year', () => {
+    const lastStart = HISTORICAL_LAST_YEAR - span + 1;
+    expect(backtest.periods).toHaveLength(lastStart - HISTORICAL_FIRST_YEAR + 1);
+    expect(backtest.periods.map(p => p.startYear)).toEqual(
+      Array.from({ length: backtest.periods.length }, (_, i) => HISTORICAL_FIRST_YEAR + i)
+    );
+    expect(backtest.firstStartYear).toBe(HISTORICAL_FIRST_YEAR);
+    expect(backtest.lastStartYear).toBe(lastStart);
+    backtest.periods.forEach(p => expect(p.endYear).toBe(p.startYear + span - 1));
+  });
+
+  it('reports the share of surviving windows as the success rate', () => {
+    const surviving = backtest.periods.filter(p => p.survived).length;
+    // The spending level is set so some windows fail and the check is not trivial
+    expect(surviving).toBeGreaterThan(0);
+    expect(surviving).toBeLessThan(backtest.periods.length);
+    expect(backtest.successRate).toBeCloseTo((surviving / backtest.periods.length) * 100, 10);
+  });
+});
+
+describe('historical inflation', () => {
+  it('indexes each window by the CPI of the years it replays', () => {
+    const { worstPeriod, scenarios } = backtest;
+    scenarios.conservative.forEach((row, k) => {
+      expect(row.inflationIndex).toBeCloseTo(cumulativeCPI(worstPeriod.startYear, k), 10);
+    });
+    const growth = scenarios.conservative[1].livingExpenses / scenarios.conservative[0].livingExpenses;
+    expect(growth).toBeCloseTo(1 + getHistoricalInflation(worstPeriod.startYear), 3);
+  });
+
+  it('deflates the ending balance by the window’s CPI', () => {
+    backtest.periods.forEach(p => {
+      expect(p.cumulativeInflation).toBeCloseTo(cumulativeCPI(p.startYear, span), 10);
+      // finalBalance is itself rounded, so allow a dollar either way
+      expect(Math.abs(p.realFinalBalance - p.finalBalance / p.cumulativeInflation)).toBeLessThanOrEqual(1);
+    });
+  });
+});
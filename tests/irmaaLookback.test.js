@@ -0,0 +1,138 @@
+/**
+ * IRMAA Lookback Tests
+ *
+ * Medicare premiums are priced off the MAGI from two years earlier, carried in a MAGI
+ * history seeded by the last two filed returns. An SSA-44 work-stoppage appeal swaps in
+ * the current year's MAGI, Part D's surcharge is billed only to Part D enrollees, and each
+ * year reports the next tier's threshold so conversions can be sized under it.
+ * Run with: npx vitest run tests/irmaaLookback.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getIRMAATier,
+  calculateIRMAA,
+  calculateBasePlan,
+  runSimulation,
+  optimizeRetirementTaxStrategy,
+} from '../src/utils/calculations';
+import { getTaxLaw } from '../src/constants/taxLaw';
+
+const law2026 = getTaxLaw(2026);
+
+describe('getIRMAATier', () => {
+  it('finds the tier and its bounds', () => {
+    const brackets = law2026.irmaa.brackets.married;
+    expect(getIRMAATier(100000, 'married', 1, law2026)).toEqual({ bracket: 0, floor: 0, ceiling: brackets[0].magiMax });
+    const second = getIRMAATier(brackets[0].magiMax + 1, 'married', 1, law2026);
+    expect(second).toEqual({ bracket: 1, floor: brackets[0].magiMax, ceiling: brackets[1].magiMax });
+    expect(getIRMAATier(10000000, 'married', 1, law2026).ceiling).toBe(Infinity);
+  });
+
+  it('indexes the thresholds', () => {
+    const ceiling = law2026.irmaa.brackets.single[0].magiMax;
+    expect(getIRMAATier(ceiling + 1, 'single', 1.1, law2026).bracket).toBe(0);
+  });
+});
+
+describe('calculateIRMAA', () => {
+  it('charges the Part D surcharge only to Part D enrollees', () => {
+    const magi = law2026.irmaa.brackets.married[1].magiMax + 1;
+    const both = calculateIRMAA(magi, 'married', 0, 2.5, 2, 1, law2026);
+    const partBOnly = calculateIRMAA(magi, 'married', 0, 2.5, 2, 1, law2026, 0);
+    expect(both.partDSurcharge).toBeGreaterThan(0);
+    expect(partBOnly.partDSurcharge).toBe(0);
+    expect(partBOnly.partBSurcharge).toBe(both.partBSurcharge);
+    expect(partBOnly.totalAnnualCost).toBe(both.partBSurcharge);
+  });
+});
+
+describe('engine and optimizer', () => {
+  // Working at $300k until 65; premiums at 65 and 66 still see the salary years
+  const clientInfo = {
+    name: 'Test', isMarried: true, isRetired: false, partnerName: 'Partner',
+    currentAge: 62, retirementAge: 65, partnerAge: 62, partnerRetirementAge: 65,
+    currentPortfolio: 2000000, currentSpending: 8000,
+    annualSavings: 0, annualIncome: 300000, partnerAnnualIncome: 0,
+    expectedReturn: 7.0, additionalContributions: [],
+  };
+  const inputs = {
+    totalPortfolio: 2000000, monthlySpending: 8000, monthlySpendingOverridden: true,
+    ssPIA: 2500, ssStartAge: 70, partnerSSPIA: 1500, partnerSSStartAge: 70,
+    monthlyPension: 0, pensionStartAge: 65, pensionCOLA: false,
+    partnerMonthlyPension: 0, partnerPensionStartAge: 65, partnerPensionCOLA: false,
+    expectedDeathAge: 90, partnerExpectedDeathAge: 90,
+    inflationRate: 2.5, personalInflationRate: 2.5,
+    additionalIncomes: [], cashFlowAdjustments: [],
+    taxEnabled: true, filingStatus: 'married', traditionalPercent: 70, rothPercent: 10, nqPercent: 20,
+    advisoryFee: 1.0, unifiedTimeline: true, irmaaEnabled: true,
+  };
+  const assumptions = {
+    b1: { return: 4.0, stdDev: 1.7 },
+    b2: { return: 5.5, stdDev: 6.0 },
+    b3: { return: 7.5, stdDev: 9.5 },
+    b4: { return: 7.0, stdDev: 12.0 },
+    b5: { return: 8.5, stdDev: 15.0 },
+  };
+  const project = (planInputs, info = clientInfo) => runSimulation(calculateBasePlan(planInputs, assumptions, info), assumptions, planInputs, 0, false);
+
+  it('prices premiums off the working years two years back', () => {
+    const projection = project(inputs);
+    const at = (age) => projection.find(r => r.age === age);
+    expect(at(63).irmaaMagi).toBeGreaterThan(300000);
+    expect(at(65).irmaaCost).toBeGreaterThan(0);
+    expect(at(66).irmaaCost).toBeGreaterThan(0);
+    // By 67 the lookback year is the first retired year
+    expect(at(67).irmaaCost).toBe(0);
+    expect(at(65).irmaaCost).toBe(at(65).irmaaPartB + at(65).irmaaPartD);
+  });
+
+  it('drops the salary-year surcharge on an SSA-44 appeal', () => {
+    const projection = project({ ...inputs, irmaaAppealWorkStoppage: true });
+    const at65 = projection.find(r => r.age === 65);
+    expect(at65.irmaaAppealed).toBe(true);
+    expect(at65.irmaaCost).toBe(0);
+    expect(projection.find(r => r.age === 67).irmaaAppealed).toBe(false);
+  });
+
+  it('leaves Part D out without Part D coverage', () => {
+    const at65 = project({ ...inputs, irmaaPartD: false }).find(r => r.age === 65);
+    expect(at65.irmaaPartD).toBe(0);
+    expect(at65.irmaaCost).toBe(at65.irmaaPartB);
+  });
+
+  it('seeds the first years from the last two filed returns', () => {
+    const retiree = { ...clientInfo, isRetired: true, currentAge: 66, retirementAge: 66, partnerAge: 66, partnerRetirementAge: 66, annualIncome: 0 };
+    const first = (planInputs) => project(planInputs, retiree)[0];
+    expect(first(inputs).irmaaCost).toBe(0);
+    expect(first({ ...inputs, irmaaMagiTwoYearsAgo: 500000, irmaaMagiLastYear: 120000 }).irmaaCost).toBeGreaterThan(0);
+  });
+
+  it('lets a client already retired appeal a seeded salary year', () => {
+    const retiree = { ...clientInfo, isRetired: true, currentAge: 66, retirementAge: 66, partnerAge: 66, partnerRetirementAge: 66, annualIncome: 0 };
+    const first = (planInputs) => project(planInputs, retiree)[0];
+    const seeded = { ...inputs, irmaaAppealWorkStoppage: true, irmaaMagiTwoYearsAgo: 500000, irmaaMagiLastYear: 120000 };
+    // Without wages on the return there was no work stoppage to appeal
+    expect(first(seeded).irmaaAppealed).toBe(false);
+    expect(first(seeded).irmaaCost).toBeGreaterThan(0);
+    const appealed = first({ ...seeded, irmaaWagesTwoYearsAgo: 400000 });
+    expect(appealed.irmaaAppealed).toBe(true);
+    expect(appealed.irmaaCost).toBe(0);
+  });
+
+  it('reports the next tier threshold and sizes conversions under it', () => {
+    const projection = project(inputs);
+    const at65 = projection.find(r => r.age === 65);
+    expect(at65.irmaaTierCeiling).toBeGreaterThan(at65.irmaaMagi);
+
+    const result = optimizeRetirementTaxStrategy(calculateBasePlan(inputs, assumptions, clientInfo), assumptions, inputs, clientInfo);
+    const underTier = result.alternativeStrategies.find(s => s.label.endsWith('under IRMAA tier'));
+    expect(underTier).toBeDefined();
+    const converted = project({ ...inputs, rothConversions: underTier.conversions });
+    // Working years before Medicare report no tier and aren't capped
+    for (const age of Object.keys(underTier.conversions).map(Number)) {
+      const ceiling = projection.find(r => r.age === age).irmaaTierCeiling;
+      if (ceiling) expect(converted.find(r => r.age === age).irmaaMagi).toBeLessThanOrEqual(ceiling);
+    }
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * NQ Cost Basis Tests
+ *
+ * NQ accounts carry a cost basis (or tax lots); sales realize gain against it by the
+ * plan's lot method, the first death steps basis up, and the optimizer's after-tax legacy
+ * charges heirs for the gain that is still unrealized.
+ * Run with: npx vitest run tests/nqCostBasis.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getInitialNQLots,
+  createNQBasisTracker,
+  calculateBasePlan,
+  runSimulation,
+  optimizeRetirementTaxStrategy,
+} from '../src/utils/calculations';
+
+const lots = [
+  { owner: 'client', value: 100000, basis: 20000 },
+  { owner: 'joint', value: 100000, basis: 90000 },
+];
+
+describe('createNQBasisTracker', () => {
+  it('realizes average-cost gain proportionally and lowest gain first with HIFO', () => {
+    const proportional = createNQBasisTracker(lots, 'proportional');
+    const hifo = createNQBasisTracker(lots, 'hifo');
+    // Average cost: 110k basis on 200k value = 45% gain
+    expect(proportional.sell(50000)).toBeCloseTo(22500, 6);
+    // HIFO sells the 90% basis lot first
+    expect(hifo.sell(50000)).toBeCloseTo(5000, 6);
+    expect(hifo.value()).toBeCloseTo(150000, 6);
+    expect(hifo.basis()).toBeCloseTo(65000, 6);
+  });
+
+  it('follows the balance without changing basis', () => {
+    const tracker = createNQBasisTracker(lots);
+    tracker.scaleTo(300000);
+    expect(tracker.value()).toBeCloseTo(300000, 6);
+    expect(tracker.basis()).toBeCloseTo(110000, 6);
+    expect(tracker.previewGain(30000)).toBeCloseTo(30000 * (190000 / 300000), 6);
+  });
+
+  it('steps joint lots up by half, or in full in community-property states', () => {
+    const separate = createNQBasisTracker(lots);
+    separate.stepUp('partner', 'client', false);
+    // Client lot untouched, joint lot basis halfway to value
+    expect(separate.basis()).toBeCloseTo(20000 + 95000, 6);
+
+    const community = createNQBasisTracker(lots);
+    community.stepUp('client', 'partner', true);
+    expect(community.unrealizedGain()).toBeCloseTo(0, 6);
+    expect(community.lots().every(l => l.owner === 'partner')).toBe(true);
+  });
+});
+
+describe('getInitialNQLots', () => {
+  it('uses account cost basis and scales lots to the balance', () => {
+    const initial = getInitialNQLots({
+      accounts: [
+        { id: 1, type: 'nq', owner: 'joint', balance: 200000, costBasis: 120000 },
+        { id: 2, type: 'nq', owner: 'client', balance: 50000, lots: [{ id: 1, basis: 10000, value: 20000 }, { id: 2, basis: 15000, value: 20000 }] },
+        { id: 3, type: 'traditional', owner: 'client', balance: 500000 },
+      ]
+    }, 0, true);
+    expect(initial).toHaveLength(3);
+    expect(initial[0]).toEqual({ owner: 'joint', value: 200000, basis: 120000 });
+    expect(initial[1].value + initial[2].value).toBeCloseTo(50000, 6);
+    expect(initial[1].basis).toBe(10000);
+  });
+
+  it('applies nqCostBasisPercent in Simple Mode', () => {
+    expect(getInitialNQLots({ nqCostBasisPercent: 40 }, 100000, false))
+      .toEqual([{ owner: 'client', value: 100000, basis: 40000 }]);
+  });
+});
+
+describe('engine and optimizer', () => {
+  const clientInfo = {
+    name: 'Test', isMarried: true, isRetired: true, partnerName: 'Partner',
+    currentAge: 66, retirementAge: 66, partnerAge: 66, partnerRetirementAge: 66,
+    currentPortfolio: 2000000, currentSpending: 12000,
+    annualSavings: 0, annualIncome: 0, partnerAnnualIncome: 0,
+    expectedReturn: 7.0, additionalContributions: [],
+  };
+  const inputs = {
+    totalPortfolio: 2000000, monthlySpending: 12000, monthlySpendingOverridden: true,
+    ssPIA: 2500, ssStartAge: 67, partnerSSPIA: 1500, partnerSSStartAge: 67,
+    monthlyPension: 0, pensionStartAge: 65, pensionCOLA: false,
+    partnerMonthlyPension: 0, partnerPensionStartAge: 65, partnerPensionCOLA: false,
+    expectedDeathAge: 90, partnerExpectedDeathAge: 90,
+    inflationRate: 2.5, personalInflationRate: 2.5,
+    additionalIncomes: [], cashFlowAdjustments: [],
+    taxEnabled: true, filingStatus: 'married', traditionalPercent: 30, rothPercent: 10, nqPercent: 60,
+    advisoryFee: 1.0, unifiedTimeline: true,
+  };
+  const assumptions = {
+    b1: { return: 4.0, stdDev: 1.7 },
+    b2: { return: 5.5, stdDev: 6.0 },
+    b3: { return: 7.5, stdDev: 9.5 },
+    b4: { return: 7.0, stdDev: 12.0 },
+    b5: { return: 8.5, stdDev: 15.0 },
+  };
+  const project = (planInputs) => runSimulation(calculateBasePlan(planInputs, assumptions, clientInfo), assumptions, planInputs, 0, false);
+
+  it('taxes more gain on withdrawals when the basis is low', () => {
+    const fullBasis = project(inputs);
+    const lowBasis = project({ ...inputs, nqCostBasisPercent: 20 });
+    const lifetimeGain = (projection) => projection.reduce((s, r) => s + (r.nqWithdrawalGain || 0), 0);
+    expect(lifetimeGain(fullBasis)).toBeLessThan(lifetimeGain(lowBasis));
+    expect(lowBasis[0].nqCostBasis).toBeLessThan(fullBasis[0].nqCostBasis);
+  });
+
+  it('taxes the gain on shares sold to pay a conversion\'s tax', () => {
+    const planInputs = { ...inputs, nqCostBasisPercent: 20 };
+    const plain = project(planInputs).find(r => r.age === 66);
+    const converted = project({ ...planInputs, rothConversions: { 66: 100000 } }).find(r => r.age === 66);
+    expect(converted.nqWithdrawalGain).toBeGreaterThan(plain.nqWithdrawalGain);
+    expect(converted.nqTaxableGain - plain.nqTaxableGain).toBeCloseTo(converted.nqWithdrawalGain - plain.nqWithdrawalGain, -1);
+  });
+
+  it('reports the unrealized NQ gain in the optimizer comparison', () => {
+    const planInputs = { ...inputs, nqCostBasisPercent: 20 };
+    const result = optimizeRetirementTaxStrategy(calculateBasePlan(planInputs, assumptions, clientInfo), assumptions, planInputs, clientInfo);
+    expect(result.comparison.currentNqUnrealizedGain).toBeGreaterThanOrEqual(0);
+    expect(result.comparison).toHaveProperty('optimizedNqGainTax');
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * NQ Tax-Lot Harvesting Tests
+ *
+ * Loss harvesting banks losses on lots trading below basis; the carryforward offsets
+ * gains, then up to $3,000 of ordinary income a year. Gain harvesting realizes gains in
+ * the 0% LTCG bracket to raise basis.
+ * Run with: npx vitest run tests/nqHarvesting.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createNQBasisTracker,
+  calculateAnnualTax,
+  calculateBasePlan,
+  runSimulation,
+} from '../src/utils/calculations';
+
+describe('tracker harvesting', () => {
+  it('harvests only meaningful losses and resets their basis', () => {
+    const tracker = createNQBasisTracker([
+      { owner: 'joint', value: 80000, basis: 100000 },
+      { owner: 'joint', value: 99000, basis: 100000 },
+      { owner: 'joint', value: 50000, basis: 10000 },
+    ]);
+    // The 1% loss lot stays put
+    expect(tracker.harvestLosses()).toBeCloseTo(20000, 6);
+    expect(tracker.basis()).toBeCloseTo(80000 + 100000 + 10000, 6);
+  });
+
+  it('harvests gains up to the requested amount', () => {
+    const tracker = createNQBasisTracker([
+      { owner: 'joint', value: 100000, basis: 40000 },
+      { owner: 'joint', value: 100000, basis: 90000 },
+    ]);
+    expect(tracker.harvestGains(50000)).toBeCloseTo(50000, 6);
+    expect(tracker.unrealizedGain()).toBeCloseTo(20000, 6);
+    expect(tracker.harvestGains(1e6)).toBeCloseTo(20000, 6);
+  });
+});
+
+describe('capital loss carryover', () => {
+  const settings = { filingStatus: 'married', stateRate: 0 };
+
+  it('nets against gains, then $3,000 of ordinary income', () => {
+    const income = { traditionalWithdrawal: 150000, nqTaxableGain: 10000 };
+    const plain = calculateAnnualTax(income, settings);
+    const withLoss = calculateAnnualTax({ ...income, capitalLossCarryover: 50000 }, settings);
+    expect(withLoss.capitalLossUsed).toBe(13000);
+    expect(withLoss.magi).toBe(plain.magi - 13000);
+    expect(withLoss.federalTax).toBeLessThan(plain.federalTax);
+    expect(plain.capitalLossUsed).toBe(0);
+  });
+
+  it('spreads the ordinary offset across the state\'s income pools', () => {
+    // Illinois exempts the IRA: only the wages' share of the $3,000 comes off its tax
+    const illinois = { filingStatus: 'married', stateCode: 'IL' };
+    const withLoss = calculateAnnualTax({ employmentIncome: 50000, traditionalWithdrawal: 50000, capitalLossCarryover: 3000 }, illinois);
+    const wagesShare = calculateAnnualTax({ employmentIncome: 48500 }, illinois);
+    expect(withLoss.stateTax).toBeCloseTo(wagesShare.stateTax, 6);
+  });
+});
+
+describe('engine harvesting', () => {
+  const clientInfo = {
+    name: 'Test', isMarried: true, isRetired: true, partnerName: 'Partner',
+    currentAge: 66, retirementAge: 66, partnerAge: 66, partnerRetirementAge: 66,
+    currentPortfolio: 1500000, currentSpending: 6000,
+    annualSavings: 0, annualIncome: 0, partnerAnnualIncome: 0,
+    expectedReturn: 7.0, additionalContributions: [],
+  };
+  const inputs = {
+    totalPortfolio: 1500000, monthlySpending: 6000, monthlySpendingOverridden: true,
+    ssPIA: 2000, ssStartAge: 70, partnerSSPIA: 1200, partnerSSStartAge: 70,
+    monthlyPension: 0, pensionStartAge: 65, pensionCOLA: false,
+    partnerMonthlyPension: 0, partnerPensionStartAge: 65, partnerPensionCOLA: false,
+    expectedDeathAge: 90, partnerExpectedDeathAge: 90,
+    inflationRate: 2.5, personalInflationRate: 2.5,
+    additionalIncomes: [], cashFlowAdjustments: [],
+    taxEnabled: true, filingStatus: 'married', traditionalPercent: 20, rothPercent: 10, nqPercent: 70,
+    advisoryFee: 1.0, unifiedTimeline: true,
+  };
+  const assumptions = {
+    b1: { return: 4.0, stdDev: 1.7 },
+    b2: { return: 5.5, stdDev: 6.0 },
+    b3: { return: 7.5, stdDev: 9.5 },
+    b4: { return: 7.0, stdDev: 12.0 },
+    b5: { return: 8.5, stdDev: 15.0 },
+  };
+  const project = (planInputs) => runSimulation(calculateBasePlan(planInputs, assumptions, clientInfo), assumptions, planInputs, 0, false);
+  const sum = (rows, key) => rows.reduce((s, r) => s + (r[key] || 0), 0);
+
+  it('banks losses on an underwater NQ position and uses them up', () => {
+    // A pension puts the household's gains in the 15% bracket, where banked losses pay off
+    const underwater = { ...inputs, nqCostBasisPercent: 130, monthlyPension: 9000 };
+    const off = project(underwater);
+    const on = project({ ...underwater, nqHarvestPolicy: 'losses' });
+    expect(sum(off, 'nqHarvestedLoss')).toBe(0);
+    expect(on[0].nqHarvestedLoss).toBeGreaterThan(0);
+    expect(sum(on, 'capitalLossUsed')).toBeGreaterThan(0);
+    expect(sum(on, 'totalTax')).toBeLessThanOrEqual(sum(off, 'totalTax'));
+  });
+
+  it('harvests gains into the 0% bracket when income is low', () => {
+    const lowBasis = { ...inputs, nqCostBasisPercent: 30 };
+    const on = project({ ...lowBasis, nqHarvestPolicy: 'gains' });
+    const off = project(lowBasis);
+    expect(sum(on, 'nqHarvestedGain')).toBeGreaterThan(0);
+    expect(on[on.length - 1].nqCostBasis).toBeGreaterThan(off[off.length - 1].nqCostBasis);
+    expect(sum(on, 'federalTax')).toBeLessThanOrEqual(sum(off, 'federalTax'));
+  });
+});
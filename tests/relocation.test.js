@@ -0,0 +1,109 @@
+/**
+ * State Relocation Tests
+ *
+ * Residency periods switch the state (and local jurisdiction) the engine taxes with from
+ * the move age on, and the tax strategy optimizer times Roth conversions and NQ gain
+ * realization around the move.
+ * Run with: npx vitest run tests/relocation.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getPlanStateTax,
+  getPlanRelocation,
+  calculateBasePlan,
+  runSimulation,
+  optimizeRetirementTaxStrategy,
+} from '../src/utils/calculations';
+
+const clientInfo = {
+  name: 'Test', isMarried: true, isRetired: true, partnerName: 'Partner',
+  currentAge: 62, retirementAge: 62, partnerAge: 62, partnerRetirementAge: 62,
+  currentPortfolio: 2000000, currentSpending: 9000,
+  annualSavings: 0, annualIncome: 0, partnerAnnualIncome: 0,
+  expectedReturn: 7.0, additionalContributions: [],
+};
+const inputs = {
+  totalPortfolio: 2000000, monthlySpending: 9000, monthlySpendingOverridden: true,
+  ssPIA: 2500, ssStartAge: 67, partnerSSPIA: 1500, partnerSSStartAge: 67,
+  monthlyPension: 0, pensionStartAge: 65, pensionCOLA: false,
+  partnerMonthlyPension: 0, partnerPensionStartAge: 65, partnerPensionCOLA: false,
+  expectedDeathAge: 90, partnerExpectedDeathAge: 90,
+  inflationRate: 2.5, personalInflationRate: 2.5,
+  additionalIncomes: [], cashFlowAdjustments: [],
+  taxEnabled: true, filingStatus: 'married', traditionalPercent: 70, rothPercent: 10, nqPercent: 20,
+  stateCode: 'CA', stateRate: 9.3, localTaxCode: '',
+  advisoryFee: 1.0, unifiedTimeline: true,
+};
+const assumptions = {
+  b1: { return: 4.0, stdDev: 1.7 },
+  b2: { return: 5.5, stdDev: 6.0 },
+  b3: { return: 7.5, stdDev: 9.5 },
+  b4: { return: 7.0, stdDev: 12.0 },
+  b5: { return: 8.5, stdDev: 15.0 },
+};
+const moveToFlorida = { ...inputs, residencyPeriods: [{ id: 1, stateCode: 'FL', startAge: 66, localTaxCode: '' }] };
+
+const project = (planInputs) => runSimulation(calculateBasePlan(planInputs, assumptions, clientInfo), assumptions, planInputs, 0, false);
+
+describe('residency periods', () => {
+  it('uses the home state before the first move and the new state after', () => {
+    expect(getPlanStateTax(moveToFlorida, 65).stateCode).toBe('CA');
+    expect(getPlanStateTax(moveToFlorida, 66)).toEqual({ stateRate: 0, stateCode: 'FL', localTaxCode: '' });
+    // No age = the plan's home state
+    expect(getPlanStateTax(moveToFlorida).stateCode).toBe('CA');
+  });
+
+  it('sorts periods and takes the new state\'s default local tax', () => {
+    const plan = {
+      ...inputs,
+      residencyPeriods: [
+        { id: 2, stateCode: 'NV', startAge: 75 },
+        { id: 1, stateCode: 'MD', startAge: 70 },
+      ]
+    };
+    expect(getPlanStateTax(plan, 72)).toMatchObject({ stateCode: 'MD', localTaxCode: 'county' });
+    expect(getPlanStateTax(plan, 80).stateCode).toBe('NV');
+    expect(getPlanRelocation(plan)).toMatchObject({ age: 70, fromState: 'CA', toState: 'MD' });
+    expect(getPlanRelocation(inputs)).toBeNull();
+  });
+
+  it('stops state tax from the move year in runSimulation', () => {
+    const stay = project(inputs);
+    const moved = project(moveToFlorida);
+    const stateTaxAt = (projection, age) => projection.find(r => r.age === age)?.stateTax || 0;
+    expect(stateTaxAt(stay, 70)).toBeGreaterThan(0);
+    expect(stateTaxAt(moved, 70)).toBe(0);
+    // Bucket sizing sees the move, so NQ lots (and their gains) differ by a few dollars
+    expect(stateTaxAt(moved, 64)).toBeCloseTo(stateTaxAt(stay, 64), -1);
+  });
+});
+
+describe('optimizer timing', () => {
+  it('offers conversions after a move to a no-tax state', () => {
+    const basePlan = calculateBasePlan(moveToFlorida, assumptions, clientInfo);
+    const result = optimizeRetirementTaxStrategy(basePlan, assumptions, moveToFlorida, clientInfo);
+    const labels = result.alternativeStrategies.map(s => s.label);
+    const timed = result.alternativeStrategies.find(s => s.label.endsWith('after move'));
+    expect(timed).toBeDefined();
+    expect(Math.min(...Object.keys(timed.conversions).map(Number))).toBeGreaterThanOrEqual(66);
+    expect(labels.some(label => label.endsWith('defer gains until move'))).toBe(true);
+  });
+
+  it('realizes NQ gains before a move to a higher-tax state', () => {
+    const moveToCalifornia = {
+      ...inputs, stateCode: 'FL', stateRate: 0, nqCostBasisPercent: 50,
+      residencyPeriods: [{ id: 1, stateCode: 'CA', startAge: 66, localTaxCode: '' }],
+    };
+    const basePlan = calculateBasePlan(moveToCalifornia, assumptions, clientInfo);
+    const result = optimizeRetirementTaxStrategy(basePlan, assumptions, moveToCalifornia, clientInfo);
+    expect(result.alternativeStrategies.some(s => s.label.endsWith('realize gains before move'))).toBe(true);
+    // The override sells and rebuys appreciated lots, so less gain rides into the move
+    const unrealizedAt = (planInputs, age) => {
+      const row = project(planInputs).find(r => r.age === age);
+      return row.nqBalanceDetail - row.nqCostBasis;
+    };
+    const realized = { ...moveToCalifornia, nqCapGainOverrides: [{ startYear: 1, endYear: 4, rate: 10 }] };
+    expect(unrealizedAt(realized, 65)).toBeLessThan(unrealizedAt(moveToCalifornia, 65));
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Simulation Worker Pool Tests
+ *
+ * Monte Carlo and the optimizers run as plain-data tasks on a worker pool with
+ * progress reporting and per-channel cancellation. Node has no Worker, so these
+ * exercise the pool's inline fallback, which shares the same interface.
+ * Run with: npx vitest run tests/simulationPool.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateBasePlan,
+  runSimulation,
+  getMonteCarloIterations,
+  withProgressReporter,
+} from '../src/utils/calculations';
+import { runSimulationTask, pickAllocation } from '../src/utils/simulationTasks';
+import { runPooledSimulation, SimulationCancelledError } from '../src/utils/simulationPool';
+
+const clientInfo = {
+  name: 'Test', isMarried: false, isRetired: true,
+  currentAge: 65, retirementAge: 65,
+  currentPortfolio: 1000000, currentSpending: 5000,
+  annualSavings: 0, annualIncome: 0, partnerAnnualIncome: 0,
+  expectedReturn: 7.0, additionalContributions: [],
+};
+
+const inputs = {
+  totalPortfolio: 1000000, monthlySpending: 5000, monthlySpendingOverridden: true,
+  ssPIA: 2500, ssStartAge: 67, partnerSSPIA: 0, partnerSSStartAge: 67,
+  monthlyPension: 0, pensionStartAge: 65, pensionCOLA: false,
+  partnerMonthlyPension: 0, partnerPensionStartAge: 65, partnerPensionCOLA: false,
+  expectedDeathAge: 90, partnerExpectedDeathAge: 90,
+  inflationRate: 2.5, personalInflationRate: 2.5,
+  additionalIncomes: [], cashFlowAdjustments: [],
+  taxEnabled: true, filingStatus: 'single', traditionalPercent: 60, rothPercent: 25, nqPercent: 15,
+  advisoryFee: 1.0, unifiedTimeline: true,
+  monteCarloSeed: 12345, monteCarloIterations: 500,
+};
+
+const assumptions = {
+  b1: { return: 4.0, stdDev: 1.7 },
+  b2: { return: 5.5, stdDev: 6.0 },
+  b3: { return: 7.5, stdDev: 9.5 },
+  b4: { return: 7.0, stdDev: 12.0 },
+  b5: { return: 8.5, stdDev: 15.0 },
+};
+
+const plan = { inputs, assumptions, clientInfo };
+
+describe('Monte Carlo iteration count', () => {
+  it('defaults to 1,000 and clamps to 100–10,000', () => {
+    expect(getMonteCarloIterations({})).toBe(1000);
+    expect(getMonteCarloIterations({ monteCarloIterations: 50 })).toBe(100);
+    expect(getMonteCarloIterations({ monteCarloIterations: 25000 })).toBe(10000);
+    expect(getMonteCarloIterations({ monteCarloIterations: 2500 })).toBe(2500);
+  });
+
+  it('runs the requested iterations and replays the representative paths', () => {
+    const basePlan = calculateBasePlan(inputs, assumptions, clientInfo);
+    const mc = runSimulation(basePlan, assumptions, inputs, 0, true);
+    expect(mc.iterations).toBe(500);
+    // The median scenario is a full replay of the iteration ranked at the median
+    const last = mc.scenarios.median[mc.scenarios.median.length - 1];
+    expect(Math.round(last.total)).toBe(mc.medianLegacy);
+  });
+});
+
+describe('progress reporting', () => {
+  it('reports monotonic progress that ends at 1', () => {
+    const basePlan = calculateBasePlan(inputs, assumptions, clientInfo);
+    const seen = [];
+    withProgressReporter((p) => seen.push(p), () => runSimulation(basePlan, assumptions, inputs, 0, true));
+    expect(seen.length).toBe(500);
+    expect(seen.every((p, i) => i === 0 || p >= seen[i - 1])).toBe(true);
+    expect(seen[seen.length - 1]).toBe(1);
+  });
+
+  it('spreads the optimizer task across its six strategies', () => {
+    const seen = [];
+    // Each strategy runs its own Monte Carlo, so keep the count at the minimum
+    const quickPlan = { ...plan, inputs: { ...inputs, monteCarloIterations: 100 } };
+    const result = runSimulationTask('optimizer', { plan: quickPlan }, (p) => seen.push(p));
+    expect(Object.keys(result)).toHaveLength(6);
+    expect(seen.every((p, i) => i === 0 || p >= seen[i - 1])).toBe(true);
+    expect(seen[seen.length - 1]).toBe(1);
+  });
+});
+
+describe('simulation tasks', () => {
+  it('match a direct runSimulation for the same plan and allocation', () => {
+    const basePlan = calculateBasePlan(inputs, assumptions, clientInfo);
+    const manual = { ...basePlan, b1Val: 100000, b2Val: 200000, b3Val: 200000, b4Val: 200000, b5Val: 300000 };
+    const direct = runSimulation(manual, assumptions, inputs, 0, true);
+    const task = runSimulationTask('simulation', { plan: { ...plan, allocation: pickAllocation(manual) }, mode: true });
+    expect(task.successRate).toBe(direct.successRate);
+    expect(task.medianLegacy).toBe(direct.medianLegacy);
+  });
+
+  it('rejects unknown task types', () => {
+    expect(() => runSimulationTask('nope', { plan })).toThrow(/Unknown simulation task/);
+  });
+});
+
+describe('runPooledSimulation', () => {
+  it('cancels the previous task on the same channel', async () => {
+    const first = runPooledSimulation('test', 'simulation', { plan, mode: 'historical' });
+    const second = runPooledSimulation('test', 'simulation', { plan, mode: 'historical' });
+    await expect(first).rejects.toBeInstanceOf(SimulationCancelledError);
+    const result = await second;
+    expect(result.mode).toBe('historical');
+  });
+});
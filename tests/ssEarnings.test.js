@@ -0,0 +1,130 @@
+/**
+ * SS Earnings Record Tests
+ *
+ * An earnings history imported from an SSA statement is wage-indexed to the year the
+ * worker turns 60, the highest 35 years are averaged into the AIME, and the bend points
+ * of the year they turn 62 give the PIA, which feeds the claiming-age analysis.
+ * Run with: npx vitest run tests/ssEarnings.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseEarningsRecord, calculatePIAFromEarnings } from '../src/utils/ssEarnings';
+import { calculateSSAnalysis } from '../src/utils/ssAnalysis';
+import { AVERAGE_WAGE_INDEX } from '../src/constants/ssWageIndex';
+
+// Earning exactly the average wage every year through the indexing year
+const averageWageRecord = (firstYear, lastYear) => Array.from({ length: lastYear - firstYear + 1 }, (_, i) => ({
+  year: firstYear + i, earnings: AVERAGE_WAGE_INDEX[firstYear + i]
+}));
+
+describe('parseEarningsRecord', () => {
+  it('reads the my Social Security XML', () => {
+    const xml = `<osss:OnlineSocialSecurityStatementData>
+      <osss:EarningsRecord>
+        <osss:Earnings startYear="2022" endYear="2022"><osss:FicaEarnings>85000</osss:FicaEarnings><osss:MedicareEarnings>85000</osss:MedicareEarnings></osss:Earnings>
+        <osss:Earnings startYear="2023" endYear="2023"><osss:FicaEarnings>90000</osss:FicaEarnings><osss:MedicareEarnings>90000</osss:MedicareEarnings></osss:Earnings>
+        <osss:Earnings startYear="2024" endYear="2024"><osss:FicaEarnings>-1</osss:FicaEarnings><osss:MedicareEarnings>-1</osss:MedicareEarnings></osss:Earnings>
+      </osss:EarningsRecord>
+    </osss:OnlineSocialSecurityStatementData>`;
+    expect(parseEarningsRecord(xml)).toEqual([{ year: 2022, earnings: 85000 }, { year: 2023, earnings: 90000 }]);
+  });
+
+  it('reads a statement table, spreading year ranges and skipping unposted years', () => {
+    const text = [
+      'Work Year  Taxed Social Security Earnings  Taxed Medicare Earnings',
+      '1991-1995  $100,000  $100,000',
+      '2019  $85,250  $85,250',
+      '2025  Not yet recorded',
+    ].join('\n');
+    const record = parseEarningsRecord(text);
+    expect(record).toHaveLength(6);
+    expect(record[0]).toEqual({ year: 1991, earnings: 20000 });
+    expect(record[5]).toEqual({ year: 2019, earnings: 85250 });
+  });
+
+  it('reads CSV rows', () => {
+    expect(parseEarningsRecord('year,earnings\n2020,61000\n"2021","$64,500.00"')).toEqual([
+      { year: 2020, earnings: 61000 }, { year: 2021, earnings: 64500 }
+    ]);
+  });
+});
+
+describe('calculatePIAFromEarnings', () => {
+  it('computes the PIA of an average earner with the eligibility year’s bend points', () => {
+    // Born 1964: indexed to 2024, eligible 2026 (bend points $1,286 / $7,749)
+    const result = calculatePIAFromEarnings(averageWageRecord(1990, 2024), { birthYear: 1964, claimAge: 62, currentYear: 2026 });
+    expect(result.bendPoints).toEqual([1286, 7749]);
+    expect(result.aime).toBe(Math.floor(AVERAGE_WAGE_INDEX[2024] / 12));
+    expect(result.piaAtEligibility).toBeCloseTo(2608.2, 6);
+    expect(result.pia).toBe(2608);
+    expect(result.zeroYears).toBe(0);
+  });
+
+  it('averages only the highest 35 years and counts missing ones as zero', () => {
+    const full = calculatePIAFromEarnings(averageWageRecord(1990, 2024), { birthYear: 1964, claimAge: 62, currentYear: 2026 });
+    const withLowYears = calculatePIAFromEarnings([{ year: 1984, earnings: 1000 }, ...averageWageRecord(1990, 2024)], { birthYear: 1964, claimAge: 62, currentYear: 2026 });
+    expect(withLowYears.aime).toBe(full.aime);
+    expect(withLowYears.years.find(y => y.year === 1984).counted).toBe(false);
+
+    const short = calculatePIAFromEarnings(averageWageRecord(2000, 2024), { birthYear: 1964, claimAge: 62, currentYear: 2026 });
+    expect(short.zeroYears).toBe(10);
+    expect(short.pia).toBeLessThan(full.pia);
+  });
+
+  it('caps each year at the taxable maximum', () => {
+    const result = calculatePIAFromEarnings([{ year: 2020, earnings: 1000000 }], { birthYear: 1964, currentYear: 2026 });
+    expect(result.years[0].earnings).toBe(137700);
+  });
+
+  it('projects current pay until work stops and states the PIA in today’s dollars', () => {
+    const record = averageWageRecord(2004, 2024);
+    const options = { birthYear: 1980, currentYear: 2026, annualEarnings: 100000 };
+    const retiringAt60 = calculatePIAFromEarnings(record, { ...options, claimAge: 67, stopWorkAge: 60 });
+    const workingTo67 = calculatePIAFromEarnings(record, { ...options, claimAge: 67 });
+    expect(workingTo67.years.filter(y => y.projected)).toHaveLength(2046 - 2024);
+    expect(workingTo67.pia).toBeGreaterThan(retiringAt60.pia);
+    // Wage-deflated from the 2042 bend points back to today's
+    expect(workingTo67.pia).toBeLessThan(workingTo67.piaAtEligibility);
+  });
+
+  it('carries a past eligibility PIA forward by the actual COLAs', () => {
+    // Born 1962: eligible 2024; 2024 and 2025 COLAs of 2.5% and 2.8%
+    const result = calculatePIAFromEarnings(averageWageRecord(1988, 2022), { birthYear: 1962, claimAge: 62, currentYear: 2026 });
+    expect(result.pia).toBe(Math.round(result.piaAtEligibility * 1.025 * 1.028));
+  });
+});
+
+describe('calculateSSAnalysis', () => {
+  const clientInfo = {
+    name: 'Test', isMarried: false, isRetired: false,
+    currentAge: 60, retirementAge: 67,
+    annualIncome: 150000, currentPortfolio: 1500000,
+  };
+  const inputs = {
+    totalPortfolio: 1500000, monthlySpending: 7000,
+    ssPIA: 2000, ssStartAge: 67,
+    monthlyPension: 0, pensionStartAge: 65,
+    expectedDeathAge: 92, inflationRate: 2.5, personalInflationRate: 2.5,
+    additionalIncomes: [], taxEnabled: false, filingStatus: 'single',
+  };
+  const assumptions = {
+    b1: { return: 4.0, stdDev: 1.7 },
+    b2: { return: 5.5, stdDev: 6.0 },
+    b3: { return: 7.5, stdDev: 9.5 },
+    b4: { return: 7.0, stdDev: 12.0 },
+    b5: { return: 8.5, stdDev: 15.0 },
+  };
+  const currentYear = new Date().getFullYear();
+  const record = Array.from({ length: 25 }, (_, i) => ({ year: currentYear - 26 + i, earnings: 60000 }));
+
+  it('uses the record’s PIA for each claiming age, counting the extra working years', () => {
+    const { outcomes } = calculateSSAnalysis({ inputs: { ...inputs, ssEarningsRecord: record }, clientInfo, assumptions, targetMaxPortfolioAge: 92 });
+    const at62 = outcomes.find(o => o.age === 62);
+    const at67 = outcomes.find(o => o.age === 67);
+    expect(at62.pia).toBeGreaterThan(0);
+    expect(at67.pia).toBeGreaterThan(at62.pia);
+
+    const typed = calculateSSAnalysis({ inputs, clientInfo, assumptions, targetMaxPortfolioAge: 92 });
+    expect(typed.outcomes.every(o => o.pia === 2000)).toBe(true);
+  });
+});
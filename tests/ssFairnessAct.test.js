@@ -0,0 +1,132 @@
+/**
+ * Social Security Fairness Act Tests
+ *
+ * A pension from work not covered by Social Security used to cut the worker's own PIA (WEP)
+ * and offset spousal and survivor benefits by two-thirds of the pension (GPO). Both were
+ * repealed for benefits after December 2023; a what-if override can reinstate them, and the
+ * SS tab shows the before/after effect with the retroactive payment.
+ * Run with: npx vitest run tests/ssFairnessAct.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateWEPReduction,
+  calculateGPOOffset,
+  applyDeemedFiling,
+  getSurvivorBenefit,
+  calculateBasePlan,
+  runSimulation,
+} from '../src/utils/calculations';
+import { calculateSSFairnessActImpact } from '../src/utils/ssAnalysis';
+import { getTaxLaw, WEP_GPO_RULES } from '../src/constants/taxLaw';
+
+const currentLaw = getTaxLaw(2026);
+const priorLaw = { ...currentLaw, wepGpo: WEP_GPO_RULES };
+const bend1 = currentLaw.piaFormula.bendPoints[0];
+
+describe('WEP and GPO', () => {
+  it('are inert under current law', () => {
+    expect(currentLaw.wepGpo).toBeNull();
+    expect(calculateWEPReduction(2000, 4000, 10, currentLaw)).toBe(0);
+    expect(calculateGPOOffset(4000, currentLaw)).toBe(0);
+  });
+
+  it('cut the first PIA factor by covered years, capped at half the pension', () => {
+    expect(calculateWEPReduction(2000, 4000, 10, priorLaw)).toBeCloseTo(0.5 * bend1, 6);
+    expect(calculateWEPReduction(2000, 4000, 25, priorLaw)).toBeCloseTo(0.25 * bend1, 6);
+    expect(calculateWEPReduction(2000, 4000, 30, priorLaw)).toBe(0);
+    expect(calculateWEPReduction(2000, 600, 10, priorLaw)).toBe(300);
+  });
+
+  it('offset spousal and survivor benefits by two-thirds of the pension', () => {
+    const gpo = calculateGPOOffset(1500, priorLaw);
+    expect(gpo).toBeCloseTo(1000, 6);
+    // Spousal excess of $1,200 at FRA, less the offset
+    expect(applyDeemedFiling(300, 3000, true, 67, 300, 67, gpo)).toBeCloseTo(500, 6);
+    expect(applyDeemedFiling(300, 3000, true, 67, 300, 67, 5000)).toBe(300);
+    expect(getSurvivorBenefit(300, 3000)).toBe(3000);
+    expect(getSurvivorBenefit(300, 3000, gpo)).toBeCloseTo(2000, 6);
+  });
+
+  it('are restored by the reinstatement override', () => {
+    const overrides = [{ id: 1, startYear: 2026, reinstateWepGpo: true }];
+    expect(getTaxLaw(2030, { overrides }).wepGpo).toEqual(WEP_GPO_RULES);
+  });
+});
+
+describe('engine', () => {
+  // Retired firefighter with a non-covered pension; spouse with a small own benefit
+  const clientInfo = {
+    name: 'Test', isMarried: true, isRetired: true, partnerName: 'Partner',
+    currentAge: 67, retirementAge: 67, partnerAge: 67, partnerRetirementAge: 67,
+    currentPortfolio: 1000000, currentSpending: 6000,
+    annualSavings: 0, annualIncome: 0, partnerAnnualIncome: 0,
+    expectedReturn: 6.0, additionalContributions: [],
+  };
+  const inputs = {
+    totalPortfolio: 1000000, monthlySpending: 6000, monthlySpendingOverridden: true,
+    ssPIA: 1200, ssStartAge: 67, partnerSSPIA: 2800, partnerSSStartAge: 67,
+    monthlyPension: 5000, pensionStartAge: 55, pensionCOLA: true, pensionNonCovered: true, ssCoveredYears: 12,
+    partnerMonthlyPension: 0, partnerPensionStartAge: 65, partnerPensionCOLA: false,
+    expectedDeathAge: 90, partnerExpectedDeathAge: 80,
+    inflationRate: 2.5, personalInflationRate: 2.5,
+    additionalIncomes: [], cashFlowAdjustments: [],
+    taxEnabled: false, filingStatus: 'married', unifiedTimeline: true,
+  };
+  const assumptions = {
+    b1: { return: 4.0, stdDev: 1.7 },
+    b2: { return: 5.5, stdDev: 6.0 },
+    b3: { return: 7.5, stdDev: 9.5 },
+    b4: { return: 7.0, stdDev: 12.0 },
+    b5: { return: 8.5, stdDev: 15.0 },
+  };
+  const project = (planInputs) => runSimulation(calculateBasePlan(planInputs, assumptions, clientInfo), assumptions, planInputs, 0, false);
+  const reinstated = { ...inputs, taxLawOverrides: [{ id: 1, startYear: 2000, reinstateWepGpo: true }] };
+
+  it('pays full benefits under current law and reduces them when WEP / GPO are reinstated', () => {
+    const current = project(inputs);
+    const before = project(reinstated);
+    const at = (projection, age) => projection.find(r => r.age === age);
+    // Own benefit (WEP) while both are alive
+    expect(at(before, 70).ssIncome).toBeLessThan(at(current, 70).ssIncome);
+    // Survivor benefit after the spouse dies at 80 (GPO)
+    const survivorGap = at(current, 85).ssIncome - at(before, 85).ssIncome;
+    expect(survivorGap).toBeGreaterThan(at(current, 70).ssIncome - at(before, 70).ssIncome);
+  });
+
+  it('changes nothing for a covered pension', () => {
+    const covered = { ...reinstated, pensionNonCovered: false };
+    expect(project(covered).map(r => r.ssIncome)).toEqual(project(inputs).map(r => r.ssIncome));
+  });
+});
+
+describe('calculateSSFairnessActImpact', () => {
+  const clientInfo = { name: 'Officer', isMarried: true, partnerName: 'Spouse', currentAge: 66, partnerAge: 66 };
+  const inputs = {
+    ssPIA: 1000, ssStartAge: 62, ssCurrentlyReceiving: true,
+    partnerSSPIA: 3000, partnerSSStartAge: 67,
+    monthlyPension: 4500, pensionCOLA: true, pensionStartAge: 50, pensionNonCovered: true, ssCoveredYears: 15,
+  };
+
+  it('shows the before/after for own, spousal and survivor benefits and the retroactive payment', () => {
+    const impact = calculateSSFairnessActImpact({ inputs, clientInfo, currentYear: 2026 });
+    const officer = impact.people[0];
+    expect(impact.flagged).toBe(true);
+    expect(officer.own.after).toBe(1000);
+    expect(officer.own.before).toBeLessThan(officer.own.after);
+    expect(officer.gpo).toBeCloseTo(3000, 6);
+    expect(officer.survivor.before).toBeLessThan(officer.survivor.after);
+    expect(officer.monthlyIncrease).toBeCloseTo(officer.withSpousal.after - officer.withSpousal.before, 6);
+    // Claimed at 62 in 2022: in pay for the whole window
+    expect(officer.retroactiveMonths).toBe(15);
+    expect(officer.retroactive).toBeCloseTo(officer.monthlyIncrease * 15, 6);
+    // The spouse has no non-covered pension and was not receiving
+    expect(impact.people[1].retroactive).toBe(0);
+  });
+
+  it('flags nothing without a non-covered pension', () => {
+    const impact = calculateSSFairnessActImpact({ inputs: { ...inputs, pensionNonCovered: false }, clientInfo, currentYear: 2026 });
+    expect(impact.flagged).toBe(false);
+    expect(impact.totalMonthlyIncrease).toBe(0);
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Divorced-Spouse and Family Benefit Tests
+ *
+ * A client divorced after a 10-year marriage can draw on the ex-spouse's record (spousal
+ * while the ex lives, survivor after). Minor or disabled children draw on the client's
+ * record (a couple's on whichever parent's pays more), a spouse caring for one is paid at any
+ * age, and the family maximum caps them. The plan projection and both claiming analyses count them.
+ * Run with: npx vitest run tests/ssFamilyBenefits.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateBasePlan,
+  calculateFamilyMaximum,
+  getExSpouseEligibility,
+  getDivorcedSpouseBenefit,
+  getEligibleChildren,
+  getFamilyBenefits,
+  getHouseholdFamilyBenefits,
+  runSimulation,
+} from '../src/utils/calculations';
+import { calculateSSAnalysis, calculateSSPartnerAnalysis } from '../src/utils/ssAnalysis';
+
+describe('calculateFamilyMaximum', () => {
+  it('applies the four-part formula to the PIA', () => {
+    expect(calculateFamilyMaximum(1000)).toBeCloseTo(1500, 6);
+    expect(calculateFamilyMaximum(2000)).toBeCloseTo(1.5 * 1567 + 2.72 * 433, 6);
+    expect(calculateFamilyMaximum(4000)).toBeCloseTo(1.5 * 1567 + 2.72 * 695 + 1.34 * 688 + 1.75 * 1050, 6);
+    expect(calculateFamilyMaximum(0)).toBe(0);
+  });
+});
+
+describe('divorced spouse', () => {
+  const ex = { exSpouseEnabled: true, exSpousePIA: 3000, exSpouseAge: 70, exSpouseMarriageYears: 12 };
+  const single = { isMarried: false, currentAge: 67 };
+
+  it('needs a 10-year marriage; remarriage keeps only the survivor benefit, and only at 60+', () => {
+    expect(getExSpouseEligibility(ex, false)).toMatchObject({ spousal: true, survivor: true });
+    expect(getExSpouseEligibility({ ...ex, exSpouseMarriageYears: 9 }, false)).toMatchObject({ spousal: false, survivor: false });
+    expect(getExSpouseEligibility(ex, true)).toMatchObject({ spousal: false, survivor: false });
+    expect(getExSpouseEligibility({ ...ex, clientRemarriedAfter60: true }, true)).toMatchObject({ spousal: false, survivor: true });
+  });
+
+  it('pays the spousal excess once the ex is 62 and the survivor benefit after the ex dies', () => {
+    const benefit = { ownMonthly: 800, pia: 800, claimAge: 67, age: 67 };
+    expect(getDivorcedSpouseBenefit(ex, single, benefit)).toBeCloseTo(1500, 6);
+    expect(getDivorcedSpouseBenefit({ ...ex, exSpouseAge: 55 }, single, benefit)).toBe(800);
+    expect(getDivorcedSpouseBenefit({ ...ex, exSpouseDeceased: true }, single, benefit)).toBe(3000);
+    // Ex reaches life expectancy at 85, when the client is 82
+    expect(getDivorcedSpouseBenefit({ ...ex, exSpouseExpectedDeathAge: 85 }, single, { ...benefit, age: 82 })).toBe(3000);
+    expect(getDivorcedSpouseBenefit({ ...ex, exSpouseMarriageYears: 8 }, single, benefit)).toBe(800);
+  });
+
+  it('reduces the spousal excess for claiming before FRA', () => {
+    const early = getDivorcedSpouseBenefit(ex, { ...single, currentAge: 62 }, { ownMonthly: 560, pia: 800, claimAge: 62, age: 62 });
+    expect(early).toBeGreaterThan(560);
+    expect(early - 560).toBeLessThan(700);
+  });
+
+  it('reduces the survivor benefit started before FRA and pays none before 60', () => {
+    const deceased = { ...ex, exSpouseDeceased: true };
+    const early = getDivorcedSpouseBenefit(deceased, { ...single, currentAge: 62 }, { ownMonthly: 560, pia: 800, claimAge: 62, age: 62 });
+    // Five years early: 5/7 of the 28.5% maximum reduction
+    expect(early).toBeCloseTo(3000 * (1 - 0.285 * 5 / 7), 6);
+    // The reduction stays with the benefit after FRA
+    expect(getDivorcedSpouseBenefit(deceased, { ...single, currentAge: 62 }, { ownMonthly: 560, pia: 800, claimAge: 62, age: 68 })).toBeCloseTo(early, 6);
+    // An ex who dies when the client is 68 leaves the full benefit
+    expect(getDivorcedSpouseBenefit({ ...ex, exSpouseAge: 66, exSpouseExpectedDeathAge: 72 }, { ...single, currentAge: 62 }, { ownMonthly: 560, pia: 800, claimAge: 62, age: 68 })).toBe(3000);
+    expect(getDivorcedSpouseBenefit(deceased, { ...single, currentAge: 58 }, { ownMonthly: 0, pia: 800, claimAge: 62, age: 59 })).toBe(0);
+  });
+});
+
+describe('family benefits', () => {
+  it('counts children under 18 or disabled, and those under 16 for child-in-care', () => {
+    const children = [{ age: 17 }, { age: 14 }, { age: 30, disabled: true }];
+    expect(getEligibleChildren(children, 0)).toEqual({ eligible: 3, inCare: true });
+    expect(getEligibleChildren(children, 1)).toEqual({ eligible: 2, inCare: true });
+    expect(getEligibleChildren([{ age: 15 }], 1)).toEqual({ eligible: 1, inCare: false });
+  });
+
+  it('pays children half the PIA while the worker draws benefits, within the family maximum', () => {
+    const oneChild = getFamilyBenefits({ workerPIA: 2000, workerAlive: true, workerHasFiled: true, children: [{ age: 10 }], yearsFromNow: 0 });
+    expect(oneChild.children).toBeCloseTo(1000, 6);
+    expect(oneChild.capped).toBe(false);
+
+    const family = getFamilyBenefits({ workerPIA: 2000, workerAlive: true, workerHasFiled: true, children: [{ age: 10 }, { age: 8 }], yearsFromNow: 0 });
+    expect(family.capped).toBe(true);
+    expect(family.children).toBeCloseTo(family.familyMaximum - 2000, 6);
+
+    const notFiled = getFamilyBenefits({ workerPIA: 2000, workerAlive: true, workerHasFiled: false, children: [{ age: 10 }], yearsFromNow: 0 });
+    expect(notFiled.children).toBe(0);
+  });
+
+  it('pays a young spouse caring for a child, and 75% to survivors', () => {
+    const spouse = { age: 45, ownPIA: 0, hasFiled: false, auxiliary: 0 };
+    const living = getFamilyBenefits({ workerPIA: 1000, workerAlive: true, workerHasFiled: true, children: [{ age: 5 }], yearsFromNow: 0, spouse });
+    // Spouse and child at 50% each share the 50% of PIA the family maximum leaves
+    expect(living.spouseAuxiliary + living.children).toBeCloseTo(500, 6);
+
+    const survivors = getFamilyBenefits({ workerPIA: 1000, workerAlive: false, workerHasFiled: false, children: [{ age: 5 }], yearsFromNow: 0, spouse });
+    expect(survivors.spouseAuxiliary + survivors.children).toBeCloseTo(1500, 6);
+    expect(survivors.children).toBeCloseTo(750, 6);
+  });
+});
+
+describe('calculateSSAnalysis', () => {
+  const clientInfo = {
+    name: 'Test', isMarried: false, isRetired: true,
+    currentAge: 60, retirementAge: 60, annualIncome: 0,
+  };
+  const inputs = {
+    totalPortfolio: 1500000, monthlySpending: 7000,
+    ssPIA: 1500, ssStartAge: 67,
+    monthlyPension: 0, pensionStartAge: 65,
+    expectedDeathAge: 92, inflationRate: 2.5, personalInflationRate: 2.5,
+    additionalIncomes: [], taxEnabled: false, filingStatus: 'single',
+  };
+  const assumptions = {
+    b1: { return: 4.0, stdDev: 1.7 },
+    b2: { return: 5.5, stdDev: 6.0 },
+    b3: { return: 7.5, stdDev: 9.5 },
+    b4: { return: 7.0, stdDev: 12.0 },
+    b5: { return: 8.5, stdDev: 15.0 },
+  };
+  const analyze = (planInputs) => calculateSSAnalysis({ inputs: planInputs, clientInfo, assumptions, targetMaxPortfolioAge: 90 });
+  const balanceAt = (result, age) => result.outcomes.find(o => o.age === age).balance;
+
+  it('counts a minor child’s benefits, which favor claiming earlier', () => {
+    const base = analyze(inputs);
+    const withChild = analyze({ ...inputs, ssChildren: [{ id: 1, age: 6 }] });
+    const gain62 = balanceAt(withChild, 62) - balanceAt(base, 62);
+    const gain70 = balanceAt(withChild, 70) - balanceAt(base, 70);
+    expect(gain62).toBeGreaterThan(0);
+    expect(gain62).toBeGreaterThan(gain70);
+  });
+
+  it('adds an ex-spouse’s record for a divorced client', () => {
+    const base = analyze({ ...inputs, ssPIA: 600 });
+    const divorced = analyze({ ...inputs, ssPIA: 600, exSpouseEnabled: true, exSpousePIA: 3000, exSpouseAge: 63, exSpouseMarriageYears: 15 });
+    base.outcomes.forEach((o, i) => expect(divorced.outcomes[i].balance).toBeGreaterThan(o.balance));
+    const shortMarriage = analyze({ ...inputs, ssPIA: 600, exSpouseEnabled: true, exSpousePIA: 3000, exSpouseAge: 63, exSpouseMarriageYears: 9 });
+    expect(shortMarriage.outcomes.map(o => o.balance)).toEqual(base.outcomes.map(o => o.balance));
+  });
+});
+
+describe('getHouseholdFamilyBenefits', () => {
+  const children = [{ age: 10 }];
+  const parent = (pia, hasFiled) => ({ pia, alive: true, hasFiled, age: 64, auxiliary: 0 });
+
+  it('pays children on whichever parent’s record pays the family more', () => {
+    const onClient = getHouseholdFamilyBenefits({ children, yearsFromNow: 0, client: parent(1000, true), partner: parent(2400, true) });
+    expect(onClient.children).toBeCloseTo(1200, 6);
+    // Only the client has filed, so the child and the partner caring for it share what the
+    // client's family maximum leaves above the client's own PIA
+    const onFiler = getHouseholdFamilyBenefits({ children, yearsFromNow: 0, client: parent(1000, true), partner: parent(2400, false) });
+    expect(onFiler.children + onFiler.partnerAuxiliary).toBeCloseTo(500, 6);
+    expect(onFiler.clientAuxiliary).toBe(0);
+  });
+
+  it('uses the client’s record alone for a single parent', () => {
+    const single = getHouseholdFamilyBenefits({ children, yearsFromNow: 0, client: parent(2000, true) });
+    expect(single).toEqual({ children: 1000, clientAuxiliary: 0, partnerAuxiliary: 0 });
+  });
+});
+
+describe('plan projection', () => {
+  const clientInfo = {
+    name: 'Test', isMarried: false, isRetired: true,
+    currentAge: 62, retirementAge: 62,
+    currentPortfolio: 1000000, currentSpending: 5000,
+    annualSavings: 0, annualIncome: 0, partnerAnnualIncome: 0,
+    expectedReturn: 7.0, additionalContributions: [],
+  };
+  const inputs = {
+    totalPortfolio: 1000000, monthlySpending: 5000, monthlySpendingOverridden: true,
+    ssPIA: 800, ssStartAge: 62,
+    monthlyPension: 0, pensionStartAge: 65,
+    expectedDeathAge: 90, inflationRate: 2.5, personalInflationRate: 2.5,
+    additionalIncomes: [], taxEnabled: false, filingStatus: 'single',
+    traditionalPercent: 60, rothPercent: 25, nqPercent: 15,
+    advisoryFee: 1.0, unifiedTimeline: true,
+  };
+  const assumptions = {
+    b1: { return: 4.0, stdDev: 1.7 },
+    b2: { return: 5.5, stdDev: 6.0 },
+    b3: { return: 7.5, stdDev: 9.5 },
+    b4: { return: 7.0, stdDev: 12.0 },
+    b5: { return: 8.5, stdDev: 15.0 },
+  };
+  const project = (planInputs) => runSimulation(calculateBasePlan(planInputs, assumptions, clientInfo), assumptions, planInputs, 0, false);
+  const rowAt = (rows, age) => rows.find(r => r.age === age);
+
+  it('adds a minor child’s benefits until the child ages out', () => {
+    const rows = project({ ...inputs, ssChildren: [{ id: 1, age: 15 }] });
+    expect(rowAt(rows, 62).childSSIncomeDetail).toBeGreaterThan(0);
+    expect(rowAt(rows, 64).childSSIncomeDetail).toBeGreaterThan(0);
+    expect(rowAt(rows, 65).childSSIncomeDetail).toBe(0);
+    expect(project(inputs).every(r => !r.childSSIncomeDetail)).toBe(true);
+  });
+
+  it('raises a divorced client’s Social Security from the ex-spouse’s record', () => {
+    const base = project(inputs);
+    const divorced = project({ ...inputs, exSpouseEnabled: true, exSpousePIA: 3000, exSpouseAge: 66, exSpouseMarriageYears: 12 });
+    expect(rowAt(divorced, 67).ssIncomeDetail).toBeGreaterThan(rowAt(base, 67).ssIncomeDetail);
+  });
+});
+
+describe('calculateSSPartnerAnalysis', () => {
+  const clientInfo = {
+    name: 'Test', isMarried: true, isRetired: true,
+    currentAge: 60, retirementAge: 60,
+    partnerName: 'Partner', partnerAge: 60, partnerRetirementAge: 60,
+    annualIncome: 0, partnerAnnualIncome: 0,
+  };
+  const inputs = {
+    totalPortfolio: 1500000, monthlySpending: 8000,
+    ssPIA: 2000, ssStartAge: 67, partnerSSPIA: 1800, partnerSSStartAge: 67,
+    monthlyPension: 0, pensionStartAge: 65, partnerMonthlyPension: 0, partnerPensionStartAge: 65,
+    expectedDeathAge: 92, partnerExpectedDeathAge: 92, inflationRate: 2.5, personalInflationRate: 2.5,
+    additionalIncomes: [], taxEnabled: false, filingStatus: 'married',
+  };
+  const assumptions = {
+    b1: { return: 4.0, stdDev: 1.7 },
+    b2: { return: 5.5, stdDev: 6.0 },
+    b3: { return: 7.5, stdDev: 9.5 },
+    b4: { return: 7.0, stdDev: 12.0 },
+    b5: { return: 8.5, stdDev: 15.0 },
+  };
+  const analyze = (planInputs) => calculateSSPartnerAnalysis({ inputs: planInputs, clientInfo, assumptions, targetMaxPortfolioAge: 90, clientSSWinner: 67 });
+
+  it('counts children drawing on the partner’s record', () => {
+    const base = analyze(inputs);
+    const withChild = analyze({ ...inputs, ssChildren: [{ id: 1, age: 6 }] });
+    // The client waits until 67, so the child can only draw early on the partner's record
+    const gain = (age) => withChild.outcomes.find(o => o.age === age).balance - base.outcomes.find(o => o.age === age).balance;
+    expect(gain(62)).toBeGreaterThan(0);
+    expect(gain(62)).toBeGreaterThan(gain(70));
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Social Security Trust Fund Depletion Tests
+ *
+ * A what-if cuts every Social Security benefit by a set percentage from the year the trust
+ * fund runs out, optionally restoring part of the cut later. The cut flows through the
+ * projection engine, the claiming-age analysis and the survivor-weighted outcomes.
+ * Run with: npx vitest run tests/ssHaircut.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getSSBenefitFactor, calculateBasePlan, runSimulation } from '../src/utils/calculations';
+import { calculateSSAnalysis, calculateSurvivorOutcome } from '../src/utils/ssAnalysis';
+
+const haircut = { ssHaircutEnabled: true, ssHaircutYear: 2034, ssHaircutPercent: 19, ssHaircutRestoreYear: 0, ssHaircutRestorePercent: 50 };
+const assumptions = {
+  b1: { return: 4.0, stdDev: 1.7 },
+  b2: { return: 5.5, stdDev: 6.0 },
+  b3: { return: 7.5, stdDev: 9.5 },
+  b4: { return: 7.0, stdDev: 12.0 },
+  b5: { return: 8.5, stdDev: 15.0 },
+};
+
+describe('getSSBenefitFactor', () => {
+  it('pays full benefits before the depletion year and when the scenario is off', () => {
+    expect(getSSBenefitFactor(haircut, 2033)).toBe(1);
+    expect(getSSBenefitFactor({ ...haircut, ssHaircutEnabled: false }, 2040)).toBe(1);
+    expect(getSSBenefitFactor({}, 2040)).toBe(1);
+  });
+
+  it('cuts benefits from the depletion year on', () => {
+    expect(getSSBenefitFactor(haircut, 2034)).toBeCloseTo(0.81, 10);
+    expect(getSSBenefitFactor(haircut, 2060)).toBeCloseTo(0.81, 10);
+    expect(getSSBenefitFactor({ ...haircut, ssHaircutPercent: 150 }, 2040)).toBe(0);
+  });
+
+  it('restores part of the cut from the restoration year', () => {
+    const restored = { ...haircut, ssHaircutRestoreYear: 2040 };
+    expect(getSSBenefitFactor(restored, 2039)).toBeCloseTo(0.81, 10);
+    expect(getSSBenefitFactor(restored, 2040)).toBeCloseTo(0.905, 10);
+    expect(getSSBenefitFactor({ ...restored, ssHaircutRestorePercent: 100 }, 2045)).toBe(1);
+  });
+});
+
+describe('engine', () => {
+  const clientInfo = {
+    name: 'Test', isMarried: false, isRetired: true,
+    currentAge: 67, retirementAge: 67,
+    currentPortfolio: 1000000, currentSpending: 5000,
+    annualSavings: 0, annualIncome: 0, expectedReturn: 6.0, additionalContributions: [],
+  };
+  const inputs = {
+    totalPortfolio: 1000000, monthlySpending: 5000, monthlySpendingOverridden: true,
+    ssPIA: 2500, ssStartAge: 67, monthlyPension: 0, pensionStartAge: 65,
+    expectedDeathAge: 90, inflationRate: 2.5, personalInflationRate: 2.5,
+    additionalIncomes: [], cashFlowAdjustments: [],
+    taxEnabled: false, filingStatus: 'single', unifiedTimeline: true,
+  };
+  const project = (planInputs) => runSimulation(calculateBasePlan(planInputs, assumptions, clientInfo), assumptions, planInputs, 0, false);
+
+  it('cuts Social Security income from the chosen year only', () => {
+    const currentYear = new Date().getFullYear();
+    const depletionYear = currentYear + 5;
+    const full = project(inputs);
+    const cut = project({ ...inputs, ...haircut, ssHaircutYear: depletionYear });
+    const at = (projection, age) => projection.find(r => r.age === age).ssIncome;
+    const depletionAge = clientInfo.currentAge + 5;
+    expect(at(cut, depletionAge - 1)).toBeCloseTo(at(full, depletionAge - 1), 6);
+    expect(at(cut, depletionAge)).toBeCloseTo(at(full, depletionAge) * 0.81, 0);
+    expect(cut[cut.length - 1].total).toBeLessThan(full[full.length - 1].total);
+  });
+});
+
+describe('claiming analysis', () => {
+  const clientInfo = {
+    name: 'Test', isMarried: true, isRetired: false, partnerName: 'Partner',
+    currentAge: 60, retirementAge: 65, partnerAge: 58, partnerRetirementAge: 65,
+    annualIncome: 0, partnerAnnualIncome: 0,
+  };
+  const inputs = {
+    totalPortfolio: 1500000, monthlySpending: 7000,
+    ssPIA: 3000, ssStartAge: 67, partnerSSPIA: 1200, partnerSSStartAge: 62,
+    monthlyPension: 0, pensionStartAge: 65, partnerMonthlyPension: 0,
+    expectedDeathAge: 92, partnerExpectedDeathAge: 94,
+    inflationRate: 2.5, personalInflationRate: 2.5, ssReinvestRate: 4.5,
+    additionalIncomes: [], taxEnabled: false, filingStatus: 'married',
+  };
+
+  it('lowers every claiming age’s portfolio outcome', () => {
+    const full = calculateSSAnalysis({ inputs, clientInfo, assumptions, targetMaxPortfolioAge: 90 });
+    const cut = calculateSSAnalysis({ inputs: { ...inputs, ...haircut }, clientInfo, assumptions, targetMaxPortfolioAge: 90 });
+    cut.outcomes.forEach((o, i) => expect(o.balance).toBeLessThan(full.outcomes[i].balance));
+  });
+
+  it('lowers survivor-weighted lifetime benefits', () => {
+    const full = calculateSurvivorOutcome({ inputs, clientInfo });
+    const cut = calculateSurvivorOutcome({ inputs: { ...inputs, ...haircut }, clientInfo });
+    expect(cut.couplePV).toBeLessThan(full.couplePV);
+    expect(cut.survivorPV).toBeLessThan(full.survivorPV);
+  });
+});
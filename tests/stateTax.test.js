@@ -0,0 +1,110 @@
+/**
+ * State Income Tax Tests
+ *
+ * calculateStateTax applies each state's own brackets and deduction, its Social Security
+ * rule and its pension/IRA exclusions (age- and income-tested), plus any local income tax,
+ * and calculateAnnualTax uses it whenever a state is selected.
+ * Run with: npx vitest run tests/stateTax.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { calculateAnnualTax, calculateStateTax, STATE_TAX_DATA } from '../src/utils/calculations';
+import { getStateRepresentativeRate, describeStateTaxRules } from '../src/constants/stateTaxes';
+
+const stateTax = (stateCode, income, options = {}) => calculateStateTax({
+  stateCode, filingStatus: 'married', taxpayerAges: [66, 66], ...options, income
+});
+
+describe('state tables', () => {
+  it('has a rule set for every state and DC', () => {
+    expect(Object.keys(STATE_TAX_DATA)).toHaveLength(51);
+    Object.values(STATE_TAX_DATA).forEach(state => {
+      expect(state.ss).toBeDefined();
+      if (state.brackets) {
+        const top = state.brackets.single[state.brackets.single.length - 1];
+        expect(top.max).toBe(Infinity);
+        expect(state.rate).toBe(Math.max(...Object.values(state.brackets).flat().map(b => b.rate)));
+      }
+    });
+  });
+
+  it('picks the marginal rate at $150k for flat-rate estimates', () => {
+    expect(getStateRepresentativeRate('CA')).toBe(9.3);
+    expect(getStateRepresentativeRate('IL')).toBe(4.95);
+    expect(getStateRepresentativeRate('TX')).toBe(0);
+  });
+});
+
+describe('retirement exclusions', () => {
+  it('excludes $20,000 of pension and IRA income per New Yorker 59½ and older', () => {
+    const income = { pension: 30000, ira: 50000 };
+    const older = stateTax('NY', income);
+    expect(older.exclusions).toBe(40000);
+    expect(older.taxableIncome).toBe(80000 - 40000 - 16050);
+    expect(stateTax('NY', income, { taxpayerAges: [66, 55] }).exclusions).toBe(20000);
+  });
+
+  it('steps Georgia\'s exclusion up at 62 and 65', () => {
+    const income = { ira: 200000 };
+    expect(stateTax('GA', income, { taxpayerAges: [60, 60] }).exclusions).toBe(0);
+    expect(stateTax('GA', income, { taxpayerAges: [63, 63] }).exclusions).toBe(70000);
+    expect(stateTax('GA', income, { taxpayerAges: [66, 63] }).exclusions).toBe(100000);
+  });
+
+  it('fully exempts Illinois retirement income but taxes wages', () => {
+    expect(stateTax('IL', { pension: 60000, ira: 90000 }).stateTax).toBe(0);
+    expect(stateTax('IL', { wages: 100000 }).stateTax).toBeCloseTo((100000 - 5700) * 0.0495, 6);
+  });
+
+  it('phases New Jersey\'s exclusion out in steps by income', () => {
+    expect(stateTax('NJ', { pension: 90000 }, { agi: 90000 }).exclusions).toBe(90000);
+    expect(stateTax('NJ', { pension: 110000 }, { agi: 110000 }).exclusions).toBe(50000);
+    expect(stateTax('NJ', { pension: 160000 }, { agi: 160000 }).exclusions).toBe(0);
+  });
+});
+
+describe('Social Security', () => {
+  it('taxes SS only in states that do, within their income limits', () => {
+    const income = { ss: 30000, ira: 40000 };
+    expect(stateTax('CA', income, { ssBenefits: 40000 }).ssExcluded).toBe(30000);
+    expect(stateTax('MT', income, { ssBenefits: 40000 }).ssExcluded).toBe(0);
+    // New Mexico exempts SS under $150k joint AGI
+    expect(stateTax('NM', income, { ssBenefits: 40000, agi: 100000 }).ssExcluded).toBe(30000);
+    expect(stateTax('NM', income, { ssBenefits: 40000, agi: 200000 }).ssExcluded).toBe(0);
+    // Connecticut taxes at most 25% of benefits above its limit
+    expect(stateTax('CT', income, { ssBenefits: 40000, agi: 150000 }).ssExcluded).toBe(20000);
+    // Minnesota's subtraction shrinks 10% per $4,000 over the limit
+    expect(stateTax('MN', income, { ssBenefits: 40000, agi: 128320 }).ssExcluded).toBeCloseTo(15000, 6);
+  });
+});
+
+describe('local and special taxes', () => {
+  it('adds New York City tax on the state base', () => {
+    const income = { ira: 150000 };
+    const nyc = stateTax('NY', income, { localTaxCode: 'nyc' });
+    expect(nyc.stateTax).toBe(stateTax('NY', income).stateTax);
+    expect(nyc.localTax).toBeGreaterThan(0);
+    expect(nyc.localTax).toBeLessThan(nyc.taxableIncome * 0.03876);
+  });
+
+  it('taxes only large capital gains in Washington', () => {
+    expect(stateTax('WA', { ira: 500000, capitalGains: 200000 }).stateTax).toBe(0);
+    expect(stateTax('WA', { capitalGains: 378000 }).stateTax).toBeCloseTo(100000 * 0.07, 6);
+  });
+
+  it('flows state and local tax through calculateAnnualTax', () => {
+    const income = { ssIncome: 40000, pensionIncome: 30000, traditionalWithdrawal: 60000 };
+    const settings = { filingStatus: 'married', stateCode: 'MD', localTaxCode: 'county', taxpayerAges: [67, 67] };
+    const md = calculateAnnualTax(income, settings);
+    expect(md.localTax).toBeGreaterThan(0);
+    expect(md.totalTax).toBe(md.federalTax + md.stateTax);
+    const noLocal = calculateAnnualTax(income, { ...settings, localTaxCode: '' });
+    expect(md.stateTax - noLocal.stateTax).toBeCloseTo(md.localTax, -1);
+    expect(calculateAnnualTax(income, { ...settings, stateCode: 'FL' }).stateTax).toBe(0);
+  });
+
+  it('describes the rules for the state picker', () => {
+    expect(describeStateTaxRules('TX')).toEqual(['No state income tax']);
+    expect(describeStateTaxRules('NY')).toContain('$20k per person pension/IRA exclusion at 59.5+');
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Stochastic Inflation Tests
+ *
+ * Monte Carlo iterations draw their own inflation path, which indexes spending,
+ * COLAs, tax brackets and IRMAA, and is reported as real-wealth percentile bands.
+ * Deterministic projections index the federal brackets too, at the assumed rate.
+ * Run with: npx vitest run tests/stochasticInflation.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateBasePlan,
+  runSimulation,
+  calculateAnnualTax,
+  getInflationAdjustedBrackets,
+  calculateIRMAA,
+} from '../src/utils/calculations';
+
+const clientInfo = {
+  name: 'Test', isMarried: false, isRetired: true,
+  currentAge: 65, retirementAge: 65,
+  currentPortfolio: 1000000, currentSpending: 5000,
+  annualSavings: 0, annualIncome: 0, partnerAnnualIncome: 0,
+  expectedReturn: 7.0, additionalContributions: [],
+};
+
+const inputs = {
+  totalPortfolio: 1000000, monthlySpending: 5000, monthlySpendingOverridden: true,
+  ssPIA: 2500, ssStartAge: 67, partnerSSPIA: 0, partnerSSStartAge: 67,
+  monthlyPension: 0, pensionStartAge: 65, pensionCOLA: false,
+  partnerMonthlyPension: 0, partnerPensionStartAge: 65, partnerPensionCOLA: false,
+  expectedDeathAge: 90, partnerExpectedDeathAge: 90,
+  inflationRate: 2.5, personalInflationRate: 2.5,
+  additionalIncomes: [], cashFlowAdjustments: [],
+  taxEnabled: true, filingStatus: 'single', traditionalPercent: 60, rothPercent: 25, nqPercent: 15,
+  advisoryFee: 1.0, unifiedTimeline: true,
+  monteCarloSeed: 12345,
+  stochasticInflation: true, inflationVolatility: 1.5, inflationBondCorrelation: -0.3,
+};
+
+const assumptions = {
+  b1: { return: 4.0, stdDev: 1.7 },
+  b2: { return: 5.5, stdDev: 6.0 },
+  b3: { return: 7.5, stdDev: 9.5 },
+  b4: { return: 7.0, stdDev: 12.0 },
+  b5: { return: 8.5, stdDev: 15.0 },
+};
+
+describe('inflation-indexed thresholds', () => {
+  it('uses a realized cumulative factor in place of the flat rate', () => {
+    const byRate = getInflationAdjustedBrackets('married', 10, 2.5);
+    const byFactor = getInflationAdjustedBrackets('married', 10, 2.5, Math.pow(1.025, 10));
+    expect(byFactor).toEqual(byRate);
+    expect(getInflationAdjustedBrackets('married', 10, 2.5, 1.5)[1].min).toBe(Math.round(24800 * 1.5));
+  });
+
+  it('moves IRMAA tier cutoffs with the realized factor', () => {
+    // $250k MAGI sits in a surcharge tier at 2026 single thresholds, but not once they are indexed 2.5x
+    expect(calculateIRMAA(250000, 'single', 0, 0, 1, 1).bracket).toBeGreaterThan(0);
+    expect(calculateIRMAA(250000, 'single', 0, 0, 1, 2.5).bracket).toBe(0);
+  });
+});
+
+describe('bracket indexing in calculateAnnualTax', () => {
+  // Brackets and the standard deduction used to stay at base-year amounts in every
+  // projection year. They now scale with inflationFactor, which every projection passes
+  // (the assumed rate compounded, or the realized path), so a later year's tax on the
+  // same real income no longer creeps into higher brackets.
+  it('taxes inflated income under indexed brackets like base-year income under base-year brackets', () => {
+    // Under 65, so no fixed-dollar senior deduction muddies the comparison
+    const base = calculateAnnualTax({ traditionalWithdrawal: 100000 }, { filingStatus: 'single' }, false);
+    const indexed = calculateAnnualTax({ traditionalWithdrawal: 150000 }, { filingStatus: 'single', inflationFactor: 1.5 }, false);
+    expect(Math.abs(indexed.federalTax - base.federalTax * 1.5)).toBeLessThan(5);
+    const unindexed = calculateAnnualTax({ traditionalWithdrawal: 150000 }, { filingStatus: 'single' }, false);
+    expect(unindexed.federalTax).toBeGreaterThan(indexed.federalTax);
+  });
+
+  it('indexes a deterministic projection at the assumed rate', () => {
+    const rows = runSimulation(calculateBasePlan(inputs, assumptions, clientInfo), assumptions, inputs, 0, false);
+    rows.forEach((row, i) => expect(row.inflationIndex).toBeCloseTo(Math.pow(1.025, i), 10));
+  });
+});
+
+describe('runSimulation with stochastic inflation', () => {
+  const basePlan = calculateBasePlan(inputs, assumptions, clientInfo);
+
+  it('gives each iteration its own inflation path', () => {
+    const mc = runSimulation(basePlan, assumptions, inputs, 0, true);
+    const finalIndex = (rows) => rows[rows.length - 1].inflationIndex;
+    const { conservative, median, optimistic } = mc.scenarios;
+    expect(new Set([finalIndex(conservative), finalIndex(median), finalIndex(optimistic)]).size).toBe(3);
+    // Spending follows the path: year-over-year growth is no longer a flat 2.5%
+    const growth = median.slice(1, 6).map((r, i) => r.livingExpenses / median[i].livingExpenses);
+    expect(growth.some(g => Math.abs(g - 1.025) > 0.001)).toBe(true);
+  });
+
+  it('keeps the assumed rate when stochastic inflation is off', () => {
+    const mc = runSimulation(basePlan, assumptions, { ...inputs, stochasticInflation: false }, 0, true);
+    mc.scenarios.median.forEach((row, i) => {
+      expect(row.inflationIndex).toBeCloseTo(Math.pow(1.025, i), 10);
+    });
+  });
+
+  it('reports real-wealth percentile bands in today\'s dollars', () => {
+    const mc = runSimulation(basePlan, assumptions, inputs, 0, true);
+    const last = mc.data[mc.data.length - 1];
+    expect(last.realP10).toBeLessThanOrEqual(last.realMedian);
+    expect(last.realMedian).toBeLessThanOrEqual(last.realP90);
+    expect(last.realMedian).toBeLessThan(last.median);
+    expect(mc.medianRealLegacy).toBe(last.realMedian);
+  });
+});
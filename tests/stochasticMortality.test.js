@@ -0,0 +1,115 @@
+/**
+ * Stochastic Mortality Tests
+ *
+ * Monte Carlo iterations can draw each spouse's death age from the SSA life table
+ * (with health multipliers) instead of running to expectedDeathAge, and report how
+ * long the household lives alongside whether the money lasts.
+ * Run with: npx vitest run tests/stochasticMortality.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateBasePlan,
+  runSimulation,
+  createSeededRandom,
+  drawDeathAge,
+  getLifeExpectancy,
+  getSurvivalProbability,
+  getMortalityRate,
+  resolveMortalityProfile,
+} from '../src/utils/calculations';
+
+const clientInfo = {
+  name: 'Test', isMarried: true, isRetired: true, partnerName: 'Partner',
+  currentAge: 65, retirementAge: 65, partnerAge: 63, partnerRetirementAge: 63,
+  currentPortfolio: 1500000, currentSpending: 7000,
+  annualSavings: 0, annualIncome: 0, partnerAnnualIncome: 0,
+  expectedReturn: 7.0, additionalContributions: [],
+};
+
+const inputs = {
+  totalPortfolio: 1500000, monthlySpending: 7000, monthlySpendingOverridden: true,
+  ssPIA: 2500, ssStartAge: 67, partnerSSPIA: 1500, partnerSSStartAge: 67,
+  monthlyPension: 0, pensionStartAge: 65, pensionCOLA: false,
+  partnerMonthlyPension: 0, partnerPensionStartAge: 65, partnerPensionCOLA: false,
+  expectedDeathAge: 95, partnerExpectedDeathAge: 95, spendingReductionAtFirstDeath: 25,
+  inflationRate: 2.5, personalInflationRate: 2.5,
+  additionalIncomes: [], cashFlowAdjustments: [],
+  taxEnabled: true, filingStatus: 'married', traditionalPercent: 60, rothPercent: 25, nqPercent: 15,
+  advisoryFee: 1.0, unifiedTimeline: true,
+  monteCarloSeed: 12345, monteCarloIterations: 300,
+};
+
+const assumptions = {
+  b1: { return: 4.0, stdDev: 1.7 },
+  b2: { return: 5.5, stdDev: 6.0 },
+  b3: { return: 7.5, stdDev: 9.5 },
+  b4: { return: 7.0, stdDev: 12.0 },
+  b5: { return: 8.5, stdDev: 15.0 },
+};
+
+const mortalityInputs = { ...inputs, stochasticMortality: true };
+
+describe('life table', () => {
+  it('matches SSA period life expectancy at 65', () => {
+    expect(getLifeExpectancy(65, 'male')).toBeGreaterThan(17);
+    expect(getLifeExpectancy(65, 'male')).toBeLessThan(19);
+    expect(getLifeExpectancy(65, 'female')).toBeGreaterThan(19.5);
+    expect(getLifeExpectancy(65, 'female')).toBeLessThan(21.5);
+  });
+
+  it('scales death rates by health and ends the table at 120', () => {
+    expect(getMortalityRate(70, 'male', 0.6)).toBeCloseTo(getMortalityRate(70, 'male') * 0.6, 12);
+    expect(getLifeExpectancy(65, 'male', 0.6)).toBeGreaterThan(getLifeExpectancy(65, 'male', 1.8));
+    expect(getSurvivalProbability(65, 120, 'female')).toBe(0);
+    expect(resolveMortalityProfile({ mortalityClientHealth: 'poor' }).client).toEqual({ sex: 'male', multiplier: 1.8 });
+  });
+
+  it('draws death ages whose average matches the table', () => {
+    const random = createSeededRandom(7);
+    let total = 0;
+    for (let i = 0; i < 5000; i++) total += drawDeathAge(65, 'female', 1, random);
+    // Death ages count the year of death as lived, so the mean sits about half a year above 65 + e65
+    expect(total / 5000 - 65.5).toBeCloseTo(getLifeExpectancy(65, 'female'), 0);
+  });
+});
+
+describe('runSimulation with stochastic mortality', () => {
+  const fixedMC = runSimulation(calculateBasePlan(inputs, assumptions, clientInfo), assumptions, inputs, 0, true);
+  const mortalityMC = runSimulation(calculateBasePlan(mortalityInputs, assumptions, clientInfo), assumptions, mortalityInputs, 0, true);
+
+  it('leaves fixed death ages alone when off', () => {
+    expect(fixedMC.longevity).toBeNull();
+    expect(fixedMC.data.every(row => row.aliveShare === undefined)).toBe(true);
+  });
+
+  it('keeps each iteration\'s market path when turned on', () => {
+    // Same seed, same first-year returns — mortality draws use their own stream
+    expect(mortalityMC.data[0].median).toBe(fixedMC.data[0].median);
+  });
+
+  it('reports survival and long-survivorship across iterations', () => {
+    const { longevity } = mortalityMC;
+    expect(longevity.moneyOutlastsHousehold).toBe(mortalityMC.successRate);
+    expect(longevity.longSurvivorshipProbability).toBeGreaterThan(0);
+    expect(longevity.longSurvivorshipProbability).toBeLessThan(100);
+    expect(longevity.survival.map(s => s.age)).toEqual([80, 85, 90, 95, 100]);
+    longevity.survival.forEach(s => {
+      expect(s.partnerAge).toBe(s.age - 2);
+      expect(s.both).toBeLessThanOrEqual(Math.min(s.client, s.partner));
+      expect(s.either).toBeGreaterThanOrEqual(Math.max(s.client, s.partner));
+    });
+    expect(longevity.p90LastDeathAge).toBeGreaterThanOrEqual(longevity.medianLastDeathAge);
+  });
+
+  it('runs each iteration to its own last death', () => {
+    const shares = mortalityMC.data.map(row => row.aliveShare);
+    expect(shares[0]).toBe(100);
+    for (let i = 1; i < shares.length; i++) expect(shares[i]).toBeLessThanOrEqual(shares[i - 1]);
+    const { median, conservative } = mortalityMC.scenarios;
+    [median, conservative].forEach(rows => {
+      const lastAge = rows[rows.length - 1].age;
+      expect(lastAge).toBeLessThanOrEqual(65 + mortalityMC.data.length - 1);
+    });
+  });
+});
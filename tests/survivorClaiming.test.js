@@ -0,0 +1,119 @@
+/**
+ * Survivor-Aware Claiming Tests
+ *
+ * Each pair of claiming ages is valued by the benefits the couple draws together plus what
+ * the widow(er) keeps, weighted by both spouses' life-table survival. A survivor can take
+ * the survivor benefit now, take it first and switch to their own at 70, or take their own
+ * first and switch to the unreduced survivor benefit at FRA.
+ * Run with: npx vitest run tests/survivorClaiming.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateSurvivorOutcome,
+  calculateSurvivorClaimingMatrix,
+  calculateSSAnalysis,
+  calculateSSPartnerAnalysis,
+} from '../src/utils/ssAnalysis';
+
+const clientInfo = { name: 'Test', partnerName: 'Partner', isMarried: true, currentAge: 60, partnerAge: 58 };
+const inputs = {
+  ssPIA: 3000, ssStartAge: 67, partnerSSPIA: 1200, partnerSSStartAge: 62,
+  inflationRate: 2.5, ssReinvestRate: 4.5,
+};
+
+describe('calculateSurvivorOutcome', () => {
+  it('leaves the widow(er) the deceased’s benefit, at least 82.5% of PIA after an early claim', () => {
+    const early = calculateSurvivorOutcome({ inputs, clientInfo, clientClaimAge: 62, partnerClaimAge: 62 });
+    const delayed = calculateSurvivorOutcome({ inputs, clientInfo, clientClaimAge: 70, partnerClaimAge: 62 });
+    expect(early.partnerSurvives.survivorBenefit).toBeCloseTo(3000 * 0.825, 6);
+    expect(delayed.partnerSurvives.survivorBenefit).toBeCloseTo(3000 * 1.24, 6);
+    expect(delayed.survivorPV).toBeGreaterThan(early.survivorPV);
+  });
+
+  it('has a young widow(er) with a solid own record take the survivor benefit first and switch at 70', () => {
+    const youngWidow = calculateSurvivorOutcome({
+      inputs: { ...inputs, partnerSSPIA: 2400, partnerSSStartAge: 67 },
+      clientInfo: { ...clientInfo, currentAge: 66, partnerAge: 55 },
+      clientClaimAge: 66,
+    });
+    expect(youngWidow.partnerSurvives.strategyShares.survivorFirst).toBeGreaterThan(0);
+    // A small own record is never worth switching to
+    const smallRecord = calculateSurvivorOutcome({ inputs: { ...inputs, partnerSSPIA: 300 }, clientInfo });
+    expect(smallRecord.partnerSurvives.strategyShares.survivorFirst).toBe(0);
+  });
+
+  it('weights outcomes by both spouses’ longevity', () => {
+    const average = calculateSurvivorOutcome({ inputs, clientInfo });
+    const healthyPartner = calculateSurvivorOutcome({ inputs: { ...inputs, mortalityPartnerHealth: 'excellent', mortalityClientHealth: 'poor' }, clientInfo });
+    expect(healthyPartner.partnerSurvives.probability).toBeGreaterThan(average.partnerSurvives.probability);
+    const shares = Object.values(average.partnerSurvives.strategyShares).reduce((a, b) => a + b, 0);
+    expect(shares).toBeCloseTo(1, 6);
+    expect(average.expectedLifetimeBenefits).toBeCloseTo(average.couplePV + average.survivorPV, 6);
+  });
+
+  it('applies WEP and GPO to the living spouse but not to the record the deceased leaves', () => {
+    const pension = {
+      ...inputs, taxLawOverrides: [{ id: 1, reinstateWepGpo: true, startYear: 2020 }],
+      partnerPensionNonCovered: true, partnerMonthlyPension: 2000, partnerPensionStartAge: 62, partnerPensionCOLA: true,
+    };
+    const plain = calculateSurvivorOutcome({ inputs, clientInfo, currentYear: 2026 });
+    const offset = calculateSurvivorOutcome({ inputs: pension, clientInfo, currentYear: 2026 });
+    expect(offset.partnerSurvives.ownBenefit).toBeLessThan(plain.partnerSurvives.ownBenefit);
+    expect(offset.partnerSurvives.pv).toBeLessThan(plain.partnerSurvives.pv);
+    expect(offset.clientSurvives.survivorBenefit).toBeCloseTo(plain.clientSurvives.survivorBenefit, 6);
+  });
+
+  it('cuts benefits from the trust fund depletion year counted from the plan year', () => {
+    const haircut = { ...inputs, ssHaircutEnabled: true, ssHaircutYear: 2040, ssHaircutPercent: 20 };
+    const full = calculateSurvivorOutcome({ inputs, clientInfo, currentYear: 2040 });
+    const cut = calculateSurvivorOutcome({ inputs: haircut, clientInfo, currentYear: 2040 });
+    expect(cut.expectedLifetimeBenefits).toBeCloseTo(full.expectedLifetimeBenefits * 0.8, 6);
+  });
+
+  it('is null for a single client', () => {
+    expect(calculateSurvivorOutcome({ inputs, clientInfo: { ...clientInfo, isMarried: false } })).toBeNull();
+  });
+});
+
+describe('calculateSurvivorClaimingMatrix', () => {
+  it('values every pair of ages and favors delaying the higher earner', () => {
+    const { matrix, winner } = calculateSurvivorClaimingMatrix({ inputs, clientInfo });
+    expect(matrix).toHaveLength(81);
+    expect(winner.clientAge).toBe(70);
+  });
+
+  it('keeps a spouse already receiving at their actual claiming age', () => {
+    const { matrix } = calculateSurvivorClaimingMatrix({ inputs: { ...inputs, ssCurrentlyReceiving: true, ssPIA: 2200, ssStartAge: 63 }, clientInfo: { ...clientInfo, currentAge: 65 } });
+    expect(matrix).toHaveLength(9);
+    expect(matrix.every(cell => cell.clientAge === 63)).toBe(true);
+  });
+});
+
+describe('calculateSSPartnerAnalysis', () => {
+  it('reports the survivor outcome of each partner claiming age', () => {
+    const info = {
+      ...clientInfo, isRetired: false, retirementAge: 65, partnerRetirementAge: 65,
+      annualIncome: 0, partnerAnnualIncome: 0,
+    };
+    const planInputs = {
+      ...inputs, totalPortfolio: 1500000, monthlySpending: 7000,
+      monthlyPension: 0, pensionStartAge: 65, partnerMonthlyPension: 0,
+      expectedDeathAge: 92, partnerExpectedDeathAge: 94, personalInflationRate: 2.5,
+      additionalIncomes: [], taxEnabled: false, filingStatus: 'married',
+    };
+    const assumptions = {
+      b1: { return: 4.0, stdDev: 1.7 },
+      b2: { return: 5.5, stdDev: 6.0 },
+      b3: { return: 7.5, stdDev: 9.5 },
+      b4: { return: 7.0, stdDev: 12.0 },
+      b5: { return: 8.5, stdDev: 15.0 },
+    };
+    const client = calculateSSAnalysis({ inputs: planInputs, clientInfo: info, assumptions, targetMaxPortfolioAge: 90 });
+    const { outcomes } = calculateSSPartnerAnalysis({ inputs: planInputs, clientInfo: info, assumptions, targetMaxPortfolioAge: 90, clientSSWinner: client.winner });
+    expect(outcomes.every(o => o.survivor.clientAge === client.winner.age)).toBe(true);
+    const at62 = outcomes.find(o => o.age === 62).survivor;
+    const at70 = outcomes.find(o => o.age === 70).survivor;
+    expect(at70.clientSurvives.survivorBenefit).toBeGreaterThan(at62.clientSurvives.survivorBenefit);
+  });
+});
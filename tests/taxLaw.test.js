@@ -0,0 +1,117 @@
+/**
+ * Tax-Law Registry Tests
+ *
+ * Federal tables come from a versioned registry: each calendar year gets its version's
+ * provisions with scheduled changes (the OBBBA senior deduction sunset) applied, then
+ * any advisor what-if overrides, and a plan can pin the version it was saved under.
+ * Run with: npx vitest run tests/taxLaw.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateAnnualTax,
+  calculateEnhancedSeniorDeduction,
+  calculateFederalTax,
+  getPlanTaxLaw,
+  resolveTaxLawVersion,
+  calculateBasePlan,
+  runSimulation,
+} from '../src/utils/calculations';
+import { getTaxLaw, CURRENT_TAX_LAW_VERSION } from '../src/constants/taxLaw';
+
+const married = { filingStatus: 'married', stateRate: 0 };
+
+describe('getTaxLaw', () => {
+  it('applies scheduled sunsets by year', () => {
+    expect(getTaxLaw(2028).enhancedSeniorDeduction.perPerson).toBe(6000);
+    expect(getTaxLaw(2029).enhancedSeniorDeduction).toBeNull();
+    // Unaffected provisions carry through unchanged
+    expect(getTaxLaw(2029).federalBrackets).toBe(getTaxLaw(2026).federalBrackets);
+  });
+
+  it('applies what-if overrides only inside their year range', () => {
+    const overrides = [{ startYear: 2030, endYear: 2034, ordinaryRateDelta: 3, qdivRateDelta: 5 }];
+    expect(getTaxLaw(2029, { overrides }).overridden).toBe(false);
+    const law = getTaxLaw(2030, { overrides });
+    expect(law.federalBrackets.married[1].rate).toBeCloseTo(0.15, 10);
+    expect(law.qdivBrackets.married.map(b => b.rate)).toEqual([0, 0.2, 0.25]);
+    expect(getTaxLaw(2035, { overrides }).federalBrackets.married[1].rate).toBe(0.12);
+  });
+
+  it('swaps in pre-2018 rates and can keep the senior deduction alive', () => {
+    const overrides = [{ startYear: 2029, ratePreset: 'preTCJA', extendSeniorDeduction: true }];
+    const law = getTaxLaw(2040, { overrides });
+    expect(law.federalBrackets.single.map(b => b.rate)).toEqual([0.10, 0.15, 0.25, 0.28, 0.33, 0.35, 0.396]);
+    expect(law.enhancedSeniorDeduction.perPerson).toBe(6000);
+  });
+});
+
+describe('senior deduction', () => {
+  it('phases out at 6% of MAGI over the threshold', () => {
+    expect(calculateEnhancedSeniorDeduction('married', 100000)).toBe(12000);
+    expect(calculateEnhancedSeniorDeduction('married', 200000)).toBe(12000 - 3000);
+    expect(calculateEnhancedSeniorDeduction('single', 200000)).toBe(0);
+    expect(calculateEnhancedSeniorDeduction('married', 100000, false)).toBe(0);
+  });
+
+  it('lowers federal tax until it expires', () => {
+    const income = { ssIncome: 40000, traditionalWithdrawal: 80000 };
+    const with2028 = calculateAnnualTax(income, { ...married, taxLaw: getTaxLaw(2028) });
+    const with2029 = calculateAnnualTax(income, { ...married, taxLaw: getTaxLaw(2029) });
+    expect(with2028.seniorDeduction).toBe(12000);
+    expect(with2029.seniorDeduction).toBe(0);
+    expect(with2028.deduction - with2029.deduction).toBe(12000);
+    expect(with2028.federalTax).toBeLessThan(with2029.federalTax);
+    // State tax doesn't get the federal-only deduction
+    const stateSettings = { filingStatus: 'married', stateRate: 5 };
+    expect(calculateAnnualTax(income, { ...stateSettings, taxLaw: getTaxLaw(2028) }).stateTax)
+      .toBe(calculateAnnualTax(income, { ...stateSettings, taxLaw: getTaxLaw(2029) }).stateTax);
+  });
+});
+
+describe('plan tax law', () => {
+  it('resolves the saved version when asked and falls back to current', () => {
+    expect(resolveTaxLawVersion({})).toBe(CURRENT_TAX_LAW_VERSION);
+    expect(resolveTaxLawVersion({ taxLawVersion: 'saved', taxLawSavedVersion: '2026.1' })).toBe('2026.1');
+    expect(resolveTaxLawVersion({ taxLawVersion: 'saved', taxLawSavedVersion: '1999.1' })).toBe(CURRENT_TAX_LAW_VERSION);
+  });
+
+  it('raises lifetime tax when an advisor override raises rates', () => {
+    const clientInfo = {
+      name: 'Test', isMarried: true, isRetired: true, partnerName: 'Partner',
+      currentAge: 66, retirementAge: 66, partnerAge: 66, partnerRetirementAge: 66,
+      currentPortfolio: 2000000, currentSpending: 9000,
+      annualSavings: 0, annualIncome: 0, partnerAnnualIncome: 0,
+      expectedReturn: 7.0, additionalContributions: [],
+    };
+    const inputs = {
+      totalPortfolio: 2000000, monthlySpending: 9000, monthlySpendingOverridden: true,
+      ssPIA: 2500, ssStartAge: 67, partnerSSPIA: 1500, partnerSSStartAge: 67,
+      monthlyPension: 0, pensionStartAge: 65, pensionCOLA: false,
+      partnerMonthlyPension: 0, partnerPensionStartAge: 65, partnerPensionCOLA: false,
+      expectedDeathAge: 90, partnerExpectedDeathAge: 90,
+      inflationRate: 2.5, personalInflationRate: 2.5,
+      additionalIncomes: [], cashFlowAdjustments: [],
+      taxEnabled: true, filingStatus: 'married', traditionalPercent: 70, rothPercent: 10, nqPercent: 20,
+      advisoryFee: 1.0, unifiedTimeline: true,
+    };
+    const assumptions = {
+      b1: { return: 4.0, stdDev: 1.7 },
+      b2: { return: 5.5, stdDev: 6.0 },
+      b3: { return: 7.5, stdDev: 9.5 },
+      b4: { return: 7.0, stdDev: 12.0 },
+      b5: { return: 8.5, stdDev: 15.0 },
+    };
+    const year = new Date().getFullYear();
+    const overridden = { ...inputs, taxLawOverrides: [{ startYear: year + 4, ordinaryRateDelta: 5 }] };
+    expect(getPlanTaxLaw(overridden, year + 4).overridden).toBe(true);
+
+    const lifetimeTax = (planInputs) => runSimulation(calculateBasePlan(planInputs, assumptions, clientInfo), assumptions, planInputs, 0, false)
+      .reduce((sum, r) => sum + (r.totalTax || 0), 0);
+    expect(lifetimeTax(overridden)).toBeGreaterThan(lifetimeTax(inputs));
+  });
+
+  it('keeps base-year brackets when no law is passed', () => {
+    expect(calculateFederalTax(100000, 'married')).toBe(calculateFederalTax(100000, 'married', 1, getTaxLaw(2026)));
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Withdrawal Policy Tests
+ *
+ * Guyton-Klinger guardrails: spending is cut or raised when the withdrawal rate leaves
+ * its bands, and inflation raises are skipped after a losing year. The balance-driven
+ * rules (VPW, RMD, constant percentage, floor-and-ceiling) size each year's withdrawal,
+ * and the spendingRules task compares them all on the same Monte Carlo paths.
+ * Run with: npx vitest run tests/withdrawalPolicy.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateBasePlan,
+  runSimulation,
+  resolveWithdrawalPolicy,
+  applyGuardrails,
+  SPENDING_RULES,
+} from '../src/utils/calculations';
+import { runSimulationTask } from '../src/utils/simulationTasks';
+
+const clientInfo = {
+  name: 'Test', isMarried: false, isRetired: true,
+  currentAge: 65, retirementAge: 65,
+  currentPortfolio: 1000000, currentSpending: 5000,
+  annualSavings: 0, annualIncome: 0, partnerAnnualIncome: 0,
+  expectedReturn: 7.0, additionalContributions: [],
+};
+
+const inputs = {
+  totalPortfolio: 1000000, monthlySpending: 5000, monthlySpendingOverridden: true,
+  ssPIA: 2500, ssStartAge: 67, partnerSSPIA: 0, partnerSSStartAge: 67,
+  monthlyPension: 0, pensionStartAge: 65, pensionCOLA: false,
+  partnerMonthlyPension: 0, partnerPensionStartAge: 65, partnerPensionCOLA: false,
+  expectedDeathAge: 90, partnerExpectedDeathAge: 90,
+  inflationRate: 2.5, personalInflationRate: 2.5,
+  additionalIncomes: [], cashFlowAdjustments: [],
+  taxEnabled: true, filingStatus: 'single', traditionalPercent: 60, rothPercent: 25, nqPercent: 15,
+  advisoryFee: 1.0, unifiedTimeline: true,
+  monteCarloSeed: 12345, monteCarloIterations: 200,
+};
+
+const assumptions = {
+  b1: { return: 4.0, stdDev: 1.7 },
+  b2: { return: 5.5, stdDev: 6.0 },
+  b3: { return: 7.5, stdDev: 9.5 },
+  b4: { return: 7.0, stdDev: 12.0 },
+  b5: { return: 8.5, stdDev: 15.0 },
+};
+
+const guardrailInputs = { ...inputs, withdrawalPolicy: 'guardrails' };
+const policy = resolveWithdrawalPolicy(guardrailInputs);
+
+describe('applyGuardrails', () => {
+  const year = { adjustment: 1, referenceRate: 0.05, priorYearReturn: 0.06, inflationStep: 1.03 };
+
+  it('leaves spending alone inside the bands', () => {
+    const step = applyGuardrails(policy, { ...year, withdrawalRateAt: () => 0.055 });
+    expect(step).toEqual({ adjustment: 1, action: null, inflationFrozen: false });
+  });
+
+  it('cuts above the upper band and raises below the lower band', () => {
+    const cut = applyGuardrails(policy, { ...year, withdrawalRateAt: () => 0.0601 });
+    expect(cut.action).toBe('cut');
+    expect(cut.adjustment).toBeCloseTo(0.9, 10);
+
+    const raise = applyGuardrails(policy, { ...year, withdrawalRateAt: () => 0.0399 });
+    expect(raise.action).toBe('raise');
+    expect(raise.adjustment).toBeCloseTo(1.1, 10);
+  });
+
+  it('skips the inflation raise after a negative year, unless disabled', () => {
+    const frozen = applyGuardrails(policy, { ...year, priorYearReturn: -0.1, withdrawalRateAt: () => 0.05 });
+    expect(frozen.action).toBe('freeze');
+    expect(frozen.adjustment).toBeCloseTo(1 / 1.03, 10);
+
+    const noFreeze = resolveWithdrawalPolicy({ ...guardrailInputs, guardrailInflationFreeze: false });
+    const unfrozen = applyGuardrails(noFreeze, { ...year, priorYearReturn: -0.1, withdrawalRateAt: () => 0.05 });
+    expect(unfrozen.inflationFrozen).toBe(false);
+    expect(unfrozen.adjustment).toBe(1);
+  });
+
+  it('tests the bands against spending after the freeze', () => {
+    // 6.1% at planned spending breaches the 6% guardrail, but not once the raise is skipped
+    const step = applyGuardrails(policy, {
+      ...year, priorYearReturn: -0.1, withdrawalRateAt: (adj) => 0.061 * adj
+    });
+    expect(step.action).toBe('freeze');
+  });
+});
+
+describe('runSimulation with guardrails', () => {
+  it('keeps fixed spending as planned', () => {
+    const basePlan = calculateBasePlan(inputs, assumptions, clientInfo);
+    expect(basePlan.withdrawalPolicy).toEqual({ type: 'fixed' });
+    const rows = runSimulation(basePlan, assumptions, inputs, 0, false);
+    rows.forEach(r => {
+      expect(r.spendingAdjustment).toBe(1);
+      expect(r.spendingAction).toBeNull();
+      expect(r.livingExpenses).toBe(r.plannedLivingExpenses);
+    });
+  });
+
+  it('records each year\'s adjustment against planned living expenses', () => {
+    const basePlan = calculateBasePlan(guardrailInputs, assumptions, clientInfo);
+    const mc = runSimulation(basePlan, assumptions, guardrailInputs, 0, true);
+    const rows = mc.scenarios.conservative;
+    rows.forEach(r => {
+      expect(r.livingExpenses).toBeCloseTo(r.plannedLivingExpenses * r.spendingAdjustment, -1);
+    });
+    // Adjustments only change in years with an action
+    for (let i = 1; i < rows.length; i++) {
+      if (!rows[i].spendingAction) expect(rows[i].spendingAdjustment).toBe(rows[i - 1].spendingAdjustment);
+    }
+  });
+
+  it('reports the spending distribution across iterations', () => {
+    const fixedPlan = calculateBasePlan(inputs, assumptions, clientInfo);
+    const fixed = runSimulation(fixedPlan, assumptions, inputs, 0, true);
+    expect(fixed.spending.policy).toBe('fixed');
+    expect(fixed.spending.cutProbability).toBe(0);
+
+    const basePlan = calculateBasePlan(guardrailInputs, assumptions, clientInfo);
+    const mc = runSimulation(basePlan, assumptions, guardrailInputs, 0, true);
+    expect(mc.spending.policy).toBe('guardrails');
+    expect(mc.spending.cutProbability).toBeGreaterThan(0);
+    expect(mc.spending.p10LowestAdjustment).toBeLessThanOrEqual(mc.spending.medianLowestAdjustment);
+    const last = mc.data[mc.data.length - 1];
+    expect(last.realSpendingP10).toBeLessThan(last.realSpendingP90);
+    mc.data.forEach(row => {
+      expect(row.realSpendingP10).toBeLessThanOrEqual(row.realSpendingMedian);
+      expect(row.realSpendingMedian).toBeLessThanOrEqual(row.realSpendingP90);
+    });
+  });
+});
+
+describe('spending rules', () => {
+  const year = {
+    adjustment: 1, balance: 1000000, plannedLivingExpenses: 60000, income: 20000,
+    cashFlowAdjustment: 0, age: 70, yearsRemaining: 25, inflationStep: 1.03, priorYearReturn: 0.05
+  };
+
+  it('falls back to fixed spending for an unknown rule', () => {
+    expect(resolveWithdrawalPolicy({ withdrawalPolicy: 'nope' })).toEqual({ type: 'fixed' });
+    expect(resolveWithdrawalPolicy({ withdrawalPolicy: 'constantPercent' })).toEqual({ type: 'constantPercent', percent: 4 });
+  });
+
+  it('funds a constant percentage of the balance on top of income', () => {
+    const policy = resolveWithdrawalPolicy({ withdrawalPolicy: 'constantPercent', spendingRulePercent: 5 });
+    const { adjustment } = SPENDING_RULES.constantPercent.adjust(policy, {}, year);
+    // $50k draw + $20k income = $70k of living expenses against $60k planned
+    expect(adjustment * year.plannedLivingExpenses).toBeCloseTo(70000, 6);
+  });
+
+  it('amortizes VPW to age 100 and RMD by the life-expectancy divisor', () => {
+    const vpw = SPENDING_RULES.vpw.adjust(resolveWithdrawalPolicy({ withdrawalPolicy: 'vpw', vpwRealReturn: 0 }), {}, year);
+    // 0% real return over ages 70-100 → 1/31 of the balance
+    expect(vpw.adjustment * year.plannedLivingExpenses).toBeCloseTo(1000000 / 31 + 20000, 6);
+
+    const rmd = SPENDING_RULES.rmd.adjust({ type: 'rmd' }, {}, { ...year, age: 80 });
+    expect(rmd.adjustment * year.plannedLivingExpenses).toBeCloseTo(1000000 / 20.2 + 20000, 6);
+  });
+
+  it('holds floor-and-ceiling withdrawals within bounds of the first year', () => {
+    const policy = resolveWithdrawalPolicy({ withdrawalPolicy: 'floorCeiling' });
+    const state = {};
+    SPENDING_RULES.floorCeiling.adjust(policy, state, year); // $40k initial draw
+    const crash = SPENDING_RULES.floorCeiling.adjust(policy, state, { ...year, balance: 500000 });
+    expect(crash.action).toBe('floor');
+    expect(crash.adjustment * year.plannedLivingExpenses - year.income).toBeCloseTo(40000 * 1.03 * 0.9, 6);
+    const boom = SPENDING_RULES.floorCeiling.adjust(policy, state, { ...year, balance: 2000000 });
+    expect(boom.action).toBe('ceiling');
+    expect(boom.adjustment * year.plannedLivingExpenses - year.income).toBeCloseTo(40000 * 1.03 * 1.03 * 1.2, 6);
+  });
+
+  it('compares every rule on the same Monte Carlo paths', () => {
+    // One Monte Carlo per rule, so keep the count at the minimum
+    const quickInputs = { ...inputs, monteCarloIterations: 100 };
+    const results = runSimulationTask('spendingRules', { plan: { inputs: quickInputs, assumptions, clientInfo } });
+    expect(Object.keys(results)).toEqual(Object.keys(SPENDING_RULES));
+    const basePlan = calculateBasePlan(quickInputs, assumptions, clientInfo);
+    const direct = runSimulation(basePlan, assumptions, quickInputs, 0, true);
+    expect(results.fixed.medianLegacy).toBe(direct.medianLegacy);
+    expect(results.fixed.spending.medianSpendingVolatility).toBe(0);
+    expect(results.constantPercent.spending.medianSpendingVolatility).toBeGreaterThan(0);
+  });
+});